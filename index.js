@@ -4,6 +4,15 @@
 
 import Planisphere from './js/core/planisphere.js';
 export * from './js/core/astronomy.js';
+export * from './js/core/ephemeris.js';
+export * from './js/core/riseset.js';
 export * from './js/core/constants.js';
+export * from './js/core/catalog.js';
+export * from './js/core/constellation.js';
+export * from './js/core/i18n.js';
+export * from './js/core/skyculture.js';
+export * from './js/core/stellarium.js';
+export * from './js/core/labellayout.js';
+export { SkyView } from './js/core/skyview.js';
 
 export default Planisphere;
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview AstroApparent 단위 테스트
+ * 장동, 연주광행차, 겉보기 위치 계산 검증
+ *
+ * 검증 참고:
+ * - Jean Meeus, "Astronomical Algorithms" 예제 22.a (1987년 4월 10일 0h TD)
+ * - Jean Meeus, "Astronomical Algorithms" 예제 23.a (θ Persei, 2028년 11월 13.19일 TD)
+ */
+
+import { describe, it, expect } from 'vitest';
+import { AstroApparent, AstroMatrix, AstroVector, AstroMath } from '../core/astronomy.js';
+
+const ARCSEC = AstroMath.S2R;
+
+describe('AstroApparent', () => {
+    describe('nutation() - Meeus 예제 22.a', () => {
+        const n = AstroApparent.nutation(2446895.5);
+
+        it('황경 장동 Δψ = -3.788″', () => {
+            expect(n.dpsi / ARCSEC).toBeCloseTo(-3.788, 2);
+        });
+
+        it('황도 경사 장동 Δε = +9.443″', () => {
+            expect(n.deps / ARCSEC).toBeCloseTo(9.443, 2);
+        });
+
+        it('평균 황도 경사각 ε₀ = 23°26′27.407″', () => {
+            expect(n.meanObliquity / ARCSEC).toBeCloseTo(23 * 3600 + 26 * 60 + 27.407, 2);
+        });
+
+        it('진 황도 경사각 ε = 23°26′36.850″', () => {
+            expect(n.trueObliquity / ARCSEC).toBeCloseTo(23 * 3600 + 26 * 60 + 36.850, 2);
+        });
+    });
+
+    describe('equationOfEquinoxes()', () => {
+        it('Δψ·cos ε 와 일치 (Meeus 예제 12.a: -0.2317초)', () => {
+            const eqeq = AstroApparent.equationOfEquinoxes(2446895.5);
+            expect(eqeq * AstroMath.R2H * 3600).toBeCloseTo(-0.2317, 3);
+        });
+    });
+
+    describe('aberration() - Meeus 예제 23.a', () => {
+        it('Δα = +30.045″, Δδ = +6.697″', () => {
+            const { dra, ddec } = AstroApparent.aberration(
+                41.547214 * AstroMath.D2R, 49.348483 * AstroMath.D2R, 2462088.69);
+
+            expect(dra / ARCSEC).toBeCloseTo(30.045, 1);
+            expect(ddec / ARCSEC).toBeCloseTo(6.697, 1);
+        });
+    });
+
+    describe('place() - Meeus 예제 23.a', () => {
+        it('겉보기 위치 α = 2h46m14.390s, δ = +49°21′07.45″', () => {
+            const { ra, dec } = AstroApparent.place(
+                41.054063 * AstroMath.D2R, 49.227750 * AstroMath.D2R, 2462088.69);
+
+            // 0.1″ 이내
+            expect(Math.abs(ra - (2 + 46 / 60 + 14.390 / 3600) * AstroMath.H2R) * Math.cos(dec) / ARCSEC).toBeLessThan(0.1);
+            expect(Math.abs(dec - (49 + 21 / 60 + 7.45 / 3600) * AstroMath.D2R) / ARCSEC).toBeLessThan(0.1);
+        });
+
+        it('적경은 0 ~ 2π 범위', () => {
+            const { ra } = AstroApparent.place(0.0001, 0, 2462088.69);
+            expect(ra).toBeGreaterThanOrEqual(0);
+            expect(ra).toBeLessThan(AstroMath.TPI);
+        });
+    });
+
+    describe('AstroMatrix.nutation()', () => {
+        it('장동 행렬은 회전 행렬 (전치 = 역행렬)', () => {
+            const N = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+            N.nutation(2446895.5);
+            const Nt = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+            Nt.transpose(N);
+            const product = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+            product.multiply(Nt, N);
+
+            expect(product.get(0, 0)).toBeCloseTo(1, 12);
+            expect(product.get(1, 1)).toBeCloseTo(1, 12);
+            expect(product.get(0, 1)).toBeCloseTo(0, 12);
+        });
+
+        it('춘분점 방향의 적경 변화는 Δψ·cos ε', () => {
+            const n = AstroApparent.nutation(2446895.5);
+            const N = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+            N.nutation(2446895.5);
+
+            const mean = new AstroVector(0, 0, 0);
+            mean.setSphe(0, 0);
+            const trueEqu = new AstroVector(0, 0, 0);
+            trueEqu.multiply(N, mean);
+
+            expect(trueEqu.lon() - AstroMath.TPI).toBeCloseTo(n.dpsi * Math.cos(n.trueObliquity), 10);
+        });
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview AstroMoon 단위 테스트
+ * 달 위치, 위상, 월령 계산 검증
+ *
+ * 검증 참고:
+ * - Jean Meeus, "Astronomical Algorithms" 예제 47.a, 48.a (1992년 4월 12일 0h TD)
+ * - 삭/망 시각: https://aa.usno.navy.mil/data/MoonPhases
+ */
+
+import { describe, it, expect } from 'vitest';
+import { AstroMoon } from '../core/ephemeris.js';
+import { AstroTime, AstroMath } from '../core/astronomy.js';
+
+describe('AstroMoon', () => {
+    describe('position() - Meeus 예제 47.a', () => {
+        const moon = AstroMoon.position(2448724.5);
+
+        it('겉보기 황경 133.167°, 황위 -3.229°', () => {
+            expect(moon.lon * AstroMath.R2D).toBeCloseTo(133.16726, 3);
+            expect(moon.lat * AstroMath.R2D).toBeCloseTo(-3.22913, 4);
+        });
+
+        it('적경 134.688°, 적위 13.768°', () => {
+            expect(moon.ra * AstroMath.R2D).toBeCloseTo(134.68847, 3);
+            expect(moon.dec * AstroMath.R2D).toBeCloseTo(13.76837, 3);
+        });
+
+        it('거리 368409.7 km', () => {
+            expect(moon.dist).toBeCloseTo(368409.7, 0);
+        });
+    });
+
+    describe('phase() - Meeus 예제 48.a', () => {
+        const phase = AstroMoon.phase(2448724.5);
+
+        it('위상각 69.08°, 밝은 면 비율 0.679', () => {
+            expect(phase.phaseAngle * AstroMath.R2D).toBeCloseTo(69.08, 1);
+            expect(phase.illumination).toBeCloseTo(0.679, 3);
+        });
+
+        it('밝은 가장자리 위치각 285.0°', () => {
+            expect(phase.brightLimbAngle * AstroMath.R2D).toBeCloseTo(285.0, 0);
+        });
+
+        it('상현 이후 차오르는 달', () => {
+            expect(phase.waxing).toBe(true);
+        });
+    });
+
+    describe('phase() - 삭과 망', () => {
+        it('삭(2024-01-11 11:57 UT) 무렵 밝은 면 0, 월령 0', () => {
+            const phase = AstroMoon.phase(AstroTime.jd(2024, 1, 11, 11, 57, 0));
+            expect(phase.illumination).toBeLessThan(0.01);
+            expect(Math.min(phase.age, AstroMath.mod(-phase.age, 29.53))).toBeLessThan(0.05);
+        });
+
+        it('망(2024-01-25 17:54 UT) 무렵 밝은 면 1, 월령 약 14.3일', () => {
+            const phase = AstroMoon.phase(AstroTime.jd(2024, 1, 25, 17, 54, 0));
+            expect(phase.illumination).toBeGreaterThan(0.99);
+            expect(phase.age).toBeCloseTo(14.25, 1);
+        });
+
+        it('월령은 삭 이후 경과 일수', () => {
+            const newMoon = AstroTime.jd(2024, 1, 11, 11, 57, 0);
+            const phase = AstroMoon.phase(newMoon + 7.0);
+            expect(phase.age).toBeCloseTo(7.0, 1);
+            expect(phase.waxing).toBe(true);
+        });
+
+        it('하현 이후는 기우는 달', () => {
+            // 2024-02-02 23:18 UT 하현
+            const phase = AstroMoon.phase(AstroTime.jd(2024, 2, 3, 12, 0, 0));
+            expect(phase.waxing).toBe(false);
+            expect(phase.illumination).toBeLessThan(0.5);
+        });
+    });
+
+    describe('topocentric() - 시차 보정', () => {
+        it('지평선 근처에서는 최대 약 1°까지 아래로 내려감', () => {
+            const jd = 2448724.5;
+            const geo = AstroMoon.position(jd);
+            // 달이 서쪽 지평선 근처에 오는 시간각(약 6h)을 만드는 지방 항성시
+            const lst = AstroTime.jd2Date(jd) + AstroMath.normalize((geo.ra + 6 * AstroMath.H2R) * AstroMath.R2H, 0, 24) / 24.0;
+            const topo = AstroMoon.topocentric(geo, lst, 0);
+            const sep = Math.acos(
+                Math.sin(geo.dec) * Math.sin(topo.dec) +
+                Math.cos(geo.dec) * Math.cos(topo.dec) * Math.cos(geo.ra - topo.ra)
+            ) * AstroMath.R2D;
+            expect(sep).toBeGreaterThan(0.9);
+            expect(sep).toBeLessThan(1.0);
+        });
+
+        it('천정에 있는 달은 시차 보정이 없음', () => {
+            const jd = 2448724.5;
+            const geo = AstroMoon.position(jd);
+            const lst = AstroTime.jd2Date(jd) + geo.ra * AstroMath.R2H / 24.0;
+            const topo = AstroMoon.topocentric(geo, lst, geo.dec);
+            expect(topo.ra).toBeCloseTo(geo.ra, 6);
+            // 편평도에 의한 미소 차이만 존재
+            expect(Math.abs(topo.dec - geo.dec) * AstroMath.R2D).toBeLessThan(0.02);
+        });
+    });
+});
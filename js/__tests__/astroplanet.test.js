@@ -0,0 +1,122 @@
+/**
+ * @fileoverview AstroPlanet 단위 테스트
+ * 행성 위치 및 겉보기 등급 계산 검증
+ *
+ * 검증 참고:
+ * - Jean Meeus, "Astronomical Algorithms" 예제 33.a (1992년 12월 20일 0h TD 금성)
+ * - 충/최대이각 일자: https://in-the-sky.org
+ */
+
+import { describe, it, expect } from 'vitest';
+import { AstroPlanet } from '../core/ephemeris.js';
+import { AstroTime, AstroMath } from '../core/astronomy.js';
+
+describe('AstroPlanet', () => {
+    describe('position() - Meeus 예제 33.a (금성)', () => {
+        const venus = AstroPlanet.position('venus', 2448976.5);
+
+        it('적경 316.1727°, 적위 -18.8880° (1′ 이내)', () => {
+            expect(Math.abs(venus.ra * AstroMath.R2D - 316.17273)).toBeLessThan(1 / 60);
+            expect(Math.abs(venus.dec * AstroMath.R2D - -18.88801)).toBeLessThan(1 / 60);
+        });
+
+        it('지구-금성 거리 0.911 AU', () => {
+            expect(venus.dist).toBeCloseTo(0.911, 2);
+        });
+
+        it('위상각 약 72.9°', () => {
+            expect(venus.phaseAngle * AstroMath.R2D).toBeCloseTo(72.9, 0);
+        });
+    });
+
+    describe('행성 배치', () => {
+        it('목성 충(2024-12-07): 태양 이각 약 180°, -2.8등급', () => {
+            const jupiter = AstroPlanet.position('jupiter', AstroTime.jd(2024, 12, 7, 0, 0, 0));
+            expect(jupiter.elongation * AstroMath.R2D).toBeGreaterThan(178);
+            expect(jupiter.magnitude).toBeCloseTo(-2.8, 1);
+        });
+
+        it('화성 충(2025-01-16): 태양 이각 약 180°, 밝은 등급', () => {
+            const mars = AstroPlanet.position('mars', AstroTime.jd(2025, 1, 16, 0, 0, 0));
+            expect(mars.elongation * AstroMath.R2D).toBeGreaterThan(175);
+            expect(mars.magnitude).toBeLessThan(-1.0);
+        });
+
+        it('금성 최대 동방이각(2025-01-10): 약 47°', () => {
+            const venus = AstroPlanet.position('venus', AstroTime.jd(2025, 1, 10, 0, 0, 0));
+            expect(venus.elongation * AstroMath.R2D).toBeCloseTo(47.2, 0);
+        });
+
+        it('내행성의 이각은 최대이각을 넘지 않음', () => {
+            for (let month = 1; month <= 12; month++) {
+                const jd = AstroTime.jd(2024, month, 1, 0, 0, 0);
+                expect(AstroPlanet.position('mercury', jd).elongation * AstroMath.R2D).toBeLessThan(28.5);
+                expect(AstroPlanet.position('venus', jd).elongation * AstroMath.R2D).toBeLessThan(47.9);
+            }
+        });
+
+        it('행성은 황도 근처(황위 ±8° 이내)에 위치', () => {
+            for (const planet of AstroPlanet.positions(AstroTime.jd(2024, 6, 1, 0, 0, 0))) {
+                expect(Math.abs(planet.lat * AstroMath.R2D)).toBeLessThan(8);
+            }
+        });
+    });
+
+    describe('겉보기 등급', () => {
+        it('각 행성의 등급이 현실적인 범위', () => {
+            const ranges = {
+                mercury: [-2.5, 5.8],
+                venus: [-4.9, -3.8],
+                mars: [-3.0, 1.9],
+                jupiter: [-3.0, -1.6],
+                saturn: [-0.6, 1.5],
+                uranus: [5.3, 6.1],
+                neptune: [7.6, 8.0]
+            };
+            for (let month = 1; month <= 12; month += 2) {
+                for (const planet of AstroPlanet.positions(AstroTime.jd(2024, month, 15, 0, 0, 0))) {
+                    const [min, max] = ranges[planet.name];
+                    expect(planet.magnitude).toBeGreaterThan(min);
+                    expect(planet.magnitude).toBeLessThan(max);
+                }
+            }
+        });
+    });
+
+    describe('1800~2050년 밖의 날짜', () => {
+        /** 두 행성 사이의 각거리 (도) */
+        const separation = (a, b) => Math.acos(Math.min(1,
+            Math.sin(a.dec) * Math.sin(b.dec) + Math.cos(a.dec) * Math.cos(b.dec) * Math.cos(a.ra - b.ra))) * AstroMath.R2D;
+
+        it('1623-07-16 목성-토성 대근접: 약 5′', () => {
+            const jd = AstroTime.jd(1623, 7, 16, 6, 0, 0, 'gregorian');
+            expect(separation(AstroPlanet.position('jupiter', jd), AstroPlanet.position('saturn', jd))).toBeLessThan(0.2);
+        });
+
+        it('기원전 501년 3월 1일(율리우스력): 목성 0.5°, 토성 1° 이내', () => {
+            // 기준값: VSOP87 기반 Astronomy Engine의 지심 겉보기 위치 (날짜의 진 적도)
+            const jd = AstroTime.jd(-500, 3, 1, 0, 0, 0, 'julian');
+            const expected = {
+                jupiter: { ra: 86.460 * AstroMath.D2R, dec: 24.321 * AstroMath.D2R, tolerance: 0.5 },
+                saturn: { ra: 60.987 * AstroMath.D2R, dec: 19.996 * AstroMath.D2R, tolerance: 1 },
+                mars: { ra: 312.335 * AstroMath.D2R, dec: -19.218 * AstroMath.D2R, tolerance: 0.5 }
+            };
+            for (const [name, { tolerance, ...position }] of Object.entries(expected)) {
+                expect(separation(AstroPlanet.position(name, jd), position)).toBeLessThan(tolerance);
+            }
+        });
+    });
+
+    describe('positions() / 입력 검증', () => {
+        it('NAMES 순서대로 7개 행성 반환', () => {
+            const list = AstroPlanet.positions(AstroTime.jd(2024, 1, 1, 0, 0, 0));
+            expect(list.map(p => p.name)).toEqual(AstroPlanet.NAMES);
+            expect(list).toHaveLength(7);
+        });
+
+        it('지원하지 않는 이름은 에러', () => {
+            expect(() => AstroPlanet.position('pluto', AstroMath.J2000)).toThrow();
+            expect(() => AstroPlanet.position('earth', AstroMath.J2000)).toThrow();
+        });
+    });
+});
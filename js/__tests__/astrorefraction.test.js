@@ -0,0 +1,77 @@
+/**
+ * @fileoverview AstroRefraction 단위 테스트
+ * 대기차와 지평선 강하 계산 검증
+ *
+ * 검증 참고:
+ * - Jean Meeus, "Astronomical Algorithms" 16장 (Bennett, Saemundsson 공식)
+ */
+
+import { describe, it, expect } from 'vitest';
+import { AstroRefraction, AstroMath } from '../core/astronomy.js';
+
+/** 라디안 → 각분 */
+const toArcmin = (rad) => rad * AstroMath.R2D * 60;
+
+describe('AstroRefraction', () => {
+    describe('bennett() - 겉보기 고도 기준', () => {
+        it('Meeus 예제 16.a: 겉보기 고도 0.5°에서 28.754′', () => {
+            expect(toArcmin(AstroRefraction.bennett(0.5 * AstroMath.D2R))).toBeCloseTo(28.754, 2);
+        });
+
+        it('지평선(0°)에서 약 34.5′, 천정에서 0', () => {
+            expect(toArcmin(AstroRefraction.bennett(0))).toBeCloseTo(34.48, 1);
+            expect(toArcmin(AstroRefraction.bennett(AstroMath.HPI))).toBeCloseTo(0, 2);
+        });
+
+        it('기압이 낮고 기온이 높으면 대기차가 줄어듦', () => {
+            const standard = AstroRefraction.bennett(0);
+            const thin = AstroRefraction.bennett(0, 700, 10);
+            const warm = AstroRefraction.bennett(0, 1010, 30);
+
+            expect(thin / standard).toBeCloseTo(700 / 1010, 6);
+            expect(warm / standard).toBeCloseTo(283 / 303, 6);
+        });
+
+        it('지평선 아래 깊은 고도에서도 유한한 값', () => {
+            const r = AstroRefraction.bennett(-5 * AstroMath.D2R);
+            expect(Number.isFinite(r)).toBe(true);
+            expect(r).toBeGreaterThan(0);
+        });
+    });
+
+    describe('saemundsson() - 실제 고도 기준', () => {
+        it('실제 고도 0°에서 약 29′', () => {
+            expect(toArcmin(AstroRefraction.saemundsson(0))).toBeCloseTo(28.98, 1);
+        });
+
+        it('Bennett 공식의 역변환과 0.1′ 이내로 일치', () => {
+            const apparent = 10 * AstroMath.D2R;
+            const trueAlt = apparent - AstroRefraction.bennett(apparent);
+            const back = trueAlt + AstroRefraction.saemundsson(trueAlt);
+            expect(Math.abs(toArcmin(back - apparent))).toBeLessThan(0.1);
+        });
+    });
+
+    describe('horizonDip() / standardPressure() / horizonAltitude()', () => {
+        it('지평선 강하: 해수면 0, 100m에서 17.6′', () => {
+            expect(AstroRefraction.horizonDip(0)).toBe(0);
+            expect(toArcmin(AstroRefraction.horizonDip(100))).toBeCloseTo(17.6, 6);
+        });
+
+        it('표준 대기압: 해수면 1010hPa, 3000m에서 약 700hPa', () => {
+            expect(AstroRefraction.standardPressure(0)).toBeCloseTo(1010, 6);
+            expect(AstroRefraction.standardPressure(3000)).toBeCloseTo(699, 0);
+        });
+
+        it('해수면에서 보이는 지평선의 실제 고도는 약 -34.5′', () => {
+            expect(toArcmin(AstroRefraction.horizonAltitude(0))).toBeCloseTo(-34.48, 1);
+        });
+
+        it('높은 곳일수록 지평선이 더 낮다', () => {
+            const sea = AstroRefraction.horizonAltitude(0);
+            const mountain = AstroRefraction.horizonAltitude(3000);
+            expect(mountain).toBeLessThan(sea);
+            expect(toArcmin(mountain)).toBeLessThan(-120);
+        });
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview AstroRiseSet 단위 테스트
+ * 출몰(Rise/Transit/Set) 시각 계산 검증
+ *
+ * 검증 참고:
+ * - Jean Meeus, "Astronomical Algorithms" 예제 15.a (1988년 3월 20일 보스턴의 금성)
+ * - 한국천문연구원 천문우주지식정보 출몰시각 (서울)
+ */
+
+import { describe, it, expect } from 'vitest';
+import { AstroRiseSet } from '../core/riseset.js';
+import { AstroTime, AstroMath } from '../core/astronomy.js';
+
+/** 시:분 → 시간 */
+const hm = (h, m) => h + m / 60;
+
+describe('AstroRiseSet', () => {
+    describe('compute() - Meeus 예제 15.a (보스턴, 금성)', () => {
+        const boston = new AstroRiseSet(new AstroTime(0, -71.0833, 42.3333));
+        const { rise, transit, set } = boston.compute('venus', 1988, 3, 20);
+
+        it('뜨는 시각 12h25m UT', () => {
+            expect(Math.abs(rise.hours - hm(12, 25))).toBeLessThan(1 / 60);
+        });
+
+        it('남중 시각 19h41m UT', () => {
+            expect(Math.abs(transit.hours - hm(19, 41))).toBeLessThan(1 / 60);
+        });
+
+        it('지는 시각 2h55m UT', () => {
+            expect(Math.abs(set.hours - hm(2, 55))).toBeLessThan(1 / 60);
+        });
+
+        it('남중 방위각 180°, 뜨는 방위각은 동쪽, 지는 방위각은 서쪽', () => {
+            expect(transit.azimuth * AstroMath.R2D).toBeCloseTo(180, 2);
+            expect(rise.azimuth * AstroMath.R2D).toBeGreaterThan(0);
+            expect(rise.azimuth * AstroMath.R2D).toBeLessThan(180);
+            expect(set.azimuth * AstroMath.R2D).toBeGreaterThan(180);
+        });
+    });
+
+    describe('compute() - 서울 (UTC+9)', () => {
+        const seoul = new AstroRiseSet(new AstroTime(9, 126.98, 37.57));
+
+        it('2024년 하지 태양: 일출 05:11, 일몰 19:57 (±1분)', () => {
+            const { rise, set } = seoul.compute('sun', 2024, 6, 21);
+            expect(Math.abs(rise.hours - hm(5, 11))).toBeLessThan(1.5 / 60);
+            expect(Math.abs(set.hours - hm(19, 57))).toBeLessThan(1.5 / 60);
+        });
+
+        it('출몰 시각의 고도는 기준 고도(-대기차 34.5′ - 시반경 15.7′)', () => {
+            const { rise } = seoul.compute('sun', 2024, 6, 21);
+            expect(rise.altitude * AstroMath.R2D).toBeCloseTo(-0.837, 2);
+        });
+
+        it('해발 고도가 높으면 지평선 강하로 일찍 뜨고 늦게 진다', () => {
+            const mountain = new AstroRiseSet(new AstroTime(9, 126.98, 37.57, 3000));
+            const sea = seoul.compute('sun', 2024, 6, 21);
+            const top = mountain.compute('sun', 2024, 6, 21);
+
+            // 3000m: 강하 약 1.6°, 일출이 약 7~10분 빨라짐
+            const earlier = (sea.rise.hours - top.rise.hours) * 60;
+            expect(earlier).toBeGreaterThan(5);
+            expect(earlier).toBeLessThan(15);
+            expect(top.set.hours).toBeGreaterThan(sea.set.hours);
+        });
+
+        it('기압이 낮고 기온이 높으면 대기차가 줄어 늦게 뜬다', () => {
+            const thin = new AstroRiseSet(new AstroTime(9, 126.98, 37.57), { pressure: 700, temperature: 30 });
+            const { rise } = thin.compute('sun', 2024, 6, 21);
+            const sea = seoul.compute('sun', 2024, 6, 21);
+
+            expect(rise.hours).toBeGreaterThan(sea.rise.hours);
+        });
+
+        it('J2000.0 좌표의 고정 천체 (안타레스)', () => {
+            const antares = { ra: hm(16, 29.4) * AstroMath.H2R, dec: -26.432 * AstroMath.D2R };
+            const { rise, transit, set } = seoul.compute(antares, 2024, 6, 21);
+
+            // 남중 고도 = 90° - 37.57° - 26.43° ≈ 26°
+            expect(transit.altitude * AstroMath.R2D).toBeCloseTo(90 - 37.57 - 26.43, 0);
+            expect(rise.hours).toBeGreaterThan(18);
+            expect(set.hours).toBeLessThan(5);
+        });
+
+        it('주극성 (북극성): 출몰 없음', () => {
+            const polaris = { ra: hm(2, 31.8) * AstroMath.H2R, dec: 89.264 * AstroMath.D2R };
+            const result = seoul.compute(polaris, 2024, 6, 21);
+
+            expect(result.circumpolar).toBe(true);
+            expect(result.neverRises).toBe(false);
+            expect(result.rise).toBeNull();
+            expect(result.set).toBeNull();
+        });
+
+        it('뜨지 않는 천체 (적위 -70°)', () => {
+            const result = seoul.compute({ ra: 0, dec: -70 * AstroMath.D2R }, 2024, 6, 21);
+
+            expect(result.neverRises).toBe(true);
+            expect(result.circumpolar).toBe(false);
+            expect(result.rise).toBeNull();
+            expect(result.set).toBeNull();
+        });
+
+        it('위치 함수와 기준 고도 옵션', () => {
+            const fixed = () => ({ ra: 0, dec: 0 });
+            const horizon = seoul.compute(fixed, 2024, 3, 20, { refraction: 0 });
+            const above = seoul.compute(fixed, 2024, 3, 20, { altitude: 10 * AstroMath.D2R, refraction: 0 });
+
+            // 적도 위 천체는 지평선에서 6시간 뒤 남중
+            expect(AstroMath.normalize(horizon.transit.hours - horizon.rise.hours, 0, 24)).toBeCloseTo(6 / 1.0027379, 1);
+            // 더 높은 기준 고도는 늦게 뜬다
+            expect(AstroMath.normalize(above.rise.hours - horizon.rise.hours, 0, 24)).toBeGreaterThan(0.5);
+        });
+
+        it('twilight() - 2024년 하지 박명 (시민 20:28, 천문 21:51 ±2분)', () => {
+            const { horizon, civil, nautical, astronomical } = seoul.twilight(2024, 6, 21);
+
+            expect(Math.abs(civil.dusk.hours - hm(20, 28))).toBeLessThan(2 / 60);
+            expect(Math.abs(astronomical.dusk.hours - hm(21, 51))).toBeLessThan(2 / 60);
+            expect(Math.abs(civil.dawn.hours - hm(4, 40))).toBeLessThan(2 / 60);
+
+            // 일몰 → 시민 → 항해 → 천문 박명 순서
+            expect(horizon.dusk.hours).toBeLessThan(civil.dusk.hours);
+            expect(civil.dusk.hours).toBeLessThan(nautical.dusk.hours);
+            expect(nautical.dusk.hours).toBeLessThan(astronomical.dusk.hours);
+            expect(astronomical.dawn.hours).toBeLessThan(nautical.dawn.hours);
+        });
+
+        it('twilight() - 박명 종료 시 태양 고도는 -6°/-12°/-18°', () => {
+            const { civil, nautical, astronomical } = seoul.twilight(2024, 12, 21);
+
+            expect(civil.dusk.altitude * AstroMath.R2D).toBeCloseTo(-6, 3);
+            expect(nautical.dusk.altitude * AstroMath.R2D).toBeCloseTo(-12, 3);
+            expect(astronomical.dusk.altitude * AstroMath.R2D).toBeCloseTo(-18, 3);
+        });
+
+        it('twilight() - 백야 (오슬로 하지): 항해/천문 박명이 끝나지 않음', () => {
+            const oslo = new AstroRiseSet(new AstroTime(1, 10.75, 59.91));
+            const { civil, nautical, astronomical } = oslo.twilight(2024, 6, 21);
+
+            expect(civil.dusk).not.toBeNull();
+            expect(nautical.dusk).toBeNull();
+            expect(nautical.alwaysAbove).toBe(true);
+            expect(astronomical.alwaysAbove).toBe(true);
+            expect(astronomical.alwaysBelow).toBe(false);
+        });
+
+        it('지원하지 않는 천체 이름은 예외', () => {
+            expect(() => seoul.compute('pluto', 2024, 6, 21)).toThrow('Unknown body');
+        });
+    });
+});
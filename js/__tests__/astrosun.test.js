@@ -0,0 +1,72 @@
+/**
+ * @fileoverview AstroSun 단위 테스트
+ * 태양 위치 계산 검증
+ *
+ * 검증 참고:
+ * - Jean Meeus, "Astronomical Algorithms" 예제 25.a (1992년 10월 13일 0h TD)
+ */
+
+import { describe, it, expect } from 'vitest';
+import { AstroSun } from '../core/ephemeris.js';
+import { AstroTime, AstroMath } from '../core/astronomy.js';
+
+describe('AstroSun', () => {
+    describe('position() - Meeus 예제 25.a', () => {
+        const sun = AstroSun.position(2448908.5);
+
+        it('겉보기 황경 199.90895°', () => {
+            expect(sun.lon * AstroMath.R2D).toBeCloseTo(199.90895, 3);
+        });
+
+        it('참 황경 199.90988°', () => {
+            expect(sun.trueLon * AstroMath.R2D).toBeCloseTo(199.90988, 3);
+        });
+
+        it('적경 198.38083°, 적위 -7.78507°', () => {
+            expect(sun.ra * AstroMath.R2D).toBeCloseTo(198.38083, 3);
+            expect(sun.dec * AstroMath.R2D).toBeCloseTo(-7.78507, 3);
+        });
+
+        it('거리 0.99766 AU', () => {
+            expect(sun.dist).toBeCloseTo(0.99766, 4);
+        });
+    });
+
+    describe('분점과 지점', () => {
+        it('춘분 무렵 황경 0°, 적위 0° 근처', () => {
+            // 2024년 춘분: 3월 20일 03:06 UT
+            const sun = AstroSun.position(AstroTime.jd(2024, 3, 20, 3, 6, 0));
+            const lon = AstroMath.normalize(sun.lon * AstroMath.R2D, -180, 180);
+            expect(Math.abs(lon)).toBeLessThan(0.02);
+            expect(Math.abs(sun.dec * AstroMath.R2D)).toBeLessThan(0.02);
+        });
+
+        it('하지 무렵 적위는 황도 경사각(약 23.44°)', () => {
+            // 2024년 하지: 6월 20일 20:51 UT
+            const sun = AstroSun.position(AstroTime.jd(2024, 6, 20, 20, 51, 0));
+            expect(sun.lon * AstroMath.R2D).toBeCloseTo(90, 1);
+            expect(sun.dec * AstroMath.R2D).toBeCloseTo(23.44, 1);
+            expect(sun.ra * AstroMath.R2H).toBeCloseTo(6, 1);
+        });
+
+        it('근일점(1월 초)과 원일점(7월 초) 거리', () => {
+            const perihelion = AstroSun.position(AstroTime.jd(2024, 1, 3, 0, 0, 0));
+            const aphelion = AstroSun.position(AstroTime.jd(2024, 7, 5, 0, 0, 0));
+            expect(perihelion.dist).toBeCloseTo(0.9833, 3);
+            expect(aphelion.dist).toBeCloseTo(1.0167, 3);
+        });
+    });
+
+    describe('반환값 범위', () => {
+        it('적경과 황경은 0 ~ 2π', () => {
+            for (let month = 1; month <= 12; month++) {
+                const sun = AstroSun.position(AstroTime.jd(2024, month, 1, 0, 0, 0));
+                expect(sun.ra).toBeGreaterThanOrEqual(0);
+                expect(sun.ra).toBeLessThan(AstroMath.TPI);
+                expect(sun.lon).toBeGreaterThanOrEqual(0);
+                expect(sun.lon).toBeLessThan(AstroMath.TPI);
+                expect(Math.abs(sun.dec)).toBeLessThan(23.5 * AstroMath.D2R);
+            }
+        });
+    });
+});
@@ -121,6 +121,61 @@ describe('AstroTime', () => {
         });
     });
 
+    describe('jd() / jd2Calendar() - 율리우스력/그레고리력과 기원전', () => {
+        it('Meeus 예제 7.b: 333년 1월 27일 12시는 율리우스력 (JD 1842713.0)', () => {
+            expect(AstroTime.jd(333, 1, 27, 12, 0, 0)).toBeCloseTo(1842713.0, 6);
+        });
+
+        it('기원전 585년 5월 28일 (천문학적 연도 -584) = JD 1507900.13', () => {
+            const jd = AstroTime.jd(-584, 5, 28, 15, 7, 12);
+            expect(jd).toBeCloseTo(1507900.13, 6);
+        });
+
+        it('1582년 10월 4일(율리우스력) 다음 날은 10월 15일(그레고리력)', () => {
+            const oct4 = AstroTime.jd(1582, 10, 4, 0, 0, 0);
+            const oct15 = AstroTime.jd(1582, 10, 15, 0, 0, 0);
+            expect(oct15 - oct4).toBe(1);
+            expect(oct15).toBe(AstroTime.GREGORIAN_REFORM);
+        });
+
+        it('역법 지정: 역산 그레고리력은 JavaScript Date와 일치', () => {
+            const date = new Date(Date.UTC(2000, 0, 1));
+            date.setUTCFullYear(1000, 6, 4);
+            const unixJd = date.getTime() / 86400000 + 2440587.5;
+            expect(AstroTime.jd(1000, 7, 4, 0, 0, 0, 'gregorian')).toBeCloseTo(unixJd, 6);
+            expect(AstroTime.jd(1000, 7, 4, 0, 0, 0, 'julian') - unixJd).toBe(6);
+        });
+
+        it('Meeus 예제 7.c: JD 2436116.31 = 1957년 10월 4.81일', () => {
+            const d = AstroTime.jd2Calendar(2436116.31);
+            expect([d.year, d.month, d.day]).toEqual([1957, 10, 4]);
+            expect(d.hour + d.minute / 60).toBeCloseTo(0.81 * 24, 1);
+        });
+
+        it('기원전/율리우스력 날짜 역변환', () => {
+            expect(AstroTime.jd2Calendar(1842713.0)).toEqual({ year: 333, month: 1, day: 27, hour: 12, minute: 0, second: 0 });
+            expect(AstroTime.jd2Calendar(1507900.13)).toEqual({ year: -584, month: 5, day: 28, hour: 15, minute: 7, second: 12 });
+            expect(AstroTime.jd2Calendar(1842713.0, 'gregorian').day).toBe(28);
+        });
+
+        it('jd()와 jd2Calendar()는 서로 역변환 (세 가지 역법)', () => {
+            for (const calendar of AstroTime.CALENDARS) {
+                for (const [y, m, d] of [[-4000, 2, 29], [-1, 12, 31], [0, 3, 1], [1092, 6, 1], [1582, 10, 4], [1582, 10, 15], [2024, 2, 29]]) {
+                    const jd = AstroTime.jd(y, m, d, 21, 30, 0, calendar);
+                    expect(AstroTime.jd2Calendar(jd, calendar)).toEqual({ year: y, month: m, day: d, hour: 21, minute: 30, second: 0 });
+                }
+            }
+        });
+
+        it('윤년 규칙: 1582년 이전은 율리우스력', () => {
+            expect(AstroTime.isLeapYear(1500)).toBe(true);
+            expect(AstroTime.isLeapYear(1500, 'gregorian')).toBe(false);
+            expect(AstroTime.isLeapYear(1900, 'julian')).toBe(true);
+            expect(AstroTime.isLeapYear(-4)).toBe(true);
+            expect(AstroTime.monthDayCounts(1300)[1]).toBe(29);
+        });
+    });
+
     describe('jd2Date() / jd2Time() - JD 분해', () => {
         it('JD에서 날짜 부분 추출', () => {
             const jd = AstroTime.jd(2024, 1, 15, 18, 30, 0);
@@ -203,6 +258,74 @@ describe('AstroTime', () => {
                 expect(eot).toBeLessThan(18);
             }
         });
+
+        it('equationOfTime() - Meeus 예제 28.b: 1992년 10월 13일 0h, +13분 42.7초', () => {
+            expect(AstroTime.equationOfTime(2448908.5)).toBeCloseTo(13 + 42.7 / 60, 1);
+        });
+
+        it('율리우스력 날짜는 같은 날의 그레고리력 날짜와 같은 값', () => {
+            // 1200년 2월 1일(율리우스력)은 그레고리력으로 2월 8일
+            const jd = AstroTime.jd(1200, 2, 1, 12, 0, 0, 'julian');
+            const { year, month, day } = AstroTime.jd2Calendar(jd, 'gregorian');
+            expect([year, month, Math.floor(day)]).toEqual([1200, 2, 8]);
+            const julian = AstroTime.equationOfTimeMinutes(1200, 2, 1, 'julian');
+            expect(julian).toBeCloseTo(AstroTime.equationOfTimeMinutes(1200, 2, 8, 'gregorian'), 6);
+            expect(julian).not.toBeCloseTo(AstroTime.equationOfTimeMinutes(1200, 2, 1, 'gregorian'), 0);
+        });
+    });
+
+    describe('deltaT() - ΔT(TT - UT)', () => {
+        it('Meeus 예제 10.a: 1977년 2월 18일 약 48초', () => {
+            const ut = AstroTime.jd(1977, 2, 18, 3, 37, 40);
+            expect(AstroTime.deltaT(AstroTime.decimalYear(ut))).toBeCloseTo(48, 0);
+        });
+
+        it('표 범위: 관측값과 일치 (1900년 -2.8초, 2000년 63.8초)', () => {
+            expect(AstroTime.deltaT(1900)).toBeCloseTo(-2.8, 6);
+            expect(AstroTime.deltaT(2000)).toBeCloseTo(63.8, 6);
+        });
+
+        it('표 이전: Espenak & Meeus 다항식 (서기 0년 약 10580초, 1000년 약 1570초)', () => {
+            expect(Math.abs(AstroTime.deltaT(0) - 10580)).toBeLessThan(10);
+            expect(Math.abs(AstroTime.deltaT(1000) - 1570)).toBeLessThan(10);
+            expect(Math.abs(AstroTime.deltaT(-500) - 17190)).toBeLessThan(20);
+        });
+
+        it('표와 다항식의 경계에서 연속', () => {
+            expect(AstroTime.deltaT(1619.999)).toBeCloseTo(AstroTime.deltaT(1620), 1);
+            expect(AstroTime.deltaT(2024.001)).toBeCloseTo(AstroTime.deltaT(2024), 1);
+            expect(AstroTime.deltaT(2049.999)).toBeCloseTo(AstroTime.deltaT(2050), 1);
+        });
+
+        it('미래는 증가하는 방향으로 외삽', () => {
+            expect(AstroTime.deltaT(2030)).toBeGreaterThan(AstroTime.deltaT(2024));
+            expect(AstroTime.deltaT(2100)).toBeGreaterThan(100);
+        });
+    });
+
+    describe('UT2TT() / TT2UT() / TT2TDB() - 역학시', () => {
+        it('2000년: TT = UT + 63.8초', () => {
+            const ut = AstroTime.jd(2000, 1, 1, 12, 0, 0);
+            expect((AstroTime.UT2TT(ut) - ut) * 86400).toBeCloseTo(63.8, 3);
+        });
+
+        it('TT2UT는 UT2TT의 역변환', () => {
+            const ut = AstroTime.jd(-584, 5, 28, 12, 0, 0);
+            expect(AstroTime.TT2UT(AstroTime.UT2TT(ut))).toBeCloseTo(ut, 6);
+        });
+
+        it('TDB - TT는 ±1.7ms 이내의 주기 변화', () => {
+            for (let month = 1; month <= 12; month++) {
+                const tt = AstroTime.jd(2024, month, 1, 0, 0, 0);
+                const diff = (AstroTime.TT2TDB(tt) - tt) * 86400;
+                expect(Math.abs(diff)).toBeLessThan(0.0017);
+            }
+        });
+
+        it('UT2TDB = TT2TDB(UT2TT)', () => {
+            const ut = AstroTime.jd(2024, 6, 21, 12, 0, 0);
+            expect(AstroTime.UT2TDB(ut)).toBe(AstroTime.TT2TDB(AstroTime.UT2TT(ut)));
+        });
     });
 
     describe('시간 변환 체인', () => {
@@ -219,6 +342,11 @@ describe('AstroTime', () => {
             expect(astroTime.glat).toBeCloseTo(37.57 * AstroMath.D2R, 8);
         });
 
+        it('생성자: 해발 고도 (기본값 0m)', () => {
+            expect(astroTime.elevation).toBe(0);
+            expect(new AstroTime(9, 126.98, 37.57, 1950).elevation).toBe(1950);
+        });
+
         it('LCT → UT → LCT 왕복 변환', () => {
             const lct = AstroTime.jd(2024, 6, 21, 21, 0, 0); // 한국 시간 21시
             const ut = astroTime.LCT2UT(lct);
@@ -251,6 +379,32 @@ describe('AstroTime', () => {
             // LST는 LCT와 다름 (항성시는 태양시보다 빠름)
             expect(lst).not.toBeCloseTo(lct, 2);
         });
+
+        it('HAFromDec() - 관측지 위도로 시간각 계산', () => {
+            // 적위 0°인 천체가 지평선(고도 0°)에 있을 때 시간각은 90°
+            expect(astroTime.HAFromDec(0, 0) * AstroMath.R2D).toBeCloseTo(90, 8);
+            // 천정(고도 90° - 위도 + 적위)에서 남중할 때 시간각 0°
+            const dec = 37.57 * AstroMath.D2R;
+            expect(astroTime.HAFromDec(AstroMath.HPI, dec)).toBeCloseTo(0, 4);
+            // 도달할 수 없는 고도는 NaN
+            expect(astroTime.HAFromDec(80 * AstroMath.D2R, -30 * AstroMath.D2R)).toBeNaN();
+        });
+
+        it('UT2GAST() - Meeus 예제 12.a (1987년 4월 10일 0h UT)', () => {
+            const ut = 2446895.5;
+            // 평균 항성시 13h10m46.3668s, 겉보기 항성시 13h10m46.1351s
+            expect(AstroTime.jd2Time(AstroTime.UT2GST(ut)) * 3600).toBeCloseTo(13 * 3600 + 10 * 60 + 46.3668, 2);
+            expect(AstroTime.jd2Time(AstroTime.UT2GAST(ut)) * 3600).toBeCloseTo(13 * 3600 + 10 * 60 + 46.1351, 2);
+        });
+
+        it('LCT → LAST: 평균 항성시와 분점차만큼 차이', () => {
+            const lct = AstroTime.jd(2024, 6, 21, 21, 0, 0);
+            const diffSec = (astroTime.LCT2LAST(lct) - astroTime.LCT2LST(lct)) * 86400;
+
+            // 분점차는 최대 약 ±1.2초
+            expect(Math.abs(diffSec)).toBeLessThan(1.2);
+            expect(Math.abs(diffSec)).toBeGreaterThan(0);
+        });
     });
 
     describe('lasn() / lamn() - 진정오/진정자정', () => {
@@ -320,6 +474,11 @@ describe('AstroTime', () => {
             expect(hour).toBeCloseTo(lasn, 6);
         });
 
+        it('LASN 모드는 역법을 반영 (율리우스력 1200-02-01 = 그레고리력 1200-02-08)', () => {
+            const julian = astroTime.hourForDateRing(1200, 2, 1, 'LASN', 0, 'julian');
+            expect(julian).toBeCloseTo(astroTime.lasn(1200, 2, 8, 0, 'gregorian'), 6);
+        });
+
         it('LAMN 모드: 진정자정 반환', () => {
             const hour = astroTime.hourForDateRing(2024, 6, 21, 'LAMN');
             const lamn = astroTime.lamn(2024, 6, 21);
@@ -223,6 +223,23 @@ describe('AstroMatrix', () => {
             expect(m.get(1, 1)).toBeCloseTo(-0.4503470, 6);
         });
 
+        it('gal2equJ2000() - 은하 북극과 은하 중심의 J2000.0 적경/적위', () => {
+            const m = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+            m.gal2equJ2000();
+            const gal = new AstroVector(0, 0, 0);
+            const equ = new AstroVector(0, 0, 0);
+
+            gal.setSphe(0, AstroMath.HPI);
+            equ.multiply(m, gal);
+            expect(equ.lon() * AstroMath.R2D).toBeCloseTo(192.859, 2);
+            expect(equ.lat() * AstroMath.R2D).toBeCloseTo(27.128, 2);
+
+            gal.setSphe(0, 0);
+            equ.multiply(m, gal);
+            expect(equ.lon() * AstroMath.R2D).toBeCloseTo(266.405, 2);
+            expect(equ.lat() * AstroMath.R2D).toBeCloseTo(-28.936, 2);
+        });
+
         it('ecl2equ() / equ2ecl() - 황도 ↔ 적도', () => {
             const jd = AstroTime.jd(2024, 6, 21, 12, 0, 0);
 
@@ -262,6 +279,53 @@ describe('AstroMatrix', () => {
             expect(product.get(2, 2)).toBeCloseTo(1, 6);
         });
     });
+
+    describe('세차 행렬', () => {
+        it('precession() - Meeus 예제 21.b (θ Persei)', () => {
+            // J2000.0: α = 41.054063°, δ = 49.227750° (고유운동 적용 후)
+            const j2000 = new AstroVector(0, 0, 0);
+            j2000.setSphe(41.054063 * AstroMath.D2R, 49.227750 * AstroMath.D2R);
+
+            const P = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+            P.precession(2462088.69);
+
+            const ofDate = new AstroVector(0, 0, 0);
+            ofDate.multiply(P, j2000);
+
+            // 2028-11-13.19: α = 41.547214°, δ = 49.348483°
+            expect(ofDate.lon() * AstroMath.R2D).toBeCloseTo(41.547214, 5);
+            expect(ofDate.lat() * AstroMath.R2D).toBeCloseTo(49.348483, 5);
+        });
+
+        it('precession() - J2000.0에서는 단위 행렬', () => {
+            const P = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+            P.precession(AstroMath.J2000);
+
+            expect(P.get(0, 0)).toBeCloseTo(1, 12);
+            expect(P.get(1, 1)).toBeCloseTo(1, 12);
+            expect(P.get(2, 2)).toBeCloseTo(1, 12);
+            expect(P.get(0, 1)).toBeCloseTo(0, 12);
+            expect(P.get(2, 0)).toBeCloseTo(0, 12);
+        });
+
+        it('transpose() - 세차 행렬의 역변환', () => {
+            const P = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+            P.precession(AstroTime.jd(2100, 1, 1, 0, 0, 0));
+
+            const Pt = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+            Pt.transpose(P);
+            expect(Pt.get(0, 1)).toBe(P.get(1, 0));
+
+            const product = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+            product.multiply(Pt, P);
+
+            expect(product.get(0, 0)).toBeCloseTo(1, 12);
+            expect(product.get(1, 1)).toBeCloseTo(1, 12);
+            expect(product.get(2, 2)).toBeCloseTo(1, 12);
+            expect(product.get(0, 2)).toBeCloseTo(0, 12);
+            expect(product.get(1, 2)).toBeCloseTo(0, 12);
+        });
+    });
 });
 
 describe('좌표 변환 통합 테스트', () => {
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview AstroConstellation 단위 테스트
+ * IAU 별자리 목록, B1875.0 경계 판별, 경계선 세차 보정 검증
+ */
+
+import { describe, it, expect } from 'vitest';
+import { AstroConstellation } from '../core/constellation.js';
+import { StarCatalog } from '../core/catalog.js';
+import { AstroPlanet } from '../core/ephemeris.js';
+import { AstroMath, AstroTime, AstroVector, AstroMatrix } from '../core/astronomy.js';
+
+describe('AstroConstellation', () => {
+    describe('별자리 목록', () => {
+        it('88개 별자리, IAU 약자로 찾기 (대소문자 무시)', () => {
+            expect(AstroConstellation.all.length).toBe(88);
+            expect(AstroConstellation.byAbbr('uma')).toEqual({ abbr: 'UMa', latin: 'Ursa Major', english: 'Great Bear', name: '큰곰자리' });
+            expect(AstroConstellation.byAbbr('Xyz')).toBeNull();
+        });
+    });
+
+    describe('find()', () => {
+        it('바이어/플램스티드 명칭이 있는 모든 별이 명칭의 별자리 안에 있음', () => {
+            const catalog = StarCatalog.default;
+            const mismatches = [];
+            for (let i = 0; i < catalog.size; i++) {
+                const star = catalog.star(i);
+                if (!star.constellation) continue;
+                const { abbr } = AstroConstellation.find(star.ra, star.dec);
+                if (abbr !== star.constellation) mismatches.push(star.designation);
+            }
+            expect(mismatches).toEqual([]);
+        });
+
+        it('천구의 북극/남극', () => {
+            expect(AstroConstellation.find(0, AstroMath.HPI).abbr).toBe('UMi');
+            expect(AstroConstellation.find(0, -AstroMath.HPI).abbr).toBe('Oct');
+        });
+
+        it('날짜의 분점 좌표는 그 분점으로 판별', () => {
+            const jd = AstroTime.jd(2100, 1, 1, 0, 0, 0);
+            const P = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+            P.precession(jd);
+            const j2000 = new AstroVector(0, 0, 0);
+            const ofDate = new AstroVector(0, 0, 0);
+            for (const name of ['Polaris', 'Alnilam', 'Acrux', 'Fomalhaut']) {
+                const star = StarCatalog.default.findByName(name);
+                j2000.setSphe(star.ra, star.dec);
+                ofDate.multiply(P, j2000);
+                expect(AstroConstellation.find(ofDate.lon(), ofDate.lat(), jd).abbr).toBe(star.constellation);
+            }
+        });
+
+        it('2024년 12월 충의 목성은 황소자리', () => {
+            const jd = AstroTime.jd(2024, 12, 7, 0, 0, 0);
+            const jupiter = AstroPlanet.position('jupiter', jd);
+            expect(AstroConstellation.find(jupiter.ra, jupiter.dec, jd).name).toBe('황소자리');
+        });
+
+        it('적위 범위를 벗어나면 RangeError', () => {
+            expect(() => AstroConstellation.find(0, 2)).toThrow(RangeError);
+            expect(() => AstroConstellation.find(0, NaN)).toThrow(RangeError);
+        });
+    });
+
+    describe('boundaryLines()', () => {
+        it('J2000.0 라디안 꺾은선, 이웃한 점 사이는 2° 이하', () => {
+            const lines = AstroConstellation.boundaryLines();
+            expect(AstroConstellation.boundaryLines()).toBe(lines);
+            const a = new AstroVector(0, 0, 0);
+            const b = new AstroVector(0, 0, 0);
+            let maxStep = 0;
+            for (const line of lines) {
+                for (let i = 0; i < line.length - 2; i += 2) {
+                    a.setSphe(line[i], line[i + 1]);
+                    b.setSphe(line[i + 2], line[i + 3]);
+                    maxStep = Math.max(maxStep, Math.acos(Math.min(1, a.x * b.x + a.y * b.y + a.z * b.z)));
+                }
+            }
+            expect(maxStep).toBeLessThanOrEqual(2.01 * AstroMath.D2R);
+        });
+
+        it('경계선 양쪽의 별자리가 다름', () => {
+            // 각 선분의 중점에서 수직 방향으로 조금 떨어진 두 점은 서로 다른 별자리
+            const offset = 0.05 * AstroMath.D2R;
+            let checked = 0;
+            for (const line of AstroConstellation.boundaryLines()) {
+                const ra1 = line[0], dec1 = line[1], ra2 = line[2], dec2 = line[3];
+                let dRA = ra2 - ra1;
+                if (dRA > Math.PI) dRA -= AstroMath.TPI;
+                if (dRA < -Math.PI) dRA += AstroMath.TPI;
+                const ra = ra1 + dRA / 2;
+                const dec = (dec1 + dec2) / 2;
+                if (Math.abs(dec) > 80 * AstroMath.D2R) continue;
+                // 적위선 방향이면 남북으로, 적경선 방향이면 동서로 벌림
+                const alongRA = Math.abs(dRA * Math.cos(dec)) > Math.abs(dec2 - dec1);
+                const [p, q] = alongRA
+                    ? [[ra, dec + offset], [ra, dec - offset]]
+                    : [[ra + offset / Math.cos(dec), dec], [ra - offset / Math.cos(dec), dec]];
+                expect(AstroConstellation.find(...p).abbr).not.toBe(AstroConstellation.find(...q).abbr);
+                checked++;
+            }
+            expect(checked).toBeGreaterThan(200);
+        });
+    });
+});
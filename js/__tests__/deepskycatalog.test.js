@@ -0,0 +1,67 @@
+/**
+ * @fileoverview DeepSkyCatalog 단위 테스트
+ * 메시에/칼드웰 목록 파싱, 번호/명칭 검색, 조건 검색 검증
+ */
+
+import { describe, it, expect } from 'vitest';
+import { DeepSkyCatalog } from '../core/catalog.js';
+import { AstroMath } from '../core/astronomy.js';
+
+describe('DeepSkyCatalog', () => {
+    const catalog = DeepSkyCatalog.default;
+
+    describe('파싱', () => {
+        it('메시에 110개 + 칼드웰 109개', () => {
+            expect(catalog.size).toBe(219);
+            expect(catalog.filter({ catalog: 'M' }).length).toBe(110);
+            expect(catalog.filter({ catalog: 'C' }).length).toBe(109);
+        });
+
+        it('모든 천체의 종류는 DeepSkyCatalog.TYPES 중 하나', () => {
+            expect(catalog.types.every(type => DeepSkyCatalog.TYPES.includes(type))).toBe(true);
+        });
+
+        it('M31 안드로메다은하: 좌표(라디안), 등급, 크기', () => {
+            const m31 = catalog.findById('M31');
+            expect(m31.type).toBe('galaxy');
+            expect(m31.ra * AstroMath.R2D / 15).toBeCloseTo(0.712, 2);
+            expect(m31.dec * AstroMath.R2D).toBeCloseTo(41.27, 1);
+            expect(m31.mag).toBeCloseTo(3.4, 1);
+            expect(m31.majorAxis * AstroMath.R2D * 60).toBeCloseTo(190, 0);
+            expect(m31.minorAxis).toBeLessThan(m31.majorAxis);
+            expect(m31.nameEn).toBe('Andromeda Galaxy');
+        });
+
+        it('등급이 없는 천체는 NaN', () => {
+            expect(catalog.findById('C99').mag).toBeNaN();
+        });
+    });
+
+    describe('findById()', () => {
+        it('메시에/칼드웰 번호 (공백/대소문자 무시)', () => {
+            expect(catalog.findById('m42').name).toBe('오리온 대성운');
+            expect(catalog.findById('C 80').nameEn).toBe('Omega Centauri');
+        });
+
+        it('NGC/IC 명칭', () => {
+            expect(catalog.findById('NGC 224').id).toBe('M31');
+            expect(catalog.findById('NGC 869').id).toBe('C14');
+        });
+
+        it('없는 번호는 null', () => {
+            expect(catalog.findById('M111')).toBeNull();
+        });
+    });
+
+    describe('filter()', () => {
+        it('종류와 등급 조건', () => {
+            const globulars = catalog.filter({ type: 'globular', maxMag: 6 });
+            expect(globulars.map(object => object.id)).toEqual(expect.arrayContaining(['M13', 'C80']));
+            expect(globulars.every(object => object.type === 'globular' && object.mag <= 6)).toBe(true);
+        });
+
+        it('등급 조건이 있으면 등급이 없는 천체는 제외', () => {
+            expect(catalog.filter({ maxMag: 30 }).some(object => object.id === 'C99')).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Labels 단위 테스트
+ * 표시 언어별 별자리/별/태양계 천체 이름, 바이어 문자와 날짜환·시간환·방위 글자 검증
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Labels } from '../core/i18n.js';
+import { LANGUAGES, DEFAULT_LANGUAGE } from '../core/constants.js';
+import { AstroConstellation } from '../core/constellation.js';
+import { StarCatalog } from '../core/catalog.js';
+import { CONSTELLATION_NAMES, STAR_NAMES } from '../core/models.js';
+
+describe('Labels', () => {
+    describe('of()', () => {
+        it('언어마다 같은 인스턴스, 기본은 한글', () => {
+            expect(Labels.of('en')).toBe(Labels.of('en'));
+            expect(Labels.of().language).toBe(DEFAULT_LANGUAGE);
+            expect(DEFAULT_LANGUAGE).toBe('ko');
+        });
+
+        it('지원하지 않는 언어는 오류', () => {
+            expect(() => Labels.of('fr')).toThrow('language');
+        });
+    });
+
+    describe('constellation()', () => {
+        it('한글, 영어, 라틴어, IAU 약자', () => {
+            expect(LANGUAGES.map(language => Labels.of(language).constellation('UMa')))
+                .toEqual(['큰곰', 'Great Bear', 'Ursa Major', 'UMa']);
+            expect(LANGUAGES.map(language => Labels.of(language).constellation('Ori')))
+                .toEqual(['오리온', 'Orion', 'Orion', 'Ori']);
+        });
+
+        it('88개 별자리 모두 언어마다 이름이 있음', () => {
+            for (const language of LANGUAGES) {
+                const labels = Labels.of(language);
+                const names = AstroConstellation.all.map(({ abbr }) => labels.constellation(abbr));
+                expect(names.every(name => name.length > 0)).toBe(true);
+                expect(new Set(names).size).toBe(88);
+            }
+        });
+
+        it('CONSTELLATION_NAMES의 약자는 모두 IAU 별자리', () => {
+            for (let i = 2; i < CONSTELLATION_NAMES.length; i += 3) {
+                expect(AstroConstellation.byAbbr(CONSTELLATION_NAMES[i])).not.toBeNull();
+            }
+        });
+
+        it('모르는 약자는 그대로', () => {
+            expect(Labels.of('ko').constellation('Xyz')).toBe('Xyz');
+        });
+    });
+
+    describe('star()', () => {
+        it('한글은 한글 표기, 나머지 언어는 고유 이름', () => {
+            expect(Labels.of('ko').star('Sirius')).toBe('시리우스');
+            expect(Labels.of('en').star('Sirius')).toBe('Sirius');
+            expect(Labels.of('la').star('Betelgeuse')).toBe('Betelgeuse');
+            expect(Labels.of('ko').star('Unknown')).toBe('Unknown');
+        });
+
+        it('STAR_NAMES의 모든 별은 별 목록의 고유 이름', () => {
+            for (const line of STAR_NAMES.trim().split('\n')) {
+                const [name, nameKo] = line.split(',');
+                expect(StarCatalog.default.findByName(name)).not.toBeNull();
+                expect(Labels.of('ko').star(name)).toBe(nameKo);
+            }
+        });
+
+        it('바이어 문자는 모든 언어에서 그리스 문자 (번호는 위첨자)', () => {
+            expect(Labels.of('ko').bayer('Alp')).toBe('α');
+            expect(Labels.of('en').bayer('Gam2')).toBe('γ²');
+            expect(Labels.of('abbr').bayer('Ome')).toBe('ω');
+            expect(Labels.of('ko').bayer('Xyz')).toBe('Xyz');
+        });
+    });
+
+    describe('화면 글자', () => {
+        it('날짜환의 월, 시간환의 시', () => {
+            expect(Labels.of('ko').month(3)).toBe('3월');
+            expect(Labels.of('en').month(12)).toBe('Dec');
+            expect(Labels.of('ko').hour(18)).toBe('18시');
+            expect(Labels.of('abbr').hour(18)).toBe('18h');
+        });
+
+        it('8방위와 태양계 천체', () => {
+            expect([0, 2, 4, 6].map(i => Labels.of('ko').cardinal(i))).toEqual(['북', '동', '남', '서']);
+            expect(Labels.of('en').cardinal(9)).toBe('NE');
+            expect(Labels.of('ko').planet('jupiter')).toBe('목성');
+            expect(Labels.of('la').planet('jupiter')).toBe('Jupiter');
+            expect([Labels.of('en').sun, Labels.of('en').moon]).toEqual(['Sun', 'Moon']);
+        });
+
+        it('황도의 분점/지점', () => {
+            expect([0, 1, 2, 3].map(i => Labels.of('ko').seasonalPoint(i))).toEqual(['춘분점', '하지점', '추분점', '동지점']);
+            expect(Labels.of('la').seasonalPoint(2)).toBe('September Equinox');
+        });
+
+        it('범례와 제목', () => {
+            expect(Labels.of('ko').magnitude(1)).toBe('1 등성');
+            expect(Labels.of('en').magnitude(1)).toBe('Mag 1');
+            expect(Labels.of('en').title).toBe('Planisphere JS');
+            expect(Labels.of('ko').southSky).toBe('남쪽 하늘');
+        });
+    });
+});
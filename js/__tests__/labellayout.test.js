@@ -0,0 +1,79 @@
+/**
+ * @fileoverview LabelLayout 단위 테스트
+ * 글자 폭 추정, 회전한 상자의 겹침 판별, 우선순위/대체 위치/가장자리 처리 배치 검증
+ */
+
+import { describe, it, expect } from 'vitest';
+import { LabelLayout } from '../core/labellayout.js';
+
+describe('LabelLayout', () => {
+    describe('상자', () => {
+        it('글자 폭: 라틴 문자는 크기의 0.6배, 한글은 크기만큼', () => {
+            expect(LabelLayout.textWidth('Vega', 10)).toBeCloseTo(24, 9);
+            expect(LabelLayout.textWidth('베가', 10)).toBe(20);
+        });
+
+        it('겹침 판별 (맞닿은 변은 겹치지 않음)', () => {
+            const a = LabelLayout.box(0, 0, 10, 10);
+            expect(LabelLayout.overlaps(a, LabelLayout.box(9, 0, 10, 10))).toBe(true);
+            expect(LabelLayout.overlaps(a, LabelLayout.box(10, 0, 10, 10))).toBe(false);
+        });
+
+        it('회전한 상자는 외접 사각형이 아닌 실제 모양으로 판별', () => {
+            // 45° 돌린 긴 막대 두 개: 외접 사각형은 겹치지만 막대는 나란히 떨어져 있음
+            const a = LabelLayout.box(0, 0, 40, 4, Math.PI / 4);
+            const b = LabelLayout.box(6, -6, 40, 4, Math.PI / 4);
+            expect(LabelLayout.overlaps(a, b)).toBe(false);
+            expect(LabelLayout.overlaps(a, LabelLayout.box(0, 0, 40, 4, -Math.PI / 4))).toBe(true);
+        });
+    });
+
+    describe('solve()', () => {
+        it('우선순위가 높은 글자가 기본 위치를 차지하고 낮은 글자는 대체 위치로', () => {
+            const layout = new LabelLayout();
+            layout.add({ x: 0, y: 0, width: 20, height: 10, priority: 1, offsets: [[0, 0], [0, 20]], data: 'low' });
+            layout.add({ x: 5, y: 0, width: 20, height: 10, priority: 2, data: 'high' });
+            const placed = layout.solve();
+            expect(placed.map(label => label.data)).toEqual(['high', 'low']);
+            expect(placed[1]).toMatchObject({ x: 0, y: 20 });
+        });
+
+        it('모든 후보 위치가 막힌 글자는 생략', () => {
+            const layout = new LabelLayout();
+            layout.add({ x: 0, y: 0, width: 20, height: 10, priority: 2, data: 'a' });
+            layout.add({ x: 0, y: 0, width: 20, height: 10, priority: 1, data: 'b' });
+            expect(layout.solve().map(label => label.data)).toEqual(['a']);
+        });
+
+        it('천체 표시는 다른 글자가 가리지 않고, 장애물은 우선순위 이하의 글자만 피함', () => {
+            const layout = new LabelLayout();
+            layout.add({ x: 0, y: 0, width: 20, height: 10, markRadius: 3, offsets: LabelLayout.around(5, 20, 10), data: 'star' });
+            layout.add({ x: 10, y: 0, width: 10, height: 10, priority: 5, data: 'name' });
+            layout.avoid(LabelLayout.box(100, 0, 10, 10), 1);
+            layout.add({ x: 100, y: 0, width: 10, height: 10, priority: 1, data: 'hidden' });
+            layout.add({ x: 100, y: 0, width: 10, height: 10, priority: 2, data: 'covers' });
+            const placed = layout.solve();
+            expect(placed.map(label => label.data)).toEqual(['name', 'covers', 'star']);
+            // 오른쪽은 'name'이 차지하므로 왼쪽 (5 + 20 / 2)
+            expect(placed[2]).toMatchObject({ x: -15, y: 0 });
+        });
+
+        it('가장자리에 걸친 글자는 rimShift까지 원 중심 쪽으로 밀어 넣음', () => {
+            const bounds = { circle: { cx: 0, cy: 0, radius: 100 } };
+            const request = { x: 95, y: 0, width: 20, height: 10, data: 'rim' };
+            expect(new LabelLayout(bounds).add(request).solve()).toEqual([]);
+
+            const [label] = new LabelLayout(bounds).add({ ...request, rimShift: 20 }).solve();
+            expect(label.y).toBe(0);
+            expect(label.x).toBeLessThan(95);
+            expect(Math.hypot(label.x + 10, 5)).toBeLessThanOrEqual(100);
+        });
+
+        it('사각형 영역은 넘친 변의 반대 방향으로 밀어 넣음', () => {
+            const layout = new LabelLayout({ rect: { x1: -50, y1: -20, x2: 50, y2: 20 } });
+            layout.add({ x: 48, y: -18, width: 20, height: 10, rimShift: 30 });
+            const [label] = layout.solve();
+            expect(label).toMatchObject({ x: 40, y: -15 });
+        });
+    });
+});
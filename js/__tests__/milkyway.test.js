@@ -0,0 +1,84 @@
+/**
+ * @fileoverview MILKY_WAY 단위 테스트
+ * 은하수 윤곽선 데이터의 형식과, 윤곽선이 은하면을 따라가는지 검증
+ */
+
+import { describe, it, expect } from 'vitest';
+import { MILKY_WAY } from '../core/models.js';
+import { AstroMath, AstroMatrix, AstroVector } from '../core/astronomy.js';
+
+/** B1950.0의 율리우스일 */
+const B1950 = 2433282.4235;
+
+/**
+ * 단계의 모든 점을 은하 좌표로 바꿔 |은위| 평균/최대와 은경 30° 구간 수를 계산
+ * @param {number[][]} rings - 한 단계의 고리 목록
+ * @returns {{meanB: number, maxB: number, sectors: number}} 도 단위 |은위| 평균/최대, 점이 있는 은경 구간 수
+ */
+function galacticSpread(rings) {
+    // J2000.0 적도 → B1950.0 적도 → 은하 좌표 (gal2equ()는 B1950.0 기준)
+    const toB1950 = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+    toB1950.precession(B1950);
+    const galToEqu = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+    galToEqu.gal2equ();
+    const b1950ToGal = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+    b1950ToGal.transpose(galToEqu);
+    const equToGal = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+    equToGal.multiply(b1950ToGal, toB1950);
+    const equ = new AstroVector(0, 0, 0);
+    const gal = new AstroVector(0, 0, 0);
+    const sectors = new Set();
+    let sum = 0;
+    let count = 0;
+    let maxB = 0;
+    for (const ring of rings) {
+        for (let i = 0; i < ring.length; i += 2) {
+            equ.setSphe(ring[i], ring[i + 1]);
+            gal.multiply(equToGal, equ);
+            const b = Math.abs(gal.lat() * AstroMath.R2D);
+            sum += b;
+            count++;
+            maxB = Math.max(maxB, b);
+            sectors.add(Math.floor(gal.lon() * AstroMath.R2D / 30));
+        }
+    }
+    return { meanB: sum / count, maxB, sectors: sectors.size };
+}
+
+describe('MILKY_WAY', () => {
+    it('5단계, 각 단계는 점이 3개 이상인 닫힌 고리 목록', () => {
+        expect(MILKY_WAY).toHaveLength(5);
+        for (const rings of MILKY_WAY) {
+            expect(rings.length).toBeGreaterThan(0);
+            for (const ring of rings) {
+                expect(ring.length % 2).toBe(0);
+                expect(ring.length).toBeGreaterThanOrEqual(6);
+            }
+        }
+    });
+
+    it('적경 0 ~ 2π, 적위 ±π/2 (라디안)', () => {
+        for (const rings of MILKY_WAY) {
+            for (const ring of rings) {
+                for (let i = 0; i < ring.length; i += 2) {
+                    expect(ring[i]).toBeGreaterThanOrEqual(0);
+                    expect(ring[i]).toBeLessThan(AstroMath.TPI);
+                    expect(Math.abs(ring[i + 1])).toBeLessThanOrEqual(AstroMath.HPI);
+                }
+            }
+        }
+    });
+
+    it('윤곽선은 은하면을 따라감 (|은위| 평균이 몇 도 이내)', () => {
+        MILKY_WAY.forEach((rings, level) => {
+            const { meanB, maxB } = galacticSpread(rings);
+            // 가장 바깥(어두운) 단계가 가장 넓음
+            expect(meanB).toBeLessThan(level === 0 ? 10 : 6);
+            expect(maxB).toBeLessThan(25);
+        });
+    });
+
+    it('가장 바깥 단계는 은경 360°를 한 바퀴 두름', () => {
+        expect(galacticSpread(MILKY_WAY[0]).sectors).toBe(12);
+    });
+});
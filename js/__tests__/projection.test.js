@@ -1,10 +1,17 @@
 /**
- * @fileoverview EquiDistanceProjection 단위 테스트
- * 등거리 방위 투영 검증
+ * @fileoverview 방위 투영 단위 테스트
+ * 등거리/평사/등적/정사 방위 투영 검증
  */
 
 import { describe, it, expect, beforeEach } from 'vitest';
-import { EquiDistanceProjection, AstroMath } from '../core/astronomy.js';
+import {
+    EquiDistanceProjection,
+    StereographicProjection,
+    EqualAreaProjection,
+    OrthographicProjection,
+    PROJECTIONS,
+    AstroMath
+} from '../core/astronomy.js';
 
 describe('EquiDistanceProjection', () => {
     describe('생성자 및 초기화', () => {
@@ -269,6 +276,62 @@ beforeEach(() => {
         });
     });
 
+    describe('unproject() - 역투영', () => {
+        it('원점은 천구의 극', () => {
+            const north = new EquiDistanceProjection(300, 37.5 * AstroMath.D2R);
+            const south = new EquiDistanceProjection(300, -33.9 * AstroMath.D2R);
+
+            expect(north.unproject(0, 0).dec).toBeCloseTo(AstroMath.HPI, 10);
+            expect(south.unproject(0, 0).dec).toBeCloseTo(-AstroMath.HPI, 10);
+        });
+
+        it('project()의 역변환 (북반구/남반구)', () => {
+            for (const lat of [37.5, -33.9]) {
+                const proj = new EquiDistanceProjection(300, lat * AstroMath.D2R);
+                for (const [raDeg, decDeg] of [[10, 60], [100, 0], [250, -20], [355, 45]]) {
+                    const { x, y } = proj.project(raDeg * AstroMath.D2R, decDeg * AstroMath.D2R);
+                    const { ra, dec } = proj.unproject(x, y);
+                    expect(ra * AstroMath.R2D).toBeCloseTo(raDeg, 8);
+                    expect(dec * AstroMath.R2D).toBeCloseTo(decDeg, 8);
+                }
+            }
+        });
+
+        it('적경은 0 ~ 2π 범위로 정규화', () => {
+            const proj = new EquiDistanceProjection(300, 37.5 * AstroMath.D2R);
+            const { ra } = proj.unproject(0, -100);
+            expect(ra).toBeCloseTo(1.5 * Math.PI, 10);
+        });
+
+        it('화면 반경 위의 점은 적위 한계', () => {
+            const proj = new EquiDistanceProjection(300, 37.5 * AstroMath.D2R);
+            expect(proj.unproject(300, 0).dec).toBeCloseTo(proj.limitDE, 10);
+        });
+    });
+
+    describe('적위 한계 직접 지정 (양면 별자리판)', () => {
+        it('북극 중심 원판과 남극 중심 원판', () => {
+            const north = new EquiDistanceProjection(300, AstroMath.HPI, -30 * AstroMath.D2R);
+            const south = new EquiDistanceProjection(300, -AstroMath.HPI, 30 * AstroMath.D2R);
+
+            expect(north.isSouthern).toBe(false);
+            expect(south.isSouthern).toBe(true);
+            expect(north.limitDE).toBeCloseTo(-30 * AstroMath.D2R, 10);
+            expect(south.limitDE).toBeCloseTo(30 * AstroMath.D2R, 10);
+
+            // 적도는 두 원판에서 같은 반경
+            const n = north.project(1, 0);
+            const s = south.project(1, 0);
+            expect(Math.hypot(n.x, n.y)).toBeCloseTo(225, 8);
+            expect(Math.hypot(s.x, s.y)).toBeCloseTo(225, 8);
+        });
+
+        it('투영 가능 범위로 제한', () => {
+            const proj = new OrthographicProjection(300, AstroMath.HPI, -30 * AstroMath.D2R);
+            expect(proj.limitDE).toBeCloseTo(0, 10);
+        });
+    });
+
     describe('적위 한계 변화', () => {
 it('적위 한계가 더 낮으면 더 많은 영역 표시', () => {
             // 위도 80° → 적위 한계 약 -30°
@@ -289,3 +352,70 @@ it('적위 한계가 더 낮으면 더 많은 영역 표시', () => {
         });
     });
 });
+
+describe('PROJECTIONS', () => {
+    it('이름별 투영 클래스', () => {
+        expect(Object.keys(PROJECTIONS)).toEqual(['equidistant', 'stereographic', 'equal-area', 'orthographic']);
+        expect(PROJECTIONS.equidistant).toBe(EquiDistanceProjection);
+        expect(PROJECTIONS.orthographic).toBe(OrthographicProjection);
+    });
+
+    for (const [name, Projection] of Object.entries(PROJECTIONS)) {
+        describe(name, () => {
+            it('적위 한계는 화면 반경에 위치', () => {
+                for (const lat of [37.5, -33.9]) {
+                    const proj = new Projection(300, lat * AstroMath.D2R);
+                    const { x, y } = proj.project(0, proj.limitDE);
+                    expect(Math.hypot(x, y)).toBeCloseTo(300, 8);
+                }
+            });
+
+            it('project()와 unproject()는 서로 역변환', () => {
+                for (const lat of [37.5, -33.9]) {
+                    const proj = new Projection(300, lat * AstroMath.D2R);
+                    const sign = lat < 0 ? -1 : 1;
+                    for (const [raDeg, decDeg] of [[10, 60], [100, 20], [250, 5], [355, 45]]) {
+                        const { x, y } = proj.project(raDeg * AstroMath.D2R, sign * decDeg * AstroMath.D2R);
+                        const { ra, dec } = proj.unproject(x, y);
+                        expect(ra * AstroMath.R2D).toBeCloseTo(raDeg, 8);
+                        expect(dec * AstroMath.R2D).toBeCloseTo(sign * decDeg, 8);
+                    }
+                }
+            });
+        });
+    }
+
+    it('평사 투영은 극 부근을 등거리 투영보다 작게 그림', () => {
+        const equi = new EquiDistanceProjection(300, 37.5 * AstroMath.D2R);
+        const stereo = new StereographicProjection(300, 37.5 * AstroMath.D2R);
+        const r = (proj) => Math.hypot(proj.project(0, 0).x, proj.project(0, 0).y);
+        expect(r(stereo)).toBeLessThan(r(equi));
+    });
+
+    it('평사 투영은 저위도에서도 145°까지만 표시', () => {
+        const proj = new StereographicProjection(300, 15 * AstroMath.D2R);
+        expect(proj.limitDE * AstroMath.R2D).toBeCloseTo(-55, 8);
+        expect(Number.isFinite(proj.virtualCelestrialRadius)).toBe(true);
+    });
+
+    it('등적 투영은 극 주변 원의 면적이 천구 면적에 비례', () => {
+        const proj = new EqualAreaProjection(300, 37.5 * AstroMath.D2R);
+        // 극에서 각거리 ρ인 구면 캡의 면적: 2π(1 - cos ρ)
+        const ratio = (rho) => {
+            const { x, y } = proj.project(0, AstroMath.HPI - rho);
+            return Math.PI * (x * x + y * y) / (AstroMath.TPI * (1 - Math.cos(rho)));
+        };
+        expect(ratio(30 * AstroMath.D2R)).toBeCloseTo(ratio(120 * AstroMath.D2R), 8);
+    });
+
+    it('정사 투영은 천구의 적도까지만 표시', () => {
+        const north = new OrthographicProjection(300, 37.5 * AstroMath.D2R);
+        const south = new OrthographicProjection(300, -33.9 * AstroMath.D2R);
+        expect(north.limitDE).toBeCloseTo(0, 10);
+        expect(south.limitDE).toBeCloseTo(0, 10);
+
+        // 적도 너머의 점은 원 밖으로
+        const { x, y } = north.project(0, -10 * AstroMath.D2R);
+        expect(Math.hypot(x, y)).toBeGreaterThan(300);
+    });
+});
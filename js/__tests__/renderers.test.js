@@ -0,0 +1,196 @@
+/**
+ * @fileoverview 렌더러 단위 테스트
+ * SVG 없이 그리기 호출을 기록하는 가짜 캔버스로 하늘 패널 레이어의 좌표계 검증,
+ * 전천 보기/파노라마의 지평 좌표 변환과 화면 투영 검증
+ */
+
+import { describe, it, expect } from 'vitest';
+import { SkyPanelRenderer, HorizontalSky, AllSkyRenderer, HorizonPanoramaRenderer, THEMES } from '../core/renderers.js';
+import { AstroMath, AstroTime, AstroVector, EquiDistanceProjection } from '../core/astronomy.js';
+import { DEFAULT_LAYERS } from '../core/constants.js';
+
+/**
+ * 그리기 호출을 기록하는 가짜 SVG.js 캔버스
+ * @returns {{canvas: Object, shapes: Array<{type: string, args: Array, attrs: Object}>}}
+ */
+function mockCanvas() {
+    const shapes = [];
+    const node = (shape) => new Proxy({}, {
+        get: (_, key) => (...args) => {
+            if (key === 'id') return 'mock';
+            if (key === 'bbox') return { x: 0, y: 0, width: 0, height: 0 };
+            if (['path', 'circle', 'text', 'group', 'element', 'rect', 'line', 'polygon', 'ellipse'].includes(key)) {
+                const child = { type: key, args, attrs: {} };
+                shapes.push(child);
+                return node(child);
+            }
+            if (shape) shape.attrs[key] = args[0];
+            return node(shape);
+        }
+    });
+    return { canvas: node(null), shapes };
+}
+
+/**
+ * SVG 경로의 점 목록
+ * @param {string} path - 'M x y L x y ...' 형식의 경로
+ * @returns {Array<{x: number, y: number}>}
+ */
+function pathPoints(path) {
+    return [...path.matchAll(/[ML](-?[\d.e-]+) (-?[\d.e-]+)/g)].map(([, x, y]) => ({ x: Number(x), y: Number(y) }));
+}
+
+/** 두 방향(라디안) 사이의 각거리 (도) */
+function separation(ra1, dec1, ra2, dec2) {
+    const a = new AstroVector(0, 0, 0);
+    const b = new AstroVector(0, 0, 0);
+    a.setSphe(ra1, dec1);
+    b.setSphe(ra2, dec2);
+    return Math.acos(Math.min(1, a.x * b.x + a.y * b.y + a.z * b.z)) * AstroMath.R2D;
+}
+
+describe('SkyPanelRenderer', () => {
+    const lat = 37.5 * AstroMath.D2R;
+    const styles = THEMES.default;
+
+    /** J2000.0 좌표 그대로(세차 행렬 없이) 하늘 패널을 그리고 기록한 도형을 돌려줌 */
+    function renderSkyPanel(layers) {
+        const { canvas, shapes } = mockCanvas();
+        const proj = new EquiDistanceProjection(400, lat);
+        const astroTime = new AstroTime(9, 126.98, 37.5);
+        new SkyPanelRenderer(canvas, proj, styles, astroTime, 400, proj.limitDE, 2, 30,
+            new Date(2026, 9, 19, 21), { layers: { ...DEFAULT_LAYERS, ...layers } }).render();
+        return { shapes, proj };
+    }
+
+    describe('은하수 (layers.milkyWay)', () => {
+        it('밝기 5단계를 원판 모양으로 잘라 채우고, 원판 안의 점은 은하면 근처', () => {
+            const { shapes, proj } = renderSkyPanel({});
+            const levels = shapes.filter(shape => shape.type === 'path' && shape.attrs.fill?.color === styles.milkyWayColor);
+            expect(levels).toHaveLength(5);
+            expect(shapes.some(shape => shape.type === 'group' && shape.attrs.attr === 'clip-path')).toBe(true);
+
+            // 원판 밖의 점은 가장자리 바깥으로 당겨지므로 원판 안의 점만 검사
+            const pole = { ra: 192.85948 * AstroMath.D2R, dec: 27.12825 * AstroMath.D2R };
+            let sum = 0;
+            let count = 0;
+            for (const level of levels) {
+                for (const { x, y } of pathPoints(level.args[0])) {
+                    if (Math.hypot(x, y) >= proj.screenRadius) continue;
+                    const { ra, dec } = proj.unproject(x, y);
+                    sum += Math.abs(90 - separation(ra, dec, pole.ra, pole.dec));
+                    count++;
+                }
+            }
+            expect(count).toBeGreaterThan(500);
+            expect(sum / count).toBeLessThan(6);
+        });
+
+        it('레이어를 끄면 그리지 않음', () => {
+            const { shapes } = renderSkyPanel({ milkyWay: false });
+            expect(shapes.some(shape => shape.attrs.fill?.color === styles.milkyWayColor)).toBe(false);
+        });
+    });
+
+    describe('은하 적도 (layers.galacticEquator)', () => {
+        it('모든 점이 J2000.0 은하 북극(적경 192.859°, 적위 27.128°)에서 90°', () => {
+            const { shapes, proj } = renderSkyPanel({ galacticEquator: true });
+            const line = shapes.find(shape => shape.type === 'path' && shape.attrs.stroke?.color === styles.galacticEquatorColor);
+            const points = pathPoints(line.args[0]);
+            expect(points.length).toBeGreaterThan(100);
+            for (const { x, y } of points) {
+                const { ra, dec } = proj.unproject(x, y);
+                expect(separation(ra, dec, 192.85948 * AstroMath.D2R, 27.12825 * AstroMath.D2R)).toBeCloseTo(90, 1);
+            }
+        });
+
+        it('기본값은 숨김', () => {
+            const { shapes } = renderSkyPanel({});
+            expect(shapes.some(shape => shape.attrs.stroke?.color === styles.galacticEquatorColor)).toBe(false);
+        });
+    });
+});
+
+describe('HorizontalSky', () => {
+    // 서울 (동경 126.98°, 북위 37.5°, UTC+9)
+    const lat = 37.5;
+    const astroTime = new AstroTime(9, 126.98, lat);
+
+    it('북극성은 고도 ≈ 위도, 방위각 ≈ 0° (북)', () => {
+        const sky = new HorizontalSky(astroTime, new Date(2026, 9, 19, 21));
+        const polaris = sky.stars().filter(star => star.mag <= 2.1
+            && Math.abs(star.altitude * AstroMath.R2D - lat) < 1
+            && Math.min(star.azimuth, AstroMath.TPI - star.azimuth) * AstroMath.R2D < 1.5);
+        expect(polaris).toHaveLength(1);
+    });
+
+    it('진정오의 태양은 남쪽(방위각 180°), 고도 90° - 위도 + 적위', () => {
+        const hour = astroTime.lasn(2024, 6, 21);
+        const minutes = Math.round(hour * 60);
+        const sky = new HorizontalSky(astroTime, new Date(2024, 5, 21, Math.floor(minutes / 60), minutes % 60));
+        const sun = sky.bodies(THEMES.default).find(body => body.color === THEMES.default.sunColor);
+        expect(sun.azimuth * AstroMath.R2D).toBeCloseTo(180, 0);
+        expect(sun.altitude * AstroMath.R2D).toBeCloseTo(90 - lat + 23.44, 0);
+    });
+
+    it('오전의 태양은 동쪽(방위각 0° ~ 180°), 오후의 태양은 서쪽', () => {
+        const sunAzimuth = (hour) => new HorizontalSky(astroTime, new Date(2024, 5, 21, hour))
+            .bodies(THEMES.default).find(body => body.color === THEMES.default.sunColor).azimuth * AstroMath.R2D;
+        expect(sunAzimuth(9)).toBeGreaterThan(45);
+        expect(sunAzimuth(9)).toBeLessThan(135);
+        expect(sunAzimuth(16)).toBeGreaterThan(225);
+        expect(sunAzimuth(16)).toBeLessThan(315);
+    });
+
+    it('고도 범위 밖의 천체는 제외', () => {
+        const sky = new HorizontalSky(astroTime, new Date(2026, 9, 19, 21), null, false, 30 * AstroMath.D2R);
+        const stars = sky.stars();
+        expect(stars.length).toBeGreaterThan(100);
+        expect(stars.every(star => star.altitude >= 0 && star.altitude <= 30 * AstroMath.D2R)).toBe(true);
+    });
+});
+
+describe('AllSkyRenderer.project()', () => {
+    const renderer = new AllSkyRenderer(mockCanvas().canvas, THEMES.default, new AstroTime(9, 126.98, 37.5), 400, new Date());
+    const point = (azimuth, altitude) => {
+        const { x, y } = renderer.project(azimuth * AstroMath.D2R, altitude * AstroMath.D2R);
+        return [x, y];
+    };
+
+    it('천정은 중심, 지평선은 반경 위', () => {
+        expect(point(123, 90)).toEqual([expect.closeTo(0, 9), expect.closeTo(0, 9)]);
+        expect(Math.hypot(...point(200, 0))).toBeCloseTo(400, 9);
+        expect(Math.hypot(...point(200, 45))).toBeCloseTo(200, 9);
+    });
+
+    it('위쪽이 북, 왼쪽이 동, 아래쪽이 남, 오른쪽이 서', () => {
+        expect(point(0, 0)).toEqual([expect.closeTo(0, 9), expect.closeTo(-400, 9)]);
+        expect(point(90, 0)).toEqual([expect.closeTo(-400, 9), expect.closeTo(0, 9)]);
+        expect(point(180, 0)).toEqual([expect.closeTo(0, 9), expect.closeTo(400, 9)]);
+        expect(point(270, 0)).toEqual([expect.closeTo(400, 9), expect.closeTo(0, 9)]);
+    });
+});
+
+describe('HorizonPanoramaRenderer.project()', () => {
+    const width = 1800;
+    const height = width * HorizonPanoramaRenderer.MAX_ALTITUDE / 360;
+    const renderer = new HorizonPanoramaRenderer(mockCanvas().canvas, THEMES.default, new AstroTime(9, 126.98, 37.5), width, new Date());
+    const point = (azimuth, altitude) => {
+        const { x, y } = renderer.project(azimuth * AstroMath.D2R, altitude * AstroMath.D2R);
+        return [x, y];
+    };
+
+    it('방위각은 왼쪽 끝 북 → 동 → 남(중앙) → 서, 1°마다 같은 폭', () => {
+        expect(point(0, 0)[0]).toBeCloseTo(-width / 2, 9);
+        expect(point(90, 0)[0]).toBeCloseTo(-width / 4, 9);
+        expect(point(180, 0)[0]).toBeCloseTo(0, 9);
+        expect(point(270, 0)[0]).toBeCloseTo(width / 4, 9);
+        expect(point(-90, 0)[0]).toBeCloseTo(width / 4, 9);
+    });
+
+    it('고도 0°는 아래 끝, MAX_ALTITUDE는 위 끝', () => {
+        expect(point(180, 0)[1]).toBeCloseTo(height / 2, 9);
+        expect(point(180, HorizonPanoramaRenderer.MAX_ALTITUDE)[1]).toBeCloseTo(-height / 2, 9);
+        expect(point(180, 30)[1]).toBeCloseTo(0, 9);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview SkyCulture 단위 테스트
+ * 별자리 문화 등록/조회, IAU 별자리와 동아시아 전통 별자리(이십팔수) 데이터 검증
+ */
+
+import { describe, it, expect } from 'vitest';
+import { SkyCulture } from '../core/skyculture.js';
+import { Labels } from '../core/i18n.js';
+import { StarCatalog } from '../core/catalog.js';
+import { AstroConstellation } from '../core/constellation.js';
+import { AstroMath, AstroVector } from '../core/astronomy.js';
+import { DEFAULT_SKY_CULTURE } from '../core/constants.js';
+import { CONSTELLATION_LINES, KOREAN_CONSTELLATIONS, LUNAR_MANSIONS } from '../core/models.js';
+
+/** 별 목록에서 고유 이름으로 찾은 별과 가장 가까운 선 끝점까지의 각거리 (라디안) */
+function nearestVertex(lines, name) {
+    const star = StarCatalog.default.findByName(name);
+    const a = new AstroVector(0, 0, 0);
+    const b = new AstroVector(0, 0, 0);
+    a.setSphe(star.ra, star.dec);
+    let min = Math.PI;
+    for (let i = 0; i < lines.length; i += 2) {
+        b.setSphe(lines[i], lines[i + 1]);
+        min = Math.min(min, Math.acos(Math.min(1, a.x * b.x + a.y * b.y + a.z * b.z)));
+    }
+    return min;
+}
+
+describe('SkyCulture', () => {
+    describe('등록과 조회', () => {
+        it('기본 문화는 western, 동아시아 전통 별자리는 korean', () => {
+            expect(SkyCulture.ids.slice(0, 2)).toEqual(['western', 'korean']);
+            expect(SkyCulture.get(DEFAULT_SKY_CULTURE).id).toBe('western');
+        });
+
+        it('등록되지 않은 문화는 오류', () => {
+            expect(() => SkyCulture.get('martian')).toThrow('skyCulture');
+        });
+
+        it('새 문화 등록', () => {
+            const culture = SkyCulture.register(new SkyCulture({
+                id: 'test-asterism',
+                lines: [0, 0, 0.1, 0.1],
+                names: [0.05, 0.05, '삼각형']
+            }));
+            expect(SkyCulture.get('test-asterism')).toBe(culture);
+            expect(culture.name).toBe('test-asterism');
+            expect(culture.label('삼각형', Labels.of('en'))).toBe('삼각형');
+            expect(culture.boundaryLines()).toEqual([]);
+        });
+
+        it('형식에 맞지 않는 데이터는 오류', () => {
+            expect(() => new SkyCulture({ lines: [], names: [] })).toThrow('id');
+            expect(() => new SkyCulture({ id: 'x', lines: [0, 0, 1], names: [] })).toThrow('lines');
+            expect(() => new SkyCulture({ id: 'x', lines: [], names: [0, 0] })).toThrow('names');
+        });
+    });
+
+    describe('western', () => {
+        const western = SkyCulture.get('western');
+
+        it('IAU 별자리선, 경계선, 언어별 이름', () => {
+            expect(western.lines).toBe(CONSTELLATION_LINES);
+            expect(western.boundaryLines()).toBe(AstroConstellation.boundaryLines());
+            expect(western.label('Ori', Labels.of('ko'))).toBe('오리온');
+            expect(western.label('UMa', Labels.of('la'))).toBe('Ursa Major');
+        });
+    });
+
+    describe('korean', () => {
+        const korean = SkyCulture.get('korean');
+
+        it('한글(한자음), 영어, 한자 이름', () => {
+            expect(korean.label('北斗', Labels.of('ko'))).toBe('북두');
+            expect(korean.label('參宿', Labels.of('ko'))).toBe('삼수');
+            expect(korean.label('五車', Labels.of('ko'))).toBe('오거');
+            expect(korean.label('北斗', Labels.of('en'))).toBe('Northern Dipper');
+            expect(korean.label('北斗', Labels.of('la'))).toBe('Northern Dipper');
+            expect(korean.label('北斗', Labels.of('abbr'))).toBe('北斗');
+        });
+
+        it('모든 이름 위치의 키가 별자리 목록에 있음', () => {
+            const keys = new Set(KOREAN_CONSTELLATIONS.trim().split('\n').map(line => line.split(',')[0]));
+            const { names } = korean;
+            for (let i = 2; i < names.length; i += 3) expect(keys.has(names[i])).toBe(true);
+            expect(names.length / 3).toBeGreaterThan(280);
+        });
+
+        it('명말에 덧붙인 남극 근처 별자리는 싣지 않음', () => {
+            const keys = KOREAN_CONSTELLATIONS.trim().split('\n').map(line => line.split(',')[0]);
+            for (const name of ['十字架', '南船', '海山', '蜜蜂', '水委']) expect(keys).not.toContain(name);
+            const { names, lines } = korean;
+            for (let i = 1; i < names.length; i += 3) expect(names[i]).toBeGreaterThan(-60 * AstroMath.D2R);
+            for (let i = 1; i < lines.length; i += 2) expect(lines[i]).toBeGreaterThan(-62 * AstroMath.D2R);
+        });
+
+        it('별자리선은 밝은 별을 지남 (북두, 삼수, 각수, 심수)', () => {
+            for (const name of ['Dubhe', 'Alkaid', 'Betelgeuse', 'Rigel', 'Spica', 'Antares']) {
+                expect(nearestVertex(korean.lines, name)).toBeLessThan(0.1 * AstroMath.D2R);
+            }
+        });
+
+        it('이십팔수: 각수부터 진수까지 28개, 각수의 거성은 스피카', () => {
+            const mansions = LUNAR_MANSIONS.trim().split('\n').map(line => line.split(','));
+            expect(mansions.length).toBe(28);
+            expect(mansions[0][0]).toBe('角宿');
+            expect(mansions[27][0]).toBe('軫宿');
+            const spica = StarCatalog.default.findByName('Spica');
+            expect(parseFloat(mansions[0][1]) * AstroMath.H2R).toBeCloseTo(spica.ra, 3);
+        });
+
+        it('경계선은 거성의 적경을 따라 적위 ±50°까지 그은 28개 시간권', () => {
+            const lines = korean.boundaryLines();
+            expect(korean.boundaryLines()).toBe(lines);
+            expect(lines.length).toBe(28);
+            for (const line of lines) {
+                expect(line[1] * AstroMath.R2D).toBeCloseTo(-50, 6);
+                expect(line[line.length - 1] * AstroMath.R2D).toBeCloseTo(50, 6);
+                expect(line[line.length - 2]).toBe(line[0]);
+            }
+        });
+    });
+});
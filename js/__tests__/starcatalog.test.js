@@ -0,0 +1,133 @@
+/**
+ * @fileoverview StarCatalog 단위 테스트
+ * STARS_DATA 파싱, 명칭/이름 검색, 조건 검색, 원뿔 검색 검증
+ */
+
+import { describe, it, expect } from 'vitest';
+import { StarCatalog } from '../core/catalog.js';
+import { AstroMath } from '../core/astronomy.js';
+
+describe('StarCatalog', () => {
+    const catalog = StarCatalog.default;
+
+    describe('파싱', () => {
+        it('기본 목록은 한 번만 파싱된 같은 인스턴스', () => {
+            expect(StarCatalog.default).toBe(catalog);
+            expect(catalog.size).toBeGreaterThan(5000);
+        });
+
+        it('좌표는 라디안, 등급은 숫자 타입 배열', () => {
+            expect(catalog.ra).toBeInstanceOf(Float64Array);
+            expect(catalog.mag).toBeInstanceOf(Float32Array);
+            const sirius = catalog.findByName('Sirius');
+            expect(sirius.ra * AstroMath.R2D / 15).toBeCloseTo(6.752, 2);
+            expect(sirius.dec * AstroMath.R2D).toBeCloseTo(-16.716, 2);
+            expect(sirius.mag).toBe(-2);
+            expect(sirius.spectral).toBe('A');
+        });
+
+        it('CSV 문자열로 별도 목록 생성', () => {
+            const custom = new StarCatalog('58Alp Ori,Betelgeuse,5.919529,7.407063,0,M\n5 Ori,,4.88965424,2.50826491,5,M');
+            expect(custom.size).toBe(2);
+            expect(custom.star(1).flamsteed).toBe(5);
+            expect(custom.star(1).bayer).toBe('');
+        });
+
+        it('범위를 벗어난 목록 번호는 RangeError', () => {
+            expect(() => catalog.star(-1)).toThrow(RangeError);
+            expect(() => catalog.star(catalog.size)).toThrow(RangeError);
+        });
+    });
+
+    describe('findByDesignation()', () => {
+        it('바이어 명칭 (공백/대소문자 무시)', () => {
+            expect(catalog.findByDesignation('Alp Ori').name).toBe('Betelgeuse');
+            expect(catalog.findByDesignation('alpori').name).toBe('Betelgeuse');
+        });
+
+        it('플램스티드 명칭', () => {
+            const star = catalog.findByDesignation('19 Ori');
+            expect(star.name).toBe('Rigel');
+            expect(star.designation).toBe('19 Bet Ori');
+        });
+
+        it('위첨자 번호를 생략하면 가장 밝은 별', () => {
+            expect(catalog.findByDesignation('Alp Cen').name).toBe('Rigel Kentaurus A');
+            expect(catalog.findByDesignation('Alp2 Cen').name).toBe('Rigel Kentaurus B');
+        });
+
+        it('원본 데이터의 깨진 표기 보정 (Eps, Cas, PsA)', () => {
+            expect(catalog.findByDesignation('Eps Ori').name).toBe('Alnilam');
+            expect(catalog.findByDesignation('Alp Cas').constellation).toBe('Cas');
+            expect(catalog.findByDesignation('Alp PsA').name).toBe('Fomalhaut');
+        });
+
+        it('없는 명칭은 null', () => {
+            expect(catalog.findByDesignation('Alp Xyz')).toBeNull();
+        });
+    });
+
+    describe('findByName()', () => {
+        it('고유 이름 (대소문자 무시)', () => {
+            expect(catalog.findByName('vega').designation).toBe('3 Alp Lyr');
+            expect(catalog.findByName('Nonexistent')).toBeNull();
+        });
+    });
+
+    describe('findByHip()', () => {
+        it('히파르코스 번호 (숫자 또는 문자열)', () => {
+            expect(catalog.findByHip(27989).name).toBe('Betelgeuse');
+            expect(catalog.findByHip('32349').name).toBe('Sirius');
+            expect(catalog.findByHip(71683).designation).toBe('Alp1 Cen');
+            expect(catalog.findByName('Polaris').hip).toBe(11767);
+            expect(catalog.findByHip(1)).toBeNull();
+        });
+
+        it('고유 이름이 있는 3등급 이상 별은 모두 HIP 번호가 있음', () => {
+            const named = catalog.filter({ maxMag: 3 }).filter(star => star.name);
+            expect(named.length).toBeGreaterThan(50);
+            expect(named.every(star => star.hip !== null)).toBe(true);
+        });
+    });
+
+    describe('filter()', () => {
+        it('오리온자리의 2등급 이상 별 (밝은 순서)', () => {
+            const stars = catalog.filter({ constellation: 'Ori', maxMag: 2 });
+            const names = stars.map(star => star.name);
+            expect(names).toContain('Rigel');
+            expect(names).toContain('Betelgeuse');
+            expect(names).toContain('Alnitak');
+            expect(stars.every(star => star.constellation === 'Ori' && star.mag <= 2)).toBe(true);
+            for (let i = 1; i < stars.length; i++) {
+                expect(stars[i].mag).toBeGreaterThanOrEqual(stars[i - 1].mag);
+            }
+        });
+
+        it('분광형과 등급 범위', () => {
+            const stars = catalog.filter({ spectral: ['O', 'B'], minMag: 1, maxMag: 1 });
+            expect(stars.length).toBeGreaterThan(0);
+            expect(stars.every(star => ['O', 'B'].includes(star.spectral) && star.mag === 1)).toBe(true);
+        });
+
+        it('조건이 없으면 전체 목록', () => {
+            expect(catalog.filter().length).toBe(catalog.size);
+        });
+    });
+
+    describe('coneSearch()', () => {
+        it('중심 별이 가장 가깝고 모든 결과가 반경 안', () => {
+            const betelgeuse = catalog.findByName('Betelgeuse');
+            const radius = 5 * AstroMath.D2R;
+            const stars = catalog.coneSearch(betelgeuse.ra, betelgeuse.dec, radius);
+            expect(stars[0].index).toBe(betelgeuse.index);
+            expect(stars[0].distance).toBeCloseTo(0, 9);
+            expect(stars.every(star => star.distance <= radius)).toBe(true);
+        });
+
+        it('오리온 벨트 주변의 2등급 이상 별', () => {
+            const alnilam = catalog.findByName('Alnilam');
+            const stars = catalog.coneSearch(alnilam.ra, alnilam.dec, 2 * AstroMath.D2R, { maxMag: 2 });
+            expect(stars.map(star => star.name)).toEqual(expect.arrayContaining(['Alnilam', 'Alnitak']));
+        });
+    });
+});
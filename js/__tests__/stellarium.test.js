@@ -0,0 +1,81 @@
+/**
+ * @fileoverview StellariumImporter 단위 테스트
+ * constellationship.fab/constellation_names.fab 파싱, HIP 번호 찾기, 별자리 문화 생성 검증
+ */
+
+import { describe, it, expect } from 'vitest';
+import { StellariumImporter } from '../core/stellarium.js';
+import { SkyCulture } from '../core/skyculture.js';
+import { Labels } from '../core/i18n.js';
+import { StarCatalog } from '../core/catalog.js';
+import { AstroConstellation } from '../core/constellation.js';
+
+const CONSTELLATIONSHIP = `
+# 오리온: 어깨-벨트-발
+Ori 6 27989 25336 27989 26727 25336 25930 25930 26311 26311 26727 26727 27366
+UMa 7 54061 53910 53910 58001 58001 59774 59774 54061 59774 62956 62956 65378 65378 67301
+Xyz 2 24436 999999 999999 27366
+`;
+
+const CONSTELLATION_NAMES = `
+Ori "Orion" _("Orion")
+UMa "Ursa Major" _("Great Bear", "constellation")  # 번역 문맥은 무시
+`;
+
+describe('StellariumImporter', () => {
+    describe('parse()', () => {
+        const data = StellariumImporter.parse({
+            constellationship: CONSTELLATIONSHIP,
+            constellationNames: CONSTELLATION_NAMES
+        });
+
+        it('HIP 번호를 별 목록의 좌표로 바꾼 별자리선', () => {
+            expect(data.lines.length).toBe((6 + 7) * 4);
+            const betelgeuse = StarCatalog.default.findByName('Betelgeuse');
+            const bellatrix = StarCatalog.default.findByName('Bellatrix');
+            expect(data.lines.slice(0, 4)).toEqual([betelgeuse.ra, betelgeuse.dec, bellatrix.ra, bellatrix.dec]);
+        });
+
+        it('이름은 별자리선 별들의 가운데', () => {
+            const { names } = data;
+            expect(names.filter((_, i) => i % 3 === 2)).toEqual(['Ori', 'UMa']);
+            expect(AstroConstellation.find(names[0], names[1]).abbr).toBe('Ori');
+            expect(AstroConstellation.find(names[3], names[4]).abbr).toBe('UMa');
+        });
+
+        it('원어/영어 이름, 이름 파일에 없는 별자리는 약자', () => {
+            expect(data.constellations.get('UMa')).toEqual({ native: 'Ursa Major', english: 'Great Bear' });
+            expect(data.constellations.get('Xyz')).toEqual({ native: 'Xyz', english: 'Xyz' });
+        });
+
+        it('별 목록에 없는 HIP 번호의 선분은 빼고 missingHips에 모음', () => {
+            expect(data.missingHips).toEqual([999999]);
+            expect(data.names).not.toContain('Xyz');
+        });
+
+        it('형식이 잘못된 줄은 줄 번호와 함께 오류', () => {
+            expect(() => StellariumImporter.parse({ constellationship: '# 주석\nOri 2 27989 25336' }))
+                .toThrow('2번째 줄');
+            expect(() => StellariumImporter.parse({ constellationship: 'Ori 1 27989 Bet' })).toThrow('constellationship');
+            expect(() => StellariumImporter.parse({ constellationship: '', constellationNames: 'Ori Orion' }))
+                .toThrow('constellation_names 1번째 줄');
+        });
+    });
+
+    describe('skyCulture()', () => {
+        it('가져온 문화를 등록하고 언어별 이름 표시', () => {
+            const culture = SkyCulture.register(StellariumImporter.skyCulture({
+                id: 'test-stellarium',
+                name: 'Stellarium',
+                constellationship: CONSTELLATIONSHIP,
+                constellationNames: CONSTELLATION_NAMES
+            }));
+            expect(SkyCulture.get('test-stellarium')).toBe(culture);
+            expect(culture.lines.length).toBe((6 + 7) * 4);
+            expect(culture.label('UMa', Labels.of('en'))).toBe('Great Bear');
+            expect(culture.label('UMa', Labels.of('la'))).toBe('Ursa Major');
+            expect(culture.label('UMa', Labels.of('abbr'))).toBe('UMa');
+            expect(culture.boundaryLines()).toEqual([]);
+        });
+    });
+});
@@ -5,11 +5,21 @@
  * @license MIT
  */
 
+import { AstroTime } from '../core/astronomy.js';
+
+/**
+ * 날짜 입력 형식: [-]YYYY-MM-DD (기원전은 천문학적 연도 표기)
+ * @private
+ * @constant
+ */
+const DATE_PATTERN = /^\s*(-?\d{1,6})-(\d{1,2})-(\d{1,2})\s*$/;
+
 export default class ControlPanel {
     #planisphere;
     #date;
     #time;
     #now;
+    #calendar;
 
     constructor(planisphere) {
         this.#planisphere = planisphere;
@@ -18,41 +28,64 @@ export default class ControlPanel {
         this.#date = document.getElementById('ps-date');
         this.#time = document.getElementById('ps-time');
         this.#now = document.getElementById('ps-now');
+        this.#calendar = document.getElementById('ps-calendar');
+
+        if (this.#calendar) this.#calendar.value = planisphere.calendar;
 
         this.#initEvents();
         this.#initNow();
     }
 
-    // 공통: input값 → Date 변환
+    // 공통: input값 → 역법 날짜 변환 (현재 역법 기준, 잘못된 값이면 null)
     #getDateFromInputs() {
-        if (!this.#date.value || !this.#time.value) return null;
-        return new Date(`${this.#date.value}T${this.#time.value}`);
+        const match = DATE_PATTERN.exec(this.#date.value);
+        if (!match || !this.#time.value) return null;
+        const [year, month, day] = match.slice(1).map(Number);
+        const [hour, minute] = this.#time.value.split(':').map(Number);
+        if (month < 1 || month > 12) return null;
+        if (day < 1 || day > AstroTime.monthDayCounts(year, this.#planisphere.calendar)[month - 1]) return null;
+        return { year, month, day, hour, minute };
+    }
+
+    // 공통: 별자리판의 현재 날짜 → input값 반영
+    #syncInputs() {
+        const { year, month, day, hour, minute } = this.#planisphere.getCalendarDate();
+        const pad = (n, len = 2) => String(Math.abs(n)).padStart(len, '0');
+        this.#date.value = `${year < 0 ? '-' : ''}${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+        this.#time.value = `${pad(hour)}:${pad(minute)}`;
+    }
+
+    // 공통: 역법 날짜 적용
+    #apply({ year, month, day, hour, minute }) {
+        this.#planisphere.setCalendarDate(year, month, day, hour, minute, 0);
+        this.#syncInputs();
     }
 
     // 초기값 현재 시간 반영
     #initNow() {
         const now = new Date();
-        const pad = n => String(n).padStart(2, '0');
-        const Y = now.getFullYear();
-        const M = pad(now.getMonth() + 1);
-        const D = pad(now.getDate());
-        const h = pad(now.getHours());
-        const m = pad(now.getMinutes());
-        this.#date.value = `${Y}-${M}-${D}`;
-        this.#time.value = `${h}:${m}`;
+        now.setSeconds(0, 0);
         this.#planisphere.setDateTime(now);
+        this.#syncInputs();
     }
 
     #initEvents() {
-        // input 변경 이벤트
-        this.#date.addEventListener('change', () => {
-            const dt = this.#getDateFromInputs();
-            if (dt) this.#planisphere.setDateTime(dt);
-        });
-        this.#time.addEventListener('change', () => {
+        // input 변경 이벤트 (잘못된 날짜는 표시 중인 날짜로 되돌림)
+        const onChange = () => {
             const dt = this.#getDateFromInputs();
-            if (dt) this.#planisphere.setDateTime(dt);
-        });
+            if (dt) this.#apply(dt);
+            else this.#syncInputs();
+        };
+        this.#date.addEventListener('change', onChange);
+        this.#time.addEventListener('change', onChange);
+
+        // 역법 변경: 같은 순간을 새 역법의 날짜로 표시
+        if (this.#calendar) {
+            this.#calendar.addEventListener('change', () => {
+                this.#planisphere.setCalendar(this.#calendar.value);
+                this.#syncInputs();
+            });
+        }
 
         // "지금" 버튼
         this.#now.addEventListener('click', () => {
@@ -62,13 +95,9 @@ export default class ControlPanel {
         // 프리셋 버튼들
         document.querySelectorAll('.ps-preset').forEach(btn => {
             btn.addEventListener('click', () => {
-                if (!this.#date.value) return;
-                const [Y, M, D] = this.#date.value.split('-').map(Number);
-                const h = Number(btn.dataset.preset);
-                const dt = new Date(Y, M - 1, D, h, 0, 0);
-                const pad = n => String(n).padStart(2, '0');
-                this.#time.value = `${pad(h)}:00`;
-                this.#planisphere.setDateTime(dt);
+                const dt = this.#getDateFromInputs();
+                if (!dt) return;
+                this.#apply({ ...dt, hour: Number(btn.dataset.preset), minute: 0 });
             });
         });
 
@@ -103,24 +132,30 @@ export default class ControlPanel {
     }
 
     // --- 증감 버튼 유틸 ---
+    // Date 대신 역법 날짜와 율리우스일로 계산해 기원전/율리우스력 날짜에서도 동작
     #adjust(unit, delta) {
         const dt = this.#getDateFromInputs();
         if (!dt) return;
+        const calendar = this.#planisphere.calendar;
+        let { year, month, day } = dt;
         switch (unit) {
-            case 'year': dt.setFullYear(dt.getFullYear() + delta); break;
-            case 'month': dt.setMonth(dt.getMonth() + delta); break;
-            case 'day': dt.setDate(dt.getDate() + delta); break;
-            case 'hour': dt.setHours(dt.getHours() + delta); break;
-            case 'minute': dt.setMinutes(dt.getMinutes() + delta); break;
+            case 'year':
+                year += delta;
+                break;
+            case 'month':
+                month += delta;
+                year += Math.floor((month - 1) / 12);
+                month = ((month - 1) % 12 + 12) % 12 + 1;
+                break;
+            default: {
+                const step = { day: 1, hour: 1 / 24, minute: 1 / 1440 }[unit];
+                const jd = AstroTime.jd(year, month, day, dt.hour, dt.minute, 0, calendar) + delta * step;
+                this.#apply(AstroTime.jd2Calendar(jd, calendar));
+                return;
+            }
         }
-        const pad = n => String(n).padStart(2, '0');
-        const Y = dt.getFullYear();
-        const M = pad(dt.getMonth() + 1);
-        const D = pad(dt.getDate());
-        const h = pad(dt.getHours());
-        const m = pad(dt.getMinutes());
-        this.#date.value = `${Y}-${M}-${D}`;
-        this.#time.value = `${h}:${m}`;
-        this.#planisphere.setDateTime(dt);
+        // 월말 날짜가 없는 달로 넘어가면 마지막 날로 맞춤 (예: 1월 31일 → 2월 28일)
+        day = Math.min(day, AstroTime.monthDayCounts(year, calendar)[month - 1]);
+        this.#apply({ year, month, day, hour: dt.hour, minute: dt.minute });
     }
 }
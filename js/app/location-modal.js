@@ -10,6 +10,7 @@
  */
 
 import { formatDMS, TimezoneService } from '../core/util.js';
+import { DUAL_DISC_LATITUDE } from '../core/constants.js';
 
 export default class LocationModal {
     #modal;
@@ -174,7 +175,7 @@ export default class LocationModal {
         // 3. 선택 마커
         this.#drawMarker(sx, sy, sw, sh, w, h);
 
-        // 4. 제한 구역 시각화
+        // 4. 양면 별자리판 구역 시각화
         this.#drawRestrictedZone(sy, sh, h);
     }
 
@@ -261,8 +262,8 @@ export default class LocationModal {
     }
 
     #drawRestrictedZone(sy, sh, h) {
-        const r_ty = this.#latToYRatio(10) * this.#mapImg.height;
-        const r_by = this.#latToYRatio(-10) * this.#mapImg.height;
+        const r_ty = this.#latToYRatio(DUAL_DISC_LATITUDE) * this.#mapImg.height;
+        const r_by = this.#latToYRatio(-DUAL_DISC_LATITUDE) * this.#mapImg.height;
 
         const screen_rsy = (r_ty - sy) * (h / sh);
         const screen_rey = (r_by - sy) * (h / sh);
@@ -275,18 +276,18 @@ export default class LocationModal {
     }
 
     #updateUI() {
-        const isRestricted = Math.abs(this.#tempLat) <= 10;
+        const isDualDisc = Math.abs(this.#tempLat) < DUAL_DISC_LATITUDE;
         const infoText = `${formatDMS(this.#tempLat, true)} / ${formatDMS(this.#tempLon, false)}`;
 
         if (this.#dgmtInput) this.#dgmtInput.value = this.#tempDgmt;
 
-        if (isRestricted) {
-            this.#info.innerHTML = `<span style="color:#ffcc00">${infoText}</span> <span style="color:#ff4444; font-size:11px; margin-left:8px;">⚠️ 사용 제한 (±10°)</span>`;
-            this.#applyBtn.disabled = true;
+        // 적도 부근은 북쪽 하늘/남쪽 하늘 원판 두 개로 표시됨을 안내
+        if (isDualDisc) {
+            this.#info.innerHTML = `${infoText} <span style="color:#ffcc00; font-size:11px; margin-left:8px;">양면 별자리판 (±${DUAL_DISC_LATITUDE}°)</span>`;
         } else {
             this.#info.innerHTML = infoText;
-            this.#applyBtn.disabled = false;
         }
+        this.#applyBtn.disabled = false;
     }
 
     #initEvents() {
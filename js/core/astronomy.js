@@ -10,10 +10,12 @@
  *
  * 주요 기능:
  * - 천문학 상수 및 단위 변환 (AstroMath)
- * - 시간 변환: LCT/UT/GST/LST (AstroTime)
+ * - 시간 변환: LCT/UT/GST/LST, ΔT와 TT/TDB 역학시, 율리우스력/그레고리력 (AstroTime)
  * - 3D 벡터 및 좌표계 변환 (AstroVector)
  * - 3×3 행렬 연산 (AstroMatrix)
- * - 등거리 투영 (EquiDistanceProjection)
+ * - 장동, 광행차, 겉보기 위치 (AstroApparent)
+ * - 대기차, 지평선 강하 (AstroRefraction)
+ * - 방위 투영과 역투영: 등거리/평사/등적/정사 (AzimuthalProjection, PROJECTIONS)
  */
 
 /**
@@ -89,6 +91,110 @@ export const AstroMath = Object.freeze({
     }
 });
 
+/**
+ * ΔT(= TT - UT) 관측값 표 (초 단위, 1620년부터 2년 간격)
+ *
+ * 1620~1998년은 Meeus 표 10.A, 2000년 이후는 IERS 관측값입니다.
+ * @type {number[]}
+ * @private
+ */
+const DELTA_T_TABLE = [
+    /* 1620 */ 121, 112, 103, 95, 88, 82, 77, 72, 68, 63,
+    /* 1640 */ 60, 56, 53, 51, 48, 46, 44, 42, 40, 38,
+    /* 1660 */ 35, 33, 31, 29, 26, 24, 22, 20, 18, 16,
+    /* 1680 */ 14, 12, 11, 10, 9, 8, 7, 7, 7, 7,
+    /* 1700 */ 7, 7, 8, 8, 9, 9, 9, 9, 9, 10,
+    /* 1720 */ 10, 10, 10, 10, 10, 10, 10, 11, 11, 11,
+    /* 1740 */ 11, 11, 12, 12, 12, 12, 13, 13, 13, 14,
+    /* 1760 */ 14, 14, 14, 15, 15, 15, 15, 15, 16, 16,
+    /* 1780 */ 16, 16, 16, 16, 16, 16, 15, 15, 14, 13,
+    /* 1800 */ 13.1, 12.5, 12.2, 12.0, 12.0, 12.0, 12.0, 12.0, 12.0, 11.9,
+    /* 1820 */ 11.6, 11.0, 10.2, 9.2, 8.2, 7.1, 6.2, 5.6, 5.4, 5.3,
+    /* 1840 */ 5.4, 5.6, 5.9, 6.2, 6.5, 6.8, 7.1, 7.3, 7.5, 7.6,
+    /* 1860 */ 7.7, 7.3, 6.2, 5.2, 2.7, 1.4, -1.2, -2.8, -3.8, -4.8,
+    /* 1880 */ -5.5, -5.3, -5.6, -5.7, -5.9, -6.0, -6.3, -6.5, -6.2, -4.7,
+    /* 1900 */ -2.8, -0.1, 2.6, 5.3, 7.7, 10.4, 13.3, 16.0, 18.2, 20.2,
+    /* 1920 */ 21.1, 22.4, 23.5, 23.8, 24.3, 24.0, 23.9, 23.9, 23.7, 24.0,
+    /* 1940 */ 24.3, 25.3, 26.2, 27.3, 28.2, 29.1, 30.0, 30.7, 31.4, 32.2,
+    /* 1960 */ 33.1, 34.0, 35.0, 36.5, 38.3, 40.2, 42.2, 44.5, 46.5, 48.5,
+    /* 1980 */ 50.5, 52.2, 53.8, 54.9, 55.8, 56.9, 58.3, 60.0, 61.6, 63.0,
+    /* 2000 */ 63.8, 64.3, 64.6, 64.8, 65.5, 66.1, 66.6, 67.3, 68.1, 69.0,
+    /* 2020 */ 69.4, 69.4, 69.2
+];
+
+/**
+ * ΔT 표의 시작 연도
+ * @type {number}
+ * @private
+ * @constant
+ */
+const DELTA_T_TABLE_START = 1620;
+
+/**
+ * ΔT 표의 연도 간격
+ * @type {number}
+ * @private
+ * @constant
+ */
+const DELTA_T_TABLE_STEP = 2;
+
+/**
+ * ΔT 표의 마지막 연도
+ * @type {number}
+ * @private
+ * @constant
+ */
+const DELTA_T_TABLE_END = DELTA_T_TABLE_START + DELTA_T_TABLE_STEP * (DELTA_T_TABLE.length - 1);
+
+/**
+ * ΔT 다항식 외삽 (Espenak & Meeus, NASA Five Millennium Canon)
+ *
+ * 표 범위 밖의 연도에 사용합니다.
+ * @private
+ * @param {number} y - 연도 (소수 포함)
+ * @returns {number} ΔT (초)
+ */
+const deltaTPolynomial = (y) => {
+    if (y < -500) {
+        const u = (y - 1820) / 100;
+        return -20 + 32 * u * u;
+    }
+    if (y < 500) {
+        const u = y / 100;
+        return 10583.6 + u * (-1014.41 + u * (33.78311 + u * (-5.952053 + u * (-0.1798452 + u * (0.022174192 + u * 0.0090316521)))));
+    }
+    if (y <= DELTA_T_TABLE_START) {
+        const u = (y - 1000) / 100;
+        return 1574.2 + u * (-556.01 + u * (71.23472 + u * (0.319781 + u * (-0.8503463 + u * (-0.005050998 + u * 0.0083572073)))));
+    }
+    if (y < 2050) {
+        const t = y - 2000;
+        return 62.92 + 0.32217 * t + 0.005589 * t * t;
+    }
+    const u = (y - 1820) / 100;
+    if (y < 2150) return -20 + 32 * u * u - 0.5628 * (2150 - y);
+    return -20 + 32 * u * u;
+};
+
+/**
+ * 역법 종류
+ * - 'auto': 1582년 10월 15일 이전은 율리우스력, 이후는 그레고리력
+ * - 'julian': 역산 율리우스력
+ * - 'gregorian': 역산 그레고리력
+ * @typedef {'auto'|'julian'|'gregorian'} CalendarType
+ */
+
+/**
+ * 역법 날짜와 시각
+ * @typedef {Object} CalendarDate
+ * @property {number} year - 연도 (천문학적 연도 표기: 기원전 1년 = 0)
+ * @property {number} month - 월 (1-12)
+ * @property {number} day - 일 (1-31)
+ * @property {number} hour - 시 (0-23)
+ * @property {number} minute - 분 (0-59)
+ * @property {number} second - 초 (0-59)
+ */
+
 /**
  * 천문학 시간 변환 클래스
  *
@@ -98,10 +204,12 @@ export const AstroMath = Object.freeze({
  * - GST (Greenwich Sidereal Time): 그리니치 항성시
  * - LST (Local Sidereal Time): 지방 항성시
  * - JD (Julian Day): 율리우스일
+ * - TT (Terrestrial Time): 지구시 (= UT + ΔT, 달/행성 위치와 세차 계산 기준)
+ * - TDB (Barycentric Dynamical Time): 태양계 역학시
  *
  * 시간 변환 관계도:
  * ```
- * JD <-> UT <-> GST <-> LST
+ * TDB <-> TT <-> UT <-> GST <-> LST
  *          <------------->
  *    <------------->
  *    <-------------------->
@@ -122,48 +230,93 @@ export class AstroTime {
     #dgmt;
     #glon;
     #glat;
+    #elevation;
 
     /**
      * AstroTime 인스턴스 생성
      * @param {number} dgmt - UTC 기준 시간대 오프셋 (예: 한국 표준시는 9)
      * @param {number} lon - 관측 지점의 경도 (도 단위, 동경 양수)
      * @param {number} lat - 관측 지점의 위도 (도 단위, 북위 양수)
+     * @param {number} [elevation=0] - 관측 지점의 해발 고도 (m)
      */
-    constructor(dgmt, lon, lat) {
+    constructor(dgmt, lon, lat, elevation = 0) {
         this.#dgmt = dgmt;
         this.#glon = lon * AstroMath.D2R;
         this.#glat = lat * AstroMath.D2R;
+        this.#elevation = elevation;
     }
 
     get dgmt() { return this.#dgmt; }
     get glon() { return this.#glon; }
     get glat() { return this.#glat; }
+    get elevation() { return this.#elevation; }
 
     /**
-     * 그레고리력 윤년 판단
+     * 지원하는 역법 목록
+     * - 'auto': 1582년 10월 15일(그레고리력 개력) 이전은 율리우스력, 이후는 그레고리력
+     * - 'julian': 모든 날짜를 율리우스력으로 해석 (역산 율리우스력)
+     * - 'gregorian': 모든 날짜를 그레고리력으로 해석 (역산 그레고리력, JavaScript Date와 같음)
      * @static
-     * @param {number} year - 연도
+     * @type {CalendarType[]}
+     */
+    static CALENDARS = Object.freeze(['auto', 'julian', 'gregorian']);
+
+    /**
+     * 그레고리력 개력일(1582년 10월 15일 0시)의 율리우스일
+     * @static
+     * @type {number}
+     */
+    static GREGORIAN_REFORM = 2299160.5;
+
+    /**
+     * 날짜에 적용할 역법이 그레고리력인지 판단
+     * @static
+     * @param {number} year - 연도 (천문학적 연도 표기: 기원전 1년 = 0)
+     * @param {number} month - 월 (1-12)
+     * @param {number} day - 일 (1-31)
+     * @param {CalendarType} [calendar='auto'] - 역법
+     * @returns {boolean} 그레고리력이면 true
+     */
+    static isGregorian(year, month, day, calendar = 'auto') {
+        if (calendar === 'julian') return false;
+        if (calendar === 'gregorian') return true;
+        return year * 10000 + month * 100 + day >= 15821015;
+    }
+
+    /**
+     * 윤년 판단
+     *
+     * 율리우스력은 4년마다, 그레고리력은 100년 단위 예외(400년은 윤년)를 둡니다.
+     * 'auto'에서는 1582년까지를 율리우스력으로 봅니다.
+     *
+     * @static
+     * @param {number} year - 연도 (천문학적 연도 표기: 기원전 1년 = 0)
+     * @param {CalendarType} [calendar='auto'] - 역법
      * @returns {boolean} 윤년이면 true
      * @example
      * AstroTime.isLeapYear(2024); // true
      * AstroTime.isLeapYear(2023); // false
+     * AstroTime.isLeapYear(1500); // true (율리우스력)
      */
-    static isLeapYear(year) {
-        return (year % 400 === 0) || (year % 4 === 0 && year % 100 !== 0);
+    static isLeapYear(year, calendar = 'auto') {
+        if (year % 4 !== 0) return false;
+        if (!AstroTime.isGregorian(year, 12, 31, calendar)) return true;
+        return (year % 400 === 0) || (year % 100 !== 0);
     }
 
     /**
      * 월별 일수 배열 반환 (윤년 반영)
      * @static
-     * @param {number} year - 연도
+     * @param {number} year - 연도 (천문학적 연도 표기: 기원전 1년 = 0)
+     * @param {CalendarType} [calendar='auto'] - 역법
      * @returns {number[]} 1월부터 12월까지의 일수 배열 (길이 12)
      * @example
      * AstroTime.monthDayCounts(2024); // [31, 29, 31, 30, ...]
      */
-    static monthDayCounts(year) {
+    static monthDayCounts(year, calendar = 'auto') {
         return [
             31,
-            AstroTime.isLeapYear(year) ? 29 : 28,
+            AstroTime.isLeapYear(year, calendar) ? 29 : 28,
             31, 30, 31, 30, 31, 31, 30, 31, 30, 31
         ];
     }
@@ -173,42 +326,89 @@ export class AstroTime {
      * @static
      * @param {number} year - 연도
      * @param {number} month - 월 (1-12)
+     * @param {CalendarType} [calendar='auto'] - 역법
      * @returns {number} 해당 월의 중간일 (ceil(일수/2))
      */
-    static monthMidDay(year, month) {
-        const days = AstroTime.monthDayCounts(year)[month - 1];
+    static monthMidDay(year, month, calendar = 'auto') {
+        const days = AstroTime.monthDayCounts(year, calendar)[month - 1];
         return Math.ceil(days / 2);
     }
 
     /**
      * 율리우스일(Julian Day Number) 계산
+     *
+     * 기원전 날짜는 천문학적 연도 표기(기원전 1년 = 0, 기원전 2년 = -1)를 사용합니다.
+     *
      * @static
-     * @param {number} year - 연도
+     * @param {number} year - 연도 (천문학적 연도 표기)
      * @param {number} month - 월 (1-12)
      * @param {number} day - 일 (1-31)
      * @param {number} hour - 시 (0-23)
      * @param {number} minute - 분 (0-59)
      * @param {number} second - 초 (0-59)
+     * @param {CalendarType} [calendar='auto'] - 날짜를 해석할 역법
      * @returns {number} 율리우스일
      * @see {@link https://planetcalc.com/503/|검증 계산기}
      * @example
      * // 2024년 1월 1일 정오의 율리우스일
      * AstroTime.jd(2024, 1, 1, 12, 0, 0); // 2460310.5
+     *
+     * // Meeus 예제 7.b: 333년 1월 27일 12시 (율리우스력)
+     * AstroTime.jd(333, 1, 27, 12, 0, 0); // 1842713.0
      */
-    static jd(year, month, day, hour, minute, second) {
+    static jd(year, month, day, hour, minute, second, calendar = 'auto') {
+        const gregorian = AstroTime.isGregorian(year, month, day, calendar);
         if (month < 3) {
             year--;
             month += 12;
         }
         let a = Math.floor(year / 100);
-        let b = Math.floor(a / 4);
-        return Math.floor(365.25 * year) + 2 - a + b +
+        let b = gregorian ? 2 - a + Math.floor(a / 4) : 0;
+        return Math.floor(365.25 * year) + b +
             Math.floor(30.6 * month - 0.4) + day + 1721025.5 +
             hour / 24.0 +
             minute / 1440.0 +
             second / 86400.0;
     }
 
+    /**
+     * 율리우스일을 역법 날짜로 변환 (jd()의 역변환, Meeus 7장)
+     * @static
+     * @param {number} jd - 율리우스일 (0 이상)
+     * @param {CalendarType} [calendar='auto'] - 결과를 나타낼 역법
+     * @returns {CalendarDate} 날짜와 시각 (연도는 천문학적 연도 표기)
+     * @example
+     * AstroTime.jd2Calendar(2436116.31); // {year: 1957, month: 10, day: 4, hour: 19, ...}
+     * AstroTime.jd2Calendar(1507900.13); // {year: -584, month: 5, day: 28, ...}
+     */
+    static jd2Calendar(jd, calendar = 'auto') {
+        const z = Math.floor(jd + 0.5);
+        const gregorian = calendar === 'gregorian' || (calendar === 'auto' && z >= AstroTime.GREGORIAN_REFORM + 0.5);
+        let a = z;
+        if (gregorian) {
+            const alpha = Math.floor((z - 1867216.25) / 36524.25);
+            a = z + 1 + alpha - Math.floor(alpha / 4);
+        }
+        const b = a + 1524;
+        const c = Math.floor((b - 122.1) / 365.25);
+        const d = Math.floor(365.25 * c);
+        const e = Math.floor((b - d) / 30.6001);
+
+        const day = b - d - Math.floor(30.6001 * e);
+        const month = e < 14 ? e - 1 : e - 13;
+        const year = month > 2 ? c - 4716 : c - 4715;
+
+        // 초 단위로 반올림해 59.999초 같은 값을 방지
+        let seconds = Math.round((jd + 0.5 - z) * 86400);
+        if (seconds >= 86400) {
+            return AstroTime.jd2Calendar(z + 0.5, calendar);
+        }
+        const hour = Math.floor(seconds / 3600);
+        seconds -= hour * 3600;
+        const minute = Math.floor(seconds / 60);
+        return { year, month, day, hour, minute, second: seconds - minute * 60 };
+    }
+
     /**
      * 율리우스일에서 날짜 부분만 추출 (정수 + 0.5)
      * @static
@@ -235,35 +435,150 @@ export class AstroTime {
      * @param {number} year - 연도
      * @param {number} month - 월 (1-12)
      * @param {number} day - 일 (1-31)
+     * @param {CalendarType} [calendar='auto'] - 역법
      * @returns {number} 1월 1일부터의 일수 (1-366)
      * @example
      * AstroTime.dayOfYear(2024, 3, 1); // 61 (윤년)
      */
-    static dayOfYear(year, month, day) {
-        const d0 = new Date(year, 0, 1);
-        const d1 = new Date(year, month - 1, day);
-        return Math.floor((d1 - d0) / 86400000) + 1;
+    static dayOfYear(year, month, day, calendar = 'auto') {
+        const d0 = AstroTime.jd(year, 1, 1, 0, 0, 0, calendar);
+        const d1 = AstroTime.jd(year, month, day, 0, 0, 0, calendar);
+        return Math.round(d1 - d0) + 1;
     }
 
     /**
-     * 시각방정식(Equation of Time) 계산
+     * 율리우스일의 시각방정식(Equation of Time) 계산
+     *
+     * 진태양시와 평균 태양시의 차이를 분 단위로 반환합니다 (Meeus 28.3, Smart의 공식).
+     * 태양의 평균 황경과 평균 근점이각으로 계산하므로 역법과 관계없이 실제 계절에 맞고,
+     * 근일점과 황도 경사각의 변화도 반영되어 수천 년 전후에도 쓸 수 있습니다.
+     *
+     * @static
+     * @param {number} jd - 율리우스일
+     * @returns {number} 시각방정식 값 (분, 양수면 진태양이 평균 태양보다 빠름)
+     * @example
+     * // Meeus 예제 28.b: 1992년 10월 13일 0h → 약 +13.71분
+     * AstroTime.equationOfTime(2448908.5);
+     */
+    static equationOfTime(jd) {
+        const t = (jd - AstroMath.J2000) / 36525.0;
+        const L0 = (280.46646 + 36000.76983 * t + 0.0003032 * t * t) * AstroMath.D2R;
+        const M = (357.52911 + 35999.05029 * t - 0.0001537 * t * t) * AstroMath.D2R;
+        const e = 0.016708634 - 0.000042037 * t - 0.0000001267 * t * t;
+        const tanHalfEps = Math.tan(AstroApparent.meanObliquity(jd) / 2);
+        const y = tanHalfEps * tanHalfEps;
+        const E = y * Math.sin(2 * L0) - 2 * e * Math.sin(M) + 4 * e * y * Math.sin(M) * Math.cos(2 * L0)
+            - 0.5 * y * y * Math.sin(4 * L0) - 1.25 * e * e * Math.sin(2 * M);
+        return E * AstroMath.R2D * 4;
+    }
+
+    /**
+     * 날짜의 시각방정식(Equation of Time) 계산
      *
      * 평균 태양시와 진태양시의 차이를 분 단위로 반환합니다.
-     * 근사식으로 교육용으로 충분한 ±1~2분 정확도입니다.
+     * 날짜를 역법에 맞게 율리우스일(정오)로 바꿔 equationOfTime()으로 계산하므로,
+     * 율리우스력 날짜도 실제 계절의 값을 얻습니다.
      *
      * @static
      * @param {number} year - 연도
      * @param {number} month - 월 (1-12)
      * @param {number} day - 일 (1-31)
+     * @param {CalendarType} [calendar='auto'] - 날짜의 역법
      * @returns {number} 시각방정식 값 (분)
      * @example
      * // 2월 초: 약 -14분 (태양이 평균보다 늦음)
      * // 11월 초: 약 +16분 (태양이 평균보다 빠름)
      */
-    static equationOfTimeMinutes(year, month, day) {
-        const N = AstroTime.dayOfYear(year, month, day);
-        const B = 2 * Math.PI * (N - 81) / 365.0;
-        return 9.87 * Math.sin(2 * B) - 7.53 * Math.cos(B) - 1.5 * Math.sin(B);
+    static equationOfTimeMinutes(year, month, day, calendar = 'auto') {
+        return AstroTime.equationOfTime(AstroTime.jd(year, month, day, 12, 0, 0, calendar));
+    }
+
+    /**
+     * 율리우스일을 소수 연도로 변환 (ΔT 계산용)
+     * @static
+     * @param {number} jd - 율리우스일
+     * @returns {number} 소수 연도 (예: 2024.5)
+     */
+    static decimalYear(jd) {
+        return 2000 + (jd - AstroMath.J2000) / 365.25;
+    }
+
+    /**
+     * ΔT(= TT - UT) 계산
+     *
+     * 1620년 이후는 관측값 표를 선형 보간하고, 그 밖의 연도는
+     * Espenak & Meeus 다항식으로 외삽합니다. 표와 다항식이 만나는 곳
+     * (1500~1620년, 표의 마지막 연도~2050년)에서는 값이 끊기지 않도록
+     * 두 값의 차이를 점차 줄여 나갑니다.
+     *
+     * @static
+     * @param {number} year - 연도 (소수 포함, 천문학적 연도 표기: 기원전 1년 = 0)
+     * @returns {number} ΔT (초)
+     * @example
+     * AstroTime.deltaT(1990);  // 56.9
+     * AstroTime.deltaT(-500);  // 약 17190
+     */
+    static deltaT(year) {
+        if (year >= DELTA_T_TABLE_START && year <= DELTA_T_TABLE_END) {
+            const x = (year - DELTA_T_TABLE_START) / DELTA_T_TABLE_STEP;
+            const i = Math.min(Math.floor(x), DELTA_T_TABLE.length - 2);
+            const f = x - i;
+            return DELTA_T_TABLE[i] + (DELTA_T_TABLE[i + 1] - DELTA_T_TABLE[i]) * f;
+        }
+        if (year >= 1500 && year < DELTA_T_TABLE_START) {
+            const offset = DELTA_T_TABLE[0] - deltaTPolynomial(DELTA_T_TABLE_START);
+            return deltaTPolynomial(year) + offset * (year - 1500) / (DELTA_T_TABLE_START - 1500);
+        }
+        if (year > DELTA_T_TABLE_END && year < 2050) {
+            const offset = DELTA_T_TABLE[DELTA_T_TABLE.length - 1] - deltaTPolynomial(DELTA_T_TABLE_END);
+            return deltaTPolynomial(year) + offset * (2050 - year) / (2050 - DELTA_T_TABLE_END);
+        }
+        return deltaTPolynomial(year);
+    }
+
+    /**
+     * 세계시(UT)를 지구시(TT)로 변환
+     * @static
+     * @param {number} ut - 세계시 (율리우스일 형식)
+     * @returns {number} 지구시 (율리우스일 형식)
+     */
+    static UT2TT(ut) {
+        return ut + AstroTime.deltaT(AstroTime.decimalYear(ut)) / 86400.0;
+    }
+
+    /**
+     * 지구시(TT)를 세계시(UT)로 변환
+     * @static
+     * @param {number} tt - 지구시 (율리우스일 형식)
+     * @returns {number} 세계시 (율리우스일 형식)
+     */
+    static TT2UT(tt) {
+        // ΔT는 하루 사이에 거의 변하지 않으므로 TT 기준 값으로 충분
+        return tt - AstroTime.deltaT(AstroTime.decimalYear(tt)) / 86400.0;
+    }
+
+    /**
+     * 지구시(TT)를 태양계 역학시(TDB)로 변환
+     *
+     * 지구 궤도 이심률에 의한 주기항(최대 약 1.7ms)만 반영합니다.
+     *
+     * @static
+     * @param {number} tt - 지구시 (율리우스일 형식)
+     * @returns {number} 태양계 역학시 (율리우스일 형식)
+     */
+    static TT2TDB(tt) {
+        const g = (357.53 + 0.98560028 * (tt - AstroMath.J2000)) * AstroMath.D2R;
+        return tt + (0.001657 * Math.sin(g) + 0.000014 * Math.sin(2 * g)) / 86400.0;
+    }
+
+    /**
+     * 세계시(UT)를 태양계 역학시(TDB)로 변환
+     * @static
+     * @param {number} ut - 세계시 (율리우스일 형식)
+     * @returns {number} 태양계 역학시 (율리우스일 형식)
+     */
+    static UT2TDB(ut) {
+        return AstroTime.TT2TDB(AstroTime.UT2TT(ut));
     }
 
     /**
@@ -281,6 +596,23 @@ export class AstroTime {
         return ut_date + gst_time / 24.0;
     }
 
+    /**
+     * 세계시(UT)를 그리니치 겉보기 항성시(GAST)로 변환
+     *
+     * 평균 항성시(GST)에 분점차(Δψ·cos ε)를 더한 값입니다.
+     *
+     * @static
+     * @param {number} ut - 세계시 (율리우스일 형식)
+     * @returns {number} 그리니치 겉보기 항성시 (율리우스일 형식)
+     */
+    static UT2GAST(ut) {
+        const gst = this.UT2GST(ut);
+        const gst_date = this.jd2Date(gst);
+        const eqeq = AstroApparent.equationOfEquinoxes(AstroTime.UT2TT(ut)) * AstroMath.R2H;
+        const gast_time = AstroMath.normalize((gst - gst_date) * 24.0 + eqeq, 0, 24);
+        return gst_date + gast_time / 24.0;
+    }
+
     /**
      * 그리니치 항성시(GST)를 세계시(UT)로 변환
      * @static
@@ -303,12 +635,12 @@ export class AstroTime {
      * 특정 고도에서의 지방시각(Hour Angle) 계산
      * @param {number} alt - 고도 (라디안)
      * @param {number} dec - 적위 (라디안)
-     * @returns {number} 지방시각 (라디안)
+     * @returns {number} 지방시각 (라디안, 0 ~ π). 해당 고도에 도달하지 않으면 NaN
      */
     HAFromDec(alt, dec) {
         return Math.acos(
-            (Math.sin(alt) - Math.sin(glat) * Math.sin(dec)) /
-            (Math.cos(glat) * Math.cos(dec))
+            (Math.sin(alt) - Math.sin(this.#glat) * Math.sin(dec)) /
+            (Math.cos(this.#glat) * Math.cos(dec))
         );
     }
 
@@ -398,6 +730,26 @@ export class AstroTime {
         return this.GST2LST(gst);
     }
 
+    /**
+     * 세계시(UT)를 지방 겉보기 항성시(LAST)로 변환
+     * @param {number} ut - 세계시 (율리우스일 형식)
+     * @returns {number} 지방 겉보기 항성시 (율리우스일 형식)
+     */
+    UT2LAST(ut) {
+        let gast = AstroTime.UT2GAST(ut);
+        return this.GST2LST(gast);
+    }
+
+    /**
+     * 지방 표준시(LCT)를 지방 겉보기 항성시(LAST)로 변환
+     * @param {number} lct - 지방 표준시 (율리우스일 형식)
+     * @returns {number} 지방 겉보기 항성시 (율리우스일 형식)
+     */
+    LCT2LAST(lct) {
+        let ut = this.LCT2UT(lct);
+        return this.UT2LAST(ut);
+    }
+
     /**
      * 지방 표준시(LCT)를 지방 항성시(LST)로 변환
      * @param {number} lct - 지방 표준시 (율리우스일 형식)
@@ -411,10 +763,11 @@ export class AstroTime {
     /**
      * 해당 연도의 총 일수 반환
      * @param {number} year - 연도
+     * @param {CalendarType} [calendar='auto'] - 역법
      * @returns {number} 일수 (365 또는 366)
      */
-    daysInYear(year) {
-        return (AstroTime.isLeapYear(year)) ? 366 : 365;
+    daysInYear(year, calendar = 'auto') {
+        return (AstroTime.isLeapYear(year, calendar)) ? 366 : 365;
     }
 
     /**
@@ -427,15 +780,16 @@ export class AstroTime {
      * @param {number} month - 월 (1-12)
      * @param {number} day - 일 (1-31)
      * @param {number} [dstHours=0] - 일광절약시간 오프셋 (시간)
+     * @param {CalendarType} [calendar='auto'] - 날짜의 역법
      * @returns {number} 진정오 시각 (0-24 시간 단위)
      * @example
      * const astroTime = new AstroTime(9, 126.98, 37.57);
      * astroTime.lasn(2024, 6, 21); // 약 12.2 (서울의 하지 진정오)
      */
-    lasn(year, month, day, dstHours = 0) {
+    lasn(year, month, day, dstHours = 0, calendar = 'auto') {
         const lonHours = this.#glon * AstroMath.R2H;
         const zoneHours = this.#dgmt;
-        const eotHours = AstroTime.equationOfTimeMinutes(year, month, day) / 60.0;
+        const eotHours = AstroTime.equationOfTimeMinutes(year, month, day, calendar) / 60.0;
         const meanNoonOffset = zoneHours - lonHours;
         let hour = 12 + meanNoonOffset - eotHours + dstHours;
         hour = AstroMath.normalize(hour, 0, 24);
@@ -448,11 +802,12 @@ export class AstroTime {
      * @param {number} month - 월 (1-12)
      * @param {number} day - 일 (1-31)
      * @param {number} [dstHours=0] - 일광절약시간 오프셋 (시간)
+     * @param {CalendarType} [calendar='auto'] - 날짜의 역법
      * @returns {number} 진정자정 시각 (0-24 시간 단위)
      */
-    lamn(year, month, day, dstHours = 0) {
+    lamn(year, month, day, dstHours = 0, calendar = 'auto') {
         return AstroMath.normalize(
-            this.lasn(year, month, day, dstHours) - 12,
+            this.lasn(year, month, day, dstHours, calendar) - 12,
             0, 24
         );
     }
@@ -472,18 +827,19 @@ export class AstroTime {
      *   - 'LAMN': 진정자정
      *   - 'LOCAL_21H': 교육용 밤 9시
      * @param {number} [dstHours=0] - 일광절약시간 오프셋 (시간)
+     * @param {CalendarType} [calendar='auto'] - 날짜의 역법 (진정오/진정자정의 시각방정식에 사용)
      * @returns {number} 기준 시각 (0-24 시간 단위)
      */
-    hourForDateRing(year, month, day, mode = 'LASN', dstHours = 0) {
+    hourForDateRing(year, month, day, mode = 'LASN', dstHours = 0, calendar = 'auto') {
         switch (mode) {
             case 'MIDNIGHT':
                 return AstroMath.normalize(0 + dstHours, 0, 24);
             case 'LOCAL_NOON':
                 return AstroMath.normalize(12 + dstHours, 0, 24);
             case 'LASN':
-                return this.lasn(year, month, day, dstHours);
+                return this.lasn(year, month, day, dstHours, calendar);
             case 'LAMN':
-                return this.lamn(year, month, day, dstHours);
+                return this.lamn(year, month, day, dstHours, calendar);
             case 'LOCAL_21H':
                 return AstroMath.normalize(21 + dstHours, 0, 24);
             default:
@@ -599,8 +955,7 @@ export class AstroVector {
      * @note 단일 좌표 변환용. 다수의 좌표는 AstroMatrix 사용 권장
      */
     equ2ecl(equ, dt) {
-        const d = dt - 2451543.5;
-        const e = (23.4393 - 3.563e-7 * d) * AstroMath.D2R;
+        const e = AstroApparent.meanObliquity(dt);
         const cos_e = Math.cos(e);
         const sin_e = Math.sin(e);
         const x1 = equ.#x;
@@ -649,8 +1004,7 @@ export class AstroVector {
         const y1 = ecl.#y;
         const z1 = ecl.#z;
 
-        const d = dt - 2451543.5;
-        const e = (23.4393 - 3.563e-7 * d) * AstroMath.D2R;
+        const e = AstroApparent.meanObliquity(dt);
         const cos_e = Math.cos(e);
         const sin_e = Math.sin(e);
         this.#x = x1;
@@ -877,7 +1231,7 @@ export class AstroMatrix {
 
     /**
      * 은하 좌표 → 적도 좌표 변환 행렬 생성
-     * (상수 행렬 - 시간 무관)
+     * (상수 행렬 - 시간 무관, B1950.0 적도 기준)
      */
     gal2equ() {
         this.set(-0.0669887, 0.4927285, -0.8676008,
@@ -885,13 +1239,25 @@ export class AstroMatrix {
             -0.4835389, 0.7445846, 0.4601998);
     }
 
+    /**
+     * 은하 좌표 → J2000.0 적도 좌표 변환 행렬 생성
+     *
+     * 히파르코스 카탈로그(ESA 1997, 1.5.3절)의 행렬입니다. 은하 북극은 적경 192.85948°, 적위 27.12825°,
+     * 은하 중심(l = 0°, b = 0°)은 적경 266.40500°, 적위 -28.93617°입니다.
+     * (상수 행렬 - 시간 무관)
+     */
+    gal2equJ2000() {
+        this.set(-0.0548755604, 0.4941094279, -0.8676661490,
+            -0.8734370902, -0.4448296300, -0.1980763734,
+            -0.4838350155, 0.7469822445, 0.4559837762);
+    }
+
     /**
      * 황도 좌표 → 적도 좌표 변환 행렬 생성
      * @param {number} dt - 율리우스일 (황도 경사각 계산용)
      */
     ecl2equ(dt) {
-        const d = dt - 2451543.5;
-        const e = (23.4393 - 3.563e-7 * d) * AstroMath.D2R;
+        const e = AstroApparent.meanObliquity(dt);
         const cos_e = Math.cos(e);
         const sin_e = Math.sin(e);
         this.set(1.0, 0.0, 0.0,
@@ -904,8 +1270,7 @@ export class AstroMatrix {
      * @param {number} dt - 율리우스일 (황도 경사각 계산용)
      */
     equ2ecl(dt) {
-        const d = dt - 2451543.5;
-        const e = (23.4393 - 3.563e-7 * d) * AstroMath.D2R;
+        const e = AstroApparent.meanObliquity(dt);
         const cos_e = Math.cos(e);
         const sin_e = Math.sin(e);
         this.set(1.0, 0.0, 0.0,
@@ -913,37 +1278,468 @@ export class AstroMatrix {
             0.0, -sin_e, cos_e);
     }
 
+    /**
+     * 세차 행렬 생성 (J2000.0 평균 적도 → 날짜의 평균 적도)
+     *
+     * IAU 1976 세차 각(ζ, z, θ)을 사용합니다 (Meeus 21.2, 21.4).
+     *
+     * @param {number} jd - 목표 기원의 율리우스일 (TT)
+     * @example
+     * const P = new AstroMatrix(0,0,0,0,0,0,0,0,0);
+     * P.precession(AstroTime.jd(2050, 1, 1, 0, 0, 0));
+     * const equOfDate = new AstroVector(0,0,0);
+     * equOfDate.multiply(P, equJ2000);
+     */
+    precession(jd) {
+        const t = (jd - AstroMath.J2000) / 36525.0;
+        const t2 = t * t;
+        const t3 = t2 * t;
+        const zeta = (2306.2181 * t + 0.30188 * t2 + 0.017998 * t3) * AstroMath.S2R;
+        const z = (2306.2181 * t + 1.09468 * t2 + 0.018203 * t3) * AstroMath.S2R;
+        const theta = (2004.3109 * t - 0.42665 * t2 - 0.041833 * t3) * AstroMath.S2R;
+        const cos_zeta = Math.cos(zeta);
+        const sin_zeta = Math.sin(zeta);
+        const cos_z = Math.cos(z);
+        const sin_z = Math.sin(z);
+        const cos_theta = Math.cos(theta);
+        const sin_theta = Math.sin(theta);
+        this.set(cos_zeta * cos_z * cos_theta - sin_zeta * sin_z,
+            -sin_zeta * cos_z * cos_theta - cos_zeta * sin_z,
+            -cos_z * sin_theta,
+            cos_zeta * sin_z * cos_theta + sin_zeta * cos_z,
+            -sin_zeta * sin_z * cos_theta + cos_zeta * cos_z,
+            -sin_z * sin_theta,
+            cos_zeta * sin_theta,
+            -sin_zeta * sin_theta,
+            cos_theta);
+    }
+
+    /**
+     * 장동 행렬 생성 (날짜의 평균 적도 → 날짜의 진 적도)
+     *
+     * N = R₁(-ε) · R₃(-Δψ) · R₁(ε₀) (ε₀: 평균 황도 경사각, ε: 진 황도 경사각)
+     *
+     * @param {number} jd - 율리우스일 (TT)
+     */
+    nutation(jd) {
+        const { dpsi, meanObliquity, trueObliquity } = AstroApparent.nutation(jd);
+        const cos_psi = Math.cos(dpsi);
+        const sin_psi = Math.sin(dpsi);
+        const cos_e0 = Math.cos(meanObliquity);
+        const sin_e0 = Math.sin(meanObliquity);
+        const cos_e = Math.cos(trueObliquity);
+        const sin_e = Math.sin(trueObliquity);
+        this.set(cos_psi,
+            -sin_psi * cos_e0,
+            -sin_psi * sin_e0,
+            sin_psi * cos_e,
+            cos_psi * cos_e * cos_e0 + sin_e * sin_e0,
+            cos_psi * cos_e * sin_e0 - sin_e * cos_e0,
+            sin_psi * sin_e,
+            cos_psi * sin_e * cos_e0 - cos_e * sin_e0,
+            cos_psi * sin_e * sin_e0 + cos_e * cos_e0);
+    }
+
+    /**
+     * 세차·장동 결합 행렬 생성 (J2000.0 평균 적도 → 날짜의 진 적도)
+     *
+     * 장동 행렬 × 세차 행렬입니다. 연주광행차는 방향마다 다르므로 포함하지 않습니다.
+     *
+     * @param {number} jd - 율리우스일 (TT)
+     */
+    meanToTrue(jd) {
+        const P = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+        P.precession(jd);
+        const N = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+        N.nutation(jd);
+        this.multiply(N, P);
+    }
+
+    /**
+     * 전치 행렬을 현재 행렬에 저장
+     *
+     * 회전 행렬의 전치는 역변환입니다.
+     * (예: 세차 행렬의 전치 = 날짜의 평균 적도 → J2000.0)
+     *
+     * @param {AstroMatrix} m - 원본 행렬
+     */
+    transpose(m) {
+        const v = m.#v;
+        this.set(v[0][0], v[1][0], v[2][0],
+            v[0][1], v[1][1], v[2][1],
+            v[0][2], v[1][2], v[2][2]);
+    }
+
 }
 
 /**
- * 등거리 방위 투영 (Equidistant Azimuthal Projection) 클래스
+ * IAU 1980 장동 이론의 주기항 (Meeus 표 22.A)
  *
- * 천구를 2D 평면으로 투영하는 방법 중 하나입니다.
- * 북극(또는 남극)을 중심으로 적경-적위 좌표를 평면 x,y 좌표로 변환합니다.
+ * 각 행: [D, M, M', F, Ω 계수, Δψ 상수, Δψ T항, Δε 상수, Δε T항]
+ * Δψ, Δε 계수의 단위는 0.0001″입니다.
+ * @type {number[][]}
+ * @private
+ */
+const NUTATION_TERMS = [
+    [0, 0, 0, 0, 1, -171996, -174.2, 92025, 8.9],
+    [-2, 0, 0, 2, 2, -13187, -1.6, 5736, -3.1],
+    [0, 0, 0, 2, 2, -2274, -0.2, 977, -0.5],
+    [0, 0, 0, 0, 2, 2062, 0.2, -895, 0.5],
+    [0, 1, 0, 0, 0, 1426, -3.4, 54, -0.1],
+    [0, 0, 1, 0, 0, 712, 0.1, -7, 0],
+    [-2, 1, 0, 2, 2, -517, 1.2, 224, -0.6],
+    [0, 0, 0, 2, 1, -386, -0.4, 200, 0],
+    [0, 0, 1, 2, 2, -301, 0, 129, -0.1],
+    [-2, -1, 0, 2, 2, 217, -0.5, -95, 0.3],
+    [-2, 0, 1, 0, 0, -158, 0, 0, 0],
+    [-2, 0, 0, 2, 1, 129, 0.1, -70, 0],
+    [0, 0, -1, 2, 2, 123, 0, -53, 0],
+    [2, 0, 0, 0, 0, 63, 0, 0, 0],
+    [0, 0, 1, 0, 1, 63, 0.1, -33, 0],
+    [2, 0, -1, 2, 2, -59, 0, 26, 0],
+    [0, 0, -1, 0, 1, -58, -0.1, 32, 0],
+    [0, 0, 1, 2, 1, -51, 0, 27, 0],
+    [-2, 0, 2, 0, 0, 48, 0, 0, 0],
+    [0, 0, -2, 2, 1, 46, 0, -24, 0],
+    [2, 0, 0, 2, 2, -38, 0, 16, 0],
+    [0, 0, 2, 2, 2, -31, 0, 13, 0],
+    [0, 0, 2, 0, 0, 29, 0, 0, 0],
+    [-2, 0, 1, 2, 2, 29, 0, -12, 0],
+    [0, 0, 0, 2, 0, 26, 0, 0, 0],
+    [-2, 0, 0, 2, 0, -22, 0, 0, 0],
+    [0, 0, -1, 2, 1, 21, 0, -10, 0],
+    [0, 2, 0, 0, 0, 17, -0.1, 0, 0],
+    [2, 0, -1, 0, 1, 16, 0, -8, 0],
+    [-2, 2, 0, 2, 2, -16, 0.1, 7, 0],
+    [0, 1, 0, 0, 1, -15, 0, 9, 0],
+    [-2, 0, 1, 0, 1, -13, 0, 7, 0],
+    [0, -1, 0, 0, 1, -12, 0, 6, 0],
+    [0, 0, 2, -2, 0, 11, 0, 0, 0],
+    [2, 0, -1, 2, 1, -10, 0, 5, 0],
+    [2, 0, 1, 2, 2, -8, 0, 3, 0],
+    [0, 1, 0, 2, 2, 7, 0, -3, 0],
+    [-2, 1, 1, 0, 0, -7, 0, 0, 0],
+    [0, -1, 0, 2, 2, -7, 0, 3, 0],
+    [2, 0, 0, 2, 1, -7, 0, 3, 0],
+    [2, 0, 1, 0, 0, 6, 0, 0, 0],
+    [-2, 0, 2, 2, 2, 6, 0, -3, 0],
+    [-2, 0, 1, 2, 1, 6, 0, -3, 0],
+    [2, 0, -2, 0, 1, -6, 0, 3, 0],
+    [2, 0, 0, 0, 1, -6, 0, 3, 0],
+    [0, -1, 1, 0, 0, 5, 0, 0, 0],
+    [-2, -1, 0, 2, 1, -5, 0, 3, 0],
+    [-2, 0, 0, 0, 1, -5, 0, 3, 0],
+    [0, 0, 2, 2, 1, -5, 0, 3, 0],
+    [-2, 0, 2, 0, 1, 4, 0, 0, 0],
+    [-2, 1, 0, 2, 1, 4, 0, 0, 0],
+    [0, 0, 1, -2, 0, 4, 0, 0, 0],
+    [-1, 0, 1, 0, 0, -4, 0, 0, 0],
+    [-2, 1, 0, 0, 0, -4, 0, 0, 0],
+    [1, 0, 0, 0, 0, -4, 0, 0, 0],
+    [0, 0, 1, 2, 0, 3, 0, 0, 0],
+    [0, 0, -2, 2, 2, -3, 0, 0, 0],
+    [-1, -1, 1, 0, 0, -3, 0, 0, 0],
+    [0, 1, 1, 0, 0, -3, 0, 0, 0],
+    [0, -1, 1, 2, 2, -3, 0, 0, 0],
+    [2, -1, -1, 2, 2, -3, 0, 0, 0],
+    [0, 0, 3, 2, 2, -3, 0, 0, 0],
+    [2, -1, 0, 2, 2, -3, 0, 0, 0]
+];
+
+/**
+ * 광행차 상수 κ (라디안)
+ * @type {number}
+ * @private
+ */
+const ABERRATION_CONSTANT = 20.49552 * AstroMath.S2R;
+
+/**
+ * 겉보기 위치(Apparent Place) 계산 클래스
  *
- * 투영 특성:
- * - 중심점(천구 극)에서의 거리가 실제 각거리에 비례
- * - 호의 길이 L = R × A (R: 반경, A: 각도)
- * - 북극 근처 (x,y) = (0,0)
+ * J2000.0 평균 위치를 관측 시점의 겉보기 위치로 옮기는 과정을 제공합니다:
+ * ```
+ * J2000.0 평균 적도 --(세차)--> 날짜의 평균 적도 --(장동)--> 날짜의 진 적도 --(연주광행차)--> 겉보기 위치
+ * ```
+ * 장동은 IAU 1980 이론(Meeus 22장), 광행차는 Meeus 23장의 방법을 따르며
+ * 별의 고유운동과 연주시차는 고려하지 않습니다.
  *
  * @class
  * @example
- * // 화면 반경 300px, 적위 한계 -30도로 투영기 생성
- * const proj = new EquiDistanceProjection(300, -30 * Math.PI / 180);
+ * // 2028년 11월 13일 페르세우스자리 세타별의 겉보기 위치
+ * const { ra, dec } = AstroApparent.place(41.054063 * AstroMath.D2R, 49.227750 * AstroMath.D2R, 2462088.69);
  *
- * // 별의 적경/적위를 화면 좌표로 변환
- * const pos = proj.project(ra, dec);
- * console.log(pos.x, pos.y);
+ * // 장동 성분
+ * const { dpsi, deps, trueObliquity } = AstroApparent.nutation(jd);
  */
-export class EquiDistanceProjection {
+export class AstroApparent {
+    /**
+     * 평균 황도 경사각 (Meeus 22.2)
+     * @static
+     * @param {number} jd - 율리우스일 (TT)
+     * @returns {number} 평균 황도 경사각 ε₀ (라디안)
+     */
+    static meanObliquity(jd) {
+        const t = (jd - AstroMath.J2000) / 36525.0;
+        return (84381.448 - 46.8150 * t - 0.00059 * t * t + 0.001813 * t * t * t) * AstroMath.S2R;
+    }
+
     /**
-     * EquiDistanceProjection 인스턴스 생성
+     * 황경 장동(Δψ)과 황도 경사 장동(Δε) 계산 (IAU 1980, Meeus 22장)
+     * @static
+     * @param {number} jd - 율리우스일 (TT)
+     * @returns {{dpsi: number, deps: number, meanObliquity: number, trueObliquity: number}}
+     *   황경 장동, 황도 경사 장동, 평균/진 황도 경사각 (모두 라디안)
+     * @example
+     * // Meeus 예제 22.a: Δψ = -3.788″, Δε = +9.443″
+     * const n = AstroApparent.nutation(2446895.5);
+     */
+    static nutation(jd) {
+        const t = (jd - AstroMath.J2000) / 36525.0;
+        const t2 = t * t;
+        const t3 = t2 * t;
+        const D = (297.85036 + 445267.111480 * t - 0.0019142 * t2 + t3 / 189474) * AstroMath.D2R;
+        const M = (357.52772 + 35999.050340 * t - 0.0001603 * t2 - t3 / 300000) * AstroMath.D2R;
+        const Mp = (134.96298 + 477198.867398 * t + 0.0086972 * t2 + t3 / 56250) * AstroMath.D2R;
+        const F = (93.27191 + 483202.017538 * t - 0.0036825 * t2 + t3 / 327270) * AstroMath.D2R;
+        const omega = (125.04452 - 1934.136261 * t + 0.0020708 * t2 + t3 / 450000) * AstroMath.D2R;
+
+        let dpsi = 0;
+        let deps = 0;
+        for (const [d, m, mp, f, o, psiA, psiB, epsA, epsB] of NUTATION_TERMS) {
+            const arg = d * D + m * M + mp * Mp + f * F + o * omega;
+            dpsi += (psiA + psiB * t) * Math.sin(arg);
+            deps += (epsA + epsB * t) * Math.cos(arg);
+        }
+        dpsi *= 0.0001 * AstroMath.S2R;
+        deps *= 0.0001 * AstroMath.S2R;
+
+        const meanObliquity = AstroApparent.meanObliquity(jd);
+        return { dpsi, deps, meanObliquity, trueObliquity: meanObliquity + deps };
+    }
+
+    /**
+     * 분점차(Equation of the Equinoxes) 계산
      *
-     * 화면 반경과 적위 한계값으로 천구의 가상 반경을 계산합니다.
+     * 겉보기 항성시와 평균 항성시의 차이 Δψ·cos ε 입니다 (최대 약 ±1.2초).
      *
-     * @param {number} screenRadius - 화면상 별자리판 원의 반경 (픽셀)
-     * @param {number} limitDE - 표시할 적위의 하한값 (라디안, 음수면 남반구까지 표시)
+     * @static
+     * @param {number} jd - 율리우스일 (TT)
+     * @returns {number} 분점차 (라디안)
+     */
+    static equationOfEquinoxes(jd) {
+        const { dpsi, trueObliquity } = AstroApparent.nutation(jd);
+        return dpsi * Math.cos(trueObliquity);
+    }
+
+    /**
+     * 연주광행차에 의한 적경/적위 보정값 계산 (Meeus 23.3)
+     *
+     * 지구 궤도 이심률 항(E-terms)을 포함합니다.
+     *
+     * @static
+     * @param {number} ra - 적경 (라디안, 날짜의 진 적도)
+     * @param {number} dec - 적위 (라디안, 날짜의 진 적도)
+     * @param {number} jd - 율리우스일 (TT)
+     * @returns {{dra: number, ddec: number}} 적경/적위 보정값 (라디안)
+     */
+    static aberration(ra, dec, jd) {
+        const t = (jd - AstroMath.J2000) / 36525.0;
+        const t2 = t * t;
+
+        // 태양의 기하학적 황경 (Meeus 25.2 ~ 25.4)
+        const L0 = 280.46646 + 36000.76983 * t + 0.0003032 * t2;
+        const M = (357.52911 + 35999.05029 * t - 0.0001537 * t2) * AstroMath.D2R;
+        const C = (1.914602 - 0.004817 * t - 0.000014 * t2) * Math.sin(M) +
+            (0.019993 - 0.000101 * t) * Math.sin(2 * M) +
+            0.000289 * Math.sin(3 * M);
+        const sunLon = (L0 + C) * AstroMath.D2R;
+
+        // 지구 궤도 이심률과 근일점 황경
+        const e = 0.016708634 - 0.000042037 * t - 0.0000001267 * t2;
+        const pi = (102.93735 + 1.71946 * t + 0.00046 * t2) * AstroMath.D2R;
+        const eps = AstroApparent.nutation(jd).trueObliquity;
+
+        const cosRa = Math.cos(ra);
+        const sinRa = Math.sin(ra);
+        const cosDec = Math.cos(dec);
+        const sinDec = Math.sin(dec);
+        const cosEps = Math.cos(eps);
+        const k = ABERRATION_CONSTANT;
+
+        const dra = (-k * (cosRa * Math.cos(sunLon) * cosEps + sinRa * Math.sin(sunLon)) +
+            e * k * (cosRa * Math.cos(pi) * cosEps + sinRa * Math.sin(pi))) / cosDec;
+        const q = Math.tan(eps) * cosDec - sinRa * sinDec;
+        const ddec = -k * (Math.cos(sunLon) * cosEps * q + cosRa * sinDec * Math.sin(sunLon)) +
+            e * k * (Math.cos(pi) * cosEps * q + cosRa * sinDec * Math.sin(pi));
+
+        return { dra, ddec };
+    }
+
+    /**
+     * J2000.0 평균 위치를 날짜의 겉보기 위치로 변환
+     *
+     * 세차 → 장동 → 연주광행차 순서로 적용합니다.
+     *
+     * @static
+     * @param {number} ra - J2000.0 적경 (라디안)
+     * @param {number} dec - J2000.0 적위 (라디안)
+     * @param {number} jd - 율리우스일 (TT)
+     * @returns {{ra: number, dec: number}} 날짜의 겉보기 적경(0 ~ 2π)/적위 (라디안)
+     */
+    static place(ra, dec, jd) {
+        const m = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+        m.meanToTrue(jd);
+
+        const j2000 = new AstroVector(0, 0, 0);
+        j2000.setSphe(ra, dec);
+        const ofDate = new AstroVector(0, 0, 0);
+        ofDate.multiply(m, j2000);
+
+        const trueRa = ofDate.lon();
+        const trueDec = ofDate.lat();
+        const { dra, ddec } = AstroApparent.aberration(trueRa, trueDec, jd);
+        return {
+            ra: AstroMath.normalize(trueRa + dra, 0, AstroMath.TPI),
+            dec: trueDec + ddec
+        };
+    }
+}
+
+/**
+ * 대기차 공식의 기준 기압 (hPa)
+ * @type {number}
+ * @private
+ */
+const REFRACTION_PRESSURE = 1010;
+
+/**
+ * 대기차 공식의 기준 기온 (℃)
+ * @type {number}
+ * @private
+ */
+const REFRACTION_TEMPERATURE = 10;
+
+/**
+ * 대기차(Atmospheric Refraction)와 지평선 강하(Horizon Dip) 계산 클래스
+ *
+ * 대기는 빛을 굴절시켜 천체를 실제(기하학적) 위치보다 높게 보이게 합니다.
+ * 지평선 근처에서 약 34′로 태양 지름보다 큽니다.
+ * 높은 곳의 관측자는 지평선이 0°보다 아래(강하)에 보이므로 더 넓은 하늘을 봅니다.
+ *
+ * - 겉보기 고도 → 대기차: Bennett 공식 (Meeus 16.3)
+ * - 실제 고도 → 대기차: Saemundsson 공식 (Meeus 16.4)
+ * - 기압/기온 보정: × (P / 1010) × (283 / (273 + T))
+ *
+ * 두 공식은 대기차가 가장 큰 고도(약 -1.7°, -1.9°) 아래에서는 그 값을 그대로 사용합니다.
+ *
+ * @class
+ * @example
+ * // 겉보기 고도 0°의 대기차 (약 34.5′)
+ * AstroRefraction.bennett(0) * AstroMath.R2D * 60;
+ *
+ * // 해발 3000m 관측지에서 보이는 지평선의 실제 고도
+ * AstroRefraction.horizonAltitude(3000);
+ */
+export class AstroRefraction {
+    /**
+     * 겉보기 고도에서의 대기차 (Bennett)
+     * @static
+     * @param {number} apparentAlt - 겉보기 고도 (라디안)
+     * @param {number} [pressure=1010] - 기압 (hPa)
+     * @param {number} [temperature=10] - 기온 (℃)
+     * @returns {number} 대기차 (라디안, 실제 고도 = 겉보기 고도 - 대기차)
      */
+    static bennett(apparentAlt, pressure = REFRACTION_PRESSURE, temperature = REFRACTION_TEMPERATURE) {
+        const h = Math.max(apparentAlt * AstroMath.R2D, -1.7);
+        const minutes = 1 / Math.tan((h + 7.31 / (h + 4.4)) * AstroMath.D2R);
+        return minutes / 60 * AstroMath.D2R * AstroRefraction.#factor(pressure, temperature);
+    }
+
+    /**
+     * 실제(기하학적) 고도에서의 대기차 (Saemundsson)
+     * @static
+     * @param {number} trueAlt - 실제 고도 (라디안)
+     * @param {number} [pressure=1010] - 기압 (hPa)
+     * @param {number} [temperature=10] - 기온 (℃)
+     * @returns {number} 대기차 (라디안, 겉보기 고도 = 실제 고도 + 대기차)
+     */
+    static saemundsson(trueAlt, pressure = REFRACTION_PRESSURE, temperature = REFRACTION_TEMPERATURE) {
+        const h = Math.max(trueAlt * AstroMath.R2D, -1.9);
+        const minutes = 1.02 / Math.tan((h + 10.3 / (h + 5.11)) * AstroMath.D2R);
+        return minutes / 60 * AstroMath.D2R * AstroRefraction.#factor(pressure, temperature);
+    }
+
+    /**
+     * 관측자 고도에 따른 지평선 강하 (지상 대기차 포함, 1.76′·√h)
+     * @static
+     * @param {number} elevation - 해발 고도 (m)
+     * @returns {number} 지평선 강하 (라디안, 0 이상)
+     */
+    static horizonDip(elevation) {
+        if (!(elevation > 0)) return 0;
+        return 1.76 * Math.sqrt(elevation) / 60 * AstroMath.D2R;
+    }
+
+    /**
+     * 해발 고도의 표준 대기압 (국제 표준 대기, 해수면 1010 hPa 기준)
+     * @static
+     * @param {number} elevation - 해발 고도 (m)
+     * @returns {number} 기압 (hPa)
+     */
+    static standardPressure(elevation) {
+        return REFRACTION_PRESSURE * Math.pow(1 - 2.25577e-5 * Math.max(elevation, 0), 5.25588);
+    }
+
+    /**
+     * 보이는 지평선의 실제(기하학적) 고도
+     *
+     * 겉보기 고도 -강하 에 있는 지평선이 대기차만큼 떠 보이므로
+     * 실제 고도는 -(강하 + 대기차) 입니다. 해수면에서는 약 -34′입니다.
+     *
+     * @static
+     * @param {number} [elevation=0] - 해발 고도 (m)
+     * @param {number} [pressure] - 기압 (hPa, 기본: 해발 고도의 표준 대기압)
+     * @param {number} [temperature=10] - 기온 (℃)
+     * @returns {number} 지평선의 실제 고도 (라디안, 음수)
+     */
+    static horizonAltitude(elevation = 0, pressure = AstroRefraction.standardPressure(elevation), temperature = REFRACTION_TEMPERATURE) {
+        const apparent = -AstroRefraction.horizonDip(elevation);
+        return apparent - AstroRefraction.bennett(apparent, pressure, temperature);
+    }
+
+    /**
+     * 기압/기온 보정 계수
+     * @private
+     */
+    static #factor(pressure, temperature) {
+        return (pressure / REFRACTION_PRESSURE) * (283 / (273 + temperature));
+    }
+}
+
+/**
+ * 방위 투영(Azimuthal Projection) 기반 클래스
+ *
+ * 천구 극(북반구는 북극, 남반구는 남극)을 중심으로 적경-적위 좌표를 평면 x,y 좌표로 변환합니다.
+ * 적경은 중심에 대한 각도로, 극에서의 각거리(ρ)는 중심으로부터의 거리로 나타납니다.
+ * 하위 클래스는 각거리 → 반경 함수(distanceToRadius)와 그 역함수(radiusToDistance)만 정의합니다.
+ *
+ * 지원 투영 (PROJECTIONS 참고):
+ * - EquiDistanceProjection: 등거리 (r = ρ)
+ * - StereographicProjection: 평사 (r = 2·tan(ρ/2)), 작은 영역의 모양 보존, 극에서 145°까지만 표시
+ * - EqualAreaProjection: 람베르트 등적 (r = 2·sin(ρ/2)), 면적 보존
+ * - OrthographicProjection: 정사 (r = sin ρ), 천구를 멀리서 본 모습, 극에서 90°까지만 표시
+ *
+ * @class
+ * @abstract
+ */
+export class AzimuthalProjection {
+    /**
+     * 표시할 수 있는 극으로부터의 최대 각거리 (라디안)
+     * @static
+     * @type {number}
+     */
+    static MAX_POLAR_DISTANCE = Math.PI;
+
     #screenRadius;
     #limitDE;
     #screenCoord;
@@ -952,24 +1748,33 @@ export class EquiDistanceProjection {
     #isSouthern;
 
     /**
-     * EquiDistanceProjection 인스턴스 생성
+     * 투영 인스턴스 생성
      *
-     * 화면 반경과 적위 한계값으로 천구의 가상 반경을 계산합니다.
-     * 관측지 위도에 따라 투영 중심과 적위 한계값을 자동으로 결정합니다.
+     * 관측지 위도에 따라 투영 중심과 적위 한계값을 자동으로 결정하고,
+     * 적위 한계가 화면 반경에 오도록 배율을 계산합니다.
      *
      * @param {number} screenRadius - 화면상 별자리판 원의 반경 (픽셀)
-     * @param {number} lat - 관측지 위도 (라디안)
+     * @param {number} lat - 관측지 위도 (라디안, 음수이면 남극 중심)
+     * @param {number} [limitDE] - 적위 한계 (라디안, 생략 시 calculateLimitDE(lat))
+     * @example
+     * // 양면 별자리판의 남쪽 하늘 원판: 남극 중심, 적위 +30°까지
+     * const south = new EquiDistanceProjection(300, -AstroMath.HPI, 30 * AstroMath.D2R);
      */
-    constructor(screenRadius, lat = 37.5 * AstroMath.D2R) {
+    constructor(screenRadius, lat = 37.5 * AstroMath.D2R, limitDE = AzimuthalProjection.calculateLimitDE(lat)) {
         this.#screenRadius = screenRadius;
-        this.#limitDE = EquiDistanceProjection.calculateLimitDE(lat);
         this.#screenCoord = new AstroPoint(0, 0);
 
         this.#isSouthern = lat < 0;
         this.#centerDE = this.#isSouthern ? -AstroMath.HPI : AstroMath.HPI;
 
-        // 가상 천구 반경: 중심(극)에서 한계(limitDE) 사이의 각거리와 화면 반경 비율
-        this.#virtualCelestrialRadius = screenRadius / Math.abs(this.#centerDE - this.#limitDE);
+        // 투영이 표시할 수 있는 범위 안으로 적위 한계를 제한
+        const maxDistance = this.constructor.MAX_POLAR_DISTANCE;
+        this.#limitDE = this.#isSouthern
+            ? Math.min(limitDE, this.#centerDE + maxDistance)
+            : Math.max(limitDE, this.#centerDE - maxDistance);
+
+        // 가상 천구 반경: 적위 한계가 화면 반경에 오도록 하는 배율
+        this.#virtualCelestrialRadius = screenRadius / this.distanceToRadius(Math.abs(this.#centerDE - this.#limitDE));
     }
 
     get screenRadius() { return this.#screenRadius; }
@@ -977,6 +1782,26 @@ export class EquiDistanceProjection {
     get virtualCelestrialRadius() { return this.#virtualCelestrialRadius; }
     get isSouthern() { return this.#isSouthern; }
 
+    /**
+     * 극으로부터의 각거리를 단위 천구 기준 반경으로 변환 (하위 클래스에서 구현)
+     * @abstract
+     * @param {number} distance - 극으로부터의 각거리 (라디안, 0 이상)
+     * @returns {number} 단위 천구 기준 반경
+     */
+    distanceToRadius(distance) {
+        throw new Error('distanceToRadius()를 구현해야 합니다.');
+    }
+
+    /**
+     * 단위 천구 기준 반경을 극으로부터의 각거리로 변환 (distanceToRadius의 역함수)
+     * @abstract
+     * @param {number} radius - 단위 천구 기준 반경 (0 이상)
+     * @returns {number} 극으로부터의 각거리 (라디안)
+     */
+    radiusToDistance(radius) {
+        throw new Error('radiusToDistance()를 구현해야 합니다.');
+    }
+
     /**
      * 적경/적위를 화면 좌표로 투영
      * @param {number} ra - 적경 (라디안)
@@ -986,8 +1811,8 @@ export class EquiDistanceProjection {
      *       값을 보존하려면 복사 필요
      */
     project(ra, dec) {
-        // 중심(극)으로부터의 각거리에 비례한 화면 거리 계산
-        const decScreen = Math.abs(this.#centerDE - dec) * this.#virtualCelestrialRadius;
+        // 중심(극)으로부터의 각거리에 따른 화면 거리 계산
+        const decScreen = this.distanceToRadius(Math.abs(this.#centerDE - dec)) * this.#virtualCelestrialRadius;
 
         // 남반구 투영 시 RA 방향을 뒤집어(시계방향 증가) 자연스러운 움직임을 유도합니다.
         const angle = this.#isSouthern ? -ra : ra;
@@ -997,6 +1822,25 @@ export class EquiDistanceProjection {
         return this.#screenCoord;
     }
 
+    /**
+     * 화면 좌표를 적경/적위로 역투영 (project()의 역변환)
+     * @param {number} x - 화면 x 좌표 (투영 중심 기준, 픽셀)
+     * @param {number} y - 화면 y 좌표 (투영 중심 기준, 픽셀)
+     * @returns {{ra: number, dec: number}} 적경(0 ~ 2π)과 적위 (라디안)
+     * @example
+     * const { x, y } = proj.project(ra, dec);
+     * proj.unproject(x, y); // {ra, dec}
+     */
+    unproject(x, y) {
+        // 중심(극)으로부터의 각거리
+        const distance = this.radiusToDistance(Math.hypot(x, y) / this.#virtualCelestrialRadius);
+        const dec = this.#isSouthern ? this.#centerDE + distance : this.#centerDE - distance;
+
+        const angle = Math.atan2(y, x);
+        const ra = AstroMath.normalize(this.#isSouthern ? -angle : angle, 0, AstroMath.TPI);
+        return { ra, dec };
+    }
+
     /**
      * 위도에 따른 적절한 적위 한계값(limitDE) 계산
      * @param {number} lat - 관측지 위도 (라디안)
@@ -1013,3 +1857,107 @@ export class EquiDistanceProjection {
         }
     }
 }
+
+/**
+ * 등거리 방위 투영 (Equidistant Azimuthal Projection) 클래스
+ *
+ * 천구를 2D 평면으로 투영하는 방법 중 하나입니다.
+ * 북극(또는 남극)을 중심으로 적경-적위 좌표를 평면 x,y 좌표로 변환합니다.
+ *
+ * 투영 특성:
+ * - 중심점(천구 극)에서의 거리가 실제 각거리에 비례
+ * - 호의 길이 L = R × A (R: 반경, A: 각도)
+ * - 북극 근처 (x,y) = (0,0)
+ *
+ * @class
+ * @extends AzimuthalProjection
+ * @example
+ * // 화면 반경 300px, 위도 37.5도 관측지용 투영기 생성
+ * const proj = new EquiDistanceProjection(300, 37.5 * Math.PI / 180);
+ *
+ * // 별의 적경/적위를 화면 좌표로 변환
+ * const pos = proj.project(ra, dec);
+ * console.log(pos.x, pos.y);
+ */
+export class EquiDistanceProjection extends AzimuthalProjection {
+    distanceToRadius(distance) {
+        return distance;
+    }
+
+    radiusToDistance(radius) {
+        return radius;
+    }
+}
+
+/**
+ * 평사 방위 투영 (Stereographic Projection) 클래스
+ *
+ * 반대쪽 극에서 천구를 평면에 비춘 투영으로, 작은 영역의 각도와 모양이 보존됩니다(등각).
+ * 적위 한계 가까이의 별자리도 모양이 찌그러지지 않지만, 가장자리로 갈수록 크게 확대됩니다.
+ * 반대쪽 극에서 무한대로 발산하므로 극에서 145°까지만 표시합니다.
+ *
+ * @class
+ * @extends AzimuthalProjection
+ */
+export class StereographicProjection extends AzimuthalProjection {
+    /** 반대쪽 극(180°)은 무한대로 발산하므로 145°까지만 표시 */
+    static MAX_POLAR_DISTANCE = 145 * AstroMath.D2R;
+
+    distanceToRadius(distance) {
+        return 2 * Math.tan(distance / 2);
+    }
+
+    radiusToDistance(radius) {
+        return 2 * Math.atan(radius / 2);
+    }
+}
+
+/**
+ * 람베르트 등적 방위 투영 (Lambert Azimuthal Equal-Area Projection) 클래스
+ *
+ * 천구의 면적 비율이 화면에서도 유지되므로 영역별 별의 밀도를 비교하기 좋습니다.
+ *
+ * @class
+ * @extends AzimuthalProjection
+ */
+export class EqualAreaProjection extends AzimuthalProjection {
+    distanceToRadius(distance) {
+        return 2 * Math.sin(distance / 2);
+    }
+
+    radiusToDistance(radius) {
+        return 2 * Math.asin(Math.min(1, radius / 2));
+    }
+}
+
+/**
+ * 정사 방위 투영 (Orthographic Projection) 클래스
+ *
+ * 천구를 무한히 먼 곳에서 바라본 모습으로, 극에서 90°(천구의 적도)까지만 표시합니다.
+ * 90°를 넘는 점은 원 밖으로 밀어내어 화면 반경 검사로 걸러지게 합니다.
+ *
+ * @class
+ * @extends AzimuthalProjection
+ */
+export class OrthographicProjection extends AzimuthalProjection {
+    static MAX_POLAR_DISTANCE = AstroMath.HPI;
+
+    distanceToRadius(distance) {
+        return distance <= AstroMath.HPI ? Math.sin(distance) : 1 + (distance - AstroMath.HPI);
+    }
+
+    radiusToDistance(radius) {
+        return radius <= 1 ? Math.asin(radius) : AstroMath.HPI + (radius - 1);
+    }
+}
+
+/**
+ * 투영 이름별 클래스 (Planisphere의 projection 옵션에 사용)
+ * @type {Object<string, typeof AzimuthalProjection>}
+ */
+export const PROJECTIONS = Object.freeze({
+    equidistant: EquiDistanceProjection,
+    stereographic: StereographicProjection,
+    'equal-area': EqualAreaProjection,
+    orthographic: OrthographicProjection
+});
@@ -0,0 +1,478 @@
+/**
+ * @fileoverview 별자리판 JS - 별 목록(Star Catalog)과 딥스카이 목록(Deep-Sky Catalog)
+ * @author 지용호 <jidolstar@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ *
+ * @description
+ * models.js의 STARS_DATA, DEEP_SKY_DATA(CSV 문자열)를 한 번만 파싱해 타입 배열로 보관하고,
+ * 프로그램에서 별과 딥스카이 천체를 찾을 수 있는 검색 API를 제공합니다.
+ *
+ * 주요 기능:
+ * - 바이어/플램스티드 명칭 검색 (예: 'Alp Ori', '58 Ori', 'Alp1 Cen')
+ * - 고유 이름 검색 (예: 'Betelgeuse', 대소문자 무시)
+ * - 히파르코스 번호 검색 (예: HIP 27989, Stellarium 별자리선 가져오기에 사용)
+ * - 등급, 분광형, 별자리 조건 검색
+ * - 적경/적위 기준 원뿔 검색 (cone search)
+ * - 메시에/칼드웰 천체의 목록 번호(M31, C14), NGC/IC 명칭 검색과 종류/등급 조건 검색 (DeepSkyCatalog)
+ *
+ * 좌표는 J2000.0 적경/적위(라디안)이며, 바이어/플램스티드 명칭이 없는 별은 별자리도 빈 문자열입니다.
+ *
+ * @example
+ * import { StarCatalog } from './catalog.js';
+ *
+ * const catalog = StarCatalog.default;
+ * const rigel = catalog.findByName('Rigel');
+ * const bright = catalog.filter({ constellation: 'Ori', maxMag: 2 }); // 오리온자리의 2등급 이상 별
+ */
+
+import { AstroMath } from './astronomy.js';
+import { STARS_DATA, DEEP_SKY_DATA } from './models.js';
+
+/**
+ * 원본 데이터에서 소문자 's'가 공백으로 바뀐 바이어 문자 표기 보정
+ * @private
+ * @constant {Object.<string, string>}
+ */
+const GREEK_REPAIRS = { 'Ep': 'Eps', 'Up': 'Ups', 'P i': 'Psi' };
+
+/**
+ * 원본 데이터에서 소문자 's'가 공백으로 바뀐 별자리 약자 보정
+ * @private
+ * @constant {Object.<string, string>}
+ */
+const CONSTELLATION_REPAIRS = { 'Ap ': 'Aps', 'Ca ': 'Cas', 'Mu ': 'Mus', 'P A': 'PsA', 'P c': 'Psc' };
+
+/**
+ * 검색 키 정규화 (공백 제거, 소문자)
+ * @private
+ * @param {string} text - 명칭 또는 이름
+ * @returns {string}
+ */
+const normalizeKey = (text) => text.replace(/\s+/g, '').toLowerCase();
+
+/**
+ * 바이어/플램스티드 명칭 파싱
+ *
+ * 명칭은 플램스티드 번호, 바이어 문자(그리스 문자 약자 + 위첨자 번호), 별자리 약자(끝 3글자) 순서입니다.
+ * (예: '58Alp Ori', '41Gam1Leo', 'Tau Phe', '5 Ori')
+ *
+ * @private
+ * @param {string} designation - 원본 명칭
+ * @returns {{flamsteed: number|null, bayer: string, constellation: string}}
+ */
+const parseDesignation = (designation) => {
+    if (!designation) return { flamsteed: null, bayer: '', constellation: '' };
+    const con = designation.slice(-3);
+    const [, number, greek, superscript] = designation.slice(0, -3).match(/^(\d*)([A-Za-z ]*?)(\d?)\s*$/);
+    const letter = greek.trim();
+    return {
+        flamsteed: number ? Number(number) : null,
+        bayer: letter ? (GREEK_REPAIRS[letter] ?? letter) + superscript : '',
+        constellation: CONSTELLATION_REPAIRS[con] ?? con
+    };
+};
+
+/**
+ * @typedef {Object} CatalogStar
+ * @property {number} index - 목록 번호 (0부터)
+ * @property {string} designation - 바이어/플램스티드 명칭 (예: '58 Alp Ori', 없으면 빈 문자열)
+ * @property {number|null} flamsteed - 플램스티드 번호
+ * @property {string} bayer - 바이어 문자 (예: 'Alp', 'Gam1', 없으면 빈 문자열)
+ * @property {string} constellation - 별자리 약자 (예: 'Ori', 없으면 빈 문자열)
+ * @property {string} name - 고유 이름 (없으면 빈 문자열)
+ * @property {number} ra - 적경 (라디안, J2000.0)
+ * @property {number} dec - 적위 (라디안, J2000.0)
+ * @property {number} mag - 겉보기 등급
+ * @property {string} spectral - 분광형 (O, B, A, F, G, K, M 등)
+ * @property {number|null} hip - 히파르코스 번호 (없으면 null)
+ */
+
+/**
+ * 파싱된 별 목록과 검색 API
+ *
+ * 좌표와 등급은 타입 배열(ra, dec, mag)로 노출되어 렌더러가 별을 그릴 때 문자열을 다시 나누지 않습니다.
+ *
+ * @class
+ * @example
+ * const catalog = StarCatalog.default;
+ * catalog.findByDesignation('Alp Ori').name;    // 'Betelgeuse'
+ * catalog.coneSearch(ra, dec, 5 * AstroMath.D2R); // 반경 5° 안의 별 (가까운 순서)
+ */
+export class StarCatalog {
+    /** @type {StarCatalog|null} */
+    static #default = null;
+
+    /** @type {number} */
+    #size;
+    /** @type {Float64Array} 적경 (라디안) */
+    #ra;
+    /** @type {Float64Array} 적위 (라디안) */
+    #dec;
+    /** @type {Float32Array} 겉보기 등급 */
+    #mag;
+    /** @type {Float64Array} 단위 벡터 (x, y, z 순서로 3개씩) */
+    #xyz;
+    /** @type {string[]} */
+    #spectral;
+    /** @type {Int32Array} 히파르코스 번호 (없으면 0) */
+    #hip;
+    /** @type {string[]} */
+    #names;
+    /** @type {Array<{flamsteed: number|null, bayer: string, constellation: string}>} */
+    #designations;
+    /** @type {Map<string, number>} 정규화한 명칭/이름 → 목록 번호 (같은 키는 가장 밝은 별) */
+    #designationIndex = new Map();
+    #nameIndex = new Map();
+    /** @type {Map<number, number>} 히파르코스 번호 → 목록 번호 */
+    #hipIndex = new Map();
+
+    /**
+     * StarCatalog 인스턴스 생성
+     *
+     * 기본 목록은 StarCatalog.default를 사용하세요. (한 번만 파싱)
+     *
+     * @param {string} [csv=STARS_DATA] - STARS_DATA 형식의 CSV 문자열 (명칭, 고유 이름, 적경(시), 적위(도), 등급, 분광형, HIP)
+     */
+    constructor(csv = STARS_DATA) {
+        const lines = csv.trim().split('\n');
+        this.#size = lines.length;
+        this.#ra = new Float64Array(this.#size);
+        this.#dec = new Float64Array(this.#size);
+        this.#mag = new Float32Array(this.#size);
+        this.#xyz = new Float64Array(this.#size * 3);
+        this.#spectral = new Array(this.#size);
+        this.#hip = new Int32Array(this.#size);
+        this.#names = new Array(this.#size);
+        this.#designations = new Array(this.#size);
+
+        for (let i = 0; i < this.#size; i++) {
+            const [designation, name, ra, dec, mag, spectral, hip] = lines[i].split(',');
+            this.#ra[i] = Number(ra) * AstroMath.H2R;
+            this.#dec[i] = Number(dec) * AstroMath.D2R;
+            this.#mag[i] = mag === '' ? NaN : Number(mag);
+            this.#spectral[i] = spectral ?? '';
+            this.#hip[i] = hip ? Number(hip) : 0;
+            this.#names[i] = name ?? '';
+            this.#designations[i] = parseDesignation(designation);
+
+            const cosDec = Math.cos(this.#dec[i]);
+            this.#xyz[i * 3] = cosDec * Math.cos(this.#ra[i]);
+            this.#xyz[i * 3 + 1] = cosDec * Math.sin(this.#ra[i]);
+            this.#xyz[i * 3 + 2] = Math.sin(this.#dec[i]);
+
+            const { flamsteed, bayer, constellation } = this.#designations[i];
+            if (bayer) this.#addKey(this.#designationIndex, `${bayer}${constellation}`, i);
+            if (/\d$/.test(bayer)) this.#addKey(this.#designationIndex, `${bayer.slice(0, -1)}${constellation}`, i);
+            if (flamsteed !== null) this.#addKey(this.#designationIndex, `${flamsteed}${constellation}`, i);
+            if (name) this.#addKey(this.#nameIndex, name, i);
+            if (this.#hip[i]) this.#hipIndex.set(this.#hip[i], i);
+        }
+    }
+
+    /**
+     * 기본 별 목록 (STARS_DATA, 처음 접근할 때 한 번만 파싱)
+     * @type {StarCatalog}
+     */
+    static get default() {
+        StarCatalog.#default ??= new StarCatalog();
+        return StarCatalog.#default;
+    }
+
+    /** @type {number} 별의 수 */
+    get size() { return this.#size; }
+    /** @type {Float64Array} 적경 (라디안, J2000.0) - 읽기 전용으로 사용 */
+    get ra() { return this.#ra; }
+    /** @type {Float64Array} 적위 (라디안, J2000.0) - 읽기 전용으로 사용 */
+    get dec() { return this.#dec; }
+    /** @type {Float32Array} 겉보기 등급 - 읽기 전용으로 사용 */
+    get mag() { return this.#mag; }
+    /** @type {string[]} 분광형 - 읽기 전용으로 사용 */
+    get spectral() { return this.#spectral; }
+    /** @type {Int32Array} 히파르코스 번호 (없으면 0) - 읽기 전용으로 사용 */
+    get hip() { return this.#hip; }
+
+    #addKey(index, key, i) {
+        const normalized = normalizeKey(key);
+        const prev = index.get(normalized);
+        if (prev === undefined || this.#mag[i] < this.#mag[prev]) index.set(normalized, i);
+    }
+
+    /**
+     * 목록 번호의 별 정보
+     * @param {number} index - 목록 번호 (0 ~ size - 1)
+     * @returns {CatalogStar}
+     * @throws {RangeError} 목록 번호가 범위를 벗어난 경우
+     */
+    star(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.#size) {
+            throw new RangeError(`별 목록 번호는 0 ~ ${this.#size - 1} 사이의 정수여야 합니다.`);
+        }
+        const { flamsteed, bayer, constellation } = this.#designations[index];
+        return {
+            index,
+            designation: [flamsteed, bayer, constellation].filter(Boolean).join(' '),
+            flamsteed,
+            bayer,
+            constellation,
+            name: this.#names[index],
+            ra: this.#ra[index],
+            dec: this.#dec[index],
+            mag: this.#mag[index],
+            spectral: this.#spectral[index],
+            hip: this.#hip[index] || null
+        };
+    }
+
+    /**
+     * 바이어/플램스티드 명칭으로 별 찾기
+     *
+     * 공백과 대소문자는 무시합니다. 위첨자 번호를 생략하면('Alp Cen') 그중 가장 밝은 별을 돌려줍니다.
+     *
+     * @param {string} designation - 명칭 (예: 'Alp Ori', 'Gam1 Leo', '58 Ori')
+     * @returns {CatalogStar|null} 없으면 null
+     */
+    findByDesignation(designation) {
+        const index = this.#designationIndex.get(normalizeKey(designation));
+        return index === undefined ? null : this.star(index);
+    }
+
+    /**
+     * 고유 이름으로 별 찾기 (대소문자 무시)
+     * @param {string} name - 고유 이름 (예: 'Sirius')
+     * @returns {CatalogStar|null} 없으면 null
+     */
+    findByName(name) {
+        const index = this.#nameIndex.get(normalizeKey(name));
+        return index === undefined ? null : this.star(index);
+    }
+
+    /**
+     * 히파르코스 번호로 별 찾기
+     * @param {number|string} hip - HIP 번호 (예: 27989, '27989')
+     * @returns {CatalogStar|null} 없으면 null
+     */
+    findByHip(hip) {
+        const index = this.#hipIndex.get(Number(hip));
+        return index === undefined ? null : this.star(index);
+    }
+
+    /**
+     * 조건에 맞는 별 목록 (밝은 순서)
+     *
+     * @param {Object} [options] - 검색 조건 (생략한 조건은 적용하지 않음)
+     * @param {number} [options.maxMag] - 이 등급 이하(같거나 밝은) 별
+     * @param {number} [options.minMag] - 이 등급 이상(같거나 어두운) 별
+     * @param {string|string[]} [options.spectral] - 분광형 (예: 'B', ['O', 'B'])
+     * @param {string} [options.constellation] - 별자리 약자 (예: 'Ori', 대소문자 무시)
+     * @returns {CatalogStar[]}
+     * @example
+     * catalog.filter({ constellation: 'Ori', maxMag: 2 });
+     * catalog.filter({ spectral: ['O', 'B'], maxMag: 3 });
+     */
+    filter(options = {}) {
+        const matches = this.#matcher(options);
+        const result = [];
+        for (let i = 0; i < this.#size; i++) {
+            if (matches(i)) result.push(this.star(i));
+        }
+        return result.sort((a, b) => a.mag - b.mag);
+    }
+
+    /**
+     * 원뿔 검색: 주어진 방향에서 각거리 반경 안의 별 (가까운 순서)
+     *
+     * @param {number} ra - 중심 적경 (라디안, J2000.0)
+     * @param {number} dec - 중심 적위 (라디안, J2000.0)
+     * @param {number} radius - 각거리 반경 (라디안)
+     * @param {Object} [options] - filter()와 같은 추가 조건
+     * @returns {Array<CatalogStar & {distance: number}>} distance: 중심으로부터의 각거리 (라디안)
+     */
+    coneSearch(ra, dec, radius, options = {}) {
+        const cosDec = Math.cos(dec);
+        const cx = cosDec * Math.cos(ra);
+        const cy = cosDec * Math.sin(ra);
+        const cz = Math.sin(dec);
+        const cosRadius = Math.cos(radius);
+        const matches = this.#matcher(options);
+        const result = [];
+        for (let i = 0; i < this.#size; i++) {
+            const dot = cx * this.#xyz[i * 3] + cy * this.#xyz[i * 3 + 1] + cz * this.#xyz[i * 3 + 2];
+            if (dot < cosRadius || !matches(i)) continue;
+            result.push({ ...this.star(i), distance: Math.acos(Math.min(1, dot)) });
+        }
+        return result.sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * filter() 조건을 목록 번호 판정 함수로 변환
+     * @private
+     */
+    #matcher({ maxMag = Infinity, minMag = -Infinity, spectral = null, constellation = null }) {
+        const types = typeof spectral === 'string' ? [spectral] : spectral;
+        const con = constellation?.toLowerCase();
+        return (i) => this.#mag[i] <= maxMag && this.#mag[i] >= minMag
+            && (!types || types.includes(this.#spectral[i]))
+            && (!con || this.#designations[i].constellation.toLowerCase() === con);
+    }
+}
+
+/**
+ * @typedef {Object} DeepSkyObject
+ * @property {number} index - 목록 번호 (0부터)
+ * @property {string} id - 메시에/칼드웰 번호 (예: 'M31', 'C14')
+ * @property {string} designation - NGC/IC 등 다른 목록의 명칭 (예: 'NGC 224', 없으면 빈 문자열)
+ * @property {'open'|'globular'|'galaxy'|'nebula'|'planetary'} type - 종류
+ * @property {number} ra - 적경 (라디안, J2000.0)
+ * @property {number} dec - 적위 (라디안, J2000.0)
+ * @property {number} mag - 겉보기 등급 (없으면 NaN)
+ * @property {number} majorAxis - 긴 지름 (라디안)
+ * @property {number} minorAxis - 짧은 지름 (라디안)
+ * @property {string} name - 한글 이름 (없으면 빈 문자열)
+ * @property {string} nameEn - 영문 이름 (없으면 빈 문자열)
+ */
+
+/**
+ * 파싱된 딥스카이 천체 목록 (메시에 + 칼드웰)
+ *
+ * @class
+ * @example
+ * const dso = DeepSkyCatalog.default;
+ * dso.findById('M42').name;                           // '오리온 대성운'
+ * dso.findById('NGC 869').id;                         // 'C14'
+ * dso.filter({ type: 'globular', maxMag: 6 });        // 6등급 이상 구상성단
+ */
+export class DeepSkyCatalog {
+    /**
+     * 천체 종류 (open: 산개성단, globular: 구상성단, galaxy: 은하, nebula: 성운, planetary: 행성상 성운)
+     * @static
+     * @type {string[]}
+     */
+    static TYPES = ['open', 'globular', 'galaxy', 'nebula', 'planetary'];
+
+    /** @type {DeepSkyCatalog|null} */
+    static #default = null;
+
+    #size;
+    /** @type {Float64Array} 적경 (라디안) */
+    #ra;
+    /** @type {Float64Array} 적위 (라디안) */
+    #dec;
+    /** @type {Float32Array} 겉보기 등급 (없으면 NaN) */
+    #mag;
+    /** @type {Float32Array} 긴 지름/짧은 지름 (라디안, 2개씩) */
+    #axes;
+    /** @type {string[]} */
+    #types;
+    /** @type {Array<{id: string, designation: string, name: string, nameEn: string}>} */
+    #labels;
+    /** @type {Map<string, number>} 정규화한 번호/명칭 → 목록 번호 */
+    #idIndex = new Map();
+
+    /**
+     * DeepSkyCatalog 인스턴스 생성
+     *
+     * 기본 목록은 DeepSkyCatalog.default를 사용하세요. (한 번만 파싱)
+     *
+     * @param {string} [csv=DEEP_SKY_DATA] - DEEP_SKY_DATA 형식의 CSV 문자열
+     */
+    constructor(csv = DEEP_SKY_DATA) {
+        const lines = csv.trim().split('\n');
+        this.#size = lines.length;
+        this.#ra = new Float64Array(this.#size);
+        this.#dec = new Float64Array(this.#size);
+        this.#mag = new Float32Array(this.#size);
+        this.#axes = new Float32Array(this.#size * 2);
+        this.#types = new Array(this.#size);
+        this.#labels = new Array(this.#size);
+
+        for (let i = 0; i < this.#size; i++) {
+            const [id, designation, type, ra, dec, mag, major, minor, name, nameEn] = lines[i].split(',');
+            this.#ra[i] = Number(ra) * AstroMath.H2R;
+            this.#dec[i] = Number(dec) * AstroMath.D2R;
+            this.#mag[i] = mag === '' ? NaN : Number(mag);
+            this.#axes[i * 2] = Number(major) / 60 * AstroMath.D2R;
+            this.#axes[i * 2 + 1] = Number(minor || major) / 60 * AstroMath.D2R;
+            this.#types[i] = type;
+            this.#labels[i] = { id, designation, name: name ?? '', nameEn: nameEn ?? '' };
+
+            this.#idIndex.set(normalizeKey(id), i);
+            if (designation) this.#idIndex.set(normalizeKey(designation), i);
+        }
+    }
+
+    /**
+     * 기본 딥스카이 목록 (DEEP_SKY_DATA, 처음 접근할 때 한 번만 파싱)
+     * @type {DeepSkyCatalog}
+     */
+    static get default() {
+        DeepSkyCatalog.#default ??= new DeepSkyCatalog();
+        return DeepSkyCatalog.#default;
+    }
+
+    /** @type {number} 천체의 수 */
+    get size() { return this.#size; }
+    /** @type {Float64Array} 적경 (라디안, J2000.0) - 읽기 전용으로 사용 */
+    get ra() { return this.#ra; }
+    /** @type {Float64Array} 적위 (라디안, J2000.0) - 읽기 전용으로 사용 */
+    get dec() { return this.#dec; }
+    /** @type {Float32Array} 겉보기 등급 (없으면 NaN) - 읽기 전용으로 사용 */
+    get mag() { return this.#mag; }
+    /** @type {string[]} 종류 - 읽기 전용으로 사용 */
+    get types() { return this.#types; }
+
+    /**
+     * 목록 번호의 천체 정보
+     * @param {number} index - 목록 번호 (0 ~ size - 1)
+     * @returns {DeepSkyObject}
+     * @throws {RangeError} 목록 번호가 범위를 벗어난 경우
+     */
+    object(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.#size) {
+            throw new RangeError(`딥스카이 목록 번호는 0 ~ ${this.#size - 1} 사이의 정수여야 합니다.`);
+        }
+        return {
+            index,
+            ...this.#labels[index],
+            type: this.#types[index],
+            ra: this.#ra[index],
+            dec: this.#dec[index],
+            mag: this.#mag[index],
+            majorAxis: this.#axes[index * 2],
+            minorAxis: this.#axes[index * 2 + 1]
+        };
+    }
+
+    /**
+     * 메시에/칼드웰 번호 또는 NGC/IC 명칭으로 천체 찾기 (공백과 대소문자 무시)
+     * @param {string} id - 번호 또는 명칭 (예: 'M31', 'C 14', 'NGC 224')
+     * @returns {DeepSkyObject|null} 없으면 null
+     */
+    findById(id) {
+        const index = this.#idIndex.get(normalizeKey(id));
+        return index === undefined ? null : this.object(index);
+    }
+
+    /**
+     * 조건에 맞는 천체 목록 (목록 순서: 메시에, 칼드웰)
+     *
+     * @param {Object} [options] - 검색 조건 (생략한 조건은 적용하지 않음)
+     * @param {string|string[]} [options.type] - 종류 (예: 'galaxy', ['open', 'globular'])
+     * @param {number} [options.maxMag] - 이 등급 이하(같거나 밝은) 천체 (등급이 없는 천체는 제외)
+     * @param {'M'|'C'} [options.catalog] - 메시에('M') 또는 칼드웰('C') 목록만
+     * @returns {DeepSkyObject[]}
+     */
+    filter({ type = null, maxMag = null, catalog = null } = {}) {
+        const types = typeof type === 'string' ? [type] : type;
+        const result = [];
+        for (let i = 0; i < this.#size; i++) {
+            if (types && !types.includes(this.#types[i])) continue;
+            if (maxMag !== null && !(this.#mag[i] <= maxMag)) continue;
+            if (catalog && this.#labels[i].id[0] !== catalog) continue;
+            result.push(this.object(i));
+        }
+        return result;
+    }
+}
+
+export default StarCatalog;
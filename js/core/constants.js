@@ -43,6 +43,97 @@ export const DEFAULT_LOCATION = {
     lat: DEFAULT_LATITUDE
 };
 
+/**
+ * 양면 별자리판 위도 기준: 적도 ±10° 이내에서는 천구의 극이 지평선에 너무 가까워
+ * 원판 하나로 지평선 창을 만들 수 없으므로 북쪽 하늘/남쪽 하늘 원판 두 개로 그립니다.
+ * @constant {number}
+ */
+export const DUAL_DISC_LATITUDE = 10;
+
+/**
+ * 양면 별자리판 각 원판의 적위 한계 (도, 북쪽 하늘 원판은 -30°, 남쪽 하늘 원판은 +30°까지)
+ * 지평선 창은 천정(적위 = 위도)까지이므로 DUAL_DISC_LATITUDE에 20°의 여유를 둡니다.
+ * @constant {number}
+ */
+export const DUAL_DISC_LIMIT_DE = 30;
+
+/**
+ * 하늘 패널 레이어의 기본 표시 여부
+ *
+ * Planisphere의 layers 옵션과 setLayerVisible()로 레이어별 표시 여부를 바꿀 수 있습니다.
+ *
+ * @constant {Object.<string, boolean>}
+ * @property {boolean} milkyWay - 은하수
+ * @property {boolean} boundaries - 별자리 문화의 경계선 (IAU 별자리 경계, 이십팔수 경계)
+ * @property {boolean} deepSky - 메시에/칼드웰 딥스카이 천체
+ * @property {boolean} starNames - 밝은 별의 고유 이름 (DEFAULT_STAR_LABELS 참고)
+ * @property {boolean} ecliptic - 황도 (황경 눈금, 분점/지점 표시)
+ * @property {boolean} galacticEquator - 은하 적도
+ */
+export const DEFAULT_LAYERS = Object.freeze({
+    /** @type {boolean} 은하수 */
+    milkyWay: true,
+    /** @type {boolean} 별자리 문화의 경계선 */
+    boundaries: true,
+    /** @type {boolean} 메시에/칼드웰 딥스카이 천체 */
+    deepSky: true,
+    /** @type {boolean} 밝은 별의 고유 이름 */
+    starNames: true,
+    /** @type {boolean} 황도 (황경 눈금, 분점/지점 표시) */
+    ecliptic: true,
+    /** @type {boolean} 은하 적도 */
+    galacticEquator: false
+});
+
+/**
+ * 하늘 패널 별 이름(starNames 레이어)의 기본 표시 조건
+ *
+ * Planisphere의 starLabels 옵션과 setStarLabels()로 바꿀 수 있습니다.
+ * 이름은 밝은 별부터 자리를 잡고, 별자리 이름이나 먼저 놓인 이름과 겹치는 이름은 생략합니다.
+ *
+ * @constant {Object}
+ * @property {number} maxMag - 이름을 쓰는 가장 어두운 등급 (이 등급 이하인 별)
+ * @property {boolean} bayer - 고유 이름이 없는 별에 바이어 문자(α, β, ...) 표시
+ */
+export const DEFAULT_STAR_LABELS = Object.freeze({
+    /** @type {number} 이름을 쓰는 가장 어두운 등급 */
+    maxMag: 1,
+    /** @type {boolean} 고유 이름이 없는 별의 바이어 문자 */
+    bayer: false
+});
+
+/**
+ * 화면 표시 언어
+ *
+ * 별자리 이름은 언어별로 한글, 영어, 라틴어, IAU 약자로 표시하고,
+ * 날짜환/시간환/방위/범례 같은 나머지 글자는 'ko'만 한글이고 나머지는 영어로 표시합니다.
+ * - 'ko': 한글 (기본값)
+ * - 'en': 영어
+ * - 'la': 라틴어 별자리 이름
+ * - 'abbr': IAU 별자리 약자
+ *
+ * @constant {string[]}
+ */
+export const LANGUAGES = Object.freeze(['ko', 'en', 'la', 'abbr']);
+
+/**
+ * 기본 표시 언어
+ * @constant {string}
+ */
+export const DEFAULT_LANGUAGE = 'ko';
+
+/**
+ * 기본 별자리 문화
+ *
+ * 별자리선, 별자리 이름, 경계선을 어느 문화의 것으로 그릴지 정합니다.
+ * 등록된 문화는 skyculture.js의 SkyCulture.ids를 참고하세요.
+ * - 'western': IAU 88개 별자리 (기본값)
+ * - 'korean': 동아시아 전통 별자리 (삼원 이십팔수, 한자음 이름)
+ *
+ * @constant {string}
+ */
+export const DEFAULT_SKY_CULTURE = 'western';
+
 /**
  * 표시할 별의 등급 제한
  * 이 값 이하의 겉보기 등급을 가진 별만 표시됩니다.
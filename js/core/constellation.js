@@ -0,0 +1,214 @@
+/**
+ * @fileoverview 별자리판 JS - IAU 별자리 목록과 경계(Constellation Boundaries)
+ * @author 지용호 <jidolstar@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ *
+ * @description
+ * models.js의 CONSTELLATIONS, CONSTELLATION_BOUNDS, CONSTELLATION_BOUNDARY_LINES로
+ * 88개 별자리의 이름을 찾고, 하늘의 한 점이 어느 별자리에 속하는지 판별하는 모듈입니다.
+ *
+ * 주요 기능:
+ * - IAU 약자로 별자리 이름(라틴어, 영어, 한글) 찾기
+ * - 적경/적위가 속한 별자리 판별 (예: 오늘 밤 목성이 있는 별자리)
+ * - 하늘 패널에 그릴 J2000.0 별자리 경계선
+ *
+ * IAU 경계는 B1875.0 분점의 적경선/적위선으로 정의되어 있으므로,
+ * 주어진 좌표를 B1875.0으로 세차 보정한 뒤 판별표를 찾습니다.
+ *
+ * @example
+ * import { AstroConstellation } from './constellation.js';
+ *
+ * // 목성이 있는 별자리 (AstroPlanet의 위치는 날짜의 분점 기준)
+ * const jupiter = AstroPlanet.position('jupiter', jd);
+ * AstroConstellation.find(jupiter.ra, jupiter.dec, jd).name; // 예: '황소자리'
+ */
+
+import { AstroMath, AstroVector, AstroMatrix } from './astronomy.js';
+import { CONSTELLATIONS, CONSTELLATION_BOUNDS, CONSTELLATION_BOUNDARY_LINES } from './models.js';
+
+/**
+ * B1875.0 기원의 율리우스일 (베셀 연 1875.0)
+ * @private
+ * @constant {number}
+ */
+const B1875 = 2405889.258550475;
+
+/**
+ * 경계선을 나누어 그리는 최대 간격 (라디안)
+ *
+ * B1875.0의 적위선은 세차 보정 후 곡선이 되므로 이 간격 이하로 점을 채워 넣습니다.
+ * @private
+ * @constant {number}
+ */
+const BOUNDARY_STEP = 2 * AstroMath.D2R;
+
+/**
+ * @typedef {Object} ConstellationInfo
+ * @property {string} abbr - IAU 약자 (예: 'Ori')
+ * @property {string} latin - 라틴어 이름 (예: 'Orion')
+ * @property {string} english - 영어 이름 (예: 'Orion', 'Great Bear')
+ * @property {string} name - 한글 이름 (예: '오리온자리')
+ */
+
+/**
+ * IAU 별자리 목록과 경계 판별 클래스
+ *
+ * 모든 메서드는 정적 메서드이며, 데이터는 처음 사용할 때 한 번만 파싱합니다.
+ *
+ * @class
+ * @example
+ * const betelgeuse = StarCatalog.default.findByName('Betelgeuse');
+ * AstroConstellation.find(betelgeuse.ra, betelgeuse.dec).abbr; // 'Ori'
+ */
+export class AstroConstellation {
+    /** @type {Map<string, ConstellationInfo>|null} IAU 약자 → 별자리 정보 */
+    static #byAbbr = null;
+    /** @type {{raLo: number, raHi: number, decLo: number, abbr: string}[]|null} 판별표 (라디안) */
+    static #bounds = null;
+    /** @type {AstroMatrix|null} J2000.0 → B1875.0 세차 행렬 */
+    static #toB1875 = null;
+    /** @type {Float64Array[]|null} J2000.0 경계선 */
+    static #boundaryLines = null;
+
+    /**
+     * 88개 별자리 목록 (IAU 약자 순서)
+     * @returns {ConstellationInfo[]}
+     */
+    static get all() {
+        return [...AstroConstellation.#table().values()];
+    }
+
+    /**
+     * IAU 약자로 별자리 찾기 (대소문자 무시)
+     * @param {string} abbr - IAU 약자 (예: 'UMa', 'uma')
+     * @returns {ConstellationInfo|null} 없으면 null
+     * @example
+     * AstroConstellation.byAbbr('Cyg').name; // '백조자리'
+     */
+    static byAbbr(abbr) {
+        return AstroConstellation.#table().get(String(abbr).toLowerCase()) ?? null;
+    }
+
+    /**
+     * 적경/적위가 속한 별자리 판별
+     *
+     * 좌표를 B1875.0으로 세차 보정한 뒤 Roman(1987)의 판별표에서 찾습니다.
+     * 장동은 경계 판별에 영향이 거의 없으므로, 날짜의 진 적도 좌표(AstroPlanet 등)도 그대로 넘겨도 됩니다.
+     *
+     * @param {number} ra - 적경 (라디안)
+     * @param {number} dec - 적위 (라디안, -π/2 ~ π/2)
+     * @param {number} [jd=AstroMath.J2000] - 좌표의 분점 율리우스일 (기본은 J2000.0)
+     * @returns {ConstellationInfo} 별자리 정보
+     * @throws {RangeError} 적위가 -90° ~ 90°를 벗어난 경우
+     * @example
+     * AstroConstellation.find(0, 89.9 * AstroMath.D2R).abbr; // 'UMi'
+     */
+    static find(ra, dec, jd = AstroMath.J2000) {
+        if (!(Math.abs(dec) <= AstroMath.HPI)) {
+            throw new RangeError(`적위는 -90° ~ 90°여야 합니다: ${dec * AstroMath.R2D}°`);
+        }
+
+        const equ = new AstroVector(0, 0, 0);
+        equ.setSphe(ra, dec);
+        let toB1875 = AstroConstellation.#precessionToB1875();
+        if (jd !== AstroMath.J2000) {
+            // 날짜의 분점 → J2000.0 → B1875.0
+            const fromJ2000 = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+            fromJ2000.precession(jd);
+            const toJ2000 = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+            toJ2000.transpose(fromJ2000);
+            toB1875 = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+            toB1875.multiply(AstroConstellation.#precessionToB1875(), toJ2000);
+        }
+        const b1875 = new AstroVector(0, 0, 0);
+        b1875.multiply(toB1875, equ);
+        const ra1875 = AstroMath.normalize(b1875.lon(), 0, AstroMath.TPI);
+        const dec1875 = b1875.lat();
+
+        AstroConstellation.#bounds ??= CONSTELLATION_BOUNDS.trim().split('\n').map(line => {
+            const [raLo, raHi, decLo, abbr] = line.split(',');
+            return {
+                raLo: parseFloat(raLo) * AstroMath.H2R,
+                raHi: parseFloat(raHi) * AstroMath.H2R,
+                decLo: parseFloat(decLo) * AstroMath.D2R,
+                abbr
+            };
+        });
+        // 마지막 행(팔분의자리)의 적위 하한이 -90°이므로 반드시 한 행에서 멈춘다.
+        const bound = AstroConstellation.#bounds.find(({ raLo, raHi, decLo }) =>
+            decLo <= dec1875 && raLo <= ra1875 && ra1875 < raHi);
+        return AstroConstellation.byAbbr(bound.abbr);
+    }
+
+    /**
+     * 하늘 패널에 그릴 별자리 경계선 (J2000.0)
+     *
+     * CONSTELLATION_BOUNDARY_LINES의 B1875.0 꺾은선을 J2000.0으로 세차 보정하고,
+     * 곡선이 되는 구간을 2° 이하 간격으로 나눈 결과입니다. 처음 호출할 때 한 번만 계산합니다.
+     *
+     * @returns {Float64Array[]} 꺾은선 목록, 각각 [RA1, Dec1, RA2, Dec2, ...] (라디안)
+     */
+    static boundaryLines() {
+        if (AstroConstellation.#boundaryLines) return AstroConstellation.#boundaryLines;
+
+        const toJ2000 = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+        toJ2000.transpose(AstroConstellation.#precessionToB1875());
+        const b1875 = new AstroVector(0, 0, 0);
+        const j2000 = new AstroVector(0, 0, 0);
+
+        AstroConstellation.#boundaryLines = CONSTELLATION_BOUNDARY_LINES.map(line => {
+            const points = [];
+            const push = (ra, dec) => {
+                b1875.setSphe(ra, dec);
+                j2000.multiply(toJ2000, b1875);
+                points.push(AstroMath.normalize(j2000.lon(), 0, AstroMath.TPI), j2000.lat());
+            };
+            for (let i = 0; i < line.length - 2; i += 2) {
+                const ra1 = line[i] * AstroMath.H2R;
+                const dec1 = line[i + 1] * AstroMath.D2R;
+                const dec2 = line[i + 3] * AstroMath.D2R;
+                // 적위선 구간은 0h를 지나는 짧은 쪽으로
+                let dRA = line[i + 2] * AstroMath.H2R - ra1;
+                if (dRA > Math.PI) dRA -= AstroMath.TPI;
+                if (dRA < -Math.PI) dRA += AstroMath.TPI;
+                const length = Math.max(Math.abs(dRA) * Math.cos(dec1), Math.abs(dec2 - dec1));
+                const steps = Math.max(1, Math.ceil(length / BOUNDARY_STEP));
+                for (let k = 0; k < steps; k++) {
+                    push(ra1 + dRA * k / steps, dec1 + (dec2 - dec1) * k / steps);
+                }
+            }
+            push(line[line.length - 2] * AstroMath.H2R, line[line.length - 1] * AstroMath.D2R);
+            return Float64Array.from(points);
+        });
+        return AstroConstellation.#boundaryLines;
+    }
+
+    /**
+     * IAU 약자(소문자) → 별자리 정보 표
+     * @private
+     * @returns {Map<string, ConstellationInfo>}
+     */
+    static #table() {
+        AstroConstellation.#byAbbr ??= new Map(CONSTELLATIONS.trim().split('\n').map(line => {
+            const [abbr, latin, english, name] = line.split(',');
+            return [abbr.toLowerCase(), Object.freeze({ abbr, latin, english, name })];
+        }));
+        return AstroConstellation.#byAbbr;
+    }
+
+    /**
+     * J2000.0 → B1875.0 세차 행렬
+     * @private
+     * @returns {AstroMatrix}
+     */
+    static #precessionToB1875() {
+        if (!AstroConstellation.#toB1875) {
+            AstroConstellation.#toB1875 = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+            AstroConstellation.#toB1875.precession(B1875);
+        }
+        return AstroConstellation.#toB1875;
+    }
+}
+
+export default AstroConstellation;
@@ -0,0 +1,701 @@
+/**
+ * @fileoverview 별자리판 JS - 천체력(Ephemeris) 모듈
+ * @author 지용호 <jidolstar@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ *
+ * @description
+ * 태양계 천체의 위치를 계산하는 모듈입니다.
+ * astronomy.js의 시간/좌표 변환 위에서 동작하며, 별자리판과 독립적으로 사용할 수 있습니다.
+ *
+ * 주요 기능:
+ * - 태양의 겉보기 황경, 적경/적위, 거리 (AstroSun)
+ * - 달의 위치, 위상, 월령 (AstroMoon)
+ * - 수성~해왕성의 위치와 겉보기 등급 (AstroPlanet)
+ *
+ * 모든 위치 계산은 역학시 율리우스일을 받습니다. 세계시(UT)는
+ * AstroTime.UT2TT() / AstroTime.UT2TDB()로 변환해서 넘겨야 합니다.
+ *
+ * 참고: Jean Meeus, "Astronomical Algorithms" 2nd ed.
+ */
+
+import { AstroMath, AstroTime, AstroApparent, AstroVector, AstroMatrix } from './astronomy.js';
+
+/**
+ * J2000.0 기준 율리우스 세기 계산
+ * @private
+ * @param {number} jd - 율리우스일
+ * @returns {number} J2000.0으로부터의 율리우스 세기 (T)
+ */
+const julianCentury = (jd) => (jd - AstroMath.J2000) / 36525.0;
+
+/**
+ * 날짜의 평균 황도 좌표를 진 적도 좌표로 변환
+ *
+ * 평균 황도 경사각으로 날짜의 평균 적도로 돌린 뒤 장동 행렬을 적용합니다.
+ * 황경에 Δψ를 더하고 진 황도 경사각으로 돌리는 것과 같습니다.
+ * @private
+ * @param {number} lon - 날짜의 평균 황경 (라디안, 장동 보정 전)
+ * @param {number} lat - 황위 (라디안)
+ * @param {number} jd - 율리우스일
+ * @returns {{ra: number, dec: number}} 진 적경(0 ~ 2π)/적위 (라디안)
+ */
+const trueEquatorial = (lon, lat, jd) => {
+    const ecl = new AstroVector(0, 0, 0);
+    ecl.setSphe(lon, lat);
+    const matrix = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+    matrix.ecl2equ(jd);
+    const mean = new AstroVector(0, 0, 0);
+    mean.multiply(matrix, ecl);
+    matrix.nutation(jd);
+    const equ = new AstroVector(0, 0, 0);
+    equ.multiply(matrix, mean);
+    return { ra: equ.lon(), dec: equ.lat() };
+};
+
+/**
+ * @typedef {Object} SunPosition
+ * @property {number} lon - 겉보기 황경 (라디안, 0 ~ 2π)
+ * @property {number} trueLon - 참 황경 (광행차/장동 보정 전, 라디안)
+ * @property {number} ra - 겉보기 적경 (라디안, 0 ~ 2π)
+ * @property {number} dec - 겉보기 적위 (라디안)
+ * @property {number} dist - 지구-태양 거리 (AU)
+ */
+
+/**
+ * 태양 위치 계산 클래스
+ *
+ * Meeus 25장의 저정밀 태양 이론을 사용합니다.
+ * 황경 정확도는 약 0.01° 수준으로 별자리판 표시에 충분합니다.
+ *
+ * @class
+ * @example
+ * // 2024년 하지 정오(UT)의 태양 위치
+ * const jd = AstroTime.UT2TT(AstroTime.jd(2024, 6, 21, 12, 0, 0));
+ * const sun = AstroSun.position(jd);
+ * console.log(sun.lon * AstroMath.R2D); // 약 90°
+ */
+export class AstroSun {
+    /**
+     * 태양의 겉보기 위치 계산
+     * @static
+     * @param {number} jd - 율리우스일 (TT)
+     * @returns {SunPosition} 태양 위치
+     * @example
+     * const { ra, dec } = AstroSun.position(2448908.5);
+     * // ra ≈ 198.38°, dec ≈ -7.79° (Meeus 예제 25.a)
+     */
+    static position(jd) {
+        const t = julianCentury(jd);
+
+        // 평균 황경, 평균 근점이각, 궤도 이심률
+        const L0 = 280.46646 + 36000.76983 * t + 0.0003032 * t * t;
+        const M = (357.52911 + 35999.05029 * t - 0.0001537 * t * t) * AstroMath.D2R;
+        const e = 0.016708634 - 0.000042037 * t - 0.0000001267 * t * t;
+
+        // 중심차
+        const C = (1.914602 - 0.004817 * t - 0.000014 * t * t) * Math.sin(M) +
+            (0.019993 - 0.000101 * t) * Math.sin(2 * M) +
+            0.000289 * Math.sin(3 * M);
+
+        const trueLon = L0 + C;
+        const v = M + C * AstroMath.D2R;
+        const dist = 1.000001018 * (1 - e * e) / (1 + e * Math.cos(v));
+
+        // 광행차와 장동을 반영한 겉보기 황경
+        const meanLon = (trueLon - 0.00569) * AstroMath.D2R;
+        const { dpsi } = AstroApparent.nutation(jd);
+        const { ra, dec } = trueEquatorial(meanLon, 0, jd);
+        return {
+            lon: AstroMath.normalize(meanLon + dpsi, 0, AstroMath.TPI),
+            trueLon: AstroMath.normalize(trueLon, 0, 360) * AstroMath.D2R,
+            ra,
+            dec,
+            dist
+        };
+    }
+}
+
+/**
+ * 달 황경(Σl, 1e-6도)과 거리(Σr, 1e-3km)의 주기항 (Meeus 표 47.A)
+ *
+ * 각 행: [D, M, M', F, Σl 계수, Σr 계수]
+ * @private
+ * @constant {number[][]}
+ */
+const MOON_LR_TERMS = [
+    [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111],
+    [2, 0, 0, 0, 658314, -2955968], [0, 0, 2, 0, 213618, -569925],
+    [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+    [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138],
+    [2, 0, 1, 0, 53322, -170733], [2, -1, 0, 0, 45758, -204586],
+    [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+    [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321],
+    [0, 0, 1, 2, -12528, 0], [0, 0, 1, -2, 10980, 79661],
+    [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+    [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208],
+    [2, 1, 0, 0, -6766, 30824], [1, 0, -1, 0, -5163, -8379],
+    [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+    [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650],
+    [2, 0, -3, 0, 3665, 14403], [0, 1, -2, 0, -2689, -7003],
+    [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056],
+    [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884],
+    [0, 1, 2, 0, -2120, 5751], [0, 2, 0, 0, -2069, 0],
+    [2, -2, -1, 0, 2048, -4950], [2, 0, 1, -2, -1773, 4130],
+    [2, 0, 0, 2, -1595, 0], [4, -1, -1, 0, 1215, -3958],
+    [0, 0, 2, 2, -1110, 0], [3, 0, -1, 0, -892, 3258],
+    [2, 1, 1, 0, -810, 2616], [4, -1, -2, 0, 759, -1897],
+    [0, 2, -1, 0, -713, -2117], [2, 2, -1, 0, -700, 2354],
+    [2, 1, -2, 0, 691, 0], [2, -1, 0, -2, 596, 0],
+    [4, 0, 1, 0, 549, -1423], [0, 0, 4, 0, 537, -1117],
+    [4, -1, 0, 0, 520, -1571], [1, 0, -2, 0, -487, -1739],
+    [2, 1, 0, -2, -399, 0], [0, 0, 2, -2, -381, -4421],
+    [1, 1, 1, 0, 351, 0], [3, 0, -2, 0, -340, 0],
+    [4, 0, -3, 0, 330, 0], [2, -1, 2, 0, 327, 0],
+    [0, 2, 1, 0, -323, 1165], [1, 1, -1, 0, 299, 0],
+    [2, 0, 3, 0, 294, 0], [2, 0, -1, -2, 0, 8752]
+];
+
+/**
+ * 달 황위(Σb, 1e-6도)의 주기항 (Meeus 표 47.B)
+ *
+ * 각 행: [D, M, M', F, Σb 계수]
+ * @private
+ * @constant {number[][]}
+ */
+const MOON_B_TERMS = [
+    [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693],
+    [2, 0, 0, -1, 173237], [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271],
+    [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198], [2, 0, 1, -1, 9266],
+    [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+    [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359], [2, -1, -1, 1, 2463],
+    [2, -1, 0, 1, 2211], [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870],
+    [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794], [0, 0, 0, 3, -1749],
+    [0, 1, -1, 1, -1565], [1, 0, 0, 1, -1491], [0, 1, 1, 1, -1475],
+    [0, 1, 1, -1, -1410], [0, 1, 0, -1, -1344], [1, 0, 0, -1, -1335],
+    [0, 0, 3, 1, 1107], [4, 0, 0, -1, 1021], [4, 0, -1, 1, 833],
+    [0, 0, 1, -3, 777], [4, 0, -2, 1, 671], [2, 0, 0, -3, 607],
+    [2, 0, 2, -1, 596], [2, -1, 1, -1, 491], [2, 0, -2, 1, -451],
+    [0, 0, 3, -1, 439], [2, 0, 2, 1, 422], [2, 0, -3, -1, 421],
+    [2, 1, -1, 1, -366], [2, 1, 0, 1, -351], [4, 0, 0, 1, 331],
+    [2, -1, 1, 1, 315], [2, -2, 0, -1, 302], [0, 0, 1, 3, -283],
+    [2, 1, 1, -1, -229], [1, 1, 0, -1, 223], [1, 1, 0, 1, 223],
+    [0, 1, -2, -1, -220], [2, 1, -1, -1, -220], [1, 0, 1, 1, -185],
+    [2, -1, -2, -1, 181], [0, 1, 2, 1, -177], [4, 0, -2, -1, 176],
+    [4, -1, -1, -1, 166], [1, 0, 1, -1, -164], [4, 0, 1, -1, 132],
+    [1, 0, -1, -1, -119], [4, -1, 0, -1, 115], [2, -2, 0, 1, 107]
+];
+
+/**
+ * 삭망월 평균 길이 (일)
+ * @private
+ * @constant {number}
+ */
+const SYNODIC_MONTH = 29.530588853;
+
+/**
+ * 지구 적도 반경 (km)
+ * @private
+ * @constant {number}
+ */
+const EARTH_RADIUS_KM = 6378.14;
+
+/**
+ * 천문단위 (km)
+ * @private
+ * @constant {number}
+ */
+const AU_KM = 149597870.7;
+
+/**
+ * @typedef {Object} MoonPosition
+ * @property {number} lon - 겉보기 황경 (라디안, 0 ~ 2π)
+ * @property {number} lat - 황위 (라디안)
+ * @property {number} ra - 지심 겉보기 적경 (라디안, 0 ~ 2π)
+ * @property {number} dec - 지심 겉보기 적위 (라디안)
+ * @property {number} dist - 지구 중심-달 중심 거리 (km)
+ */
+
+/**
+ * @typedef {Object} MoonPhase
+ * @property {number} phaseAngle - 위상각 i (라디안, 0: 보름, π: 삭)
+ * @property {number} illumination - 밝은 면의 비율 k (0 ~ 1)
+ * @property {number} brightLimbAngle - 밝은 가장자리의 위치각 χ (라디안, 북→동 방향)
+ * @property {number} age - 월령 (직전 삭으로부터 경과 일수)
+ * @property {boolean} waxing - 차오르는 중이면 true
+ */
+
+/**
+ * 달 위치 및 위상 계산 클래스
+ *
+ * Meeus 47장의 절단된 ELP-2000/82 이론(주기항 60+60개)을 사용합니다.
+ * 황경 약 10″, 황위 약 4″ 수준의 정확도를 가집니다.
+ *
+ * @class
+ * @example
+ * const jd = AstroTime.UT2TT(AstroTime.jd(2024, 9, 17, 12, 0, 0));
+ * const moon = AstroMoon.position(jd);
+ * const phase = AstroMoon.phase(jd);
+ * console.log(phase.illumination); // 약 1.0 (보름)
+ */
+export class AstroMoon {
+    /**
+     * 달의 지심 겉보기 위치 계산
+     * @static
+     * @param {number} jd - 율리우스일 (TT)
+     * @returns {MoonPosition} 달 위치
+     * @example
+     * // Meeus 예제 47.a: 1992년 4월 12일 0h TD
+     * const moon = AstroMoon.position(2448724.5);
+     * // ra ≈ 134.688°, dec ≈ 13.768°, dist ≈ 368410 km
+     */
+    static position(jd) {
+        const t = julianCentury(jd);
+        const t2 = t * t;
+        const t3 = t2 * t;
+        const t4 = t3 * t;
+
+        // 평균 황경, 평균 이각, 태양/달 평균 근점이각, 승교점 이각 (도)
+        const Lp = 218.3164477 + 481267.88123421 * t - 0.0015786 * t2 + t3 / 538841 - t4 / 65194000;
+        const D = 297.8501921 + 445267.1114034 * t - 0.0018819 * t2 + t3 / 545868 - t4 / 113065000;
+        const M = 357.5291092 + 35999.0502909 * t - 0.0001536 * t2 + t3 / 24490000;
+        const Mp = 134.9633964 + 477198.8675055 * t + 0.0087414 * t2 + t3 / 69699 - t4 / 14712000;
+        const F = 93.2720950 + 483202.0175233 * t - 0.0036539 * t2 - t3 / 3526000 + t4 / 863310000;
+
+        // 지구 궤도 이심률 감소 보정
+        const E = 1 - 0.002516 * t - 0.0000074 * t2;
+        const eFactor = [1, E, E * E];
+
+        const d = D * AstroMath.D2R;
+        const m = M * AstroMath.D2R;
+        const mp = Mp * AstroMath.D2R;
+        const f = F * AstroMath.D2R;
+
+        let sumL = 0;
+        let sumR = 0;
+        for (const [cD, cM, cMp, cF, l, r] of MOON_LR_TERMS) {
+            const arg = cD * d + cM * m + cMp * mp + cF * f;
+            const e = eFactor[Math.abs(cM)];
+            sumL += l * e * Math.sin(arg);
+            sumR += r * e * Math.cos(arg);
+        }
+
+        let sumB = 0;
+        for (const [cD, cM, cMp, cF, b] of MOON_B_TERMS) {
+            const arg = cD * d + cM * m + cMp * mp + cF * f;
+            sumB += b * eFactor[Math.abs(cM)] * Math.sin(arg);
+        }
+
+        // 금성, 목성 섭동 및 지구 편평도에 의한 추가항
+        const A1 = (119.75 + 131.849 * t) * AstroMath.D2R;
+        const A2 = (53.09 + 479264.290 * t) * AstroMath.D2R;
+        const A3 = (313.45 + 481266.484 * t) * AstroMath.D2R;
+        const lp = Lp * AstroMath.D2R;
+        sumL += 3958 * Math.sin(A1) + 1962 * Math.sin(lp - f) + 318 * Math.sin(A2);
+        sumB += -2235 * Math.sin(lp) + 382 * Math.sin(A3) + 175 * Math.sin(A1 - f) +
+            175 * Math.sin(A1 + f) + 127 * Math.sin(lp - mp) - 115 * Math.sin(lp + mp);
+
+        const meanLon = (Lp + sumL / 1e6) * AstroMath.D2R;
+        const lat = (sumB / 1e6) * AstroMath.D2R;
+        const dist = 385000.56 + sumR / 1000;
+
+        // 장동을 반영한 겉보기 황경
+        const { dpsi } = AstroApparent.nutation(jd);
+        const lon = AstroMath.normalize(meanLon + dpsi, 0, AstroMath.TPI);
+
+        const { ra, dec } = trueEquatorial(meanLon, lat, jd);
+        return { lon, lat, ra, dec, dist };
+    }
+
+    /**
+     * 지심 위치를 관측자 기준 위치(지표면 시차 보정)로 변환
+     *
+     * 달은 지구에 가까워 관측 위치에 따라 최대 약 1°까지 위치가 달라집니다.
+     *
+     * @static
+     * @param {MoonPosition} pos - position()이 반환한 지심 위치
+     * @param {number} lst - 지방 항성시 (율리우스일 형식)
+     * @param {number} lat - 관측 위도 (라디안)
+     * @returns {{ra: number, dec: number}} 관측자 기준 적경/적위 (라디안)
+     */
+    static topocentric(pos, lst, lat) {
+        // 지구 편평도를 고려한 관측자의 지심 좌표 (Meeus 11장, 해발 0m)
+        const u = Math.atan(0.99664719 * Math.tan(lat));
+        const rhoSin = 0.99664719 * Math.sin(u);
+        const rhoCos = Math.cos(u);
+
+        const sinPi = EARTH_RADIUS_KM / pos.dist;
+        const H = AstroTime.jd2Time(lst) * AstroMath.H2R - pos.ra;
+        const cosDec = Math.cos(pos.dec);
+
+        const dRa = Math.atan2(-rhoCos * sinPi * Math.sin(H), cosDec - rhoCos * sinPi * Math.cos(H));
+        const dec = Math.atan2(
+            (Math.sin(pos.dec) - rhoSin * sinPi) * Math.cos(dRa),
+            cosDec - rhoCos * sinPi * Math.cos(H)
+        );
+        return { ra: AstroMath.normalize(pos.ra + dRa, 0, AstroMath.TPI), dec };
+    }
+
+    /**
+     * 달의 위상 계산 (Meeus 48장)
+     * @static
+     * @param {number} jd - 율리우스일 (TT)
+     * @returns {MoonPhase} 위상 정보
+     * @example
+     * const { illumination } = AstroMoon.phase(2448724.5);
+     * // illumination ≈ 0.679 (Meeus 예제 48.a)
+     */
+    static phase(jd) {
+        const moon = AstroMoon.position(jd);
+        const sun = AstroSun.position(jd);
+
+        // 지심 이각 ψ
+        const cosPsi = Math.sin(sun.dec) * Math.sin(moon.dec) +
+            Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra);
+        const psi = Math.acos(Math.max(-1, Math.min(1, cosPsi)));
+
+        // 위상각 i와 밝은 면의 비율 k
+        const R = sun.dist * AU_KM;
+        const phaseAngle = Math.atan2(R * Math.sin(psi), moon.dist - R * Math.cos(psi));
+        const illumination = (1 + Math.cos(phaseAngle)) / 2;
+
+        // 밝은 가장자리의 위치각 χ
+        const brightLimbAngle = AstroMath.normalize(Math.atan2(
+            Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra),
+            Math.sin(sun.dec) * Math.cos(moon.dec) - Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra)
+        ), 0, AstroMath.TPI);
+
+        const elongation = AstroMath.normalize(moon.lon - sun.lon, 0, AstroMath.TPI);
+
+        return {
+            phaseAngle,
+            illumination,
+            brightLimbAngle,
+            age: AstroMoon.#age(jd, elongation),
+            waxing: elongation < AstroMath.PI
+        };
+    }
+
+    /**
+     * 월령 계산: 황경 이각이 0이 되는 직전 삭 시각을 반복법으로 찾음
+     * @private
+     * @param {number} jd - 율리우스일 (TT)
+     * @param {number} elongation - 현재 황경 이각 (라디안, 0 ~ 2π)
+     * @returns {number} 직전 삭으로부터 경과 일수
+     */
+    static #age(jd, elongation) {
+        const rate = AstroMath.TPI / SYNODIC_MONTH;
+        let newMoon = jd - elongation / rate;
+        for (let i = 0; i < 4; i++) {
+            const diff = AstroMath.normalize(
+                AstroMoon.position(newMoon).lon - AstroSun.position(newMoon).lon,
+                -AstroMath.PI, AstroMath.PI
+            );
+            newMoon -= diff / rate;
+        }
+        return jd - newMoon;
+    }
+}
+
+/**
+ * 행성 궤도 요소 (J2000.0 황도/분점 기준, 기원전 3000년 ~ 서기 3000년 유효)
+ *
+ * E. M. Standish, "Keplerian Elements for Approximate Positions of the Major Planets" 표 2a, 2b.
+ * 각 요소: [J2000 값, 세기당 변화율]
+ * - a: 궤도 긴반지름 (AU)
+ * - e: 이심률
+ * - I: 궤도 경사각 (도)
+ * - L: 평균 경도 (도)
+ * - peri: 근일점 경도 ϖ (도)
+ * - node: 승교점 경도 Ω (도)
+ * - b, c, s, f: 목성~해왕성의 평균 근점이각 보정항 (표 2b, M = L - ϖ + b·T² + c·cos(f·T) + s·sin(f·T))
+ *
+ * @private
+ * @constant {Object.<string, Object.<string, number[]|number>>}
+ */
+const PLANET_ELEMENTS = {
+    mercury: {
+        a: [0.38709843, 0.00000000], e: [0.20563661, 0.00002123], I: [7.00559432, -0.00590158],
+        L: [252.25166724, 149472.67486623], peri: [77.45771895, 0.15940013], node: [48.33961819, -0.12214182]
+    },
+    venus: {
+        a: [0.72332102, -0.00000026], e: [0.00676399, -0.00005107], I: [3.39777545, 0.00043494],
+        L: [181.97970850, 58517.81560260], peri: [131.76755713, 0.05679648], node: [76.67261496, -0.27274174]
+    },
+    earth: {
+        a: [1.00000018, -0.00000003], e: [0.01673163, -0.00003661], I: [-0.00054346, -0.01337178],
+        L: [100.46691572, 35999.37306329], peri: [102.93005885, 0.31795260], node: [-5.11260389, -0.24123856]
+    },
+    mars: {
+        a: [1.52371243, 0.00000097], e: [0.09336511, 0.00009149], I: [1.85181869, -0.00724757],
+        L: [-4.56813164, 19140.29934243], peri: [-23.91744784, 0.45223625], node: [49.71320984, -0.26852431]
+    },
+    jupiter: {
+        a: [5.20248019, -0.00002864], e: [0.04853590, 0.00018026], I: [1.29861416, -0.00322699],
+        L: [34.33479152, 3034.90371757], peri: [14.27495244, 0.18199196], node: [100.29282654, 0.13024619],
+        b: -0.00012452, c: 0.06064060, s: -0.35635438, f: 38.35125000
+    },
+    saturn: {
+        a: [9.54149883, -0.00003065], e: [0.05550825, -0.00032044], I: [2.49424102, 0.00451969],
+        L: [50.07571329, 1222.11494724], peri: [92.86136063, 0.54179478], node: [113.63998702, -0.25015002],
+        b: 0.00025899, c: -0.13434469, s: 0.87320147, f: 38.35125000
+    },
+    uranus: {
+        a: [19.18797948, -0.00020455], e: [0.04685740, -0.00001550], I: [0.77298127, -0.00180155],
+        L: [314.20276625, 428.49512595], peri: [172.43404441, 0.09266985], node: [73.96250215, 0.05739699],
+        b: 0.00058331, c: -0.97731848, s: 0.17689245, f: 7.67025000
+    },
+    neptune: {
+        a: [30.06952752, 0.00006447], e: [0.00895439, 0.00000818], I: [1.77005520, 0.00022400],
+        L: [304.22289287, 218.46515314], peri: [46.68158724, 0.01009938], node: [131.78635853, -0.00606302],
+        b: -0.00041348, c: 0.68346318, s: -0.10162547, f: 7.67025000
+    }
+};
+
+/**
+ * 빛이 1 AU를 지나는 데 걸리는 시간 (일)
+ * @private
+ * @constant {number}
+ */
+const LIGHT_TIME_PER_AU = 0.0057755183;
+
+/**
+ * 광행차 상수 κ (도)
+ * @private
+ * @constant {number}
+ */
+const ABERRATION_CONSTANT = 20.49552 / 3600.0;
+
+/**
+ * 궤도 요소로부터 일심 황도 직교 좌표 계산 (J2000.0 황도/분점)
+ * @private
+ * @param {Object.<string, number[]>} el - PLANET_ELEMENTS의 항목
+ * @param {number} t - J2000.0 기준 율리우스 세기
+ * @returns {{x: number, y: number, z: number}} 일심 좌표 (AU)
+ */
+const heliocentric = (el, t) => {
+    const a = el.a[0] + el.a[1] * t;
+    const e = el.e[0] + el.e[1] * t;
+    const I = (el.I[0] + el.I[1] * t) * AstroMath.D2R;
+    const L = el.L[0] + el.L[1] * t;
+    const peri = el.peri[0] + el.peri[1] * t;
+    const node = (el.node[0] + el.node[1] * t) * AstroMath.D2R;
+    const w = peri * AstroMath.D2R - node;
+    let M = L - peri;
+    if (el.f) {
+        const ft = el.f * t * AstroMath.D2R;
+        M += el.b * t * t + el.c * Math.cos(ft) + el.s * Math.sin(ft);
+    }
+    M = AstroMath.normalize(M, -180, 180) * AstroMath.D2R;
+
+    // 케플러 방정식 E - e·sin(E) = M (뉴턴 반복)
+    let E = M + e * Math.sin(M);
+    for (let i = 0; i < 10; i++) {
+        const dE = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+        E -= dE;
+        if (Math.abs(dE) < 1e-12) break;
+    }
+
+    // 궤도면 좌표
+    const xp = a * (Math.cos(E) - e);
+    const yp = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+    const cos_w = Math.cos(w), sin_w = Math.sin(w);
+    const cos_n = Math.cos(node), sin_n = Math.sin(node);
+    const cos_i = Math.cos(I), sin_i = Math.sin(I);
+    return {
+        x: (cos_w * cos_n - sin_w * sin_n * cos_i) * xp + (-sin_w * cos_n - cos_w * sin_n * cos_i) * yp,
+        y: (cos_w * sin_n + sin_w * cos_n * cos_i) * xp + (-sin_w * sin_n + cos_w * cos_n * cos_i) * yp,
+        z: (sin_w * sin_i) * xp + (cos_w * sin_i) * yp
+    };
+};
+
+/**
+ * J2000.0 황도 직교 좌표를 날짜의 평균 황경/황위로 변환
+ *
+ * 황경에 일반 세차만 더하면 황도 자체의 움직임(행성 세차)이 빠져 수천 년 전후에는 황위가 어긋나므로,
+ * J2000.0 적도로 돌린 뒤 별 목록과 같은 IAU 1976 세차 행렬을 적용하고 날짜의 평균 황도로 되돌립니다.
+ * @private
+ * @param {number} x - J2000.0 황도 X (AU)
+ * @param {number} y - J2000.0 황도 Y (AU)
+ * @param {number} z - J2000.0 황도 Z (AU)
+ * @param {number} jd - 율리우스일
+ * @returns {{lon: number, lat: number}} 날짜의 평균 황경(0 ~ 2π)과 황위 (라디안)
+ */
+const eclipticOfDate = (x, y, z, jd) => {
+    const matrix = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+    matrix.ecl2equ(AstroMath.J2000);
+    const j2000 = new AstroVector(0, 0, 0);
+    j2000.multiply(matrix, new AstroVector(x, y, z));
+    matrix.precession(jd);
+    const equ = new AstroVector(0, 0, 0);
+    equ.multiply(matrix, j2000);
+    matrix.equ2ecl(jd);
+    const ecl = new AstroVector(0, 0, 0);
+    ecl.multiply(matrix, equ);
+    return { lon: ecl.lon(), lat: ecl.lat() };
+};
+
+/**
+ * 행성 겉보기 등급 계산 (Meeus 41장, 1984 천체력 공식)
+ * @private
+ * @param {string} name - 행성 이름
+ * @param {number} r - 태양-행성 거리 (AU)
+ * @param {number} delta - 지구-행성 거리 (AU)
+ * @param {number} i - 위상각 (도)
+ * @param {number} ringTilt - 토성 고리 기울기 B (라디안, 토성 외에는 무시)
+ * @returns {number} 겉보기 등급
+ */
+const planetMagnitude = (name, r, delta, i, ringTilt) => {
+    const base = 5 * Math.log10(r * delta);
+    switch (name) {
+        case 'mercury':
+            return -0.42 + base + 0.0380 * i - 0.000273 * i * i + 0.000002 * i * i * i;
+        case 'venus':
+            return -4.40 + base + 0.0009 * i + 0.000239 * i * i - 0.00000065 * i * i * i;
+        case 'mars':
+            return -1.52 + base + 0.016 * i;
+        case 'jupiter':
+            return -9.40 + base + 0.005 * i;
+        case 'saturn': {
+            const sinB = Math.abs(Math.sin(ringTilt));
+            return -8.88 + base + 0.044 * i - 2.60 * sinB + 1.25 * sinB * sinB;
+        }
+        case 'uranus':
+            return -7.19 + base;
+        case 'neptune':
+            return -6.87 + base;
+        default:
+            return NaN;
+    }
+};
+
+/**
+ * @typedef {Object} PlanetPosition
+ * @property {string} name - 행성 이름 (예: 'jupiter')
+ * @property {number} lon - 지심 겉보기 황경 (라디안, 0 ~ 2π)
+ * @property {number} lat - 지심 황위 (라디안)
+ * @property {number} ra - 지심 겉보기 적경 (라디안, 0 ~ 2π)
+ * @property {number} dec - 지심 겉보기 적위 (라디안)
+ * @property {number} dist - 지구-행성 거리 (AU)
+ * @property {number} helioDist - 태양-행성 거리 (AU)
+ * @property {number} phaseAngle - 위상각 (라디안)
+ * @property {number} elongation - 태양으로부터의 이각 (라디안)
+ * @property {number} magnitude - 겉보기 등급
+ */
+
+/**
+ * 행성 위치 계산 클래스 (수성 ~ 해왕성)
+ *
+ * 시간에 따라 변하는 케플러 궤도 요소로 일심 위치를 구하고
+ * 광행시, 세차(황도의 움직임 포함), 장동, 연주 광행차를 보정해 지심 겉보기 위치를 계산합니다.
+ * 궤도 요소는 기원전 3000년 ~ 서기 3000년에 쓸 수 있는 근사값으로, 현대에는 수 분각(′),
+ * 수천 년 전후에도 대개 1° 이내의 정확도라 별자리판 표시에 충분합니다.
+ *
+ * @class
+ * @example
+ * const jd = AstroTime.UT2TDB(AstroTime.jd(2024, 12, 7, 12, 0, 0));
+ * const jupiter = AstroPlanet.position('jupiter', jd);
+ * console.log(jupiter.ra * AstroMath.R2H, jupiter.magnitude);
+ */
+export class AstroPlanet {
+    /**
+     * 지원하는 행성 이름 목록 (태양에서 가까운 순)
+     * @static
+     * @type {string[]}
+     */
+    static NAMES = Object.freeze(['mercury', 'venus', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune']);
+
+    /**
+     * 행성의 지심 겉보기 위치와 등급 계산
+     * @static
+     * @param {string} name - 행성 이름 (AstroPlanet.NAMES 중 하나)
+     * @param {number} jd - 율리우스일 (TDB)
+     * @returns {PlanetPosition} 행성 위치
+     * @throws {Error} 지원하지 않는 행성 이름인 경우
+     * @example
+     * // Meeus 예제 33.a: 1992년 12월 20일 0h TD 금성
+     * const venus = AstroPlanet.position('venus', 2448976.5);
+     * // ra ≈ 316.17°, dec ≈ -18.89°
+     */
+    static position(name, jd) {
+        const el = PLANET_ELEMENTS[name];
+        if (!el || name === 'earth') throw new Error(`Unknown planet: ${name}`);
+
+        const t = julianCentury(jd);
+        const earth = heliocentric(PLANET_ELEMENTS.earth, t);
+
+        // 광행시 보정: 빛이 출발한 시각의 행성 위치 사용
+        let planet = heliocentric(el, t);
+        let x, y, z, delta;
+        for (let i = 0; i < 2; i++) {
+            x = planet.x - earth.x;
+            y = planet.y - earth.y;
+            z = planet.z - earth.z;
+            delta = Math.sqrt(x * x + y * y + z * z);
+            planet = heliocentric(el, t - delta * LIGHT_TIME_PER_AU / 36525.0);
+        }
+        x = planet.x - earth.x;
+        y = planet.y - earth.y;
+        z = planet.z - earth.z;
+        delta = Math.sqrt(x * x + y * y + z * z);
+
+        const r = Math.sqrt(planet.x * planet.x + planet.y * planet.y + planet.z * planet.z);
+        const R = Math.sqrt(earth.x * earth.x + earth.y * earth.y + earth.z * earth.z);
+
+        // J2000.0 황도 좌표 → 날짜의 평균 황도/분점 (황도 자체의 움직임 포함)
+        const ecliptic = eclipticOfDate(x, y, z, jd);
+        let lon = ecliptic.lon * AstroMath.R2D;
+        let lat = ecliptic.lat;
+
+        // 연주 광행차 (Meeus 23.2)
+        const sun = AstroSun.position(jd);
+        const sunLon = sun.trueLon * AstroMath.R2D;
+        const e = 0.016708634 - 0.000042037 * t;
+        const pi = 102.93735 + 1.71946 * t;
+        lon += (-ABERRATION_CONSTANT * Math.cos((sunLon - lon) * AstroMath.D2R) +
+            e * ABERRATION_CONSTANT * Math.cos((pi - lon) * AstroMath.D2R)) / Math.cos(lat);
+        lat += -ABERRATION_CONSTANT * Math.sin(lat) * (Math.sin((sunLon - lon) * AstroMath.D2R) -
+            e * Math.sin((pi - lon) * AstroMath.D2R)) * AstroMath.D2R;
+
+        // 장동
+        const { ra, dec } = trueEquatorial(lon * AstroMath.D2R, lat, jd);
+        const { dpsi } = AstroApparent.nutation(jd);
+        lon = AstroMath.normalize(lon * AstroMath.D2R + dpsi, 0, AstroMath.TPI);
+
+        // 위상각과 태양 이각
+        const phaseAngle = Math.acos(Math.max(-1, Math.min(1, (r * r + delta * delta - R * R) / (2 * r * delta))));
+        const elongation = Math.acos(Math.max(-1, Math.min(1, (R * R + delta * delta - r * r) / (2 * R * delta))));
+
+        // 토성 고리 기울기 B (Meeus 45장)
+        let ringTilt = 0;
+        if (name === 'saturn') {
+            const ri = (28.075216 - 0.012998 * t) * AstroMath.D2R;
+            const rn = (169.508470 + 1.394681 * t) * AstroMath.D2R;
+            ringTilt = Math.asin(Math.sin(ri) * Math.cos(lat) * Math.sin(lon - rn) - Math.cos(ri) * Math.sin(lat));
+        }
+
+        return {
+            name,
+            lon,
+            lat,
+            ra,
+            dec,
+            dist: delta,
+            helioDist: r,
+            phaseAngle,
+            elongation,
+            magnitude: planetMagnitude(name, r, delta, phaseAngle * AstroMath.R2D, ringTilt)
+        };
+    }
+
+    /**
+     * 모든 행성의 위치 계산
+     * @static
+     * @param {number} jd - 율리우스일 (TDB)
+     * @returns {PlanetPosition[]} AstroPlanet.NAMES 순서의 행성 위치 배열
+     */
+    static positions(jd) {
+        return AstroPlanet.NAMES.map(name => AstroPlanet.position(name, jd));
+    }
+}
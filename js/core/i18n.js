@@ -0,0 +1,245 @@
+/**
+ * @fileoverview 별자리판 JS - 화면 표시 언어(Labels)
+ * @author 지용호 <jidolstar@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ *
+ * @description
+ * 렌더러가 화면에 쓰는 글자(별자리/별/태양계 천체 이름, 날짜환의 월, 시간환의 시, 방위, 분점/지점, 범례)를
+ * 표시 언어(constants.js의 LANGUAGES)에 맞게 돌려주는 모듈입니다.
+ *
+ * - 별자리 이름: 'ko' 한글, 'en' 영어, 'la' 라틴어, 'abbr' IAU 약자
+ * - 별 고유 이름: 'ko'는 한글 표기, 나머지는 STARS_DATA의 고유 이름
+ * - 바이어 문자: 모든 언어에서 그리스 문자 (예: 'Gam2' → 'γ²')
+ * - 그 밖의 글자: 'ko'는 한글, 나머지는 영어
+ *
+ * @example
+ * import { Labels } from './i18n.js';
+ *
+ * const labels = Labels.of('en');
+ * labels.constellation('UMa'); // 'Great Bear'
+ * labels.month(3);             // 'Mar'
+ * labels.cardinal(2);          // 'E'
+ */
+
+import { LANGUAGES, DEFAULT_LANGUAGE } from './constants.js';
+import { AstroConstellation } from './constellation.js';
+import { STAR_NAMES } from './models.js';
+
+/**
+ * 별자리 이름 외의 화면 글자 (한글과 영어)
+ * @private
+ * @type {Object.<string, Object>}
+ */
+const TEXTS = {
+    ko: {
+        months: ['1월', '2월', '3월', '4월', '5월', '6월', '7월', '8월', '9월', '10월', '11월', '12월'],
+        hour: (hour) => `${hour}시`,
+        cardinals: ['북', '북동', '동', '남동', '남', '남서', '서', '북서'],
+        sun: '태양',
+        moon: '달',
+        planets: {
+            mercury: '수성', venus: '금성', mars: '화성', jupiter: '목성',
+            saturn: '토성', uranus: '천왕성', neptune: '해왕성'
+        },
+        seasonalPoints: ['춘분점', '하지점', '추분점', '동지점'],
+        magnitude: (mag) => `${mag} 등성`,
+        title: '아빠별 별자리판',
+        northSky: '북쪽 하늘',
+        southSky: '남쪽 하늘'
+    },
+    en: {
+        months: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+        hour: (hour) => `${hour}h`,
+        cardinals: ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'],
+        sun: 'Sun',
+        moon: 'Moon',
+        planets: {
+            mercury: 'Mercury', venus: 'Venus', mars: 'Mars', jupiter: 'Jupiter',
+            saturn: 'Saturn', uranus: 'Uranus', neptune: 'Neptune'
+        },
+        seasonalPoints: ['March Equinox', 'June Solstice', 'September Equinox', 'December Solstice'],
+        magnitude: (mag) => `Mag ${mag}`,
+        title: 'Planisphere JS',
+        northSky: 'Northern Sky',
+        southSky: 'Southern Sky'
+    }
+};
+
+/**
+ * 바이어 문자 약자 → 그리스 문자
+ * @private
+ * @constant {Object.<string, string>}
+ */
+const GREEK_LETTERS = {
+    Alp: 'α', Bet: 'β', Gam: 'γ', Del: 'δ', Eps: 'ε', Zet: 'ζ', Eta: 'η', The: 'θ',
+    Iot: 'ι', Kap: 'κ', Lam: 'λ', Mu: 'μ', Nu: 'ν', Xi: 'ξ', Omi: 'ο', Pi: 'π',
+    Rho: 'ρ', Sig: 'σ', Tau: 'τ', Ups: 'υ', Phi: 'φ', Chi: 'χ', Psi: 'ψ', Ome: 'ω'
+};
+
+/**
+ * 위첨자 숫자 (바이어 문자의 번호)
+ * @private
+ * @constant {string}
+ */
+const SUPERSCRIPTS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+
+/**
+ * 언어별 화면 글자
+ *
+ * 언어마다 인스턴스 하나를 만들어 재사용합니다 (Labels.of()).
+ *
+ * @class
+ */
+export class Labels {
+    /** @type {Map<string, Labels>} 언어 → 인스턴스 */
+    static #instances = new Map();
+    /** @type {Map<string, string>|null} 별 고유 이름 → 한글 이름 */
+    static #starNamesKo = null;
+
+    #language;
+    #texts;
+
+    /**
+     * 표시 언어의 Labels 인스턴스
+     * @param {string} [language=DEFAULT_LANGUAGE] - 표시 언어 (LANGUAGES 중 하나)
+     * @returns {Labels}
+     * @throws {Error} 지원하지 않는 언어
+     */
+    static of(language = DEFAULT_LANGUAGE) {
+        let labels = Labels.#instances.get(language);
+        if (!labels) {
+            labels = new Labels(language);
+            Labels.#instances.set(language, labels);
+        }
+        return labels;
+    }
+
+    /**
+     * @param {string} language - 표시 언어 (LANGUAGES 중 하나)
+     * @throws {Error} 지원하지 않는 언어
+     */
+    constructor(language) {
+        if (!LANGUAGES.includes(language)) {
+            throw new Error(`language는 ${LANGUAGES.join(', ')} 중 하나여야 합니다.`);
+        }
+        this.#language = language;
+        this.#texts = language === 'ko' ? TEXTS.ko : TEXTS.en;
+    }
+
+    /** @returns {string} 표시 언어 */
+    get language() { return this.#language; }
+
+    /** @returns {string} 태양 */
+    get sun() { return this.#texts.sun; }
+
+    /** @returns {string} 달 */
+    get moon() { return this.#texts.moon; }
+
+    /** @returns {string} 별자리판 제목 */
+    get title() { return this.#texts.title; }
+
+    /** @returns {string} 양면 별자리판의 북쪽 하늘 원판 제목 */
+    get northSky() { return this.#texts.northSky; }
+
+    /** @returns {string} 양면 별자리판의 남쪽 하늘 원판 제목 */
+    get southSky() { return this.#texts.southSky; }
+
+    /**
+     * 날짜환의 월 이름
+     * @param {number} month - 월 (1 ~ 12)
+     * @returns {string} 예: '3월', 'Mar'
+     */
+    month(month) {
+        return this.#texts.months[month - 1];
+    }
+
+    /**
+     * 시간환의 시각
+     * @param {number} hour - 시 (0 ~ 23)
+     * @returns {string} 예: '3시', '3h'
+     */
+    hour(hour) {
+        return this.#texts.hour(hour);
+    }
+
+    /**
+     * 8방위 이름 (북에서 시작해 동쪽으로 45°씩)
+     * @param {number} index - 방위 번호 (0: 북, 2: 동, 4: 남, 6: 서)
+     * @returns {string} 예: '북동', 'NE'
+     */
+    cardinal(index) {
+        return this.#texts.cardinals[index % 8];
+    }
+
+    /**
+     * 행성 이름
+     * @param {string} planet - 행성 이름 (AstroPlanet의 'mercury' ~ 'neptune')
+     * @returns {string} 예: '목성', 'Jupiter'
+     */
+    planet(planet) {
+        return this.#texts.planets[planet] ?? planet;
+    }
+
+    /**
+     * 황도의 분점/지점 이름 (황경 0°에서 시작해 90°씩)
+     * @param {number} index - 번호 (0: 춘분점, 1: 하지점, 2: 추분점, 3: 동지점)
+     * @returns {string} 예: '춘분점', 'March Equinox'
+     */
+    seasonalPoint(index) {
+        return this.#texts.seasonalPoints[index % 4];
+    }
+
+    /**
+     * 별 등급 범례
+     * @param {number} mag - 등급
+     * @returns {string} 예: '1 등성', 'Mag 1'
+     */
+    magnitude(mag) {
+        return this.#texts.magnitude(mag);
+    }
+
+    /**
+     * 하늘에 표시할 별자리 이름
+     *
+     * 한글은 원판의 공간을 아끼려고 '자리'를 뺀 이름입니다 (예: '오리온').
+     *
+     * @param {string} abbr - IAU 별자리 약자 (예: 'UMa')
+     * @returns {string} 예: '큰곰', 'Great Bear', 'Ursa Major', 'UMa' (모르는 약자는 그대로)
+     */
+    constellation(abbr) {
+        const info = AstroConstellation.byAbbr(abbr);
+        if (!info) return abbr;
+        switch (this.#language) {
+            case 'ko': return info.name.replace(/자리$/, '');
+            case 'en': return info.english;
+            case 'la': return info.latin;
+            default: return info.abbr;
+        }
+    }
+
+    /**
+     * 별의 고유 이름
+     * @param {string} name - STARS_DATA의 고유 이름 (예: 'Sirius')
+     * @returns {string} 예: '시리우스', 'Sirius' (한글 표기가 없으면 그대로)
+     */
+    star(name) {
+        if (this.#language !== 'ko') return name;
+        Labels.#starNamesKo ??= new Map(STAR_NAMES.trim().split('\n').map(line => line.split(',')));
+        return Labels.#starNamesKo.get(name) ?? name;
+    }
+
+    /**
+     * 별의 바이어 문자
+     * @param {string} bayer - StarCatalog의 바이어 문자 (예: 'Alp', 'Gam2')
+     * @returns {string} 예: 'α', 'γ²' (모르는 약자는 그대로)
+     */
+    bayer(bayer) {
+        const [, letter, number] = bayer.match(/^(\D*)(\d*)$/);
+        const greek = GREEK_LETTERS[letter];
+        if (!greek) return bayer;
+        return greek + [...number].map(digit => SUPERSCRIPTS[digit]).join('');
+    }
+}
+
+export default Labels;
@@ -0,0 +1,314 @@
+/**
+ * @fileoverview 별자리판 JS - 글자 배치(Label Layout)
+ * @author 지용호 <jidolstar@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ *
+ * @description
+ * 렌더러가 화면에 쓰는 이름(별자리, 별, 딥스카이 천체, 태양계 천체)이 서로 겹치지 않도록 자리를 정하는 모듈입니다.
+ *
+ * 배치 규칙:
+ * - 우선순위: 우선순위가 높은 글자부터 자리를 잡습니다 (같으면 추가한 순서).
+ * - 충돌 검사: 이미 놓인 글자, 이름을 붙일 천체 표시(mark), 장애물(기호)과 겹치는 자리는 쓰지 않습니다.
+ *   장애물에 우선순위를 주면 그보다 우선순위가 높은 글자는 장애물을 덮을 수 있습니다.
+ * - 대체 위치: 후보 위치(offsets)를 선호 순서대로 시도하고, 모두 막히면 그 글자는 생략합니다.
+ * - 가장자리 처리: 영역(원 또는 사각형) 밖으로 나가는 글자는 rimShift 픽셀까지 안쪽으로 밀어 넣어 봅니다.
+ *
+ * 글자는 회전한 사각형(상자)으로 보고 분리축 정리로 겹침을 판별합니다. 화면에 그리는 일은 렌더러가 합니다.
+ *
+ * @example
+ * import { LabelLayout } from './labellayout.js';
+ *
+ * const layout = new LabelLayout({ circle: { cx: 0, cy: 0, radius: 380 } });
+ * layout.add({ x: 120, y: -40, width: 30, height: 10, priority: 2, markRadius: 4, offsets: LabelLayout.around(6, 30, 10), data: 'Vega' });
+ * for (const { x, y, data } of layout.solve()) canvas.text(data).center(x, y);
+ */
+
+/**
+ * 가장자리 밖으로 나간 글자를 안쪽으로 밀 때의 간격 (픽셀)
+ * @private
+ * @constant {number}
+ */
+const RIM_SHIFT_STEP = 2;
+
+/**
+ * @typedef {Object} LabelBox
+ * @property {number} x - 중심 X
+ * @property {number} y - 중심 Y
+ * @property {number} width - 폭 (회전 전)
+ * @property {number} height - 높이 (회전 전)
+ * @property {number} angle - 회전각 (라디안)
+ */
+
+/**
+ * 상자와 원(천체 표시)이 겹치는지 여부
+ * @private
+ * @param {LabelBox} box - 상자
+ * @param {{x: number, y: number, radius: number}} circle - 원
+ * @returns {boolean}
+ */
+const boxHitsCircle = ({ x, y, width, height, angle }, circle) => {
+    // 원 중심을 상자 좌표계로 옮겨 상자 안의 가장 가까운 점까지의 거리를 잰다.
+    const dx = circle.x - x;
+    const dy = circle.y - y;
+    const u = dx * Math.cos(angle) + dy * Math.sin(angle);
+    const v = -dx * Math.sin(angle) + dy * Math.cos(angle);
+    const nearU = Math.max(-width / 2, Math.min(width / 2, u));
+    const nearV = Math.max(-height / 2, Math.min(height / 2, v));
+    return Math.hypot(u - nearU, v - nearV) < circle.radius;
+};
+
+/**
+ * @typedef {Object} LabelRequest
+ * @property {number} x - 기준점 X (이름을 붙일 천체의 화면 좌표)
+ * @property {number} y - 기준점 Y
+ * @property {number} width - 글자 폭 (회전 전, 픽셀)
+ * @property {number} height - 글자 높이 (회전 전, 픽셀)
+ * @property {number} [angle=0] - 글자 회전각 (라디안)
+ * @property {number} [priority=0] - 우선순위 (클수록 먼저 자리를 잡음)
+ * @property {Array<number[]>} [offsets=[[0, 0]]] - 기준점에서 글자 중심까지의 후보 위치 [dx, dy] (선호 순서)
+ * @property {number} [markRadius=0] - 기준점의 천체 표시 반경 (0보다 크면 다른 글자가 이 표시를 가리지 않음)
+ * @property {number} [rimShift=0] - 영역 밖으로 나간 글자를 안쪽으로 밀어 넣을 최대 거리 (픽셀, 0이면 생략)
+ * @property {*} [data] - 호출한 쪽에서 쓸 값 (그릴 글자 등)
+ */
+
+/**
+ * @typedef {Object} PlacedLabel
+ * @property {number} x - 글자 중심 X
+ * @property {number} y - 글자 중심 Y
+ * @property {number} angle - 글자 회전각 (라디안)
+ * @property {LabelBox} box - 글자 상자
+ * @property {*} data - LabelRequest의 data
+ */
+
+/**
+ * 글자 배치기
+ *
+ * 글자를 add()로 모두 추가한 뒤 solve()로 한 번에 자리를 정합니다.
+ *
+ * @class
+ */
+export class LabelLayout {
+    /** @type {{cx: number, cy: number, radius: number}|null} */
+    #circle;
+    /** @type {{x1: number, y1: number, x2: number, y2: number}|null} */
+    #rect;
+    /** @type {Array<{box: LabelBox, priority: number}>} */
+    #obstacles = [];
+    /** @type {LabelRequest[]} */
+    #requests = [];
+
+    /**
+     * @param {Object} [bounds={}] - 글자가 들어가야 하는 영역 (없으면 제한 없음)
+     * @param {{cx: number, cy: number, radius: number}} [bounds.circle] - 원 영역 (하늘 패널, 전천 보기)
+     * @param {{x1: number, y1: number, x2: number, y2: number}} [bounds.rect] - 사각형 영역 (왼쪽 위, 오른쪽 아래, 파노라마)
+     */
+    constructor({ circle = null, rect = null } = {}) {
+        this.#circle = circle;
+        this.#rect = rect;
+    }
+
+    /**
+     * 글자 폭 추정 (픽셀)
+     *
+     * 고정폭 글꼴의 라틴 문자는 크기의 약 0.6배, 한글/한자 같은 전각 문자는 크기만큼으로 봅니다.
+     * @param {string} text - 글자
+     * @param {number} size - 글자 크기 (픽셀)
+     * @returns {number}
+     */
+    static textWidth(text, size) {
+        let width = 0;
+        for (const char of text) width += char.codePointAt(0) >= 0x2e80 ? size : size * 0.6;
+        return width;
+    }
+
+    /**
+     * 글자 상자
+     * @param {number} x - 중심 X
+     * @param {number} y - 중심 Y
+     * @param {number} width - 폭 (회전 전)
+     * @param {number} height - 높이 (회전 전)
+     * @param {number} [angle=0] - 회전각 (라디안)
+     * @returns {LabelBox}
+     */
+    static box(x, y, width, height, angle = 0) {
+        return { x, y, width, height, angle };
+    }
+
+    /**
+     * 상자의 네 꼭짓점
+     * @param {LabelBox} box - 상자
+     * @returns {Array<number[]>} [x, y] 목록
+     */
+    static corners({ x, y, width, height, angle }) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const hw = width / 2;
+        const hh = height / 2;
+        return [[-hw, -hh], [hw, -hh], [hw, hh], [-hw, hh]]
+            .map(([u, v]) => [x + u * cos - v * sin, y + u * sin + v * cos]);
+    }
+
+    /**
+     * 두 상자가 겹치는지 여부 (분리축 정리, 변이 맞닿은 것은 겹치지 않음)
+     * @param {LabelBox} a - 상자
+     * @param {LabelBox} b - 상자
+     * @returns {boolean}
+     */
+    static overlaps(a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        // 상자를 축 (ax, ay)에 투영한 길이의 절반
+        const extent = ({ width, height, angle }, ax, ay) =>
+            Math.abs(width / 2 * (Math.cos(angle) * ax + Math.sin(angle) * ay)) +
+            Math.abs(height / 2 * (-Math.sin(angle) * ax + Math.cos(angle) * ay));
+        for (const { angle } of [a, b]) {
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            for (const [ax, ay] of [[cos, sin], [-sin, cos]]) {
+                if (Math.abs(dx * ax + dy * ay) >= extent(a, ax, ay) + extent(b, ax, ay)) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * 점 천체 둘레의 후보 위치: 오른쪽, 왼쪽, 위, 아래
+     * @param {number} gap - 기준점에서 글자까지의 거리 (천체 표시 반경 + 여백)
+     * @param {number} width - 글자 폭
+     * @param {number} height - 글자 높이
+     * @returns {Array<number[]>} [dx, dy] 목록
+     */
+    static around(gap, width, height) {
+        return [
+            [gap + width / 2, 0],
+            [-gap - width / 2, 0],
+            [0, -gap - height / 2],
+            [0, gap + height / 2]
+        ];
+    }
+
+    /**
+     * 글자가 피해야 할 장애물 (기호 등)
+     * @param {LabelBox} box - 장애물 상자
+     * @param {number} [priority=Infinity] - 이 우선순위 이하의 글자만 피함 (기본은 모든 글자)
+     * @returns {LabelLayout} 연쇄 호출용
+     */
+    avoid(box, priority = Infinity) {
+        this.#obstacles.push({ box, priority });
+        return this;
+    }
+
+    /**
+     * 배치할 글자 추가
+     * @param {LabelRequest} request - 글자
+     * @returns {LabelLayout} 연쇄 호출용
+     */
+    add(request) {
+        this.#requests.push(request);
+        return this;
+    }
+
+    /**
+     * 상자가 영역 안에 모두 들어가는지 여부
+     * @param {LabelBox} box - 상자
+     * @returns {boolean}
+     */
+    contains(box) {
+        const corners = LabelLayout.corners(box);
+        if (this.#rect) {
+            const { x1, y1, x2, y2 } = this.#rect;
+            if (corners.some(([x, y]) => x < x1 || y < y1 || x > x2 || y > y2)) return false;
+        }
+        if (this.#circle) {
+            const { cx, cy, radius } = this.#circle;
+            if (corners.some(([x, y]) => Math.hypot(x - cx, y - cy) > radius)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * 모든 글자의 자리 정하기
+     *
+     * 자리를 찾지 못한 글자는 결과에서 빠집니다.
+     *
+     * @returns {PlacedLabel[]} 놓인 글자 (우선순위 순서)
+     */
+    solve() {
+        const occupied = [];
+        const marks = this.#requests
+            .filter(({ markRadius = 0 }) => markRadius > 0)
+            .map(({ x, y, markRadius }) => ({ x, y, radius: markRadius }));
+
+        // Array.prototype.sort는 안정 정렬이므로 우선순위가 같으면 추가한 순서를 유지한다.
+        const requests = [...this.#requests].sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0));
+        const placed = [];
+        for (const request of requests) {
+            const label = this.#place(request, occupied, marks);
+            if (!label) continue;
+            occupied.push(label.box);
+            placed.push(label);
+        }
+        return placed;
+    }
+
+    /**
+     * 후보 위치를 차례로 시도해 첫 빈자리 찾기
+     * @param {LabelRequest} request - 글자
+     * @param {LabelBox[]} occupied - 이미 놓인 글자
+     * @param {Array<{x: number, y: number, radius: number}>} marks - 천체 표시
+     * @returns {PlacedLabel|null}
+     */
+    #place({ x, y, width, height, angle = 0, priority = 0, offsets = [[0, 0]], rimShift = 0, data }, occupied, marks) {
+        const obstacles = this.#obstacles.filter(obstacle => priority <= obstacle.priority);
+        for (const [dx, dy] of offsets) {
+            const position = this.#fit(x + dx, y + dy, width, height, angle, rimShift);
+            if (!position) continue;
+            const box = LabelLayout.box(position.x, position.y, width, height, angle);
+            if (occupied.some(other => LabelLayout.overlaps(box, other))) continue;
+            if (marks.some(mark => boxHitsCircle(box, mark))) continue;
+            if (obstacles.some(obstacle => LabelLayout.overlaps(box, obstacle.box))) continue;
+            return { x: position.x, y: position.y, angle, box, data };
+        }
+        return null;
+    }
+
+    /**
+     * 글자가 영역 안에 들어가는 위치 (밖으로 나가면 rimShift까지 안쪽으로 밀어 봄)
+     *
+     * 원 영역은 중심 방향으로, 사각형 영역은 넘친 변의 반대 방향으로 밉니다.
+     * @returns {{x: number, y: number}|null} 글자 중심 (들어가지 않으면 null)
+     */
+    #fit(x, y, width, height, angle, rimShift) {
+        let box = LabelLayout.box(x, y, width, height, angle);
+        if (this.contains(box)) return { x, y };
+        if (rimShift <= 0) return null;
+
+        if (this.#rect) {
+            const { x1, y1, x2, y2 } = this.#rect;
+            const xs = LabelLayout.corners(box).map(([cornerX]) => cornerX);
+            const ys = LabelLayout.corners(box).map(([, cornerY]) => cornerY);
+            const shiftX = Math.max(x1 - Math.min(...xs), 0) - Math.max(Math.max(...xs) - x2, 0);
+            const shiftY = Math.max(y1 - Math.min(...ys), 0) - Math.max(Math.max(...ys) - y2, 0);
+            if (Math.hypot(shiftX, shiftY) > rimShift) return null;
+            x += shiftX;
+            y += shiftY;
+            box = LabelLayout.box(x, y, width, height, angle);
+            if (!this.#circle) return this.contains(box) ? { x, y } : null;
+        }
+
+        const { cx, cy } = this.#circle;
+        const distance = Math.hypot(x - cx, y - cy);
+        if (distance === 0) return null;
+        const ux = (cx - x) / distance;
+        const uy = (cy - y) / distance;
+        for (let shift = RIM_SHIFT_STEP; shift <= Math.min(rimShift, distance); shift += RIM_SHIFT_STEP) {
+            const sx = x + ux * shift;
+            const sy = y + uy * shift;
+            if (this.contains(LabelLayout.box(sx, sy, width, height, angle))) return { x: sx, y: sy };
+        }
+        return null;
+    }
+}
+
+export default LabelLayout;
@@ -10,7 +10,14 @@
  * 포함된 데이터:
  * - STARS_DATA: 5000+ 별의 정보 (CSV 형식)
  * - CONSTELLATION_LINES: 별자리선 좌표
- * - CONSTELLATION_NAMES: 별자리 이름과 표시 위치
+ * - CONSTELLATION_NAMES: 별자리 약자와 이름 표시 위치
+ * - STAR_NAMES: 밝은 별 고유 이름의 한글 표기 (CSV 형식)
+ * - DEEP_SKY_DATA: 메시에/칼드웰 딥스카이 천체 (CSV 형식)
+ * - MILKY_WAY: 은하수 밝기 단계별 윤곽선
+ * - CONSTELLATIONS: IAU 88개 별자리 약자와 이름 (CSV 형식)
+ * - CONSTELLATION_BOUNDS, CONSTELLATION_BOUNDARY_LINES: IAU 별자리 경계 (B1875.0)
+ * - KOREAN_CONSTELLATIONS, KOREAN_CONSTELLATION_LINES, KOREAN_CONSTELLATION_NAMES: 동아시아 전통 별자리
+ * - LUNAR_MANSIONS: 이십팔수와 거성의 적경 (CSV 형식)
  */
 
 /**
@@ -25,5034 +32,5039 @@
  * 4. 적위 Dec (도 단위, -90 ~ +90)
  * 5. 겉보기 등급 (1-6, 숫자가 작을수록 밝음)
  * 6. 분광형 (O, B, A, F, G, K, M)
+ * 7. 히파르코스 번호 HIP (예: "27989") - 없으면 빈 값
+ *
+ * HIP 번호는 d3-celestial의 stars.6.json에서 위치가 같은 별을 찾아 붙였습니다.
+ *
+ * 파싱된 목록과 검색 API는 catalog.js의 StarCatalog를 사용하세요.
  *
  * @constant {string}
  * @example
  * // 데이터 파싱 예시
  * const lines = STARS_DATA.trim().split('\n');
  * const stars = lines.map(line => {
- *     const [name, propername, ra, dec, mag, spectral] = line.split(',');
+ *     const [name, propername, ra, dec, mag, spectral, hip] = line.split(',');
  *     return { name, propername, ra: parseFloat(ra), dec: parseFloat(dec),
- *              mag: parseInt(mag), spectral };
+ *              mag: parseInt(mag), spectral, hip: hip ? parseInt(hip) : null };
  * });
  */
-export const STARS_DATA = `Tau Phe,,0.01794397,-48.80985919,5,G
-,,0.02225348,-50.33739907,5,M
-The Oct,,0.02662528,-77.06529438,4,K
-,,0.02694969,61.22280406,5,F
-29 P c,,0.03039927,-3.02747891,5,B
-30 P c,,0.03266433,-6.01397169,4,M
-85 Peg,,0.03601251,27.08448905,5,G
-Zet Scl,,0.03886504,-29.72044805,5,B
-32 P c,,0.04159929,8.48557854,5,F
-,,0.04335616,66.09896341,5,G
-2 Cet,,0.06232565,-17.33597002,4,B
-9 Ca ,,0.07046214,62.2876646,5,A
-,,0.07215592,-16.52888969,5,K
-3 Cet,,0.07503398,-10.50949443,4,K
-,,0.07812589,-71.43685835,5,B
-,,0.07828819,67.16638761,5,K
-,,0.08503682,61.31396468,5,B
-33 P c,,0.08892938,-5.70783255,4,K
-86 Peg,,0.09498215,13.39628227,5,G
-,,0.10431626,58.43668966,5,G
-,,0.10518422,-49.07509405,5,G
-10 Ca ,,0.10736857,64.19616859,5,B
-,,0.12968212,-22.50847542,5,A
-,,0.13431035,-33.52933371,5,K
-,,0.13820907,-8.82402541,5,G
-21Alp And,Alpheratz,0.13976888,29.09082805,2,B
-87 Peg,,0.15064948,18.21202529,5,G
-11Bet Ca ,Caph,0.15280269,59.15021814,2,F
-Kap1Scl,,0.15583908,-27.9879039,5,F
-Ep Phe,,0.15681663,-45.74698836,3,K
-34 P c,,0.1672735,11.14580908,5,B
-Gam3Oct,,0.16729695,-82.22399743,5,K
-,,0.17190257,-5.24851713,5,K
-22 And,,0.17201167,46.07227117,5,F
-,,0.17854038,-12.57980381,5,K
-6 Cet,,0.18775227,-15.46732287,4,F
-Kap2Scl,,0.19289362,-27.7997782,5,K
-The Scl,,0.19552446,-35.13339606,5,F
-,,0.20276358,-17.93821766,5,K
-88Gam Peg,Algenib,0.22059721,15.18361593,2,B
-,,0.22209681,-84.99402068,5,M
-23 And,,0.2252598,41.03572671,5,F
-,,0.22839456,-26.02215399,5,K
-,,0.24099785,-7.78053784,5,M
-89Chi Peg,,0.24336336,20.2066972,4,M
-7 Cet,,0.24400908,-18.93268628,4,M
-,,0.24847259,-9.56955053,5,B
-,,0.26910712,-31.44632821,5,K
-,,0.28251411,61.53319397,5,G
-24The And,,0.28487101,38.68167915,4,A
-,,0.28584449,47.94741495,5,B
-25Sig And,,0.3054737,36.7853273,4,A
-,,0.31061603,31.51723388,5,A
-8Iot Cet,,0.32380084,-8.82382948,3,K
-Zet Tuc,,0.33386505,-64.8776232,4,F
-,,0.34010888,30.93561514,5,B
-41 P c,,0.34329562,8.19024803,5,K
-Pi Tuc,,0.34417857,-69.62491154,5,B
-,,0.34598296,32.91122853,5,K
-27Rho And,,0.35200719,37.96869954,5,F
-,,0.3579841,-77.42685699,5,K
-Iot Scl,,0.35866009,-28.98129509,5,K
-,,0.362843,-20.05799253,5,M
-,,0.40434562,52.01992467,5,B
-12 Ca ,,0.41319127,61.83106347,5,B
-,,0.41844046,53.04678501,5,B
-44 P c,,0.42339353,1.93972374,5,G
-Bet Hyi,,0.42755612,-77.25503511,2,G
-Kap Phe,,0.43669894,-43.67990933,3,A
-Alp Phe,Ankaa,0.43801871,-42.30512197,2,K
-,,0.45407977,-25.54713325,5,K
-Eta Scl,,0.46547573,-33.0070446,4,M
-47 P c,,0.46745682,17.89307501,5,M
-,,0.47044031,44.39448925,5,A
-,,0.47400487,-39.91490183,5,M
-12 Cet,,0.50065357,-3.95729662,5,M
-28 And,,0.50203771,29.75169567,5,A
-,,0.50553158,59.977564,5,B
-,,0.50629756,-23.78771429,5,A
-,,0.50721518,-48.21469821,5,F
-Lam1Phe,,0.52357113,-48.80356171,4,A
-,,0.52377917,33.58168169,5,K
-Bet1Tuc,,0.52571132,-62.95808549,4,B
-Bet2Tuc,,0.525932,-62.96544985,4,A
-,,0.52811415,52.83955844,5,K
-14Lam Ca ,,0.52953275,54.52232473,4,B
-51 P c,,0.53993193,6.95545461,5,B
-52 P c,,0.54316689,20.29443334,5,K
-Bet3Tuc,,0.5454984,-63.03137868,5,A
-15Kap Ca ,,0.54999626,62.93178781,4,B
-,,0.55286764,54.89508062,5,K
-,,0.56140586,-29.55820696,5,K
-,,0.5743375,-52.37318294,5,F
-13 Cet,,0.58740026,-3.59275785,5,F
-14 Cet,,0.5924305,-0.50545908,5,F
-Lam2Phe,,0.59475968,-48.00066027,5,F
-,,0.60230209,54.16845384,5,B
-,,0.60759498,60.32621728,5,A
-,,0.61290861,44.48850971,5,K
-53 P c,,0.61314215,15.23175994,5,B
-29Pi And,,0.61467749,33.71935227,4,B
-17Zet Ca ,,0.61618528,53.89693161,3,B
-,,0.62216307,-24.76722545,5,K
-,,0.62256277,35.39951013,5,G
-30Ep And,,0.64263868,29.312369,4,G
-,,0.65274638,49.35459528,5,K
-31Del And,,0.65544371,30.86122579,3,K
-54 P c,,0.6561374,21.2513739,5,K
-55 P c,,0.66543164,21.4385644,5,F
-,,0.67351556,-59.45568115,5,G
-18Alp Ca ,Shedir,0.67510756,56.53740928,2,K
-,,0.6784392,-4.35180551,5,K
-32 And,,0.68533204,39.45867141,5,G
-Mu Phe,,0.68877111,-46.08500934,4,G
-Xi Phe,,0.69619497,-56.50145475,5,A
-,,0.70095437,66.14761311,5,G
-19Xi Ca ,,0.70107895,50.51254151,4,B
-Rho Tuc,,0.70786031,-65.46813002,5,F
-,,0.7115666,-60.26268184,5,K
-Eta Phe,,0.72256778,-57.46309763,4,A
-20Pi Ca ,,0.72446964,47.02463657,4,A
-16Bet Cet,Diphda,0.7264523,-17.9866841,2,K
-17Phi1Cet,,0.73650151,-10.60927365,4,K
-Lam2Scl,,0.73664316,-38.42197898,5,K
-,,0.7406184,47.863963,5,B
-22Omi Ca ,,0.74541725,48.28438262,4,B
-,,0.74567703,-22.00633247,5,F
-,,0.74920103,-42.67632489,5,A
-,,0.75477874,55.2214087,5,A
-21 Ca ,,0.76086424,74.9881262,5,A
-,,0.76262055,-47.55217573,5,G
-,,0.76989701,-22.52206718,5,G
-57 P c,,0.77582666,15.47561194,5,M
-58 P c,,0.78372955,11.97393464,5,G
-34Zet And,,0.78899727,24.26737703,4,K
-60 P c,,0.78989538,6.74098135,5,G
-,,0.79533382,-18.06142264,5,K
-23 Ca ,,0.79611658,74.84758739,5,B
-,,0.8002919,-21.72247464,5,B
-,,0.80246541,72.67445774,5,K
-62 P c,,0.8048179,7.29991977,5,G
-,96 G. Psc,0.80625919,5.28338873,5,K
-Lam Hyi,,0.80975515,-74.92335356,5,K
-63Del P c,,0.81135982,7.58520186,4,K
-25Nu Ca ,,0.81388703,50.96819154,4,B
-64 P c,,0.81630825,16.9411337,5,F
-24Eta Ca ,,0.8180835,57.8165477,3,G
-,,0.82052734,-24.13652681,5,K
-,,0.82376491,-13.56101709,5,K
-35Nu And,,0.83023048,41.07895474,4,B
-65 P c,,0.8314191,27.71031105,5,F
-19Phi2Cet,,0.83547899,-10.64377045,5,F
-Rho Phe,,0.84475779,-50.98692422,5,F
-,,0.84543679,64.24758084,5,A
-,,0.8779447,-24.00592567,5,K
-20 Cet,,0.88346958,-1.1442206,4,M
-,,0.88452203,61.12355735,4,F
-,,0.89382743,-62.87135327,5,M
-66 P c,,0.90978333,19.18843611,5,A
-,,0.91465655,83.70746159,5,A
-36 And,,0.91611663,23.62844595,5,K
-26Up 1Cas,,0.91672028,58.97279657,4,K
-Lam2Tuc,,0.91674982,-69.52697888,5,G
-,,0.92844562,-7.34703997,5,K
-22Phi3Cet,,0.93375167,-11.26650685,5,K
-28Up 2Cas,,0.94444736,59.18116582,4,G
-27Gam Ca ,,0.9451392,60.71674966,2,B
-37Mu And,,0.94586046,38.49925513,3,A
-,,0.94637249,60.36284769,5,B
-38Eta And,,0.95345215,23.41775997,4,G
-68 P c,,0.9639301,28.9922356,5,G
-,,0.97060954,33.95105921,5,K
-,,0.97527748,66.35182541,5,A
-Alp Scl,,0.97676274,-29.35746436,4,B
-23Phi4Cet,,0.97885764,-11.37993895,5,G
-,,1.00098532,44.71330426,5,B
-Xi Scl,,1.02172928,-38.91664868,5,K
-Sig Scl,,1.04066048,-31.55204219,5,A
-69Sig P c,,1.04696849,31.80433674,5,B
-,,1.0469977,-46.39733801,5,G
-39 And,,1.04840996,41.34519861,5,A
-71Ep Psc,,1.04907107,7.89007256,4,K
-25 Cet,,1.05072351,-4.83635047,5,K
-,,1.06027988,61.07482982,5,F
-,,1.06733002,52.50230919,5,K
-,,1.0720969,61.58024409,5,F
-72 P c,,1.08481985,14.94600386,5,F
-74P i1Psc,,1.0947021,21.4732162,5,A
-74P i1Psc,,1.09491055,21.46547318,5,A
-Bet Phe,,1.10141847,-46.71849042,3,G
-28 Cet,,1.101425,-9.83936845,5,A
-Iot Tuc,,1.12182573,-61.77526197,5,G
-30 Cet,,1.12947786,-9.78559168,5,F
-Up Phe,,1.12995146,-41.48693516,5,A
-79P i2Psc,,1.13253055,20.73932115,5,A
-41 And,,1.13353292,43.94224107,5,A
-30Mu Ca ,,1.13692251,54.92422766,5,G
-80 P c,,1.13953998,5.6502213,5,F
-Zet Phe,,1.13973891,-55.24583235,3,B
-,,1.14262436,58.26347937,5,B
-31Eta Cet,,1.14312879,-10.181928,3,K
-,,1.14559982,86.25711803,4,K
-42Phi And,,1.15836727,47.2418241,4,B
-43Bet And,Mirach,1.16216599,35.62083048,2,M
-81P i3Psc,,1.163668,19.6583854,5,G
-44 And,,1.17190197,42.08157668,5,F
-,,1.17206928,25.45803989,5,K
-33 Cet,,1.17598814,2.44570842,5,K
-31 Ca ,,1.17757375,68.77868759,5,A
-33The Ca ,,1.18498074,55.14994765,4,A
-82 P c,,1.18521479,31.42476555,5,F
-45 And,,1.18619138,37.72413814,5,B
-,,1.19042126,64.20272388,5,B
-84Chi P c,,1.19088726,21.03467568,4,K
-83Tau P c,,1.19432964,30.08972962,4,K
-32 Ca ,,1.19482467,65.01888517,5,B
-34 Cet,,1.19542848,-2.25102487,5,K
-,,1.20458595,79.67397492,5,A
-,,1.21260197,-37.85640391,5,A
-86Zet P c,,1.22883399,7.57548895,5,A
-85Phi P c,,1.22914867,24.58376482,4,K
-87 P c,,1.23545783,16.13354221,5,B
-37 Cet,,1.23999082,-7.9235004,5,F
-38 Cet,,1.24699458,-0.97429411,5,F
-Nu Phe,,1.25293547,-45.53209717,4,F
-Kap Tuc,,1.26263759,-68.87623708,4,F
-,,1.2699727,71.74384538,5,K
-39 Cet,,1.27676298,-2.5002128,5,G
-89 P c,,1.29666224,3.61452038,5,A
-90Up Psc,,1.3244383,27.26408682,4,A
-42 Cet,,1.33008114,-0.5089949,5,A
-34Phi Ca ,,1.33469935,58.2316161,4,F
-91 P c,,1.35204276,28.73838983,5,K
-46Xi And,,1.37233139,45.5287566,4,K
-,,1.39026457,20.4689899,5,K
-,,1.39193557,-30.94550599,5,M
-47 And,,1.39459883,37.71499034,5,A
-45The Cet,,1.40040311,-8.18275372,3,K
-,,1.40569025,-6.91466853,5,F
-,,1.4113259,-41.49245885,5,K
-,,1.41813208,-64.3694363,5,M
-46 Cet,,1.42700257,-14.59875437,4,K
-37Del Ca ,,1.43016751,60.23540347,2,A
-36P i Cas,,1.4321956,68.12994739,4,K
-93Rho P c,,1.43757739,19.17232096,5,F
-,,1.43849971,43.45788606,5,F
-94 P c,,1.44490194,19.24056476,5,K
-47 Cet,,1.44765455,-13.05653391,5,F
-48Ome And,,1.46085698,45.40695287,4,F
-Gam Phe,,1.47276157,-43.31772906,3,K
-48 Cet,,1.49336117,-21.62934677,5,A
-49 And,,1.501695,47.00737711,5,K
-98Mu P c,,1.50303973,6.14393314,4,K
-,,1.50635465,-26.20785462,5,K
-38 Ca ,,1.52042181,70.2647886,5,F
-Del Phe,,1.5208282,-49.07307701,3,K
-99Eta P c,,1.52472051,15.34583101,3,G
-,,1.52868099,-30.28292502,5,K
-,,1.54890337,-36.86518161,5,K
-,,1.55714106,58.32734523,5,K
-,,1.56187029,-7.02514279,5,G
-39Chi Ca ,,1.56553499,59.23209665,4,K
-,,1.571277,37.23719753,5,B
-49 Cet,,1.57714483,-15.6763527,5,A
-,,1.58029093,18.46067238,5,M
-,,1.59851811,17.43378965,5,F
-50 Cet,,1.59971033,-15.40021584,5,K
-Tau Scl,,1.60234141,-29.9074336,5,F
-50Up And,,1.61332694,41.40638491,4,F
-102Pi P c,,1.6183226,12.14151058,5,F
-,,1.62438329,-84.76965017,5,K
-Alp Eri,Achernar,1.62854213,-57.23666007,0,B
-,,1.6319389,-82.97528876,5,G
-51 And,,1.6331951,48.62848641,3,K
-,,1.63543436,57.97764488,5,G
-,,1.64097059,-36.5279533,5,K
-40 Ca ,,1.64192808,73.04007203,5,G
-,,1.64769661,-21.27547447,5,F
-52Chi And,,1.65583862,44.38612827,5,G
-105 P c,,1.66132442,16.40588595,5,K
-,p Eridani,1.66312306,-56.19644067,5,K
-53Tau And,,1.67633449,40.57710624,4,B
-,,1.67765566,43.29776385,5,A
-106Nu P c,,1.69052987,5.48760445,4,K
-,,1.69423393,30.04713542,5,K
-,,1.69577724,-11.32366816,5,F
-,,1.69625436,42.61380692,4,G
-,,1.69665338,-60.78924102,5,K
-,,1.70083755,-36.83226421,5,A
-,,1.70095971,35.24576705,5,B
-Pi Scl,,1.70240155,-32.32685759,5,K
-43 Ca ,,1.705679,68.04304624,5,A
-,,1.7080975,-53.7405747,5,F
-107 P c,,1.70831938,20.27015091,5,K
-,,1.71208803,-3.69011692,4,K
-42 Ca ,,1.71548024,70.62255881,5,B
-44 Ca ,,1.7221493,60.55137091,5,B
-Phi Per,,1.72767091,50.6887655,4,B
-52Tau Cet,,1.73475762,-15.93955597,3,G
-110Omi P c,,1.75655241,9.15764102,4,K
-Ep Scl,,1.76073734,-25.05243403,5,F
-,,1.76646271,-5.73322696,5,K
-,,1.76831278,-50.81621317,5,M
-,,1.76837191,-53.52218065,5,A
-,,1.7955734,63.85310111,5,K
-4 Ari,,1.80302852,16.95563093,5,B
-,,1.80722884,3.68540364,5,G
-,,1.81078941,37.95293583,5,K
-,,1.81157743,32.68948705,5,F
-53Chi Cet,,1.82644197,-10.68618074,4,F
-1 Ari,,1.83571674,22.2753566,5,K
-,,1.84778166,11.0434459,5,F
-,,1.84846631,-50.20612713,5,A
-,,1.84919125,51.93369809,5,F
-55Zet Cet,,1.85766961,-10.33494526,3,K
-1 Per,,1.86647427,55.14740479,5,B
-2 Per,,1.86926501,50.79286359,5,B
-,,1.88113545,-16.92912351,5,F
-2Alp Tri,,1.88469439,29.57939727,3,F
-55 And,,1.88815331,40.72979974,5,K
-5Gam2Ari,,1.892157,19.29409264,3,A
-111Xi P c,,1.89259348,3.18747844,4,K
-P i Phe,,1.89411658,-46.30244631,4,M
-Phi Phe,,1.90612786,-42.49688104,5,A
-45Ep Cas,,1.90657873,63.67014686,3,B
-6Bet Ari,,1.91065251,20.80829949,2,A
-Eta2Hyi,,1.91555967,-67.64748114,4,G
-7 Ari,,1.93084223,23.57734317,5,K
-,,1.93179823,37.27780093,5,K
-Chi Eri,,1.93245347,-51.60958673,3,G
-46Ome Ca ,,1.93333438,68.68526545,4,B
-56 And,,1.93589718,37.251804,5,G
-56 Cet,,1.94448852,-22.52671153,4,K
-,,1.9527758,-47.38529869,4,G
-8Iot Ari,,1.95584261,17.8175894,5,K
-,,1.9621487,27.8045238,5,M
-9Lam Ari,,1.96549317,23.5960961,4,F
-3 Per,,1.97597211,49.204252,5,K
-Alp Hyi,,1.97940884,-61.56992444,2,F
-,,1.99322088,21.05860461,5,K
-,,1.99388597,64.62163894,5,A
-,,1.99412619,-42.03028941,5,K
-57 Cet,,1.99616341,-20.82457549,5,M
-59Up Cet,,2.00006244,-21.07777193,3,K
-112 P c,,2.00250686,3.09763527,5,G
-,,2.00743662,-8.52382616,5,M
-Pi For,,2.02077676,-30.00156583,5,G
-Chi Phe,,2.0284451,-44.71339037,5,K
-48 Ca ,,2.03265271,70.90704605,4,A
-113Alp P c,,2.03411128,2.76376048,3,A
-4 Per,,2.03835394,54.48754946,4,B
-,,2.04307718,13.47672808,5,M
-3Ep Tri,,2.04943523,33.28415151,5,A
-,,2.04959821,-15.30594985,5,K
-53 Ca ,,2.05005238,64.39002289,5,B
-60 Cet,,2.0532238,0.12845397,5,A
-50 Ca ,,2.05727509,72.42123962,3,A
-10 Ari,,2.06090623,25.93544879,5,F
-,,2.06124567,-4.10336397,5,K
-61 Cet,,2.06336751,-0.34014611,5,G
-57Gam1And,,2.06497752,42.32984832,2,B
-Nu For,,2.07484168,-29.29683966,4,B
-47 Ca ,,2.08529261,77.28145654,5,F
-49 Ca ,,2.09210494,76.11511028,5,G
-12Kap Ari,,2.10942012,22.64840404,5,A
-13Alp Ari,Hamal,2.11952383,23.46277743,2,K
-58 And,,2.1414294,37.85918337,4,A
-,,2.14460574,58.42360489,5,A
-,,2.15259206,-43.51647088,5,K
-14 Ari,,2.1570239,25.93997268,4,F
-4Bet Tri,,2.15903358,34.98739204,3,A
-15 Ari,,2.177095,19.50040351,5,M
-64 Cet,,2.18921181,8.57008262,5,G
-63 Cet,,2.19328932,-1.82534866,5,G
-6 Tri,,2.20620108,30.30321507,4,F
-,,2.21042005,24.16779356,5,K
-66 Cet,,2.21314533,-2.3934596,5,F
-17Eta Ari,,2.21332884,21.21098318,5,F
-Mu For,,2.21512779,-30.72384252,5,A
-65Xi 1Cet,,2.21666971,8.8467523,4,G
-,,2.2169312,-21.0002366,5,K
-19 Ari,,2.21756812,15.27991044,5,M
-60 And,,2.22037244,44.23168903,4,K
-,,2.22667214,51.06623342,5,G
-Pi 1Hyi,,2.23736186,-67.84155199,5,M
-,,2.24221158,-41.16670109,5,G
-Pi 2Hyi,,2.25793289,-67.74633515,5,K
-21 Ari,,2.26189844,25.0432553,5,F
-20 Ari,,2.26275994,25.78309877,5,F
-7 Tri,,2.26563753,33.35897589,5,A
-Phi Eri,,2.27513896,-51.51211145,3,B
-67 Cet,,2.28305263,-6.4218563,5,G
-8Del Tri,,2.28400489,34.22482985,4,G
-9Gam Tri,,2.28856547,33.84732099,4,A
-8 Per,,2.29995026,57.89980835,5,K
-,,2.30034063,1.75689975,5,G
-7 Per,,2.30127764,57.51632574,5,G
-22The Ari,,2.30209622,19.90116135,5,A
-10 Tri,,2.31583022,28.64267411,5,A
-62 And,,2.32134656,47.37998782,5,A
-,,2.33173519,-55.94484169,5,K
-63 And,,2.34949247,50.15154156,5,B
-Del Hyi,,2.36250639,-68.6594239,4,A
-69 Cet,,2.36573195,0.39569203,5,M
-,,2.36706682,-10.77733458,5,F
-,,2.36804921,-17.66202807,5,K
-70 Cet,,2.37011301,-0.88474037,5,F
-9 Per,,2.37262059,55.84565637,5,A
-Kap For,,2.37567248,-23.81631542,5,G
-,,2.38065612,41.39653472,5,F
-Kap Hyi,,2.38124281,-73.64582097,5,K
-,,2.38184843,-51.09228926,5,A
-64 And,,2.40691499,50.00663318,5,G
-24Xi Ari,,2.41362352,10.61059804,5,B
-Lam Hor,,2.41499846,-60.31162902,5,F
-65 And,,2.42705582,50.27866588,4,K
-72Rho Cet,,2.4325034,-12.290452,4,A
-,,2.43343779,-15.34111517,5,A
-,,2.44310114,-20.04286354,5,K
-Kap Eri,,2.44975138,-47.70382692,4,B
-11 Tri,,2.4577189,31.80134872,5,K
-Phi For,,2.46713611,-33.81105246,5,A
-73Xi 2Cet,,2.46931052,8.4600887,4,B
-12 Tri,,2.46944176,29.66953828,5,F
-13 Tri,,2.48014962,29.93158402,5,G
-Iot Ca ,,2.48444116,67.40238385,4,A
-,,2.50897615,25.23521368,5,F
-,,2.52502287,2.26720689,5,K
-Mu Hyi,,2.52781132,-79.10924959,5,G
-1Alp UMi,Polaris,2.52974312,89.26413805,1,F
-76Sig Cet,,2.53479923,-15.2443199,4,F
-14 Tri,,2.53503775,36.14723132,5,K
-75 Cet,,2.53595453,-1.03481751,5,G
-,,2.54796056,34.54245642,5,K
-Lam1For,,2.55195525,-34.64992327,5,K
-Ome For,,2.56408677,-28.2323401,4,B
-77 Cet,,2.57849712,-7.8592885,5,K
-,,2.59409508,37.3122905,5,K
-15 Tri,,2.59633263,34.68768289,5,M
-78Nu Cet,,2.59791361,5.59330163,4,G
-80 Cet,,2.60001891,-7.83145306,5,M
-,268 G. Cet,2.60106457,6.88336423,5,K
-Iot1For,,2.60257679,-30.04496366,5,G
-,,2.60975102,7.73007761,5,K
-31 Ari,,2.61048574,12.44784628,5,F
-,,2.61585531,38.73398283,5,F
-Lam2For,,2.61628357,-34.57734519,5,G
-Eta Hor,,2.6234069,-52.54308845,5,A
-,,2.62666855,65.74535775,5,K
-81 Cet,,2.62827153,-3.39606767,5,G
-,,2.63391336,72.81821481,5,G
-Iot2For,,2.63849879,-30.19388274,5,F
-32Nu Ari,,2.64694416,21.96144509,5,A
-82Del Cet,,2.65804119,0.3285168,4,B
-83Ep Cet,,2.65936992,-11.87158159,4,F
-Ep Hyi,,2.65978435,-68.2669476,4,B
-,,2.66331092,-42.89163328,4,A
-,,2.67013991,-9.45268375,5,F
-Zet Hor,,2.67766108,-54.54992422,5,F
-Iot Eri,,2.6777588,-39.85530905,4,K
-33 Ari,,2.67806479,27.06100903,5,A
-84 Cet,,2.68718634,-0.69534847,5,F
-,,2.69281459,-14.54941172,5,F
-,,2.70183099,-38.3837178,5,G
-12 Per,,2.7041469,40.19438688,4,F
-34Mu Ari,,2.70608961,20.0115769,5,A
-Iot Hor,,2.70921068,-50.80082665,5,G
-,,2.71651871,53.5261822,5,K
-11 Per,,2.71744518,55.10607111,5,B
-86Gam Cet,,2.72170126,3.23617162,3,A
-35 Ari,,2.72419735,27.70717078,4,B
-14 Per,,2.73476614,44.2970548,5,G
-89Pi Cet,,2.73537623,-13.85867594,4,B
-13The Per,,2.73657999,49.22866639,4,F
-37Omi Ari,,2.74249199,15.31189952,5,B
-,,2.74713058,67.82470926,5,A
-87Mu Cet,,2.7489926,10.11421979,4,F
-38 Ari,,2.74930761,12.44596709,5,A
-1Tau1Eri,,2.75166151,-18.57265077,4,F
-Gam Hor,,2.75762572,-63.70453152,5,G
-Zet Hyi,,2.75903683,-67.616724,4,A
-,,2.79656517,81.44866603,5,G
-39 Ari,,2.79845596,29.24742385,4,K
-40 Ari,,2.80890642,18.28387012,5,K
-,,2.81274148,25.18807322,5,A
-Nu Hor,,2.81704637,-62.80659207,5,A
-Bet For,,2.8181554,-32.40628403,4,G
-42Pi Ari,,2.8215438,17.46434448,5,B
-Gam2For,,2.83170863,-27.94203549,5,A
-41 Ari,,2.8330526,27.26079044,3,B
-Eta2For,,2.83742968,-35.84368582,5,K
-Nu Hyi,,2.84126023,-75.06688108,4,K
-16 Per,,2.84303172,38.31890838,4,F
-Eta3For,,2.84455664,-35.67571664,5,K
-15Eta Per,,2.84494243,55.89552955,3,K
-2Tau2Eri,,2.85065164,-21.0039789,4,K
-43Sig Ari,,2.85821331,15.08212726,5,B
-17 Per,,2.85856414,35.05989415,4,K
-,,2.86159789,46.84200204,5,G
-,,2.866319,68.88851683,5,F
-P i For,,2.89287589,-38.43708698,5,F
-,,2.89313026,-22.37612257,5,G
-20 Per,,2.8951606,38.33767914,5,F
-18Tau Per,,2.90429513,52.76248991,3,G
-45Rho2Ari,,2.93013966,18.33167607,5,M
-,,2.93242863,61.52106281,5,F
-,,2.9371468,8.38177807,5,F
-3Eta Eri,,2.94044549,-8.89760976,3,K
-46Rho3Ari,,2.94055065,18.02365076,5,F
-,,2.94373476,-3.71221461,5,A
-21 Per,,2.95480013,31.93429432,5,B
-4 Eri,,2.95658368,-23.8620767,5,A
-47 Ari,,2.96807643,20.66881016,5,F
-6 Eri,,2.96824664,-23.60613828,5,K
-The1Eri,,2.97103212,-40.30473491,2,A
-,,2.97835933,-2.78272383,5,A
-22Pi Per,,2.97934735,39.66282739,4,A
-Bet Hor,,2.979935,-64.07129717,4,A
-24 Per,,2.98436382,35.18311415,4,K
-48Ep Ari,,2.98687051,21.34044477,4,A
-Zet For,,2.99335152,-25.27433851,5,F
-,,2.99440778,41.03305347,5,K
-5 Eri,,2.99476734,-2.46490094,5,B
-91Lam Cet,,2.99524897,8.90740111,4,B
-,,2.99716183,47.22063875,5,G
-,,3.01224811,10.87047197,5,K
-,,3.01449556,52.35179769,5,B
-8Rho1Eri,,3.01943516,-7.66283629,5,K
-Ep For,,3.02706953,-28.09048221,5,G
-49 Ari,,3.03170844,26.46234187,5,A
-,,3.0322481,-9.96139327,5,G
-The Hyi,,3.03761036,-71.90249547,5,B
-92Alp Cet,Menkar,3.03799418,4.08992539,2,M
-93 Cet,,3.03958558,4.35287042,5,B
-11Tau3Eri,,3.03988697,-23.62433613,4,A
-9Rho2Eri,,3.04507202,-7.68546315,5,K
-,,3.04884491,-46.97504226,5,K
-Mu Hor,,3.06025103,-59.73761994,5,F
-10Rho3Eri,,3.07124367,-7.60089934,5,A
-23Gam Per,,3.07994173,53.50645031,2,G
-25Rho Per,,3.08624916,38.84053298,3,M
-52 Ari,,3.09074647,25.25519906,5,B
-,,3.09234047,56.7055481,4,K
-,,3.10220893,79.41851027,5,F
-,,3.10657987,13.18740263,5,K
-,,3.10930225,-6.08854227,5,M
-,,3.12194912,64.05760178,5,B
-,,3.125528,-78.98942329,5,F
-26Bet Per,Algol,3.13614714,40.9556512,2,B
-Iot Per,,3.1508009,49.61350009,4,G
-27Kap Per,,3.1582303,44.85788896,3,K
-55 Ari,,3.16020212,29.07711221,5,B
-,,3.17743759,11.87269252,5,B
-28Ome Per,,3.18816707,39.61157075,4,K
-57Del Ari,,3.19379712,19.72669777,4,K
-,,3.19523682,81.47071191,5,A
-,,3.19895514,74.39386878,4,A
-Alp For,,3.20118888,-28.98910623,3,F
-56 Ari,,3.20395516,27.25701296,5,B
-,,3.20713306,-44.41965395,5,F
-,,3.20732497,6.66088598,5,K
-,,3.20920552,-57.32158199,5,C
-94 Cet,,3.21286767,-1.19593294,5,F
-,,3.22329397,48.17699884,5,G
-58Zet Ari,,3.24836521,21.04462873,4,A
-,,3.25567989,30.55667481,5,A
-,,3.26332572,57.14062522,5,A
-13Zet Eri,,3.26389633,-8.8198405,4,A
-Iot Hyi,,3.26593279,-77.38860498,5,F
-,,3.27005684,50.93771066,5,G
-,,3.2764423,32.18421948,5,G
-,,3.29072278,-47.7517377,5,K
-Zet1Ret,,3.29568586,-62.57689893,5,G
-,,3.29603814,39.28341373,5,A
-30 Per,,3.29648106,44.02508193,5,B
-,,3.30069222,-28.797036,5,F
-Zet2Ret,,3.3030936,-62.50793537,5,G
-15 Eri,,3.30613767,-22.51114978,4,K
-95 Cet,,3.30618855,-0.93014105,5,K
-29 Per,,3.31047801,50.22223526,5,B
-,,3.31140901,-18.55964006,5,F
-,,3.31217331,34.2226737,4,K
-31 Per,,3.31878291,50.09502752,5,B
-96Kap1Cet,,3.32264969,3.36997055,4,G
-16Tau4Eri,,3.32526935,-21.7579421,3,M
-,,3.32636198,-24.1228468,5,M
-,82 G. Eri,3.33145134,-43.07154929,4,G
-59 Ari,,3.33217024,27.07130717,5,G
-,,3.33312687,65.65232717,4,B
-,,3.33877233,77.73490142,5,A
-,,3.33899063,29.04849835,4,K
-97Kap2Cet,,3.35188072,3.67568149,5,G
-61Tau1Ari,,3.35378081,21.14714057,5,B
-,,3.35667374,-23.63508924,5,G
-32 Per,,3.35739087,43.32965174,4,A
-,,3.36454772,49.07105892,5,F
-62 Ari,,3.36996958,27.60757659,5,G
-63Tau2Ari,,3.37924226,20.7421051,5,K
-,,3.38699344,49.2133301,5,B
-64 Ari,,3.40512911,24.72418789,5,K
-33Alp Per,Mirphak,3.40537459,49.86124281,1,F
-,,3.4082442,33.53601771,5,A
-,,3.41126703,64.58599618,5,M
-1Omi Tau,,3.413566,9.02906504,3,G
-,,3.42673707,-69.33659399,5,F
-,,3.43958881,-27.3176091,5,K
-2Xi Tau,,3.45281136,9.7327724,3,B
-Chi2For,,3.45926826,-35.68133899,5,K
-,,3.46693002,-11.28648689,5,K
-,,3.46751392,49.06293148,4,B
-,,3.4724111,33.80769703,5,A
-,,3.48119638,49.84844583,5,B
-,,3.48448178,59.94033461,4,B
-34 Per,,3.48945286,49.50901919,4,B
-Kap Ret,,3.48949623,-62.93843436,4,F
-,,3.4933396,-12.67474889,5,A
-,,3.49854055,58.87875244,4,A
-,,3.49866523,-42.63425261,5,A
-,,3.49970162,-78.35178497,5,G
-,,3.50006398,55.45183695,5,A
-4 Tau,,3.50679886,11.33648129,5,A
-35Sig Per,,3.50957839,47.99517199,4,K
-,,3.51024956,-47.3751741,5,A
-,,3.51025893,48.10365477,5,B
-17 Eri,,3.51029163,-5.07516332,4,B
-,,3.51260973,6.18874381,5,G
-,,3.51435624,-66.4897181,5,B
-5 Tau,,3.51454638,12.93668186,4,K
-,,3.53571692,48.02353391,5,B
-,,3.53880973,84.91136314,5,G
-36 Per,,3.54064003,46.05704336,5,F
-,,3.54297683,-50.37884857,5,K
-6 Tau,,3.54331386,9.37355768,5,B
-,,3.54445047,35.46172039,5,B
-18Ep Eri,,3.549006,-9.45830584,3,K
-,,3.55972843,39.89959026,5,A
-,,3.56086163,54.97486087,5,A
-19Tau5Eri,,3.56312442,-21.63281597,4,B
-7 Tau,,3.574062,24.46447543,5,A
-,,3.5993478,-11.19397792,5,G
-20 Eri,,3.60483116,-17.46704107,5,B
-37P i Per,,3.60815558,48.19270068,4,B
-,,3.61314132,0.58815498,5,G
-10 Tau,,3.61458859,0.40283316,4,F
-,,3.61824392,-40.27451075,4,K
-,,3.64145951,-7.39170945,5,G
-21 Eri,,3.65031269,-5.62570656,5,K
-12 Tau,,3.66420657,3.05684307,5,G
-22 Eri,,3.67731475,-5.21069726,5,B
-,,3.68551145,37.58026421,5,B
-,,3.70259638,63.21675891,5,S
-Del For,,3.70413865,-31.93839587,4,B
-13 Tau,,3.70526244,19.70028593,5,B
-40 Per,,3.70628987,33.96503899,4,B
-,,3.71187061,59.96938466,5,K
-,,3.71392279,-37.31334485,4,K
-39Del Per,,3.71541169,47.7876533,3,B
-23Del Eri,,3.72082113,-9.76519868,3,K
-,,3.72606623,-10.48561144,5,A
-Bet Ret,,3.73654302,-64.80709398,3,K
-38Omi Per,,3.73864623,32.28827325,3,B
-24 Eri,,3.74180777,-1.16307844,5,B
-,,3.74205467,36.46020384,5,A
-16 Tau,,3.74672281,24.28957712,5,B
-17 Tau,,3.7479232,24.1134484,3,B
-25 Eri,,3.74901737,-0.29671559,5,K
-18 Tau,,3.75270189,24.83937337,5,B
-41Nu Per,,3.75323428,42.57854437,3,F
-19 Tau,,3.75346725,24.46737879,4,B
-,,3.75441089,-47.35945424,5,K
-29 Tau,,3.76123067,6.05002905,5,B
-20 Tau,,3.76377586,24.36785796,3,B
-21 Tau,,3.76512885,24.55462128,5,B
-,,3.76645697,45.68194432,5,B
-,,3.76689324,67.20188088,5,F
-,,3.76731462,63.34506772,4,A
-26Pi Eri,,3.76902844,-12.1017353,4,M
-,,3.76926774,6.80365522,5,G
-23 Tau,,3.77210009,23.94846207,4,B
-Sig For,,3.77428437,-29.33816606,5,A
-27Tau6Eri,,3.78083028,-23.248438,4,F
-Gam Hyi,,3.78728653,-74.23924251,3,M
-25Eta Tau,Alcyone,3.79140671,24.10524193,2,B
-28Tau7Eri,,3.79433898,-23.87479582,5,A
-Rho For,,3.79889527,-30.16732063,5,G
-30 Tau,,3.80451445,11.14336637,5,B
-,,3.80577895,23.42136355,5,B
-,,3.80992305,-20.90293608,5,K
-,,3.80995081,-37.62012878,4,A
-,,3.81081008,0.22787124,5,K
-,,3.818923,43.96302293,5,A
-27 Tau,,3.81936977,24.05352412,3,B
-28 Tau,,3.81977891,24.13682565,5,B
-,,3.82047243,70.87120237,5,A
-,,3.82424469,-36.2001125,4,G
-,,3.82535706,65.52600645,4,M
-42 Per,,3.82575068,33.09138142,5,A
-,,3.82683922,63.29710438,5,A
-,,3.83456984,44.96792105,5,G
-,,3.83858744,25.57964862,5,A
-Gam Cam,,3.83929883,71.33236777,4,A
-,,3.86492121,34.3591292,5,B
-31 Tau,,3.86672901,6.53491424,5,B
-30 Eri,,3.87823723,-5.36124167,5,B
-,,3.88609957,17.32715595,5,F
-,,3.8925844,-46.8935886,5,K
-,,3.89407502,48.65056848,5,K
-,,3.8941456,-34.73229529,5,B
-33Tau8Eri,,3.89518971,-24.61221253,4,B
-,,3.89533125,57.97536931,5,A
-44Zet Per,,3.90219957,31.88365776,2,B
-32 Eri,,3.90485739,-2.95473348,4,G
-,,3.90643845,-40.357029,5,K
-,,3.92115938,-12.09905104,5,A
-,,3.93282163,47.87147012,5,B
-,,3.94130224,35.0809084,5,B
-43 Per,,3.94345438,50.69569169,5,F
-32 Tau,,3.94778688,22.47825021,5,F
-,,3.95230352,61.10891703,4,K
-,,3.95706542,63.07224944,4,B
-45Ep Per,,3.96422809,40.01027315,2,B
-34Gam Eri,,3.96714724,-13.50824471,2,M
-Del Ret,,3.97909374,-61.40015059,4,M
-,,3.98122812,-5.46952376,5,G
-46Xi Per,,3.98274992,35.79102701,3,O
-,,3.99170349,-12.57433214,5,K
-36Tau9Eri,,3.99874336,-24.01625677,4,A
-,,4.01128429,-30.49070974,5,A
-35Lam Tau,,4.01133906,12.49037571,3,B
-,,4.01352385,18.19406866,5,F
-Gam Ret,,4.01494584,-62.15936923,4,M
-Iot Ret,,4.0216864,-61.07905148,4,K
-35 Eri,,4.02556496,-1.54962625,5,B
-,,4.02948139,9.99801393,5,B
-,,4.04351575,-0.26831052,5,F
-38Nu Tau,,4.05260466,5.98930909,3,A
-40 Tau,,4.06238995,5.43563754,5,B
-,,4.06569585,8.19720135,5,F
-,,4.06938545,2.82725258,5,F
-36 Tau,,4.07268713,24.1060264,5,G
-,,4.072974,-12.79233884,5,K
-,,4.07421213,59.15550819,5,F
-37 Tau,,4.07823829,22.0820679,4,K
-39 Tau,,4.08893042,22.00922152,5,G
-,,4.09369552,-27.65203636,5,F
-,,4.10088065,68.67996526,5,K
-47Lam Per,,4.10973758,50.35135022,4,A
-41 Tau,,4.11011055,27.60002519,5,B
-42P i Tau,,4.11681038,29.00128762,5,F
-,,4.13316983,17.33992101,5,K
-50 Per,,4.14347081,38.04022796,5,F
-48 Per,,4.14435368,47.71259359,3,B
-,,4.15043351,13.39829829,5,B
-43Ome1Tau,,4.15275015,19.60929366,5,K
-,,4.15495452,-16.38587725,5,B
-,,4.16672884,86.62635165,5,F
-,,4.16744046,80.69867409,5,G
-37 Eri,,4.17292217,-6.92382327,5,G
-,,4.1799268,-8.81982097,5,G
-44 Tau,,4.18052249,26.48103948,5,F
-Del Hor,,4.18067583,-41.99374121,4,A
-,,4.18306167,33.5868138,5,K
-45 Tau,,4.18894325,5.52303505,5,F
-,,4.19338206,-20.35627812,5,A
-38Omi1Eri,,4.19775922,-6.8377787,4,F
-46 Tau,,4.22586282,7.7160341,5,F
-47 Tau,,4.23233081,9.26389844,4,G
-Alp Hor,,4.23335592,-42.29387294,3,K
-39 Eri,,4.23991476,-10.2558889,4,K
-Alp Ret,,4.24039753,-62.47397888,3,G
-,,4.24339945,10.01143911,5,B
-,,4.24681922,-62.19204942,5,K
-52 Per,,4.24814171,40.48372394,4,G
-51Mu Per,,4.24829381,48.40937312,4,G
-40Omi2Eri,,4.25489948,-7.64455846,4,K
-49Mu Tau,,4.25890144,8.89240989,4,B
-Gam Dor,,4.26708095,-51.48709578,4,F
-Ep Ret,,4.27474542,-59.30174841,4,K
-,,4.27864029,53.61180318,5,A
-,,4.28154112,61.85004125,5,B
-,,4.28557562,57.86047655,5,K
-50Ome2Tau,,4.28769059,20.57874033,4,A
-,,4.28867529,-6.47215975,5,G
-The Ret,,4.29451813,-63.25549171,5,B
-41Up 4Eri,,4.29822737,-33.79833145,3,B
-Del Men,,4.29977129,-80.21418106,5,K
-,,4.30404874,50.29563944,4,A
-51 Tau,,4.30642824,21.57937928,5,F
-,,4.32032839,50.04883763,5,A
-,,4.32129032,-44.26783026,5,K
-53 Tau,,4.32391081,21.14241058,5,B
-56 Tau,,4.32685749,21.77359174,5,A
-54Gam Tau,,4.32987052,15.62770031,3,G
-57 Tau,,4.33267633,14.03524954,5,F
-,,4.33653117,50.92095135,5,B
-,,4.33733814,41.80815345,5,K
-52Phi Tau,,4.33923187,27.35094069,4,K
-54 Per,,4.34018223,34.56674228,4,G
-58 Tau,,4.34340131,15.09550358,5,F
-,,4.34416588,-20.63959902,5,A
-,,4.34454581,65.14045287,5,G
-,,4.34479262,6.13090686,5,G
-,,4.34523107,-7.59249081,5,B
-Nu Men,,4.3494532,-81.58022679,5,F
-,,4.35751392,-0.09786658,5,K
-53 Per,,4.35920796,46.4989629,4,B
-,,4.36321752,60.73590167,5,M
-,,4.3643948,56.50630039,5,A
-Eta Ret,,4.36478215,-63.38681514,5,G
-60 Tau,,4.3676249,14.07725051,5,A
-,,4.37298084,20.82141842,5,M
-59Chi Tau,,4.37636956,25.62935771,5,B
-61Del1Tau,,4.38222981,17.5425843,3,G
-,,4.38490582,-24.89211883,5,K
-63 Tau,,4.39027732,16.77732694,5,A
-42Xi Eri,,4.39468898,-3.74533244,5,A
-66 Tau,,4.39773267,9.46098377,5,A
-43 Eri,,4.40060148,-34.01698632,3,K
-64Del2Tau,,4.4015816,17.44421161,4,A
-55 Per,,4.40809465,34.1308408,5,B
-56 Per,,4.41039558,33.95988843,5,F
-,,4.41584991,19.0420923,5,F
-,,4.41815558,-61.23824628,5,K
-65Kap1Tau,,4.42280521,22.29398098,4,A
-67Kap2Tau,,4.42359573,22.2001124,5,A
-68Del3Tau,,4.42481039,17.92798917,4,A
-,,4.4350715,31.43920664,5,K
-69Up Tau,,4.43844298,22.81369394,4,A
-71 Tau,,4.43907547,15.6183462,4,F
-73Pi Tau,,4.44343799,14.71385764,4,G
-,,4.45080407,80.82421018,5,G
-72 Tau,,4.45484658,22.99636881,5,B
-,,4.45799167,11.21233208,5,B
-,,4.46278973,-62.52121428,5,K
-,,4.4668671,21.62000558,5,A
-,,4.47035983,83.80776284,5,B
-76 Tau,,4.47314908,14.74102599,5,F
-75 Tau,,4.47399031,16.35962902,4,K
-,,4.47558591,1.38087416,5,B
-77The1Tau,,4.4762312,15.96221721,3,G
-74Ep Tau,,4.47692591,19.18052092,3,K
-,,4.477504,-19.45859808,5,K
-78The2Tau,,4.47768747,15.8709468,3,A
-79 Tau,,4.48058362,13.04763905,5,A
-,,4.48525702,-13.04836725,5,B
-,,4.50016631,83.34013144,5,G
-80 Tau,,4.50237023,15.63789864,5,F
-,,4.50932474,16.19407556,4,A
-83 Tau,,4.51036071,13.72445018,5,F
-81 Tau,,4.51078518,15.69193829,5,A
-,,4.5112026,-35.65358006,5,K
-Del Cae,,4.51391602,-44.95374351,5,B
-45 Eri,,4.53129707,-0.04399115,4,K
-1 Cam,,4.53384527,53.91084467,5,B
-,,4.54376189,-3.20950026,5,B
-,,4.55850598,72.52882555,5,A
-50Up 1Eri,,4.55850819,-29.76583186,4,K
-,,4.55947216,-62.82363051,5,K
-86Rho Tau,,4.56412643,14.84448749,4,A
-46 Eri,,4.5652027,-6.73889608,5,B
-Alp Dor,,4.56658845,-55.04500559,3,A
-,,4.56896556,5.56863495,5,A
-47 Eri,,4.56990048,-8.23135939,5,M
-,,4.56994214,-8.96998497,5,K
-,,4.57722002,28.96120368,5,B
-52Up 2Eri,,4.59251991,-30.56231049,3,G
-88 Tau,,4.59423154,10.16091706,4,A
-87Alp Tau,Aldebaran,4.59866679,16.50976164,0,K
-48Nu Eri,,4.60531682,-3.352448,3,B
-,,4.60673125,64.26162001,5,A
-58 Per,,4.61150934,41.26485467,4,G
-,,4.61268823,-62.07698129,5,M
-,,4.62046562,0.99832711,5,B
-51 Eri,,4.62669628,-2.47339212,5,F
-89 Tau,,4.63593787,16.03338888,5,F
-90 Tau,,4.63594491,12.51087423,4,A
-53 Eri,,4.63635303,-14.303587,3,K
-,,4.6377329,20.68474222,5,B
-,,4.64822048,-12.12307828,4,A
-,,4.65169524,7.87098753,5,A
-91Sig1Tau,,4.6525548,15.80003442,5,A
-92Sig2Tau,,4.65456995,15.9180242,4,A
-,,4.65545502,-14.35888729,5,K
-3 Cam,,4.66519087,53.07957406,5,K
-2 Cam,,4.66612044,53.47323647,5,A
-93 Tau,,4.66761618,12.19764088,5,B
-,,4.66856839,-24.48241131,5,G
-54 Eri,,4.67402609,-19.67125686,4,M
-Alp Cae,,4.67606197,-41.86357034,4,F
-,,4.68881548,28.61506693,5,A
-,,4.69002482,48.30098864,5,A
-,,4.6972436,38.28042013,5,G
-Bet Cae,,4.7009573,-37.14476616,5,F
-94Tau Tau,,4.7040843,22.95697545,4,B
-Lam Pic,,4.71290459,-50.48141805,5,K
-59 Per,,4.71508302,43.36526451,5,A
-Mu Men,,4.71776299,-70.93111187,5,B
-,,4.71925383,-30.76539538,5,K
-,,4.72266623,49.97382624,5,B
-55 Eri,,4.72631328,-8.79424587,5,F
-56 Eri,,4.73481056,-8.50357425,5,B
-,,4.7355416,-18.66654311,5,A
-Kap Dor,,4.73919976,-59.73284052,5,A
-,,4.74049154,11.14616933,5,F
-,,4.75115296,-21.28334113,5,K
-57Mu Eri,,4.7583725,-3.25462465,4,B
-,,4.7671391,11.70560822,5,A
-,,4.77132883,18.73486237,5,K
-,,4.77901993,40.31268034,5,G
-58 Eri,,4.79339229,-16.93486728,5,G
-4 Cam,,4.80006019,56.75753919,5,A
-59 Eri,,4.80903573,-16.32958093,5,F
-,,4.81005621,-5.67343877,5,F
-,,4.81396198,75.94154357,5,A
-,,4.82023194,31.43762493,5,K
-,,4.82196093,32.58826794,5,A
-1Pi 3Ori,,4.83059395,6.96124744,3,F
-,,4.83185181,37.48818131,4,K
-60 Eri,,4.83655253,-16.21728342,5,K
-2Pi 2Ori,,4.84353396,8.90025258,4,A
-Iot Pic,,4.84871841,-53.46172112,5,F
-,,4.85260104,48.74075831,5,G
-3Pi 4Ori,,4.853435,5.60510146,3,B
-97 Tau,,4.85622592,18.83994085,5,A
-,,4.85783297,-34.906232,5,A
-,,4.86810263,63.50564999,5,M
-4Omi1Ori,,4.87554547,14.25077828,4,M
-2 Aur,,4.877222,36.70319636,4,K
-,,4.87974652,27.89757233,5,F
-,,4.87993485,42.58662591,5,A
-61Ome Eri,,4.88157788,-5.45275591,4,A
-5 Ori,,4.88965424,2.50826491,5,M
-9Alp Cam,,4.90083628,66.34266029,4,O
-8Pi 5Ori,,4.90419323,2.44067149,3,B
-6 Ori,,4.9130296,11.42597336,5,A
-,,4.91327608,7.77916325,5,K
-,,4.91408569,0.46717846,5,B
-7Pi 1Ori,,4.91491781,10.15114511,4,A
-5 Cam,,4.91753938,55.25912955,5,B
-,,4.91856131,-16.74064825,5,G
-Eta Men,,4.91976102,-74.93700232,5,K
-,,4.92184502,-16.41785525,5,G
-,,4.9305989,15.04030639,5,B
-,,4.93529912,52.86971717,5,A
-9Omi2Ori,,4.93953363,13.51457755,4,K
-62 Eri,,4.94005256,-5.17135066,5,B
-3Iot Aur,,4.94989339,33.16613537,2,K
-7 Cam,,4.95478345,53.75208289,4,A
-,,4.95620761,17.1537068,5,K
-99 Tau,,4.96351265,23.94858492,5,G
-98 Tau,,4.96927121,25.05052129,5,A
-10Pi 6Ori,,4.97580635,1.71403506,4,K
-Xi Men,,4.98082977,-82.47052255,5,G
-,,4.98373273,-16.37633681,5,F
-4Ome Aur,,4.98760428,37.8904824,4,A
-63 Eri,,4.99734468,-10.26299266,5,G
-64 Eri,,4.99880918,-12.5372045,4,F
-5 Aur,,5.00509646,39.39470389,5,F
-,,5.0057547,81.19402107,5,K
-,,5.02376607,-20.05188078,4,B
-65P i Eri,,5.0239847,-7.17397802,4,B
-,,5.03065283,0.72216704,5,K
-7Ep Aur,,5.032815,43.82331397,3,F
-,,5.03604611,-26.27484321,5,K
-,,5.0396692,-31.77154017,5,K
-8Zet Aur,,5.04130001,41.07588953,3,K
-Bet Men,,5.04527913,-71.31432608,5,G
-1 Lep,,5.04581794,-22.79508768,5,K
-,,5.04593612,-4.2101255,5,K
-Eta1Pic,,5.04686816,-49.15147328,5,F
-102Iot Tau,,5.05158446,21.5900617,4,A
-10Bet Cam,,5.05697146,60.44228144,4,G
-,,5.06479316,-24.38805735,5,A
-Gam1Cae,,5.07341993,-35.48287057,4,K
-11 Ori,,5.07614954,15.40418059,4,A
-Eta2Pic,,5.08276459,-49.57783014,5,M
-,,5.0878303,-26.15223983,5,K
-2Ep Lep,,5.09101447,-22.37085673,3,K
-Zet Dor,,5.09185843,-57.47298928,4,F
-11 Cam,,5.10234992,58.97239085,5,B
-10Eta Aur,,5.10857473,41.23464074,3,B
-9 Aur,,5.11129396,51.59814314,4,F
-66 Eri,,5.11267966,-4.65516319,5,B
-,,5.12357833,-12.49100914,5,G
-104 Tau,,5.12407668,18.64500711,4,G
-,,5.1261142,-63.39957018,5,M
-106 Tau,,5.13011904,20.41845485,5,A
-67Bet Eri,,5.13084276,-5.08626282,2,A
-14 Ori,,5.13135365,8.49857348,5,A
-105 Tau,,5.13206523,21.70483596,5,B
-103 Tau,,5.13517285,24.26518765,5,B
-,,5.13894108,-8.66527389,5,B
-68 Eri,,5.14546298,-4.45624625,5,F
-69Lam Eri,,5.15243971,-8.75407607,4,B
-16 Ori,,5.15544563,9.82959768,5,A
-15 Ori,,5.16165538,15.59727157,4,F
-,,5.16251537,28.03060835,5,A
-,,5.17857524,46.96243511,5,F
-,,5.188647,-2.49078592,5,F
-,,5.1896812,-11.84922715,5,M
-,,5.19487817,16.04565766,5,K
-,,5.19593066,1.03705465,5,F
-3Iot Lep,,5.20496871,-11.86914287,4,B
-,,5.20623596,73.94674435,5,B
-,,5.21336561,-6.05711381,5,G
-5Mu Lep,,5.2155203,-16.20542901,3,B
-4Kap Lep,,5.22052361,-12.94128833,4,B
-17Rho Ori,,5.22152211,2.86125346,4,K
-11Mu Aur,,5.22381432,38.48467394,4,A
-The Dor,,5.22928523,-67.18534976,4,K
-,,5.24134386,-35.97703069,5,G
-19Bet Ori,Rigel,5.24229756,-8.20163919,0,B
-,,5.24557009,5.15612934,5,K
-,,5.25676816,-26.94343723,5,B
-14 Aur,,5.25678102,32.6875699,5,A
-18 Ori,,5.26781645,11.34136954,5,A
-,,5.27170902,34.31221188,5,O
-13Alp Aur,Capella,5.27813767,45.99902927,0,M
-Omi Col,,5.29139537,-34.89438961,4,K
-20Tau Ori,,5.29344415,-6.84438616,3,B
-,,5.29451284,-13.51970778,5,G
-16 Aur,,5.30293003,33.37200411,4,K
-,,5.3036813,73.26813649,5,A
-,,5.3043563,42.79218517,5,M
-,,5.31395441,-18.13019946,5,G
-,,5.31667203,33.74846576,5,A
-15Lam Aur,,5.31891066,40.10066732,4,G
-21 Ori,,5.31978599,2.59593601,5,F
-109 Tau,,5.32127494,22.09669104,4,G
-Zet Pic,,5.32280938,-50.60652008,5,F
-,,5.32324642,-27.3688642,5,A
-6Lam Lep,,5.32625721,-13.17677698,4,B
-7Nu Lep,,5.3330641,-12.31560456,5,B
-19 Aur,,5.33358917,33.95806265,5,A
-,,5.33741214,41.08633916,5,A
-,,5.33961515,62.65371666,5,K
-,,5.34080881,-21.23973932,4,A
-,,5.35352454,29.56988462,5,A
-,,5.35884547,-0.41649397,5,B
-,,5.36210043,8.42856342,5,B
-22 Ori,,5.36270768,-0.38246922,4,B
-,,5.36285213,-24.77294996,5,A
-20Rho Aur,,5.36344588,41.80466344,5,B
-,,5.37604924,79.23075701,5,F
-23 Ori,,5.38055592,3.54444809,4,B
-,,5.38064569,41.02925326,5,A
-,,5.38847536,-8.41558811,5,B
-,,5.39000126,-39.67843559,5,M
-16 Cam,,5.39106291,57.54453138,5,A
-8 Lep,,5.39170995,-13.92734983,5,B
-,,5.39508572,-0.15981294,5,B
-29 Ori,,5.39912122,-7.80795569,4,G
-111 Tau,,5.40703064,17.38355205,5,F
-,,5.40790794,-16.97574213,5,A
-28Eta Ori,,5.40794918,-2.39713844,3,B
-27 Ori,,5.40803085,-0.89166902,5,K
-,,5.41070182,31.14316298,5,B
-21Sig Aur,,5.4108728,37.38537514,5,K
-25P i1Ori,,5.4124518,1.84644611,4,B
-,,5.41715061,-10.3288454,5,K
-24Gam Ori,Bellatrix,5.41885227,6.34973451,1,B
-,,5.43328417,-19.69535296,5,F
-112Bet Tau,Alnath,5.43819386,28.60787346,1,B
-Lam Dor,,5.43868804,-58.91259871,5,G
-,,5.4468898,34.39182774,5,A
-30P i2Ori,,5.4472856,3.09567718,4,B
-,,5.45147722,-40.94377328,5,A
-,,5.45229799,30.20861412,5,B
-115 Tau,,5.45280243,17.96226766,5,B
-114 Tau,,5.4605789,21.93698219,4,B
-24Phi Aur,,5.46080204,34.47598643,5,K
-116 Tau,,5.46266829,15.87410386,5,B
-117 Tau,,5.46711126,17.23924182,5,M
-9Bet Lep,Nihal,5.47075731,-20.75923214,2,G
-,,5.47092413,-37.2309313,5,A
-118 Tau,,5.48791465,25.15030596,5,B
-,,5.48991712,-3.44637074,5,K
-31 Ori,,5.49555043,-1.09217557,4,K
-,,5.49854807,1.78926104,5,B
-,,5.50262829,-47.07733403,5,G
-17 Cam,,5.50283601,63.06723206,5,M
-,,5.50727036,15.3605429,5,A
-32 Ori,,5.51306886,5.94821792,4,B
-,,5.51351377,41.462078,5,K
-10 Lep,,5.51878434,-20.86355455,5,A
-Ep Col,,5.5202043,-35.47043592,3,K
-33 Ori,,5.52070329,3.2921351,5,B
-,,5.52666346,-45.92540473,5,K
-Gam Men,,5.53129495,-76.3416634,5,K
-36Up Ori,,5.53218341,-7.30152625,4,B
-34Del Ori,,5.53344437,-0.2990934,2,O
-119 Tau,,5.53687534,18.59424525,4,M
-,,5.53726239,17.05815445,5,B
-,,5.54482068,-1.59183293,5,B
-25Chi Aur,,5.54546505,32.1920314,4,B
-11Alp Lep,Arneb,5.54550386,-17.82229227,2,F
-,,5.54760468,-38.51334582,5,K
-,,5.54986797,-64.22751422,5,G
-,,5.55203233,-35.13930773,5,K
-,,5.55873525,-1.15607162,5,B
-120 Tau,,5.55878604,18.54023092,5,B
-Bet Dor,,5.5604212,-62.48985585,3,F
-35 Ori,,5.56507922,14.30559209,5,B
-,,5.56779322,-1.47020476,5,K
-38 Ori,,5.57133058,3.76693355,5,A
-,,5.57910622,-73.74136684,5,M
-37Phi1Ori,,5.58034384,9.48958528,4,B
-,,5.58361285,-6.00926927,5,B
-,,5.5840781,-6.00202867,4,B
-39Lam Ori,,5.58563269,9.93416294,3,O
-,,5.58701077,10.24010204,5,B
-,,5.58762632,-33.08000909,5,K
-41The1Ori,,5.58772859,-5.38731536,4,O
-41The1Ori,,5.58790724,-5.38969624,5,O
-43The2Ori,,5.58969439,-5.41606331,4,O
-42 Ori,,5.58976712,-4.83834045,4,B
-44Iot Ori,,5.59055031,-5.90989984,2,O
-121 Tau,,5.59086681,24.03963793,5,B
-45 Ori,,5.5943014,-4.8560862,5,F
-46Ep Ori,Alnilam,5.60355904,-1.20191725,1,B
-,,5.60978467,54.42868426,5,M
-,,5.60991487,-6.06475248,5,B
-40Phi2Ori,,5.61509185,9.291412,4,G
-122 Tau,,5.61769711,17.0404091,5,F
-,,5.6178754,11.03504389,5,K
-Pi Men,,5.61910906,-80.4716745,5,G
-,,5.6191217,26.92452823,5,B
-123Zet Tau,,5.62741229,21.14259299,2,B
-Nu 2Col,,5.62906752,-28.68979391,5,F
-,,5.63364232,7.54145541,5,B
-,,5.64388131,-6.57395768,5,B
-26 Aur,,5.64391654,30.49244147,5,A
-,,5.64542408,-40.70735801,5,B
-48Sig Ori,,5.64576814,-2.60006791,3,O
-49 Ori,,5.64808105,-7.21270844,4,A
-47Ome Ori,,5.65309608,4.12146667,4,B
-,,5.65508694,29.21523028,5,B
-,,5.65865367,-3.56470944,5,A
-Alp Col,,5.66081665,-34.07404941,2,B
-125 Tau,,5.66227573,25.89714891,5,B
-,,5.66384763,-32.62913912,5,G
-50Zet Ori,Alnitak,5.67931244,-1.94257841,1,O
-,,5.68075438,-1.12878569,4,B
-,,5.68488567,0.33768602,5,F
-126 Tau,,5.68825428,16.53418318,4,B
-12 Lep,,5.70387732,-22.37373687,5,A
-,,5.7042197,-34.66793677,5,B
-,,5.70734675,65.6977014,5,K
-51 Ori,,5.70796232,1.47466498,4,K
-,,5.71497438,-6.79631491,5,F
-,,5.72268302,-18.55744324,5,A
-13Gam Lep,,5.74110416,-22.44748663,3,F
-Del Dor,,5.74622751,-65.7355408,4,A
-27Omi Aur,,5.76501355,49.82628283,5,A
-Mu Col,,5.76663692,-32.30637997,5,B
-,,5.77426834,-46.59722012,5,K
-26 Cam,,5.77510262,56.11571824,5,A
-,,5.77637741,1.16853796,5,G
-,,5.78115401,9.52249963,5,G
-14Zet Lep,,5.78259715,-14.82194717,3,A
-131 Tau,,5.78698598,14.48842452,5,A
-Bet Pic,,5.7880787,-51.06671329,3,A
-130 Tau,,5.79061039,17.7291527,5,F
-133 Tau,,5.79525134,13.89963175,5,B
-53Kap Ori,Saiph,5.79594109,-9.66960186,2,B
-52 Ori,,5.8000644,6.4542102,5,A
-,,5.80969563,-4.09408727,5,G
-132 Tau,,5.81693318,24.56755473,4,G
-29Tau Aur,,5.81957208,39.18113322,4,G
-134 Tau,,5.82581763,12.65136584,4,B
-,,5.82682079,-14.48354987,5,G
-Gam Pic,,5.83043799,-56.1664886,4,K
-,,5.83153042,-22.97192372,5,A
-Ep Dor,,5.83154263,-66.9012309,5,B
-,,5.83407686,9.87122224,5,G
-,,5.8369612,4.42349901,5,K
-Kap Men,,5.83799981,-79.36152292,5,B
-135 Tau,,5.84136209,14.30569894,5,G
-,,5.84167372,2.02471682,5,G
-,,5.84811626,-52.1086873,5,G
-Bet Col,,5.84932022,-35.76929225,3,K
-,,5.8494755,27.96783335,5,G
-31Up Aur,,5.85066951,37.30568175,4,M
-15Del Lep,,5.85532022,-20.87751376,3,G
-55 Ori,,5.85610649,-7.51800251,5,B
-32Nu Aur,,5.85816462,39.14847936,3,K
-,,5.86881406,-9.04197853,5,A
-,,5.87227279,-57.15600008,5,F
-137 Tau,,5.87286171,14.17179382,5,B
-,,5.8731692,19.86785634,5,B
-56 Ori,,5.87401187,1.8551579,4,K
-,,5.87587847,-37.63099079,5,K
-Lam Col,,5.88524565,-33.8014395,4,B
-136 Tau,,5.88878987,27.61228536,4,A
-,,5.90163891,-63.09102096,4,K
-54Chi1Ori,,5.9064122,20.27641498,4,G
-,,5.91210708,-11.77426082,5,K
-,,5.91223289,0.96861499,5,K
-,,5.91391901,-52.63607272,5,F
-30Xi Aur,,5.91410718,55.7069049,4,A
-,,5.91458165,-39.95790952,5,M
-57 Ori,,5.91574626,19.74962409,5,B
-31 Cam,,5.91606253,59.88841219,5,A
-,,5.91639455,31.70193276,5,A
-58Alp Ori,Betelgeuse,5.91952477,7.40703634,0,M
-Xi Col,,5.92496954,-37.12060931,4,K
-,,5.92504319,-4.61649597,5,K
-,,5.93727674,-22.84005515,5,K
-Sig Col,,5.93915078,-31.38245487,5,F
-16Eta Lep,,5.94008841,-14.16803805,3,F
-,,5.94112099,9.50941963,5,A
-,,5.94705207,11.52119572,5,K
-Gam Col,,5.95894774,-35.28330688,4,B
-139 Tau,,5.96657158,25.95391597,4,B
-59 Ori,,5.97345532,1.83712742,5,A
-,,5.97709907,-44.03458558,5,G
-60 Ori,,5.98043916,0.55297359,5,A
-,,5.981456,12.80825741,5,K
-2 Mon,,5.9845299,-9.55813955,5,A
-Eta Col,,5.98577514,-42.81510761,3,K
-,,5.98938437,49.9245461,5,G
-33Del Aur,,5.99209731,54.28498197,3,K
-34Bet Aur,,5.99215817,44.94743492,1,A
-37The Aur,,5.99534393,37.21276409,2,A
-35Pi Aur,,5.99891705,45.93675346,4,M
-,,6.00092927,-3.07407681,4,K
-,,6.01366609,-51.21655276,5,A
-36 Aur,,6.01626631,47.90197432,5,B
-,,6.0211928,-33.91177131,5,K
-,,6.02862575,48.95946915,5,K
-3 Mon,,6.03067383,-10.59793918,4,B
-61Mu Ori,,6.03971954,9.64736756,4,A
-,,6.05432252,-26.28475048,5,K
-64 Ori,,6.05760007,19.69061033,5,B
-62Chi2Ori,,6.06532876,20.13845865,4,B
-1 Gem,,6.06867126,23.26363207,4,G
-,,6.07041764,-6.7089502,5,B
-,,6.07229903,-32.17272393,5,B
-,,6.07782417,-45.07954967,5,F
-63 Ori,,6.08282986,5.41997005,5,G
-66 Ori,,6.08287775,4.15867686,5,G
-17 Lep,,6.08309238,-16.48442713,4,A
-39 Aur,,6.08428337,42.9819855,5,F
-,,6.09083877,-10.24265912,5,F
-,,6.09088025,-35.51368651,5,A
-,,6.10153657,-29.75852227,5,A
-18The Lep,,6.10259278,-14.93528629,4,A
-Eta1Dor,,6.10260062,-66.03968885,5,A
-,,6.10891755,-23.11077641,5,A
-40 Aur,,6.10974713,38.48277233,5,A
-,,6.11076119,-4.1938248,5,B
-,,6.11597694,-21.81229045,5,M
-,,6.11760078,-62.15441128,5,K
-,,6.11768569,-34.31202171,5,B
-The Col,,6.12545336,-37.25292114,5,B
-67Nu Ori,,6.12620051,14.76852318,4,B
-19 Lep,,6.1282306,-19.16600403,5,M
-Pi 2Col,,6.13135211,-42.1540013,5,A
-Nu Dor,,6.14565114,-68.84345717,5,B
-,,6.14940758,-22.42728352,5,A
-,,6.14941789,2.49972675,5,A
-,,6.15901154,22.19027415,5,K
-,,6.1595927,-14.58469045,5,K
-3 Gem,,6.16221816,23.11346966,5,B
-,,6.16330733,-22.77449062,5,F
-37 Cam,,6.1663874,58.93564864,5,G
-,,6.16956109,-40.35396993,5,M
-Alp Men,,6.17061203,-74.7525279,5,G
-Del Pic,,6.17164253,-54.96866057,4,B
-,,6.17630178,-27.15420421,5,K
-Eta2Dor,,6.18750418,-65.58970507,5,M
-5 Gem,,6.192307,24.42037914,5,K
-41 Aur,,6.19349404,48.71112468,5,A
-,,6.19772671,-6.55028276,5,B
-70Xi Ori,,6.1989991,14.20881425,4,B
-68 Ori,,6.20037193,19.79057155,5,B
-69 Ori,,6.20091003,16.13044684,4,B
-,,6.20559166,32.69338941,5,M
-36 Cam,,6.21418132,65.71849922,5,K
-,,6.23173457,-3.74142288,5,G
-,,6.24127361,17.90637842,5,A
-,,6.24352962,-4.56846315,5,B
-71 Ori,,6.24748218,19.15688949,5,F
-5Gam Mon,,6.24759346,-6.27472737,3,K
-7Eta Gem,,6.2479713,22.50682376,3,M
-,,6.25233364,-20.27226037,5,K
-,,6.25234927,13.85107261,5,B
-,,6.25491968,-18.47701325,5,K
-44Kap Aur,,6.25631571,29.49871224,4,G
-72 Ori,,6.25697971,16.14320591,5,B
-,,6.25823884,-4.91463574,5,A
-,,6.25954368,-0.51165873,5,F
-40 Cam,,6.26125215,59.99903422,5,K
-,,6.26246633,-13.71838696,5,B
-73 Ori,,6.26249062,12.55107067,5,B
-,,6.26880456,-16.61800865,5,B
-74 Ori,,6.27404723,12.2717103,5,F
-Kap Col,,6.27587093,-35.14073157,4,G
-,,6.283675,-37.7376495,5,K
-75 Ori,,6.28517131,9.94253598,5,A
-,,6.28599235,-37.25344284,5,A
-,,6.28784682,5.09969578,5,G
-,,6.29492571,-16.81591325,5,K
-1 Lyn,,6.29856443,61.51529221,5,M
-,,6.30381437,-19.96699189,5,B
-,,6.31405011,-9.38996323,5,K
-,,6.3141055,69.3200343,4,A
-,,6.31638259,-20.92562047,5,B
-2 Lyn,,6.32705299,59.01090518,4,A
-,,6.32804258,-34.39659537,5,B
-7 Mon,,6.32855581,-7.82291023,5,B
-,,6.33322344,-2.94449028,4,M
-,,6.33450772,14.65116899,5,K
-1Zet CMa,,6.33855198,-30.06337656,3,B
-,,6.34339979,-34.14419295,5,B
-,,6.35686605,-11.77324372,5,B
-45 Aur,,6.3628078,53.45239515,5,F
-Del Col,,6.36856809,-33.43627251,3,G
-Pi 1Dor,,6.37728616,-69.98412773,5,K
-2Bet CMa,,6.37832983,-17.95591658,1,B
-Nu Pic,,6.38218574,-56.3699207,5,A
-13Mu Gem,,6.3826642,22.51385027,2,M
-8Ep Mon,,6.39613824,4.59283881,4,A
-,,6.39886496,-25.57752992,5,K
-Alp Car,Canopus,6.39919184,-52.69571799,-1,F
-,,6.40028304,-36.70789674,5,K
-,,6.40287589,-11.53000982,5,K
-,,6.40385537,-60.28139797,5,A
-46P i1Aur,,6.41497277,49.28789903,4,K
-,,6.42122414,-0.94535265,5,F
-Pi 2Dor,,6.42462528,-69.69078672,5,G
-,,6.42879318,-48.17684903,5,B
-,,6.44051768,56.2850437,5,A
-,,6.44433085,-1.50726444,5,A
-5 Lyn,,6.44691089,58.41741346,5,K
-,,6.4511488,-58.00210529,5,K
-,,6.45382213,0.29926632,5,K
-,,6.45433068,-0.27598684,5,K
-,,6.45568784,2.90825624,5,G
-10 Mon,,6.46599222,-4.76214677,5,B
-Lam CMa,,6.46950484,-32.58012947,4,B
-48 Aur,,6.47613575,30.49306993,5,F
-,,6.47705815,-17.46603282,5,K
-,,6.47756791,-32.37129738,5,B
-11Bet Mon,,6.48029836,-7.03305042,3,B
-18Nu Gem,,6.48271957,20.2121672,4,B
-,,6.49126103,-56.85284448,5,K
-,,6.49697967,-50.23895882,5,F
-47 Aur,,6.5008278,46.68553561,5,K
-,,6.50313343,-10.08150589,5,K
-,,6.51285923,-27.7695891,5,B
-6 Lyn,,6.51309481,58.16345682,5,K
-,,6.5203048,-35.25886111,5,G
-,,6.52172758,-51.82620719,5,F
-,,6.52306102,-12.39190922,5,K
-,,6.53008012,11.5443434,5,A
-,,6.53057429,-8.15818115,5,K
-4Xi 1CMa,,6.53093562,-23.41843727,4,B
-Mu Pic,,6.53286434,-58.75384073,5,B
-12 Mon,,6.53867391,4.85599529,5,K
-,,6.53925919,-37.69651376,5,G
-,,6.53975824,-5.86871833,5,F
-,,6.54088967,32.45494059,5,A
-,,6.54416067,-32.03045378,5,B
-13 Mon,,6.5483971,7.33297921,4,A
-,,6.56004803,14.15537477,5,K
-,,6.56053354,-1.22011054,5,B
-,,6.56374759,-36.23226731,5,K
-,,6.57648027,-32.71626113,5,B
-,,6.58294093,-52.97563454,4,B
-5Xi 2CMa,,6.5842722,-22.96483318,4,A
-49 Aur,,6.58668383,28.02234399,5,A
-,,6.5877304,0.89022204,5,B
-,,6.58822124,9.98835403,5,K
-,,6.59006229,-36.77993005,5,A
-6Nu 1CMa,,6.60634935,-18.65994454,5,G
-,,6.60912158,38.4455521,5,C
-,,6.60981395,-5.21110831,5,B
-7Nu 2CMa,,6.61138858,-19.25570928,3,K
-,,6.61294455,-13.32097688,5,K
-,,6.62051162,-36.99068388,5,B
-11 Lyn,,6.62733303,56.85750718,5,A
-8 Lyn,,6.62823339,61.48190031,5,G
-24Gam Gem,Alhena,6.62852842,16.39941482,1,A
-Nu Pup,,6.62935324,-43.19592394,3,B
-,,6.62987325,-32.33989066,5,K
-8Nu 3CMa,,6.6315072,-18.23745713,4,K
-53 Aur,,6.63972756,28.98439129,5,B
-,,6.6437868,-48.22023129,5,G
-51 Aur,,6.64432061,39.3911153,5,K
-52P i3Aur,,6.64699627,39.90258791,5,B
-,,6.65464344,-14.14574673,4,K
-50P i2Aur,,6.6555075,42.48901214,4,K
-,,6.66185157,-30.47002424,5,K
-,,6.66325704,12.98280259,5,A
-Zet Men,,6.66747463,-80.81372235,5,A
-,,6.67467701,77.9957971,5,K
-,,6.6756233,71.74875988,5,K
-15 Mon,,6.6829614,9.89576021,4,O
-,,6.68484585,0.4953354,5,B
-,,6.69899062,-9.16742468,5,M
-26 Gem,,6.70675626,17.64551421,5,A
-55P i4Aur,,6.71805786,44.52452351,5,K
-,,6.72740163,3.93253483,5,B
-27Ep Gem,,6.73220272,25.13115531,3,A
-30 Gem,,6.73313723,13.22814319,4,K
-10 CMa,,6.74124138,-31.07053787,5,B
-28 Gem,,6.74596242,28.97098912,5,K
-9Alp CMa,Sirius,6.7525694,-16.71314306,-2,A
-31Xi Gem,,6.75484265,12.89605513,3,F
-,,6.75641119,-31.79292174,5,F
-,,6.7586641,-30.94899076,5,B
-,,6.76492257,-52.40971351,5,K
-,,6.76650033,-14.79608441,5,A
-12 Lyn,,6.77059796,59.44169108,4,A
-,,6.77068598,79.56627808,5,F
-16 Mon,,6.77567188,8.5871691,5,B
-,,6.7775064,-10.10736196,5,B
-56P i5Aur,,6.77898306,43.57702483,5,G
-13 Lyn,,6.78041513,57.1692705,5,K
-11 CMa,,6.78085938,-14.42599569,5,B
-,,6.78130382,-51.2654494,5,K
-,,6.78853053,-55.54004918,5,K
-17 Mon,,6.78884564,8.03728277,4,K
-,,6.78927966,-37.92967246,5,B
-,,6.79367322,-8.99850109,5,M
-57P i6Aur,,6.79432798,48.78946087,5,K
-18 Mon,,6.79768245,2.41218914,4,K
-Alp Pic,,6.80320475,-61.94197988,3,A
-,,6.80339787,55.70444959,5,F
-,,6.8053022,-1.31883901,5,F
-,,6.81603841,-15.14471091,5,B
-,,6.82122615,-2.27202783,5,B
-,,6.82814957,32.60687904,5,K
-33 Gem,,6.8305126,16.20291318,5,B
-13Kap CMa,,6.83068485,-32.50848752,3,B
-,,6.83092114,-53.62249221,4,G
-,,6.83183806,-46.61547007,5,F
-Tau Pup,,6.83226023,-50.61439973,2,K
-,,6.83938142,-17.08455798,5,K
-,,6.8398194,-31.70609416,5,B
-35 Gem,,6.84041661,13.41319516,5,K
-58P i7Aur,,6.84610087,41.78156548,4,K
-,,6.84717193,-0.54042726,5,F
-,,6.8478748,-34.36732059,4,K
-42 Cam,,6.84919114,67.57192306,5,B
-Iot Vol,,6.85749419,-70.96347336,5,B
-36 Gem,,6.85918048,21.76123162,5,A
-,,6.86179161,-36.230126,5,A
-,,6.86666992,23.60174256,5,K
-34The Gem,,6.87981668,33.96136985,3,A
-,,6.88041315,8.38044841,5,F
-14 Lyn,,6.88473935,59.44865494,5,G
-,,6.88856748,-19.03277877,5,A
-15 CMa,,6.89247515,-20.22426366,4,B
-43 Cam,,6.89506697,68.88829173,5,B
-16Omi1CMa,,6.90220967,-24.18422296,3,K
-14The CMa,,6.90318908,-12.03859273,4,K
-,,6.90684916,-1.1269609,5,A
-38 Gem,,6.91072051,13.17801628,4,F
-17 CMa,,6.91742728,-20.40485094,5,A
-37 Gem,,6.92185853,25.37563643,5,G
-19Pi CMa,,6.92705526,-20.13659348,4,F
-,,6.92970275,-22.9414495,5,B
-18Mu CMa,,6.93517966,-14.04344644,5,B
-20Iot CMa,,6.93561842,-17.05424675,4,B
-,,6.93777476,-48.72116448,4,M
-,,6.94051187,9.95659959,5,B
-P i9Aur,,6.94223899,46.27398621,5,B
-The Men,,6.9429112,-79.42018913,5,B
-,,6.94892476,46.70553754,5,K
-,,6.95014906,33.68103629,5,G
-15 Lyn,,6.9546107,58.42305973,4,G
-,,6.95943584,-24.63105594,5,F
-16 Lyn,,6.96031249,45.09410202,4,A
-,,6.97364048,-34.11172588,5,B
-,,6.97663983,-25.41416976,5,B
-21Ep CMa,Adhara,6.9770963,-28.97208931,1,B
-,,6.98250745,3.60236429,5,G
-,,6.99738276,-67.91701197,5,K
-,,7.00106888,76.97744152,4,K
-41 Gem,,7.00439567,16.07900547,5,K
-,,7.00660018,-8.40682482,5,B
-,,7.01430699,-51.4026336,5,M
-,,7.01831923,-25.21564581,5,B
-,,7.02260994,70.80833421,5,K
-22Sig CMa,,7.02865325,-27.93484165,3,K
-,,7.03233138,-5.72208135,5,M
-,,7.03819177,15.33606893,5,K
-42Ome Gem,,7.04021795,24.21544652,5,G
-,,7.04042268,17.7554551,5,M
-,,7.04258178,16.674465,5,M
-19 Mon,,7.04854986,-4.23923814,4,B
-24Omi2CMa,,7.05040932,-23.83330131,3,B
-,,7.05419704,-59.17813539,5,B
-,,7.05498037,9.13834729,5,A
-,,7.05843178,29.33909345,5,G
-,,7.06057587,10.95184577,5,K
-23Gam CMa,,7.06263699,-15.63325876,4,B
-,,7.06490443,-49.58425759,4,A
-,,7.06594454,-43.60898397,5,G
-,,7.06744664,-42.33745341,5,A
-,,7.06812503,-5.323971,5,K
-43Zet Gem,,7.06848205,20.57029939,4,G
-,,7.07175527,-56.7497313,5,A
-,,7.09416694,9.18583678,5,M
-,,7.10323065,34.47408682,5,G
-,,7.11132463,-11.29401875,5,B
-,,7.11863497,-40.8932956,5,B
-,,7.12036138,-51.9683879,5,K
-,,7.12289203,34.00936165,5,K
-,,7.12294141,-23.84073435,5,B
-,,7.13041248,7.47129491,5,K
-45 Gem,,7.13945621,15.93092642,5,G
-25Del CMa,,7.13985723,-26.39320776,1,F
-Gam1Vol,,7.14509485,-70.49734046,5,F
-Gam2Vol,,7.14578458,-70.49919435,3,G
-,,7.14752121,-39.65567374,4,B
-,,7.16195205,-25.23104384,5,B
-20 Mon,,7.17046719,-4.23763568,4,K
-,,7.17203518,-27.4915246,5,G
-,,7.17986076,-48.93257706,5,K
-46Tau Gem,,7.18566433,30.24528065,4,K
-47 Gem,,7.18974445,26.85666896,5,A
-21 Mon,,7.18989767,-0.30190562,5,F
-63 Aur,,7.19424789,39.32054373,4,K
-,,7.1948919,-20.88311563,5,A
-22Del Mon,,7.19773899,-0.49278056,4,A
-26 CMa,,7.20339396,-25.94260947,5,B
-,,7.20439475,-40.49877843,5,A
-,,7.20717502,-36.54439953,5,B
-48 Gem,,7.20732997,24.12870291,5,F
-,,7.20937248,-46.75956448,4,F
-,,7.21866539,-11.2513606,5,K
-,,7.22038085,-45.18252474,4,A
-51 Gem,,7.22285194,16.15906775,5,K
-,,7.22316482,51.42871249,5,M
-,,7.22333599,-22.67414589,5,K
-,,7.22561969,-44.64052957,4,M
-,,7.236353,-3.90175914,5,K
-27 CMa,,7.23756011,-26.35251617,4,B
-,,7.23764516,-9.94753938,5,K
-,,7.23890712,3.11142128,5,K
-,,7.24240287,12.11586588,5,G
-,,7.24392901,-48.27192832,4,B
-52 Gem,,7.24498461,24.88520186,5,M
-,,7.24611825,-46.84967225,5,A
-28Ome CMa,,7.24685045,-26.77268601,4,B
-,,7.24755227,-27.03792355,5,K
-,,7.24920843,-41.42641755,5,B
-,,7.25585562,-30.68647453,5,B
-,,7.25590767,-52.49951781,5,K
-,,7.26094893,7.97773709,5,M
-,,7.26200664,-10.58360286,5,K
-,,7.26392034,47.24041621,5,G
-18 Lyn,,7.26528329,59.63809569,5,K
-53 Gem,,7.26588205,27.89742666,5,M
-,,7.27071676,-15.58565483,5,A
-,,7.27096444,-46.77461104,5,K
-,,7.2755158,-38.31894033,5,B
-,,7.27638928,-27.88127313,4,M
-,,7.27689913,-23.31560155,4,K
-,,7.28039325,-36.59264813,5,B
-Del Vol,,7.28050856,-67.95717248,3,F
-Pi Pup,,7.28571226,-37.09748689,2,K
-,,7.29270007,52.13111463,5,K
-64 Aur,,7.30061804,40.88336298,5,A
-,,7.30118251,-43.98677255,5,B
-54Lam Gem,,7.30155744,16.54047526,3,A
-,,7.30511135,-36.7339666,4,B
-,,7.30888306,49.46474619,5,A
-,,7.30931107,-39.21030701,5,A
-,,7.31060908,-36.74274935,5,A
-29 CMa,,7.31121689,-24.55870761,4,O
-30Tau CMa,,7.31180218,-24.95438447,4,O
-,,7.31424419,-26.58587077,5,G
-,,7.32288114,2.74071985,5,G
-,,7.32446705,-16.39491266,5,F
-,,7.32989154,7.14309133,5,F
-55Del Gem,,7.33538592,21.98233941,3,F
-,,7.33929377,-52.3118825,5,F
-,,7.34411524,-52.08592527,5,B
-,,7.34952552,-14.36048847,5,G
-,,7.35120567,-25.89167605,5,M
-,,7.35487205,45.22817039,5,A
-56 Gem,,7.36580538,20.44371648,5,M
-65 Aur,,7.36741345,36.76063782,5,K
-,,7.36763264,0.17712559,5,B
-,,7.37042501,-19.01658444,4,B
-,,7.37372137,-5.98280807,5,F
-19 Lyn,,7.38112846,55.28146955,5,B
-,,7.3835286,-31.92379021,5,B
-57 Gem,,7.39126503,25.05060041,5,G
-,,7.39138192,-27.83428348,5,K
-,,7.39219465,-32.20207858,5,B
-31Eta CMa,,7.40158473,-29.30311979,2,B
-66 Aur,,7.402353,40.67244066,5,K
-59 Gem,,7.40929001,27.63781901,5,F
-,,7.41116399,-16.20142374,5,B
-,,7.41218561,-31.80892621,5,K
-,,7.41585522,51.88734396,5,K
-1 CMi,,7.41616364,11.66955984,5,A
-,,7.41901036,-13.75197556,5,F
-,,7.42368706,-25.2177645,5,B
-Ep Men,,7.42727457,-79.09420265,5,K
-2Ep CMi,,7.42747186,9.27611835,4,G
-60Iot Gem,,7.42879891,27.79828561,3,G
-,,7.43088993,-5.77495377,5,C
-,,7.43940435,-51.01849597,5,K
-,,7.44513096,-34.14070792,5,B
-21 Lyn,,7.44523915,49.21164489,4,A
-61 Gem,,7.44898028,20.25758199,5,F
-,,7.44985753,-23.08603328,5,B
-,,7.45221988,-17.86486511,5,F
-3Bet CMi,,7.45252008,8.28940893,2,B
-,,7.46192737,-22.85919757,5,B
-63 Gem,,7.46233179,21.44554856,5,F
-,,7.46435072,-11.55686168,5,B
-,,7.46643538,-29.1559018,5,B
-5Eta CMi,,7.46724352,6.94207694,5,F
-4Gam CMi,,7.46939707,8.92550376,4,K
-,,7.48087767,-31.84841156,5,B
-,,7.48096806,48.18403758,5,B
-,,7.48470035,-31.45622952,5,B
-,,7.48491972,-38.8121049,5,B
-62Rho Gem,,7.48516936,31.78407932,4,F
-Sig Pup,,7.48718842,-43.30189129,3,K
-,,7.48852093,-1.90530704,5,K
-64 Gem,,7.48901759,28.1184038,5,A
-,,7.48947522,-10.326657,5,K
-,,7.49044722,-7.55147431,5,F
-6 CMi,,7.49660613,12.00661101,4,K
-65 Gem,,7.49688365,27.91619925,5,K
-,,7.49761504,-23.02429924,4,A
-22 Lyn,,7.49884905,49.67266207,5,F
-,,7.49992915,-52.65128759,5,K
-,,7.50858507,-54.39943169,5,M
-,,7.51183613,-30.96228313,4,G
-,,7.5146387,68.465727,5,K
-,,7.51791117,82.41156871,4,M
-,,7.53010303,17.08622915,5,K
-,,7.53494921,-8.88091851,5,F
-7Del1CMi,,7.53498615,1.91448227,5,F
-,,7.552716,-24.71078019,5,A
-8Del2CMi,,7.5532431,3.29027472,5,F
-,,7.55543049,-19.41235409,5,K
-68 Gem,,7.5601386,15.82669239,5,A
-,,7.5633244,-14.52390109,4,A
-,,7.56418041,-36.33840157,5,B
-,,7.5675572,-22.29618077,4,F
-9Del3CMi,,7.57108168,3.37173632,5,A
-,,7.57185383,-23.47366319,5,F
-,,7.57634042,-27.01244868,5,K
-66Alp Gem,Castor,7.57666793,31.88863645,1,A
-,,7.58578252,30.9609101,5,K
-,,7.58970478,-28.36927798,4,B
-,,7.59436116,-52.53380809,4,K
-69Up Gem,,7.59871452,26.89600343,4,K
-,,7.60108265,-14.49277322,5,B
-,,7.60879396,46.18036783,5,M
-,,7.60965836,5.86210427,5,G
-,,7.61139965,-19.70235325,5,B
-,,7.61220159,-48.8301697,5,B
-,,7.61306854,55.75515475,5,K
-25 Mon,,7.62131404,-4.1110225,5,F
-,,7.6228111,-34.96857044,4,B
-,,7.63163296,48.7739115,5,A
-,,7.63834649,-25.36478805,4,B
-,,7.63839214,-48.60144811,5,F
-70 Gem,,7.64245443,35.04848403,5,K
-,,7.64552896,-36.49684165,5,B
-,,7.64718924,-26.8038924,3,B
-71Omi Gem,,7.65276566,34.58463287,4,F
-10Alp CMi,Procyon,7.65514946,5.22750767,0,F
-,,7.65759832,-38.3080602,4,B
-74 Gem,,7.65794198,17.67451551,5,M
-,,7.66217485,-38.1393281,5,B
-,,7.6633007,-38.26067563,5,B
-,,7.66610882,-37.57941274,5,B
-,,7.67042535,-19.66089028,5,K
-,,7.6707562,38.34456671,5,M
-,,7.67311445,-15.26385208,4,K
-,,7.67530319,87.02015634,5,M
-,,7.68292301,23.01855829,5,K
-,,7.68679041,48.13185153,5,K
-26Alp Mon,,7.68746574,-9.55108315,3,K
-,,7.68773003,-38.53357185,5,B
-,,7.69309907,3.6248275,5,A
-Zet Vol,,7.69699889,-72.60613528,3,K
-,,7.6977412,13.48051383,5,M
-,,7.7008942,14.20852972,5,M
-,,7.71337621,-26.35125398,5,K
-,,7.71587806,-45.17177284,5,G
-24 Lyn,,7.7167938,58.71048707,4,A
-,,7.71999948,-36.050124,5,B
-75Sig Gem,,7.72185703,28.8840717,4,K
-1 Pup,,7.72566545,-28.41095714,4,K
-,,7.72828548,-40.93332961,5,K
-3 Pup,,7.73013114,-28.9548352,3,A
-,,7.73449659,50.43386115,5,A
-76 Gem,,7.7352565,25.78421056,5,K
-,,7.73603982,-36.06271326,5,F
-77Kap Gem,,7.74079682,24.39812929,3,G
-,,7.74282574,-24.67409186,5,B
-,,7.74283313,-37.94295545,5,B
-,,7.75425108,-37.96859848,3,K
-78Bet Gem,Pollux,7.75537884,28.02631031,1,K
-,,7.75977164,-34.17655092,5,G
-4 Pup,,7.76579909,-14.56382026,5,F
-,,7.76726707,-6.77228458,5,K
-81 Gem,,7.76874825,18.51016877,4,K
-,,7.76959964,-37.93370008,5,B
-11 CMi,,7.77117196,10.76831128,5,A
-,,7.77757202,37.51736326,5,M
-51 Cam,,7.77778864,65.45563092,5,K
-,,7.78682179,-22.51953536,5,B
-,,7.79027771,-38.51115599,5,B
-80Pi Gem,,7.79176019,33.41576665,5,M
-,,7.79208606,-46.60850937,5,B
-5 Pup,,7.79910614,-12.19289276,5,F
-Omi Pup,,7.80143747,-25.93718054,4,B
-,,7.80562435,-47.07753199,4,K
-,,7.81713793,-24.91224336,5,G
-,,7.81853397,-56.41038485,5,G
-,,7.82024067,-46.85774089,5,B
-,,7.82026279,-60.28402896,5,F
-,,7.82063861,-46.37322729,4,B
-,,7.82073704,-35.24330796,5,B
-7Xi Pup,,7.82157187,-24.85978401,3,G
-,,7.82650792,-33.28895425,5,M
-,,7.82805443,-66.19597303,5,B
-6 Pup,,7.82810226,-17.228123,5,K
-,,7.83627125,-9.1834416,5,K
-,,7.83996795,-50.5093647,5,K
-13Zet CMi,,7.86166577,1.76687765,5,B
-,,7.8619594,-21.17374245,5,K
-9 Pup,,7.86287326,-13.89719057,5,G
-,,7.87029041,-40.57579889,3,G
-,,7.87105642,-34.70602121,5,F
-10 Pup,,7.87191203,-14.84617833,5,F
-,,7.87492958,-54.36718432,5,B
-,,7.87740369,-38.86282206,4,B
-,,7.87996418,-5.42818693,5,F
-,,7.88430953,-36.36377387,5,K
-,,7.8843451,-49.61307949,4,B
-,,7.88837857,-48.10294824,4,B
-83Phi Gem,,7.89162124,26.76585858,4,A
-,,7.90305869,-35.87729557,5,B
-26 Lyn,,7.91187184,47.56459225,5,K
-,,7.91483127,-57.30288338,5,K
-,,7.92539934,8.8630571,5,F
-85 Gem,,7.92775116,19.88406657,5,A
-,,7.93851505,-60.52646168,5,K
-Chi Car,,7.94631715,-52.98240062,3,B
-11 Pup,,7.94765507,-22.88014849,4,F
-,,7.94939145,-43.50042396,5,B
-1 Cnc,,7.94985247,15.79038246,5,K
-,,7.95511959,-44.10987569,5,B
-,,7.96114215,-30.33458703,4,A
-,,7.96286238,-60.30336068,5,G
-,,7.96437042,-45.57774475,5,K
-,,7.97067886,-49.24492865,4,B
-14 CMi,,7.9724299,2.22452544,5,K
-,,7.98071025,-60.82448838,5,B
-,,7.98383653,-45.21586305,5,B
-12 Pup,,7.9849229,-23.31040264,5,G
-,,7.99122921,-39.29683773,5,F
-,,7.99376285,-60.58708857,5,M
-27 Mon,,7.99560686,-3.67957835,4,K
-,,7.99779309,-18.39914242,4,A
-,,8.00326559,73.9180101,5,K
-,,8.005547,-63.56750271,4,B
-3 Cnc,,8.01314269,17.30870968,5,K
-,,8.01387883,-54.15129599,5,B
-2Ome1Cnc,,8.01551728,25.39282019,5,G
-28 Mon,,8.0203601,-1.39242418,4,K
-,,8.02053037,4.87977849,5,A
-,,8.02242985,59.04731836,5,F
-5 Cnc,,8.02507938,16.45532309,5,B
-,,8.02709107,-37.28373201,5,A
-,,8.0377648,2.33431429,4,K
-,,8.04577469,-41.30986539,5,A
-,,8.05115829,-32.46357097,5,K
-Chi Gem,,8.05863865,27.79441794,4,K
-Zet Pup,,8.0597417,-40.00318846,2,O
-,,8.07116484,-32.67484684,5,M
-,,8.07844653,-50.59039998,5,G
-,,8.07977394,79.47974268,5,A
-,,8.08436296,-53.1079136,5,K
-8 Cnc,,8.08458605,13.11837053,5,A
-9Mu 1Cnc,,8.10511097,22.63551163,5,M
-,,8.11120663,-45.26604229,5,K
-,,8.12167948,-20.55434589,5,A
-15Rho Pup,,8.12575059,-24.30443677,2,F
-10Mu 2Cnc,,8.12940034,21.58197937,5,G
-Ep Vol,,8.13217799,-68.61713647,4,B
-27 Lyn,,8.14097319,51.50667575,4,A
-29Zet Mon,,8.14323824,-2.98377649,4,G
-,,8.15023843,-61.3017058,4,F
-16 Pup,,8.15045651,-19.24500094,4,B
-,,8.15264291,-48.68440955,5,B
-,,8.15792775,-16.24890678,5,B
-Gam2Vel,,8.15887648,-47.33661177,1,W
-,,8.15934215,-56.08547484,5,A
-,,8.15997862,-44.12277919,5,B
-,,8.16198877,-47.9372165,5,B
-,,8.16772214,58.2484227,5,K
-14P i Cnc,,8.17422999,25.50817993,5,G
-18 Pup,,8.17777126,-13.79934746,5,F
-,,8.18633462,-48.46200365,5,B
-19 Pup,,8.18786703,-12.92701835,4,K
-,,8.18930562,-39.61855304,4,K
-,,8.19052689,-42.98728888,4,A
-,,8.19250826,-7.77247623,5,G
-,,8.19999201,-46.64436989,5,F
-16Zet2Cnc,,8.20353023,17.64813756,4,G
-,,8.21355238,68.47405416,5,G
-15 Cnc,,8.21913181,29.6565862,5,B
-20 Pup,,8.22221528,-15.78821451,4,G
-,,8.22486734,-35.89954225,4,B
-,,8.22617405,-50.19606698,5,M
-,,8.22671202,-46.9916532,5,B
-,,8.23061069,56.45231827,5,G
-,,8.23286613,-36.32229977,5,B
-,,8.23413531,-40.34773028,4,K
-,,8.23702481,-35.49007215,5,K
-,,8.2399662,-45.83454842,5,B
-,,8.25443165,-62.91561677,5,A
-17Bet Cnc,,8.2752634,9.18566295,3,K
-29 Lyn,,8.29733867,59.57112846,5,A
-,,8.30482986,-35.45170517,5,K
-,,8.30521599,-65.6132455,5,K
-,,8.30660563,-12.62976955,5,K
-Alp Cha,,8.30868523,-76.91998251,4,F
-,,8.30927588,-36.65953286,4,A
-,,8.32143991,62.50713912,5,G
-,,8.32561454,75.75686931,5,G
-Kap1Vol,,8.33027654,-71.51499632,5,B
-Kap2Vol,,8.33348864,-71.50546247,5,A
-18Chi Cnc,,8.33440897,27.21862138,5,F
-,,8.33914792,20.74783186,5,K
-30 Lyn,,8.34055477,57.74324466,5,F
-19Lam Cnc,,8.34226369,24.02235699,5,B
-The Cha,,8.34413553,-77.4845764,4,K
-,,8.35336165,-57.97323049,5,B
-,,8.35584704,-36.48419365,5,B
-,,8.35589566,-20.07901245,5,A
-,,8.35639843,-33.05437199,4,K
-,,8.36518401,-17.58630046,5,K
-Eta Vol,,8.36792276,-73.40005893,5,A
-Ep Car,,8.37524019,-59.50953829,1,K
-,,8.37547184,-48.49039742,4,B
-,,8.38053878,-26.34823475,5,F
-31 Lyn,,8.38059169,43.18837233,4,K
-,,8.38169478,-7.54313579,5,M
-,,8.38199439,-52.12377702,5,A
-20 Cnc,,8.38940876,18.33228008,5,A
-,,8.39681365,53.21995142,5,A
-,,8.40566167,-80.91471955,5,G
-1 Hya,,8.40976055,-3.75117744,5,F
-,,8.41533236,-23.15381698,5,A
-,,8.41589321,-42.76985034,5,B
-,,8.41771049,-24.04626227,5,K
-,,8.425372,-51.72745683,5,B
-,,8.42654174,2.10224935,5,K
-,,8.42768636,-3.90636482,3,A
-Bet Vol,,8.42895729,-66.13652042,3,K
-,,8.43100468,-64.60065452,5,G
-,,8.43108974,-42.15310407,5,B
-,,8.43188534,7.56452889,5,G
-,,8.43211016,-14.9297554,5,A
-2 Hya,,8.44089683,-3.98729976,5,A
-22Phi1Cnc,,8.44103554,27.89386239,5,K
-,,8.44500192,-12.53453988,5,K
-27 Cnc,,8.44554162,12.65486252,5,M
-,,8.4546632,-70.09359517,5,A
-,,8.46018077,-53.08853976,5,A
-,,8.46650711,-35.11378822,5,B
-29 Cnc,,8.47704103,14.21085416,5,A
-,,8.48465504,-47.92893948,5,B
-,,8.4854369,-44.16043155,5,B
-,,8.49096888,-44.72482773,5,B
-,,8.49601503,-46.33172799,5,B
-,,8.49619276,67.29741477,5,G
-1Omi UMa,,8.50445282,60.7184311,3,G
-,,8.50794993,-32.15928753,5,K
-30Up 1Cnc,,8.52515867,24.08121618,5,F
-,,8.52526222,-19.57743956,5,B
-31The Cnc,,8.52660191,18.09455771,5,K
-,,8.53471469,-53.21196039,5,G
-33Eta Cnc,,8.54514576,20.44127049,5,K
-,,8.54862659,38.01678677,5,K
-,,8.56067967,-38.8488327,5,B
-,,8.56207964,4.75701524,5,G
-,,8.56712143,-2.15160482,5,A
-2 UMa,,8.57671869,65.14527349,5,A
-,,8.5787802,-49.94424627,5,K
-33 Lyn,,8.57886209,36.41971903,5,A
-,,8.58766105,-58.22476298,5,B
-,,8.58879117,-58.0092947,4,K
-3 Hya,,8.5911698,-7.98233083,5,A
-,,8.59131163,-26.84353277,5,A
-,,8.59751493,6.62053814,5,F
-,,8.59778884,-50.96967696,5,B
-36 Cnc,,8.61827397,9.65559645,5,A
-,,8.62190182,-62.85341217,5,K
-,,8.62740038,-42.98910371,4,A
-4Del Hya,,8.62761315,5.70379868,4,A
-Eta Pyx,,8.63115789,-26.25497008,5,A
-,,8.63861052,32.80202805,5,K
-,,8.6395165,53.4015752,5,G
-5Sig Hya,,8.64595799,3.34147477,4,K
-The Vol,,8.65142451,-70.38665235,5,A
-,,8.65224163,-22.6629058,5,G
-3Pi 1UMa,,8.65326174,65.02069298,5,G
-,,8.65490309,52.71169928,5,K
-,,8.65662967,-53.43982462,5,B
-Zet Pyx,,8.66180298,-29.56086189,4,G
-,,8.66600626,-53.05478181,5,B
-6 Hya,,8.66708871,-12.47537441,4,K
-Bet Pyx,,8.66837126,-35.30830091,3,G
-4Pi 2UMa,,8.67024961,64.32787175,4,K
-,,8.67152468,-53.01545412,5,B
-,,8.67155811,-52.92197259,3,B
-,,8.67200475,-40.2638933,5,A
-,,8.67646012,-45.19111481,5,M
-,,8.67695421,-59.76101468,4,B
-,,8.67710424,-46.64875492,3,F
-34 Lyn,,8.68362445,45.83378521,5,G
-,,8.6848123,-48.922689,5,B
-,,8.68698335,-47.31714129,4,A
-Eta Cha,,8.6887782,-78.96342637,5,B
-9 Hya,,8.69537054,-15.94314865,4,K
-,,8.69914264,-45.4107261,5,B
-,,8.7044993,-48.099099,5,B
-,,8.70528195,-53.10011485,5,B
-,,8.70705844,-53.11404062,4,B
-45 Cnc,,8.72009312,12.6808708,5,A
-7Eta Hya,,8.72041287,3.39866539,4,B
-43Gam Cnc,,8.72144808,21.46859609,4,A
-Alp Pyx,,8.72654096,-33.18641133,3,B
-,,8.72785444,-49.82281081,5,B
-,,8.72788341,-7.23372781,4,G
-,,8.73999055,-42.64932331,4,G
-47Del Cnc,,8.7447528,18.15486399,3,K
-Del Vel,,8.7450548,-54.70856797,1,A
-49 Cnc,,8.74584572,10.08171256,5,A
-,,8.74775914,-37.1472599,5,B
-,,8.76534296,-79.50457035,5,K
-,,8.7671263,-46.0415392,3,A
-,,8.76734788,-2.04876829,5,K
-12 Hya,,8.77292429,-13.54770494,4,G
-,,8.77515309,-45.91251639,5,B
-48Iot Cnc,,8.7782873,28.76000509,4,G
-,,8.77848866,-56.76979718,4,B
-11Ep Hya,,8.77962395,6.41890691,3,G
-50 Cnc,,8.78223805,12.11007629,5,A
-,,8.78750212,-1.89705972,5,A
-,,8.78856901,-46.15542775,5,F
-13Rho Hya,,8.8072169,5.83788486,4,A
-14 Hya,,8.8227049,-3.44297063,5,B
-,,8.82754634,-40.32015599,5,A
-,,8.82990231,-45.30790977,4,A
-,,8.8309725,-32.78040797,5,G
-,,8.83395601,-29.46301021,5,G
-Gam Pyx,,8.84222536,-27.71005869,4,K
-,,8.84262884,-46.52919614,5,B
-,,8.84296687,-66.79322494,5,F
-15 Hya,,8.85956659,-7.17721266,5,A
-,,8.86014785,-57.63361532,5,B
-35 Lyn,,8.8657895,43.72649196,5,K
-,,8.86945852,42.00288543,5,K
-,,8.86993821,45.3129001,5,K
-51Sig1Cnc,,8.87628452,32.47412331,5,A
-55Rho1Cnc,,8.87670358,28.33138843,5,G
-,,8.87739363,-48.35909798,5,B
-,,8.8800057,-38.72413106,5,K
-5 UMa,,8.88960274,61.96221364,5,F
-,,8.89685248,-60.35393124,5,B
-,,8.8973891,-47.52071984,5,A
-57 Cnc,,8.90408464,30.57917723,5,G
-,,8.91746157,-60.64471195,3,B
-,,8.91993255,-54.96554657,5,F
-,,8.92011641,-18.24120659,5,K
-16Zet Hya,,8.92324579,5.9455277,3,G
-Del Pyx,,8.92542099,-27.68162589,4,A
-58Rho2Cnc,,8.92769133,27.92756265,5,G
-60 Cnc,,8.93209891,11.62605826,5,K
-,,8.93868834,-52.72351071,4,B
-,,8.94182728,40.20156718,5,F
-,,8.94281443,-16.70868242,5,K
-6 UMa,,8.94374632,64.60403054,5,G
-Zet Oct,,8.94496757,-85.66323432,5,F
-,,8.94723811,45.63175477,5,K
-59Sig2Cnc,,8.94906509,32.91058931,5,A
-,,8.94956307,-59.22935883,4,B
-62Omi1Cnc,,8.95414248,15.32271727,5,A
-63Omi2Cnc,,8.95976751,15.58123453,5,F
-,,8.96543693,-48.57293357,5,G
-65Alp Cnc,,8.97477693,11.85777198,4,A
-,,8.9788291,-16.13324587,5,F
-,,8.9812295,-47.23482313,5,A
-9Iot UMa,,8.98689965,48.04234956,3,A
-,,8.99010582,-59.08439697,5,F
-64Sig3Cnc,,8.99241237,32.41864339,5,G
-,,9.00151114,-41.25373789,4,F
-,,9.01076451,41.78344401,3,F
-,,9.0127075,-60.96384715,5,G
-,,9.01902431,-68.68391841,5,M
-,,9.02246539,-41.86429036,5,B
-66 Cnc,,9.02336923,32.25229474,5,A
-,,9.0290481,-52.18871825,5,A
-,,9.03278206,-0.48284175,5,K
-Alp Vol,,9.04077745,-66.39584369,4,A
-8Rho UMa,,9.04242386,67.62957486,4,M
-69Nu Cnc,,9.04562973,24.45293256,5,A
-,,9.04578414,7.29826333,5,K
-12Kap UMa,,9.06043299,47.15665934,3,A
-,,9.06677857,54.28387681,5,A
-,,9.0692557,-47.09771376,3,K
-,,9.08578619,-72.60269387,4,F
-,,9.09002957,48.53035841,5,F
-,,9.09399501,-70.53852074,4,B
-18Ome Hya,,9.09954939,5.09234249,4,K
-,,9.10883001,38.45225024,4,G
-76Kap Cnc,,9.12911787,10.66821521,5,B
-Lam Vel,,9.13327141,-43.43262406,2,K
-72Tau Cnc,,9.13335317,29.65422729,5,G
-Kap Pyx,,9.13412701,-25.85853691,4,K
-11Sig1UMa,,9.13987031,66.87333335,5,K
-19 Hya,,9.14505334,-8.58951324,5,B
-75 Cnc,,9.14650583,26.63001213,5,G
-,,9.14755686,33.88249742,5,F
-15 UMa,,9.1478849,51.60472728,4,A
-,,9.15118016,-18.32859911,5,A
-,,9.15319507,-12.35770752,5,G
-77Xi Cnc,,9.15598164,22.04544728,5,K
-20 Hya,,9.15988328,-8.78763061,5,G
-Ep Pyx,,9.16566987,-30.36528248,5,A
-13Sig2UMa,,9.17320171,67.13423886,4,F
-14Tau UMa,,9.18192532,63.51378087,4,A
-,,9.18280702,-58.96693014,3,B
-,,9.18455627,-44.86791223,4,B
-,,9.18799107,-62.31701587,3,B
-,,9.19260805,-46.58392947,5,B
-,,9.19965859,-19.74774055,5,G
-,,9.20848364,-43.61329176,5,B
-,,9.21545133,-59.41396656,5,G
-Bet Car,,9.22006688,-69.71747245,1,A
-,,9.22624313,-47.33843989,5,B
-36 Lyn,,9.23006386,43.21791261,5,B
-,,9.23561939,-44.14585354,5,B
-,,9.23834016,-55.56970109,5,G
-16 UMa,,9.23904198,61.42339501,5,F
-22The Hya,,9.23938701,2.31502422,3,B
-,,9.24014021,-43.22752192,5,B
-,,9.24921275,-37.60236629,5,K
-82Pi 2Cnc,,9.25385464,14.9415367,5,K
-,,9.2539884,34.63339985,5,G
-,,9.26021159,-38.56991789,4,K
-,,9.26251929,-37.41312644,4,F
-17 UMa,,9.26383568,56.74147744,5,K
-,,9.26465275,72.94646226,5,F
-18 UMa,,9.26979967,54.02171207,4,A
-,,9.27002845,-57.54143764,4,M
-,,9.27306594,-44.26574592,5,K
-24 Hya,,9.27816022,-8.74475953,5,B
-23 Hya,,9.27825606,-6.35315487,5,K
-,,9.28252741,-39.40145479,5,K
-Iot Car,,9.28484122,-59.27526115,2,A
-,,9.28548114,-14.57405765,5,K
-,,9.2881668,-68.68957252,5,F
-,,9.29033647,-74.89439024,5,A
-,,9.29100946,-74.73467629,5,A
-,,9.29199044,46.81719916,5,A
-,,9.30163621,-51.05089519,5,B
-,,9.30720664,35.36412574,5,A
-,,9.31176703,-51.5606599,5,B
-38 Lyn,,9.31407426,36.80289763,3,A
-,,9.32586432,-15.83453443,5,K
-26 Hya,,9.32955521,-11.97488214,4,G
-27 Hya,,9.3413961,-9.55562948,4,F
-,,9.34911953,-62.40463293,4,G
-40Alp Lyn,,9.35096077,34.39252592,3,M
-The Pyx,,9.35822189,-25.96541642,4,M
-,,9.36202785,56.6992485,5,M
-,,9.36391907,-55.51487092,5,A
-,,9.36414996,-42.19473814,5,M
-Kap Vel,,9.36856367,-55.01069531,2,B
-,,9.37333195,-46.04750246,5,G
-Lam Pyx,,9.38676009,-28.83392305,4,G
-,,9.4015266,-61.64878694,5,K
-Iot Cha,,9.40270261,-80.78720514,5,F
-1Kap Leo,,9.41091093,26.18244091,4,K
-28 Hya,,9.42334508,-5.1173788,5,K
-,,9.42427157,-61.95061204,5,A
-,,9.43832709,-53.37893587,5,B
-,,9.45180502,-71.60209195,5,K
-,,9.4550826,-22.3434176,4,K
-30Alp Hya,Alphard,9.45979217,-8.65868335,1,K
-,,9.46303252,-6.07102871,5,G
-2Ome Leo,,9.47427136,9.05677114,5,F
-3 Leo,,9.47477605,8.18837326,5,K
-,,9.47516606,-66.70198874,5,A
-,,9.47777629,45.6017947,5,K
-,,9.47977399,-62.2732034,5,K
-31Tau1Hya,,9.48578854,-2.76895627,4,F
-,,9.48684837,-20.74914438,5,K
-Ep Ant,,9.48742707,-35.9513478,4,K
-,,9.49847742,-26.58961727,5,K
-,,9.50142443,-51.51719294,5,B
-,,9.50626089,-15.57719292,5,K
-,,9.50651481,-58.36190438,5,M
-P i Vel,,9.51169804,-40.46688763,3,F
-7 LMi,,9.51200929,33.65582773,5,G
-Zet1Ant,,9.51280042,-31.88917107,5,A
-,,9.52037604,-57.0343916,3,K
-23 UMa,,9.52543601,63.06179545,3,F
-Zet2Ant,,9.52560908,-31.87183113,5,A
-8 LMi,,9.52568045,35.10350902,5,M
-,,9.52581487,-35.71432898,5,K
-,,9.52675644,-73.08091865,5,K
-4Lam Leo,,9.52867787,22.96806545,4,K
-5Xi Leo,,9.5324423,11.3000307,4,K
-6 Leo,,9.53266183,9.7157982,5,K
-32Tau2Hya,,9.53303743,-1.18465438,4,A
-,,9.53868631,-40.64932106,5,G
-,,9.53900819,-19.40032613,5,A
-25The UMa,,9.54786812,51.67860208,3,F
-,,9.54882754,-13.51680632,5,K
-,,9.55346458,-21.11575904,5,K
-,,9.5572488,-22.86401784,5,B
-,,9.56237775,-49.0050932,5,B
-Zet Cha,,9.56486254,-80.94129374,5,B
-,,9.56911146,-51.25528201,5,B
-10 LMi,,9.57038249,36.39761338,4,G
-,,9.57407306,-59.22976797,4,B
-24 UMa,,9.57471329,69.83015419,4,G
-33 Hya,,9.5757339,-5.91480636,5,K
-26 UMa,,9.58041525,52.05156754,4,A
-22 UMa,,9.58149683,72.2058641,5,F
-,,9.58440346,39.62144313,4,K
-11 LMi,,9.59445206,35.81076694,5,G
-,,9.61190291,31.16184064,5,M
-,,9.61379361,-49.3551286,4,A
-,,9.61673545,-25.29684739,5,K
-8 Leo,,9.61738629,16.43795912,5,K
-,,9.61815331,81.32642085,4,K
-,,9.61940822,-32.17861272,5,K
-,,9.62018782,-53.66848607,5,A
-10 Leo,,9.6201968,6.83577519,5,K
-,,9.62456088,-36.09599061,5,K
-,,9.63373172,-43.19086905,5,G
-42 Lyn,,9.63938523,40.23976693,5,F
-,,9.6409403,4.64941422,4,K
-,,9.6558447,-61.32810523,4,B
-,,9.65775461,67.27232436,5,K
-35Iot Hya,,9.66425943,-1.14265722,3,K
-38Kap Hya,,9.67177198,-14.33224542,5,B
-,,9.67850073,-57.98357162,5,A
-,,9.68391749,-57.25944118,5,K
-14Omi Leo,,9.68586607,9.89239902,3,A
-,,9.68806276,-23.59152139,4,B
-,,9.69308482,31.27784047,5,K
-,,9.69664999,-55.21376962,5,B
-43 Lyn,,9.70010568,39.75796859,5,G
-,,9.70407542,-23.91620867,4,G
-,,9.70414807,69.23770604,5,G
-27 UMa,,9.71589957,72.25268512,5,K
-15 Leo,,9.7259087,29.97472479,5,A
-,,9.72841703,-53.89136176,5,A
-16P i Leo,,9.72886153,14.02170696,5,M
-The Ant,,9.73670284,-27.76956287,4,A
-,,9.75411876,-62.50792328,3,G
-17Ep Leo,,9.76419511,23.77427792,2,G
-,,9.76945579,6.70861426,5,M
-Nu Cha,,9.77233852,-76.77598144,5,G
-18 Leo,,9.77314919,11.81000106,5,K
-,,9.77323416,1.78568624,5,F
-,,9.77510584,-44.75505925,5,B
-,,9.77546226,57.12798971,5,M
-Up Car,,9.78503822,-65.07201888,2,A
-,,9.80977356,46.02123319,5,G
-,,9.82448571,-37.1867849,5,K
-,,9.83254485,-45.73276023,5,B
-,,9.84499163,-46.93400208,5,K
-,,9.84877724,-62.74513696,5,K
-29Up UMa,,9.84991436,59.03910437,3,F
-,,9.85334264,-59.42567316,5,K
-,,9.85548947,-46.19395369,5,K
-39Up 1Hya,,9.85796735,-14.84654997,4,G
-,,9.86130232,-46.54764424,4,G
-22 Leo,,9.86472905,24.3957937,5,A
-30Phi UMa,,9.86843337,54.06428574,4,A
-8Gam Sex,,9.8751308,-8.10491559,5,A
-24Mu Leo,,9.87943268,26.00708498,3,K
-,,9.89525747,5.95856912,5,M
-,,9.89725309,-51.1467146,5,B
-,,9.90345515,-25.93248205,4,K
-,,9.90490791,-45.28352716,5,B
-,,9.91424015,-50.24397661,5,A
-,,9.9145103,-19.00926985,4,K
-31 UMa,,9.92861269,49.81979501,5,A
-,,9.94056288,8.93310774,5,K
-,,9.94318612,-33.41854978,5,K
-Phi Vel,,9.94770968,-54.5677973,3,B
-,,9.95376997,57.4183508,5,G
-19 LMi,,9.96142902,41.05569741,5,F
-27Nu Leo,,9.97038636,12.44483936,5,B
-,,9.97303052,72.87959798,5,K
-Eta Ant,,9.98120556,-35.89093311,5,A
-,,9.99341046,29.64532453,5,G
-,,9.99769997,56.81187557,5,K
-29Pi Leo,,10.00356231,8.04427686,4,M
-Mu 1Cha,,10.0121957,-82.21474569,5,A
-20 LMi,,10.01695008,31.9247146,5,G
-,,10.0333625,-60.42089968,5,A
-,,10.04693305,21.9492707,5,B
-,,10.07250464,-24.28559599,5,F
-,,10.07676254,53.8917256,5,F
-40Up 2Hya,,10.08541457,-13.06467435,4,B
-,,10.103117,-47.36986491,5,K
-,,10.11930269,-17.14159635,5,K
-30Eta Leo,,10.12220929,16.76266572,3,A
-21 LMi,,10.12381254,35.24469176,4,A
-31 Leo,,10.13175523,9.99766389,4,K
-15Alp Sex,,10.13230432,-0.37162786,4,A
-32Alp Leo,Regulus,10.13957205,11.96719513,1,B
-,,10.14523273,-65.81553262,5,K
-,,10.14895935,-51.81126187,4,B
-,,10.15838877,-68.68283264,5,A
-,,10.16832209,-12.81565791,5,F
-17 Sex,,10.16876603,-8.40816325,5,A
-41Lam Hya,,10.17649919,-12.35383921,3,K
-,,10.17713774,-41.71493294,5,K
-18 Sex,,10.18218368,-8.41835129,5,K
-,,10.18688698,37.40197095,5,K
-,,10.1962422,-58.06055982,5,B
-19 Sex,,10.21344255,4.61469047,5,K
-,,10.22302267,-51.23293774,5,A
-,,10.22445671,-51.75580487,5,A
-,,10.22518961,-66.37283938,5,A
-Ome Car,,10.22896636,-70.03792169,3,B
-,,10.22943895,-40.3460764,5,K
-,,10.24563159,-42.12206281,3,A
-,,10.25876345,-43.11224108,5,K
-23 LMi,,10.27068872,29.31055982,5,A
-35 Leo,,10.27567137,23.50301282,5,G
-37 Leo,,10.27798644,13.72837138,5,M
-36Zet Leo,,10.27816787,23.4173284,3,F
-,,10.27828876,25.37069774,5,K
-,,10.28472369,-61.33231977,3,K
-33Lam UMa,,10.2849797,42.91446855,3,A
-39 Leo,,10.28744461,23.10645604,5,F
-22Ep Sex,,10.29386016,-8.0689212,5,F
-32 UMa,,10.30059739,65.10837358,5,A
-,,10.30211127,-28.99202661,5,B
-,,10.30785168,-41.66849763,5,B
-,,10.31059959,-56.11067508,5,F
-,,10.31808873,-64.67628786,5,A
-,,10.32687922,-55.02931452,4,K
-40 Leo,,10.32897506,19.47143591,4,F
-41Gam1Leo,Algieba,10.3328227,19.84186032,2,K
-,,10.33797864,-47.69910004,5,K
-,,10.34855972,-56.04322401,4,B
-,,10.35095229,68.74773415,5,A
-,,10.36962647,41.22986684,5,F
-,,10.37211278,-41.65010791,4,K
-34Mu UMa,,10.37216756,41.4994335,3,M
-,,10.38282757,-66.90152522,4,B
-27 LMi,,10.3850938,33.90815509,5,A
-25 Sex,,10.39069668,-4.07404512,5,B
-,,10.39150381,-38.00970922,5,A
-,,10.40218301,65.56647366,4,A
-28 LMi,,10.40239288,33.71853542,5,K
-,,10.40659458,-74.03154474,3,F
-,,10.41652799,-58.57631762,5,F
-44 Leo,,10.4208858,8.78493853,5,M
-,,10.42898629,-7.06014256,5,M
-30 LMi,,10.43190753,33.79626364,4,F
-42Mu Hya,,10.43486251,-16.83609584,3,K
-,,10.44692638,-54.87731436,5,K
-Alp Ant,,10.4525433,-31.06780228,4,K
-,,10.45679951,-57.63881373,4,A
-,,10.4646514,-58.73940856,3,F
-31Bet LMi,,10.46474791,36.70747818,4,G
-,,10.48127695,-64.17228466,5,K
-29Del Sex,,10.49131408,-2.73904701,5,B
-,,10.4913926,-29.66385399,5,K
-Del Ant,,10.49316621,-30.60707101,5,B
-,,10.49505784,84.25210531,5,F
-32 LMi,,10.50179443,38.925143,5,A
-30Bet Sex,,10.50486195,-0.63697208,5,B
-,,10.50557641,-71.99271995,4,A
-36 UMa,,10.51049009,55.98061759,4,F
-,,10.51662718,-13.5884676,5,B
-,,10.51724293,-73.2215089,4,K
-,,10.51806127,82.55853791,5,F
-,,10.522843,-53.7159928,4,F
-33 LMi,,10.53093442,32.3795376,5,A
-,,10.53262466,-45.06671373,5,B
-,,10.5337455,-61.68536031,3,B
-46 Leo,,10.53661066,14.13720956,5,M
-,,10.54267239,-44.6184503,5,G
-,,10.5466157,-58.66675023,5,A
-47Rho Leo,,10.5468542,9.30659431,3,B
-,,10.54913353,-47.00336923,5,K
-,,10.55388811,40.42554046,4,A
-34 LMi,,10.5585921,34.98870207,5,A
-44 Hya,,10.5669142,-23.74521609,5,K
-48 Leo,,10.58002043,6.95361136,5,G
-49 Leo,,10.58394168,8.65043904,5,A
-,,10.58488566,75.71298403,4,K
-37 UMa,,10.58600621,57.08254651,5,F
-,,10.58690973,-39.5625967,5,C
-Gam Cha,,10.59117177,-78.60781379,4,M
-,,10.59314294,-57.55763551,4,K
-,,10.6057123,-59.56429542,5,K
-,,10.60895074,-12.22848702,5,F
-,,10.62049965,-27.41268661,4,M
-,,10.62173798,-48.22561631,3,A
-,,10.62418785,-58.73334704,5,A
-,,10.62590207,-13.38445095,4,C
-,,10.63407271,-57.25631096,5,B
-Phi3Hya,,10.64305918,-16.87663687,4,G
-37 LMi,,10.64533684,31.97622008,4,G
-,,10.6458368,-59.18299905,4,K
-,,10.64991802,-58.81688568,5,M
-,,10.65159562,53.66849306,5,K
-38 LMi,,10.65216541,37.9101113,5,F
-,,10.65511459,-55.60327905,4,G
-,,10.66985098,-65.10024026,5,B
-,,10.69675146,68.44355985,5,K
-,,10.69766002,-79.78330226,5,B
-38 UMa,,10.69910623,65.71646212,5,K
-,,10.70392889,-64.4664538,4,B
-,,10.7112705,-59.21576469,5,B
-,,10.71200245,-32.71567314,5,A
-The Car,,10.71595186,-64.39447937,2,B
-40 LMi,,10.71720743,26.32569732,5,A
-,,10.71778873,69.07624525,5,K
-35 Sex,,10.72247452,4.74774961,5,K
-41 LMi,,10.7236194,23.18838442,5,A
-,,10.72564102,-60.56662705,4,K
-,,10.72586595,46.2040376,5,F
-39 UMa,,10.72869915,57.19932851,5,A
-,,10.73089292,-64.24905176,5,B
-,,10.73526031,-63.9611007,4,B
-,,10.7511174,67.41138225,5,C
-Del1Cha,,10.75454864,-80.4695233,5,K
-Del2Cha,,10.76309326,-80.54020283,4,B
-42 LMi,,10.76442004,30.68240198,5,A
-,,10.77127179,-64.51458587,5,B
-51 Leo,,10.77346864,18.89162177,5,K
-52 Leo,,10.77370912,14.19480263,5,G
-,,10.77489193,-64.26326386,5,B
-Mu Vel,,10.77947836,-49.42012517,2,G
-,,10.78090115,-64.38349702,4,B
-,,10.78112913,-17.29683026,5,A
-,,10.78263744,-56.7571908,5,B
-,,10.80150441,-59.91916925,5,A
-,,10.80392549,-31.68785403,5,A
-,,10.81126854,-1.95891494,5,M
-53 Leo,,10.8209535,10.54526139,5,A
-,,10.82346012,-59.32377833,5,B
-Nu Hya,,10.82706446,-16.19413208,3,K
-,,10.82874523,-9.85262893,5,G
-,,10.83251279,-34.05819988,5,A
-41 Sex,,10.83834982,-8.89772694,5,A
-,,10.85151113,-3.09264065,5,K
-43 UMa,,10.85307864,56.58223677,5,K
-42 UMa,,10.85659933,59.32024369,5,K
-,,10.87523685,-57.24041437,5,B
-46 LMi,,10.88851107,34.21556641,3,K
-,,10.89152267,-20.13815014,5,F
-,,10.89154617,-58.85326474,3,K
-,,10.89204997,69.85404505,5,G
-44 UMa,,10.89292189,54.58515228,5,K
-,,10.89503594,-70.72033781,5,B
-,,10.89548914,-2.12924149,5,G
-45Ome UMa,,10.89964055,43.19001538,4,A
-,,10.90493913,-13.75805882,5,K
-,,10.9082215,-61.82661289,5,K
-,,10.91617223,34.03490757,5,G
-,,10.92146194,-60.51720824,5,K
-54 Leo,,10.92690222,24.74975451,4,A
-55 Leo,,10.92842695,0.73693069,5,F
-46 UMa,,10.92901737,33.50699574,5,K
-56 Leo,,10.93374528,6.18538415,5,M
-Iot Ant,,10.94527675,-37.1374629,4,K
-,,10.95218941,-50.76504906,5,A
-,,10.98715108,-33.73745399,5,F
-47 UMa,,10.99117105,40.43012281,5,G
-,,10.99193167,-16.35368059,5,M
-,,10.99242746,36.09322401,5,M
-7Alp Crt,,10.9963191,-18.29909723,4,K
-,,10.99984135,-43.80713489,5,B
-,,11.00256828,-42.22586959,4,A
-,,11.00324969,-14.08329867,5,K
-,,11.00408227,45.52626916,5,K
-58 Leo,,11.00934429,3.61753351,4,K
-59 Leo,,11.01245342,6.10150342,4,A
-49 UMa,,11.01402228,39.21213189,5,A
-61 Leo,,11.03046358,-2.48449705,4,K
-48Bet UMa,Merak,11.0306641,56.38234478,2,A
-60 Leo,,11.0388281,20.17974575,4,A
-,,11.05414672,-11.30320923,5,G
-62 Leo,,11.06017427,-0.00083195,5,K
-50Alp UMa,Dubhe,11.06217691,61.75111888,1,F
-,,11.07536144,-47.67918306,5,A
-,,11.08172486,-35.804689,5,A
-63Chi Leo,,11.08367497,7.33612254,4,F
-Chi1Hya,,11.08889795,-27.29359566,4,F
-Chi2Hya,,11.09931871,-27.28781183,5,B
-,,11.10902064,-62.42413654,4,G
-,,11.11386921,-70.87793836,5,B
-65 Leo,,11.11511968,1.95573365,5,G
-,,11.12132112,-42.63878147,5,A
-,,11.14277934,-61.94717969,5,B
-,,11.14316545,-58.97504198,3,G
-,,11.14556879,-28.08061647,5,A
-67 Leo,,11.14696778,24.6584498,5,A
-,,11.15530887,36.30943441,5,M
-,,11.16070953,43.20775162,5,M
-52P i UMa,,11.16107206,44.49855337,3,K
-,,11.16482816,-32.36745668,5,A
-11Bet Crt,,11.19430174,-22.82560642,4,A
-,,11.20920712,-49.10107805,5,A
-,,11.21000563,-60.3176307,4,A
-,,11.21257516,-64.16978296,5,B
-,,11.22074716,-44.37222081,5,K
-,,11.22521976,-59.6193167,5,B
-,,11.22761379,-53.2319031,5,K
-69 Leo,,11.2293278,-0.06950857,5,A
-,,11.23383522,8.06095499,5,K
-68Del Leo,,11.23511447,20.52403384,2,A
-70The Leo,,11.23734469,15.4297631,3,A
-72 Leo,,11.25340086,23.09552528,4,M
-73 Leo,,11.26441578,13.30759308,5,K
-74Phi Leo,,11.27771224,-3.65151412,4,A
-,,11.2783128,49.47627707,5,K
-75 Leo,,11.28815783,2.01090315,5,M
-54Nu UMa,,11.30798759,33.09423881,3,K
-76 Leo,,11.31527263,1.65053072,5,K
-55 UMa,,11.31887317,38.18572227,4,A
-,,11.32134542,-64.58259742,5,F
-12Del Crt,,11.3223674,-14.77904358,3,K
-Pi Cen,,11.35012284,-54.49101395,3,B
-77Sig Leo,,11.35229115,6.02935289,4,B
-56 UMa,,11.38044827,43.48273665,4,G
-,,11.38560147,-56.77936853,5,A
-,,11.38686175,-36.16476782,5,K
-,,11.3892865,-64.95473134,5,B
-13Lam Crt,,11.38946455,-18.77990277,5,F
-78Iot Leo,,11.39871355,10.52969772,4,F
-79 Leo,,11.40064909,1.40776375,5,G
-,,11.40310473,-72.25660192,5,B
-14Ep Crt,,11.41016816,-10.85938276,4,K
-15Gam Crt,,11.41471755,-17.68401748,4,A
-,,11.41638522,11.43030968,5,K
-,,11.42486971,-36.06310533,5,K
-,,11.42586889,-37.74754766,5,M
-81 Leo,,11.42679428,16.45655059,5,F
-,,11.42876782,-63.97231572,5,F
-,,11.43255118,55.85034058,5,K
-,,11.44317623,-61.1151713,5,B
-,,11.44647356,-53.15995577,5,K
-16Kap Crt,,11.45265979,-12.3568071,5,F
-84Tau Leo,,11.46561941,2.85629071,4,G
-,,11.47641866,-42.67421801,5,B
-57 UMa,,11.48448958,39.33694235,5,A
-,,11.48463987,61.77778557,5,F
-,,11.49406884,-24.46405831,5,A
-85 Leo,,11.4949618,15.4133855,5,K
-87 Leo,,11.50524494,-3.00345887,4,K
-86 Leo,,11.50807802,18.40973855,5,K
-58 UMa,,11.50865853,43.17304329,5,F
-1Lam Dra,,11.52341346,69.33112161,3,M
-Omi1Cen,,11.52946476,-59.44206384,5,G
-Omi2Cen,,11.53022427,-59.51564932,5,A
-,,11.53789374,-29.26137351,4,F
-,,11.5388879,-66.9618349,5,K
-,,11.53909916,61.08275166,5,F
-,,11.5465392,-7.8275244,5,K
-,,11.5467053,-40.4363361,5,M
-,,11.54837498,-31.08723547,5,M
-Xi Hya,,11.55007195,-31.85752405,3,G
-,,11.56035106,-40.58670322,5,A
-89 Leo,,11.57279333,3.060415,5,F
-,,11.5749869,-32.83334205,5,K
-90 Leo,,11.57847134,16.79691629,5,B
-,,11.57936442,-54.26413167,4,B
-,,11.58250124,-49.1369474,5,K
-,,11.58469362,54.78537508,5,K
-,,11.58704383,-47.37256106,5,M
-Lam Cen,,11.59636896,-63.01982488,3,B
-,,11.59876549,-47.64152017,5,A
-2 Dra,,11.60072662,69.32325973,5,K
-,,11.60498358,27.78130214,5,F
-,,11.60621692,-61.05243721,5,B
-,,11.60970121,-33.56997476,5,K
-21The Crt,,11.61137458,-9.80225368,4,B
-91Up Leo,,11.61581384,-0.82385424,4,G
-,,11.61688935,-61.28344643,5,K
-Pi Cha,,11.6210951,-75.89654092,5,F
-,,11.62612505,-47.74737759,5,K
-,,11.63014089,-67.62035361,5,K
-,,11.63538108,-61.82655484,5,B
-59 UMa,,11.63907991,43.62551361,5,F
-1Ome Vir,,11.64100267,8.13428325,5,M
-24Iot Crt,,11.64443251,-13.20224958,5,F
-,,11.65823138,-65.3977489,5,G
-Omi Hya,,11.67022789,-34.7446553,4,B
-,,11.67847006,-53.96854858,5,M
-92 Leo,,11.67975154,21.35284143,5,K
-,,11.68157018,-62.09010401,4,G
-61 UMa,,11.68417365,34.20256022,5,G
-,,11.68884887,-43.09567719,5,A
-62 UMa,,11.69291682,31.7459835,5,F
-,,11.69554232,-32.49932237,5,K
-3 Dra,,11.70789664,66.7448085,5,K
-,,11.72422255,-37.19010227,5,K
-,,11.72533328,-62.48939856,5,F
-27Zet Crt,,11.74604415,-18.35061467,4,G
-2Xi Vir,,11.75472355,8.25817475,4,A
-Lam Mu ,,11.76015759,-66.72884344,3,A
-,,11.76222323,-45.69014545,5,B
-3Nu Vir,,11.76432515,6.52981394,4,M
-63Chi UMa,,11.76753725,47.77933701,3,K
-,,11.77523583,-61.17835907,4,G
-,,11.77562416,-40.50133452,4,G
-,,11.7821135,55.62826771,5,K
-,,11.78865806,-57.69654711,5,K
-4 Vir,,11.79859215,8.24586534,5,A
-93 Leo,,11.7997851,20.21894121,4,A
-Mu Mu ,,11.80402484,-66.81487085,4,K
-,,11.81076962,14.28419729,5,F
-,,11.81252928,-26.74975369,5,M
-94Bet Leo,Denebola,11.81774398,14.57233687,2,A
-,,11.82808001,-63.78848906,4,B
-,,11.82827752,34.9317394,5,F
-,,11.8323964,-70.2257858,4,G
-,,11.84091245,-62.6493833,5,A
-5Bet Vir,,11.8448017,1.76537705,3,F
-,,11.85061967,-5.333334,5,K
-,,11.852431,-45.1734495,4,K
-,,11.86156022,-30.83409571,5,F
-,,11.86424246,-65.20589445,4,B
-,,11.86955386,-56.98782681,5,B
-Bet Hya,,11.88182257,-33.90813014,4,A
-64Gam UMa,Phad,11.89715035,53.69473296,2,A
-,,11.91180771,-25.71406632,5,G
-,,11.91667299,-63.27917897,5,A
-6 Vir,,11.91754209,8.44390534,5,K
-,,11.92781364,-28.47703681,5,K
-95 Leo,,11.92792432,15.64680922,5,A
-66 UMa,,11.93289102,56.59856271,5,K
-30Eta Crt,,11.93360653,-17.15080863,5,A
-,,11.9611217,-62.44873578,5,B
-,,11.97090199,-56.31731449,5,B
-,,11.97990798,-64.33955671,5,A
-,,11.98820492,33.16702114,5,K
-Ep Cha,,11.99380313,-78.22181833,4,B
-7 Vir,,11.99914546,3.65521716,5,A
-,,12.01232423,-10.44483921,5,K
-,,12.01421389,-19.65899848,5,B
-8Pi Vir,,12.01455285,6.61439464,4,A
-,,12.02764788,36.04227697,5,K
-67 UMa,,12.0352953,43.04546506,5,A
-,,12.0438213,-69.19227106,5,B
-The1Cru,,12.05047198,-63.31294495,4,A
-,,12.06092076,-42.43378714,5,F
-2 Com,,12.07127112,21.45916332,5,F
-The2Cru,,12.07201048,-63.16571094,4,B
-,,12.07748522,-68.32889673,5,A
-Kap Cha,,12.0796288,-76.51917475,5,K
-,,12.08256836,-60.96823848,5,M
-9Omi Vir,,12.08685266,8.73284563,4,G
-,,12.08742742,76.90595813,5,G
-,,12.10641217,-65.70942594,5,G
-Eta Cru,,12.11468134,-64.61363898,4,F
-,,12.13058005,-75.36706513,5,K
-,,12.13479341,-50.66125439,4,B
-,,12.13742491,-48.69247036,5,A
-Del Cen,,12.13931767,-50.72240999,2,B
-1Alp Crv,,12.14020907,-24.72877993,4,F
-,,12.14828849,-44.32588609,5,A
-,,12.14849946,-41.23158452,5,B
-10 Vir,,12.16146813,1.89832789,5,K
-11 Vir,,12.16764211,5.80696343,5,A
-2Ep Crv,,12.16875718,-22.61979211,3,K
-3 Crv,,12.18441142,-23.60237239,5,A
-Rho Cen,,12.19420872,-52.36841559,3,B
-4 Com,,12.19755584,25.87035539,5,K
-5 Com,,12.20258311,20.54210573,5,K
-,,12.20330922,77.61619242,5,A
-,,12.20610735,-62.95077296,5,B
-,,12.22362736,-38.92915939,5,B
-12 Vir,,12.22388735,10.26236039,5,A
-,,12.2340908,-45.72393011,5,K
-,,12.24988397,-20.84423329,5,K
-,,12.25237046,70.20007671,5,K
-Del Cru,,12.25243248,-58.74890179,2,B
-69Del UMa,,12.25706919,57.03259792,3,A
-4Gam Crv,,12.26346329,-17.5419837,2,B
-6 Com,,12.26673192,14.89914477,5,A
-2 CVn,,12.2687601,40.66025851,5,M
-7 Com,,12.27237644,23.94542332,4,K
-,,12.27504856,33.06179861,4,K
-,,12.29154507,53.19144123,5,K
-,,12.29183258,28.93710321,5,A
-Ep Mus,,12.29295453,-67.96067161,4,M
-Bet Cha,,12.30581775,-79.31226899,4,B
-Zet Cru,,12.30730353,-64.00304555,4,B
-13 Vir,,12.3111939,-0.7871448,5,A
-,,12.313907,75.1605502,5,A
-,,12.31661903,-55.14297519,5,M
-3 CVn,,12.33020086,48.98413192,5,M
-15Eta Vir,,12.33177539,-0.66674709,3,A
-,,12.33634291,-22.17562676,5,K
-,,12.33881113,26.6197509,5,K
-16 Vir,,12.33920904,3.31272688,4,K
-5Zet Crv,,12.3426974,-22.21583387,5,B
-11 Com,,12.34530365,17.79265307,4,G
-70 UMa,,12.34745283,57.86428953,5,K
-,,12.34880994,-13.56574902,5,K
-Ep Cru,,12.35605869,-60.40136988,3,K
-,,12.36595516,-56.3743836,5,K
-Zet2Mu ,,12.36871851,-67.52209279,5,A
-Zet1Mu ,,12.37000954,-68.30719873,5,K
-12 Com,,12.37508865,25.84618178,4,F
-,,12.38040898,-57.67610097,5,B
-6 Crv,,12.38933327,-24.84062116,5,K
-,,12.3931804,-35.41265923,5,B
-,,12.39577394,-38.91135056,5,B
-5 CVn,,12.40041175,51.56222925,4,G
-13 Com,,12.40514991,26.09861325,5,A
-71 UMa,,12.4175621,56.77785826,5,M
-,,12.41994468,-11.61051268,5,A
-,,12.42271218,-35.18640097,5,B
-6 CVn,,12.43083253,39.01869867,5,G
-14 Com,,12.44002048,27.26826273,4,F
-,,12.44216338,-51.4506115,4,B
-Alp1Cru,Acrux,12.44331705,-63.09905586,0,B
-,,12.44769283,-32.83004764,5,B
-15Gam Com,,12.44897988,28.26861975,4,K
-16 Com,,12.44980668,26.8257216,4,A
-,,12.45802117,-58.99176932,5,M
-73 UMa,,12.45975717,55.71275225,5,M
-Sig Cen,,12.46733655,-50.2306048,3,B
-,,12.47291274,-39.04113804,5,B
-17 Com,,12.48186605,25.91288804,5,A
-18 Com,,12.49084826,24.10892077,5,F
-20 Com,,12.49533988,20.89618496,5,A
-7Del Crv,,12.4977731,-16.51509397,2,B
-,,12.49838726,-56.52496942,5,M
-74 UMa,,12.49927749,58.4055266,5,A
-4 Dra,,12.50187813,69.20126087,5,M
-,,12.50485051,-23.69642033,5,M
-21 Com,,12.51682448,24.56718941,5,A
-Gam Cru,,12.5194248,-57.11256922,1,M
-,,12.52787358,-59.42391403,5,F
-,,12.53226469,-63.50589876,5,A
-8Eta Crv,,12.53457909,-16.19586556,4,F
-,,12.53608197,-73.00104307,5,K
-Gam Mu ,,12.54114193,-72.1329759,3,B
-,,12.54335738,-13.85897407,5,F
-5Kap Dra,,12.55806736,69.78820992,3,B
-,,12.55951916,-12.83032829,5,G
-,,12.56080683,33.24766003,5,K
-8Bet CVn,,12.5625257,41.35676779,4,G
-21 Vir,,12.56299923,-9.45207768,5,A
-9Bet Crv,,12.57312057,-23.39662306,2,G
-,,12.57846015,-44.67251655,5,G
-6 Dra,,12.57890701,70.02177318,4,K
-23 Com,,12.58086605,22.62918961,4,A
-24 Com,,12.58548958,18.37700118,5,K
-,,12.58559828,21.88143144,5,K
-,,12.59600404,-41.02194744,5,A
-,,12.60029835,-39.86944684,5,A
-25 Vir,,12.61315854,-5.8318511,5,A
-25 Com,,12.61620946,17.08957856,5,K
-Alp Mu ,,12.61974547,-69.13553358,2,B
-,,12.62839626,-27.13865883,5,F
-Tau Cen,,12.62842439,-48.54128816,3,A
-,,12.63957001,1.85470456,5,M
-,,12.65096794,-30.4223493,5,K
-26 Com,,12.65204379,21.06258094,5,G
-26Chi Vir,,12.65411457,-7.99550439,4,K
-,,12.6646004,-39.98724188,4,B
-,,12.68778427,-13.01392023,5,F
-,,12.68973471,-46.14572729,5,K
-Gam Cen,,12.69200138,-48.95988553,2,A
-29Gam Vir,,12.69444503,-1.44952231,2,F
-30Rho Vir,,12.69805765,10.23584294,4,A
-,,12.69905466,-59.68581085,4,B
-31 Vir,,12.69921102,6.80664416,5,A
-,,12.70987809,-48.81303493,4,K
-,,12.71396743,-63.058616,5,B
-,,12.7192256,-56.17619646,5,B
-,,12.72722835,-1.57681459,5,G
-,,12.73348619,-28.32386102,5,K
-10 CVn,,12.74991006,39.27857766,5,G
-,,12.75217466,45.44022447,5,C
-32 Vir,,12.76031168,7.67331477,5,A
-Iot Cru,,12.76053228,-60.98116057,4,K
-Bet Mu ,,12.77135267,-68.10809405,3,B
-33 Vir,,12.77288323,9.54078962,5,K
-,,12.77298597,-56.48877967,4,B
-27 Com,,12.77743147,16.57764912,5,K
-,,12.77950572,-33.31541396,5,K
-,,12.78859039,62.78113875,5,A
-7 Dra,,12.79287259,66.79031573,5,K
-Bet Cru,,12.79536635,-59.68873246,1,B
-,,12.80732183,-27.59723017,5,G
-,,12.81092684,60.31989667,5,F
-29 Com,,12.81505448,14.12263297,5,A
-,,12.81855312,83.41779443,5,A
-,,12.82050013,83.41285818,5,A
-30 Com,,12.82153121,27.55232611,5,A
-,,12.82915265,-71.98624542,5,G
-,,12.8363349,37.51688446,5,A
-,,12.84477415,-33.99926779,4,B
-,,12.84941766,-52.7873952,5,A
-,,12.85499492,-60.32978611,5,A
-31 Com,,12.86164661,27.54073393,4,G
-,,12.86581947,-39.68038459,5,B
-,,12.8845178,-54.9524841,5,K
-,,12.88527127,-48.94325313,4,K
-35 Com,,12.88826967,21.24502058,4,G
-,,12.8894166,-60.32848627,5,B
-,,12.8905961,-40.17881857,4,A
-Kap Cru,,12.89692318,-60.37624027,5,B
-77Ep UMa,Alioth,12.9004536,55.95984301,1,A
-40P i Vir,,12.9058817,-9.53894647,4,M
-Mu 1Cru,,12.90990489,-57.17789116,4,B
-Mu 2Cru,,12.91025591,-57.16864387,5,B
-Lam Cru,,12.91089445,-59.14666538,4,B
-,,12.91570445,47.19673771,5,M
-Iot Oct,,12.91620771,-85.12342237,5,K
-,,12.91630729,-44.15140639,5,G
-,,12.92207264,-42.9157015,5,M
-8 Dra,,12.92459864,65.43854743,5,A
-43Del Vir,,12.92680091,3.39759862,3,M
-,,12.93253881,-56.83580429,5,O
-12Alp1CVn,,12.93350105,38.31469771,5,F
-12Alp2CVn,,12.9338447,38.31824617,2,A
-,,12.93823391,54.09948306,5,A
-,,12.94214448,-72.18518249,5,G
-,,12.95121681,-51.19871605,5,B
-36 Com,,12.98207385,17.40936063,4,M
-44 Vir,,12.99431817,-3.81194179,5,A
-9 Dra,,12.99868775,66.59730755,5,K
-37 Com,,13.00457929,30.78503676,4,K
-46 Vir,,13.00998847,-3.3686079,5,K
-78 UMa,,13.01210715,56.36633134,4,F
-38 Com,,13.01933893,17.1232026,5,K
-47Ep Vir,Vindemiatrix,13.03632237,10.95910186,2,G
-Del Mu ,,13.03771597,-71.54879865,3,K
-,,13.05148901,-71.47572327,5,B
-Xi 1Cen,,13.05926331,-49.52723627,4,A
-,,13.06278521,-20.58350964,5,F
-14 CVn,,13.095684,35.79885169,5,B
-,,13.09785537,45.26848988,5,K
-,,13.10464732,-48.46325358,4,B
-40 Com,,13.10627337,22.61629063,5,M
-,,13.10973538,-41.58840727,5,K
-,,13.11506365,-35.86182329,5,A
-Xi 2Cen,,13.11518417,-49.90621586,4,B
-41 Com,,13.11964107,27.62490672,4,K
-,,13.12341946,-59.86049011,5,B
-,,13.12731124,-53.45971466,5,B
-49 Vir,,13.13161191,-10.74038528,5,K
-The Mu ,,13.13532192,-65.30601741,5,W
-,,13.14235778,-8.98422912,5,K
-45P i Hya,,13.15091194,-23.11797275,4,K
-,,13.15345066,10.02246786,5,K
-50 Vir,,13.16258009,-10.32930884,5,K
-,,13.16330208,16.8486489,5,K
-51The Vir,,13.16583667,-5.53892987,4,A
-42Alp Com,,13.1665415,17.52911621,4,F
-17 CVn,,13.16757463,38.49887224,5,A
-,,13.18581695,-42.23282785,5,F
-,,13.18980764,-43.36850529,5,K
-,,13.19760597,-69.94201974,5,F
-43Bet Com,,13.19803407,27.87603769,4,G
-,,13.20096299,-37.80313606,4,G
-53 Vir,,13.20096794,-16.1979034,5,F
-,,13.20489702,-59.92053651,4,B
-,,13.20915319,11.55617035,5,M
-,,13.21354619,-66.22676607,5,A
-,,13.22316183,-50.6997859,5,B
-,,13.22860596,40.15284766,4,K
-55 Vir,,13.23638046,-19.93133468,5,G
-,,13.23670825,-58.68390821,5,K
-,,13.23761891,-59.10285946,4,F
-,,13.23815458,-78.44744492,5,F
-,,13.24201191,11.33178469,5,M
-,,13.24537866,-48.95680509,5,K
-Eta Mu ,,13.25416605,-67.8945633,4,B
-19 CVn,,13.25890141,40.8551724,5,A
-57 Vir,,13.26627284,-19.94282246,5,K
-59 Vir,,13.2796426,9.423693,5,G
-,,13.28141977,-31.5060767,5,K
-,,13.28695416,-66.78342263,4,K
-,,13.28720083,-43.97944198,5,A
-,,13.28767315,13.67564684,5,K
-20 CVn,,13.2923992,40.57256275,4,F
-60Sig Vir,,13.29341302,5.46984502,4,M
-21 CVn,,13.30403901,49.68201519,5,A
-61 Vir,,13.30693666,-18.30861062,4,G
-,,13.30769651,34.09829261,5,K
-46Gam Hya,,13.31534816,-23.17141246,2,G
-23 CVn,,13.33860991,40.15055594,5,K
-Iot Cen,,13.34335154,-36.71208109,2,A
-,,13.34384845,-52.74778497,5,B
-,,13.3493786,-46.88005836,5,K
-,,13.36157742,2.0873706,5,A
-64 Vir,,13.36936936,5.15485074,5,A
-,,13.37119161,-52.18295165,5,B
-,,13.37721659,-60.98835608,4,B
-63 Vir,,13.38365147,-17.73520402,5,K
-65 Vir,,13.38858478,-4.92438824,5,K
-79Zet UMa,Mizar,13.39872773,54.92541525,2,A
-,,13.40012315,-64.53561699,4,G
-66 Vir,,13.40920456,-5.16392212,5,F
-,,13.41852356,23.85443816,5,A
-Iot1Mu ,,13.41871122,-74.88749735,5,K
-67Alp Vir,Spica,13.41989015,-11.16124491,0,B
-80 UMa,,13.42039322,54.98799884,3,A
-,,13.42059326,-64.48509219,5,F
-,,13.43066633,-70.62725069,5,A
-,,13.43545527,-39.75496493,5,K
-,,13.43556201,72.39149824,5,M
-,,13.43652245,-1.19248368,5,A
-,,13.43793803,46.0281037,5,K
-68 Vir,,13.4453457,-12.70761258,5,K
-,,13.4489233,-41.49756484,5,K
-,,13.44922768,78.64379561,5,G
-69 Vir,,13.45756613,-15.97363075,4,K
-70 Vir,,13.47387511,13.78018777,4,G
-,,13.47421614,59.94570301,5,A
-71 Vir,,13.48695451,10.81839609,5,K
-,,13.49034874,-51.16511504,5,A
-,,13.5174079,-39.40727983,3,G
-74 Vir,,13.53276278,-6.25571065,4,M
-,,13.54332279,-28.6927144,5,A
-75 Vir,,13.54769124,-15.36301232,5,K
-76 Vir,,13.54946976,-10.16490767,5,K
-81 UMa,,13.5687014,55.34844976,5,A
-78 Vir,,13.56886258,3.65902506,4,A
-24 CVn,,13.5742704,49.01590606,4,A
-,,13.57791069,-13.21430591,5,A
-79Zet Vir,,13.5782652,-0.59593821,3,A
-,,13.57992952,37.18243871,4,F
-80 Vir,,13.59202418,-5.39639184,5,G
-,,13.6134748,-26.49523551,5,A
-,,13.61641657,24.61330297,5,M
-,,13.61834776,-44.14316883,5,G
-,,13.61973731,71.2422665,5,K
-,,13.62005581,-61.69157197,5,F
-,,13.62319372,-46.42784035,5,B
-25 CVn,,13.62436025,36.29484073,4,A
-,,13.64503498,-29.56067984,5,F
-82 UMa,,13.65849433,52.92107136,5,A
-,,13.65963452,10.74630126,5,F
-,,13.66349605,-40.05157491,5,K
-Ep Cen,,13.66479797,-53.46636269,2,B
-,,13.66663818,-49.95000116,5,M
-,,13.66966724,-64.57655426,5,F
-1 Boo,,13.67791615,19.955663,5,A
-83 UMa,,13.67897014,54.68166149,4,M
-Kap Oct,,13.68227091,-85.78599228,5,A
-2 Boo,,13.68398813,22.49583157,5,G
-,,13.69161582,64.82243969,5,A
-82 Vir,,13.69356408,-8.70308218,5,M
-,,13.69578188,-54.55936543,4,B
-,,13.70031162,-58.78704974,5,B
-,,13.70637328,82.75251097,5,G
-,,13.71093999,78.06432575,5,G
-,,13.7120614,34.98899453,5,G
-,,13.71529519,-41.4009514,5,K
-84 Vir,,13.71774561,3.53807968,5,K
-,,13.72780442,-42.06751103,5,B
-83 Vir,,13.74161645,-16.17905873,5,G
-,,13.76026046,-26.11598461,5,A
-1 Cen,,13.76154628,-33.04336606,4,F
-86 Vir,,13.76564741,-12.42654721,5,G
-,,13.77045374,41.08884885,5,A
-,,13.7719718,38.5036561,5,G
-84 UMa,,13.77657648,54.43269033,5,B
-,,13.77760234,-51.43269771,4,G
-3 Boo,,13.77870415,25.70238073,5,F
-,,13.78232259,-36.25190473,5,A
-,,13.78329856,38.54274988,5,K
-4Tau Boo,,13.78778795,17.45677436,4,F
-87 Vir,,13.79037627,-17.85976354,5,M
-,,13.79099578,-50.24932136,5,A
-85Eta UMa,Alkaid,13.79237392,49.31330288,1,B
-,,13.79407494,-50.32066712,5,K
-,,13.81076082,31.19011458,5,K
-2 Cen,,13.82409757,-34.45063035,4,M
-5Up Boo,,13.82463829,15.79780583,4,K
-Nu Cen,,13.82508261,-41.68765971,3,B
-Mu Cen,,13.82694662,-42.47368506,3,B
-6 Boo,,13.82856109,21.26406422,4,K
-,,13.82928567,61.48954562,5,G
-89 Vir,,13.83120679,-18.13407618,4,K
-,,13.85255794,34.66453,5,M
-10 Dra,,13.85720488,64.72328281,4,M
-,,13.86311953,-46.89863029,5,B
-,,13.86317322,-69.40124669,5,K
-,,13.86319154,34.44431774,4,K
-3 Cen,,13.86378478,-32.99401625,4,B
-,,13.86802776,-52.81146355,5,B
-,,13.88621192,28.64806212,5,A
-4 Cen,,13.88681897,-31.92758624,4,B
-7 Boo,,13.88693089,17.93285548,5,G
-,,13.89245005,-35.66419416,5,F
-,,13.89530845,-53.37328052,5,B
-86 UMa,,13.89751174,53.7286921,5,A
-,,13.89923525,-47.12815361,5,B
-8Eta Boo,,13.91142116,18.39858742,2,G
-90 Vir,,13.91172123,-1.50307142,5,K
-,,13.91364915,-67.6520644,5,K
-,,13.92004711,-52.16076937,5,B
-Zet Cen,,13.92567635,-47.28826634,2,B
-,,13.92749694,-82.66613365,5,K
-,,13.93885926,-46.59272882,5,K
-92 Vir,,13.94108149,1.05054828,5,A
-9 Boo,,13.94282293,27.49219844,5,K
-,,13.96081578,-63.68661603,4,K
-Phi Cen,,13.97119018,-42.10070526,3,B
-47 Hya,,13.97532724,-24.97217754,5,B
-10 Boo,,13.97748021,21.69632104,5,A
-Up 1Cen,,13.97799204,-44.8035314,3,B
-,,13.98818241,-50.36960607,5,G
-48 Hya,,14.00006836,-25.01017978,5,F
-,,14.01461513,-66.26885149,5,F
-,,14.02233604,8.89490924,5,A
-93Tau Vir,,14.02743976,1.54458338,4,A
-Up 2Cen,,14.02874776,-45.60336989,4,F
-,,14.03966743,-27.42976294,5,K
-,,14.05738195,-56.21338128,5,K
-Bet Cen,Hadar,14.06373459,-60.3729784,0,B
-11Alp Dra,,14.07317389,64.37580873,3,A
-The Ap ,,14.08891702,-76.79667632,5,M
-Chi Cen,,14.10077389,-41.17958035,4,B
-49Pi Hya,,14.10618582,-26.68201883,3,K
-5The Cen,,14.11147907,-36.36869575,2,K
-95 Vir,,14.11191847,-9.31352509,5,F
-,,14.13215181,43.8545248,5,M
-13 Boo,,14.13815445,49.4580206,5,M
-4 UMi,,14.1475025,77.54743312,4,K
-,,14.15973955,-51.50464539,5,B
-,,14.16526573,-53.43872584,4,G
-12 Boo,,14.17331901,25.09182293,4,F
-,,14.18068985,-16.30200362,4,M
-,,14.20112597,69.43266873,5,M
-,,14.20439733,2.40949613,4,B
-50 Hya,,14.21278697,-27.26110002,5,K
-98Kap Vir,,14.21492805,-10.274044,4,K
-,,14.22122796,-53.66565135,5,K
-17Kap2Boo,,14.2247083,51.78999066,4,A
-,,14.2279636,-0.84512445,5,F
-14 Boo,,14.23481438,12.95957667,5,F
-,,14.24521171,-41.83744813,5,G
-15 Boo,,14.24746181,10.1010097,5,K
-,,14.24921219,-57.08607539,5,B
-,,14.25669806,-18.20066197,5,A
-16Alp Boo,Arcturus,14.2612076,19.18726997,-1,K
-99Iot Vir,,14.26691247,-5.99952622,4,F
-21Iot Boo,,14.26946375,51.36701398,4,A
-19Lam Boo,,14.27310454,46.08791894,4,A
-,,14.27742389,-66.58788092,5,B
-,,14.29123406,15.26336094,5,M
-,,14.29994891,35.50947085,4,K
-Eta Ap ,,14.30388069,-81.00760147,4,A
-,,14.31063784,-18.71588164,5,A
-,,14.31697945,-25.81631724,5,F
-100Lam Vir,,14.31850051,-13.37116634,4,A
-18 Boo,,14.32117135,13.00437724,5,F
-,,14.3233097,-37.00280675,5,A
-Iot Lup,,14.32339798,-46.05808391,3,B
-102Up Vir,,14.32570817,-2.26534352,5,G
-20 Boo,,14.32925578,16.30680118,4,K
-,,14.33102882,-61.27275714,5,A
-,,14.3360304,-43.05886202,5,G
-,,14.33876465,-56.38647906,4,B
-P i Cen,,14.34263313,-37.88526711,4,A
-,,14.34515304,-45.1868814,4,F
-,,14.37214929,-34.78679152,5,B
-Ep Aps,,14.37311027,-80.108911,5,B
-,,14.37697832,-58.45915834,4,G
-,,14.38396035,-39.51176599,4,B
-51 Hya,,14.38497437,-27.75373395,4,K
-,,14.38965001,8.44664037,4,A
-,,14.3968439,-53.17620992,5,K
-,,14.40024451,8.24400431,5,A
-,,14.40316398,5.82011481,5,A
-,,14.41351683,-24.80626639,5,K
-,,14.41842753,-68.19532385,5,A
-23The Boo,,14.42000537,51.85171354,4,F
-Tau1Lup,,14.43562084,-45.22138996,4,B
-Tau2Lup,,14.43633376,-45.37926095,4,A
-22 Boo,,14.44094674,19.2268349,5,F
-Del Oct,,14.44881687,-83.66785308,4,K
-,,14.45197589,-65.82161161,5,K
-,,14.45341651,-46.1340642,5,A
-5 UMi,,14.45875625,75.69593921,4,K
-52 Hya,,14.46956759,-29.49157976,4,B
-105Phi Vir,,14.4700612,-2.22795009,4,G
-24 Boo,,14.47724667,49.84496418,5,G
-106 Vir,,14.47825852,-6.90041401,5,K
-,,14.49736377,0.82891135,5,A
-,,14.50240559,-45.32128792,5,B
-,,14.50583129,-49.51892657,5,A
-,,14.51967667,-38.86977705,5,K
-,,14.52121835,-67.71705401,5,K
-25Rho Boo,,14.53051606,30.37114497,3,K
-27Gam Boo,,14.53465494,38.30788348,3,A
-,,14.54192493,55.3980457,5,K
-26 Boo,,14.54239498,22.25996072,5,F
-Sig Lup,,14.54363429,-50.45712132,4,B
-,,14.55832505,-52.67948076,5,K
-,,14.55901965,-54.9986156,5,F
-,,14.57768378,49.36823171,5,M
-28Sig Boo,,14.57796958,29.74480735,4,F
-Eta Cen,,14.5917921,-42.15774562,2,B
-,,14.59208274,-41.51738017,5,B
-,,14.60529355,-46.2454913,5,K
-,,14.61226405,-40.21152639,5,B
-,,14.62226805,-46.13341306,5,K
-Rho Lup,,14.63145864,-49.42575765,4,B
-,,14.6368533,43.64205288,5,K
-,,14.63722366,18.29853624,5,K
-,,14.63755697,54.02338576,5,A
-33 Boo,,14.64730048,44.40454503,5,A
-Alp2Cen,Rigel Kentaurus B,14.66094188,-60.83947139,1,K
-Alp1Cen,Rigel Kentaurus A,14.66136068,-60.83514707,-1,G
-,,14.67843344,13.53436103,5,F
-29Pi 1Boo,,14.67876693,16.4183013,4,B
-,,14.68372597,-36.1348433,5,A
-30Zet Boo,,14.68581121,13.72833113,3,A
-31 Boo,,14.69409903,8.16175611,4,G
-32 Boo,,14.69544875,11.66093526,5,G
-Alp Lup,,14.69882606,-47.38814127,2,B
-,,14.69933688,-37.79342394,4,B
-Alp Cir,,14.70852362,-64.97456957,3,F
-107Mu Vir,,14.71765618,-5.6574291,3,F
-4 Lib,,14.72043489,-24.99773099,5,B
-34 Boo,,14.72371441,26.52789077,4,M
-,,14.7276343,-35.17322549,4,K
-,,14.72901237,40.45920338,5,K
-,,14.74977641,-35.19182069,4,A
-36Ep Boo,Izar,14.74979191,27.07417383,2,A
-35Omi Boo,,14.754027,16.96440296,4,K
-,,14.75479075,-62.87545275,5,A
-108 Vir,,14.75839681,0.71729003,5,B
-54 Hya,,14.76671605,-25.44291557,5,F
-,,14.76833257,15.13174102,5,M
-,,14.76854233,-23.15286204,5,K
-109 Vir,,14.77083106,1.8929383,3,A
-,,14.77472997,-47.44107999,5,A
-,,14.78369739,-52.38331777,5,G
-,,14.78473849,-38.29043787,5,K
-55 Hya,,14.78959999,-25.62423321,5,B
-56 Hya,,14.79577255,-26.0874799,5,G
-Alp Ap ,,14.79770171,-79.04471242,3,K
-57 Hya,,14.79932346,-26.64613329,5,B
-,,14.81057143,-36.63458507,5,M
-,,14.81237811,-66.59353612,5,B
-38 Boo,,14.82185429,46.11639336,5,F
-,,14.82187732,-24.25146951,5,K
-7Mu Lib,,14.82196971,-14.14898587,5,A
-39 Boo,,14.82815597,48.72056284,5,F
-,,14.8328851,28.61583341,5,A
-,,14.83769967,23.91176538,5,G
-58 Hya,,14.83818519,-27.96021925,4,K
-,,14.83878539,82.51248701,5,F
-,,14.84161173,37.27181511,5,K
-8Alp1Lib,,14.84479547,-15.99709226,5,F
-7Bet UMi,Kochab,14.84510983,74.15547596,2,K
-9Alp2Lib,,14.84799369,-16.04161047,2,A
-11 Lib,,14.85028336,-2.29884995,4,G
-37Xi Boo,,14.85646783,19.10063329,4,G
-,,14.85738186,59.29365246,5,K
-Omi Lup,,14.86064536,-43.57529383,4,B
-,,14.87646396,-63.80981741,5,F
-,,14.88085801,-37.80311642,5,B
-,,14.88709355,-73.19015457,5,G
-12 Lib,,14.9055934,-24.64213517,5,K
-13Xi 1Lib,,14.90636277,-11.89833043,5,G
-,,14.91053351,-33.30056091,5,K
-,,14.92630767,-60.11389133,5,K
-,,14.92908184,-33.85578004,5,A
-,,14.93701056,14.44626586,5,A
-,,14.93811806,-52.80956707,5,A
-,,14.93970565,49.62899937,5,F
-,,14.94224435,-47.87914321,5,B
-The Cir,,14.9455562,-62.78098762,5,B
-15Xi 2Lib,,14.94614085,-11.4097279,5,K
-16 Lib,,14.95307133,-4.34608634,4,F
-,,14.95324451,16.38813986,5,G
-,33 G. Lib,14.95759766,-21.4112809,5,K
-,,14.95922674,-0.16754803,5,K
-,,14.95975531,65.93238126,4,M
-,,14.96476594,-76.66261622,5,K
-Bet Lup,,14.97554279,-43.13386699,2,B
-59 Hya,,14.97757945,-27.65729301,5,A
-18 Lib,,14.98156778,-11.14386422,5,K
-Kap Cen,,14.9860275,-42.10414199,3,B
-,,14.98975408,4.56777277,5,M
-40 Boo,,14.99360305,39.26523166,5,F
-,,15.00314944,-77.16052523,5,G
-19Del Lib,,15.01621879,-8.51893488,4,B
-,,15.02029831,-38.05831465,5,K
-,,15.02216942,-2.75487208,5,M
-,,15.02419703,60.20442421,5,A
-,,15.03025427,-0.14025867,5,M
-Pi 1Oct,,15.03075119,-83.22777573,5,G
-42Bet Boo,,15.03244253,40.39063671,3,G
-60 Hya,,15.03510528,-28.06052808,5,A
-41Ome Boo,,15.03514226,25.00825646,4,K
-110 Vir,,15.04835277,2.09127129,4,K
-,,15.04980289,-32.64324605,5,B
-,,15.05168988,35.20577288,5,G
-44 Boo,,15.06324494,47.65401409,4,G
-20Sig Lib,,15.06785052,-25.28185602,3,M
-43P i Boo,,15.07412697,26.94765981,4,K
-Pi 2Oct,,15.07971197,-83.03826851,5,G
-Eta Cir,,15.08001369,-64.03137307,5,G
-Pi Lup,,15.08530713,-47.05119386,3,B
-,,15.08865233,-41.06723379,5,G
-47 Boo,,15.09052544,48.15090031,5,A
-,,15.1046303,54.55628697,5,G
-,,15.10922579,-30.91841299,5,A
-21Nu Lib,,15.11044954,-16.25676124,5,K
-45 Boo,,15.12165196,24.86959294,4,F
-,,15.12387031,-49.08863539,5,G
-,,15.13670736,-40.58385604,5,B
-46 Boo,,15.13993898,26.30118271,5,K
-,,15.14321247,25.10863675,5,K
-,,15.14422599,-42.86786973,5,B
-Lam Lup,,15.1473971,-45.27979406,4,B
-,,15.15831094,-67.08412683,5,F
-,,15.16870645,-38.79246057,5,G
-,,15.17184774,-26.3326008,5,K
-Ome Oct,,15.18577604,-84.78782184,5,B
-,,15.18777341,-55.34601439,5,G
-Kap1Lup,,15.19893362,-48.73770212,3,B
-Kap2Lup,,15.19937917,-48.74357642,5,A
-,,15.20118681,18.97600352,5,M
-24Iot1Lib,,15.20369782,-19.79163143,4,A
-Zet Lup,,15.20477865,-52.09907465,3,G
-,,15.21377909,-44.50035965,4,B
-,,15.23147826,-26.19355939,5,G
-,,15.23500407,31.78791816,5,K
-,,15.23865773,-70.07945566,5,N
-48Chi Boo,,15.24144587,29.16422593,5,A
-1 Lup,,15.24370163,-31.51912564,4,F
-,,15.24388985,67.34767598,5,F
-3 Ser,,15.25315736,4.93935226,5,K
-49Del Boo,,15.25836216,33.31510222,3,G
-4 Ser,,15.26364996,0.37210753,5,A
-,,15.26490596,-48.07364079,5,A
-,,15.26778656,-41.49114318,5,F
-,,15.27306463,-22.39942083,5,K
-,,15.27685957,-60.9039866,5,B
-Del Cir,,15.28247175,-60.95724479,5,O
-27Bet Lib,,15.28346439,-9.38286694,2,B
-11 UMi,,15.2849671,71.82387844,5,K
-Bet Cir,,15.29193339,-58.80087882,4,A
-Ep Cir,,15.2941355,-63.61048662,4,K
-2 Lup,,15.29717913,-30.14866233,4,K
-,,15.30680939,20.57280967,5,G
-,,15.30725914,-0.46123725,5,K
-Mu Lup,,15.30890239,-47.87519201,4,B
-,,15.3136519,-60.49632329,5,O
-Gam TrA,,15.31519133,-68.67946723,2,A
-,,15.31566376,-40.78816875,5,B
-5 Ser,,15.32182775,1.76665611,5,F
-,,15.33476144,51.95848756,5,A
-1Omi CrB,,15.33573276,29.61631109,5,K
-13Gam UMi,,15.34548589,71.83397308,3,A
-6 Ser,,15.35056133,0.71558981,5,K
-,,15.3521224,-5.82482695,5,K
-Del Lup,,15.35620455,-40.64745946,3,B
-Phi1Lup,,15.36345457,-36.26116729,3,K
-50 Boo,,15.36350253,32.93366086,5,B
-Nu 2Lup,,15.36377039,-48.31695913,5,G
-Nu 1Lup,,15.36899835,-47.92746963,4,F
-,,15.3770128,62.04716944,5,A
-,,15.37704724,39.58149619,5,K
-,,15.37734304,63.34166375,5,K
-Ep Lup,,15.37802431,-44.68957314,3,B
-Phi2Lup,,15.38593424,-36.85843627,4,B
-,,15.38627817,-60.65710865,5,F
-2Eta CrB,,15.38672952,30.28824114,4,G
-Gam Cir,,15.38962715,-59.32069839,4,B
-,,15.39785043,-12.36941286,5,G
-31Ep Lib,,15.40331392,-10.32189476,4,F
-51Mu 1Boo,,15.4082045,37.37696091,4,F
-Up Lup,,15.41250787,-39.71013154,5,A
-12Iot Dra,,15.41549558,58.96602354,3,K
-,,15.42229234,-38.7335881,4,A
-9Tau1Ser,,15.42983476,15.42805438,5,M
-,,15.43736895,-68.30918936,5,K
-,,15.43818468,34.3358496,5,K
-,,15.4550402,-36.76750151,5,B
-,,15.45919471,-64.531457,5,K
-3Bet CrB,,15.46384775,29.10549164,3,F
-,,15.46428978,60.67022438,5,K
-32Zet1Lib,,15.4709439,-16.7164031,5,K
-10 Ser,,15.47730179,1.84216258,5,A
-,,15.49007671,-46.7326907,5,K
-34Zet3Lib,,15.51121876,-16.60945806,5,K
-52Nu 1Boo,,15.51548634,40.83306815,5,K
-,,15.51553182,64.20850517,5,K
-15The UMi,,15.52362616,77.34933897,5,K
-Kap1Ap ,,15.52522795,-73.38954647,5,B
-53Nu 2Boo,,15.52972009,40.89936876,4,A
-,,15.5435314,-19.67036366,5,A
-35Zet4Lib,,15.54867436,-16.85280725,5,B
-4The CrB,,15.5488322,31.35915517,4,B
-11 Ser,,15.54942996,-1.18629929,5,K
-,,15.56714928,-40.06634857,5,M
-37 Lib,,15.56958881,-10.06395962,4,K
-,,15.57403676,-9.18334968,5,B
-36 Lib,,15.5770304,-28.04690734,5,K
-5Alp CrB,Alphekka,15.57810819,26.71491041,2,A
-13Del Ser,,15.58005284,10.53885916,3,F
-Gam Lup,,15.58568343,-41.16669497,2,B
-6Mu CrB,,15.58747225,39.01004619,5,M
-,,15.58783805,53.9221386,5,K
-38Gam Lib,,15.59209426,-14.78955365,3,K
-,,15.59812916,-44.95833688,4,B
-,,15.59918826,54.63056806,5,A
-,,15.60337126,-44.39668903,5,M
-18Tau5Ser,,15.60810988,16.1190982,5,F
-16 Ser,,15.60820887,10.0104549,5,K
-Ep TrA,,15.61199636,-66.31690469,4,K
-39Up Lib,,15.61707183,-28.13507099,3,K
-,,15.62556739,54.50878294,5,K
-,,15.62755815,69.28321732,5,M
-,,15.6300163,-23.14151509,5,K
-54Phi Boo,,15.63043082,40.35328811,5,G
-Ome Lup,,15.63425619,-42.56748493,4,K
-,,15.63781769,46.79799524,5,F
-,,15.63784501,-21.01615303,5,K
-,,15.64283343,50.42335207,5,G
-40Tau Lib,,15.64427343,-29.77768935,3,B
-,,15.64708465,-52.37261965,5,B
-41 Lib,,15.64847424,-19.30170914,5,G
-7Zet1CrB,,15.65630105,36.63582763,4,B
-3P i1Lup,,15.66277079,-34.41189273,4,G
-,,15.66574609,-59.90781512,5,F
-42 Lib,,15.67136259,-23.81805841,4,K
-Kap2Ap ,,15.6725997,-73.44663458,5,B
-,,15.68653215,-44.66055926,4,F
-21Iot Ser,,15.69252564,19.67050566,4,A
-20Chi Ser,,15.6964977,12.84753869,5,A
-,,15.69852874,-76.08186451,5,B
-22Tau7Ser,,15.6985439,18.46389861,5,A
-43Kap Lib,,15.69911629,-19.67857446,4,K
-,,15.71065342,-37.4248964,5,G
-4P i2Lup,,15.7113992,-34.71033325,4,B
-8Gam CrB,,15.71239951,26.29551419,3,A
-,,15.71411754,52.36083046,5,B
-Rho Oct,,15.7211391,-84.46550807,5,A
-9Pi CrB,,15.73314456,32.51582804,5,G
-23P i Ser,,15.73384608,2.51552506,5,G
-16Zet UMi,,15.73429554,77.79449901,4,A
-44Eta Lib,,15.73456121,-15.67267949,5,A
-24Alp Ser,Unukalhai,15.7377766,6.42551971,2,K
-,,15.73963559,-41.81901826,5,A
-,,15.75651885,5.44732255,5,A
-25 Ser,,15.76823606,-1.80411556,5,B
-28Bet Ser,,15.76978191,15.42192602,3,A
-27Lam Ser,,15.77409608,7.35323973,4,G
-,,15.77635622,55.47460243,5,K
-,,15.77776517,62.59969448,5,A
-,,15.77895293,-34.68238898,5,B
-31Up Ser,,15.78815339,14.11527157,5,A
-,,15.7938649,55.37661523,5,A
-,,15.79808206,-65.44218988,5,A
-,,15.8036977,13.78933425,5,K
-,,15.80956008,28.15677692,5,C
-35Kap Ser,,15.81233572,18.1417793,4,M
-,,15.81578184,-3.81852811,5,A
-10Del CrB,,15.82658278,26.06854936,4,G
-32Mu Ser,,15.82701825,-3.43014112,3,A
-,,15.83264468,-48.91238226,5,A
-,,15.83530853,-53.20967534,5,B
-34Ome Ser,,15.83820259,2.19662489,5,G
-37Ep Ser,,15.84691422,4.4775798,3,A
-5Chi Lup,,15.84931715,-33.62710488,3,B
-1 Sco,,15.84965378,-25.75123489,4,B
-,,15.85189103,-55.05552532,5,B
-11Kap CrB,,15.85387148,35.65822638,4,K
-36 Ser,,15.8543465,-3.09042957,5,A
-38Rho Ser,,15.85442865,20.97787548,4,K
-,,15.8712727,55.82658167,5,G
-1Chi Her,,15.87783178,42.44998796,4,F
-45Lam Lib,,15.88890578,-20.16699405,5,B
-2 Sco,,15.89353566,-25.32708018,4,B
-46The Lib,,15.89707695,-16.7296223,4,K
-,,15.89831199,-24.53309547,5,B
-,,15.89885335,-23.97803598,5,B
-,,15.90962885,20.31086363,5,M
-2 Her,,15.91052142,43.13840642,5,M
-3 Sco,,15.91098278,-25.24367939,5,B
-47 Lib,,15.91676957,-19.38288098,5,B
-Bet TrA,,15.91911334,-63.42974973,2,F
-Kap TrA,,15.9248926,-68.60298616,5,G
-4 Sco,,15.9250285,-26.26592073,5,A
-4 Her,,15.92516957,42.56615229,5,B
-,,15.92567253,-60.17747419,5,A
-12Lam CrB,,15.92987919,37.94676324,5,F
-,,15.93498814,-60.48230498,5,A
-41Gam Ser,,15.94083173,15.66473327,3,F
-5Rho Sco,,15.94807962,-29.21401221,3,B
-Xi 1Lup,,15.9481893,-33.96602225,5,A
-Xi 2Lup,,15.94836256,-33.96415999,5,B
-Phi Ser,,15.95406796,14.41426805,5,K
-,,15.9559257,-36.1853138,5,K
-13Ep CrB,,15.95980608,26.87802632,4,K
-,,15.96124154,-20.98302564,5,B
-,,15.96322025,54.74950359,4,F
-48 Lib,,15.96982674,-14.27931773,4,B
-,,15.97635397,-24.83142974,5,B
-6Pi Sco,,15.98086685,-26.1140428,2,B
-,,15.98269316,36.64370627,5,K
-,,15.98282214,-65.03756903,5,B
-,,15.99174884,-41.74439602,4,G
-Eta Lup,,16.00203902,-38.39664079,3,B
-49 Lib,,16.00554968,-16.53238334,5,F
-7Del Sco,,16.00555881,-22.62162024,2,B
-50 Lib,,16.01323375,-8.41132413,5,A
-,,16.01421079,4.42718026,5,K
-15Rho CrB,,16.01744416,33.30538815,5,G
-5 Her,,16.02065165,17.81802578,5,G
-14Iot CrB,,16.02405295,29.85107821,4,A
-13The Dra,,16.03158437,58.56443739,4,F
-,,16.03487684,52.91600607,5,K
-44Pi Ser,,16.03824696,22.80439543,4,A
-6Up Her,,16.0466253,46.03685378,4,B
-Eta Nor,,16.05357227,-49.22972074,4,G
-,,16.05537745,36.63181986,5,A
-,,16.05574082,-25.86514891,4,K
-,,16.05672293,-38.60247122,4,B
-,,16.05872112,76.79388926,5,A
-Iot1Nor,,16.05895029,-57.77487351,4,A
-,,16.07691975,-37.86266825,5,F
-8Bet1Sco,,16.0906208,-19.80539286,2,B
-8Bet2Sco,,16.09071534,-19.80184191,4,B
-,,16.09885608,-72.40107181,5,K
-,,16.10177339,-23.60624433,5,B
-,,16.10548112,67.80998136,5,A
-Del Nor,,16.10817322,-45.17327517,4,A
-The Lup,,16.10987675,-36.80221297,4,B
-9Ome1Sco,,16.11345346,-20.66913479,3,B
-,,16.12115965,-36.75553887,5,F
-10Ome2Sco,,16.1234167,-20.8686541,4,G
-11 Sco,,16.12678906,-12.74534315,5,B
-45 Ser,,16.12709748,9.89176025,5,A
-7Kap Her,,16.13459624,17.04699349,5,G
-,,16.13542248,-26.32666483,5,M
-47 Ser,,16.14113418,8.53432477,5,M
-,,16.14547977,-23.68535317,5,B
-11Phi Her,,16.14616647,44.93481883,4,B
-16Tau CrB,,16.14953571,36.49010935,4,K
-,,16.14969463,3.45444515,5,K
-,,16.15307314,6.38050993,5,K
-Iot2Nor,,16.15515649,-57.93417299,5,B
-,,16.16403676,-3.46673076,5,K
-,,16.16461312,-33.54569572,5,B
-19 UMi,,16.18042458,75.87753079,5,B
-,,16.18392418,-29.41600661,5,K
-,,16.18826874,-41.11949816,5,F
-10 Her,,16.19390255,23.49482992,5,M
-,,16.19655686,42.37450876,5,K
-,,16.19668361,36.42516245,5,K
-14Nu Sco,,16.19992791,-19.46064684,4,B
-15P i Sco,,16.20000043,-10.06418514,4,A
-16 Sco,,16.20202481,-8.54757943,5,A
-12 Sco,,16.20445968,-28.4172057,5,B
-13 Sco,,16.20505881,-27.92631564,4,B
-9 Her,,16.22094671,5.0210989,5,K
-Zet Nor,,16.22299994,-55.54084556,5,F
-Kap Nor,,16.22464842,-54.63041289,4,G
-17Chi Sco,,16.23080791,-11.83772219,5,K
-1Del Oph,,16.23910173,-3.69397562,2,M
-,,16.23954754,-33.01104217,5,K
-17Sig CrB,,16.24473355,33.85882404,5,F
-The Nor,,16.25426315,-47.37190984,5,B
-Del TrA,,16.25729615,-63.68564897,3,G
-16 Her,,16.25796591,18.80829264,5,K
-18 Sco,,16.26031482,-8.36823651,5,G
-,,16.26383642,-57.91222851,5,A
-,,16.27868605,-53.81110764,5,M
-18Up CrB,,16.27910321,29.1503022,5,A
-Gam1Nor,,16.28359319,-50.06811224,4,F
-,,16.28485612,-67.94107968,5,A
-,,16.28759407,59.75496116,5,M
-21Eta UMi,,16.29180584,75.75470385,4,F
-,,16.30497801,-28.61377598,4,A
-2Ep Oph,,16.30534466,-4.69260809,3,G
-,,16.3167869,-14.87282262,5,K
-,,16.31978681,49.03807805,5,K
-Lam Nor,,16.32156678,-42.67394008,5,A
-,,16.32574508,-30.90676896,5,F
-22Tau Her,,16.3290133,46.31327084,3,B
-Gam2Nor,,16.33071322,-50.15537923,4,G
-,,16.33201134,39.70859042,5,F
-Del1Ap ,,16.33912085,-78.69565609,4,M
-,,16.34034183,-55.13967135,5,G
-Del2Ap ,,16.34079548,-78.66742066,5,K
-19Omi Sco,,16.34393983,-24.16928427,4,A
-20Sig Sco,,16.35314514,-25.59275259,2,B
-,,16.36353927,69.10941712,5,K
-20Gam Her,,16.36534546,19.15302185,3,A
-50Sig Ser,,16.3679,1.02892219,4,F
-19Xi CrB,,16.36830281,30.89173424,4,K
-20Nu 1CrB,,16.37261707,33.79914473,5,M
-,,16.37444614,-49.57229123,5,B
-,,16.37474275,-43.91202357,5,G
-21Nu 2CrB,,16.37478397,33.70335685,5,K
-,,16.39644162,61.69637867,5,G
-14Eta Dra,,16.39986301,61.51407536,2,G
-,,16.4003431,-39.19298857,5,G
-4P i Oph,,16.40172146,-20.03721137,4,K
-21 Her,,16.40300756,6.94817146,5,A
-,,16.4070352,55.2050456,5,A
-,,16.40882371,-37.56597007,5,B
-,,16.41103504,-29.70446361,5,G
-25 Her,,16.42337938,37.39407872,5,A
-24Ome Her,,16.42359154,14.03341514,4,B
-5Rho Oph,,16.42642254,-23.44711764,4,B
-,,16.42875787,78.96360053,5,F
-7Chi Oph,,16.45039952,-18.45619698,4,B
-Ep Nor,,16.45306883,-47.5547359,4,B
-,,16.46207137,-7.59755617,5,M
-3Up Oph,,16.46339637,-8.37170055,4,A
-Iot TrA,,16.46590946,-64.05800515,5,F
-15 Dra,,16.46640365,68.76805491,4,A
-,,16.47068268,-37.17981606,5,K
-,,16.47088434,-58.59970914,5,B
-Zet TrA,,16.47438923,-70.08467012,4,F
-,,16.4761048,0.66516717,5,K
-30 Her,,16.47736803,41.88169065,4,M
-21Alp Sco,Antares,16.49012986,-26.43194608,1,M
-,,16.49509179,-46.24321937,5,B
-,,16.49636191,-14.5508975,5,G
-22 Sco,,16.50346608,-25.11515935,4,B
-27Bet Her,,16.50368379,21.4896485,2,G
-,,16.50933449,20.47934589,5,G
-,,16.51371485,-61.63348127,5,K
-10Lam Oph,,16.51523367,1.98410056,3,A
-8Phi Oph,,16.51899859,-16.61264015,4,G
-,,16.52039936,22.19543891,5,K
-,,16.5230393,-34.70432087,4,B
-,,16.52826981,-41.81714208,5,B
-,,16.5297874,45.59818403,5,A
-9Ome Oph,,16.53560738,-21.46647783,4,A
-,,16.54045984,60.82334694,5,A
-28 Her,,16.54324337,5.52122134,5,B
-29 Her,,16.54344396,11.48823391,4,K
-Gam Ap ,,16.55762893,-78.89695917,3,K
-Mu Nor,,16.56806118,-44.04530868,4,B
-35Sig Her,,16.5683859,42.43689565,4,B
-,,16.57204705,-70.98806509,5,K
-The TrA,,16.59576971,-65.49532908,5,G
-23Tau Sco,,16.59804428,-28.21596156,2,B
-,,16.60311441,46.61332505,5,G
-16 Dra,,16.60317578,52.89997858,5,B
-17 Dra,,16.60381444,52.92435554,5,B
-12 Oph,,16.6058843,-2.32383592,5,K
-,,16.60623914,-35.25535553,4,K
-,,16.60626831,-42.85885401,5,O
-13Zet Oph,,16.61931389,-10.5671518,2,O
-,,16.63346092,56.01538883,5,K
-,,16.64063924,-43.39837584,5,B
-42 Her,,16.64580222,48.92827739,4,M
-,,16.65145421,-37.21726333,5,B
-37 Her,,16.67741306,4.21981484,5,A
-18 Dra,,16.68197761,64.58908555,4,K
-40Zet Her,,16.68818808,31.60188695,2,F
-,,16.68900441,-48.76296994,5,O
-Eta1TrA,,16.68975844,-68.2960944,5,B
-,,16.69288785,-17.74216462,4,G
-39 Her,,16.69352733,26.91698945,5,F
-,,16.69450765,-49.65154575,5,B
-14 Oph,,16.69515019,1.18110145,5,F
-,,16.69597086,-33.14562113,5,G
-,,16.6982428,-19.92447879,5,F
-44Eta Her,,16.71492737,38.92246103,3,G
-Bet Ap ,,16.71817212,-77.51657182,4,K
-,,16.71837134,77.51347098,5,F
-,,16.74437606,-53.15228963,5,G
-,,16.74516725,-40.83962254,5,B
-,,16.75005786,-28.50965621,5,A
-,,16.75494158,56.78168723,4,F
-,,16.75625144,15.74541189,5,M
-43 Her,,16.76385916,8.58257816,5,K
-22Ep UMi,,16.76615597,82.03725071,4,G
-,,16.77256318,-58.50356849,5,B
-,,16.77778168,-67.10965828,5,A
-,,16.77999208,-39.37689836,5,K
-,,16.78879558,-58.34139234,5,B
-,,16.78881801,42.23897955,5,M
-45 Her,,16.79623089,5.24684013,5,B
-Alp TrA,,16.81107382,-69.02763503,1,K
-52 Her,,16.82061092,45.9834478,4,A
-,,16.8262984,13.2611997,5,A
-Eta Ara,,16.82975317,-59.04131648,3,K
-20 Oph,,16.83054809,-10.78280069,4,F
-26Ep Sco,,16.83617915,-34.29260982,2,K
-47 Her,,16.83870852,7.24770528,5,A
-50 Her,,16.84415616,29.80654506,5,M
-21 Oph,,16.85692741,1.21598136,5,A
-,,16.85936724,-41.23053288,5,O
-51 Her,,16.86257093,24.65641963,5,K
-Mu 1Sco,,16.86451079,-38.04732717,3,B
-Mu 2Sco,,16.87226486,-38.01747781,3,B
-53 Her,,16.88281119,31.70171538,5,F
-,,16.88822003,47.41649815,5,K
-,,16.89034916,-20.41548861,5,G
-,,16.89512138,-43.05089096,5,M
-Zet1Sco,,16.89992424,-42.36201968,4,B
-,,16.90011232,-57.90920925,5,M
-25Iot Oph,,16.90013982,10.16544339,4,B
-,,16.9005106,-41.80638305,5,B
-,,16.90748371,-42.4788755,5,F
-Zet2Sco,,16.90975143,-42.36075916,3,K
-23 Oph,,16.90991987,-6.15392897,5,K
-,,16.91531534,20.95848435,5,G
-,,16.91625146,-41.15085448,5,O
-54 Her,,16.92284384,18.43318381,5,K
-,,16.92352179,-63.26962566,5,A
-19 Dra,,16.93371098,65.13467204,4,F
-,,16.94133388,-52.28364331,5,A
-24 Oph,,16.94667727,-23.15032178,5,A
-27 Sco,,16.95310334,-33.2594689,5,K
-27Kap Oph,,16.96118627,9.37505626,3,K
-,,16.97165247,-50.64109176,5,B
-Zet Ara,,16.97700854,-55.99005508,3,K
-,,16.99277282,-69.26813178,5,A
-Ep 1Ara,,16.99306851,-53.16049005,4,K
-,,16.99936219,-25.09216189,5,M
-,,17.00174643,-54.59700158,5,A
-26 Oph,,17.00263291,-24.98893659,5,F
-58Ep Her,,17.00483505,30.92633926,3,A
-,,17.00749313,-48.64756342,5,G
-,,17.01027594,-35.9339762,5,K
-,,17.01615027,22.6321519,5,K
-30 Oph,,17.01767375,-4.22245426,4,K
-59 Her,,17.02676648,33.56826922,5,A
-,,17.03129146,-32.14340148,5,B
-,,17.03851681,25.50537839,5,G
-,,17.05218222,14.0921003,4,M
-Ep 2Ara,,17.05241925,-53.23662642,5,F
-,,17.06092079,13.60542885,5,A
-,,17.06413171,-38.1524875,5,F
-,,17.07353474,-57.71210729,5,B
-,,17.08037529,-34.12292247,4,B
-21Mu Dra,,17.08893952,54.46986308,4,F
-60 Her,,17.08962783,12.74085469,4,A
-,,17.09229356,-0.8920654,5,B
-,,17.10503016,22.08424707,5,K
-,,17.10560976,-37.22753062,5,A
-,,17.13391136,35.93521504,5,A
-,,17.13745897,-17.60896664,5,K
-22Zet Dra,,17.1464514,65.71463676,3,B
-,,17.14654045,-30.40356872,5,F
-,,17.15924486,40.77701519,5,K
-,,17.16331051,-10.5230375,5,F
-35Eta Oph,,17.17296177,-15.72514757,2,A
-,,17.17843068,-44.5575511,5,G
-,,17.19407635,-48.87338828,5,M
-Eta Sco,,17.20254886,-43.23849039,3,F
-,,17.20450429,-39.50677484,5,A
-37 Oph,,17.20772381,10.58522897,5,M
-,,17.20904427,62.87422062,5,F
-,,17.21626581,-32.4383273,5,B
-,,17.22169792,-67.19637197,5,K
-64Alp1Her,Rasalgethi,17.24412845,14.39025314,2,M
-65Del Her,,17.25053449,24.83958739,3,A
-67Pi Her,,17.25079285,36.80915527,3,K
-,,17.25534646,-33.54841317,5,O
-,,17.25563764,-14.58412556,5,K
-36 Oph,,17.25591313,-26.60004896,4,K
-,,17.26002159,-38.59295116,5,G
-,,17.26152677,23.74270442,5,K
-,,17.27547734,1.21058377,5,B
-41 Oph,,17.27686266,-0.44514192,4,K
-,,17.28436509,-32.66270528,5,F
-68 Her,,17.28876958,33.10011419,4,B
-69 Her,,17.29452385,37.29134328,4,A
-39Omi Oph,,17.30019909,-24.28688289,5,K
-,,17.3064667,38.81121445,5,G
-,,17.31027377,10.86471277,5,K
-,,17.31328853,-44.12970725,5,B
-,,17.31347089,28.82298375,5,K
-,,17.31565561,-34.98957161,5,K
-,,17.31748729,-46.6365001,5,M
-,,17.32014191,-59.69459145,5,K
-,,17.32695753,80.13639898,5,K
-,,17.33606293,25.53764398,5,A
-,,17.33857379,18.05721601,5,M
-74 Her,,17.33920748,46.24068047,5,M
-72 Her,,17.3442982,32.47027246,5,G
-53Nu Ser,,17.34712098,-12.846882,4,A
-70 Her,,17.348394,24.49943984,5,A
-40Xi Oph,,17.35005841,-21.11243499,4,F
-,,17.36211468,39.97480822,5,F
-,,17.36259731,53.42042212,5,K
-Zet Ap ,,17.36653743,-67.7706496,4,K
-42The Oph,,17.36682891,-24.99948797,3,B
-Iot Ap ,,17.36829971,-70.12317887,5,B
-,,17.38187068,-37.22069314,5,K
-,,17.3820078,-58.0102893,5,G
-,,17.38530904,-56.52555632,5,G
-Iot Ara,,17.38780026,-47.4681538,5,B
-43 Oph,,17.3893308,-28.14276032,5,K
-75Rho Her,,17.39471468,37.14592396,4,B
-,,17.39933714,8.85258733,5,K
-,,17.40029895,-62.86413165,5,B
-73 Her,,17.40183743,22.96037466,5,F
-,,17.40363683,-44.1625017,5,B
-,,17.40522114,-60.6737692,5,B
-,,17.4087582,16.30107639,5,A
-,,17.41167781,-21.44141348,5,K
-Bet Ara,,17.42166588,-55.52982397,2,K
-Gam Ara,,17.42323884,-56.37768824,3,B
-,,17.42815655,60.04834069,5,A
-Kap Ara,,17.43334144,-50.63353205,5,K
-44 Oph,,17.43950482,-24.17502346,4,A
-49Sig Oph,,17.441911,4.14034239,4,K
-,,17.44387084,-5.08649188,4,F
-77 Her,,17.44562285,48.26007218,5,A
-,,17.44615702,34.69569698,5,A
-,,17.44697978,20.08093784,5,B
-,,17.44777318,-45.84296289,5,B
-,,17.4534613,-50.6303656,5,B
-45 Oph,,17.45590667,-29.86669942,4,F
-,,17.46043253,-29.7244896,5,B
-,,17.46600437,-52.29702909,5,K
-,,17.47747544,-55.16966503,5,G
-,,17.48047018,0.33057703,5,A
-,,17.48224705,-36.7782678,5,K
-,,17.50663099,-1.06250365,5,G
-23Bet Dra,,17.5072158,52.30135901,2,G
-76Lam Her,,17.512305,26.1106045,4,K
-34Up Sco,,17.512733,-37.29574016,2,B
-24 UMi,,17.51304716,86.96802383,5,A
-,,17.51538085,31.15810073,5,G
-Del Ara,,17.51832693,-60.68360667,3,B
-,,17.52259588,2.72446012,5,G
-,,17.52313449,-56.92095404,5,B
-51 Oph,,17.52359746,-23.96258036,4,A
-,,17.52429809,-80.85902834,5,M
-78 Her,,17.53043733,28.40743646,5,A
-Alp Ara,,17.53070044,-49.87598159,2,B
-27 Dra,,17.53274721,68.13470186,5,K
-24Nu 1Dra,,17.53622721,55.18411077,4,A
-23Del UMi,,17.53691588,86.58632924,4,A
-25Nu 2Dra,,17.53774416,55.17280674,4,A
-,,17.55203065,41.24359953,5,K
-,,17.55205196,-41.17305756,5,B
-,,17.556345,19.25689917,5,F
-,,17.55829711,-5.74457168,5,A
-35Lam Sco,Shaula,17.56014624,-37.10374835,1,B
-,,17.5609422,16.31770553,5,K
-53 Oph,,17.57685855,9.58672378,5,A
-,,17.57846966,-32.58165772,5,O
-,,17.57954144,-11.24200693,5,B
-55Alp Oph,Rasalhague,17.58222354,12.56057584,2,A
-26 Dra,,17.58312521,61.8758315,5,G
-1Sig Ara,,17.59433647,-46.50559076,4,A
-,,17.60912409,-38.63486521,4,G
-82 Her,,17.61045164,48.58547866,5,K
-28Ome Dra,,17.61585831,68.75718933,4,F
-,,17.61912143,72.45575693,5,G
-The Sco,,17.62197938,-42.99782155,1,F
-,,17.62425328,-50.05948478,5,K
-79 Her,,17.62530516,24.3099689,5,A
-55Xi Ser,,17.62645145,-15.39840835,3,F
-,,17.62672342,-15.57103656,5,F
-57Mu Oph,,17.63075549,-8.11872126,4,B
-Pi Ara,,17.63487953,-54.50007025,5,A
-,,17.63597582,-10.92624683,5,K
-85Iot Her,,17.65774789,46.00632216,3,B
-Lam Ara,,17.67325897,-49.41515481,4,F
-,,17.68784213,-46.92181116,5,A
-56Omi Ser,,17.69025458,-12.87517268,4,A
-,,17.69231241,6.31316423,5,G
-31P i1Dra,,17.69897418,72.14949916,4,F
-31P i1Dra,,17.69945511,72.15757591,5,G
-,,17.69962173,15.95217942,5,F
-83 Her,,17.70788815,24.56431006,5,K
-Kap Sco,,17.70813327,-39.02992092,2,B
-,,17.71419225,-36.94550742,5,K
-84 Her,,17.72267744,24.32764591,5,G
-58 Oph,,17.72384859,-21.68308566,4,F
-60Bet Oph,,17.72454914,4.56691684,2,K
-,,17.73310084,53.80175482,5,A
-Mu Ara,,17.73575474,-51.83358836,5,G
-,,17.7450016,-42.72930009,5,A
-,,17.74884553,-57.54551015,5,G
-Eta Pav,,17.76222289,-64.7237345,3,K
-86Mu Her,,17.77436636,27.72249917,3,G
-,,17.78556649,17.69704078,5,A
-3 Sgr,,17.79267418,-27.83076255,4,F
-Iot1Sco,,17.79307809,-40.12698197,2,F
-,,17.79355351,-14.72578118,5,B
-62Gam Oph,,17.79821501,2.70745875,3,A
-,,17.8068757,20.56542749,5,G
-87 Her,,17.81365252,25.62296216,5,K
-30 Dra,,17.8178705,50.78054478,5,A
-,,17.81957591,-31.70318435,4,B
-35 Dra,,17.82414913,76.96227797,5,F
-,,17.83095867,-37.04337105,3,K
-Iot2Sco,,17.83641944,-40.09042823,4,A
-,,17.83968665,29.32202669,5,K
-,,17.84121953,-53.61238082,5,B
-,,17.85904807,-40.77232768,5,M
-,,17.85985326,-60.16401809,5,K
-,,17.87046086,-34.79918358,5,B
-,,17.87215547,-34.41683044,5,G
-,,17.87651756,1.30504981,5,K
-,,17.88729442,6.10125423,5,F
-90 Her,,17.88833939,40.00783707,5,K
-,,17.88985295,-34.89510976,5,K
-32Xi Dra,,17.8921193,56.87245216,3,K
-34P i2Dra,,17.91976051,72.00513388,5,F
-89 Her,,17.9236628,26.04997848,5,F
-,,17.93078106,22.46422113,5,K
-91The Her,,17.93754959,37.25052158,3,K
-,,17.93844528,0.67035571,5,B
-,,17.93862257,-15.81236072,5,A
-33Gam Dra,Etamin,17.94343829,51.48895101,2,K
-,,17.94494973,-28.0653494,5,A
-,,17.94650712,-44.34219871,4,K
-,,17.94659672,-4.08180189,5,G
-,,17.95119524,0.06668731,5,A
-92Xi Her,,17.96273073,29.24792527,3,K
-,,17.96327959,-41.71625842,4,M
-94Nu Her,,17.97504159,30.18926892,4,F
-,,17.97751395,-28.75907603,5,B
-,,17.98213313,-36.85840855,5,G
-64Nu Oph,,17.9837771,-9.77334973,3,K
-,,17.98479993,-30.25300479,5,K
-,,17.99354576,-4.82091169,5,K
-4 Sgr,,17.99654353,-23.81601126,4,B
-,,17.99894532,45.50146059,5,M
-93 Her,,18.00095018,16.75094481,4,K
-41 Dra,,18.00251852,80.00379394,5,K
-66 Oph,,18.00438821,4.36864674,4,B
-57Zet Ser,,18.00803345,-3.69016112,4,F
-67 Oph,,18.01075431,2.93158759,3,B
-95 Her,,18.02511192,21.59568814,4,G
-68 Oph,,18.02921931,1.30510936,4,A
-,,18.03177249,-22.78029065,5,B
-96 Her,,18.03973602,20.83364838,5,B
-7 Sgr,,18.04752718,-24.28242475,5,F
-69Tau Oph,,18.05136409,-8.18025785,4,F
-9 Sgr,,18.0645679,-24.36072589,5,O
-,,18.08066382,-35.90136032,5,K
-Gam1Sgr,,18.08367292,-29.5800762,4,G
-70 Oph,,18.09089245,2.50243928,4,K
-10Gam2Sgr,,18.09681239,-30.42365007,2,K
-,,18.09711054,32.23072212,5,K
-98 Her,,18.10053019,22.21889206,4,M
-,,18.10205582,-8.32391503,5,B
-,,18.10419822,-4.75117796,5,K
-,,18.10656756,-36.01980798,5,G
-The Ara,,18.11052188,-50.09145462,3,B
-,,18.11385681,-43.42496169,4,A
-99 Her,,18.11711321,30.56186809,5,F
-71 Oph,,18.12176509,8.73379361,4,G
-72 Oph,,18.12250574,9.56365345,3,A
-,,18.12464955,43.46203247,5,G
-103Omi Her,,18.12570854,28.76247025,3,B
-,,18.13011216,-17.15430069,5,K
-100 Her,,18.1304192,26.09726716,5,A
-100 Her,,18.13043402,26.10122114,5,A
-,,18.13397424,36.40171633,5,K
-,,18.13471194,-28.45701627,4,K
-Pi Pav,,18.14299745,-63.66804844,4,A
-102 Her,,18.14597017,20.81457203,4,B
-101 Her,,18.1480162,20.04528382,5,A
-73 Oph,,18.15940668,3.99328654,5,F
-,,18.16500153,3.12029682,5,F
-,,18.16638508,36.46625671,5,G
-,,18.16827928,-30.72859747,5,K
-Iot Pav,,18.17396096,-62.00276787,5,G
-,,18.17542561,54.2859522,5,K
-,,18.17785799,3.32426855,5,K
-,,18.18487117,-41.35902019,5,F
-Ep Tel,,18.18716006,-45.95432704,4,G
-,,18.18771162,-75.89079431,5,K
-11 Sgr,,18.19536888,-23.70116777,4,K
-,,18.19586433,33.44702748,5,A
-104 Her,,18.19837968,31.4052884,4,M
-,,18.2094905,-73.67177867,5,F
-,,18.22019435,-41.33609648,5,B
-13Mu Sgr,,18.2293913,-21.05883031,3,B
-36 Dra,,18.23148847,64.39719935,4,F
-14 Sgr,,18.23775282,-21.71310708,5,K
-15 Sgr,,18.25358485,-20.7282667,5,B
-16 Sgr,,18.25360254,-20.38796936,5,B
-37 Dra,,18.25473581,68.75596485,5,K
-,,18.26077204,42.15934312,5,B
-,,18.2612953,-63.05530804,5,K
-,,18.26483152,-44.20649632,5,G
-,,18.28141412,-3.00673658,5,G
-,,18.28542707,-56.02331993,5,B
-,,18.28656366,-17.37385188,5,K
-Eta Sgr,,18.29381366,-36.76128103,3,M
-,,18.30088554,-27.04263452,4,K
-,,18.31932312,7.25976189,5,K
-105 Her,,18.31963182,24.44604619,5,K
-1Kap Lyr,,18.33103366,36.06444696,4,K
-,,18.33576901,-15.83160305,5,K
-106 Her,,18.33830655,21.9614409,4,M
-43Phi Dra,,18.34595588,71.33772734,4,A
-74 Oph,,18.34779503,3.37714467,4,G
-108 Her,,18.34915817,29.85879387,5,A
-19Del Sgr,,18.34989489,-29.82803914,2,K
-107 Her,,18.35028265,28.86983516,5,A
-44Chi Dra,,18.35064971,72.73369763,3,F
-58Eta Ser,,18.35525571,-2.897122,3,K
-,,18.35638568,-18.85998365,5,F
-,,18.3590791,49.12146945,5,M
-,,18.36908144,23.28498721,5,K
-,,18.37183447,-38.65682498,5,K
-,,18.37647589,12.02964433,5,A
-,,18.38027658,17.82657724,5,K
-,,18.38141054,-36.66949254,5,B
-,,18.38671319,-12.01470763,5,B
-Xi Pav,,18.38711682,-61.49390506,4,M
-,,18.3913392,-36.23800004,5,K
-Phi Oct,,18.39345508,-75.04432557,5,A
-Zet Sct,,18.3943205,-8.93451038,4,K
-109 Her,,18.39493521,21.77034249,3,K
-39 Dra,,18.39851359,58.8005852,4,A
-20Ep Sgr,Kaus Australis,18.40287397,-34.3843146,1,B
-2Mu Lyr,,18.40383382,39.50724983,5,A
-,,18.40506689,-44.1102013,5,B
-18 Sgr,,18.41708688,-30.75640093,5,K
-21 Sgr,,18.42250987,-20.54160918,4,A
-,,18.42744481,8.0320244,5,G
-,,18.43299211,29.82898959,5,A
-42 Dra,,18.43305219,65.56354628,4,K
-,,18.44833584,-48.11710875,5,K
-Alp Tel,,18.44956396,-45.96832919,3,B
-59 Ser,,18.45347498,0.19612982,5,G
-,,18.46374565,-29.81690216,5,F
-22Lam Sgr,,18.46618597,-25.42124732,2,K
-,,18.46632604,6.19416039,5,B
-,,18.47419831,-38.9955695,5,A
-Zet Tel,,18.48048221,-49.07003097,4,G
-Gam Sct,,18.48662553,-14.56580499,4,A
-,,18.48889469,-80.23255408,5,K
-,,18.49325288,23.86620645,5,B
-60 Ser,,18.49471179,-1.98522563,5,K
-,,18.49582324,77.54706964,5,K
-,,18.49886596,-47.22051319,5,K
-,,18.49907693,-57.52308279,5,K
-,,18.50328975,-18.72857432,5,K
-,,18.51790794,16.92860639,5,A
-,,18.51801255,-32.9890014,5,A
-Nu Pav,,18.52289626,-62.27819116,4,B
-,,18.52380356,-10.79579343,5,B
-,,18.52397242,-18.40264541,5,B
-Del1Tel,,18.52928779,-45.9147436,4,B
-,,18.5322844,-43.50736445,5,K
-61 Ser,,18.53249682,-1.00296614,5,A
-Del2Tel,,18.53387342,-45.7573539,5,B
-,,18.53925187,-39.70390941,5,A
-45 Dra,,18.54292285,57.04561627,4,F
-,,18.54536728,-14.8656543,5,K
-,,18.5461519,23.61677633,5,K
-,,18.54720801,30.55418062,5,B
-,,18.54870263,-73.96538378,5,K
-Kap1CrA,,18.55642591,-38.72593259,5,B
-The CrA,,18.5583778,-42.31245871,4,G
-,,18.56083446,-14.85359142,5,A
-24 Sgr,,18.56485771,-24.03226534,5,K
-,,18.56574962,52.35350951,5,K
-,,18.56604577,-33.01653262,5,B
-,,18.58398986,-10.97719406,5,G
-Alp Sct,,18.58678829,-8.24330819,3,K
-,,18.58683042,18.20339202,5,A
-,,18.59177634,23.6055287,5,G
-,,18.60773225,9.12281663,5,F
-,,18.61037495,33.46903738,5,B
-,,18.61085908,6.67215598,5,F
-3Alp Lyr,Vega,18.61560722,38.78299311,0,A
-,,18.62597533,62.52646287,5,A
-,,18.62665402,-0.30942411,5,A
-,,18.63178546,-21.39756504,5,A
-,,18.6418654,-23.5048456,5,B
-,,18.6481798,-21.05150199,5,G
-,,18.65396416,-47.90980354,5,A
-,,18.65977355,-43.18577561,5,M
-,,18.66677785,-7.79070788,5,K
-Del Sct,,18.7045617,-9.05255357,4,F
-46 Dra,,18.71054339,55.53940044,5,B
-Zet Pav,,18.71725939,-71.42772867,4,K
-Ep Sct,,18.7253445,-8.27524299,4,G
-,,18.72703299,-64.55131121,5,K
-Lam CrA,,18.72970586,-38.32331062,5,A
-,,18.73100396,31.92691949,5,F
-,,18.73871097,-35.64192109,4,B
-4Ep 1Lyr,,18.73898258,39.66997686,4,F
-5Ep 2Lyr,,18.73965995,39.61259557,4,A
-6Zet1Lyr,,18.7462044,37.60505025,4,A
-7Zet2Lyr,,18.74671939,37.59456466,5,F
-,,18.74711198,-25.01086335,5,B
-4 Aql,,18.7472036,2.06007487,5,B
-,,18.74920829,-39.68617292,5,K
-,,18.75746005,-64.87089771,4,A
-,,18.75787663,5.50012301,5,A
-27Phi Sgr,,18.76093138,-26.9907794,3,B
-110 Her,,18.76103644,20.54712356,4,F
-,,18.76298795,74.08535352,5,K
-,,18.7679078,26.66207055,4,K
-28 Sgr,,18.77238567,-22.39218449,5,K
-50 Dra,,18.77285107,75.43379735,5,A
-5 Aql,,18.7746063,-0.96163956,5,A
-,,18.77863282,52.98797002,5,B
-,,18.77870114,-10.12503854,5,F
-111 Her,,18.78367287,18.18122968,4,A
-Bet Sct,,18.7862437,-4.74782871,4,G
-,,18.79138224,-5.70507074,5,K
-Mu CrA,,18.79572209,-40.40612167,5,G
-The Pav,,18.81054386,-65.07748945,5,A
-Eta1CrA,,18.81401959,-43.67999681,5,A
-,,18.81482676,19.32877145,5,A
-,,18.82424488,-45.81023948,5,G
-Eta2CrA,,18.82638836,-43.4340401,5,B
-29 Sgr,,18.8278076,-20.32474038,5,K
-,,18.82804308,-5.91283415,5,K
-8Nu 1Lyr,,18.82942019,32.81283298,5,B
-9Nu 2Lyr,,18.83136802,32.55108873,5,A
-10Bet Lyr,,18.83466497,33.36267788,3,A
-,,18.84958473,-9.77410171,5,F
-47Omi Dra,,18.85333516,59.38828895,4,K
-,,18.85972262,52.97452091,5,G
-Lam Pav,,18.87028792,-62.18756062,4,B
-112 Her,,18.87123129,21.42516648,5,B
-,,18.87422387,-46.59511945,5,M
-Kap Tel,,18.87766837,-52.10713766,5,G
-,,18.88709481,50.70828894,4,G
-11Del1Lyr,,18.89543292,36.97172755,5,B
-33 Sgr,,18.9000251,-21.35979587,5,G
-32Nu 1Sgr,,18.90282646,-22.7448202,4,K
-,,18.90368115,27.90970126,5,K
-52Up Dra,,18.90660174,71.29708956,4,K
-12Del2Lyr,,18.90841352,36.89860518,4,M
-,,18.91197646,-15.60302217,5,B
-113 Her,,18.91246698,22.64507357,4,G
-,,18.91310259,48.85972353,5,F
-Chi Oct,,18.91323566,-87.60551487,5,K
-,,18.91449394,41.60272814,5,G
-,,18.91458911,33.96858048,5,G
-35Nu 2Sgr,,18.91863112,-22.67125323,5,K
-34Sig Sgr,Nunki,18.92108797,-26.29659428,2,B
-13 Lyr,,18.92224587,43.9458926,4,M
-,,18.92428954,6.61550576,5,G
-,,18.92528386,-16.37618751,5,F
-,,18.93352022,-23.17371793,5,B
-,,18.93504176,18.10579902,5,K
-63The1Ser,,18.93698898,4.20352956,4,A
-63The2Ser,,18.93739246,4.20205672,4,A
-,,18.93804794,-42.71060161,5,G
-,,18.94048352,65.25815397,5,G
-,,18.94458074,-37.34318339,5,B
-48 Dra,,18.94585539,57.81499531,5,K
-Kap Pav,,18.94917796,-67.23353511,4,F
-,,18.9504082,32.90162351,5,G
-Eta Sct,,18.95100947,-5.84621426,4,K
-64 Ser,,18.95460927,2.5353768,5,B
-36Xi 1Sgr,,18.95568824,-20.65633439,5,B
-37Xi 2Sgr,,18.96216103,-21.10662433,3,G
-,,18.96719495,38.26618277,5,B
-,,18.97076314,17.36093633,5,F
-Lam Tel,,18.97437645,-52.93860748,4,A
-Ome Pav,,18.97683186,-60.20062859,5,K
-Ep CrA,,18.97874276,-37.10708855,4,F
-10 Aql,,18.97970098,13.90677273,5,F
-14Gam Lyr,,18.98239571,32.68955312,3,B
-11 Aql,,18.98492467,13.62254853,5,F
-,,18.98994514,-12.84046242,5,B
-13Ep Aql,,18.99371922,15.06847757,4,K
-,,18.99595238,26.23043204,5,K
-15Lam Lyr,,19.00022817,32.14549051,4,K
-,,19.00098512,-66.65351408,5,K
-,,19.00379747,50.53345884,5,B
-49 Dra,,19.0120742,55.65831944,5,G
-,,19.0214881,26.29143333,5,B
-16 Lyr,,19.0239888,46.93502175,5,A
-12 Aql,,19.02801149,-5.73901832,4,K
-,,19.04102524,-24.84639516,5,K
-38Zet Sgr,,19.04353428,-29.88011429,2,A
-14 Aql,,19.04846997,-3.69900363,5,A
-,,19.05105651,-19.24565829,5,K
-Zet CrA,,19.05189794,-42.09499443,4,A
-,,19.05491289,-38.25318227,5,F
-,,19.05824525,-68.7555329,5,F
-,,19.05895527,1.81893472,5,A
-,,19.06597824,-51.01824471,5,K
-,,19.07362641,-31.04703255,5,A
-39Omi Sgr,,19.07803717,-21.74135451,3,K
-51 Dra,,19.08199155,53.39660317,5,A
-15 Aql,,19.0826832,-4.03135505,5,K
-,,19.0827287,31.74425746,5,M
-17Zet Aql,,19.09017012,13.86370983,2,A
-,,19.09477206,-15.66039343,5,B
-16Lam Aql,,19.10415275,-4.88233456,3,B
-Rho Tel,,19.10553461,-52.34063012,5,F
-Gam CrA,,19.10695543,-37.06275714,4,F
-,,19.1104678,28.6283896,5,F
-,,19.11065579,24.25075812,5,A
-,,19.11544314,-48.29911462,5,A
-40Tau Sgr,,19.11567841,-27.66981416,3,K
-18 Aql,,19.1162787,11.07130501,5,B
-18Iot Lyr,,19.12170263,36.10016754,5,B
-17 Lyr,,19.12374874,32.50166027,5,F
-,,19.13797202,-19.29028615,5,B
-Del CrA,,19.13914805,-40.4966376,4,K
-,,19.1405235,52.42586424,5,K
-19 Aql,,19.14997707,6.07339716,5,F
-59 Dra,,19.15270791,76.56079335,5,A
-Alp CrA,,19.15785508,-37.90423953,4,A
-41Pi Sgr,,19.1627316,-21.02352534,2,F
-,,19.16461731,-68.42434424,5,G
-,,19.16601499,-41.89222924,5,B
-Bet CrA,,19.16715345,-39.34070677,4,K
-53 Dra,,19.19458917,56.85909594,5,G
-19 Lyr,,19.19611418,31.2834636,5,B
-,,19.20144876,49.85423807,5,G
-57Del Dra,,19.20920972,67.66131695,3,G
-20 Aql,,19.21130657,-7.93950077,5,B
-,,19.2204638,-25.90676384,5,K
-,,19.22097662,-12.28250973,5,K
-21 Aql,,19.22852764,2.2937137,5,B
-20Eta Lyr,,19.22930243,39.14596968,4,B
-54 Dra,,19.23199019,57.70525514,5,K
-,,19.24431159,-45.19343079,5,G
-1 Sge,,19.25481643,21.23209944,5,A
-,,19.25558047,15.08367864,5,G
-,,19.25689887,30.52644519,5,M
-42P i Sgr,,19.25899921,-25.25660677,4,K
-60Tau Dra,,19.25924825,73.35521457,4,K
-1 Vul,,19.27028877,21.39044277,4,B
-,,19.27270665,-45.46606262,5,K
-21The Lyr,,19.27280428,38.13372778,4,K
-,,19.27410628,14.54461509,5,B
-22 Aql,,19.27528416,4.83482079,5,A
-1Kap Cyg,,19.28503052,53.36816064,3,K
-,,19.28672777,-66.66103756,5,A
-43 Sgr,,19.29391266,-18.95288215,4,K
-2 Vul,,19.29545424,23.02554904,5,B
-25Ome1Aql,,19.296944,11.59539126,5,F
-23 Aql,,19.30902467,1.08508548,5,K
-28 Aql,,19.32759598,12.37463918,5,F
-,,19.32777472,-35.42142487,5,B
-,,19.3377789,57.64511743,5,M
-26 Aql,,19.34245505,-5.41587489,4,G
-27 Aql,,19.34324532,-0.89216854,5,B
-,,19.34393218,-22.40260314,5,A
-58Pi Dra,,19.34446443,65.7144303,4,A
-44Rho1Sgr,,19.36121535,-17.84725155,3,F
-46Up Sgr,,19.36211722,-15.95500233,4,F
-45Rho2Sgr,,19.36412019,-18.30816237,5,K
-,,19.37264162,-0.25227829,5,G
-Bet1Sgr,,19.37730181,-44.45891013,3,B
-3 Vul,,19.38080138,26.2624297,5,B
-Eta Tel,,19.38088349,-54.42372882,5,A
-Bet2Sgr,,19.38696127,-44.79964788,4,F
-Alp Sgr,,19.3980976,-40.61564629,3,B
-,,19.39902462,43.3882371,5,G
-2 Cyg,,19.40210326,29.6213112,4,B
-31 Aql,,19.4160473,11.94285122,5,G
-,,19.41779193,-29.30920884,5,K
-47Chi1Sgr,,19.42123628,-24.50844892,5,A
-,,19.42265613,-13.89726417,5,K
-4 Vul,,19.42459542,19.79853912,5,K
-49Chi3Sgr,,19.42490874,-23.96242415,5,K
-30Del Aql,,19.42493129,3.11457923,3,F
-4 Cyg,,19.43586774,36.31786478,5,B
-,,19.43639764,-15.05325005,5,B
-5 Vul,,19.43701223,20.09782036,5,A
-50 Sgr,,19.43864824,-21.77668185,5,K
-,,19.44003514,13.02365808,5,F
-,,19.44130185,19.89161003,5,M
-32Nu Aql,,19.44196935,0.33857566,4,F
-,,19.44901951,-29.74310537,5,B
-7Iot1Cyg,,19.45721404,52.32050263,5,A
-,,19.46336742,-54.32529723,5,K
-,,19.47244353,2.9300672,5,B
-6Alp Vul,,19.4784475,24.66516482,4,M
-8 Vul,,19.48252154,24.76868131,5,K
-35 Aql,,19.48360792,1.95052861,5,A
-,,19.48947892,14.59607671,5,K
-,,19.48993637,-43.44491571,5,A
-10Iot2Cyg,,19.49509425,51.72946747,3,A
-,,19.49782566,-26.9855106,5,K
-36 Aql,,19.51106221,-2.78886135,5,M
-6Bet1Cyg,,19.51202368,27.9596948,3,K
-6Bet2Cyg,,19.51261019,27.9652789,5,B
-,,19.51970638,-68.43388713,5,K
-,,19.5220443,50.30659451,5,K
-,,19.52267061,26.61710997,5,K
-8 Cyg,,19.52953362,34.45297707,4,B
-61Sig Dra,,19.53905179,69.66540172,4,K
-,,19.54827503,-53.18560103,5,A
-,,19.55600951,-45.27168903,5,A
-38Mu Aql,,19.56811881,7.37931918,4,K
-,,19.56902283,-40.03463308,5,A
-,,19.57215572,51.23707706,5,F
-9 Vul,,19.57635776,19.77339742,5,B
-,,19.57812701,42.41258465,5,A
-9 Cyg,,19.58081072,29.46291111,5,A
-37 Aql,,19.58534812,-10.56043644,5,G
-Iot Tel,,19.58694271,-48.09911061,4,G
-51 Sgr,,19.60045817,-24.71901737,5,A
-13The Cyg,,19.60737289,50.22046347,4,F
-,,19.61057074,44.69518822,5,K
-52 Sgr,,19.61177473,-24.88356664,4,B
-41Iot Aql,,19.61202126,-1.28655047,4,B
-,,19.61456861,11.27319815,5,G
-39Kap Aql,,19.61484682,-7.02747069,4,B
-,,19.61759294,-18.23101861,5,K
-4Ep Sge,,19.62149533,16.46276921,5,G
-,,19.62624352,-14.30144432,5,F
-42 Aql,,19.62979344,-4.64750966,5,F
-,,19.64476324,54.973395,5,F
-44Sig Aql,,19.65323339,5.39778241,5,B
-12Phi Cyg,,19.65627897,30.1532335,4,G
-14 Cyg,,19.65735179,42.81821158,5,B
-5Alp Sge,,19.66827292,18.01393839,4,G
-,,19.66865192,-23.42905463,5,K
-45 Aql,,19.67869802,-0.6212928,5,A
-54 Sgr,,19.67870589,-16.29314555,5,K
-,,19.68058707,45.5246494,5,F
-6Bet Sge,,19.68414825,17.47612356,4,G
-,,19.68486896,13.81570826,5,B
-16 Cyg,,19.69696917,50.52544635,5,G
-55 Sgr,,19.70863683,-16.12397392,5,F
-47Chi Aql,,19.70944646,11.8266084,5,F
-,,19.71239015,32.42674436,5,A
-,,19.72595783,-15.46965541,5,F
-10 Vul,,19.72858823,25.77187257,5,G
-,,19.72918941,41.77308397,5,M
-15 Cyg,,19.737931,37.35426967,4,G
-,,19.73844489,69.33711857,5,A
-18Del Cyg,,19.74956725,45.13069195,2,B
-49Up Aql,,19.76108771,7.61315784,5,A
-,,19.76700442,-31.90853854,5,B
-50Gam Aql,Tarazed,19.77099171,10.61326869,2,K
-56 Sgr,,19.77272756,-19.76089482,4,K
-17 Cyg,,19.7737733,33.72868813,5,F
-7Del Sge,,19.78979589,18.53425912,3,M
-,,19.79104896,38.40761671,5,B
-Nu Tel,,19.80030601,-56.36227755,5,A
-63Ep Dra,,19.8028371,70.26783533,3,G
-52Pi Aql,,19.81168001,11.81592014,5,F
-8Zet Sge,,19.81629133,19.14197806,5,A
-,,19.82369246,-72.50341408,5,A
-,,19.83723673,-47.55736033,5,M
-19 Cyg,,19.84277401,38.72216211,5,M
-,,19.84370254,40.599778,5,B
-20 Cyg,,19.84381492,52.98816657,5,K
-,,19.84577133,-59.19363715,5,A
-53Alp Aql,Altair,19.84630057,8.86738491,0,A
-51 Aql,,19.84633416,-10.76358902,5,F
-54Omi Aql,,19.85041673,10.4160539,5,F
-12 Vul,,19.85113712,22.61008676,4,B
-,,19.86405282,-39.87433805,5,A
-,,19.86640879,47.02734867,5,O
-,,19.86710947,24.99217156,5,A
-,,19.86865875,47.93181856,5,B
-57 Sgr,,19.8700014,-19.04486185,5,K
-55Eta Aql,,19.8745455,1.00567827,3,F
-,,19.87713947,-54.97103652,5,G
-23 Cyg,,19.88815858,57.52346329,5,B
-,,19.8885342,-3.11449682,5,A
-13 Vul,,19.89102245,24.07952568,4,B
-56 Aql,,19.90229793,-8.57416489,5,K
-59Xi Aql,,19.90411715,8.46165027,4,K
-,,19.90862814,24.31939041,5,A
-57 Aql,,19.91045767,-8.22722614,5,B
-58 Aql,,19.91243674,0.27365959,5,A
-,,19.91340074,36.99565531,5,F
-Iot Sgr,,19.92102196,-41.8684135,4,K
-60Bet Aql,,19.92187948,6.40793334,3,G
-24P i Cyg,,19.92717285,52.43902327,4,A
-58Ome Sgr,,19.93061806,-26.29968718,4,G
-22 Cyg,,19.93104478,38.48670392,4,B
-,,19.9320523,58.84601982,4,K
-10 Sge,,19.93368426,16.6348159,5,G
-61Phi Aql,,19.93728685,11.42370978,5,A
-21Eta Cyg,,19.93844337,35.08349079,3,K
-59 Sgr,,19.94911802,-27.1698625,4,K
-,,19.95174539,-58.90131541,5,B
-,,19.9538507,40.36782505,5,B
-11 Sge,,19.96262183,16.78911537,5,B
-61 Sgr,,19.96583898,-15.49126255,5,A
-,,19.97721077,30.98367174,5,B
-,,19.97810497,-69.16371251,5,A
-12Gam Sge,,19.97927434,19.49209287,3,K
-60 Sgr,,19.98254898,-26.19582739,4,G
-14 Vul,,19.98627299,23.10127381,5,F
-,,19.98900416,45.77258164,5,A
-The1Sgr,,19.99560397,-35.27624433,4,B
-,,19.99652483,-9.95728408,5,F
-The2Sgr,,19.99757777,-34.69763103,5,A
-25 Cyg,,19.99866531,37.04288602,5,B
-13 Sge,,20.0009187,17.51654077,5,M
-,,20.00442182,-37.70171669,5,G
-,,20.00559967,-33.7027487,5,F
-Mu 1Pav,,20.00641847,-66.94888773,5,K
-Ep Pav,,20.00983148,-72.91018443,3,A
-,,20.01342323,-45.1129325,5,A
-,,20.01638085,8.5577688,5,K
-15 Vul,,20.01833614,27.75356392,4,A
-26 Cyg,,20.02265235,50.10467998,5,K
-64 Dra,,20.02459214,64.82100457,5,M
-,,20.02908519,24.80042535,5,B
-,,20.02908951,-59.37582804,4,M
-Mu 2Pav,,20.03122335,-66.94379223,5,K
-63 Sgr,,20.03293811,-13.63724241,5,A
-16 Vul,,20.03371501,24.93787365,5,F
-62 Sgr,,20.04429424,-27.70987972,4,M
-67Rho Dra,,20.04695756,67.87344872,4,K
-,,20.05455354,18.50104063,5,K
-,,20.05833686,16.03127337,5,B
-,,20.05928093,-37.94049103,4,K
-,,20.0602627,29.89807932,5,G
-15 Sge,,20.06846253,17.07116105,5,G
-63Tau Aql,,20.06897411,7.27793427,5,K
-,,20.07210082,-32.05626941,4,K
-62 Aql,,20.07309807,-0.70902114,5,K
-,,20.07671575,32.21862467,5,B
-16Eta Sge,,20.08596517,19.99087704,5,K
-66 Dra,,20.09242365,61.99524822,5,K
-,,20.10378856,53.16506746,5,F
-27 Cyg,,20.10609148,35.97353894,5,K
-17 Vul,,20.11483274,23.61442409,5,B
-Xi Tel,,20.12310238,-52.88080972,4,M
-64 Aql,,20.13382082,-0.67802026,5,K
-Del Pav,,20.14496114,-66.17932101,3,G
-1Kap Cep,,20.14814344,77.71136178,4,B
-28 Cyg,,20.15711576,36.83959003,4,B
-18 Vul,,20.17597912,26.90413736,5,A
-,,20.18655784,-36.09738423,5,K
-65The Aql,,20.18840688,-0.82147569,3,B
-68 Dra,,20.1929845,62.07834754,5,F
-19 Vul,,20.19665933,26.80901561,5,K
-20 Vul,,20.20019405,26.47883104,5,B
-2Xi 2Cap,,20.20715424,-12.61702214,5,F
-66 Aql,,20.22051872,-1.00926621,5,K
-30 Cyg,,20.22167833,46.81567038,4,A
-33 Cyg,,20.22327809,56.56752223,4,A
-,,20.22432478,60.6404332,5,K
-31 Cyg,,20.22719518,46.74132417,3,K
-21 Vul,,20.23736696,28.69486353,5,A
-67Rho Aql,,20.23794044,15.19746767,4,A
-,,20.23861323,-52.44564171,5,K
-29 Cyg,,20.24221735,36.8061354,4,A
-,,20.25441415,25.59196924,4,B
-,,20.25460498,-27.03253576,5,K
-,,20.25660872,33.7293702,5,K
-32 Cyg,,20.25786618,47.7142053,3,K
-22 Vul,,20.25839923,23.50892242,5,G
-23 Vul,,20.2628215,27.8142285,4,K
-,,20.26683531,45.57965867,5,F
-24 Vul,,20.27974349,24.67114227,5,G
-,,20.28202333,40.3650796,5,K
-,,20.29184236,66.85296587,5,G
-5Alp1Cap,,20.29412669,-12.50821403,4,G
-34 Cyg,,20.29644567,38.0329471,4,B
-4 Cap,,20.30038201,-21.80990013,5,G
-6Alp2Cap,,20.30089401,-12.54485877,3,G
-,,20.30194167,40.73209817,5,O
-,,20.30687723,55.3971705,5,A
-36 Cyg,,20.30795165,36.9997539,5,A
-35 Cyg,,20.31085273,34.98278431,5,F
-7Sig Cap,,20.32322201,-19.1185068,5,K
-71 Dra,,20.32686046,62.25741351,5,B
-,,20.33338644,13.54810109,5,A
-,,20.33499547,68.8802532,5,M
-,,20.33927682,17.79300261,5,K
-8Nu Cap,,20.34439076,-12.75904403,4,B
-9Bet Cap,,20.35017956,-14.78140119,3,A
-,,20.3531991,63.98008727,5,K
-25 Vul,,20.36761931,24.44611603,5,B
-,,20.36815185,45.79489737,5,K
-37Gam Cyg,,20.37047223,40.2566815,2,F
-Kap1Sgr,,20.37429983,-42.04934895,5,A
-,,20.37924859,41.02613288,5,M
-,,20.38630816,5.34307747,5,G
-,,20.39565702,37.47644822,5,B
-39 Cyg,,20.39766555,32.19018607,4,K
-Kap2Sgr,,20.39810748,-42.42290463,5,A
-,,20.42411677,-28.66327932,5,G
-Alp Pav,,20.42745823,-56.73488071,1,B
-,,20.4279233,21.40966274,5,G
-43 Cyg,,20.45061272,49.38322449,5,F
-10Pi Cap,,20.4553343,-18.21169433,5,B
-40 Cyg,,20.4595208,38.44052275,5,A
-75 Dra,,20.47068179,81.42266925,5,G
-11Rho Cap,,20.48100657,-17.81366828,4,F
-42 Cyg,,20.48899682,36.45473284,5,A
-41 Cyg,,20.48992526,30.36855661,4,F
-,,20.49086278,56.06817898,5,B
-74 Dra,,20.49092048,81.09073843,5,K
-2The Cep,,20.49300758,62.99413722,4,A
-69 Aql,,20.49415518,-2.8854763,4,K
-12Omi Cap,,20.49830328,-18.58298474,5,A
-45Ome1Cyg,,20.50098104,48.95155039,4,B
-46Ome2Cyg,,20.52189123,49.2203733,5,M
-73 Dra,,20.52511079,74.95465942,5,A
-,,20.53986486,-9.85364143,5,G
-2Ep Del,,20.55354577,11.30333217,4,B
-,,20.55489244,-80.96482633,5,G
-47 Cyg,,20.56505228,35.25086482,4,K
-,,20.56523212,46.69386159,5,B
-Nu Mic,,20.5652953,-44.51596141,5,K
-3Eta Del,,20.56583246,13.02720146,5,A
-4Zet Del,,20.58847449,14.67418482,4,A
-Phi1Pav,,20.59299116,-60.58129819,4,F
-70 Aql,,20.61211862,-2.54991814,4,K
-27 Vul,,20.61796183,26.46197499,5,B
-6Bet Del,,20.62579715,14.59520289,3,F
-Alp Ind,,20.62610824,-47.29166239,3,K
-Rho Pav,,20.62645548,-61.52974415,4,F
-5Iot Del,,20.63030446,11.37769664,5,A
-,,20.63850137,-81.28897011,5,K
-71 Aql,,20.63896486,-1.10507951,4,G
-29 Vul,,20.64202565,21.20117964,4,A
-28 Vul,,20.64219673,24.11597742,5,B
-,,20.64305234,23.68050731,5,K
-8The Del,,20.64555131,13.31512567,5,K
-,,20.64987099,30.33442469,5,K
-,,20.65138016,15.83823558,5,B
-7Kap Del,,20.65210902,10.08615196,5,G
-14Tau Cap,,20.65453229,-14.95471233,5,B
-1 Aqr,,20.65689762,0.4864919,5,K
-9Alp Del,,20.66062626,15.9120527,3,B
-Phi2Pav,,20.66729623,-60.54750937,5,F
-15Up Cap,,20.66748847,-18.1386063,5,M
-,,20.66755992,43.4590163,5,K
-,,20.67217015,-33.43193038,5,K
-,,20.67571097,-16.12435941,5,K
-49 Cyg,,20.68403891,32.30731586,5,G
-,,20.689884,-31.59814237,5,M
-50Alp Cyg,Deneb,20.69053151,45.28033423,1,A
-,,20.69902716,41.71687197,5,B
-Up Pav,,20.69918418,-66.76062542,5,B
-Mu 1Oct,,20.70070031,-76.18056892,5,F
-51 Cyg,,20.70350743,50.34002067,5,B
-76 Dra,,20.70974994,82.53110584,5,A
-4 Cep,,20.71971766,66.65736293,5,A
-11Del Del,,20.72431825,15.07468224,4,A
-Eta Ind,,20.73394074,-51.92084051,4,A
-,,20.73945579,56.48840856,5,M
-30 Vul,,20.74792311,25.27104823,4,K
-Bet Pav,,20.74932102,-66.20323826,3,A
-3Eta Cep,,20.75479684,61.83679404,3,K
-,,20.75588795,57.58029799,4,F
-52 Cyg,,20.7610442,30.7196568,4,K
-16P i Cap,,20.76826836,-25.27051682,4,F
-17 Cap,,20.76943714,-21.51399111,5,A
-53Ep Cyg,,20.77012006,33.96945334,2,K
-,,20.772231,-39.19918925,5,B
-12Gam1Del,,20.77746325,16.12462394,5,A
-12Gam2Del,,20.77764388,16.12477326,4,K
-,,20.78631233,34.37410329,4,K
-54Lam Cyg,,20.79014637,36.49073658,4,B
-,,20.79265458,80.55235152,5,K
-2Ep Aqr,,20.79459238,-9.49568988,3,A
-3 Aqr,,20.79562164,-5.02760303,4,M
-13 Del,,20.7967578,6.00824104,5,A
-,,20.79702614,47.83191224,5,K
-Iot Mic,,20.80805543,-43.98827127,5,F
-55 Cyg,,20.81563705,46.11414081,4,B
-,,20.82155707,-25.78119469,5,B
-Sig Pav,,20.82174308,-68.77640032,5,K
-Zet Ind,,20.82470255,-46.22689249,4,K
-Alp Mic,,20.83279986,-33.7796732,4,G
-56 Cyg,,20.83467543,44.0589822,5,A
-,,20.84491712,-12.54472977,5,K
-,,20.85021199,-37.91328991,5,K
-4 Aqr,,20.85713671,-5.6266358,5,F
-,,20.85784315,28.25051868,5,F
-Iot Ind,,20.8583472,-51.60816692,5,K
-,,20.86066754,-62.42921513,5,A
-18Ome Cap,,20.86369338,-26.91912642,4,K
-31 Vul,,20.86881265,27.09712771,4,G
-5 Aqr,,20.86908142,-5.50704421,5,B
-6Mu Aqr,,20.87755716,-8.98323782,4,A
-57 Cyg,,20.88742924,44.38726652,4,B
-,,20.88848851,45.18168341,5,K
-,,20.89448671,-39.80962825,5,K
-,,20.89830736,33.43780855,5,K
-32 Vul,,20.90934366,28.05763154,5,K
-,,20.91229875,75.92546706,5,G
-19 Cap,,20.91329232,-17.92285285,5,K
-Bet Ind,,20.91349433,-58.4540947,3,K
-17 Del,,20.92685526,13.72156383,5,K
-16 Del,,20.92737588,12.56850687,5,A
-,,20.93050165,47.41766542,5,B
-,,20.94039999,50.72864966,5,F
-,,20.94052435,49.19583069,5,G
-,,20.9429939,44.92472729,5,O
-,,20.94646394,-26.29621951,5,F
-7 Aqr,,20.94834162,-9.69751669,5,K
-58Nu Cyg,,20.95289212,41.16719384,3,A
-,,20.96128156,-16.03154355,5,A
-33 Vul,,20.97120911,22.32591754,5,K
-,,20.97205045,44.47154114,5,G
-18 Del,,20.9738786,10.8393695,5,G
-,,20.9750071,50.46178308,5,B
-,,20.97829804,-14.48308081,5,A
-1Ep Equ,,20.98459526,4.29384672,5,F
-,,20.98477135,4.29497561,5,G
-,,20.99037016,59.43855678,5,K
-59 Cyg,,20.99709729,47.52094507,4,B
-,,21.0010983,7.51617986,5,A
-,,21.00599004,-51.26563421,5,F
-,,21.00769385,19.32972583,5,M
-60 Cyg,,21.01970068,46.15576488,5,B
-Gam Mic,,21.02151713,-32.25776681,4,G
-,,21.03583234,56.66961137,5,B
-,,21.04084786,-38.53055847,5,K
-Zet Mic,,21.0494374,-38.63118269,5,F
-,,21.06321801,53.28582252,5,K
-12 Aqr,,21.06797567,-5.82304908,5,G
-22Eta Cap,,21.0734235,-19.85493122,4,A
-3 Equ,,21.07628991,5.50286035,5,K
-Alp Oct,,21.07861906,-77.02286938,5,F
-62Xi Cyg,,21.08218216,43.92785122,3,K
-Mu Ind,,21.087287,-54.72695035,5,K
-4 Equ,,21.09077468,5.95848857,5,F
-,,21.09144741,78.12632222,5,B
-23The Cap,,21.09910538,-17.23271095,4,A
-Del Mic,,21.10031208,-30.12495361,5,K
-,,21.10649798,71.43207905,5,F
-,,21.10685587,-32.34163849,5,K
-Eta Mic,,21.10708261,-41.38593603,5,K
-,,21.10840047,31.18466842,5,F
-63 Cyg,,21.11002448,47.64840597,4,K
-61 Cyg,,21.11412083,38.74149446,5,K
-24 Cap,,21.11880151,-25.00574796,4,K
-,,21.14241805,-63.92827112,5,K
-25Chi Cap,,21.14267025,-21.19352539,5,A
-,,21.14413133,30.20568797,5,B
-Sig Oct,,21.14611503,-88.9565112,5,F
-,,21.15597694,-73.17226994,5,G
-13Nu Aqr,,21.15988689,-11.37165474,4,G
-,,21.17098684,53.56310952,5,B
-5Gam Equ,,21.17235307,10.13194861,4,F
-,,21.19673346,59.98661923,5,B
-,,21.2037967,-40.2688284,5,F
-64Zet Cyg,,21.21560598,30.22708128,3,G
-,,21.21747985,-39.42464394,5,F
-,,21.22146311,-27.61905854,5,K
-,,21.22192701,-36.42353599,5,K
-Omi Pav,,21.222344,-70.12621725,5,M
-7Del Equ,,21.24133058,10.00771855,4,F
-65Tau Cyg,,21.24648517,38.04432043,3,F
-28Phi Cap,,21.26052514,-20.65169052,5,K
-,,21.26177546,77.01226067,5,K
-29 Cap,,21.26245211,-15.17151251,5,M
-,,21.26273229,-53.26304998,5,A
-8Alp Equ,,21.26372131,5.2480739,3,G
-67Sig Cyg,,21.29026459,39.39469016,4,B
-66Up Cyg,,21.29862997,34.8968812,4,B
-Ep Mic,,21.29895737,-32.17248551,4,A
-30 Cap,,21.29924349,-17.98513635,5,B
-15 Aqr,,21.30307388,-4.51951158,5,B
-68 Cyg,,21.30755046,43.9459669,5,O
-5Alp Cep,Alderamin,21.30960598,62.58545529,2,A
-,,21.31444811,11.20333527,5,K
-,,21.32102554,58.62350994,5,B
-,,21.32282787,38.23748156,5,F
-6 Cep,,21.32283696,64.87184231,5,B
-,,21.3246493,49.5102892,5,B
-The Ind,,21.33107883,-53.44926434,4,A
-The1Mic,,21.34599543,-40.80950852,4,A
-,,21.35117748,23.85625829,5,K
-16 Aqr,,21.35120161,-4.56015214,5,G
-9 Equ,,21.35133348,7.3545461,5,M
-,,21.36677355,49.38869874,5,K
-1 Peg,,21.36809274,19.80435581,4,K
-32Iot Cap,,21.3707715,-16.83455521,4,G
-10Bet Equ,,21.38155049,6.81111338,5,A
-17 Aqr,,21.38229762,-9.31927297,5,M
-,,21.3834643,-22.66904892,5,M
-,,21.39965003,24.27409155,5,F
-33 Cap,,21.40266615,-20.85156019,5,K
-18 Aqr,,21.40317736,-12.8781302,5,F
-The2Mic,,21.40688855,-41.00669489,5,A
-,,21.40943711,26.17454472,5,A
-,,21.41372248,80.52485397,5,G
-19 Aqr,,21.42028258,-9.74814011,5,F
-21 Aqr,,21.42137914,-3.55657786,5,K
-,,21.4220523,46.71422433,5,F
-69 Cyg,,21.42972782,36.66740768,5,B
-,,21.43965281,-37.82940289,5,K
-Gam Pav,,21.44069225,-65.36814438,4,F
-34Zet Cap,,21.44445214,-22.41137838,3,G
-,,21.44765832,48.83510521,5,A
-,,21.45046159,-42.54796563,5,A
-35 Cap,,21.45412074,-21.19612774,5,K
-70 Cyg,,21.45593451,37.11679196,5,B
-35 Vul,,21.46111944,27.60854356,5,A
-7 Cep,,21.46282148,66.80914613,5,B
-,,21.468933,32.22513677,5,F
-8Bet Cep,,21.47765973,70.56069481,3,B
-36 Cap,,21.47869889,-21.80716659,4,K
-,,21.47910758,-69.5052732,5,M
-,,21.48326586,22.179404,5,M
-71 Cyg,,21.49080919,46.54033179,5,K
-2 Peg,,21.49913323,23.63882922,4,M
-,,21.51647046,60.45944015,5,B
-22Bet Aqr,,21.52597796,-5.57115593,2,G
-Xi Gru,,21.53496142,-41.1793364,5,K
-6 P A,,21.53738196,-33.94461293,5,A
-,,21.54904936,49.97760064,5,A
-,,21.55653693,-44.8486946,5,K
-73Rho Cyg,,21.56635357,45.59206564,3,G
-72 Cyg,,21.57957705,38.53382684,4,K
-37 Cap,,21.58085251,-20.08438179,5,F
-,,21.58822953,-3.98329291,5,G
-,,21.60067837,45.37458683,5,M
-8 P A,,21.60302888,-26.17145712,5,A
-74 Cyg,,21.61582695,40.41349052,5,A
-39Ep Cap,,21.61800632,-19.46601352,4,B
-23Xi Aqr,,21.62917834,-7.85414212,4,A
-5 Peg,,21.62926898,19.31857481,5,F
-9 Cep,,21.63200744,62.08194667,4,B
-4 Peg,,21.64218715,5.77167281,5,A
-,,21.64933895,57.48904968,5,O
-,,21.65030906,20.26545357,5,F
-25 Aqr,,21.6592458,2.24376298,5,K
-40Gam Cap,,21.66815062,-16.66225343,3,A
-75 Cyg,,21.66973916,43.27380044,5,M
-Nu Oct,,21.69124253,-77.38946215,3,K
-42 Cap,,21.69248133,-14.0468604,5,G
-11 Cep,,21.69863224,71.31118695,4,K
-41 Cap,,21.70017747,-23.26262557,5,K
-,,21.70030002,35.51019572,5,C
-80Pi 1Cyg,,21.70157213,51.1896271,4,B
-26 Aqr,,21.7028098,1.28527344,5,K
-7 Peg,,21.70429027,5.68015144,5,M
-77 Cyg,,21.7063724,41.07702304,5,A
-43Kap Cap,,21.71094923,-18.86630105,4,G
-,,21.71781267,72.32018258,5,K
-44 Cap,,21.71788896,-14.39975885,5,A
-,,21.71846745,41.15499969,5,M
-79 Cyg,,21.72378525,38.28360055,5,A
-Mu Cep,,21.72512637,58.78005308,4,M
-45 Cap,,21.73360521,-14.7493955,5,A
-78Mu 1Cyg,,21.73566791,28.74322228,4,F
-8Ep Peg,Enif,21.73642787,9.87500791,2,K
-9 Peg,,21.74185847,17.35004352,4,G
-,,21.74199734,14.77221491,5,G
-10Kap Peg,,21.7440845,25.64500284,4,F
-,,21.74813427,62.46057429,5,O
-9Iot P A,,21.74910772,-33.02555306,4,B
-46 Cap,,21.75006858,-9.08242443,5,G
-10Nu Cep,,21.75748035,61.12081043,4,A
-12 Peg,,21.76787738,22.94888549,5,K
-48Lam Cap,,21.77557783,-11.36593201,5,A
-81Pi 2Cyg,,21.77989052,49.3095748,4,B
-49Del Cap,,21.78396813,-16.12656595,2,A
-11 Peg,,21.78721066,2.68613092,5,A
-12 Cep,,21.79036317,60.69269363,5,M
-10The P A,,21.79560369,-30.89830582,5,A
-,,21.80433581,-47.3028979,5,G
-14 Peg,,21.83074498,30.17427852,5,A
-,,21.83336955,-64.7124436,5,K
-13 Peg,,21.83573443,17.28595705,5,F
-Omi Ind,,21.84645156,-69.62940458,5,M
-Lam Oct,,21.84840237,-82.71882392,5,G
-,,21.85950987,19.82664938,5,B
-,,21.86695069,55.79674452,5,B
-15 Peg,,21.8749878,28.79369216,5,F
-16 Peg,,21.8843785,25.92513878,5,B
-51Mu Cap,,21.88821772,-13.55180134,5,F
-,,21.89371306,19.66838008,5,A
-Gam Gru,,21.8987928,-37.3648229,3,B
-,,21.90287279,-4.27595735,5,K
-13 Cep,,21.91476614,56.6112326,5,B
-,,21.91981642,-61.88638824,5,F
-,,21.92527528,65.32081194,5,B
-,,21.93966341,-37.25363145,5,A
-,,21.9442067,63.62556651,5,M
-17 Peg,,21.94899688,12.07652564,5,A
-Del Ind,,21.96528638,-54.9925666,4,F
-,,21.98152998,62.69795151,5,M
-16 Cep,,21.98752881,73.18028413,5,F
-,,21.98830005,-38.3950933,5,K
-12Eta P A,,22.01394862,-28.45373726,5,B
-28 Aqr,,22.01805861,0.60474348,5,K
-20 Peg,,22.01814306,13.11996136,5,F
-19 Peg,,22.01923315,8.25717124,5,K
-,,22.03071612,52.88224628,5,B
-14 Cep,,22.03460442,58.00037041,5,O
-,,22.04907718,44.64994158,5,A
-,,22.05103949,-76.11826634,5,F
-30 Aqr,,22.05456423,-6.52242698,5,K
-Ep Ind,,22.05484433,-56.77980602,4,K
-31Omi Aqr,,22.05523045,-2.15533588,4,B
-21 Peg,,22.05528392,11.38655605,5,B
-17Xi Cep,,22.06310052,64.62775425,4,A
-18 Cep,,22.06470278,63.11977885,5,M
-,,22.07687745,-26.8223356,5,B
-32 Aqr,,22.07984273,-0.90623994,5,A
-20 Cep,,22.08346658,62.78552941,5,K
-19 Cep,,22.08577535,62.27982101,5,O
-,,22.08647651,26.67361826,5,K
-23 Peg,,22.09295962,28.96400385,5,B
-22Nu Peg,,22.09463666,5.05828453,4,K
-34Alp Aqr,,22.09639591,-0.31982656,2,G
-Kap2Ind,,22.0974865,-59.63594171,5,K
-,,22.10054442,45.01438566,5,K
-Lam Gru,,22.10191767,-39.54304903,4,M
-33Iot Aqr,,22.10727926,-13.86954013,4,B
-24Iot Peg,,22.11679848,25.3450461,3,F
-,,22.12458816,19.47543631,5,F
-25 Peg,,22.13064796,21.70309155,5,B
-Alp Gru,Alnair,22.13718789,-46.96061593,1,B
-14Mu P A,,22.13970922,-32.98839827,4,A
-Up PsA,,22.14053557,-34.04372111,4,K
-35 Aqr,,22.14971962,-18.51957349,5,B
-27Pi 1Peg,,22.15379878,33.1724976,5,G
-24 Cep,,22.16343527,72.34119936,4,G
-,,22.16547537,-34.01503553,5,A
-29Pi 2Peg,,22.16645906,33.17826747,4,F
-15Tau P A,,22.1690232,-32.54844042,4,F
-26The Peg,,22.16994993,6.197789,3,A
-,,22.17602889,-4.26686395,5,K
-,,22.17707231,11.6246717,5,M
-38 Aqr,,22.17707348,-11.56495901,5,B
-,,22.17747284,70.1325139,5,F
-21Zet Cep,,22.18090608,58.20124992,3,K
-,,22.18604888,50.82328938,5,A
-22Lam Cep,,22.19182897,59.41451451,5,O
-,,22.19680975,56.83904211,5,F
-,,22.19759245,16.04059653,5,K
-,,22.20055952,60.75907189,5,K
-,,22.20224653,24.950637,5,K
-,,22.20623483,63.2910719,5,M
-,,22.21328085,34.60471273,5,K
-,,22.21949292,86.10785672,5,B
-,,22.22740282,28.60802681,5,K
-,,22.22899649,-25.18092537,5,F
-,,22.23032751,45.44060328,5,A
-,,22.23130596,39.71488928,4,K
-41 Aqr,,22.23833825,-21.07470081,5,K
-16Lam P A,,22.23853786,-27.76691218,5,B
-,,22.2456474,42.95396372,5,A
-23Ep Cep,,22.25046638,57.04346522,4,F
-Mu 1Gru,,22.26024577,-41.34675029,4,G
-1 Lac,,22.26615838,37.74873483,4,K
-,,22.27403128,57.22022542,5,G
-Mu 2Gru,,22.27404682,-41.62720198,5,G
-42 Aqr,,22.28001209,-12.83144751,5,K
-43The Aqr,,22.28054621,-7.78323706,4,G
-,,22.28127782,-9.04003734,5,K
-44 Aqr,,22.28513949,-5.38721152,5,G
-P i Oct,,22.29741549,-77.51158803,5,F
-25 Cep,,22.30349856,62.80436392,5,K
-,,22.30421737,-53.62553594,5,G
-Alp Tuc,,22.30838283,-60.25949486,2,K
-45 Aqr,,22.31686013,-13.30497087,5,K
-Ep Oct,,22.3337445,-80.43964301,5,M
-46Rho Aqr,,22.33664099,-7.82110592,5,B
-30 Peg,,22.34099026,5.78949288,5,B
-2 Lac,,22.35042452,46.53656484,4,B
-32 Peg,,22.35536877,28.33051592,4,B
-31 Peg,,22.35863091,12.20517262,4,B
-47 Aqr,,22.35988207,-21.59802435,5,K
-48Gam Aqr,,22.36091665,-1.38735315,3,A
-Pi 2Gru,,22.38549754,-45.92834717,5,F
-49 Aqr,,22.39188495,-24.76265507,5,K
-,,22.39226526,-7.19444293,5,G
-3Bet Lac,,22.39267678,52.22949951,4,G
-51 Aqr,,22.40190795,-4.83700102,5,A
-50 Aqr,,22.40750832,-13.52940359,5,K
-4 Lac,,22.40860992,49.47640074,4,B
-Nu Ind,,22.40955299,-72.25377388,5,A
-,,22.41560907,-57.79661017,5,F
-,,22.41955326,-70.4314706,5,F
-52Pi Aqr,,22.42128123,1.37739245,4,B
-,,22.43355081,70.77088542,5,K
-53 Aqr,,22.44281876,-16.74214759,5,G
-34 Peg,,22.44367165,4.39363758,5,F
-28Rho1Cep,,22.44512396,78.78594317,5,A
-26 Cep,,22.45147536,65.13227452,5,B
-Del Tuc,,22.4555203,-64.96637927,4,B
-35 Peg,,22.46429917,4.6964107,4,K
-,,22.47706698,-67.48888731,5,A
-Nu Gru,,22.47755052,-39.13140099,5,G
-55Zet1Aqr,,22.48050015,-0.02006304,3,F
-36 Peg,,22.48554236,9.12908395,5,K
-,,22.48616958,26.76320924,5,K
-27Del Cep,,22.48617998,58.4151899,4,G
-Del1Gru,,22.48782057,-43.49555433,3,G
-5 Lac,,22.49217298,47.70689488,4,M
-Del2Gru,,22.49595707,-43.74922804,4,M
-,,22.49609469,-27.10723481,5,F
-29Rho2Cep,,22.49804671,78.82433733,5,A
-37 Peg,,22.49943013,4.43205725,5,F
-38 Peg,,22.50049797,32.57267245,5,B
-6 Lac,,22.50812822,43.12338985,4,B
-57Sig Aqr,,22.51078194,-10.67788619,4,A
-7Alp Lac,,22.52149326,50.28244976,3,A
-17Bet P A,,22.52508043,-32.34602798,4,A
-Up Oct,,22.52717441,-85.96740206,5,K
-,,22.53785415,76.22646833,5,A
-,,22.54065958,39.77975511,5,A
-Nu Tuc,,22.5500035,-61.982073,4,M
-,,22.56126853,56.62463722,5,G
-60 Aqr,,22.56746913,-1.57417924,5,G
-59Up Aqr,,22.57819409,-20.70785949,5,F
-62Eta Aqr,,22.58925803,-0.11736123,4,B
-,,22.59343311,-23.99107868,5,K
-31 Cep,,22.59604907,73.64312707,5,F
-,,22.59785679,39.63434136,5,B
-,,22.60985261,-31.66369314,5,K
-Sig2Gru,,22.61633886,-40.59086511,5,A
-,,22.62023971,75.3717918,5,M
-9 Lac,,22.62290716,51.54537399,4,A
-63Kap Aqr,,22.62928361,-4.22776291,5,K
-,,22.64385201,56.79571012,5,M
-30 Cep,,22.64418183,63.5845212,5,A
-,,22.64762875,-33.08138295,5,A
-40 Peg,,22.64794946,19.52249181,5,G
-10 Lac,,22.65435525,39.05028301,4,O
-,,22.67177801,53.84597214,5,B
-,,22.67288323,-30.65836159,5,K
-11 Lac,,22.67521732,44.27628068,4,K
-18Ep PsA,,22.67759043,-27.0436148,4,B
-,,22.680238,-57.422306,5,K
-,,22.68125508,14.54886051,5,G
-42Zet Peg,,22.69102078,10.83139111,3,B
-12 Lac,,22.69129208,40.22546314,5,B
-,,22.69331721,41.54897766,5,G
-43Omi Peg,,22.69594714,29.3076892,4,A
-,,22.6992774,14.51644444,5,K
-,,22.71024367,-47.21000778,5,G
-Bet Gru,,22.71109302,-46.88456594,2,M
-44Eta Peg,,22.71670238,30.22130866,2,G
-Rho Gru,,22.7249913,-41.41411843,4,K
-66 Aqr,,22.72645904,-18.83030716,4,K
-,,22.73478116,39.46541736,5,K
-13 Lac,,22.73485708,41.81922714,5,K
-Eta Gru,,22.76051446,-53.50016316,4,K
-,,22.76133542,-46.54729992,5,K
-Bet Oct,,22.76770092,-81.38161731,4,A
-,,22.76947368,44.54597654,5,F
-47Lam Peg,,22.77551177,23.56567939,3,G
-46Xi Peg,,22.77817819,12.17408381,4,F
-,,22.79137428,83.15371558,4,K
-68 Aqr,,22.79255208,-19.61287445,5,G
-69Tau1Aqr,,22.7952086,-14.05640541,5,B
-,,22.80307415,37.41684226,5,G
-Ep Gru,,22.80922142,-51.31670354,3,A
-71Tau2Aqr,,22.8265305,-13.59253756,4,K
-32Iot Cep,,22.82803115,66.20071089,3,K
-,,22.82950794,55.90268437,5,K
-48Mu Peg,,22.8333612,24.60168486,3,M
-14 Lac,,22.83938011,41.95340325,5,B
-Xi Oct,,22.83965167,-80.12381446,5,B
-,,22.85059602,-39.15681779,5,K
-,,22.85081593,85.373461,5,K
-21 P A,,22.85581788,-29.53627381,5,G
-,,22.8562523,61.69663851,5,G
-15 Lac,,22.86720757,43.31236494,4,M
-49Sig Peg,,22.87326847,9.83555733,5,F
-22Gam P A,,22.87543275,-32.87545019,4,A
-73Lam Aqr,,22.87690679,-7.57967878,3,M
-,,22.8839663,16.84126106,5,K
-74 Aqr,,22.89130309,-11.61651887,5,B
-,,22.89448854,44.74920148,5,A
-,,22.90191966,40.37683633,5,K
-,,22.90677342,84.34611856,4,K
-76Del Aqr,,22.91084423,-15.82075994,3,A
-77 Aqr,,22.912668,-16.27174207,5,K
-,,22.91738442,37.07680479,5,F
-,,22.91970674,-4.98787812,5,K
-50Rho Peg,,22.9204512,8.81609536,4,A
-,,22.92902588,36.35139364,5,B
-23Del P A,,22.93247,-32.53970196,4,G
-16 Lac,,22.93989749,41.60388627,5,B
-,,22.94055518,49.73355094,4,K
-Tau3Gru,,22.94661726,-47.96922586,5,A
-,,22.95124828,48.68408117,5,B
-51 Peg,,22.95773629,20.7686841,5,G
-24Alp P A,Fomalhaut,22.96078488,-29.62183701,1,A
-52 Peg,,22.98661045,11.72894102,5,A
-2 P c,,22.99094515,0.96309154,5,K
-,,22.99326742,-29.46232352,5,F
-,,23.00141774,56.94538131,5,G
-,,23.00160169,-25.16398677,5,K
-,,23.01191597,3.01200821,5,K
-Zet Gru,,23.01468731,-52.75410562,4,G
-,,23.01874905,-50.95002911,5,K
-,,23.02204097,-28.85390821,5,K
-,,23.02547276,-4.71147966,5,K
-1Omi And,,23.03201291,42.32597866,3,B
-2 And,,23.04342692,42.7578062,5,A
-,,23.04563533,-20.87039619,5,K
-Pi P A,,23.05826751,-34.74961718,5,A
-,,23.05912452,67.20918487,5,K
-53Bet Peg,Scheat,23.06287038,28.08245462,2,M
-4Bet P c,,23.06461292,3.82006998,4,B
-,,23.06656379,-41.47903194,5,K
-3 And,,23.06967548,50.05168397,4,K
-Kap Gru,,23.07765857,-53.96464712,5,K
-54Alp Peg,Markab,23.07933801,15.20536786,2,B
-,,23.08115234,-68.82037973,5,F
-83 Aqr,,23.08603191,-7.69381853,5,F
-1 Ca ,,23.11022495,59.41976474,4,B
-86 Aqr,,23.11133535,-23.7431168,4,G
-The Gru,,23.1146579,-43.52032436,4,F
-Up Gru,,23.11488884,-38.89230672,5,A
-55 Peg,,23.11673773,9.40952259,4,M
-56 Peg,,23.11853866,25.46833959,4,K
-,,23.12077961,-50.68662467,5,F
-,,23.12462431,21.13437231,5,A
-4 And,,23.12757711,46.38730373,5,K
-5 And,,23.12923555,49.29545491,5,F
-33Pi Cep,,23.13162169,75.3875815,4,G
-,,23.13919343,-28.82356853,5,G
-5 P c,,23.14467811,2.12761798,5,G
-88 Aqr,,23.15743391,-21.17248555,3,K
-57 Peg,,23.15873745,8.67717165,5,M
-2 Ca ,,23.16226069,59.33268922,5,A
-,,23.16239388,-28.08857609,5,K
-89 Aqr,,23.16524358,-22.45759248,4,A
-,,23.16601132,-42.86116912,5,F
-58 Peg,,23.1670753,9.82210111,5,B
-,,23.16936637,-40.59143612,5,M
-Iot Gru,,23.17261887,-45.24664747,3,K
-6 And,,23.17426765,43.54473662,5,F
-,,23.17850606,17.59443802,5,K
-59 Peg,,23.19560967,8.72012785,5,A
-7 And,,23.20914525,49.40597489,4,F
-,,23.22076208,57.16763844,5,K
-,,23.22403012,11.06501583,5,G
-90Phi Aqr,,23.23870347,-6.0485268,4,M
-,,23.24361572,74.23125488,5,A
-,,23.24959301,-41.10512524,5,K
-,,23.25951803,-3.49637244,5,A
-,,23.26047436,70.88808538,5,F
-91P i1Aqr,,23.26479915,-9.08769554,4,K
-,,23.27771893,-44.48914171,5,K
-,,23.27838732,53.21404995,5,F
-92Chi Aqr,,23.28081957,-7.72646619,4,M
-,,23.28263009,-62.00113447,5,F
-6Gam P c,,23.28597045,3.28224524,3,G
-Gam Tuc,,23.29050334,-58.23592762,3,F
-8 And,,23.29572675,49.01528336,4,M
-93P i2Aqr,,23.29838989,-9.1824899,4,B
-Phi Gru,,23.30271836,-40.82406346,5,F
-9 And,,23.30648102,41.77370255,5,A
-34Omi Cep,,23.3103908,68.11141807,4,K
-Gam Scl,,23.31372966,-32.53183574,4,K
-95P i3Aqr,,23.31601414,-9.610731,4,A
-94 Aqr,,23.31847474,-13.45844256,5,G
-96 Aqr,,23.3232943,-5.12430243,5,F
-,,23.32336264,-18.07539972,5,K
-11 And,,23.32494109,48.62519601,5,K
-10 And,,23.33121699,42.07803394,5,M
-7 P c,,23.33903807,5.38145156,5,K
-62Tau Peg,,23.34395088,23.7403592,4,A
-63 Peg,,23.34708456,30.4150884,5,M
-12 And,,23.34810241,38.18247497,5,F
-,,23.3543086,-26.98674162,5,G
-64 Peg,,23.36525723,31.81248117,5,B
-,,23.37570131,60.13348919,5,K
-97 Aqr,,23.37752798,-15.03938012,5,A
-98 Aqr,,23.38286152,-20.10034505,3,K
-66 Peg,,23.38459921,12.3139519,5,K
-,,23.40367742,-51.89108428,5,M
-4 Ca ,,23.41395751,62.28283877,4,M
-67 Peg,,23.41411691,32.38487495,5,B
-,,23.42204854,-56.84893507,5,K
-68Up Peg,,23.4229615,23.40401243,4,F
-99 Aqr,,23.43411593,-20.64186122,4,K
-Omi Gru,,23.44348452,-52.721919,5,F
-8Kap P c,,23.44886258,1.25583758,4,A
-,,23.44997751,87.30745696,5,A
-13 And,,23.45203633,42.91196859,5,B
-,,23.45414832,-58.47627854,5,G
-,,23.4545606,70.35979323,5,A
-69 Peg,,23.4612136,25.1673687,5,A
-10The P c,,23.46615772,6.37909727,4,K
-Tau Oct,,23.46765741,-87.48224182,5,K
-,,23.4835917,-63.11062274,5,A
-70 Peg,,23.48590563,12.76049243,4,G
-,,23.50053318,58.54890978,4,B
-14 And,,23.52144376,39.2364018,5,K
-Bet Scl,,23.5494967,-37.81835895,4,B
-101 Aqr,,23.55461808,-20.91452506,4,A
-,,23.55542932,-77.38533173,5,G
-71 Peg,,23.55780214,22.49881721,5,M
-72 Peg,,23.56587592,31.32532196,4,K
-14 P c,,23.56915404,-1.24753498,5,A
-15 And,,23.57709743,40.23655244,5,A
-73 Peg,,23.57727961,33.4972759,5,K
-,,23.58036961,-15.24579181,5,K
-,,23.58306402,71.64204906,5,K
-Iot Phe,,23.58459182,-42.61510105,4,A
-16 P c,,23.60648525,2.10207138,5,F
-,,23.62556421,44.42903532,5,B
-16Lam And,,23.62602991,46.45917621,3,G
-,,23.62764972,-13.06030596,5,K
-,,23.63081536,-45.49232134,4,A
-75 Peg,,23.63243689,18.40062425,5,A
-17Iot And,,23.63560531,43.2680761,4,B
-,,23.63991366,-76.86950742,5,K
-18 And,,23.65231871,50.47173744,5,B
-,,23.65282216,75.29284842,5,A
-35Gam Cep,,23.65582834,77.63196681,3,K
-,,23.65587978,74.00261499,5,G
-102Ome1Aqr,,23.66306578,-14.22204281,4,A
-,,23.66527433,9.67732079,5,A
-17Iot P c,,23.66578342,5.62735374,4,F
-19Kap And,,23.67345605,44.33397776,4,B
-Mu Scl,,23.67728113,-32.07299489,5,K
-,,23.68579752,-11.68066248,5,K
-103 Aqr,,23.6929205,-18.02690134,5,K
-104 Aqr,,23.69605484,-17.81653327,4,G
-,,23.69908502,7.25064591,5,A
-18Lam P c,,23.70080049,1.7804172,4,A
-,,23.70772591,-15.44797581,5,K
-105Ome2Aqr,,23.71202357,-14.54474243,4,B
-77 Peg,,23.7228768,10.33150851,5,M
-78 Peg,,23.73317723,29.36155278,4,K
-,,23.73667391,-64.40453515,5,K
-106 Aqr,,23.73668394,-18.27692862,5,B
-,,23.74463391,-78.79144467,5,K
-107 Aqr,,23.76690061,-18.67836913,5,F
-20P i And,,23.76723303,46.42029095,4,G
-19 P c,,23.77320469,3.48687164,4,C
-,,23.77686811,66.78225128,5,B
-,,23.78386515,57.45137702,5,K
-5Tau Ca ,,23.78427407,58.65185164,4,K
-,,23.78776147,-11.91089898,5,K
-Sig Phe,,23.78777432,-50.22640416,5,B
-,,23.79854102,67.80681263,5,A
-20 P c,,23.79902407,-2.76161103,5,G
-6 Ca ,,23.81393746,62.21451996,5,A
-Del Scl,,23.81541108,-28.1300148,4,A
-21 P c,,23.8242988,1.07619547,5,A
-79 Peg,,23.82759792,28.84232813,5,A
-,,23.82804446,36.42539712,5,G
-,,23.83740228,-9.9743269,5,K
-,,23.84257308,-14.40143843,5,K
-80 Peg,,23.85590402,9.31350996,5,M
-108 Aqr,,23.85592272,-18.90915459,5,A
-22 P c,,23.86606395,2.93041943,5,K
-Gam1Oct,,23.86852606,-82.01876765,5,G
-81Phi Peg,,23.87480337,19.12037002,5,M
-,,23.8750134,-14.251207,5,K
-82 Peg,,23.87697716,10.94732837,5,A
-,,23.8806923,-8.99669856,5,K
-24 P c,,23.88208892,-3.15537813,5,G
-7Rho Ca ,,23.90639925,57.49939052,4,F
-,,23.91295756,0.10934429,5,M
-,,23.9523594,55.70573518,5,G
-,,23.95549448,-62.95661191,5,A
-Gam2Oct,,23.9591636,-82.16974335,5,K
-Eta Tuc,,23.95971437,-64.29808259,5,A
-84P i Peg,,23.96265266,25.14147936,4,M
-27 P c,,23.97789182,-3.55580738,4,G
-Pi Phe,,23.98214541,-52.74595629,5,K
-8Sig Ca ,,23.98348048,55.75494069,4,B
-28Ome P c,,23.98850066,6.86359373,4,F
-,,23.9910838,-29.48515314,5,K
-,,23.99148162,33.72413297,5,F
-Ep Tuc,,23.99858613,-65.57707774,4,B
-,,1.6627536667127,-56.1949725147739,5,K
-,,2.65933151749622,-11.8678770998089,5,F
-,,5.12373688605433,18.6467555582586,5,G
-,,5.27785134115813,46.006708593181,0,G
-66Alp Gem,,7.57697782948592,31.8918827889317,2,A
-,,8.744920107427,-54.7070032085306,5,
-,,9.5119377078919,-40.4665764206189,4,F
-,,9.73664253556046,-27.7693931920329,5,F
-53Xi UMa,,11.3035119198113,31.5368521599899,4,G
-53Xi UMa,,11.3035119198113,31.5368521599899,4,G
-29Gam Vir,,12.6946896478077,-1.44933013444673,3,F
-42Alp Com,,13.1667836929554,17.526962699562,5,F
-79Zet UMa,,13.398898541116,54.9208921914242,3,A
-,,15.0636048878972,47.6533332577253,5,d
-2Eta CrB,,15.3865051497143,30.2887873723128,5,G
-Xi Sco,,16.0728309493662,-11.3741501261325,4,F
-Xi Sco,,16.0728309493662,-11.3741501261325,5,F
-,,16.6885903902606,31.5957722949146,5,K
-21Mu Dra,,17.0887840325494,54.4679889670376,5,F
-,,17.172748885964,-15.728212356111,3,A
-36 Oph,,17.2561897481974,-26.5875605536023,5,K
-69Tau Oph,,18.051182117854,-8.18124153788091,5,d
-Gam CrA,,19.1067621235043,-37.0610654595946,5,F
-,,21.241368709269,10.0102469021677,5,F
-,,23.1652874122051,-22.4572994416514,5,A`;
+export const STARS_DATA = `Tau Phe,,0.01794397,-48.80985919,5,G,88
+,,0.02225348,-50.33739907,5,M,107
+The Oct,,0.02662528,-77.06529438,4,K,122
+,,0.02694969,61.22280406,5,F,124
+29 P c,,0.03039927,-3.02747891,5,B,145
+30 P c,,0.03266433,-6.01397169,4,M,154
+85 Peg,,0.03601251,27.08448905,5,G,171
+Zet Scl,,0.03886504,-29.72044805,5,B,183
+32 P c,,0.04159929,8.48557854,5,F,194
+,,0.04335616,66.09896341,5,G,207
+2 Cet,,0.06232565,-17.33597002,4,B,301
+9 Ca ,,0.07046214,62.2876646,5,A,330
+,,0.07215592,-16.52888969,5,K,343
+3 Cet,,0.07503398,-10.50949443,4,K,355
+,,0.07812589,-71.43685835,5,B,377
+,,0.07828819,67.16638761,5,K,379
+,,0.08503682,61.31396468,5,B,418
+33 P c,,0.08892938,-5.70783255,4,K,443
+86 Peg,,0.09498215,13.39628227,5,G,476
+,,0.10431626,58.43668966,5,G,518
+,,0.10518422,-49.07509405,5,G,522
+10 Ca ,,0.10736857,64.19616859,5,B,531
+,,0.12968212,-22.50847542,5,A,636
+,,0.13431035,-33.52933371,5,K,655
+,,0.13820907,-8.82402541,5,G,671
+21Alp And,Alpheratz,0.13976888,29.09082805,2,B,677
+87 Peg,,0.15064948,18.21202529,5,G,729
+11Bet Ca ,Caph,0.15280269,59.15021814,2,F,746
+Kap1Scl,,0.15583908,-27.9879039,5,F,761
+Ep Phe,,0.15681663,-45.74698836,3,K,765
+34 P c,,0.1672735,11.14580908,5,B,813
+Gam3Oct,,0.16729695,-82.22399743,5,K,814
+,,0.17190257,-5.24851713,5,K,840
+22 And,,0.17201167,46.07227117,5,F,841
+,,0.17854038,-12.57980381,5,K,873
+6 Cet,,0.18775227,-15.46732287,4,F,910
+Kap2Scl,,0.19289362,-27.7997782,5,K,930
+The Scl,,0.19552446,-35.13339606,5,F,950
+,,0.20276358,-17.93821766,5,K,983
+88Gam Peg,Algenib,0.22059721,15.18361593,2,B,1067
+,,0.22209681,-84.99402068,5,M,1074
+23 And,,0.2252598,41.03572671,5,F,1086
+,,0.22839456,-26.02215399,5,K,1096
+,,0.24099785,-7.78053784,5,M,1158
+89Chi Peg,,0.24336336,20.2066972,4,M,1168
+7 Cet,,0.24400908,-18.93268628,4,M,1170
+,,0.24847259,-9.56955053,5,B,1191
+,,0.26910712,-31.44632821,5,K,1288
+,,0.28251411,61.53319397,5,G,1354
+24The And,,0.28487101,38.68167915,4,A,1366
+,,0.28584449,47.94741495,5,B,1372
+25Sig And,,0.3054737,36.7853273,4,A,1473
+,,0.31061603,31.51723388,5,A,1493
+8Iot Cet,,0.32380084,-8.82382948,3,K,1562
+Zet Tuc,,0.33386505,-64.8776232,4,F,1599
+,,0.34010888,30.93561514,5,B,1630
+41 P c,,0.34329562,8.19024803,5,K,1645
+Pi Tuc,,0.34417857,-69.62491154,5,B,1647
+,,0.34598296,32.91122853,5,K,1657
+27Rho And,,0.35200719,37.96869954,5,F,1686
+,,0.3579841,-77.42685699,5,K,1706
+Iot Scl,,0.35866009,-28.98129509,5,K,1708
+,,0.362843,-20.05799253,5,M,1728
+,,0.40434562,52.01992467,5,B,1921
+12 Ca ,,0.41319127,61.83106347,5,B,1960
+,,0.41844046,53.04678501,5,B,1982
+44 P c,,0.42339353,1.93972374,5,G,2006
+Bet Hyi,,0.42755612,-77.25503511,2,G,2021
+Kap Phe,,0.43669894,-43.67990933,3,A,2072
+Alp Phe,Ankaa,0.43801871,-42.30512197,2,K,2081
+,,0.45407977,-25.54713325,5,K,2159
+Eta Scl,,0.46547573,-33.0070446,4,M,2210
+47 P c,,0.46745682,17.89307501,5,M,2219
+,,0.47044031,44.39448925,5,A,2225
+,,0.47400487,-39.91490183,5,M,2240
+12 Cet,,0.50065357,-3.95729662,5,M,2353
+28 And,,0.50203771,29.75169567,5,A,2355
+,,0.50553158,59.977564,5,B,2377
+,,0.50629756,-23.78771429,5,A,2381
+,,0.50721518,-48.21469821,5,F,2383
+Lam1Phe,,0.52357113,-48.80356171,4,A,2472
+,,0.52377917,33.58168169,5,K,2475
+Bet1Tuc,,0.52571132,-62.95808549,4,B,2484
+Bet2Tuc,,0.525932,-62.96544985,4,A,2487
+,,0.52811415,52.83955844,5,K,2497
+14Lam Ca ,,0.52953275,54.52232473,4,B,2505
+51 P c,,0.53993193,6.95545461,5,B,2548
+52 P c,,0.54316689,20.29443334,5,K,2568
+Bet3Tuc,,0.5454984,-63.03137868,5,A,2578
+15Kap Ca ,,0.54999626,62.93178781,4,B,2599
+,,0.55286764,54.89508062,5,K,2611
+,,0.56140586,-29.55820696,5,K,2661
+,,0.5743375,-52.37318294,5,F,2711
+13 Cet,,0.58740026,-3.59275785,5,F,2762
+14 Cet,,0.5924305,-0.50545908,5,F,2787
+Lam2Phe,,0.59475968,-48.00066027,5,F,2802
+,,0.60230209,54.16845384,5,B,2854
+,,0.60759498,60.32621728,5,A,2876
+,,0.61290861,44.48850971,5,K,2900
+53 P c,,0.61314215,15.23175994,5,B,2903
+29Pi And,,0.61467749,33.71935227,4,B,2912
+17Zet Ca ,,0.61618528,53.89693161,3,B,2920
+,,0.62216307,-24.76722545,5,K,2941
+,,0.62256277,35.39951013,5,G,2942
+30Ep And,,0.64263868,29.312369,4,G,3031
+,,0.65274638,49.35459528,5,K,3083
+31Del And,,0.65544371,30.86122579,3,K,3092
+54 P c,,0.6561374,21.2513739,5,K,3093
+55 P c,,0.66543164,21.4385644,5,F,3138
+,,0.67351556,-59.45568115,5,G,3170
+18Alp Ca ,Shedir,0.67510756,56.53740928,2,K,3179
+,,0.6784392,-4.35180551,5,K,3193
+32 And,,0.68533204,39.45867141,5,G,3231
+Mu Phe,,0.68877111,-46.08500934,4,G,3245
+Xi Phe,,0.69619497,-56.50145475,5,A,3277
+,,0.70095437,66.14761311,5,G,3299
+19Xi Ca ,,0.70107895,50.51254151,4,B,3300
+Rho Tuc,,0.70786031,-65.46813002,5,F,3330
+,,0.7115666,-60.26268184,5,K,3352
+Eta Phe,,0.72256778,-57.46309763,4,A,3405
+20Pi Ca ,,0.72446964,47.02463657,4,A,3414
+16Bet Cet,Diphda,0.7264523,-17.9866841,2,K,3419
+17Phi1Cet,,0.73650151,-10.60927365,4,K,3455
+Lam2Scl,,0.73664316,-38.42197898,5,K,3456
+,,0.7406184,47.863963,5,B,3478
+22Omi Ca ,,0.74541725,48.28438262,4,B,3504
+,,0.74567703,-22.00633247,5,F,3505
+,,0.74920103,-42.67632489,5,A,3521
+,,0.75477874,55.2214087,5,A,3544
+21 Ca ,,0.76086424,74.9881262,5,A,3572
+,,0.76262055,-47.55217573,5,G,3583
+,,0.76989701,-22.52206718,5,G,3607
+57 P c,,0.77582666,15.47561194,5,M,3632
+58 P c,,0.78372955,11.97393464,5,G,3675
+34Zet And,,0.78899727,24.26737703,4,K,3693
+60 P c,,0.78989538,6.74098135,5,G,3697
+,,0.79533382,-18.06142264,5,K,3717
+23 Ca ,,0.79611658,74.84758739,5,B,3721
+,,0.8002919,-21.72247464,5,B,3741
+,,0.80246541,72.67445774,5,K,3750
+62 P c,,0.8048179,7.29991977,5,G,3760
+,96 G. Psc,0.80625919,5.28338873,5,K,3765
+Lam Hyi,,0.80975515,-74.92335356,5,K,3781
+63Del P c,,0.81135982,7.58520186,4,K,3786
+25Nu Ca ,,0.81388703,50.96819154,4,B,3801
+64 P c,,0.81630825,16.9411337,5,F,3810
+24Eta Ca ,,0.8180835,57.8165477,3,G,3821
+,,0.82052734,-24.13652681,5,K,3834
+,,0.82376491,-13.56101709,5,K,3849
+35Nu And,,0.83023048,41.07895474,4,B,3881
+65 P c,,0.8314191,27.71031105,5,F,3885
+19Phi2Cet,,0.83547899,-10.64377045,5,F,3909
+Rho Phe,,0.84475779,-50.98692422,5,F,3949
+,,0.84543679,64.24758084,5,A,3951
+,,0.8779447,-24.00592567,5,K,4104
+20 Cet,,0.88346958,-1.1442206,4,M,4147
+,,0.88452203,61.12355735,4,F,4151
+,,0.89382743,-62.87135327,5,M,4200
+66 P c,,0.90978333,19.18843611,5,A,4267
+,,0.91465655,83.70746159,5,A,4283
+36 And,,0.91611663,23.62844595,5,K,4288
+26Up 1Cas,,0.91672028,58.97279657,4,K,4292
+Lam2Tuc,,0.91674982,-69.52697888,5,G,4293
+,,0.92844562,-7.34703997,5,K,4346
+22Phi3Cet,,0.93375167,-11.26650685,5,K,4371
+28Up 2Cas,,0.94444736,59.18116582,4,G,4422
+27Gam Ca ,,0.9451392,60.71674966,2,B,4427
+37Mu And,,0.94586046,38.49925513,3,A,4436
+,,0.94637249,60.36284769,5,B,4440
+38Eta And,,0.95345215,23.41775997,4,G,4463
+68 P c,,0.9639301,28.9922356,5,G,4510
+,,0.97060954,33.95105921,5,K,4552
+,,0.97527748,66.35182541,5,A,4572
+Alp Scl,,0.97676274,-29.35746436,4,B,4577
+23Phi4Cet,,0.97885764,-11.37993895,5,G,4587
+,,1.00098532,44.71330426,5,B,4675
+Xi Scl,,1.02172928,-38.91664868,5,K,4770
+Sig Scl,,1.04066048,-31.55204219,5,A,4852
+69Sig P c,,1.04696849,31.80433674,5,B,4889
+,,1.0469977,-46.39733801,5,G,4890
+39 And,,1.04840996,41.34519861,5,A,4903
+71Ep Psc,,1.04907107,7.89007256,4,K,4906
+25 Cet,,1.05072351,-4.83635047,5,K,4914
+,,1.06027988,61.07482982,5,F,4962
+,,1.06733002,52.50230919,5,K,4998
+,,1.0720969,61.58024409,5,F,5021
+72 P c,,1.08481985,14.94600386,5,F,5081
+74P i1Psc,,1.0947021,21.4732162,5,A,5131
+74P i1Psc,,1.09491055,21.46547318,5,A,5132
+Bet Phe,,1.10141847,-46.71849042,3,G,5165
+28 Cet,,1.101425,-9.83936845,5,A,5164
+Iot Tuc,,1.12182573,-61.77526197,5,G,5268
+30 Cet,,1.12947786,-9.78559168,5,F,5296
+Up Phe,,1.12995146,-41.48693516,5,A,5300
+79P i2Psc,,1.13253055,20.73932115,5,A,5310
+41 And,,1.13353292,43.94224107,5,A,5317
+30Mu Ca ,,1.13692251,54.92422766,5,G,5336
+80 P c,,1.13953998,5.6502213,5,F,5346
+Zet Phe,,1.13973891,-55.24583235,3,B,5348
+,,1.14262436,58.26347937,5,B,5361
+31Eta Cet,,1.14312879,-10.181928,3,K,5364
+,,1.14559982,86.25711803,4,K,5372
+42Phi And,,1.15836727,47.2418241,4,B,5434
+43Bet And,Mirach,1.16216599,35.62083048,2,M,5447
+81P i3Psc,,1.163668,19.6583854,5,G,5454
+44 And,,1.17190197,42.08157668,5,F,5493
+,,1.17206928,25.45803989,5,K,5494
+33 Cet,,1.17598814,2.44570842,5,K,5510
+31 Ca ,,1.17757375,68.77868759,5,A,5518
+33The Ca ,,1.18498074,55.14994765,4,A,5542
+82 P c,,1.18521479,31.42476555,5,F,5544
+45 And,,1.18619138,37.72413814,5,B,5550
+,,1.19042126,64.20272388,5,B,5566
+84Chi P c,,1.19088726,21.03467568,4,K,5571
+83Tau P c,,1.19432964,30.08972962,4,K,5586
+32 Ca ,,1.19482467,65.01888517,5,B,5589
+34 Cet,,1.19542848,-2.25102487,5,K,5594
+,,1.20458595,79.67397492,5,A,5626
+,,1.21260197,-37.85640391,5,A,5661
+86Zet P c,,1.22883399,7.57548895,5,A,5737
+85Phi P c,,1.22914867,24.58376482,4,K,5742
+87 P c,,1.23545783,16.13354221,5,B,5778
+37 Cet,,1.23999082,-7.9235004,5,F,5799
+38 Cet,,1.24699458,-0.97429411,5,F,5833
+Nu Phe,,1.25293547,-45.53209717,4,F,5862
+Kap Tuc,,1.26263759,-68.87623708,4,F,5896
+,,1.2699727,71.74384538,5,K,5926
+39 Cet,,1.27676298,-2.5002128,5,G,5951
+89 P c,,1.29666224,3.61452038,5,A,6061
+90Up Psc,,1.3244383,27.26408682,4,A,6193
+42 Cet,,1.33008114,-0.5089949,5,A,6226
+34Phi Ca ,,1.33469935,58.2316161,4,F,6242
+91 P c,,1.35204276,28.73838983,5,K,6315
+46Xi And,,1.37233139,45.5287566,4,K,6411
+,,1.39026457,20.4689899,5,K,6492
+,,1.39193557,-30.94550599,5,M,6502
+47 And,,1.39459883,37.71499034,5,A,6514
+45The Cet,,1.40040311,-8.18275372,3,K,6537
+,,1.40569025,-6.91466853,5,F,6564
+,,1.4113259,-41.49245885,5,K,6592
+,,1.41813208,-64.3694363,5,M,6631
+46 Cet,,1.42700257,-14.59875437,4,K,6670
+37Del Ca ,,1.43016751,60.23540347,2,A,6686
+36P i Cas,,1.4321956,68.12994739,4,K,6692
+93Rho P c,,1.43757739,19.17232096,5,F,6706
+,,1.43849971,43.45788606,5,F,6711
+94 P c,,1.44490194,19.24056476,5,K,6732
+47 Cet,,1.44765455,-13.05653391,5,F,6748
+48Ome And,,1.46085698,45.40695287,4,F,6813
+Gam Phe,,1.47276157,-43.31772906,3,K,6867
+48 Cet,,1.49336117,-21.62934677,5,A,6960
+49 And,,1.501695,47.00737711,5,K,6999
+98Mu P c,,1.50303973,6.14393314,4,K,7007
+,,1.50635465,-26.20785462,5,K,7016
+38 Ca ,,1.52042181,70.2647886,5,F,7078
+Del Phe,,1.5208282,-49.07307701,3,K,7083
+99Eta P c,,1.52472051,15.34583101,3,G,7097
+,,1.52868099,-30.28292502,5,K,7118
+,,1.54890337,-36.86518161,5,K,7213
+,,1.55714106,58.32734523,5,K,7251
+,,1.56187029,-7.02514279,5,G,7276
+39Chi Ca ,,1.56553499,59.23209665,4,K,7294
+,,1.571277,37.23719753,5,B,7321
+49 Cet,,1.57714483,-15.6763527,5,A,7345
+,,1.58029093,18.46067238,5,M,7359
+,,1.59851811,17.43378965,5,F,7447
+50 Cet,,1.59971033,-15.40021584,5,K,7450
+Tau Scl,,1.60234141,-29.9074336,5,F,7463
+50Up And,,1.61332694,41.40638491,4,F,7513
+102Pi P c,,1.6183226,12.14151058,5,F,7535
+,,1.62438329,-84.76965017,5,K,7568
+Alp Eri,Achernar,1.62854213,-57.23666007,0,B,7588
+,,1.6319389,-82.97528876,5,G,7601
+51 And,,1.6331951,48.62848641,3,K,7607
+,,1.63543436,57.97764488,5,G,7617
+,,1.64097059,-36.5279533,5,K,7643
+40 Ca ,,1.64192808,73.04007203,5,G,7650
+,,1.64769661,-21.27547447,5,F,7679
+52Chi And,,1.65583862,44.38612827,5,G,7719
+105 P c,,1.66132442,16.40588595,5,K,7740
+,p Eridani,1.66312306,-56.19644067,5,K,7751
+53Tau And,,1.67633449,40.57710624,4,B,7818
+,,1.67765566,43.29776385,5,A,7825
+106Nu P c,,1.69052987,5.48760445,4,K,7884
+,,1.69423393,30.04713542,5,K,7906
+,,1.69577724,-11.32366816,5,F,7916
+,,1.69625436,42.61380692,4,G,7918
+,,1.69665338,-60.78924102,5,K,7921
+,,1.70083755,-36.83226421,5,A,7941
+,,1.70095971,35.24576705,5,B,7943
+Pi Scl,,1.70240155,-32.32685759,5,K,7955
+43 Ca ,,1.705679,68.04304624,5,A,7965
+,,1.7080975,-53.7405747,5,F,7978
+107 P c,,1.70831938,20.27015091,5,K,7981
+,,1.71208803,-3.69011692,4,K,7999
+42 Ca ,,1.71548024,70.62255881,5,B,8016
+44 Ca ,,1.7221493,60.55137091,5,B,8046
+Phi Per,,1.72767091,50.6887655,4,B,8068
+52Tau Cet,,1.73475762,-15.93955597,3,G,8102
+110Omi P c,,1.75655241,9.15764102,4,K,8198
+Ep Scl,,1.76073734,-25.05243403,5,F,8209
+,,1.76646271,-5.73322696,5,K,8230
+,,1.76831278,-50.81621317,5,M,8240
+,,1.76837191,-53.52218065,5,A,8241
+,,1.7955734,63.85310111,5,K,8362
+4 Ari,,1.80302852,16.95563093,5,B,8387
+,,1.80722884,3.68540364,5,G,8404
+,,1.81078941,37.95293583,5,K,8423
+,,1.81157743,32.68948705,5,F,8433
+53Chi Cet,,1.82644197,-10.68618074,4,F,8497
+1 Ari,,1.83571674,22.2753566,5,K,8544
+,,1.84778166,11.0434459,5,F,8588
+,,1.84846631,-50.20612713,5,A,8593
+,,1.84919125,51.93369809,5,F,8598
+55Zet Cet,,1.85766961,-10.33494526,3,K,8645
+1 Per,,1.86647427,55.14740479,5,B,8704
+2 Per,,1.86926501,50.79286359,5,B,8714
+,,1.88113545,-16.92912351,5,F,8778
+2Alp Tri,,1.88469439,29.57939727,3,F,8796
+55 And,,1.88815331,40.72979974,5,K,8814
+5Gam2Ari,,1.892157,19.29409264,3,A,8832
+111Xi P c,,1.89259348,3.18747844,4,K,8833
+P i Phe,,1.89411658,-46.30244631,4,M,8837
+Phi Phe,,1.90612786,-42.49688104,5,A,8882
+45Ep Cas,,1.90657873,63.67014686,3,B,8886
+6Bet Ari,,1.91065251,20.80829949,2,A,8903
+Eta2Hyi,,1.91555967,-67.64748114,4,G,8928
+7 Ari,,1.93084223,23.57734317,5,K,8993
+,,1.93179823,37.27780093,5,K,9001
+Chi Eri,,1.93245347,-51.60958673,3,G,9007
+46Ome Ca ,,1.93333438,68.68526545,4,B,9009
+56 And,,1.93589718,37.251804,5,G,9021
+56 Cet,,1.94448852,-22.52671153,4,K,9061
+,,1.9527758,-47.38529869,4,G,9095
+8Iot Ari,,1.95584261,17.8175894,5,K,9110
+,,1.9621487,27.8045238,5,M,9132
+9Lam Ari,,1.96549317,23.5960961,4,F,9153
+3 Per,,1.97597211,49.204252,5,K,9222
+Alp Hyi,,1.97940884,-61.56992444,2,F,9236
+,,1.99322088,21.05860461,5,K,9307
+,,1.99388597,64.62163894,5,A,9312
+,,1.99412619,-42.03028941,5,K,9313
+57 Cet,,1.99616341,-20.82457549,5,M,9326
+59Up Cet,,2.00006244,-21.07777193,3,K,9347
+112 P c,,2.00250686,3.09763527,5,G,9353
+,,2.00743662,-8.52382616,5,M,9372
+Pi For,,2.02077676,-30.00156583,5,G,9440
+Chi Phe,,2.0284451,-44.71339037,5,K,9459
+48 Ca ,,2.03265271,70.90704605,4,A,9480
+113Alp P c,,2.03411128,2.76376048,3,A,9487
+4 Per,,2.03835394,54.48754946,4,B,9505
+,,2.04307718,13.47672808,5,M,9533
+3Ep Tri,,2.04943523,33.28415151,5,A,9570
+,,2.04959821,-15.30594985,5,K,9572
+53 Ca ,,2.05005238,64.39002289,5,B,9573
+60 Cet,,2.0532238,0.12845397,5,A,9589
+50 Ca ,,2.05727509,72.42123962,3,A,9598
+10 Ari,,2.06090623,25.93544879,5,F,9621
+,,2.06124567,-4.10336397,5,K,9622
+61 Cet,,2.06336751,-0.34014611,5,G,9631
+57Gam1And,,2.06497752,42.32984832,2,B,9640
+Nu For,,2.07484168,-29.29683966,4,B,9677
+47 Ca ,,2.08529261,77.28145654,5,F,9727
+49 Ca ,,2.09210494,76.11511028,5,G,9763
+12Kap Ari,,2.10942012,22.64840404,5,A,9836
+13Alp Ari,Hamal,2.11952383,23.46277743,2,K,9884
+58 And,,2.1414294,37.85918337,4,A,9977
+,,2.14460574,58.42360489,5,A,9990
+,,2.15259206,-43.51647088,5,K,10035
+14 Ari,,2.1570239,25.93997268,4,F,10053
+4Bet Tri,,2.15903358,34.98739204,3,A,10064
+15 Ari,,2.177095,19.50040351,5,M,10155
+64 Cet,,2.18921181,8.57008262,5,G,10212
+63 Cet,,2.19328932,-1.82534866,5,G,10234
+6 Tri,,2.20620108,30.30321507,4,F,10280
+,,2.21042005,24.16779356,5,K,10296
+66 Cet,,2.21314533,-2.3934596,5,F,10305
+17Eta Ari,,2.21332884,21.21098318,5,F,10306
+Mu For,,2.21512779,-30.72384252,5,A,10320
+65Xi 1Cet,,2.21666971,8.8467523,4,G,10324
+,,2.2169312,-21.0002366,5,K,10326
+19 Ari,,2.21756812,15.27991044,5,M,10328
+60 And,,2.22037244,44.23168903,4,K,10340
+,,2.22667214,51.06623342,5,G,10366
+Pi 1Hyi,,2.23736186,-67.84155199,5,M,10418
+,,2.24221158,-41.16670109,5,G,10440
+Pi 2Hyi,,2.25793289,-67.74633515,5,K,10513
+21 Ari,,2.26189844,25.0432553,5,F,10535
+20 Ari,,2.26275994,25.78309877,5,F,10540
+7 Tri,,2.26563753,33.35897589,5,A,10559
+Phi Eri,,2.27513896,-51.51211145,3,B,10602
+67 Cet,,2.28305263,-6.4218563,5,G,10642
+8Del Tri,,2.28400489,34.22482985,4,G,10644
+9Gam Tri,,2.28856547,33.84732099,4,A,10670
+8 Per,,2.29995026,57.89980835,5,K,10718
+,,2.30034063,1.75689975,5,G,10723
+7 Per,,2.30127764,57.51632574,5,G,10729
+22The Ari,,2.30209622,19.90116135,5,A,10732
+10 Tri,,2.31583022,28.64267411,5,A,10793
+62 And,,2.32134656,47.37998782,5,A,10819
+,,2.33173519,-55.94484169,5,K,10871
+63 And,,2.34949247,50.15154156,5,B,10944
+Del Hyi,,2.36250639,-68.6594239,4,A,11001
+69 Cet,,2.36573195,0.39569203,5,M,11021
+,,2.36706682,-10.77733458,5,F,11029
+,,2.36804921,-17.66202807,5,K,11033
+70 Cet,,2.37011301,-0.88474037,5,F,11046
+9 Per,,2.37262059,55.84565637,5,A,11060
+Kap For,,2.37567248,-23.81631542,5,G,11072
+,,2.38065612,41.39653472,5,F,11090
+Kap Hyi,,2.38124281,-73.64582097,5,K,11095
+,,2.38184843,-51.09228926,5,A,11102
+64 And,,2.40691499,50.00663318,5,G,11220
+24Xi Ari,,2.41362352,10.61059804,5,B,11249
+Lam Hor,,2.41499846,-60.31162902,5,F,11258
+65 And,,2.42705582,50.27866588,4,K,11313
+72Rho Cet,,2.4325034,-12.290452,4,A,11345
+,,2.43343779,-15.34111517,5,A,11348
+,,2.44310114,-20.04286354,5,K,11381
+Kap Eri,,2.44975138,-47.70382692,4,B,11407
+11 Tri,,2.4577189,31.80134872,5,K,11432
+Phi For,,2.46713611,-33.81105246,5,A,11477
+73Xi 2Cet,,2.46931052,8.4600887,4,B,11484
+12 Tri,,2.46944176,29.66953828,5,F,11486
+13 Tri,,2.48014962,29.93158402,5,G,11548
+Iot Ca ,,2.48444116,67.40238385,4,A,11569
+,,2.50897615,25.23521368,5,F,11670
+,,2.52502287,2.26720689,5,K,11738
+Mu Hyi,,2.52781132,-79.10924959,5,G,11757
+1Alp UMi,Polaris,2.52974312,89.26413805,1,F,11767
+76Sig Cet,,2.53479923,-15.2443199,4,F,11783
+14 Tri,,2.53503775,36.14723132,5,K,11784
+75 Cet,,2.53595453,-1.03481751,5,G,11791
+,,2.54796056,34.54245642,5,K,11840
+Lam1For,,2.55195525,-34.64992327,5,K,11867
+Ome For,,2.56408677,-28.2323401,4,B,11918
+77 Cet,,2.57849712,-7.8592885,5,K,12002
+,,2.59409508,37.3122905,5,K,12072
+15 Tri,,2.59633263,34.68768289,5,M,12086
+78Nu Cet,,2.59791361,5.59330163,4,G,12093
+80 Cet,,2.60001891,-7.83145306,5,M,12107
+,268 G. Cet,2.60106457,6.88336423,5,K,12114
+Iot1For,,2.60257679,-30.04496366,5,G,12122
+,,2.60975102,7.73007761,5,K,12148
+31 Ari,,2.61048574,12.44784628,5,F,12153
+,,2.61585531,38.73398283,5,F,12181
+Lam2For,,2.61628357,-34.57734519,5,G,12186
+Eta Hor,,2.6234069,-52.54308845,5,A,12225
+,,2.62666855,65.74535775,5,K,12239
+81 Cet,,2.62827153,-3.39606767,5,G,12247
+,,2.63391336,72.81821481,5,G,12273
+Iot2For,,2.63849879,-30.19388274,5,F,12288
+32Nu Ari,,2.64694416,21.96144509,5,A,12332
+82Del Cet,,2.65804119,0.3285168,4,B,12387
+83Ep Cet,,2.65936992,-11.87158159,4,F,12390
+Ep Hyi,,2.65978435,-68.2669476,4,B,12394
+,,2.66331092,-42.89163328,4,A,12413
+,,2.67013991,-9.45268375,5,F,12444
+Zet Hor,,2.67766108,-54.54992422,5,F,12484
+Iot Eri,,2.6777588,-39.85530905,4,K,12486
+33 Ari,,2.67806479,27.06100903,5,A,12489
+84 Cet,,2.68718634,-0.69534847,5,F,12530
+,,2.69281459,-14.54941172,5,F,12562
+,,2.70183099,-38.3837178,5,G,12608
+12 Per,,2.7041469,40.19438688,4,F,12623
+34Mu Ari,,2.70608961,20.0115769,5,A,12640
+Iot Hor,,2.70921068,-50.80082665,5,G,12653
+,,2.71651871,53.5261822,5,K,12686
+11 Per,,2.71744518,55.10607111,5,B,12692
+86Gam Cet,,2.72170126,3.23617162,3,A,12706
+35 Ari,,2.72419735,27.70717078,4,B,12719
+14 Per,,2.73476614,44.2970548,5,G,12768
+89Pi Cet,,2.73537623,-13.85867594,4,B,12770
+13The Per,,2.73657999,49.22866639,4,F,12777
+37Omi Ari,,2.74249199,15.31189952,5,B,12803
+,,2.74713058,67.82470926,5,A,12821
+87Mu Cet,,2.7489926,10.11421979,4,F,12828
+38 Ari,,2.74930761,12.44596709,5,A,12832
+1Tau1Eri,,2.75166151,-18.57265077,4,F,12843
+Gam Hor,,2.75762572,-63.70453152,5,G,12871
+Zet Hyi,,2.75903683,-67.616724,4,A,12876
+,,2.79656517,81.44866603,5,G,13055
+39 Ari,,2.79845596,29.24742385,4,K,13061
+40 Ari,,2.80890642,18.28387012,5,K,13108
+,,2.81274148,25.18807322,5,A,13121
+Nu Hor,,2.81704637,-62.80659207,5,A,13141
+Bet For,,2.8181554,-32.40628403,4,G,13147
+42Pi Ari,,2.8215438,17.46434448,5,B,13165
+Gam2For,,2.83170863,-27.94203549,5,A,13202
+41 Ari,,2.8330526,27.26079044,3,B,13209
+Eta2For,,2.83742968,-35.84368582,5,K,13225
+Nu Hyi,,2.84126023,-75.06688108,4,K,13244
+16 Per,,2.84303172,38.31890838,4,F,13254
+Eta3For,,2.84455664,-35.67571664,5,K,13265
+15Eta Per,,2.84494243,55.89552955,3,K,13268
+2Tau2Eri,,2.85065164,-21.0039789,4,K,13288
+43Sig Ari,,2.85821331,15.08212726,5,B,13327
+17 Per,,2.85856414,35.05989415,4,K,13328
+,,2.86159789,46.84200204,5,G,13339
+,,2.866319,68.88851683,5,F,13367
+P i For,,2.89287589,-38.43708698,5,F,13473
+,,2.89313026,-22.37612257,5,G,13479
+20 Per,,2.8951606,38.33767914,5,F,13490
+18Tau Per,,2.90429513,52.76248991,3,G,13531
+45Rho2Ari,,2.93013966,18.33167607,5,M,13654
+,,2.93242863,61.52106281,5,F,13665
+,,2.9371468,8.38177807,5,F,13679
+3Eta Eri,,2.94044549,-8.89760976,3,K,13701
+46Rho3Ari,,2.94055065,18.02365076,5,F,13702
+,,2.94373476,-3.71221461,5,A,13717
+21 Per,,2.95480013,31.93429432,5,B,13775
+4 Eri,,2.95658368,-23.8620767,5,A,13782
+47 Ari,,2.96807643,20.66881016,5,F,13834
+6 Eri,,2.96824664,-23.60613828,5,K,13835
+The1Eri,,2.97103212,-40.30473491,2,A,13847
+,,2.97835933,-2.78272383,5,A,13874
+22Pi Per,,2.97934735,39.66282739,4,A,13879
+Bet Hor,,2.979935,-64.07129717,4,A,13884
+24 Per,,2.98436382,35.18311415,4,K,13905
+48Ep Ari,,2.98687051,21.34044477,4,A,13914
+Zet For,,2.99335152,-25.27433851,5,F,13942
+,,2.99440778,41.03305347,5,K,13949
+5 Eri,,2.99476734,-2.46490094,5,B,13951
+91Lam Cet,,2.99524897,8.90740111,4,B,13954
+,,2.99716183,47.22063875,5,G,13965
+,,3.01224811,10.87047197,5,K,14036
+,,3.01449556,52.35179769,5,B,14043
+8Rho1Eri,,3.01943516,-7.66283629,5,K,14060
+Ep For,,3.02706953,-28.09048221,5,G,14086
+49 Ari,,3.03170844,26.46234187,5,A,14109
+,,3.0322481,-9.96139327,5,G,14110
+The Hyi,,3.03761036,-71.90249547,5,B,14131
+92Alp Cet,Menkar,3.03799418,4.08992539,2,M,14135
+93 Cet,,3.03958558,4.35287042,5,B,14143
+11Tau3Eri,,3.03988697,-23.62433613,4,A,14146
+9Rho2Eri,,3.04507202,-7.68546315,5,K,14168
+,,3.04884491,-46.97504226,5,K,14187
+Mu Hor,,3.06025103,-59.73761994,5,F,14240
+10Rho3Eri,,3.07124367,-7.60089934,5,A,14293
+23Gam Per,,3.07994173,53.50645031,2,G,14328
+25Rho Per,,3.08624916,38.84053298,3,M,14354
+52 Ari,,3.09074647,25.25519906,5,B,14376
+,,3.09234047,56.7055481,4,K,14382
+,,3.10220893,79.41851027,5,F,14417
+,,3.10657987,13.18740263,5,K,14439
+,,3.10930225,-6.08854227,5,M,14456
+,,3.12194912,64.05760178,5,B,14502
+,,3.125528,-78.98942329,5,F,14521
+26Bet Per,Algol,3.13614714,40.9556512,2,B,14576
+Iot Per,,3.1508009,49.61350009,4,G,14632
+27Kap Per,,3.1582303,44.85788896,3,K,14668
+55 Ari,,3.16020212,29.07711221,5,B,14677
+,,3.17743759,11.87269252,5,B,14764
+28Ome Per,,3.18816707,39.61157075,4,K,14817
+57Del Ari,,3.19379712,19.72669777,4,K,14838
+,,3.19523682,81.47071191,5,A,14844
+,,3.19895514,74.39386878,4,A,14862
+Alp For,,3.20118888,-28.98910623,3,F,14879
+56 Ari,,3.20395516,27.25701296,5,B,14893
+,,3.20713306,-44.41965395,5,F,14913
+,,3.20732497,6.66088598,5,K,14915
+,,3.20920552,-57.32158199,5,C,14930
+94 Cet,,3.21286767,-1.19593294,5,F,14954
+,,3.22329397,48.17699884,5,G,15004
+58Zet Ari,,3.24836521,21.04462873,4,A,15110
+,,3.25567989,30.55667481,5,A,15154
+,,3.26332572,57.14062522,5,A,15192
+13Zet Eri,,3.26389633,-8.8198405,4,A,15197
+Iot Hyi,,3.26593279,-77.38860498,5,F,15201
+,,3.27005684,50.93771066,5,G,15219
+,,3.2764423,32.18421948,5,G,15241
+,,3.29072278,-47.7517377,5,K,15305
+Zet1Ret,,3.29568586,-62.57689893,5,G,15330
+,,3.29603814,39.28341373,5,A,15334
+30 Per,,3.29648106,44.02508193,5,B,15338
+,,3.30069222,-28.797036,5,F,15357
+Zet2Ret,,3.3030936,-62.50793537,5,G,15371
+15 Eri,,3.30613767,-22.51114978,4,K,15382
+95 Cet,,3.30618855,-0.93014105,5,K,15383
+29 Per,,3.31047801,50.22223526,5,B,15404
+,,3.31140901,-18.55964006,5,F,15411
+,,3.31217331,34.2226737,4,K,15416
+31 Per,,3.31878291,50.09502752,5,B,15444
+96Kap1Cet,,3.32264969,3.36997055,4,G,15457
+16Tau4Eri,,3.32526935,-21.7579421,3,M,15474
+,,3.32636198,-24.1228468,5,M,15479
+,82 G. Eri,3.33145134,-43.07154929,4,G,15510
+59 Ari,,3.33217024,27.07130717,5,G,15514
+,,3.33312687,65.65232717,4,B,15520
+,,3.33877233,77.73490142,5,A,15547
+,,3.33899063,29.04849835,4,K,15549
+97Kap2Cet,,3.35188072,3.67568149,5,G,15619
+61Tau1Ari,,3.35378081,21.14714057,5,B,15627
+,,3.35667374,-23.63508924,5,G,15643
+32 Per,,3.35739087,43.32965174,4,A,15648
+,,3.36454772,49.07105892,5,F,15669
+62 Ari,,3.36996958,27.60757659,5,G,15696
+63Tau2Ari,,3.37924226,20.7421051,5,K,15737
+,,3.38699344,49.2133301,5,B,15770
+64 Ari,,3.40512911,24.72418789,5,K,15861
+33Alp Per,Mirphak,3.40537459,49.86124281,1,F,15863
+,,3.4082442,33.53601771,5,A,15876
+,,3.41126703,64.58599618,5,M,15890
+1Omi Tau,,3.413566,9.02906504,3,G,15900
+,,3.42673707,-69.33659399,5,F,15968
+,,3.43958881,-27.3176091,5,K,16029
+2Xi Tau,,3.45281136,9.7327724,3,B,16083
+Chi2For,,3.45926826,-35.68133899,5,K,16112
+,,3.46693002,-11.28648689,5,K,16142
+,,3.46751392,49.06293148,4,B,16147
+,,3.4724111,33.80769703,5,A,16168
+,,3.48119638,49.84844583,5,B,16210
+,,3.48448178,59.94033461,4,B,16228
+34 Per,,3.48945286,49.50901919,4,B,16244
+Kap Ret,,3.48949623,-62.93843436,4,F,16245
+,,3.4933396,-12.67474889,5,A,16263
+,,3.49854055,58.87875244,4,A,16281
+,,3.49866523,-42.63425261,5,A,16285
+,,3.49970162,-78.35178497,5,G,16290
+,,3.50006398,55.45183695,5,A,16292
+4 Tau,,3.50679886,11.33648129,5,A,16322
+35Sig Per,,3.50957839,47.99517199,4,K,16335
+,,3.51024956,-47.3751741,5,A,16339
+,,3.51025893,48.10365477,5,B,16340
+17 Eri,,3.51029163,-5.07516332,4,B,16341
+,,3.51260973,6.18874381,5,G,16358
+,,3.51435624,-66.4897181,5,B,16368
+5 Tau,,3.51454638,12.93668186,4,K,16369
+,,3.53571692,48.02353391,5,B,16470
+,,3.53880973,84.91136314,5,G,16489
+36 Per,,3.54064003,46.05704336,5,F,16499
+,,3.54297683,-50.37884857,5,K,16509
+6 Tau,,3.54331386,9.37355768,5,B,16511
+,,3.54445047,35.46172039,5,B,16518
+18Ep Eri,,3.549006,-9.45830584,3,K,16537
+,,3.55972843,39.89959026,5,A,16591
+,,3.56086163,54.97486087,5,A,16599
+19Tau5Eri,,3.56312442,-21.63281597,4,B,16611
+7 Tau,,3.574062,24.46447543,5,A,16664
+,,3.5993478,-11.19397792,5,G,16780
+20 Eri,,3.60483116,-17.46704107,5,B,16803
+37P i Per,,3.60815558,48.19270068,4,B,16826
+,,3.61314132,0.58815498,5,G,16846
+10 Tau,,3.61458859,0.40283316,4,F,16852
+,,3.61824392,-40.27451075,4,K,16870
+,,3.64145951,-7.39170945,5,G,16989
+21 Eri,,3.65031269,-5.62570656,5,K,17027
+12 Tau,,3.66420657,3.05684307,5,G,17103
+22 Eri,,3.67731475,-5.21069726,5,B,17167
+,,3.68551145,37.58026421,5,B,17203
+,,3.70259638,63.21675891,5,S,17296
+Del For,,3.70413865,-31.93839587,4,B,17304
+13 Tau,,3.70526244,19.70028593,5,B,17309
+40 Per,,3.70628987,33.96503899,4,B,17313
+,,3.71187061,59.96938466,5,K,17342
+,,3.71392279,-37.31334485,4,K,17351
+39Del Per,,3.71541169,47.7876533,3,B,17358
+23Del Eri,,3.72082113,-9.76519868,3,K,17378
+,,3.72606623,-10.48561144,5,A,17395
+Bet Ret,,3.73654302,-64.80709398,3,K,17440
+38Omi Per,,3.73864623,32.28827325,3,B,17448
+24 Eri,,3.74180777,-1.16307844,5,B,17457
+,,3.74205467,36.46020384,5,A,17460
+16 Tau,,3.74672281,24.28957712,5,B,17489
+17 Tau,,3.7479232,24.1134484,3,B,17499
+25 Eri,,3.74901737,-0.29671559,5,K,17506
+18 Tau,,3.75270189,24.83937337,5,B,17527
+41Nu Per,,3.75323428,42.57854437,3,F,17529
+19 Tau,,3.75346725,24.46737879,4,B,17531
+,,3.75441089,-47.35945424,5,K,17534
+29 Tau,,3.76123067,6.05002905,5,B,17563
+20 Tau,,3.76377586,24.36785796,3,B,17573
+21 Tau,,3.76512885,24.55462128,5,B,17579
+,,3.76645697,45.68194432,5,B,17584
+,,3.76689324,67.20188088,5,F,17585
+,,3.76731462,63.34506772,4,A,17587
+26Pi Eri,,3.76902844,-12.1017353,4,M,17593
+,,3.76926774,6.80365522,5,G,17595
+23 Tau,,3.77210009,23.94846207,4,B,17608
+Sig For,,3.77428437,-29.33816606,5,A,17618
+27Tau6Eri,,3.78083028,-23.248438,4,F,17651
+Gam Hyi,,3.78728653,-74.23924251,3,M,17678
+25Eta Tau,Alcyone,3.79140671,24.10524193,2,B,17702
+28Tau7Eri,,3.79433898,-23.87479582,5,A,17717
+Rho For,,3.79889527,-30.16732063,5,G,17738
+30 Tau,,3.80451445,11.14336637,5,B,17771
+,,3.80577895,23.42136355,5,B,17776
+,,3.80992305,-20.90293608,5,K,17798
+,,3.80995081,-37.62012878,4,A,17797
+,,3.81081008,0.22787124,5,K,17805
+,,3.818923,43.96302293,5,A,17846
+27 Tau,,3.81936977,24.05352412,3,B,17847
+28 Tau,,3.81977891,24.13682565,5,B,17851
+,,3.82047243,70.87120237,5,A,17854
+,,3.82424469,-36.2001125,4,G,17874
+,,3.82535706,65.52600645,4,M,17884
+42 Per,,3.82575068,33.09138142,5,A,17886
+,,3.82683922,63.29710438,5,A,17891
+,,3.83456984,44.96792105,5,G,17932
+,,3.83858744,25.57964862,5,A,17954
+Gam Cam,,3.83929883,71.33236777,4,A,17959
+,,3.86492121,34.3591292,5,B,18081
+31 Tau,,3.86672901,6.53491424,5,B,18089
+30 Eri,,3.87823723,-5.36124167,5,B,18141
+,,3.88609957,17.32715595,5,F,18170
+,,3.8925844,-46.8935886,5,K,18199
+,,3.89407502,48.65056848,5,K,18212
+,,3.8941456,-34.73229529,5,B,18213
+33Tau8Eri,,3.89518971,-24.61221253,4,B,18216
+,,3.89533125,57.97536931,5,A,18217
+44Zet Per,,3.90219957,31.88365776,2,B,18246
+32 Eri,,3.90485739,-2.95473348,4,G,18255
+,,3.90643845,-40.357029,5,K,18262
+,,3.92115938,-12.09905104,5,A,18339
+,,3.93282163,47.87147012,5,B,18396
+,,3.94130224,35.0809084,5,B,18434
+43 Per,,3.94345438,50.69569169,5,F,18453
+32 Tau,,3.94778688,22.47825021,5,F,18471
+,,3.95230352,61.10891703,4,K,18488
+,,3.95706542,63.07224944,4,B,18505
+45Ep Per,,3.96422809,40.01027315,2,B,18532
+34Gam Eri,,3.96714724,-13.50824471,2,M,18543
+Del Ret,,3.97909374,-61.40015059,4,M,18597
+,,3.98122812,-5.46952376,5,G,18606
+46Xi Per,,3.98274992,35.79102701,3,O,18614
+,,3.99170349,-12.57433214,5,K,18647
+36Tau9Eri,,3.99874336,-24.01625677,4,A,18673
+,,4.01128429,-30.49070974,5,A,18723
+35Lam Tau,,4.01133906,12.49037571,3,B,18724
+,,4.01352385,18.19406866,5,F,18735
+Gam Ret,,4.01494584,-62.15936923,4,M,18744
+Iot Ret,,4.0216864,-61.07905148,4,K,18772
+35 Eri,,4.02556496,-1.54962625,5,B,18788
+,,4.02948139,9.99801393,5,B,18805
+,,4.04351575,-0.26831052,5,F,18859
+38Nu Tau,,4.05260466,5.98930909,3,A,18907
+40 Tau,,4.06238995,5.43563754,5,B,18957
+,,4.06569585,8.19720135,5,F,18975
+,,4.06938545,2.82725258,5,F,18993
+36 Tau,,4.07268713,24.1060264,5,G,19009
+,,4.072974,-12.79233884,5,K,19011
+,,4.07421213,59.15550819,5,F,19018
+37 Tau,,4.07823829,22.0820679,4,K,19038
+39 Tau,,4.08893042,22.00922152,5,G,19076
+,,4.09369552,-27.65203636,5,F,19095
+,,4.10088065,68.67996526,5,K,19129
+47Lam Per,,4.10973758,50.35135022,4,A,19167
+41 Tau,,4.11011055,27.60002519,5,B,19171
+42P i Tau,,4.11681038,29.00128762,5,F,19205
+,,4.13316983,17.33992101,5,K,19284
+50 Per,,4.14347081,38.04022796,5,F,19335
+48 Per,,4.14435368,47.71259359,3,B,19343
+,,4.15043351,13.39829829,5,B,19376
+43Ome1Tau,,4.15275015,19.60929366,5,K,19388
+,,4.15495452,-16.38587725,5,B,19398
+,,4.16672884,86.62635165,5,F,19454
+,,4.16744046,80.69867409,5,G,19461
+37 Eri,,4.17292217,-6.92382327,5,G,19483
+,,4.1799268,-8.81982097,5,G,19511
+44 Tau,,4.18052249,26.48103948,5,F,19513
+Del Hor,,4.18067583,-41.99374121,4,A,19515
+,,4.18306167,33.5868138,5,K,19525
+45 Tau,,4.18894325,5.52303505,5,F,19554
+,,4.19338206,-20.35627812,5,A,19571
+38Omi1Eri,,4.19775922,-6.8377787,4,F,19587
+46 Tau,,4.22586282,7.7160341,5,F,19719
+47 Tau,,4.23233081,9.26389844,4,G,19740
+Alp Hor,,4.23335592,-42.29387294,3,K,19747
+39 Eri,,4.23991476,-10.2558889,4,K,19777
+Alp Ret,,4.24039753,-62.47397888,3,G,19780
+,,4.24339945,10.01143911,5,B,19799
+,,4.24681922,-62.19204942,5,K,19805
+52 Per,,4.24814171,40.48372394,4,G,19811
+51Mu Per,,4.24829381,48.40937312,4,G,19812
+40Omi2Eri,,4.25489948,-7.64455846,4,K,19849
+49Mu Tau,,4.25890144,8.89240989,4,B,19860
+Gam Dor,,4.26708095,-51.48709578,4,F,19893
+Ep Ret,,4.27474542,-59.30174841,4,K,19921
+,,4.27864029,53.61180318,5,A,19949
+,,4.28154112,61.85004125,5,B,19968
+,,4.28557562,57.86047655,5,K,19983
+50Ome2Tau,,4.28769059,20.57874033,4,A,19990
+,,4.28867529,-6.47215975,5,G,19996
+The Ret,,4.29451813,-63.25549171,5,B,20020
+41Up 4Eri,,4.29822737,-33.79833145,3,B,20042
+Del Men,,4.29977129,-80.21418106,5,K,20049
+,,4.30404874,50.29563944,4,A,20070
+51 Tau,,4.30642824,21.57937928,5,F,20087
+,,4.32032839,50.04883763,5,A,20156
+,,4.32129032,-44.26783026,5,K,20161
+53 Tau,,4.32391081,21.14241058,5,B,20171
+56 Tau,,4.32685749,21.77359174,5,A,20186
+54Gam Tau,,4.32987052,15.62770031,3,G,20205
+57 Tau,,4.33267633,14.03524954,5,F,20219
+,,4.33653117,50.92095135,5,B,20234
+,,4.33733814,41.80815345,5,K,20241
+52Phi Tau,,4.33923187,27.35094069,4,K,20250
+54 Per,,4.34018223,34.56674228,4,G,20252
+58 Tau,,4.34340131,15.09550358,5,F,20261
+,,4.34416588,-20.63959902,5,A,20264
+,,4.34454581,65.14045287,5,G,20266
+,,4.34479262,6.13090686,5,G,20268
+,,4.34523107,-7.59249081,5,B,20271
+Nu Men,,4.3494532,-81.58022679,5,F,20297
+,,4.35751392,-0.09786658,5,K,20341
+53 Per,,4.35920796,46.4989629,4,B,20354
+,,4.36321752,60.73590167,5,M,20376
+,,4.3643948,56.50630039,5,A,20380
+Eta Ret,,4.36478215,-63.38681514,5,G,20384
+60 Tau,,4.3676249,14.07725051,5,A,20400
+,,4.37298084,20.82141842,5,M,20417
+59Chi Tau,,4.37636956,25.62935771,5,B,20430
+61Del1Tau,,4.38222981,17.5425843,3,G,20455
+,,4.38490582,-24.89211883,5,K,20465
+63 Tau,,4.39027732,16.77732694,5,A,20484
+42Xi Eri,,4.39468898,-3.74533244,5,A,20507
+66 Tau,,4.39773267,9.46098377,5,A,20522
+43 Eri,,4.40060148,-34.01698632,3,K,20535
+64Del2Tau,,4.4015816,17.44421161,4,A,20542
+55 Per,,4.40809465,34.1308408,5,B,20579
+56 Per,,4.41039558,33.95988843,5,F,20591
+,,4.41584991,19.0420923,5,F,20614
+,,4.41815558,-61.23824628,5,K,20619
+65Kap1Tau,,4.42280521,22.29398098,4,A,20635
+67Kap2Tau,,4.42359573,22.2001124,5,A,20641
+68Del3Tau,,4.42481039,17.92798917,4,A,20648
+,,4.4350715,31.43920664,5,K,20704
+69Up Tau,,4.43844298,22.81369394,4,A,20711
+71 Tau,,4.43907547,15.6183462,4,F,20713
+73Pi Tau,,4.44343799,14.71385764,4,G,20732
+,,4.45080407,80.82421018,5,G,20776
+72 Tau,,4.45484658,22.99636881,5,B,20789
+,,4.45799167,11.21233208,5,B,20804
+,,4.46278973,-62.52121428,5,K,20825
+,,4.4668671,21.62000558,5,A,20842
+,,4.47035983,83.80776284,5,B,20860
+76 Tau,,4.47314908,14.74102599,5,F,20873
+75 Tau,,4.47399031,16.35962902,4,K,20877
+,,4.47558591,1.38087416,5,B,20884
+77The1Tau,,4.4762312,15.96221721,3,G,20885
+74Ep Tau,,4.47692591,19.18052092,3,K,20889
+,,4.477504,-19.45859808,5,K,20892
+78The2Tau,,4.47768747,15.8709468,3,A,20894
+79 Tau,,4.48058362,13.04763905,5,A,20901
+,,4.48525702,-13.04836725,5,B,20922
+,,4.50016631,83.34013144,5,G,20982
+80 Tau,,4.50237023,15.63789864,5,F,20995
+,,4.50932474,16.19407556,4,A,21029
+83 Tau,,4.51036071,13.72445018,5,F,21036
+81 Tau,,4.51078518,15.69193829,5,A,21039
+,,4.5112026,-35.65358006,5,K,21042
+Del Cae,,4.51391602,-44.95374351,5,B,21060
+45 Eri,,4.53129707,-0.04399115,4,K,21139
+1 Cam,,4.53384527,53.91084467,5,B,21148
+,,4.54376189,-3.20950026,5,B,21192
+,,4.55850598,72.52882555,5,A,21247
+50Up 1Eri,,4.55850819,-29.76583186,4,K,21248
+,,4.55947216,-62.82363051,5,K,21253
+86Rho Tau,,4.56412643,14.84448749,4,A,21273
+46 Eri,,4.5652027,-6.73889608,5,B,21278
+Alp Dor,,4.56658845,-55.04500559,3,A,21281
+,,4.56896556,5.56863495,5,A,21295
+47 Eri,,4.56990048,-8.23135939,5,M,21296
+,,4.56994214,-8.96998497,5,K,21297
+,,4.57722002,28.96120368,5,B,21323
+52Up 2Eri,,4.59251991,-30.56231049,3,G,21393
+88 Tau,,4.59423154,10.16091706,4,A,21402
+87Alp Tau,Aldebaran,4.59866679,16.50976164,0,K,21421
+48Nu Eri,,4.60531682,-3.352448,3,B,21444
+,,4.60673125,64.26162001,5,A,21452
+58 Per,,4.61150934,41.26485467,4,G,21476
+,,4.61268823,-62.07698129,5,M,21479
+,,4.62046562,0.99832711,5,B,21515
+51 Eri,,4.62669628,-2.47339212,5,F,21547
+89 Tau,,4.63593787,16.03338888,5,F,21588
+90 Tau,,4.63594491,12.51087423,4,A,21589
+53 Eri,,4.63635303,-14.303587,3,K,21594
+,,4.6377329,20.68474222,5,B,21604
+,,4.64822048,-12.12307828,4,A,21644
+,,4.65169524,7.87098753,5,A,21670
+91Sig1Tau,,4.6525548,15.80003442,5,A,21673
+92Sig2Tau,,4.65456995,15.9180242,4,A,21683
+,,4.65545502,-14.35888729,5,K,21685
+3 Cam,,4.66519087,53.07957406,5,K,21727
+2 Cam,,4.66612044,53.47323647,5,A,21730
+93 Tau,,4.66761618,12.19764088,5,B,21735
+,,4.66856839,-24.48241131,5,G,21743
+54 Eri,,4.67402609,-19.67125686,4,M,21763
+Alp Cae,,4.67606197,-41.86357034,4,F,21770
+,,4.68881548,28.61506693,5,A,21819
+,,4.69002482,48.30098864,5,A,21823
+,,4.6972436,38.28042013,5,G,21847
+Bet Cae,,4.7009573,-37.14476616,5,F,21861
+94Tau Tau,,4.7040843,22.95697545,4,B,21881
+Lam Pic,,4.71290459,-50.48141805,5,K,21914
+59 Per,,4.71508302,43.36526451,5,A,21928
+Mu Men,,4.71776299,-70.93111187,5,B,21949
+,,4.71925383,-30.76539538,5,K,21958
+,,4.72266623,49.97382624,5,B,21972
+55 Eri,,4.72631328,-8.79424587,5,F,21986
+56 Eri,,4.73481056,-8.50357425,5,B,22024
+,,4.7355416,-18.66654311,5,A,22028
+Kap Dor,,4.73919976,-59.73284052,5,A,22040
+,,4.74049154,11.14616933,5,F,22044
+,,4.75115296,-21.28334113,5,K,22086
+57Mu Eri,,4.7583725,-3.25462465,4,B,22109
+,,4.7671391,11.70560822,5,A,22157
+,,4.77132883,18.73486237,5,K,22176
+,,4.77901993,40.31268034,5,G,22220
+58 Eri,,4.79339229,-16.93486728,5,G,22263
+4 Cam,,4.80006019,56.75753919,5,A,22287
+59 Eri,,4.80903573,-16.32958093,5,F,22325
+,,4.81005621,-5.67343877,5,F,22336
+,,4.81396198,75.94154357,5,A,22361
+,,4.82023194,31.43762493,5,K,22393
+,,4.82196093,32.58826794,5,A,22407
+1Pi 3Ori,,4.83059395,6.96124744,3,F,22449
+,,4.83185181,37.48818131,4,K,22453
+60 Eri,,4.83655253,-16.21728342,5,K,22479
+2Pi 2Ori,,4.84353396,8.90025258,4,A,22509
+Iot Pic,,4.84871841,-53.46172112,5,F,22531
+,,4.85260104,48.74075831,5,G,22545
+3Pi 4Ori,,4.853435,5.60510146,3,B,22549
+97 Tau,,4.85622592,18.83994085,5,A,22565
+,,4.85783297,-34.906232,5,A,22573
+,,4.86810263,63.50564999,5,M,22626
+4Omi1Ori,,4.87554547,14.25077828,4,M,22667
+2 Aur,,4.877222,36.70319636,4,K,22678
+,,4.87974652,27.89757233,5,F,22697
+,,4.87993485,42.58662591,5,A,22699
+61Ome Eri,,4.88157788,-5.45275591,4,A,22701
+5 Ori,,4.88965424,2.50826491,5,M,22730
+9Alp Cam,,4.90083628,66.34266029,4,O,22783
+8Pi 5Ori,,4.90419323,2.44067149,3,B,22797
+6 Ori,,4.9130296,11.42597336,5,A,22833
+,,4.91327608,7.77916325,5,K,22834
+,,4.91408569,0.46717846,5,B,22840
+7Pi 1Ori,,4.91491781,10.15114511,4,A,22845
+5 Cam,,4.91753938,55.25912955,5,B,22854
+,,4.91856131,-16.74064825,5,G,22860
+Eta Men,,4.91976102,-74.93700232,5,K,22871
+,,4.92184502,-16.41785525,5,G,22881
+,,4.9305989,15.04030639,5,B,22913
+,,4.93529912,52.86971717,5,A,22936
+9Omi2Ori,,4.93953363,13.51457755,4,K,22957
+62 Eri,,4.94005256,-5.17135066,5,B,22958
+3Iot Aur,,4.94989339,33.16613537,2,K,23015
+7 Cam,,4.95478345,53.75208289,4,A,23040
+,,4.95620761,17.1537068,5,K,23043
+99 Tau,,4.96351265,23.94858492,5,G,23068
+98 Tau,,4.96927121,25.05052129,5,A,23088
+10Pi 6Ori,,4.97580635,1.71403506,4,K,23123
+Xi Men,,4.98082977,-82.47052255,5,G,23148
+,,4.98373273,-16.37633681,5,F,23166
+4Ome Aur,,4.98760428,37.8904824,4,A,23179
+63 Eri,,4.99734468,-10.26299266,5,G,23221
+64 Eri,,4.99880918,-12.5372045,4,F,23231
+5 Aur,,5.00509646,39.39470389,5,F,23261
+,,5.0057547,81.19402107,5,K,23265
+,,5.02376607,-20.05188078,4,B,23362
+65P i Eri,,5.0239847,-7.17397802,4,B,23364
+,,5.03065283,0.72216704,5,K,23408
+7Ep Aur,,5.032815,43.82331397,3,F,23416
+,,5.03604611,-26.27484321,5,K,23430
+,,5.0396692,-31.77154017,5,K,23446
+8Zet Aur,,5.04130001,41.07588953,3,K,23453
+Bet Men,,5.04527913,-71.31432608,5,G,23467
+1 Lep,,5.04581794,-22.79508768,5,K,23474
+,,5.04593612,-4.2101255,5,K,23475
+Eta1Pic,,5.04686816,-49.15147328,5,F,23482
+102Iot Tau,,5.05158446,21.5900617,4,A,23497
+10Bet Cam,,5.05697146,60.44228144,4,G,23522
+,,5.06479316,-24.38805735,5,A,23554
+Gam1Cae,,5.07341993,-35.48287057,4,K,23595
+11 Ori,,5.07614954,15.40418059,4,A,23607
+Eta2Pic,,5.08276459,-49.57783014,5,M,23649
+,,5.0878303,-26.15223983,5,K,23668
+2Ep Lep,,5.09101447,-22.37085673,3,K,23685
+Zet Dor,,5.09185843,-57.47298928,4,F,23693
+11 Cam,,5.10234992,58.97239085,5,B,23734
+10Eta Aur,,5.10857473,41.23464074,3,B,23767
+9 Aur,,5.11129396,51.59814314,4,F,23783
+66 Eri,,5.11267966,-4.65516319,5,B,23794
+,,5.12357833,-12.49100914,5,G,23831
+104 Tau,,5.12407668,18.64500711,4,G,23835
+,,5.1261142,-63.39957018,5,M,23840
+106 Tau,,5.13011904,20.41845485,5,A,23871
+67Bet Eri,,5.13084276,-5.08626282,2,A,23875
+14 Ori,,5.13135365,8.49857348,5,A,23879
+105 Tau,,5.13206523,21.70483596,5,B,23883
+103 Tau,,5.13517285,24.26518765,5,B,23900
+,,5.13894108,-8.66527389,5,B,23916
+68 Eri,,5.14546298,-4.45624625,5,F,23941
+69Lam Eri,,5.15243971,-8.75407607,4,B,23972
+16 Ori,,5.15544563,9.82959768,5,A,23983
+15 Ori,,5.16165538,15.59727157,4,F,24010
+,,5.16251537,28.03060835,5,A,24019
+,,5.17857524,46.96243511,5,F,24109
+,,5.188647,-2.49078592,5,F,24162
+,,5.1896812,-11.84922715,5,M,24169
+,,5.19487817,16.04565766,5,K,24197
+,,5.19593066,1.03705465,5,F,24203
+3Iot Lep,,5.20496871,-11.86914287,4,B,24244
+,,5.20623596,73.94674435,5,B,24254
+,,5.21336561,-6.05711381,5,G,24294
+5Mu Lep,,5.2155203,-16.20542901,3,B,24305
+4Kap Lep,,5.22052361,-12.94128833,4,B,24327
+17Rho Ori,,5.22152211,2.86125346,4,K,24331
+11Mu Aur,,5.22381432,38.48467394,4,A,24340
+The Dor,,5.22928523,-67.18534976,4,K,24372
+,,5.24134386,-35.97703069,5,G,24426
+19Bet Ori,Rigel,5.24229756,-8.20163919,0,B,24436
+,,5.24557009,5.15612934,5,K,24450
+,,5.25676816,-26.94343723,5,B,24505
+14 Aur,,5.25678102,32.6875699,5,A,24504
+18 Ori,,5.26781645,11.34136954,5,A,24555
+,,5.27170902,34.31221188,5,O,24575
+13Alp Aur,Capella,5.27813767,45.99902927,0,M,24608
+Omi Col,,5.29139537,-34.89438961,4,K,24659
+20Tau Ori,,5.29344415,-6.84438616,3,B,24674
+,,5.29451284,-13.51970778,5,G,24679
+16 Aur,,5.30293003,33.37200411,4,K,24727
+,,5.3036813,73.26813649,5,A,24732
+,,5.3043563,42.79218517,5,M,24738
+,,5.31395441,-18.13019946,5,G,24786
+,,5.31667203,33.74846576,5,A,24799
+15Lam Aur,,5.31891066,40.10066732,4,G,24813
+21 Ori,,5.31978599,2.59593601,5,F,24817
+109 Tau,,5.32127494,22.09669104,4,G,24822
+Zet Pic,,5.32280938,-50.60652008,5,F,24829
+,,5.32324642,-27.3688642,5,A,24831
+6Lam Lep,,5.32625721,-13.17677698,4,B,24845
+7Nu Lep,,5.3330641,-12.31560456,5,B,24873
+19 Aur,,5.33358917,33.95806265,5,A,24879
+,,5.33741214,41.08633916,5,A,24902
+,,5.33961515,62.65371666,5,K,24914
+,,5.34080881,-21.23973932,4,A,24927
+,,5.35352454,29.56988462,5,A,25001
+,,5.35884547,-0.41649397,5,B,25028
+,,5.36210043,8.42856342,5,B,25041
+22 Ori,,5.36270768,-0.38246922,4,B,25044
+,,5.36285213,-24.77294996,5,A,25045
+20Rho Aur,,5.36344588,41.80466344,5,B,25048
+,,5.37604924,79.23075701,5,F,25110
+23 Ori,,5.38055592,3.54444809,4,B,25142
+,,5.38064569,41.02925326,5,A,25143
+,,5.38847536,-8.41558811,5,B,25187
+,,5.39000126,-39.67843559,5,M,25194
+16 Cam,,5.39106291,57.54453138,5,A,25197
+8 Lep,,5.39170995,-13.92734983,5,B,25202
+,,5.39508572,-0.15981294,5,B,25223
+29 Ori,,5.39912122,-7.80795569,4,G,25247
+111 Tau,,5.40703064,17.38355205,5,F,25278
+,,5.40790794,-16.97574213,5,A,25280
+28Eta Ori,,5.40794918,-2.39713844,3,B,25281
+27 Ori,,5.40803085,-0.89166902,5,K,25282
+,,5.41070182,31.14316298,5,B,25291
+21Sig Aur,,5.4108728,37.38537514,5,K,25292
+25P i1Ori,,5.4124518,1.84644611,4,B,25302
+,,5.41715061,-10.3288454,5,K,25329
+24Gam Ori,Bellatrix,5.41885227,6.34973451,1,B,25336
+,,5.43328417,-19.69535296,5,F,25397
+112Bet Tau,Alnath,5.43819386,28.60787346,1,B,25428
+Lam Dor,,5.43868804,-58.91259871,5,G,25429
+,,5.4468898,34.39182774,5,A,25471
+30P i2Ori,,5.4472856,3.09567718,4,B,25473
+,,5.45147722,-40.94377328,5,A,25488
+,,5.45229799,30.20861412,5,B,25492
+115 Tau,,5.45280243,17.96226766,5,B,25499
+114 Tau,,5.4605789,21.93698219,4,B,25539
+24Phi Aur,,5.46080204,34.47598643,5,K,25541
+116 Tau,,5.46266829,15.87410386,5,B,25555
+117 Tau,,5.46711126,17.23924182,5,M,25583
+9Bet Lep,Nihal,5.47075731,-20.75923214,2,G,25606
+,,5.47092413,-37.2309313,5,A,25608
+118 Tau,,5.48791465,25.15030596,5,B,25695
+,,5.48991712,-3.44637074,5,K,25708
+31 Ori,,5.49555043,-1.09217557,4,K,25737
+,,5.49854807,1.78926104,5,B,25751
+,,5.50262829,-47.07733403,5,G,25768
+17 Cam,,5.50283601,63.06723206,5,M,25769
+,,5.50727036,15.3605429,5,A,25790
+32 Ori,,5.51306886,5.94821792,4,B,25813
+,,5.51351377,41.462078,5,K,25816
+10 Lep,,5.51878434,-20.86355455,5,A,25853
+Ep Col,,5.5202043,-35.47043592,3,K,25859
+33 Ori,,5.52070329,3.2921351,5,B,25861
+,,5.52666346,-45.92540473,5,K,25887
+Gam Men,,5.53129495,-76.3416634,5,K,25918
+36Up Ori,,5.53218341,-7.30152625,4,B,25923
+34Del Ori,,5.53344437,-0.2990934,2,O,25930
+119 Tau,,5.53687534,18.59424525,4,M,25945
+,,5.53726239,17.05815445,5,B,25950
+,,5.54482068,-1.59183293,5,B,25980
+25Chi Aur,,5.54546505,32.1920314,4,B,25984
+11Alp Lep,Arneb,5.54550386,-17.82229227,2,F,25985
+,,5.54760468,-38.51334582,5,K,25993
+,,5.54986797,-64.22751422,5,G,26001
+,,5.55203233,-35.13930773,5,K,26019
+,,5.55873525,-1.15607162,5,B,26063
+120 Tau,,5.55878604,18.54023092,5,B,26064
+Bet Dor,,5.5604212,-62.48985585,3,F,26069
+35 Ori,,5.56507922,14.30559209,5,B,26093
+,,5.56779322,-1.47020476,5,K,26108
+38 Ori,,5.57133058,3.76693355,5,A,26126
+,,5.57910622,-73.74136684,5,M,26169
+37Phi1Ori,,5.58034384,9.48958528,4,B,26176
+,,5.58361285,-6.00926927,5,B,26197
+,,5.5840781,-6.00202867,4,B,26199
+39Lam Ori,,5.58563269,9.93416294,3,O,26207
+,,5.58701077,10.24010204,5,B,26215
+,,5.58762632,-33.08000909,5,K,26219
+41The1Ori,,5.58772859,-5.38731536,4,O,26220
+41The1Ori,,5.58790724,-5.38969624,5,O,26221
+43The2Ori,,5.58969439,-5.41606331,4,O,26235
+42 Ori,,5.58976712,-4.83834045,4,B,26237
+44Iot Ori,,5.59055031,-5.90989984,2,O,26241
+121 Tau,,5.59086681,24.03963793,5,B,26248
+45 Ori,,5.5943014,-4.8560862,5,F,26268
+46Ep Ori,Alnilam,5.60355904,-1.20191725,1,B,26311
+,,5.60978467,54.42868426,5,M,26344
+,,5.60991487,-6.06475248,5,B,26345
+40Phi2Ori,,5.61509185,9.291412,4,G,26366
+122 Tau,,5.61769711,17.0404091,5,F,26382
+,,5.6178754,11.03504389,5,K,26386
+Pi Men,,5.61910906,-80.4716745,5,G,26394
+,,5.6191217,26.92452823,5,B,26396
+123Zet Tau,,5.62741229,21.14259299,2,B,26451
+Nu 2Col,,5.62906752,-28.68979391,5,F,26460
+,,5.63364232,7.54145541,5,B,26487
+,,5.64388131,-6.57395768,5,B,26535
+26 Aur,,5.64391654,30.49244147,5,A,26536
+,,5.64542408,-40.70735801,5,B,26545
+48Sig Ori,,5.64576814,-2.60006791,3,O,26549
+49 Ori,,5.64808105,-7.21270844,4,A,26563
+47Ome Ori,,5.65309608,4.12146667,4,B,26594
+,,5.65508694,29.21523028,5,B,26606
+,,5.65865367,-3.56470944,5,A,26624
+Alp Col,,5.66081665,-34.07404941,2,B,26634
+125 Tau,,5.66227573,25.89714891,5,B,26640
+,,5.66384763,-32.62913912,5,G,26649
+50Zet Ori,Alnitak,5.67931244,-1.94257841,1,O,26727
+,,5.68075438,-1.12878569,4,B,26736
+,,5.68488567,0.33768602,5,F,26762
+126 Tau,,5.68825428,16.53418318,4,B,26777
+12 Lep,,5.70387732,-22.37373687,5,A,26865
+,,5.7042197,-34.66793677,5,B,26868
+,,5.70734675,65.6977014,5,K,26882
+51 Ori,,5.70796232,1.47466498,4,K,26885
+,,5.71497438,-6.79631491,5,F,26926
+,,5.72268302,-18.55744324,5,A,26966
+13Gam Lep,,5.74110416,-22.44748663,3,F,27072
+Del Dor,,5.74622751,-65.7355408,4,A,27100
+27Omi Aur,,5.76501355,49.82628283,5,A,27196
+Mu Col,,5.76663692,-32.30637997,5,B,27204
+,,5.77426834,-46.59722012,5,K,27243
+26 Cam,,5.77510262,56.11571824,5,A,27249
+,,5.77637741,1.16853796,5,G,27253
+,,5.78115401,9.52249963,5,G,27280
+14Zet Lep,,5.78259715,-14.82194717,3,A,27288
+131 Tau,,5.78698598,14.48842452,5,A,27316
+Bet Pic,,5.7880787,-51.06671329,3,A,27321
+130 Tau,,5.79061039,17.7291527,5,F,27338
+133 Tau,,5.79525134,13.89963175,5,B,27364
+53Kap Ori,Saiph,5.79594109,-9.66960186,2,B,27366
+52 Ori,,5.8000644,6.4542102,5,A,27386
+,,5.80969563,-4.09408727,5,G,27435
+132 Tau,,5.81693318,24.56755473,4,G,27468
+29Tau Aur,,5.81957208,39.18113322,4,G,27483
+134 Tau,,5.82581763,12.65136584,4,B,27511
+,,5.82682079,-14.48354987,5,G,27517
+Gam Pic,,5.83043799,-56.1664886,4,K,27530
+,,5.83153042,-22.97192372,5,A,27533
+Ep Dor,,5.83154263,-66.9012309,5,B,27534
+,,5.83407686,9.87122224,5,G,27549
+,,5.8369612,4.42349901,5,K,27560
+Kap Men,,5.83799981,-79.36152292,5,B,27566
+135 Tau,,5.84136209,14.30569894,5,G,27581
+,,5.84167372,2.02471682,5,G,27588
+,,5.84811626,-52.1086873,5,G,27621
+Bet Col,,5.84932022,-35.76929225,3,K,27628
+,,5.8494755,27.96783335,5,G,27629
+31Up Aur,,5.85066951,37.30568175,4,M,27639
+15Del Lep,,5.85532022,-20.87751376,3,G,27654
+55 Ori,,5.85610649,-7.51800251,5,B,27658
+32Nu Aur,,5.85816462,39.14847936,3,K,27673
+,,5.86881406,-9.04197853,5,A,27713
+,,5.87227279,-57.15600008,5,F,27737
+137 Tau,,5.87286171,14.17179382,5,B,27743
+,,5.8731692,19.86785634,5,B,27747
+56 Ori,,5.87401187,1.8551579,4,K,27750
+,,5.87587847,-37.63099079,5,K,27766
+Lam Col,,5.88524565,-33.8014395,4,B,27810
+136 Tau,,5.88878987,27.61228536,4,A,27830
+,,5.90163891,-63.09102096,4,K,27890
+54Chi1Ori,,5.9064122,20.27641498,4,G,27913
+,,5.91210708,-11.77426082,5,K,27938
+,,5.91223289,0.96861499,5,K,27939
+,,5.91391901,-52.63607272,5,F,27947
+30Xi Aur,,5.91410718,55.7069049,4,A,27949
+,,5.91458165,-39.95790952,5,M,27955
+57 Ori,,5.91574626,19.74962409,5,B,27965
+31 Cam,,5.91606253,59.88841219,5,A,27971
+,,5.91639455,31.70193276,5,A,27973
+58Alp Ori,Betelgeuse,5.91952477,7.40703634,0,M,27989
+Xi Col,,5.92496954,-37.12060931,4,K,28010
+,,5.92504319,-4.61649597,5,K,28011
+,,5.93727674,-22.84005515,5,K,28085
+Sig Col,,5.93915078,-31.38245487,5,F,28098
+16Eta Lep,,5.94008841,-14.16803805,3,F,28103
+,,5.94112099,9.50941963,5,A,28110
+,,5.94705207,11.52119572,5,K,28139
+Gam Col,,5.95894774,-35.28330688,4,B,28199
+139 Tau,,5.96657158,25.95391597,4,B,28237
+59 Ori,,5.97345532,1.83712742,5,A,28271
+,,5.97709907,-44.03458558,5,G,28287
+60 Ori,,5.98043916,0.55297359,5,A,28296
+,,5.981456,12.80825741,5,K,28302
+2 Mon,,5.9845299,-9.55813955,5,A,28325
+Eta Col,,5.98577514,-42.81510761,3,K,28328
+,,5.98938437,49.9245461,5,G,28343
+33Del Aur,,5.99209731,54.28498197,3,K,28358
+34Bet Aur,,5.99215817,44.94743492,1,A,28360
+37The Aur,,5.99534393,37.21276409,2,A,28380
+35Pi Aur,,5.99891705,45.93675346,4,M,28404
+,,6.00092927,-3.07407681,4,K,28413
+,,6.01366609,-51.21655276,5,A,28484
+36 Aur,,6.01626631,47.90197432,5,B,28499
+,,6.0211928,-33.91177131,5,K,28524
+,,6.02862575,48.95946915,5,K,28562
+3 Mon,,6.03067383,-10.59793918,4,B,28574
+61Mu Ori,,6.03971954,9.64736756,4,A,28614
+,,6.05432252,-26.28475048,5,K,28675
+64 Ori,,6.05760007,19.69061033,5,B,28691
+62Chi2Ori,,6.06532876,20.13845865,4,B,28716
+1 Gem,,6.06867126,23.26363207,4,G,28734
+,,6.07041764,-6.7089502,5,B,28744
+,,6.07229903,-32.17272393,5,B,28756
+,,6.07782417,-45.07954967,5,F,28790
+63 Ori,,6.08282986,5.41997005,5,G,28812
+66 Ori,,6.08287775,4.15867686,5,G,28814
+17 Lep,,6.08309238,-16.48442713,4,A,28816
+39 Aur,,6.08428337,42.9819855,5,F,28823
+,,6.09083877,-10.24265912,5,F,28854
+,,6.09088025,-35.51368651,5,A,28855
+,,6.10153657,-29.75852227,5,A,28899
+18The Lep,,6.10259278,-14.93528629,4,A,28910
+Eta1Dor,,6.10260062,-66.03968885,5,A,28909
+,,6.10891755,-23.11077641,5,A,28943
+40 Aur,,6.10974713,38.48277233,5,A,28946
+,,6.11076119,-4.1938248,5,B,28949
+,,6.11597694,-21.81229045,5,M,28984
+,,6.11760078,-62.15441128,5,K,28991
+,,6.11768569,-34.31202171,5,B,28992
+The Col,,6.12545336,-37.25292114,5,B,29034
+67Nu Ori,,6.12620051,14.76852318,4,B,29038
+19 Lep,,6.1282306,-19.16600403,5,M,29048
+Pi 2Col,,6.13135211,-42.1540013,5,A,29064
+Nu Dor,,6.14565114,-68.84345717,5,B,29134
+,,6.14940758,-22.42728352,5,A,29150
+,,6.14941789,2.49972675,5,A,29151
+,,6.15901154,22.19027415,5,K,29196
+,,6.1595927,-14.58469045,5,K,29205
+3 Gem,,6.16221816,23.11346966,5,B,29225
+,,6.16330733,-22.77449062,5,F,29234
+37 Cam,,6.1663874,58.93564864,5,G,29246
+,,6.16956109,-40.35396993,5,M,29263
+Alp Men,,6.17061203,-74.7525279,5,G,29271
+Del Pic,,6.17164253,-54.96866057,4,B,29276
+,,6.17630178,-27.15420421,5,K,29294
+Eta2Dor,,6.18750418,-65.58970507,5,M,29353
+5 Gem,,6.192307,24.42037914,5,K,29379
+41 Aur,,6.19349404,48.71112468,5,A,29388
+,,6.19772671,-6.55028276,5,B,29417
+70Xi Ori,,6.1989991,14.20881425,4,B,29426
+68 Ori,,6.20037193,19.79057155,5,B,29433
+69 Ori,,6.20091003,16.13044684,4,B,29434
+,,6.20559166,32.69338941,5,M,29451
+36 Cam,,6.21418132,65.71849922,5,K,29490
+,,6.23173457,-3.74142288,5,G,29575
+,,6.24127361,17.90637842,5,A,29616
+,,6.24352962,-4.56846315,5,B,29629
+71 Ori,,6.24748218,19.15688949,5,F,29650
+5Gam Mon,,6.24759346,-6.27472737,3,K,29651
+7Eta Gem,,6.2479713,22.50682376,3,M,29655
+,,6.25233364,-20.27226037,5,K,29679
+,,6.25234927,13.85107261,5,B,29678
+,,6.25491968,-18.47701325,5,K,29692
+44Kap Aur,,6.25631571,29.49871224,4,G,29696
+72 Ori,,6.25697971,16.14320591,5,B,29704
+,,6.25823884,-4.91463574,5,A,29711
+,,6.25954368,-0.51165873,5,F,29716
+40 Cam,,6.26125215,59.99903422,5,K,29730
+,,6.26246633,-13.71838696,5,B,29735
+73 Ori,,6.26249062,12.55107067,5,B,29736
+,,6.26880456,-16.61800865,5,B,29771
+74 Ori,,6.27404723,12.2717103,5,F,29800
+Kap Col,,6.27587093,-35.14073157,4,G,29807
+,,6.283675,-37.7376495,5,K,29842
+75 Ori,,6.28517131,9.94253598,5,A,29850
+,,6.28599235,-37.25344284,5,A,29852
+,,6.28784682,5.09969578,5,G,29860
+,,6.29492571,-16.81591325,5,K,29895
+1 Lyn,,6.29856443,61.51529221,5,M,29919
+,,6.30381437,-19.96699189,5,B,29941
+,,6.31405011,-9.38996323,5,K,29996
+,,6.3141055,69.3200343,4,A,29997
+,,6.31638259,-20.92562047,5,B,30011
+2 Lyn,,6.32705299,59.01090518,4,A,30060
+,,6.32804258,-34.39659537,5,B,30069
+7 Mon,,6.32855581,-7.82291023,5,B,30073
+,,6.33322344,-2.94449028,4,M,30093
+,,6.33450772,14.65116899,5,K,30099
+1Zet CMa,,6.33855198,-30.06337656,3,B,30122
+,,6.34339979,-34.14419295,5,B,30143
+,,6.35686605,-11.77324372,5,B,30214
+45 Aur,,6.3628078,53.45239515,5,F,30247
+Del Col,,6.36856809,-33.43627251,3,G,30277
+Pi 1Dor,,6.37728616,-69.98412773,5,K,30321
+2Bet CMa,,6.37832983,-17.95591658,1,B,30324
+Nu Pic,,6.38218574,-56.3699207,5,A,30342
+13Mu Gem,,6.3826642,22.51385027,2,M,30343
+8Ep Mon,,6.39613824,4.59283881,4,A,30419
+,,6.39886496,-25.57752992,5,K,30436
+Alp Car,Canopus,6.39919184,-52.69571799,-1,F,30438
+,,6.40028304,-36.70789674,5,K,30444
+,,6.40287589,-11.53000982,5,K,30457
+,,6.40385537,-60.28139797,5,A,30463
+46P i1Aur,,6.41497277,49.28789903,4,K,30520
+,,6.42122414,-0.94535265,5,F,30545
+Pi 2Dor,,6.42462528,-69.69078672,5,G,30565
+,,6.42879318,-48.17684903,5,B,30591
+,,6.44051768,56.2850437,5,A,30651
+,,6.44433085,-1.50726444,5,A,30666
+5 Lyn,,6.44691089,58.41741346,5,K,30679
+,,6.4511488,-58.00210529,5,K,30703
+,,6.45382213,0.29926632,5,K,30717
+,,6.45433068,-0.27598684,5,K,30720
+,,6.45568784,2.90825624,5,G,30728
+10 Mon,,6.46599222,-4.76214677,5,B,30772
+Lam CMa,,6.46950484,-32.58012947,4,B,30788
+48 Aur,,6.47613575,30.49306993,5,F,30827
+,,6.47705815,-17.46603282,5,K,30836
+,,6.47756791,-32.37129738,5,B,30840
+11Bet Mon,,6.48029836,-7.03305042,3,B,30867
+18Nu Gem,,6.48271957,20.2121672,4,B,30883
+,,6.49126103,-56.85284448,5,K,30932
+,,6.49697967,-50.23895882,5,F,30953
+47 Aur,,6.5008278,46.68553561,5,K,30972
+,,6.50313343,-10.08150589,5,K,30986
+,,6.51285923,-27.7695891,5,B,31037
+6 Lyn,,6.51309481,58.16345682,5,K,31039
+,,6.5203048,-35.25886111,5,G,31072
+,,6.52172758,-51.82620719,5,F,31079
+,,6.52306102,-12.39190922,5,K,31084
+,,6.53008012,11.5443434,5,A,31119
+,,6.53057429,-8.15818115,5,K,31121
+4Xi 1CMa,,6.53093562,-23.41843727,4,B,31125
+Mu Pic,,6.53286434,-58.75384073,5,B,31137
+12 Mon,,6.53867391,4.85599529,5,K,31159
+,,6.53925919,-37.69651376,5,G,31165
+,,6.53975824,-5.86871833,5,F,31167
+,,6.54088967,32.45494059,5,A,31173
+,,6.54416067,-32.03045378,5,B,31190
+13 Mon,,6.5483971,7.33297921,4,A,31216
+,,6.56004803,14.15537477,5,K,31277
+,,6.56053354,-1.22011054,5,B,31278
+,,6.56374759,-36.23226731,5,K,31299
+,,6.57648027,-32.71626113,5,B,31362
+,,6.58294093,-52.97563454,4,B,31407
+5Xi 2CMa,,6.5842722,-22.96483318,4,A,31416
+49 Aur,,6.58668383,28.02234399,5,A,31434
+,,6.5877304,0.89022204,5,B,31446
+,,6.58822124,9.98835403,5,K,31448
+,,6.59006229,-36.77993005,5,A,31457
+6Nu 1CMa,,6.60634935,-18.65994454,5,G,31564
+,,6.60912158,38.4455521,5,C,31579
+,,6.60981395,-5.21110831,5,B,31583
+7Nu 2CMa,,6.61138858,-19.25570928,3,K,31592
+,,6.61294455,-13.32097688,5,K,31599
+,,6.62051162,-36.99068388,5,B,31637
+11 Lyn,,6.62733303,56.85750718,5,A,31665
+8 Lyn,,6.62823339,61.48190031,5,G,31676
+24Gam Gem,Alhena,6.62852842,16.39941482,1,A,31681
+Nu Pup,,6.62935324,-43.19592394,3,B,31685
+,,6.62987325,-32.33989066,5,K,31688
+8Nu 3CMa,,6.6315072,-18.23745713,4,K,31700
+53 Aur,,6.63972756,28.98439129,5,B,31737
+,,6.6437868,-48.22023129,5,G,31765
+51 Aur,,6.64432061,39.3911153,5,K,31771
+52P i3Aur,,6.64699627,39.90258791,5,B,31789
+,,6.65464344,-14.14574673,4,K,31827
+50P i2Aur,,6.6555075,42.48901214,4,K,31832
+,,6.66185157,-30.47002424,5,K,31870
+,,6.66325704,12.98280259,5,A,31876
+Zet Men,,6.66747463,-80.81372235,5,A,31897
+,,6.67467701,77.9957971,5,K,31940
+,,6.6756233,71.74875988,5,K,31946
+15 Mon,,6.6829614,9.89576021,4,O,31978
+,,6.68484585,0.4953354,5,B,31992
+,,6.69899062,-9.16742468,5,M,32064
+26 Gem,,6.70675626,17.64551421,5,A,32104
+55P i4Aur,,6.71805786,44.52452351,5,K,32173
+,,6.72740163,3.93253483,5,B,32226
+27Ep Gem,,6.73220272,25.13115531,3,A,32246
+30 Gem,,6.73313723,13.22814319,4,K,32249
+10 CMa,,6.74124138,-31.07053787,5,B,32292
+28 Gem,,6.74596242,28.97098912,5,K,32311
+9Alp CMa,Sirius,6.7525694,-16.71314306,-2,A,32349
+31Xi Gem,,6.75484265,12.89605513,3,F,32362
+,,6.75641119,-31.79292174,5,F,32366
+,,6.7586641,-30.94899076,5,B,32385
+,,6.76492257,-52.40971351,5,K,32402
+,,6.76650033,-14.79608441,5,A,32411
+12 Lyn,,6.77059796,59.44169108,4,A,32438
+,,6.77068598,79.56627808,5,F,32439
+16 Mon,,6.77567188,8.5871691,5,B,32463
+,,6.7775064,-10.10736196,5,B,32474
+56P i5Aur,,6.77898306,43.57702483,5,G,32480
+13 Lyn,,6.78041513,57.1692705,5,K,32489
+11 CMa,,6.78085938,-14.42599569,5,B,32492
+,,6.78130382,-51.2654494,5,K,32494
+,,6.78853053,-55.54004918,5,K,32531
+17 Mon,,6.78884564,8.03728277,4,K,32533
+,,6.78927966,-37.92967246,5,B,32537
+,,6.79367322,-8.99850109,5,M,32558
+57P i6Aur,,6.79432798,48.78946087,5,K,32562
+18 Mon,,6.79768245,2.41218914,4,K,32578
+Alp Pic,,6.80320475,-61.94197988,3,A,32607
+,,6.80339787,55.70444959,5,F,32609
+,,6.8053022,-1.31883901,5,F,32617
+,,6.81603841,-15.14471091,5,B,32677
+,,6.82122615,-2.27202783,5,B,32698
+,,6.82814957,32.60687904,5,K,32740
+33 Gem,,6.8305126,16.20291318,5,B,32753
+13Kap CMa,,6.83068485,-32.50848752,3,B,32759
+,,6.83092114,-53.62249221,4,G,32761
+,,6.83183806,-46.61547007,5,F,32765
+Tau Pup,,6.83226023,-50.61439973,2,K,32768
+,,6.83938142,-17.08455798,5,K,32809
+,,6.8398194,-31.70609416,5,B,32810
+35 Gem,,6.84041661,13.41319516,5,K,32814
+58P i7Aur,,6.84610087,41.78156548,4,K,32844
+,,6.84717193,-0.54042726,5,F,32851
+,,6.8478748,-34.36732059,4,K,32855
+42 Cam,,6.84919114,67.57192306,5,B,32864
+Iot Vol,,6.85749419,-70.96347336,5,B,32912
+36 Gem,,6.85918048,21.76123162,5,A,32921
+,,6.86179161,-36.230126,5,A,32938
+,,6.86666992,23.60174256,5,K,32968
+34The Gem,,6.87981668,33.96136985,3,A,33018
+,,6.88041315,8.38044841,5,F,33024
+14 Lyn,,6.88473935,59.44865494,5,G,33048
+,,6.88856748,-19.03277877,5,A,33077
+15 CMa,,6.89247515,-20.22426366,4,B,33092
+43 Cam,,6.89506697,68.88829173,5,B,33104
+16Omi1CMa,,6.90220967,-24.18422296,3,K,33152
+14The CMa,,6.90318908,-12.03859273,4,K,33160
+,,6.90684916,-1.1269609,5,A,33184
+38 Gem,,6.91072051,13.17801628,4,F,33202
+17 CMa,,6.91742728,-20.40485094,5,A,33248
+37 Gem,,6.92185853,25.37563643,5,G,33277
+19Pi CMa,,6.92705526,-20.13659348,4,F,33302
+,,6.92970275,-22.9414495,5,B,33316
+18Mu CMa,,6.93517966,-14.04344644,5,B,33345
+20Iot CMa,,6.93561842,-17.05424675,4,B,33347
+,,6.93777476,-48.72116448,4,M,33357
+,,6.94051187,9.95659959,5,B,33372
+P i9Aur,,6.94223899,46.27398621,5,B,33377
+The Men,,6.9429112,-79.42018913,5,B,33384
+,,6.94892476,46.70553754,5,K,33415
+,,6.95014906,33.68103629,5,G,33421
+15 Lyn,,6.9546107,58.42305973,4,G,33449
+,,6.95943584,-24.63105594,5,F,33478
+16 Lyn,,6.96031249,45.09410202,4,A,33485
+,,6.97364048,-34.11172588,5,B,33558
+,,6.97663983,-25.41416976,5,B,33575
+21Ep CMa,Adhara,6.9770963,-28.97208931,1,B,33579
+,,6.98250745,3.60236429,5,G,33603
+,,6.99738276,-67.91701197,5,K,33682
+,,7.00106888,76.97744152,4,K,33694
+41 Gem,,7.00439567,16.07900547,5,K,33715
+,,7.00660018,-8.40682482,5,B,33729
+,,7.01430699,-51.4026336,5,M,33779
+,,7.01831923,-25.21564581,5,B,33804
+,,7.02260994,70.80833421,5,K,33827
+22Sig CMa,,7.02865325,-27.93484165,3,K,33856
+,,7.03233138,-5.72208135,5,M,33878
+,,7.03819177,15.33606893,5,K,33914
+42Ome Gem,,7.04021795,24.21544652,5,G,33927
+,,7.04042268,17.7554551,5,M,33929
+,,7.04258178,16.674465,5,M,33937
+19 Mon,,7.04854986,-4.23923814,4,B,33971
+24Omi2CMa,,7.05040932,-23.83330131,3,B,33977
+,,7.05419704,-59.17813539,5,B,34000
+,,7.05498037,9.13834729,5,A,34002
+,,7.05843178,29.33909345,5,G,34017
+,,7.06057587,10.95184577,5,K,34033
+23Gam CMa,,7.06263699,-15.63325876,4,B,34045
+,,7.06490443,-49.58425759,4,A,34059
+,,7.06594454,-43.60898397,5,G,34065
+,,7.06744664,-42.33745341,5,A,34081
+,,7.06812503,-5.323971,5,K,34086
+43Zet Gem,,7.06848205,20.57029939,4,G,34088
+,,7.07175527,-56.7497313,5,A,34105
+,,7.09416694,9.18583678,5,M,34215
+,,7.10323065,34.47408682,5,G,34267
+,,7.11132463,-11.29401875,5,B,34301
+,,7.11863497,-40.8932956,5,B,34339
+,,7.12036138,-51.9683879,5,K,34349
+,,7.12289203,34.00936165,5,K,34358
+,,7.12294141,-23.84073435,5,B,34360
+,,7.13041248,7.47129491,5,K,34387
+45 Gem,,7.13945621,15.93092642,5,G,34440
+25Del CMa,,7.13985723,-26.39320776,1,F,34444
+Gam1Vol,,7.14509485,-70.49734046,5,F,34473
+Gam2Vol,,7.14578458,-70.49919435,3,G,34481
+,,7.14752121,-39.65567374,4,B,34495
+,,7.16195205,-25.23104384,5,B,34579
+20 Mon,,7.17046719,-4.23763568,4,K,34622
+,,7.17203518,-27.4915246,5,G,34624
+,,7.17986076,-48.93257706,5,K,34670
+46Tau Gem,,7.18566433,30.24528065,4,K,34693
+47 Gem,,7.18974445,26.85666896,5,A,34722
+21 Mon,,7.18989767,-0.30190562,5,F,34724
+63 Aur,,7.19424789,39.32054373,4,K,34752
+,,7.1948919,-20.88311563,5,A,34758
+22Del Mon,,7.19773899,-0.49278056,4,A,34769
+26 CMa,,7.20339396,-25.94260947,5,B,34798
+,,7.20439475,-40.49877843,5,A,34802
+,,7.20717502,-36.54439953,5,B,34817
+48 Gem,,7.20732997,24.12870291,5,F,34819
+,,7.20937248,-46.75956448,4,F,34834
+,,7.21866539,-11.2513606,5,K,34888
+,,7.22038085,-45.18252474,4,A,34899
+51 Gem,,7.22285194,16.15906775,5,K,34909
+,,7.22316482,51.42871249,5,M,34912
+,,7.22333599,-22.67414589,5,K,34914
+,,7.22561969,-44.64052957,4,M,34922
+,,7.236353,-3.90175914,5,K,34975
+27 CMa,,7.23756011,-26.35251617,4,B,34981
+,,7.23764516,-9.94753938,5,K,34982
+,,7.23890712,3.11142128,5,K,34987
+,,7.24240287,12.11586588,5,G,35005
+,,7.24392901,-48.27192832,4,B,35020
+52 Gem,,7.24498461,24.88520186,5,M,35025
+,,7.24611825,-46.84967225,5,A,35029
+28Ome CMa,,7.24685045,-26.77268601,4,B,35037
+,,7.24755227,-27.03792355,5,K,35044
+,,7.24920843,-41.42641755,5,B,35054
+,,7.25585562,-30.68647453,5,B,35083
+,,7.25590767,-52.49951781,5,K,35084
+,,7.26094893,7.97773709,5,M,35120
+,,7.26200664,-10.58360286,5,K,35127
+,,7.26392034,47.24041621,5,G,35136
+18 Lyn,,7.26528329,59.63809569,5,K,35146
+53 Gem,,7.26588205,27.89742666,5,M,35152
+,,7.27071676,-15.58565483,5,A,35180
+,,7.27096444,-46.77461104,5,K,35181
+,,7.2755158,-38.31894033,5,B,35202
+,,7.27638928,-27.88127313,4,M,35205
+,,7.27689913,-23.31560155,4,K,35210
+,,7.28039325,-36.59264813,5,B,35226
+Del Vol,,7.28050856,-67.95717248,3,F,35228
+Pi Pup,,7.28571226,-37.09748689,2,K,35264
+,,7.29270007,52.13111463,5,K,35304
+64 Aur,,7.30061804,40.88336298,5,A,35341
+,,7.30118251,-43.98677255,5,B,35347
+54Lam Gem,,7.30155744,16.54047526,3,A,35350
+,,7.30511135,-36.7339666,4,B,35363
+,,7.30888306,49.46474619,5,A,35384
+,,7.30931107,-39.21030701,5,A,35393
+,,7.31060908,-36.74274935,5,A,35406
+29 CMa,,7.31121689,-24.55870761,4,O,35412
+30Tau CMa,,7.31180218,-24.95438447,4,O,35415
+,,7.31424419,-26.58587077,5,G,35427
+,,7.32288114,2.74071985,5,G,35476
+,,7.32446705,-16.39491266,5,F,35487
+,,7.32989154,7.14309133,5,F,35509
+55Del Gem,,7.33538592,21.98233941,3,F,35550
+,,7.33929377,-52.3118825,5,F,35564
+,,7.34411524,-52.08592527,5,B,35589
+,,7.34952552,-14.36048847,5,G,35615
+,,7.35120567,-25.89167605,5,M,35626
+,,7.35487205,45.22817039,5,A,35643
+56 Gem,,7.36580538,20.44371648,5,M,35699
+65 Aur,,7.36741345,36.76063782,5,K,35710
+,,7.36763264,0.17712559,5,B,35712
+,,7.37042501,-19.01658444,4,B,35727
+,,7.37372137,-5.98280807,5,F,35749
+19 Lyn,,7.38112846,55.28146955,5,B,35785
+,,7.3835286,-31.92379021,5,B,35795
+57 Gem,,7.39126503,25.05060041,5,G,35846
+,,7.39138192,-27.83428348,5,K,35848
+,,7.39219465,-32.20207858,5,B,35855
+31Eta CMa,,7.40158473,-29.30311979,2,B,35904
+66 Aur,,7.402353,40.67244066,5,K,35907
+59 Gem,,7.40929001,27.63781901,5,F,35941
+,,7.41116399,-16.20142374,5,B,35951
+,,7.41218561,-31.80892621,5,K,35957
+,,7.41585522,51.88734396,5,K,35984
+1 CMi,,7.41616364,11.66955984,5,A,35987
+,,7.41901036,-13.75197556,5,F,35998
+,,7.42368706,-25.2177645,5,B,36024
+Ep Men,,7.42727457,-79.09420265,5,K,36039
+2Ep CMi,,7.42747186,9.27611835,4,G,36041
+60Iot Gem,,7.42879891,27.79828561,3,G,36046
+,,7.43088993,-5.77495377,5,C,36055
+,,7.43940435,-51.01849597,5,K,36114
+,,7.44513096,-34.14070792,5,B,36143
+21 Lyn,,7.44523915,49.21164489,4,A,36145
+61 Gem,,7.44898028,20.25758199,5,F,36156
+,,7.44985753,-23.08603328,5,B,36168
+,,7.45221988,-17.86486511,5,F,36186
+3Bet CMi,,7.45252008,8.28940893,2,B,36188
+,,7.46192737,-22.85919757,5,B,36236
+63 Gem,,7.46233179,21.44554856,5,F,36238
+,,7.46435072,-11.55686168,5,B,36251
+,,7.46643538,-29.1559018,5,B,36258
+5Eta CMi,,7.46724352,6.94207694,5,F,36265
+4Gam CMi,,7.46939707,8.92550376,4,K,36284
+,,7.48087767,-31.84841156,5,B,36345
+,,7.48096806,48.18403758,5,B,36348
+,,7.48470035,-31.45622952,5,B,36362
+,,7.48491972,-38.8121049,5,B,36363
+62Rho Gem,,7.48516936,31.78407932,4,F,36366
+Sig Pup,,7.48718842,-43.30189129,3,K,36377
+,,7.48852093,-1.90530704,5,K,36388
+64 Gem,,7.48901759,28.1184038,5,A,36393
+,,7.48947522,-10.326657,5,K,36396
+,,7.49044722,-7.55147431,5,F,36399
+6 CMi,,7.49660613,12.00661101,4,K,36425
+65 Gem,,7.49688365,27.91619925,5,K,36429
+,,7.49761504,-23.02429924,4,A,36431
+22 Lyn,,7.49884905,49.67266207,5,F,36439
+,,7.49992915,-52.65128759,5,K,36444
+,,7.50858507,-54.39943169,5,M,36496
+,,7.51183613,-30.96228313,4,G,36514
+,,7.5146387,68.465727,5,K,36528
+,,7.51791117,82.41156871,4,M,36547
+,,7.53010303,17.08622915,5,K,36616
+,,7.53494921,-8.88091851,5,F,36640
+7Del1CMi,,7.53498615,1.91448227,5,F,36641
+,,7.552716,-24.71078019,5,A,36721
+8Del2CMi,,7.5532431,3.29027472,5,F,36723
+,,7.55543049,-19.41235409,5,K,36732
+68 Gem,,7.5601386,15.82669239,5,A,36760
+,,7.5633244,-14.52390109,4,A,36773
+,,7.56418041,-36.33840157,5,B,36778
+,,7.5675572,-22.29618077,4,F,36795
+9Del3CMi,,7.57108168,3.37173632,5,A,36812
+,,7.57185383,-23.47366319,5,F,36817
+,,7.57634042,-27.01244868,5,K,36848
+66Alp Gem,Castor,7.57666793,31.88863645,1,A,36850
+,,7.58578252,30.9609101,5,K,36896
+,,7.58970478,-28.36927798,4,B,36917
+,,7.59436116,-52.53380809,4,K,36942
+69Up Gem,,7.59871452,26.89600343,4,K,36962
+,,7.60108265,-14.49277322,5,B,36981
+,,7.60879396,46.18036783,5,M,37023
+,,7.60965836,5.86210427,5,G,37031
+,,7.61139965,-19.70235325,5,B,37036
+,,7.61220159,-48.8301697,5,B,37043
+,,7.61306854,55.75515475,5,K,37046
+25 Mon,,7.62131404,-4.1110225,5,F,37088
+,,7.6228111,-34.96857044,4,B,37096
+,,7.63163296,48.7739115,5,A,37140
+,,7.63834649,-25.36478805,4,B,37173
+,,7.63839214,-48.60144811,5,F,37174
+70 Gem,,7.64245443,35.04848403,5,K,37204
+,,7.64552896,-36.49684165,5,B,37223
+,,7.64718924,-26.8038924,3,B,37229
+71Omi Gem,,7.65276566,34.58463287,4,F,37265
+10Alp CMi,Procyon,7.65514946,5.22750767,0,F,37279
+,,7.65759832,-38.3080602,4,B,37297
+74 Gem,,7.65794198,17.67451551,5,M,37300
+,,7.66217485,-38.1393281,5,B,37322
+,,7.6633007,-38.26067563,5,B,37329
+,,7.66610882,-37.57941274,5,B,37345
+,,7.67042535,-19.66089028,5,K,37364
+,,7.6707562,38.34456671,5,M,37369
+,,7.67311445,-15.26385208,4,K,37379
+,,7.67530319,87.02015634,5,M,37391
+,,7.68292301,23.01855829,5,K,37428
+,,7.68679041,48.13185153,5,K,37441
+26Alp Mon,,7.68746574,-9.55108315,3,K,37447
+,,7.68773003,-38.53357185,5,B,37450
+,,7.69309907,3.6248275,5,A,37478
+Zet Vol,,7.69699889,-72.60613528,3,K,37504
+,,7.6977412,13.48051383,5,M,37508
+,,7.7008942,14.20852972,5,M,37521
+,,7.71337621,-26.35125398,5,K,37590
+,,7.71587806,-45.17177284,5,G,37606
+24 Lyn,,7.7167938,58.71048707,4,A,37609
+,,7.71999948,-36.050124,5,B,37623
+75Sig Gem,,7.72185703,28.8840717,4,K,37629
+1 Pup,,7.72566545,-28.41095714,4,K,37648
+,,7.72828548,-40.93332961,5,K,37664
+3 Pup,,7.73013114,-28.9548352,3,A,37677
+,,7.73449659,50.43386115,5,A,37701
+76 Gem,,7.7352565,25.78421056,5,K,37704
+,,7.73603982,-36.06271326,5,F,37710
+77Kap Gem,,7.74079682,24.39812929,3,G,37740
+,,7.74282574,-24.67409186,5,B,37751
+,,7.74283313,-37.94295545,5,B,37752
+,,7.75425108,-37.96859848,3,K,37819
+78Bet Gem,Pollux,7.75537884,28.02631031,1,K,37826
+,,7.75977164,-34.17655092,5,G,37853
+4 Pup,,7.76579909,-14.56382026,5,F,37891
+,,7.76726707,-6.77228458,5,K,37901
+81 Gem,,7.76874825,18.51016877,4,K,37908
+,,7.76959964,-37.93370008,5,B,37915
+11 CMi,,7.77117196,10.76831128,5,A,37921
+,,7.77757202,37.51736326,5,M,37946
+51 Cam,,7.77778864,65.45563092,5,K,37949
+,,7.78682179,-22.51953536,5,B,37995
+,,7.79027771,-38.51115599,5,B,38010
+80Pi Gem,,7.79176019,33.41576665,5,M,38016
+,,7.79208606,-46.60850937,5,B,38020
+5 Pup,,7.79910614,-12.19289276,5,F,38048
+Omi Pup,,7.80143747,-25.93718054,4,B,38070
+,,7.80562435,-47.07753199,4,K,38089
+,,7.81713793,-24.91224336,5,G,38146
+,,7.81853397,-56.41038485,5,G,38152
+,,7.82024067,-46.85774089,5,B,38159
+,,7.82026279,-60.28402896,5,F,38160
+,,7.82063861,-46.37322729,4,B,38164
+,,7.82073704,-35.24330796,5,B,38167
+7Xi Pup,,7.82157187,-24.85978401,3,G,38170
+,,7.82650792,-33.28895425,5,M,38200
+,,7.82805443,-66.19597303,5,B,38210
+6 Pup,,7.82810226,-17.228123,5,K,38211
+,,7.83627125,-9.1834416,5,K,38253
+,,7.83996795,-50.5093647,5,K,38267
+13Zet CMi,,7.86166577,1.76687765,5,B,38373
+,,7.8619594,-21.17374245,5,K,38375
+9 Pup,,7.86287326,-13.89719057,5,G,38382
+,,7.87029041,-40.57579889,3,G,38414
+,,7.87105642,-34.70602121,5,F,38423
+10 Pup,,7.87191203,-14.84617833,5,F,38427
+,,7.87492958,-54.36718432,5,B,38438
+,,7.87740369,-38.86282206,4,B,38455
+,,7.87996418,-5.42818693,5,F,38474
+,,7.88430953,-36.36377387,5,K,38497
+,,7.8843451,-49.61307949,4,B,38500
+,,7.88837857,-48.10294824,4,B,38518
+83Phi Gem,,7.89162124,26.76585858,4,A,38538
+,,7.90305869,-35.87729557,5,B,38593
+26 Lyn,,7.91187184,47.56459225,5,K,38639
+,,7.91483127,-57.30288338,5,K,38656
+,,7.92539934,8.8630571,5,F,38712
+85 Gem,,7.92775116,19.88406657,5,A,38722
+,,7.93851505,-60.52646168,5,K,38783
+Chi Car,,7.94631715,-52.98240062,3,B,38827
+11 Pup,,7.94765507,-22.88014849,4,F,38835
+,,7.94939145,-43.50042396,5,B,38846
+1 Cnc,,7.94985247,15.79038246,5,K,38848
+,,7.95511959,-44.10987569,5,B,38872
+,,7.96114215,-30.33458703,4,A,38901
+,,7.96286238,-60.30336068,5,G,38908
+,,7.96437042,-45.57774475,5,K,38917
+,,7.97067886,-49.24492865,4,B,38957
+14 CMi,,7.9724299,2.22452544,5,K,38962
+,,7.98071025,-60.82448838,5,B,38994
+,,7.98383653,-45.21586305,5,B,39014
+12 Pup,,7.9849229,-23.31040264,5,G,39023
+,,7.99122921,-39.29683773,5,F,39061
+,,7.99376285,-60.58708857,5,M,39070
+27 Mon,,7.99560686,-3.67957835,4,K,39079
+,,7.99779309,-18.39914242,4,A,39095
+,,8.00326559,73.9180101,5,K,39117
+,,8.005547,-63.56750271,4,B,39138
+3 Cnc,,8.01314269,17.30870968,5,K,39177
+,,8.01387883,-54.15129599,5,B,39184
+2Ome1Cnc,,8.01551728,25.39282019,5,G,39191
+28 Mon,,8.0203601,-1.39242418,4,K,39211
+,,8.02053037,4.87977849,5,A,39213
+,,8.02242985,59.04731836,5,F,39221
+5 Cnc,,8.02507938,16.45532309,5,B,39236
+,,8.02709107,-37.28373201,5,A,39251
+,,8.0377648,2.33431429,4,K,39311
+,,8.04577469,-41.30986539,5,A,39360
+,,8.05115829,-32.46357097,5,K,39380
+Chi Gem,,8.05863865,27.79441794,4,K,39424
+Zet Pup,,8.0597417,-40.00318846,2,O,39429
+,,8.07116484,-32.67484684,5,M,39487
+,,8.07844653,-50.59039998,5,G,39527
+,,8.07977394,79.47974268,5,A,39538
+,,8.08436296,-53.1079136,5,K,39566
+8 Cnc,,8.08458605,13.11837053,5,A,39567
+9Mu 1Cnc,,8.10511097,22.63551163,5,M,39659
+,,8.11120663,-45.26604229,5,K,39690
+,,8.12167948,-20.55434589,5,A,39734
+15Rho Pup,,8.12575059,-24.30443677,2,F,39757
+10Mu 2Cnc,,8.12940034,21.58197937,5,G,39780
+Ep Vol,,8.13217799,-68.61713647,4,B,39794
+27 Lyn,,8.14097319,51.50667575,4,A,39847
+29Zet Mon,,8.14323824,-2.98377649,4,G,39863
+,,8.15023843,-61.3017058,4,F,39903
+16 Pup,,8.15045651,-19.24500094,4,B,39906
+,,8.15264291,-48.68440955,5,B,39919
+,,8.15792775,-16.24890678,5,B,39943
+Gam2Vel,,8.15887648,-47.33661177,1,W,39953
+,,8.15934215,-56.08547484,5,A,39957
+,,8.15997862,-44.12277919,5,B,39961
+,,8.16198877,-47.9372165,5,B,39970
+,,8.16772214,58.2484227,5,K,39995
+14P i Cnc,,8.17422999,25.50817993,5,G,40023
+18 Pup,,8.17777126,-13.79934746,5,F,40035
+,,8.18633462,-48.46200365,5,B,40077
+19 Pup,,8.18786703,-12.92701835,4,K,40084
+,,8.18930562,-39.61855304,4,K,40091
+,,8.19052689,-42.98728888,4,A,40096
+,,8.19250826,-7.77247623,5,G,40107
+,,8.19999201,-46.64436989,5,F,40155
+16Zet2Cnc,,8.20353023,17.64813756,4,G,40167
+,,8.21355238,68.47405416,5,G,40215
+15 Cnc,,8.21913181,29.6565862,5,B,40240
+20 Pup,,8.22221528,-15.78821451,4,G,40259
+,,8.22486734,-35.89954225,4,B,40274
+,,8.22617405,-50.19606698,5,M,40282
+,,8.22671202,-46.9916532,5,B,40285
+,,8.23061069,56.45231827,5,G,40305
+,,8.23286613,-36.32229977,5,B,40321
+,,8.23413531,-40.34773028,4,K,40326
+,,8.23702481,-35.49007215,5,K,40344
+,,8.2399662,-45.83454842,5,B,40357
+,,8.25443165,-62.91561677,5,A,40429
+17Bet Cnc,,8.2752634,9.18566295,3,K,40526
+29 Lyn,,8.29733867,59.57112846,5,A,40646
+,,8.30482986,-35.45170517,5,K,40678
+,,8.30521599,-65.6132455,5,K,40680
+,,8.30660563,-12.62976955,5,K,40693
+Alp Cha,,8.30868523,-76.91998251,4,F,40702
+,,8.30927588,-36.65953286,4,A,40706
+,,8.32143991,62.50713912,5,G,40772
+,,8.32561454,75.75686931,5,G,40793
+Kap1Vol,,8.33027654,-71.51499632,5,B,40817
+Kap2Vol,,8.33348864,-71.50546247,5,A,40834
+18Chi Cnc,,8.33440897,27.21862138,5,F,40843
+,,8.33914792,20.74783186,5,K,40866
+30 Lyn,,8.34055477,57.74324466,5,F,40875
+19Lam Cnc,,8.34226369,24.02235699,5,B,40881
+The Cha,,8.34413553,-77.4845764,4,K,40888
+,,8.35336165,-57.97323049,5,B,40932
+,,8.35584704,-36.48419365,5,B,40943
+,,8.35589566,-20.07901245,5,A,40944
+,,8.35639843,-33.05437199,4,K,40945
+,,8.36518401,-17.58630046,5,K,40990
+Eta Vol,,8.36792276,-73.40005893,5,A,41003
+Ep Car,,8.37524019,-59.50953829,1,K,41037
+,,8.37547184,-48.49039742,4,B,41039
+,,8.38053878,-26.34823475,5,F,41074
+31 Lyn,,8.38059169,43.18837233,4,K,41075
+,,8.38169478,-7.54313579,5,M,41080
+,,8.38199439,-52.12377702,5,A,41081
+20 Cnc,,8.38940876,18.33228008,5,A,41117
+,,8.39681365,53.21995142,5,A,41152
+,,8.40566167,-80.91471955,5,G,41191
+1 Hya,,8.40976055,-3.75117744,5,F,41211
+,,8.41533236,-23.15381698,5,A,41242
+,,8.41589321,-42.76985034,5,B,41250
+,,8.41771049,-24.04626227,5,K,41260
+,,8.425372,-51.72745683,5,B,41296
+,,8.42654174,2.10224935,5,K,41299
+,,8.42768636,-3.90636482,3,A,41307
+Bet Vol,,8.42895729,-66.13652042,3,K,41312
+,,8.43100468,-64.60065452,5,G,41321
+,,8.43108974,-42.15310407,5,B,41323
+,,8.43188534,7.56452889,5,G,41325
+,,8.43211016,-14.9297554,5,A,41328
+2 Hya,,8.44089683,-3.98729976,5,A,41375
+22Phi1Cnc,,8.44103554,27.89386239,5,K,41377
+,,8.44500192,-12.53453988,5,K,41395
+27 Cnc,,8.44554162,12.65486252,5,M,41400
+,,8.4546632,-70.09359517,5,A,41451
+,,8.46018077,-53.08853976,5,A,41483
+,,8.46650711,-35.11378822,5,B,41515
+29 Cnc,,8.47704103,14.21085416,5,A,41578
+,,8.48465504,-47.92893948,5,B,41616
+,,8.4854369,-44.16043155,5,B,41621
+,,8.49096888,-44.72482773,5,B,41639
+,,8.49601503,-46.33172799,5,B,41674
+,,8.49619276,67.29741477,5,G,41676
+1Omi UMa,,8.50445282,60.7184311,3,G,41704
+,,8.50794993,-32.15928753,5,K,41723
+30Up 1Cnc,,8.52515867,24.08121618,5,F,41816
+,,8.52526222,-19.57743956,5,B,41817
+31The Cnc,,8.52660191,18.09455771,5,K,41822
+,,8.53471469,-53.21196039,5,G,41861
+33Eta Cnc,,8.54514576,20.44127049,5,K,41909
+,,8.54862659,38.01678677,5,K,41935
+,,8.56067967,-38.8488327,5,B,42001
+,,8.56207964,4.75701524,5,G,42008
+,,8.56712143,-2.15160482,5,A,42028
+2 UMa,,8.57671869,65.14527349,5,A,42080
+,,8.5787802,-49.94424627,5,K,42088
+33 Lyn,,8.57886209,36.41971903,5,A,42090
+,,8.58766105,-58.22476298,5,B,42129
+,,8.58879117,-58.0092947,4,K,42134
+3 Hya,,8.5911698,-7.98233083,5,A,42146
+,,8.59131163,-26.84353277,5,A,42147
+,,8.59751493,6.62053814,5,F,42172
+,,8.59778884,-50.96967696,5,B,42177
+36 Cnc,,8.61827397,9.65559645,5,A,42265
+,,8.62190182,-62.85341217,5,K,42286
+,,8.62740038,-42.98910371,4,A,42312
+4Del Hya,,8.62761315,5.70379868,4,A,42313
+Eta Pyx,,8.63115789,-26.25497008,5,A,42334
+,,8.63861052,32.80202805,5,K,42365
+,,8.6395165,53.4015752,5,G,42372
+5Sig Hya,,8.64595799,3.34147477,4,K,42402
+The Vol,,8.65142451,-70.38665235,5,A,42425
+,,8.65224163,-22.6629058,5,G,42430
+3Pi 1UMa,,8.65326174,65.02069298,5,G,42438
+,,8.65490309,52.71169928,5,K,42452
+,,8.65662967,-53.43982462,5,B,42459
+Zet Pyx,,8.66180298,-29.56086189,4,G,42483
+,,8.66600626,-53.05478181,5,B,42504
+6 Hya,,8.66708871,-12.47537441,4,K,42509
+Bet Pyx,,8.66837126,-35.30830091,3,G,42515
+4Pi 2UMa,,8.67024961,64.32787175,4,K,42527
+,,8.67152468,-53.01545412,5,B,42535
+,,8.67155811,-52.92197259,3,B,42536
+,,8.67200475,-40.2638933,5,A,42540
+,,8.67646012,-45.19111481,5,M,42564
+,,8.67695421,-59.76101468,4,B,42568
+,,8.67710424,-46.64875492,3,F,42570
+34 Lyn,,8.68362445,45.83378521,5,G,42604
+,,8.6848123,-48.922689,5,B,42614
+,,8.68698335,-47.31714129,4,A,42624
+Eta Cha,,8.6887782,-78.96342637,5,B,42637
+9 Hya,,8.69537054,-15.94314865,4,K,42662
+,,8.69914264,-45.4107261,5,B,42679
+,,8.7044993,-48.099099,5,B,42712
+,,8.70528195,-53.10011485,5,B,42715
+,,8.70705844,-53.11404062,4,B,42726
+45 Cnc,,8.72009312,12.6808708,5,A,42795
+7Eta Hya,,8.72041287,3.39866539,4,B,42799
+43Gam Cnc,,8.72144808,21.46859609,4,A,42806
+Alp Pyx,,8.72654096,-33.18641133,3,B,42828
+,,8.72785444,-49.82281081,5,B,42834
+,,8.72788341,-7.23372781,4,G,42835
+,,8.73999055,-42.64932331,4,G,42884
+47Del Cnc,,8.7447528,18.15486399,3,K,42911
+Del Vel,,8.7450548,-54.70856797,1,A,42913
+49 Cnc,,8.74584572,10.08171256,5,A,42917
+,,8.74775914,-37.1472599,5,B,42923
+,,8.76534296,-79.50457035,5,K,43012
+,,8.7671263,-46.0415392,3,A,43023
+,,8.76734788,-2.04876829,5,K,43026
+12 Hya,,8.77292429,-13.54770494,4,G,43067
+,,8.77515309,-45.91251639,5,B,43082
+48Iot Cnc,,8.7782873,28.76000509,4,G,43103
+,,8.77848866,-56.76979718,4,B,43105
+11Ep Hya,,8.77962395,6.41890691,3,G,43109
+50 Cnc,,8.78223805,12.11007629,5,A,43121
+,,8.78750212,-1.89705972,5,A,43142
+,,8.78856901,-46.15542775,5,F,43148
+13Rho Hya,,8.8072169,5.83788486,4,A,43234
+14 Hya,,8.8227049,-3.44297063,5,B,43305
+,,8.82754634,-40.32015599,5,A,43325
+,,8.82990231,-45.30790977,4,A,43347
+,,8.8309725,-32.78040797,5,G,43352
+,,8.83395601,-29.46301021,5,G,43370
+Gam Pyx,,8.84222536,-27.71005869,4,K,43409
+,,8.84262884,-46.52919614,5,B,43413
+,,8.84296687,-66.79322494,5,F,43414
+15 Hya,,8.85956659,-7.17721266,5,A,43496
+,,8.86014785,-57.63361532,5,B,43499
+35 Lyn,,8.8657895,43.72649196,5,K,43531
+,,8.86945852,42.00288543,5,K,43550
+,,8.86993821,45.3129001,5,K,43553
+51Sig1Cnc,,8.87628452,32.47412331,5,A,43584
+55Rho1Cnc,,8.87670358,28.33138843,5,G,43587
+,,8.87739363,-48.35909798,5,B,43589
+,,8.8800057,-38.72413106,5,K,43603
+5 UMa,,8.88960274,61.96221364,5,F,43644
+,,8.89685248,-60.35393124,5,B,43669
+,,8.8973891,-47.52071984,5,A,43671
+57 Cnc,,8.90408464,30.57917723,5,G,43721
+,,8.91746157,-60.64471195,3,B,43783
+,,8.91993255,-54.96554657,5,F,43797
+,,8.92011641,-18.24120659,5,K,43798
+16Zet Hya,,8.92324579,5.9455277,3,G,43813
+Del Pyx,,8.92542099,-27.68162589,4,A,43825
+58Rho2Cnc,,8.92769133,27.92756265,5,G,43834
+60 Cnc,,8.93209891,11.62605826,5,K,43851
+,,8.93868834,-52.72351071,4,B,43878
+,,8.94182728,40.20156718,5,F,43894
+,,8.94281443,-16.70868242,5,K,43899
+6 UMa,,8.94374632,64.60403054,5,G,43903
+Zet Oct,,8.94496757,-85.66323432,5,F,43908
+,,8.94723811,45.63175477,5,K,43923
+59Sig2Cnc,,8.94906509,32.91058931,5,A,43932
+,,8.94956307,-59.22935883,4,B,43937
+62Omi1Cnc,,8.95414248,15.32271727,5,A,43970
+63Omi2Cnc,,8.95976751,15.58123453,5,F,44001
+,,8.96543693,-48.57293357,5,G,44024
+65Alp Cnc,,8.97477693,11.85777198,4,A,44066
+,,8.9788291,-16.13324587,5,F,44075
+,,8.9812295,-47.23482313,5,A,44093
+9Iot UMa,,8.98689965,48.04234956,3,A,44127
+,,8.99010582,-59.08439697,5,F,44143
+64Sig3Cnc,,8.99241237,32.41864339,5,G,44154
+,,9.00151114,-41.25373789,4,F,44191
+,,9.01076451,41.78344401,3,F,44248
+,,9.0127075,-60.96384715,5,G,44256
+,,9.01902431,-68.68391841,5,M,44283
+,,9.02246539,-41.86429036,5,B,44299
+66 Cnc,,9.02336923,32.25229474,5,A,44307
+,,9.0290481,-52.18871825,5,A,44337
+,,9.03278206,-0.48284175,5,K,44356
+Alp Vol,,9.04077745,-66.39584369,4,A,44382
+8Rho UMa,,9.04242386,67.62957486,4,M,44390
+69Nu Cnc,,9.04562973,24.45293256,5,A,44405
+,,9.04578414,7.29826333,5,K,44406
+12Kap UMa,,9.06043299,47.15665934,3,A,44471
+,,9.06677857,54.28387681,5,A,44504
+,,9.0692557,-47.09771376,3,K,44511
+,,9.08578619,-72.60269387,4,F,44599
+,,9.09002957,48.53035841,5,F,44613
+,,9.09399501,-70.53852074,4,B,44626
+18Ome Hya,,9.09954939,5.09234249,4,K,44659
+,,9.10883001,38.45225024,4,G,44700
+76Kap Cnc,,9.12911787,10.66821521,5,B,44798
+Lam Vel,,9.13327141,-43.43262406,2,K,44816
+72Tau Cnc,,9.13335317,29.65422729,5,G,44818
+Kap Pyx,,9.13412701,-25.85853691,4,K,44824
+11Sig1UMa,,9.13987031,66.87333335,5,K,44857
+19 Hya,,9.14505334,-8.58951324,5,B,44883
+75 Cnc,,9.14650583,26.63001213,5,G,44892
+,,9.14755686,33.88249742,5,F,44897
+15 UMa,,9.1478849,51.60472728,4,A,44901
+,,9.15118016,-18.32859911,5,A,44923
+,,9.15319507,-12.35770752,5,G,44936
+77Xi Cnc,,9.15598164,22.04544728,5,K,44946
+20 Hya,,9.15988328,-8.78763061,5,G,44961
+Ep Pyx,,9.16566987,-30.36528248,5,A,45001
+13Sig2UMa,,9.17320171,67.13423886,4,F,45038
+14Tau UMa,,9.18192532,63.51378087,4,A,45075
+,,9.18280702,-58.96693014,3,B,45080
+,,9.18455627,-44.86791223,4,B,45085
+,,9.18799107,-62.31701587,3,B,45101
+,,9.19260805,-46.58392947,5,B,45122
+,,9.19965859,-19.74774055,5,G,45158
+,,9.20848364,-43.61329176,5,B,45189
+,,9.21545133,-59.41396656,5,G,45219
+Bet Car,,9.22006688,-69.71747245,1,A,45238
+,,9.22624313,-47.33843989,5,B,45270
+36 Lyn,,9.23006386,43.21791261,5,B,45290
+,,9.23561939,-44.14585354,5,B,45314
+,,9.23834016,-55.56970109,5,G,45328
+16 UMa,,9.23904198,61.42339501,5,F,45333
+22The Hya,,9.23938701,2.31502422,3,B,45336
+,,9.24014021,-43.22752192,5,B,45344
+,,9.24921275,-37.60236629,5,K,45386
+82Pi 2Cnc,,9.25385464,14.9415367,5,K,45410
+,,9.2539884,34.63339985,5,G,45412
+,,9.26021159,-38.56991789,4,K,45439
+,,9.26251929,-37.41312644,4,F,45448
+17 UMa,,9.26383568,56.74147744,5,K,45455
+,,9.26465275,72.94646226,5,F,45461
+18 UMa,,9.26979967,54.02171207,4,A,45493
+,,9.27002845,-57.54143764,4,M,45496
+,,9.27306594,-44.26574592,5,K,45505
+24 Hya,,9.27816022,-8.74475953,5,B,45526
+23 Hya,,9.27825606,-6.35315487,5,K,45527
+,,9.28252741,-39.40145479,5,K,45544
+Iot Car,,9.28484122,-59.27526115,2,A,45556
+,,9.28548114,-14.57405765,5,K,45559
+,,9.2881668,-68.68957252,5,F,45571
+,,9.29033647,-74.89439024,5,A,45581
+,,9.29100946,-74.73467629,5,A,45585
+,,9.29199044,46.81719916,5,A,45590
+,,9.30163621,-51.05089519,5,B,45631
+,,9.30720664,35.36412574,5,A,45661
+,,9.31176703,-51.5606599,5,B,45675
+38 Lyn,,9.31407426,36.80289763,3,A,45688
+,,9.32586432,-15.83453443,5,K,45743
+26 Hya,,9.32955521,-11.97488214,4,G,45751
+27 Hya,,9.3413961,-9.55562948,4,F,45811
+,,9.34911953,-62.40463293,4,G,45856
+40Alp Lyn,,9.35096077,34.39252592,3,M,45860
+The Pyx,,9.35822189,-25.96541642,4,M,45902
+,,9.36202785,56.6992485,5,M,45915
+,,9.36391907,-55.51487092,5,A,45920
+,,9.36414996,-42.19473814,5,M,45924
+Kap Vel,,9.36856367,-55.01069531,2,B,45941
+,,9.37333195,-46.04750246,5,G,45962
+Lam Pyx,,9.38676009,-28.83392305,4,G,46026
+,,9.4015266,-61.64878694,5,K,46101
+Iot Cha,,9.40270261,-80.78720514,5,F,46107
+1Kap Leo,,9.41091093,26.18244091,4,K,46146
+28 Hya,,9.42334508,-5.1173788,5,K,46221
+,,9.42427157,-61.95061204,5,A,46225
+,,9.43832709,-53.37893587,5,B,46283
+,,9.45180502,-71.60209195,5,K,46358
+,,9.4550826,-22.3434176,4,K,46371
+30Alp Hya,Alphard,9.45979217,-8.65868335,1,K,46390
+,,9.46303252,-6.07102871,5,G,46404
+2Ome Leo,,9.47427136,9.05677114,5,F,46454
+3 Leo,,9.47477605,8.18837326,5,K,46457
+,,9.47516606,-66.70198874,5,A,46460
+,,9.47777629,45.6017947,5,K,46471
+,,9.47977399,-62.2732034,5,K,46482
+31Tau1Hya,,9.48578854,-2.76895627,4,F,46509
+,,9.48684837,-20.74914438,5,K,46511
+Ep Ant,,9.48742707,-35.9513478,4,K,46515
+,,9.49847742,-26.58961727,5,K,46578
+,,9.50142443,-51.51719294,5,B,46594
+,,9.50626089,-15.57719292,5,K,46618
+,,9.50651481,-58.36190438,5,M,46620
+P i Vel,,9.51169804,-40.46688763,3,F,46651
+7 LMi,,9.51200929,33.65582773,5,G,46652
+Zet1Ant,,9.51280042,-31.88917107,5,A,46657
+,,9.52037604,-57.0343916,3,K,46701
+23 UMa,,9.52543601,63.06179545,3,F,46733
+Zet2Ant,,9.52560908,-31.87183113,5,A,46734
+8 LMi,,9.52568045,35.10350902,5,M,46735
+,,9.52581487,-35.71432898,5,K,46736
+,,9.52675644,-73.08091865,5,K,46741
+4Lam Leo,,9.52867787,22.96806545,4,K,46750
+5Xi Leo,,9.5324423,11.3000307,4,K,46771
+6 Leo,,9.53266183,9.7157982,5,K,46774
+32Tau2Hya,,9.53303743,-1.18465438,4,A,46776
+,,9.53868631,-40.64932106,5,G,46811
+,,9.53900819,-19.40032613,5,A,46813
+25The UMa,,9.54786812,51.67860208,3,F,46853
+,,9.54882754,-13.51680632,5,K,46859
+,,9.55346458,-21.11575904,5,K,46880
+,,9.5572488,-22.86401784,5,B,46897
+,,9.56237775,-49.0050932,5,B,46914
+Zet Cha,,9.56486254,-80.94129374,5,B,46928
+,,9.56911146,-51.25528201,5,B,46950
+10 LMi,,9.57038249,36.39761338,4,G,46952
+,,9.57407306,-59.22976797,4,B,46974
+24 UMa,,9.57471329,69.83015419,4,G,46977
+33 Hya,,9.5757339,-5.91480636,5,K,46982
+26 UMa,,9.58041525,52.05156754,4,A,47006
+22 UMa,,9.58149683,72.2058641,5,F,47013
+,,9.58440346,39.62144313,4,K,47029
+11 LMi,,9.59445206,35.81076694,5,G,47080
+,,9.61190291,31.16184064,5,M,47168
+,,9.61379361,-49.3551286,4,A,47175
+,,9.61673545,-25.29684739,5,K,47187
+8 Leo,,9.61738629,16.43795912,5,K,47189
+,,9.61815331,81.32642085,4,K,47193
+,,9.61940822,-32.17861272,5,K,47199
+,,9.62018782,-53.66848607,5,A,47204
+10 Leo,,9.6201968,6.83577519,5,K,47205
+,,9.62456088,-36.09599061,5,K,47224
+,,9.63373172,-43.19086905,5,G,47267
+42 Lyn,,9.63938523,40.23976693,5,F,47300
+,,9.6409403,4.64941422,4,K,47310
+,,9.6558447,-61.32810523,4,B,47391
+,,9.65775461,67.27232436,5,K,47401
+35Iot Hya,,9.66425943,-1.14265722,3,K,47431
+38Kap Hya,,9.67177198,-14.33224542,5,B,47452
+,,9.67850073,-57.98357162,5,A,47479
+,,9.68391749,-57.25944118,5,K,47498
+14Omi Leo,,9.68586607,9.89239902,3,A,47508
+,,9.68806276,-23.59152139,4,B,47522
+,,9.69308482,31.27784047,5,K,47544
+,,9.69664999,-55.21376962,5,B,47559
+43 Lyn,,9.70010568,39.75796859,5,G,47570
+,,9.70407542,-23.91620867,4,G,47592
+,,9.70414807,69.23770604,5,G,47594
+27 UMa,,9.71589957,72.25268512,5,K,47654
+15 Leo,,9.7259087,29.97472479,5,A,47701
+,,9.72841703,-53.89136176,5,A,47717
+16P i Leo,,9.72886153,14.02170696,5,M,47723
+The Ant,,9.73670284,-27.76956287,4,A,47758
+,,9.75411876,-62.50792328,3,G,47854
+17Ep Leo,,9.76419511,23.77427792,2,G,47908
+,,9.76945579,6.70861426,5,M,47943
+Nu Cha,,9.77233852,-76.77598144,5,G,47956
+18 Leo,,9.77314919,11.81000106,5,K,47959
+,,9.77323416,1.78568624,5,F,47960
+,,9.77510584,-44.75505925,5,B,47963
+,,9.77546226,57.12798971,5,M,47965
+Up Car,,9.78503822,-65.07201888,2,A,48002
+,,9.80977356,46.02123319,5,G,48113
+,,9.82448571,-37.1867849,5,K,48191
+,,9.83254485,-45.73276023,5,B,48224
+,,9.84499163,-46.93400208,5,K,48287
+,,9.84877724,-62.74513696,5,K,48310
+29Up UMa,,9.84991436,59.03910437,3,F,48319
+,,9.85334264,-59.42567316,5,K,48339
+,,9.85548947,-46.19395369,5,K,48348
+39Up 1Hya,,9.85796735,-14.84654997,4,G,48356
+,,9.86130232,-46.54764424,4,G,48374
+22 Leo,,9.86472905,24.3957937,5,A,48390
+30Phi UMa,,9.86843337,54.06428574,4,A,48402
+8Gam Sex,,9.8751308,-8.10491559,5,A,48437
+24Mu Leo,,9.87943268,26.00708498,3,K,48455
+,,9.89525747,5.95856912,5,M,48519
+,,9.89725309,-51.1467146,5,B,48527
+,,9.90345515,-25.93248205,4,K,48559
+,,9.90490791,-45.28352716,5,B,48561
+,,9.91424015,-50.24397661,5,A,48613
+,,9.9145103,-19.00926985,4,K,48615
+31 UMa,,9.92861269,49.81979501,5,A,48682
+,,9.94056288,8.93310774,5,K,48734
+,,9.94318612,-33.41854978,5,K,48748
+Phi Vel,,9.94770968,-54.5677973,3,B,48774
+,,9.95376997,57.4183508,5,G,48802
+19 LMi,,9.96142902,41.05569741,5,F,48833
+27Nu Leo,,9.97038636,12.44483936,5,B,48883
+,,9.97303052,72.87959798,5,K,48893
+Eta Ant,,9.98120556,-35.89093311,5,A,48926
+,,9.99341046,29.64532453,5,G,48982
+,,9.99769997,56.81187557,5,K,49005
+29Pi Leo,,10.00356231,8.04427686,4,M,49029
+Mu 1Cha,,10.0121957,-82.21474569,5,A,49065
+20 LMi,,10.01695008,31.9247146,5,G,49081
+,,10.0333625,-60.42089968,5,A,49164
+,,10.04693305,21.9492707,5,B,49220
+,,10.07250464,-24.28559599,5,F,49339
+,,10.07676254,53.8917256,5,F,49363
+40Up 2Hya,,10.08541457,-13.06467435,4,B,49402
+,,10.103117,-47.36986491,5,K,49485
+,,10.11930269,-17.14159635,5,K,49569
+30Eta Leo,,10.12220929,16.76266572,3,A,49583
+21 LMi,,10.12381254,35.24469176,4,A,49593
+31 Leo,,10.13175523,9.99766389,4,K,49637
+15Alp Sex,,10.13230432,-0.37162786,4,A,49641
+32Alp Leo,Regulus,10.13957205,11.96719513,1,B,49669
+,,10.14523273,-65.81553262,5,K,49698
+,,10.14895935,-51.81126187,4,B,49712
+,,10.15838877,-68.68283264,5,A,49764
+,,10.16832209,-12.81565791,5,F,49809
+17 Sex,,10.16876603,-8.40816325,5,A,49812
+41Lam Hya,,10.17649919,-12.35383921,3,K,49841
+,,10.17713774,-41.71493294,5,K,49844
+18 Sex,,10.18218368,-8.41835129,5,K,49865
+,,10.18688698,37.40197095,5,K,49893
+,,10.1962422,-58.06055982,5,B,49934
+19 Sex,,10.21344255,4.61469047,5,K,50027
+,,10.22302267,-51.23293774,5,A,50070
+,,10.22445671,-51.75580487,5,A,50078
+,,10.22518961,-66.37283938,5,A,50083
+Ome Car,,10.22896636,-70.03792169,3,B,50099
+,,10.22943895,-40.3460764,5,K,50103
+,,10.24563159,-42.12206281,3,A,50191
+,,10.25876345,-43.11224108,5,K,50241
+23 LMi,,10.27068872,29.31055982,5,A,50303
+35 Leo,,10.27567137,23.50301282,5,G,50319
+37 Leo,,10.27798644,13.72837138,5,M,50333
+36Zet Leo,,10.27816787,23.4173284,3,F,50335
+,,10.27828876,25.37069774,5,K,50336
+,,10.28472369,-61.33231977,3,K,50371
+33Lam UMa,,10.2849797,42.91446855,3,A,50372
+39 Leo,,10.28744461,23.10645604,5,F,50384
+22Ep Sex,,10.29386016,-8.0689212,5,F,50414
+32 UMa,,10.30059739,65.10837358,5,A,50448
+,,10.30211127,-28.99202661,5,B,50456
+,,10.30785168,-41.66849763,5,B,50480
+,,10.31059959,-56.11067508,5,F,50493
+,,10.31808873,-64.67628786,5,A,50520
+,,10.32687922,-55.02931452,4,K,50555
+40 Leo,,10.32897506,19.47143591,4,F,50564
+41Gam1Leo,Algieba,10.3328227,19.84186032,2,K,50583
+,,10.33797864,-47.69910004,5,K,50609
+,,10.34855972,-56.04322401,4,B,50676
+,,10.35095229,68.74773415,5,A,50685
+,,10.36962647,41.22986684,5,F,50786
+,,10.37211278,-41.65010791,4,K,50799
+34Mu UMa,,10.37216756,41.4994335,3,M,50801
+,,10.38282757,-66.90152522,4,B,50847
+27 LMi,,10.3850938,33.90815509,5,A,50860
+25 Sex,,10.39069668,-4.07404512,5,B,50885
+,,10.39150381,-38.00970922,5,A,50888
+,,10.40218301,65.56647366,4,A,50933
+28 LMi,,10.40239288,33.71853542,5,K,50935
+,,10.40659458,-74.03154474,3,F,50954
+,,10.41652799,-58.57631762,5,F,50993
+44 Leo,,10.4208858,8.78493853,5,M,51008
+,,10.42898629,-7.06014256,5,M,51046
+30 LMi,,10.43190753,33.79626364,4,F,51056
+42Mu Hya,,10.43486251,-16.83609584,3,K,51069
+,,10.44692638,-54.87731436,5,K,51140
+Alp Ant,,10.4525433,-31.06780228,4,K,51172
+,,10.45679951,-57.63881373,4,A,51192
+,,10.4646514,-58.73940856,3,F,51232
+31Bet LMi,,10.46474791,36.70747818,4,G,51233
+,,10.48127695,-64.17228466,5,K,51313
+29Del Sex,,10.49131408,-2.73904701,5,B,51362
+,,10.4913926,-29.66385399,5,K,51364
+Del Ant,,10.49316621,-30.60707101,5,B,51376
+,,10.49505784,84.25210531,5,F,51384
+32 LMi,,10.50179443,38.925143,5,A,51420
+30Bet Sex,,10.50486195,-0.63697208,5,B,51437
+,,10.50557641,-71.99271995,4,A,51438
+36 UMa,,10.51049009,55.98061759,4,F,51459
+,,10.51662718,-13.5884676,5,B,51491
+,,10.51724293,-73.2215089,4,K,51495
+,,10.51806127,82.55853791,5,F,51502
+,,10.522843,-53.7159928,4,F,51523
+33 LMi,,10.53093442,32.3795376,5,A,51556
+,,10.53262466,-45.06671373,5,B,51561
+,,10.5337455,-61.68536031,3,B,51576
+46 Leo,,10.53661066,14.13720956,5,M,51585
+,,10.54267239,-44.6184503,5,G,51610
+,,10.5466157,-58.66675023,5,A,51623
+47Rho Leo,,10.5468542,9.30659431,3,B,51624
+,,10.54913353,-47.00336923,5,K,51635
+,,10.55388811,40.42554046,4,A,51658
+34 LMi,,10.5585921,34.98870207,5,A,51685
+44 Hya,,10.5669142,-23.74521609,5,K,51718
+48 Leo,,10.58002043,6.95361136,5,G,51775
+49 Leo,,10.58394168,8.65043904,5,A,51802
+,,10.58488566,75.71298403,4,K,51808
+37 UMa,,10.58600621,57.08254651,5,F,51814
+,,10.58690973,-39.5625967,5,C,51821
+Gam Cha,,10.59117177,-78.60781379,4,M,51839
+,,10.59314294,-57.55763551,4,K,51849
+,,10.6057123,-59.56429542,5,K,51912
+,,10.60895074,-12.22848702,5,F,51933
+,,10.62049965,-27.41268661,4,M,51979
+,,10.62173798,-48.22561631,3,A,51986
+,,10.62418785,-58.73334704,5,A,52004
+,,10.62590207,-13.38445095,4,C,52009
+,,10.63407271,-57.25631096,5,B,52043
+Phi3Hya,,10.64305918,-16.87663687,4,G,52085
+37 LMi,,10.64533684,31.97622008,4,G,52098
+,,10.6458368,-59.18299905,4,K,52102
+,,10.64991802,-58.81688568,5,M,52127
+,,10.65159562,53.66849306,5,K,52136
+38 LMi,,10.65216541,37.9101113,5,F,52139
+,,10.65511459,-55.60327905,4,G,52154
+,,10.66985098,-65.10024026,5,B,52221
+,,10.69675146,68.44355985,5,K,52338
+,,10.69766002,-79.78330226,5,B,52340
+38 UMa,,10.69910623,65.71646212,5,K,52353
+,,10.70392889,-64.4664538,4,B,52370
+,,10.7112705,-59.21576469,5,B,52405
+,,10.71200245,-32.71567314,5,A,52407
+The Car,,10.71595186,-64.39447937,2,B,52419
+40 LMi,,10.71720743,26.32569732,5,A,52422
+,,10.71778873,69.07624525,5,K,52425
+35 Sex,,10.72247452,4.74774961,5,K,52452
+41 LMi,,10.7236194,23.18838442,5,A,52457
+,,10.72564102,-60.56662705,4,K,52468
+,,10.72586595,46.2040376,5,F,52469
+39 UMa,,10.72869915,57.19932851,5,A,52478
+,,10.73089292,-64.24905176,5,B,52487
+,,10.73526031,-63.9611007,4,B,52502
+,,10.7511174,67.41138225,5,C,52577
+Del1Cha,,10.75454864,-80.4695233,5,K,52595
+Del2Cha,,10.76309326,-80.54020283,4,B,52633
+42 LMi,,10.76442004,30.68240198,5,A,52638
+,,10.77127179,-64.51458587,5,B,52678
+51 Leo,,10.77346864,18.89162177,5,K,52686
+52 Leo,,10.77370912,14.19480263,5,G,52689
+,,10.77489193,-64.26326386,5,B,52701
+Mu Vel,,10.77947836,-49.42012517,2,G,52727
+,,10.78090115,-64.38349702,4,B,52736
+,,10.78112913,-17.29683026,5,A,52737
+,,10.78263744,-56.7571908,5,B,52742
+,,10.80150441,-59.91916925,5,A,52827
+,,10.80392549,-31.68785403,5,A,52841
+,,10.81126854,-1.95891494,5,M,52863
+53 Leo,,10.8209535,10.54526139,5,A,52911
+,,10.82346012,-59.32377833,5,B,52922
+Nu Hya,,10.82706446,-16.19413208,3,K,52943
+,,10.82874523,-9.85262893,5,G,52948
+,,10.83251279,-34.05819988,5,A,52965
+41 Sex,,10.83834982,-8.89772694,5,A,52980
+,,10.85151113,-3.09264065,5,K,53035
+43 UMa,,10.85307864,56.58223677,5,K,53043
+42 UMa,,10.85659933,59.32024369,5,K,53064
+,,10.87523685,-57.24041437,5,B,53154
+46 LMi,,10.88851107,34.21556641,3,K,53229
+,,10.89152267,-20.13815014,5,F,53252
+,,10.89154617,-58.85326474,3,K,53253
+,,10.89204997,69.85404505,5,G,53257
+44 UMa,,10.89292189,54.58515228,5,K,53261
+,,10.89503594,-70.72033781,5,B,53272
+,,10.89548914,-2.12924149,5,G,53273
+45Ome UMa,,10.89964055,43.19001538,4,A,53295
+,,10.90493913,-13.75805882,5,K,53316
+,,10.9082215,-61.82661289,5,K,53334
+,,10.91617223,34.03490757,5,G,53377
+,,10.92146194,-60.51720824,5,K,53394
+54 Leo,,10.92690222,24.74975451,4,A,53417
+55 Leo,,10.92842695,0.73693069,5,F,53423
+46 UMa,,10.92901737,33.50699574,5,K,53426
+56 Leo,,10.93374528,6.18538415,5,M,53449
+Iot Ant,,10.94527675,-37.1374629,4,K,53502
+,,10.95218941,-50.76504906,5,A,53530
+,,10.98715108,-33.73745399,5,F,53699
+47 UMa,,10.99117105,40.43012281,5,G,53721
+,,10.99193167,-16.35368059,5,M,53723
+,,10.99242746,36.09322401,5,M,53726
+7Alp Crt,,10.9963191,-18.29909723,4,K,53740
+,,10.99984135,-43.80713489,5,B,53762
+,,11.00256828,-42.22586959,4,A,53773
+,,11.00324969,-14.08329867,5,K,53778
+,,11.00408227,45.52626916,5,K,53781
+58 Leo,,11.00934429,3.61753351,4,K,53807
+59 Leo,,11.01245342,6.10150342,4,A,53824
+49 UMa,,11.01402228,39.21213189,5,A,53838
+61 Leo,,11.03046358,-2.48449705,4,K,53907
+48Bet UMa,Merak,11.0306641,56.38234478,2,A,53910
+60 Leo,,11.0388281,20.17974575,4,A,53954
+,,11.05414672,-11.30320923,5,G,54029
+62 Leo,,11.06017427,-0.00083195,5,K,54049
+50Alp UMa,Dubhe,11.06217691,61.75111888,1,F,54061
+,,11.07536144,-47.67918306,5,A,54137
+,,11.08172486,-35.804689,5,A,54173
+63Chi Leo,,11.08367497,7.33612254,4,F,54182
+Chi1Hya,,11.08889795,-27.29359566,4,F,54204
+Chi2Hya,,11.09931871,-27.28781183,5,B,54255
+,,11.10902064,-62.42413654,4,G,54301
+,,11.11386921,-70.87793836,5,B,54327
+65 Leo,,11.11511968,1.95573365,5,G,54336
+,,11.12132112,-42.63878147,5,A,54360
+,,11.14277934,-61.94717969,5,B,54461
+,,11.14316545,-58.97504198,3,G,54463
+,,11.14556879,-28.08061647,5,A,54477
+67 Leo,,11.14696778,24.6584498,5,A,54487
+,,11.15530887,36.30943441,5,M,54522
+,,11.16070953,43.20775162,5,M,54537
+52P i UMa,,11.16107206,44.49855337,3,K,54539
+,,11.16482816,-32.36745668,5,A,54561
+11Bet Crt,,11.19430174,-22.82560642,4,A,54682
+,,11.20920712,-49.10107805,5,A,54746
+,,11.21000563,-60.3176307,4,A,54751
+,,11.21257516,-64.16978296,5,B,54767
+,,11.22074716,-44.37222081,5,K,54811
+,,11.22521976,-59.6193167,5,B,54829
+,,11.22761379,-53.2319031,5,K,54840
+69 Leo,,11.2293278,-0.06950857,5,A,54849
+,,11.23383522,8.06095499,5,K,54863
+68Del Leo,,11.23511447,20.52403384,2,A,54872
+70The Leo,,11.23734469,15.4297631,3,A,54879
+72 Leo,,11.25340086,23.09552528,4,M,54951
+73 Leo,,11.26441578,13.30759308,5,K,55016
+74Phi Leo,,11.27771224,-3.65151412,4,A,55084
+,,11.2783128,49.47627707,5,K,55086
+75 Leo,,11.28815783,2.01090315,5,M,55137
+54Nu UMa,,11.30798759,33.09423881,3,K,55219
+76 Leo,,11.31527263,1.65053072,5,K,55249
+55 UMa,,11.31887317,38.18572227,4,A,55266
+,,11.32134542,-64.58259742,5,F,55280
+12Del Crt,,11.3223674,-14.77904358,3,K,55282
+Pi Cen,,11.35012284,-54.49101395,3,B,55425
+77Sig Leo,,11.35229115,6.02935289,4,B,55434
+56 UMa,,11.38044827,43.48273665,4,G,55560
+,,11.38560147,-56.77936853,5,A,55581
+,,11.38686175,-36.16476782,5,K,55588
+,,11.3892865,-64.95473134,5,B,55597
+13Lam Crt,,11.38946455,-18.77990277,5,F,55598
+78Iot Leo,,11.39871355,10.52969772,4,F,55642
+79 Leo,,11.40064909,1.40776375,5,G,55650
+,,11.40310473,-72.25660192,5,B,55657
+14Ep Crt,,11.41016816,-10.85938276,4,K,55687
+15Gam Crt,,11.41471755,-17.68401748,4,A,55705
+,,11.41638522,11.43030968,5,K,55716
+,,11.42486971,-36.06310533,5,K,55756
+,,11.42586889,-37.74754766,5,M,55763
+81 Leo,,11.42679428,16.45655059,5,F,55765
+,,11.42876782,-63.97231572,5,F,55779
+,,11.43255118,55.85034058,5,K,55797
+,,11.44317623,-61.1151713,5,B,55831
+,,11.44647356,-53.15995577,5,K,55849
+16Kap Crt,,11.45265979,-12.3568071,5,F,55874
+84Tau Leo,,11.46561941,2.85629071,4,G,55945
+,,11.47641866,-42.67421801,5,B,56000
+57 UMa,,11.48448958,39.33694235,5,A,56034
+,,11.48463987,61.77778557,5,F,56035
+,,11.49406884,-24.46405831,5,A,56078
+85 Leo,,11.4949618,15.4133855,5,K,56080
+87 Leo,,11.50524494,-3.00345887,4,K,56127
+86 Leo,,11.50807802,18.40973855,5,K,56146
+58 UMa,,11.50865853,43.17304329,5,F,56148
+1Lam Dra,,11.52341346,69.33112161,3,M,56211
+Omi1Cen,,11.52946476,-59.44206384,5,G,56243
+Omi2Cen,,11.53022427,-59.51564932,5,A,56250
+,,11.53789374,-29.26137351,4,F,56280
+,,11.5388879,-66.9618349,5,K,56287
+,,11.53909916,61.08275166,5,F,56290
+,,11.5465392,-7.8275244,5,K,56318
+,,11.5467053,-40.4363361,5,M,56319
+,,11.54837498,-31.08723547,5,M,56332
+Xi Hya,,11.55007195,-31.85752405,3,G,56343
+,,11.56035106,-40.58670322,5,A,56391
+89 Leo,,11.57279333,3.060415,5,F,56445
+,,11.5749869,-32.83334205,5,K,56452
+90 Leo,,11.57847134,16.79691629,5,B,56473
+,,11.57936442,-54.26413167,4,B,56480
+,,11.58250124,-49.1369474,5,K,56497
+,,11.58469362,54.78537508,5,K,56510
+,,11.58704383,-47.37256106,5,M,56518
+Lam Cen,,11.59636896,-63.01982488,3,B,56561
+,,11.59876549,-47.64152017,5,A,56573
+2 Dra,,11.60072662,69.32325973,5,K,56583
+,,11.60498358,27.78130214,5,F,56601
+,,11.60621692,-61.05243721,5,B,56606
+,,11.60970121,-33.56997476,5,K,56620
+21The Crt,,11.61137458,-9.80225368,4,B,56633
+91Up Leo,,11.61581384,-0.82385424,4,G,56647
+,,11.61688935,-61.28344643,5,K,56656
+Pi Cha,,11.6210951,-75.89654092,5,F,56675
+,,11.62612505,-47.74737759,5,K,56700
+,,11.63014089,-67.62035361,5,K,56727
+,,11.63538108,-61.82655484,5,B,56754
+59 UMa,,11.63907991,43.62551361,5,F,56770
+1Ome Vir,,11.64100267,8.13428325,5,M,56779
+24Iot Crt,,11.64443251,-13.20224958,5,F,56802
+,,11.65823138,-65.3977489,5,G,56862
+Omi Hya,,11.67022789,-34.7446553,4,B,56922
+,,11.67847006,-53.96854858,5,M,56970
+92 Leo,,11.67975154,21.35284143,5,K,56975
+,,11.68157018,-62.09010401,4,G,56986
+61 UMa,,11.68417365,34.20256022,5,G,56997
+,,11.68884887,-43.09567719,5,A,57013
+62 UMa,,11.69291682,31.7459835,5,F,57029
+,,11.69554232,-32.49932237,5,K,57047
+3 Dra,,11.70789664,66.7448085,5,K,57111
+,,11.72422255,-37.19010227,5,K,57165
+,,11.72533328,-62.48939856,5,F,57175
+27Zet Crt,,11.74604415,-18.35061467,4,G,57283
+2Xi Vir,,11.75472355,8.25817475,4,A,57328
+Lam Mu ,,11.76015759,-66.72884344,3,A,57363
+,,11.76222323,-45.69014545,5,B,57371
+3Nu Vir,,11.76432515,6.52981394,4,M,57380
+63Chi UMa,,11.76753725,47.77933701,3,K,57399
+,,11.77523583,-61.17835907,4,G,57439
+,,11.77562416,-40.50133452,4,G,57443
+,,11.7821135,55.62826771,5,K,57477
+,,11.78865806,-57.69654711,5,K,57512
+4 Vir,,11.79859215,8.24586534,5,A,57562
+93 Leo,,11.7997851,20.21894121,4,A,57565
+Mu Mu ,,11.80402484,-66.81487085,4,K,57581
+,,11.81076962,14.28419729,5,F,57606
+,,11.81252928,-26.74975369,5,M,57613
+94Bet Leo,Denebola,11.81774398,14.57233687,2,A,57632
+,,11.82808001,-63.78848906,4,B,57669
+,,11.82827752,34.9317394,5,F,57670
+,,11.8323964,-70.2257858,4,G,57696
+,,11.84091245,-62.6493833,5,A,57741
+5Bet Vir,,11.8448017,1.76537705,3,F,57757
+,,11.85061967,-5.333334,5,K,57791
+,,11.852431,-45.1734495,4,K,57803
+,,11.86156022,-30.83409571,5,F,57841
+,,11.86424246,-65.20589445,4,B,57851
+,,11.86955386,-56.98782681,5,B,57870
+Bet Hya,,11.88182257,-33.90813014,4,A,57936
+64Gam UMa,Phad,11.89715035,53.69473296,2,A,58001
+,,11.91180771,-25.71406632,5,G,58082
+,,11.91667299,-63.27917897,5,A,58103
+6 Vir,,11.91754209,8.44390534,5,K,58110
+,,11.92781364,-28.47703681,5,K,58158
+95 Leo,,11.92792432,15.64680922,5,A,58159
+66 UMa,,11.93289102,56.59856271,5,K,58181
+30Eta Crt,,11.93360653,-17.15080863,5,A,58188
+,,11.9611217,-62.44873578,5,B,58326
+,,11.97090199,-56.31731449,5,B,58379
+,,11.97990798,-64.33955671,5,A,58427
+,,11.98820492,33.16702114,5,K,58460
+Ep Cha,,11.99380313,-78.22181833,4,B,58484
+7 Vir,,11.99914546,3.65521716,5,A,58510
+,,12.01232423,-10.44483921,5,K,58576
+,,12.01421389,-19.65899848,5,B,58587
+8Pi Vir,,12.01455285,6.61439464,4,A,58590
+,,12.02764788,36.04227697,5,K,58654
+67 UMa,,12.0352953,43.04546506,5,A,58684
+,,12.0438213,-69.19227106,5,B,58720
+The1Cru,,12.05047198,-63.31294495,4,A,58758
+,,12.06092076,-42.43378714,5,F,58803
+2 Com,,12.07127112,21.45916332,5,F,58858
+The2Cru,,12.07201048,-63.16571094,4,B,58867
+,,12.07748522,-68.32889673,5,A,58884
+Kap Cha,,12.0796288,-76.51917475,5,K,58905
+,,12.08256836,-60.96823848,5,M,58921
+9Omi Vir,,12.08685266,8.73284563,4,G,58948
+,,12.08742742,76.90595813,5,G,58952
+,,12.10641217,-65.70942594,5,G,59050
+Eta Cru,,12.11468134,-64.61363898,4,F,59072
+,,12.13058005,-75.36706513,5,K,59151
+,,12.13479341,-50.66125439,4,B,59173
+,,12.13742491,-48.69247036,5,A,59184
+Del Cen,,12.13931767,-50.72240999,2,B,59196
+1Alp Crv,,12.14020907,-24.72877993,4,F,59199
+,,12.14828849,-44.32588609,5,A,59229
+,,12.14849946,-41.23158452,5,B,59232
+10 Vir,,12.16146813,1.89832789,5,K,59285
+11 Vir,,12.16764211,5.80696343,5,A,59309
+2Ep Crv,,12.16875718,-22.61979211,3,K,59316
+3 Crv,,12.18441142,-23.60237239,5,A,59394
+Rho Cen,,12.19420872,-52.36841559,3,B,59449
+4 Com,,12.19755584,25.87035539,5,K,59468
+5 Com,,12.20258311,20.54210573,5,K,59501
+,,12.20330922,77.61619242,5,A,59504
+,,12.20610735,-62.95077296,5,B,59517
+,,12.22362736,-38.92915939,5,B,59607
+12 Vir,,12.22388735,10.26236039,5,A,59608
+,,12.2340908,-45.72393011,5,K,59654
+,,12.24988397,-20.84423329,5,K,59728
+,,12.25237046,70.20007671,5,K,59746
+Del Cru,,12.25243248,-58.74890179,2,B,59747
+69Del UMa,,12.25706919,57.03259792,3,A,59774
+4Gam Crv,,12.26346329,-17.5419837,2,B,59803
+6 Com,,12.26673192,14.89914477,5,A,59819
+2 CVn,,12.2687601,40.66025851,5,M,59831
+7 Com,,12.27237644,23.94542332,4,K,59847
+,,12.27504856,33.06179861,4,K,59856
+,,12.29154507,53.19144123,5,K,59920
+,,12.29183258,28.93710321,5,A,59923
+Ep Mus,,12.29295453,-67.96067161,4,M,59929
+Bet Cha,,12.30581775,-79.31226899,4,B,60000
+Zet Cru,,12.30730353,-64.00304555,4,B,60009
+13 Vir,,12.3111939,-0.7871448,5,A,60030
+,,12.313907,75.1605502,5,A,60044
+,,12.31661903,-55.14297519,5,M,60059
+3 CVn,,12.33020086,48.98413192,5,M,60122
+15Eta Vir,,12.33177539,-0.66674709,3,A,60129
+,,12.33634291,-22.17562676,5,K,60157
+,,12.33881113,26.6197509,5,K,60170
+16 Vir,,12.33920904,3.31272688,4,K,60172
+5Zet Crv,,12.3426974,-22.21583387,5,B,60189
+11 Com,,12.34530365,17.79265307,4,G,60202
+70 UMa,,12.34745283,57.86428953,5,K,60212
+,,12.34880994,-13.56574902,5,K,60221
+Ep Cru,,12.35605869,-60.40136988,3,K,60260
+,,12.36595516,-56.3743836,5,K,60308
+Zet2Mu ,,12.36871851,-67.52209279,5,A,60320
+Zet1Mu ,,12.37000954,-68.30719873,5,K,60329
+12 Com,,12.37508865,25.84618178,4,F,60351
+,,12.38040898,-57.67610097,5,B,60379
+6 Crv,,12.38933327,-24.84062116,5,K,60425
+,,12.3931804,-35.41265923,5,B,60449
+,,12.39577394,-38.91135056,5,B,60463
+5 CVn,,12.40041175,51.56222925,4,G,60485
+13 Com,,12.40514991,26.09861325,5,A,60514
+71 UMa,,12.4175621,56.77785826,5,M,60584
+,,12.41994468,-11.61051268,5,A,60595
+,,12.42271218,-35.18640097,5,B,60610
+6 CVn,,12.43083253,39.01869867,5,G,60646
+14 Com,,12.44002048,27.26826273,4,F,60697
+,,12.44216338,-51.4506115,4,B,60710
+Alp1Cru,Acrux,12.44331705,-63.09905586,0,B,60718
+,,12.44769283,-32.83004764,5,B,60735
+15Gam Com,,12.44897988,28.26861975,4,K,60742
+16 Com,,12.44980668,26.8257216,4,A,60746
+,,12.45802117,-58.99176932,5,M,60781
+73 UMa,,12.45975717,55.71275225,5,M,60795
+Sig Cen,,12.46733655,-50.2306048,3,B,60823
+,,12.47291274,-39.04113804,5,B,60855
+17 Com,,12.48186605,25.91288804,5,A,60904
+18 Com,,12.49084826,24.10892077,5,F,60941
+20 Com,,12.49533988,20.89618496,5,A,60957
+7Del Crv,,12.4977731,-16.51509397,2,B,60965
+,,12.49838726,-56.52496942,5,M,60969
+74 UMa,,12.49927749,58.4055266,5,A,60978
+4 Dra,,12.50187813,69.20126087,5,M,60998
+,,12.50485051,-23.69642033,5,M,61015
+21 Com,,12.51682448,24.56718941,5,A,61071
+Gam Cru,,12.5194248,-57.11256922,1,M,61084
+,,12.52787358,-59.42391403,5,F,61136
+,,12.53226469,-63.50589876,5,A,61158
+8Eta Crv,,12.53457909,-16.19586556,4,F,61174
+,,12.53608197,-73.00104307,5,K,61181
+Gam Mu ,,12.54114193,-72.1329759,3,B,61199
+,,12.54335738,-13.85897407,5,F,61212
+5Kap Dra,,12.55806736,69.78820992,3,B,61281
+,,12.55951916,-12.83032829,5,G,61296
+,,12.56080683,33.24766003,5,K,61309
+8Bet CVn,,12.5625257,41.35676779,4,G,61317
+21 Vir,,12.56299923,-9.45207768,5,A,61318
+9Bet Crv,,12.57312057,-23.39662306,2,G,61359
+,,12.57846015,-44.67251655,5,G,61379
+6 Dra,,12.57890701,70.02177318,4,K,61384
+23 Com,,12.58086605,22.62918961,4,A,61394
+24 Com,,12.58548958,18.37700118,5,K,61418
+,,12.58559828,21.88143144,5,K,61420
+,,12.59600404,-41.02194744,5,A,61468
+,,12.60029835,-39.86944684,5,A,61498
+25 Vir,,12.61315854,-5.8318511,5,A,61558
+25 Com,,12.61620946,17.08957856,5,K,61571
+Alp Mu ,,12.61974547,-69.13553358,2,B,61585
+,,12.62839626,-27.13865883,5,F,61621
+Tau Cen,,12.62842439,-48.54128816,3,A,61622
+,,12.63957001,1.85470456,5,M,61658
+,,12.65096794,-30.4223493,5,K,61720
+26 Com,,12.65204379,21.06258094,5,G,61724
+26Chi Vir,,12.65411457,-7.99550439,4,K,61740
+,,12.6646004,-39.98724188,4,B,61789
+,,12.68778427,-13.01392023,5,F,61910
+,,12.68973471,-46.14572729,5,K,61916
+Gam Cen,,12.69200138,-48.95988553,2,A,61932
+29Gam Vir,,12.69444503,-1.44952231,2,F,61941
+30Rho Vir,,12.69805765,10.23584294,4,A,61960
+,,12.69905466,-59.68581085,4,B,61966
+31 Vir,,12.69921102,6.80664416,5,A,61968
+,,12.70987809,-48.81303493,4,K,62012
+,,12.71396743,-63.058616,5,B,62027
+,,12.7192256,-56.17619646,5,B,62058
+,,12.72722835,-1.57681459,5,G,62103
+,,12.73348619,-28.32386102,5,K,62131
+10 CVn,,12.74991006,39.27857766,5,G,62207
+,,12.75217466,45.44022447,5,C,62223
+32 Vir,,12.76031168,7.67331477,5,A,62267
+Iot Cru,,12.76053228,-60.98116057,4,K,62268
+Bet Mu ,,12.77135267,-68.10809405,3,B,62322
+33 Vir,,12.77288323,9.54078962,5,K,62325
+,,12.77298597,-56.48877967,4,B,62327
+27 Com,,12.77743147,16.57764912,5,K,62356
+,,12.77950572,-33.31541396,5,K,62360
+,,12.78859039,62.78113875,5,A,62402
+7 Dra,,12.79287259,66.79031573,5,K,62423
+Bet Cru,,12.79536635,-59.68873246,1,B,62434
+,,12.80732183,-27.59723017,5,G,62500
+,,12.81092684,60.31989667,5,F,62512
+29 Com,,12.81505448,14.12263297,5,A,62541
+,,12.81855312,83.41779443,5,A,62561
+,,12.82050013,83.41285818,5,A,62572
+30 Com,,12.82153121,27.55232611,5,A,62576
+,,12.82915265,-71.98624542,5,G,62608
+,,12.8363349,37.51688446,5,A,62641
+,,12.84477415,-33.99926779,4,B,62683
+,,12.84941766,-52.7873952,5,A,62703
+,,12.85499492,-60.32978611,5,A,62732
+31 Com,,12.86164661,27.54073393,4,G,62763
+,,12.86581947,-39.68038459,5,B,62786
+,,12.8845178,-54.9524841,5,K,62861
+,,12.88527127,-48.94325313,4,K,62867
+35 Com,,12.88826967,21.24502058,4,G,62886
+,,12.8894166,-60.32848627,5,B,62894
+,,12.8905961,-40.17881857,4,A,62896
+Kap Cru,,12.89692318,-60.37624027,5,B,62931
+77Ep UMa,Alioth,12.9004536,55.95984301,1,A,62956
+40P i Vir,,12.9058817,-9.53894647,4,M,62985
+Mu 1Cru,,12.90990489,-57.17789116,4,B,63003
+Mu 2Cru,,12.91025591,-57.16864387,5,B,63005
+Lam Cru,,12.91089445,-59.14666538,4,B,63007
+,,12.91570445,47.19673771,5,M,63024
+Iot Oct,,12.91620771,-85.12342237,5,K,63031
+,,12.91630729,-44.15140639,5,G,63033
+,,12.92207264,-42.9157015,5,M,63066
+8 Dra,,12.92459864,65.43854743,5,A,63076
+43Del Vir,,12.92680091,3.39759862,3,M,63090
+,,12.93253881,-56.83580429,5,O,63117
+12Alp1CVn,,12.93350105,38.31469771,5,F,63121
+12Alp2CVn,,12.9338447,38.31824617,2,A,63125
+,,12.93823391,54.09948306,5,A,63143
+,,12.94214448,-72.18518249,5,G,63165
+,,12.95121681,-51.19871605,5,B,63210
+36 Com,,12.98207385,17.40936063,4,M,63355
+44 Vir,,12.99431817,-3.81194179,5,A,63414
+9 Dra,,12.99868775,66.59730755,5,K,63432
+37 Com,,13.00457929,30.78503676,4,K,63462
+46 Vir,,13.00998847,-3.3686079,5,K,63494
+78 UMa,,13.01210715,56.36633134,4,F,63503
+38 Com,,13.01933893,17.1232026,5,K,63533
+47Ep Vir,Vindemiatrix,13.03632237,10.95910186,2,G,63608
+Del Mu ,,13.03771597,-71.54879865,3,K,63613
+,,13.05148901,-71.47572327,5,B,63688
+Xi 1Cen,,13.05926331,-49.52723627,4,A,63724
+,,13.06278521,-20.58350964,5,F,63738
+14 CVn,,13.095684,35.79885169,5,B,63901
+,,13.09785537,45.26848988,5,K,63916
+,,13.10464732,-48.46325358,4,B,63945
+40 Com,,13.10627337,22.61629063,5,M,63950
+,,13.10973538,-41.58840727,5,K,63972
+,,13.11506365,-35.86182329,5,A,64003
+Xi 2Cen,,13.11518417,-49.90621586,4,B,64004
+41 Com,,13.11964107,27.62490672,4,K,64022
+,,13.12341946,-59.86049011,5,B,64033
+,,13.12731124,-53.45971466,5,B,64053
+49 Vir,,13.13161191,-10.74038528,5,K,64078
+The Mu ,,13.13532192,-65.30601741,5,W,64094
+,,13.14235778,-8.98422912,5,K,64122
+45P i Hya,,13.15091194,-23.11797275,4,K,64166
+,,13.15345066,10.02246786,5,K,64179
+50 Vir,,13.16258009,-10.32930884,5,K,64224
+,,13.16330208,16.8486489,5,K,64226
+51The Vir,,13.16583667,-5.53892987,4,A,64238
+42Alp Com,,13.1665415,17.52911621,4,F,64241
+17 CVn,,13.16757463,38.49887224,5,A,64246
+,,13.18581695,-42.23282785,5,F,64332
+,,13.18980764,-43.36850529,5,K,64348
+,,13.19760597,-69.94201974,5,F,64390
+43Bet Com,,13.19803407,27.87603769,4,G,64394
+,,13.20096299,-37.80313606,4,G,64408
+53 Vir,,13.20096794,-16.1979034,5,F,64407
+,,13.20489702,-59.92053651,4,B,64425
+,,13.20915319,11.55617035,5,M,64445
+,,13.21354619,-66.22676607,5,A,64466
+,,13.22316183,-50.6997859,5,B,64515
+,,13.22860596,40.15284766,4,K,64540
+55 Vir,,13.23638046,-19.93133468,5,G,64577
+,,13.23670825,-58.68390821,5,K,64580
+,,13.23761891,-59.10285946,4,F,64583
+,,13.23815458,-78.44744492,5,F,64587
+,,13.24201191,11.33178469,5,M,64607
+,,13.24537866,-48.95680509,5,K,64623
+Eta Mu ,,13.25416605,-67.8945633,4,B,64661
+19 CVn,,13.25890141,40.8551724,5,A,64692
+57 Vir,,13.26627284,-19.94282246,5,K,64725
+59 Vir,,13.2796426,9.423693,5,G,64792
+,,13.28141977,-31.5060767,5,K,64803
+,,13.28695416,-66.78342263,4,K,64820
+,,13.28720083,-43.97944198,5,A,64822
+,,13.28767315,13.67564684,5,K,64823
+20 CVn,,13.2923992,40.57256275,4,F,64844
+60Sig Vir,,13.29341302,5.46984502,4,M,64852
+21 CVn,,13.30403901,49.68201519,5,A,64906
+61 Vir,,13.30693666,-18.30861062,4,G,64924
+,,13.30769651,34.09829261,5,K,64927
+46Gam Hya,,13.31534816,-23.17141246,2,G,64962
+23 CVn,,13.33860991,40.15055594,5,K,65072
+Iot Cen,,13.34335154,-36.71208109,2,A,65109
+,,13.34384845,-52.74778497,5,B,65112
+,,13.3493786,-46.88005836,5,K,65144
+,,13.36157742,2.0873706,5,A,65198
+64 Vir,,13.36936936,5.15485074,5,A,65241
+,,13.37119161,-52.18295165,5,B,65247
+,,13.37721659,-60.98835608,4,B,65271
+63 Vir,,13.38365147,-17.73520402,5,K,65301
+65 Vir,,13.38858478,-4.92438824,5,K,65323
+79Zet UMa,Mizar,13.39872773,54.92541525,2,A,65378
+,,13.40012315,-64.53561699,4,G,65387
+66 Vir,,13.40920456,-5.16392212,5,F,65420
+,,13.41852356,23.85443816,5,A,65466
+Iot1Mu ,,13.41871122,-74.88749735,5,K,65468
+67Alp Vir,Spica,13.41989015,-11.16124491,0,B,65474
+80 UMa,,13.42039322,54.98799884,3,A,65477
+,,13.42059326,-64.48509219,5,F,65479
+,,13.43066633,-70.62725069,5,A,65522
+,,13.43545527,-39.75496493,5,K,65535
+,,13.43556201,72.39149824,5,M,65536
+,,13.43652245,-1.19248368,5,A,65545
+,,13.43793803,46.0281037,5,K,65550
+68 Vir,,13.4453457,-12.70761258,5,K,65581
+,,13.4489233,-41.49756484,5,K,65593
+,,13.44922768,78.64379561,5,G,65595
+69 Vir,,13.45756613,-15.97363075,4,K,65639
+70 Vir,,13.47387511,13.78018777,4,G,65721
+,,13.47421614,59.94570301,5,A,65728
+71 Vir,,13.48695451,10.81839609,5,K,65790
+,,13.49034874,-51.16511504,5,A,65810
+,,13.5174079,-39.40727983,3,G,65936
+74 Vir,,13.53276278,-6.25571065,4,M,66006
+,,13.54332279,-28.6927144,5,A,66065
+75 Vir,,13.54769124,-15.36301232,5,K,66091
+76 Vir,,13.54946976,-10.16490767,5,K,66098
+81 UMa,,13.5687014,55.34844976,5,A,66198
+78 Vir,,13.56886258,3.65902506,4,A,66200
+24 CVn,,13.5742704,49.01590606,4,A,66234
+,,13.57791069,-13.21430591,5,A,66247
+79Zet Vir,,13.5782652,-0.59593821,3,A,66249
+,,13.57992952,37.18243871,4,F,66257
+80 Vir,,13.59202418,-5.39639184,5,G,66320
+,,13.6134748,-26.49523551,5,A,66400
+,,13.61641657,24.61330297,5,M,66417
+,,13.61834776,-44.14316883,5,G,66427
+,,13.61973731,71.2422665,5,K,66435
+,,13.62005581,-61.69157197,5,F,66438
+,,13.62319372,-46.42784035,5,B,66454
+25 CVn,,13.62436025,36.29484073,4,A,66458
+,,13.64503498,-29.56067984,5,F,66563
+82 UMa,,13.65849433,52.92107136,5,A,66634
+,,13.65963452,10.74630126,5,F,66640
+,,13.66349605,-40.05157491,5,K,66656
+Ep Cen,,13.66479797,-53.46636269,2,B,66657
+,,13.66663818,-49.95000116,5,M,66666
+,,13.66966724,-64.57655426,5,F,66681
+1 Boo,,13.67791615,19.955663,5,A,66727
+83 UMa,,13.67897014,54.68166149,4,M,66738
+Kap Oct,,13.68227091,-85.78599228,5,A,66753
+2 Boo,,13.68398813,22.49583157,5,G,66763
+,,13.69161582,64.82243969,5,A,66798
+82 Vir,,13.69356408,-8.70308218,5,M,66803
+,,13.69578188,-54.55936543,4,B,66821
+,,13.70031162,-58.78704974,5,B,66849
+,,13.70637328,82.75251097,5,G,66878
+,,13.71093999,78.06432575,5,G,66903
+,,13.7120614,34.98899453,5,G,66907
+,,13.71529519,-41.4009514,5,K,66924
+84 Vir,,13.71774561,3.53807968,5,K,66936
+,,13.72780442,-42.06751103,5,B,66984
+83 Vir,,13.74161645,-16.17905873,5,G,67057
+,,13.76026046,-26.11598461,5,A,67143
+1 Cen,,13.76154628,-33.04336606,4,F,67153
+86 Vir,,13.76564741,-12.42654721,5,G,67172
+,,13.77045374,41.08884885,5,A,67194
+,,13.7719718,38.5036561,5,G,67210
+84 UMa,,13.77657648,54.43269033,5,B,67231
+,,13.77760234,-51.43269771,4,G,67234
+3 Boo,,13.77870415,25.70238073,5,F,67239
+,,13.78232259,-36.25190473,5,A,67244
+,,13.78329856,38.54274988,5,K,67250
+4Tau Boo,,13.78778795,17.45677436,4,F,67275
+87 Vir,,13.79037627,-17.85976354,5,M,67288
+,,13.79099578,-50.24932136,5,A,67292
+85Eta UMa,Alkaid,13.79237392,49.31330288,1,B,67301
+,,13.79407494,-50.32066712,5,K,67304
+,,13.81076082,31.19011458,5,K,67384
+2 Cen,,13.82409757,-34.45063035,4,M,67457
+5Up Boo,,13.82463829,15.79780583,4,K,67459
+Nu Cen,,13.82508261,-41.68765971,3,B,67464
+Mu Cen,,13.82694662,-42.47368506,3,B,67472
+6 Boo,,13.82856109,21.26406422,4,K,67480
+,,13.82928567,61.48954562,5,G,67485
+89 Vir,,13.83120679,-18.13407618,4,K,67494
+,,13.85255794,34.66453,5,M,67605
+10 Dra,,13.85720488,64.72328281,4,M,67627
+,,13.86311953,-46.89863029,5,B,67663
+,,13.86317322,-69.40124669,5,K,67664
+,,13.86319154,34.44431774,4,K,67665
+3 Cen,,13.86378478,-32.99401625,4,B,67669
+,,13.86802776,-52.81146355,5,B,67703
+,,13.88621192,28.64806212,5,A,67782
+4 Cen,,13.88681897,-31.92758624,4,B,67786
+7 Boo,,13.88693089,17.93285548,5,G,67787
+,,13.89245005,-35.66419416,5,F,67819
+,,13.89530845,-53.37328052,5,B,67836
+86 UMa,,13.89751174,53.7286921,5,A,67848
+,,13.89923525,-47.12815361,5,B,67861
+8Eta Boo,,13.91142116,18.39858742,2,G,67927
+90 Vir,,13.91172123,-1.50307142,5,K,67929
+,,13.91364915,-67.6520644,5,K,67942
+,,13.92004711,-52.16076937,5,B,67973
+Zet Cen,,13.92567635,-47.28826634,2,B,68002
+,,13.92749694,-82.66613365,5,K,68009
+,,13.93885926,-46.59272882,5,K,68079
+92 Vir,,13.94108149,1.05054828,5,A,68092
+9 Boo,,13.94282293,27.49219844,5,K,68103
+,,13.96081578,-63.68661603,4,K,68191
+Phi Cen,,13.97119018,-42.10070526,3,B,68245
+47 Hya,,13.97532724,-24.97217754,5,B,68269
+10 Boo,,13.97748021,21.69632104,5,A,68276
+Up 1Cen,,13.97799204,-44.8035314,3,B,68282
+,,13.98818241,-50.36960607,5,G,68333
+48 Hya,,14.00006836,-25.01017978,5,F,68390
+,,14.01461513,-66.26885149,5,F,68455
+,,14.02233604,8.89490924,5,A,68498
+93Tau Vir,,14.02743976,1.54458338,4,A,68520
+Up 2Cen,,14.02874776,-45.60336989,4,F,68523
+,,14.03966743,-27.42976294,5,K,68581
+,,14.05738195,-56.21338128,5,K,68670
+Bet Cen,Hadar,14.06373459,-60.3729784,0,B,68702
+11Alp Dra,,14.07317389,64.37580873,3,A,68756
+The Ap ,,14.08891702,-76.79667632,5,M,68815
+Chi Cen,,14.10077389,-41.17958035,4,B,68862
+49Pi Hya,,14.10618582,-26.68201883,3,K,68895
+5The Cen,,14.11147907,-36.36869575,2,K,68933
+95 Vir,,14.11191847,-9.31352509,5,F,68940
+,,14.13215181,43.8545248,5,M,69038
+13 Boo,,14.13815445,49.4580206,5,M,69068
+4 UMi,,14.1475025,77.54743312,4,K,69112
+,,14.15973955,-51.50464539,5,B,69174
+,,14.16526573,-53.43872584,4,G,69191
+12 Boo,,14.17331901,25.09182293,4,F,69226
+,,14.18068985,-16.30200362,4,M,69269
+,,14.20112597,69.43266873,5,M,69373
+,,14.20439733,2.40949613,4,B,69389
+50 Hya,,14.21278697,-27.26110002,5,K,69415
+98Kap Vir,,14.21492805,-10.274044,4,K,69427
+,,14.22122796,-53.66565135,5,K,69462
+17Kap2Boo,,14.2247083,51.78999066,4,A,69483
+,,14.2279636,-0.84512445,5,F,69493
+14 Boo,,14.23481438,12.95957667,5,F,69536
+,,14.24521171,-41.83744813,5,G,69598
+15 Boo,,14.24746181,10.1010097,5,K,69612
+,,14.24921219,-57.08607539,5,B,69618
+,,14.25669806,-18.20066197,5,A,69658
+16Alp Boo,Arcturus,14.2612076,19.18726997,-1,K,69673
+99Iot Vir,,14.26691247,-5.99952622,4,F,69701
+21Iot Boo,,14.26946375,51.36701398,4,A,69713
+19Lam Boo,,14.27310454,46.08791894,4,A,69732
+,,14.27742389,-66.58788092,5,B,69763
+,,14.29123406,15.26336094,5,M,69829
+,,14.29994891,35.50947085,4,K,69879
+Eta Ap ,,14.30388069,-81.00760147,4,A,69896
+,,14.31063784,-18.71588164,5,A,69929
+,,14.31697945,-25.81631724,5,F,69965
+100Lam Vir,,14.31850051,-13.37116634,4,A,69974
+18 Boo,,14.32117135,13.00437724,5,F,69989
+,,14.3233097,-37.00280675,5,A,69995
+Iot Lup,,14.32339798,-46.05808391,3,B,69996
+102Up Vir,,14.32570817,-2.26534352,5,G,70012
+20 Boo,,14.32925578,16.30680118,4,K,70027
+,,14.33102882,-61.27275714,5,A,70035
+,,14.3360304,-43.05886202,5,G,70054
+,,14.33876465,-56.38647906,4,B,70069
+P i Cen,,14.34263313,-37.88526711,4,A,70090
+,,14.34515304,-45.1868814,4,F,70104
+,,14.37214929,-34.78679152,5,B,70243
+Ep Aps,,14.37311027,-80.108911,5,B,70248
+,,14.37697832,-58.45915834,4,G,70264
+,,14.38396035,-39.51176599,4,B,70300
+51 Hya,,14.38497437,-27.75373395,4,K,70306
+,,14.38965001,8.44664037,4,A,70327
+,,14.3968439,-53.17620992,5,K,70363
+,,14.40024451,8.24400431,5,A,70384
+,,14.40316398,5.82011481,5,A,70400
+,,14.41351683,-24.80626639,5,K,70469
+,,14.41842753,-68.19532385,5,A,70492
+23The Boo,,14.42000537,51.85171354,4,F,70497
+Tau1Lup,,14.43562084,-45.22138996,4,B,70574
+Tau2Lup,,14.43633376,-45.37926095,4,A,70576
+22 Boo,,14.44094674,19.2268349,5,F,70602
+Del Oct,,14.44881687,-83.66785308,4,K,70638
+,,14.45197589,-65.82161161,5,K,70657
+,,14.45341651,-46.1340642,5,A,70663
+5 UMi,,14.45875625,75.69593921,4,K,70692
+52 Hya,,14.46956759,-29.49157976,4,B,70753
+105Phi Vir,,14.4700612,-2.22795009,4,G,70755
+24 Boo,,14.47724667,49.84496418,5,G,70791
+106 Vir,,14.47825852,-6.90041401,5,K,70794
+,,14.49736377,0.82891135,5,A,70894
+,,14.50240559,-45.32128792,5,B,70915
+,,14.50583129,-49.51892657,5,A,70931
+,,14.51967667,-38.86977705,5,K,70987
+,,14.52121835,-67.71705401,5,K,71002
+25Rho Boo,,14.53051606,30.37114497,3,K,71053
+27Gam Boo,,14.53465494,38.30788348,3,A,71075
+,,14.54192493,55.3980457,5,K,71111
+26 Boo,,14.54239498,22.25996072,5,F,71115
+Sig Lup,,14.54363429,-50.45712132,4,B,71121
+,,14.55832505,-52.67948076,5,K,71182
+,,14.55901965,-54.9986156,5,F,71184
+,,14.57768378,49.36823171,5,M,71280
+28Sig Boo,,14.57796958,29.74480735,4,F,71284
+Eta Cen,,14.5917921,-42.15774562,2,B,71352
+,,14.59208274,-41.51738017,5,B,71353
+,,14.60529355,-46.2454913,5,K,71419
+,,14.61226405,-40.21152639,5,B,71453
+,,14.62226805,-46.13341306,5,K,71500
+Rho Lup,,14.63145864,-49.42575765,4,B,71536
+,,14.6368533,43.64205288,5,K,71568
+,,14.63722366,18.29853624,5,K,71571
+,,14.63755697,54.02338576,5,A,71573
+33 Boo,,14.64730048,44.40454503,5,A,71618
+Alp2Cen,Rigel Kentaurus B,14.66094188,-60.83947139,1,K,71681
+Alp1Cen,Rigel Kentaurus A,14.66136068,-60.83514707,-1,G,71683
+,,14.67843344,13.53436103,5,F,71759
+29Pi 1Boo,,14.67876693,16.4183013,4,B,71762
+,,14.68372597,-36.1348433,5,A,71783
+30Zet Boo,,14.68581121,13.72833113,3,A,71795
+31 Boo,,14.69409903,8.16175611,4,G,71832
+32 Boo,,14.69544875,11.66093526,5,G,71837
+Alp Lup,,14.69882606,-47.38814127,2,B,71860
+,,14.69933688,-37.79342394,4,B,71865
+Alp Cir,,14.70852362,-64.97456957,3,F,71908
+107Mu Vir,,14.71765618,-5.6574291,3,F,71957
+4 Lib,,14.72043489,-24.99773099,5,B,71974
+34 Boo,,14.72371441,26.52789077,4,M,71995
+,,14.7276343,-35.17322549,4,K,72010
+,,14.72901237,40.45920338,5,K,72012
+,,14.74977641,-35.19182069,4,A,72104
+36Ep Boo,Izar,14.74979191,27.07417383,2,A,72105
+35Omi Boo,,14.754027,16.96440296,4,K,72125
+,,14.75479075,-62.87545275,5,A,72131
+108 Vir,,14.75839681,0.71729003,5,B,72154
+54 Hya,,14.76671605,-25.44291557,5,F,72197
+,,14.76833257,15.13174102,5,M,72208
+,,14.76854233,-23.15286204,5,K,72210
+109 Vir,,14.77083106,1.8929383,3,A,72220
+,,14.77472997,-47.44107999,5,A,72250
+,,14.78369739,-52.38331777,5,G,72290
+,,14.78473849,-38.29043787,5,K,72296
+55 Hya,,14.78959999,-25.62423321,5,B,72323
+56 Hya,,14.79577255,-26.0874799,5,G,72357
+Alp Ap ,,14.79770171,-79.04471242,3,K,72370
+57 Hya,,14.79932346,-26.64613329,5,B,72378
+,,14.81057143,-36.63458507,5,M,72432
+,,14.81237811,-66.59353612,5,B,72438
+38 Boo,,14.82185429,46.11639336,5,F,72487
+,,14.82187732,-24.25146951,5,K,72488
+7Mu Lib,,14.82196971,-14.14898587,5,A,72489
+39 Boo,,14.82815597,48.72056284,5,F,72524
+,,14.8328851,28.61583341,5,A,72552
+,,14.83769967,23.91176538,5,G,72567
+58 Hya,,14.83818519,-27.96021925,4,K,72571
+,,14.83878539,82.51248701,5,F,72573
+,,14.84161173,37.27181511,5,K,72582
+8Alp1Lib,,14.84479547,-15.99709226,5,F,72603
+7Bet UMi,Kochab,14.84510983,74.15547596,2,K,72607
+9Alp2Lib,,14.84799369,-16.04161047,2,A,72622
+11 Lib,,14.85028336,-2.29884995,4,G,72631
+37Xi Boo,,14.85646783,19.10063329,4,G,72659
+,,14.85738186,59.29365246,5,K,72664
+Omi Lup,,14.86064536,-43.57529383,4,B,72683
+,,14.87646396,-63.80981741,5,F,72773
+,,14.88085801,-37.80311642,5,B,72800
+,,14.88709355,-73.19015457,5,G,72833
+12 Lib,,14.9055934,-24.64213517,5,K,72929
+13Xi 1Lib,,14.90636277,-11.89833043,5,G,72934
+,,14.91053351,-33.30056091,5,K,72959
+,,14.92630767,-60.11389133,5,K,73036
+,,14.92908184,-33.85578004,5,A,73049
+,,14.93701056,14.44626586,5,A,73087
+,,14.93811806,-52.80956707,5,A,73095
+,,14.93970565,49.62899937,5,F,73100
+,,14.94224435,-47.87914321,5,B,73111
+The Cir,,14.9455562,-62.78098762,5,B,73129
+15Xi 2Lib,,14.94614085,-11.4097279,5,K,73133
+16 Lib,,14.95307133,-4.34608634,4,F,73165
+,,14.95324451,16.38813986,5,G,73166
+,33 G. Lib,14.95759766,-21.4112809,5,K,73184
+,,14.95922674,-0.16754803,5,K,73193
+,,14.95975531,65.93238126,4,M,73199
+,,14.96476594,-76.66261622,5,K,73223
+Bet Lup,,14.97554279,-43.13386699,2,B,73273
+59 Hya,,14.97757945,-27.65729301,5,A,73284
+18 Lib,,14.98156778,-11.14386422,5,K,73310
+Kap Cen,,14.9860275,-42.10414199,3,B,73334
+,,14.98975408,4.56777277,5,M,73350
+40 Boo,,14.99360305,39.26523166,5,F,73369
+,,15.00314944,-77.16052523,5,G,73415
+19Del Lib,,15.01621879,-8.51893488,4,B,73473
+,,15.02029831,-38.05831465,5,K,73493
+,,15.02216942,-2.75487208,5,M,73497
+,,15.02419703,60.20442421,5,A,73507
+,,15.03025427,-0.14025867,5,M,73536
+Pi 1Oct,,15.03075119,-83.22777573,5,G,73540
+42Bet Boo,,15.03244253,40.39063671,3,G,73555
+60 Hya,,15.03510528,-28.06052808,5,A,73566
+41Ome Boo,,15.03514226,25.00825646,4,K,73568
+110 Vir,,15.04835277,2.09127129,4,K,73620
+,,15.04980289,-32.64324605,5,B,73624
+,,15.05168988,35.20577288,5,G,73634
+44 Boo,,15.06324494,47.65401409,4,G,73695
+20Sig Lib,,15.06785052,-25.28185602,3,M,73714
+43P i Boo,,15.07412697,26.94765981,4,K,73745
+Pi 2Oct,,15.07971197,-83.03826851,5,G,73771
+Eta Cir,,15.08001369,-64.03137307,5,G,73776
+Pi Lup,,15.08530713,-47.05119386,3,B,73807
+,,15.08865233,-41.06723379,5,G,73826
+47 Boo,,15.09052544,48.15090031,5,A,73841
+,,15.1046303,54.55628697,5,G,73909
+,,15.10922579,-30.91841299,5,A,73937
+21Nu Lib,,15.11044954,-16.25676124,5,K,73945
+45 Boo,,15.12165196,24.86959294,4,F,73996
+,,15.12387031,-49.08863539,5,G,74006
+,,15.13670736,-40.58385604,5,B,74066
+46 Boo,,15.13993898,26.30118271,5,K,74087
+,,15.14321247,25.10863675,5,K,74096
+,,15.14422599,-42.86786973,5,B,74100
+Lam Lup,,15.1473971,-45.27979406,4,B,74117
+,,15.15831094,-67.08412683,5,F,74184
+,,15.16870645,-38.79246057,5,G,74224
+,,15.17184774,-26.3326008,5,K,74239
+Ome Oct,,15.18577604,-84.78782184,5,B,74296
+,,15.18777341,-55.34601439,5,G,74305
+Kap1Lup,,15.19893362,-48.73770212,3,B,74376
+Kap2Lup,,15.19937917,-48.74357642,5,A,74380
+,,15.20118681,18.97600352,5,M,74386
+24Iot1Lib,,15.20369782,-19.79163143,4,A,74392
+Zet Lup,,15.20477865,-52.09907465,3,G,74395
+,,15.21377909,-44.50035965,4,B,74449
+,,15.23147826,-26.19355939,5,G,74539
+,,15.23500407,31.78791816,5,K,74561
+,,15.23865773,-70.07945566,5,N,74582
+48Chi Boo,,15.24144587,29.16422593,5,A,74596
+1 Lup,,15.24370163,-31.51912564,4,F,74604
+,,15.24388985,67.34767598,5,F,74605
+3 Ser,,15.25315736,4.93935226,5,K,74649
+49Del Boo,,15.25836216,33.31510222,3,G,74666
+4 Ser,,15.26364996,0.37210753,5,A,74689
+,,15.26490596,-48.07364079,5,A,74696
+,,15.26778656,-41.49114318,5,F,74707
+,,15.27306463,-22.39942083,5,K,74732
+,,15.27685957,-60.9039866,5,B,74750
+Del Cir,,15.28247175,-60.95724479,5,O,74778
+27Bet Lib,,15.28346439,-9.38286694,2,B,74785
+11 UMi,,15.2849671,71.82387844,5,K,74793
+Bet Cir,,15.29193339,-58.80087882,4,A,74824
+Ep Cir,,15.2941355,-63.61048662,4,K,74837
+2 Lup,,15.29717913,-30.14866233,4,K,74857
+,,15.30680939,20.57280967,5,G,74896
+,,15.30725914,-0.46123725,5,K,74901
+Mu Lup,,15.30890239,-47.87519201,4,B,74911
+,,15.3136519,-60.49632329,5,O,74941
+Gam TrA,,15.31519133,-68.67946723,2,A,74946
+,,15.31566376,-40.78816875,5,B,74950
+5 Ser,,15.32182775,1.76665611,5,F,74975
+,,15.33476144,51.95848756,5,A,75043
+1Omi CrB,,15.33573276,29.61631109,5,K,75049
+13Gam UMi,,15.34548589,71.83397308,3,A,75097
+6 Ser,,15.35056133,0.71558981,5,K,75119
+,,15.3521224,-5.82482695,5,K,75127
+Del Lup,,15.35620455,-40.64745946,3,B,75141
+Phi1Lup,,15.36345457,-36.26116729,3,K,75177
+50 Boo,,15.36350253,32.93366086,5,B,75178
+Nu 2Lup,,15.36377039,-48.31695913,5,G,75181
+Nu 1Lup,,15.36899835,-47.92746963,4,F,75206
+,,15.3770128,62.04716944,5,A,75256
+,,15.37704724,39.58149619,5,K,75257
+,,15.37734304,63.34166375,5,K,75260
+Ep Lup,,15.37802431,-44.68957314,3,B,75264
+Phi2Lup,,15.38593424,-36.85843627,4,B,75304
+,,15.38627817,-60.65710865,5,F,75308
+2Eta CrB,,15.38672952,30.28824114,4,G,75312
+Gam Cir,,15.38962715,-59.32069839,4,B,75323
+,,15.39785043,-12.36941286,5,G,75352
+31Ep Lib,,15.40331392,-10.32189476,4,F,75379
+51Mu 1Boo,,15.4082045,37.37696091,4,F,75411
+Up Lup,,15.41250787,-39.71013154,5,A,75439
+12Iot Dra,,15.41549558,58.96602354,3,K,75458
+,,15.42229234,-38.7335881,4,A,75501
+9Tau1Ser,,15.42983476,15.42805438,5,M,75530
+,,15.43736895,-68.30918936,5,K,75565
+,,15.43818468,34.3358496,5,K,75572
+,,15.4550402,-36.76750151,5,B,75647
+,,15.45919471,-64.531457,5,K,75665
+3Bet CrB,,15.46384775,29.10549164,3,F,75695
+,,15.46428978,60.67022438,5,K,75696
+32Zet1Lib,,15.4709439,-16.7164031,5,K,75730
+10 Ser,,15.47730179,1.84216258,5,A,75761
+,,15.49007671,-46.7326907,5,K,75828
+34Zet3Lib,,15.51121876,-16.60945806,5,K,75944
+52Nu 1Boo,,15.51548634,40.83306815,5,K,75973
+,,15.51553182,64.20850517,5,K,75974
+15The UMi,,15.52362616,77.34933897,5,K,76008
+Kap1Ap ,,15.52522795,-73.38954647,5,B,76013
+53Nu 2Boo,,15.52972009,40.89936876,4,A,76041
+,,15.5435314,-19.67036366,5,A,76106
+35Zet4Lib,,15.54867436,-16.85280725,5,B,76126
+4The CrB,,15.5488322,31.35915517,4,B,76127
+11 Ser,,15.54942996,-1.18629929,5,K,76133
+,,15.56714928,-40.06634857,5,M,76207
+37 Lib,,15.56958881,-10.06395962,4,K,76219
+,,15.57403676,-9.18334968,5,B,76243
+36 Lib,,15.5770304,-28.04690734,5,K,76259
+5Alp CrB,Alphekka,15.57810819,26.71491041,2,A,76267
+13Del Ser,,15.58005284,10.53885916,3,F,76276
+Gam Lup,,15.58568343,-41.16669497,2,B,76297
+6Mu CrB,,15.58747225,39.01004619,5,M,76307
+,,15.58783805,53.9221386,5,K,76311
+38Gam Lib,,15.59209426,-14.78955365,3,K,76333
+,,15.59812916,-44.95833688,4,B,76371
+,,15.59918826,54.63056806,5,A,76376
+,,15.60337126,-44.39668903,5,M,76397
+18Tau5Ser,,15.60810988,16.1190982,5,F,76424
+16 Ser,,15.60820887,10.0104549,5,K,76425
+Ep TrA,,15.61199636,-66.31690469,4,K,76440
+39Up Lib,,15.61707183,-28.13507099,3,K,76470
+,,15.62556739,54.50878294,5,K,76509
+,,15.62755815,69.28321732,5,M,76519
+,,15.6300163,-23.14151509,5,K,76532
+54Phi Boo,,15.63043082,40.35328811,5,G,76534
+Ome Lup,,15.63425619,-42.56748493,4,K,76552
+,,15.63781769,46.79799524,5,F,76568
+,,15.63784501,-21.01615303,5,K,76569
+,,15.64283343,50.42335207,5,G,76594
+40Tau Lib,,15.64427343,-29.77768935,3,B,76600
+,,15.64708465,-52.37261965,5,B,76618
+41 Lib,,15.64847424,-19.30170914,5,G,76628
+7Zet1CrB,,15.65630105,36.63582763,4,B,76669
+3P i1Lup,,15.66277079,-34.41189273,4,G,76705
+,,15.66574609,-59.90781512,5,F,76716
+42 Lib,,15.67136259,-23.81805841,4,K,76742
+Kap2Ap ,,15.6725997,-73.44663458,5,B,76750
+,,15.68653215,-44.66055926,4,F,76829
+21Iot Ser,,15.69252564,19.67050566,4,A,76852
+20Chi Ser,,15.6964977,12.84753869,5,A,76866
+,,15.69852874,-76.08186451,5,B,76877
+22Tau7Ser,,15.6985439,18.46389861,5,A,76878
+43Kap Lib,,15.69911629,-19.67857446,4,K,76880
+,,15.71065342,-37.4248964,5,G,76939
+4P i2Lup,,15.7113992,-34.71033325,4,B,76945
+8Gam CrB,,15.71239951,26.29551419,3,A,76952
+,,15.71411754,52.36083046,5,B,76957
+Rho Oct,,15.7211391,-84.46550807,5,A,76996
+9Pi CrB,,15.73314456,32.51582804,5,G,77048
+23P i Ser,,15.73384608,2.51552506,5,G,77052
+16Zet UMi,,15.73429554,77.79449901,4,A,77055
+44Eta Lib,,15.73456121,-15.67267949,5,A,77060
+24Alp Ser,Unukalhai,15.7377766,6.42551971,2,K,77070
+,,15.73963559,-41.81901826,5,A,77086
+,,15.75651885,5.44732255,5,A,77163
+25 Ser,,15.76823606,-1.80411556,5,B,77227
+28Bet Ser,,15.76978191,15.42192602,3,A,77233
+27Lam Ser,,15.77409608,7.35323973,4,G,77257
+,,15.77635622,55.47460243,5,K,77272
+,,15.77776517,62.59969448,5,A,77277
+,,15.77895293,-34.68238898,5,B,77286
+31Up Ser,,15.78815339,14.11527157,5,A,77336
+,,15.7938649,55.37661523,5,A,77370
+,,15.79808206,-65.44218988,5,A,77390
+,,15.8036977,13.78933425,5,K,77412
+,,15.80956008,28.15677692,5,C,77442
+35Kap Ser,,15.81233572,18.1417793,4,M,77450
+,,15.81578184,-3.81852811,5,A,77464
+10Del CrB,,15.82658278,26.06854936,4,G,77512
+32Mu Ser,,15.82701825,-3.43014112,3,A,77516
+,,15.83264468,-48.91238226,5,A,77541
+,,15.83530853,-53.20967534,5,B,77562
+34Ome Ser,,15.83820259,2.19662489,5,G,77578
+37Ep Ser,,15.84691422,4.4775798,3,A,77622
+5Chi Lup,,15.84931715,-33.62710488,3,B,77634
+1 Sco,,15.84965378,-25.75123489,4,B,77635
+,,15.85189103,-55.05552532,5,B,77645
+11Kap CrB,,15.85387148,35.65822638,4,K,77655
+36 Ser,,15.8543465,-3.09042957,5,A,77660
+38Rho Ser,,15.85442865,20.97787548,4,K,77661
+,,15.8712727,55.82658167,5,G,77738
+1Chi Her,,15.87783178,42.44998796,4,F,77760
+45Lam Lib,,15.88890578,-20.16699405,5,B,77811
+2 Sco,,15.89353566,-25.32708018,4,B,77840
+46The Lib,,15.89707695,-16.7296223,4,K,77853
+,,15.89831199,-24.53309547,5,B,77858
+,,15.89885335,-23.97803598,5,B,77859
+,,15.90962885,20.31086363,5,M,77902
+2 Her,,15.91052142,43.13840642,5,M,77907
+3 Sco,,15.91098278,-25.24367939,5,B,77909
+47 Lib,,15.91676957,-19.38288098,5,B,77939
+Bet TrA,,15.91911334,-63.42974973,2,F,77952
+Kap TrA,,15.9248926,-68.60298616,5,G,77982
+4 Sco,,15.9250285,-26.26592073,5,A,77984
+4 Her,,15.92516957,42.56615229,5,B,77986
+,,15.92567253,-60.17747419,5,A,77990
+12Lam CrB,,15.92987919,37.94676324,5,F,78012
+,,15.93498814,-60.48230498,5,A,78045
+41Gam Ser,,15.94083173,15.66473327,3,F,78072
+5Rho Sco,,15.94807962,-29.21401221,3,B,78104
+Xi 1Lup,,15.9481893,-33.96602225,5,A,78105
+Xi 2Lup,,15.94836256,-33.96415999,5,B,78106
+Phi Ser,,15.95406796,14.41426805,5,K,78132
+,,15.9559257,-36.1853138,5,K,78142
+13Ep CrB,,15.95980608,26.87802632,4,K,78159
+,,15.96124154,-20.98302564,5,B,78168
+,,15.96322025,54.74950359,4,F,78180
+48 Lib,,15.96982674,-14.27931773,4,B,78207
+,,15.97635397,-24.83142974,5,B,78246
+6Pi Sco,,15.98086685,-26.1140428,2,B,78265
+,,15.98269316,36.64370627,5,K,78276
+,,15.98282214,-65.03756903,5,B,78279
+,,15.99174884,-41.74439602,4,G,78323
+Eta Lup,,16.00203902,-38.39664079,3,B,78384
+49 Lib,,16.00554968,-16.53238334,5,F,78400
+7Del Sco,,16.00555881,-22.62162024,2,B,78401
+50 Lib,,16.01323375,-8.41132413,5,A,78436
+,,16.01421079,4.42718026,5,K,78442
+15Rho CrB,,16.01744416,33.30538815,5,G,78459
+5 Her,,16.02065165,17.81802578,5,G,78481
+14Iot CrB,,16.02405295,29.85107821,4,A,78493
+13The Dra,,16.03158437,58.56443739,4,F,78527
+,,16.03487684,52.91600607,5,K,78542
+44Pi Ser,,16.03824696,22.80439543,4,A,78554
+6Up Her,,16.0466253,46.03685378,4,B,78592
+Eta Nor,,16.05357227,-49.22972074,4,G,78639
+,,16.05537745,36.63181986,5,A,78649
+,,16.05574082,-25.86514891,4,K,78650
+,,16.05672293,-38.60247122,4,B,78655
+,,16.05872112,76.79388926,5,A,78661
+Iot1Nor,,16.05895029,-57.77487351,4,A,78662
+,,16.07691975,-37.86266825,5,F,78747
+8Bet1Sco,,16.0906208,-19.80539286,2,B,78820
+8Bet2Sco,,16.09071534,-19.80184191,4,B,78821
+,,16.09885608,-72.40107181,5,K,78868
+,,16.10177339,-23.60624433,5,B,78877
+,,16.10548112,67.80998136,5,A,78893
+Del Nor,,16.10817322,-45.17327517,4,A,78914
+The Lup,,16.10987675,-36.80221297,4,B,78918
+9Ome1Sco,,16.11345346,-20.66913479,3,B,78933
+,,16.12115965,-36.75553887,5,F,78970
+10Ome2Sco,,16.1234167,-20.8686541,4,G,78990
+11 Sco,,16.12678906,-12.74534315,5,B,79005
+45 Ser,,16.12709748,9.89176025,5,A,79007
+7Kap Her,,16.13459624,17.04699349,5,G,79043
+,,16.13542248,-26.32666483,5,M,79050
+47 Ser,,16.14113418,8.53432477,5,M,79072
+,,16.14547977,-23.68535317,5,B,79098
+11Phi Her,,16.14616647,44.93481883,4,B,79101
+16Tau CrB,,16.14953571,36.49010935,4,K,79119
+,,16.14969463,3.45444515,5,K,79120
+,,16.15307314,6.38050993,5,K,79137
+Iot2Nor,,16.15515649,-57.93417299,5,B,79153
+,,16.16403676,-3.46673076,5,K,79195
+,,16.16461312,-33.54569572,5,B,79199
+19 UMi,,16.18042458,75.87753079,5,B,79280
+,,16.18392418,-29.41600661,5,K,79302
+,,16.18826874,-41.11949816,5,F,79320
+10 Her,,16.19390255,23.49482992,5,M,79349
+,,16.19655686,42.37450876,5,K,79357
+,,16.19668361,36.42516245,5,K,79358
+14Nu Sco,,16.19992791,-19.46064684,4,B,79374
+15P i Sco,,16.20000043,-10.06418514,4,A,79375
+16 Sco,,16.20202481,-8.54757943,5,A,79387
+12 Sco,,16.20445968,-28.4172057,5,B,79399
+13 Sco,,16.20505881,-27.92631564,4,B,79404
+9 Her,,16.22094671,5.0210989,5,K,79488
+Zet Nor,,16.22299994,-55.54084556,5,F,79497
+Kap Nor,,16.22464842,-54.63041289,4,G,79509
+17Chi Sco,,16.23080791,-11.83772219,5,K,79540
+1Del Oph,,16.23910173,-3.69397562,2,M,79593
+,,16.23954754,-33.01104217,5,K,79596
+17Sig CrB,,16.24473355,33.85882404,5,F,79607
+The Nor,,16.25426315,-47.37190984,5,B,79653
+Del TrA,,16.25729615,-63.68564897,3,G,79664
+16 Her,,16.25796591,18.80829264,5,K,79666
+18 Sco,,16.26031482,-8.36823651,5,G,79672
+,,16.26383642,-57.91222851,5,A,79689
+,,16.27868605,-53.81110764,5,M,79754
+18Up CrB,,16.27910321,29.1503022,5,A,79757
+Gam1Nor,,16.28359319,-50.06811224,4,F,79790
+,,16.28485612,-67.94107968,5,A,79797
+,,16.28759407,59.75496116,5,M,79804
+21Eta UMi,,16.29180584,75.75470385,4,F,79822
+,,16.30497801,-28.61377598,4,A,79881
+2Ep Oph,,16.30534466,-4.69260809,3,G,79882
+,,16.3167869,-14.87282262,5,K,79938
+,,16.31978681,49.03807805,5,K,79953
+Lam Nor,,16.32156678,-42.67394008,5,A,79963
+,,16.32574508,-30.90676896,5,F,79980
+22Tau Her,,16.3290133,46.31327084,3,B,79992
+Gam2Nor,,16.33071322,-50.15537923,4,G,80000
+,,16.33201134,39.70859042,5,F,80008
+Del1Ap ,,16.33912085,-78.69565609,4,M,80047
+,,16.34034183,-55.13967135,5,G,80054
+Del2Ap ,,16.34079548,-78.66742066,5,K,80057
+19Omi Sco,,16.34393983,-24.16928427,4,A,80079
+20Sig Sco,,16.35314514,-25.59275259,2,B,80112
+,,16.36353927,69.10941712,5,K,80161
+20Gam Her,,16.36534546,19.15302185,3,A,80170
+50Sig Ser,,16.3679,1.02892219,4,F,80179
+19Xi CrB,,16.36830281,30.89173424,4,K,80181
+20Nu 1CrB,,16.37261707,33.79914473,5,M,80197
+,,16.37444614,-49.57229123,5,B,80208
+,,16.37474275,-43.91202357,5,G,80212
+21Nu 2CrB,,16.37478397,33.70335685,5,K,80214
+,,16.39644162,61.69637867,5,G,80309
+14Eta Dra,,16.39986301,61.51407536,2,G,80331
+,,16.4003431,-39.19298857,5,G,80337
+4P i Oph,,16.40172146,-20.03721137,4,K,80343
+21 Her,,16.40300756,6.94817146,5,A,80351
+,,16.4070352,55.2050456,5,A,80375
+,,16.40882371,-37.56597007,5,B,80390
+,,16.41103504,-29.70446361,5,G,80399
+25 Her,,16.42337938,37.39407872,5,A,80460
+24Ome Her,,16.42359154,14.03341514,4,B,80463
+5Rho Oph,,16.42642254,-23.44711764,4,B,80473
+,,16.42875787,78.96360053,5,F,80480
+7Chi Oph,,16.45039952,-18.45619698,4,B,80569
+Ep Nor,,16.45306883,-47.5547359,4,B,80582
+,,16.46207137,-7.59755617,5,M,80620
+3Up Oph,,16.46339637,-8.37170055,4,A,80628
+Iot TrA,,16.46590946,-64.05800515,5,F,80645
+15 Dra,,16.46640365,68.76805491,4,A,80650
+,,16.47068268,-37.17981606,5,K,80672
+,,16.47088434,-58.59970914,5,B,80675
+Zet TrA,,16.47438923,-70.08467012,4,F,80686
+,,16.4761048,0.66516717,5,K,80693
+30 Her,,16.47736803,41.88169065,4,M,80704
+21Alp Sco,Antares,16.49012986,-26.43194608,1,M,80763
+,,16.49509179,-46.24321937,5,B,80782
+,,16.49636191,-14.5508975,5,G,80793
+22 Sco,,16.50346608,-25.11515935,4,B,80815
+27Bet Her,,16.50368379,21.4896485,2,G,80816
+,,16.50933449,20.47934589,5,G,80843
+,,16.51371485,-61.63348127,5,K,80874
+10Lam Oph,,16.51523367,1.98410056,3,A,80883
+8Phi Oph,,16.51899859,-16.61264015,4,G,80894
+,,16.52039936,22.19543891,5,K,80898
+,,16.5230393,-34.70432087,4,B,80911
+,,16.52826981,-41.81714208,5,B,80945
+,,16.5297874,45.59818403,5,A,80953
+9Ome Oph,,16.53560738,-21.46647783,4,A,80975
+,,16.54045984,60.82334694,5,A,80991
+28 Her,,16.54324337,5.52122134,5,B,81007
+29 Her,,16.54344396,11.48823391,4,K,81008
+Gam Ap ,,16.55762893,-78.89695917,3,K,81065
+Mu Nor,,16.56806118,-44.04530868,4,B,81122
+35Sig Her,,16.5683859,42.43689565,4,B,81126
+,,16.57204705,-70.98806509,5,K,81141
+The TrA,,16.59576971,-65.49532908,5,G,81252
+23Tau Sco,,16.59804428,-28.21596156,2,B,81266
+,,16.60311441,46.61332505,5,G,81289
+16 Dra,,16.60317578,52.89997858,5,B,81290
+17 Dra,,16.60381444,52.92435554,5,B,81292
+12 Oph,,16.6058843,-2.32383592,5,K,81300
+,,16.60623914,-35.25535553,4,K,81304
+,,16.60626831,-42.85885401,5,O,81305
+13Zet Oph,,16.61931389,-10.5671518,2,O,81377
+,,16.63346092,56.01538883,5,K,81437
+,,16.64063924,-43.39837584,5,B,81472
+42 Her,,16.64580222,48.92827739,4,M,81497
+,,16.65145421,-37.21726333,5,B,81523
+37 Her,,16.67741306,4.21981484,5,A,81641
+18 Dra,,16.68197761,64.58908555,4,K,81660
+40Zet Her,,16.68818808,31.60188695,2,F,81693
+,,16.68900441,-48.76296994,5,O,81702
+Eta1TrA,,16.68975844,-68.2960944,5,B,81710
+,,16.69288785,-17.74216462,4,G,81724
+39 Her,,16.69352733,26.91698945,5,F,81729
+,,16.69450765,-49.65154575,5,B,81733
+14 Oph,,16.69515019,1.18110145,5,F,81734
+,,16.69597086,-33.14562113,5,G,81741
+,,16.6982428,-19.92447879,5,F,81754
+44Eta Her,,16.71492737,38.92246103,3,G,81833
+Bet Ap ,,16.71817212,-77.51657182,4,K,81852
+,,16.71837134,77.51347098,5,F,81854
+,,16.74437606,-53.15228963,5,G,81966
+,,16.74516725,-40.83962254,5,B,81972
+,,16.75005786,-28.50965621,5,A,81992
+,,16.75494158,56.78168723,4,F,82020
+,,16.75625144,15.74541189,5,M,82028
+43 Her,,16.76385916,8.58257816,5,K,82073
+22Ep UMi,,16.76615597,82.03725071,4,G,82080
+,,16.77256318,-58.50356849,5,B,82110
+,,16.77778168,-67.10965828,5,A,82129
+,,16.77999208,-39.37689836,5,K,82135
+,,16.78879558,-58.34139234,5,B,82171
+,,16.78881801,42.23897955,5,M,82172
+45 Her,,16.79623089,5.24684013,5,B,82216
+Alp TrA,,16.81107382,-69.02763503,1,K,82273
+52 Her,,16.82061092,45.9834478,4,A,82321
+,,16.8262984,13.2611997,5,A,82350
+Eta Ara,,16.82975317,-59.04131648,3,K,82363
+20 Oph,,16.83054809,-10.78280069,4,F,82369
+26Ep Sco,,16.83617915,-34.29260982,2,K,82396
+47 Her,,16.83870852,7.24770528,5,A,82402
+50 Her,,16.84415616,29.80654506,5,M,82422
+21 Oph,,16.85692741,1.21598136,5,A,82480
+,,16.85936724,-41.23053288,5,O,82493
+51 Her,,16.86257093,24.65641963,5,K,82504
+Mu 1Sco,,16.86451079,-38.04732717,3,B,82514
+Mu 2Sco,,16.87226486,-38.01747781,3,B,82545
+53 Her,,16.88281119,31.70171538,5,F,82587
+,,16.88822003,47.41649815,5,K,82611
+,,16.89034916,-20.41548861,5,G,82621
+,,16.89512138,-43.05089096,5,M,82650
+Zet1Sco,,16.89992424,-42.36201968,4,B,82671
+,,16.90011232,-57.90920925,5,M,82672
+25Iot Oph,,16.90013982,10.16544339,4,B,82673
+,,16.9005106,-41.80638305,5,B,82676
+,,16.90748371,-42.4788755,5,F,82716
+Zet2Sco,,16.90975143,-42.36075916,3,K,82729
+23 Oph,,16.90991987,-6.15392897,5,K,82730
+,,16.91531534,20.95848435,5,G,82764
+,,16.91625146,-41.15085448,5,O,82775
+54 Her,,16.92284384,18.43318381,5,K,82802
+,,16.92352179,-63.26962566,5,A,82806
+19 Dra,,16.93371098,65.13467204,4,F,82860
+,,16.94133388,-52.28364331,5,A,82902
+24 Oph,,16.94667727,-23.15032178,5,A,82925
+27 Sco,,16.95310334,-33.2594689,5,K,82960
+27Kap Oph,,16.96118627,9.37505626,3,K,83000
+,,16.97165247,-50.64109176,5,B,83057
+Zet Ara,,16.97700854,-55.99005508,3,K,83081
+,,16.99277282,-69.26813178,5,A,83150
+Ep 1Ara,,16.99306851,-53.16049005,4,K,83153
+,,16.99936219,-25.09216189,5,M,83176
+,,17.00174643,-54.59700158,5,A,83187
+26 Oph,,17.00263291,-24.98893659,5,F,83196
+58Ep Her,,17.00483505,30.92633926,3,A,83207
+,,17.00749313,-48.64756342,5,G,83216
+,,17.01027594,-35.9339762,5,K,83235
+,,17.01615027,22.6321519,5,K,83254
+30 Oph,,17.01767375,-4.22245426,4,K,83262
+59 Her,,17.02676648,33.56826922,5,A,83313
+,,17.03129146,-32.14340148,5,B,83336
+,,17.03851681,25.50537839,5,G,83367
+,,17.05218222,14.0921003,4,M,83430
+Ep 2Ara,,17.05241925,-53.23662642,5,F,83431
+,,17.06092079,13.60542885,5,A,83478
+,,17.06413171,-38.1524875,5,F,83491
+,,17.07353474,-57.71210729,5,B,83535
+,,17.08037529,-34.12292247,4,B,83574
+21Mu Dra,,17.08893952,54.46986308,4,F,83608
+60 Her,,17.08962783,12.74085469,4,A,83613
+,,17.09229356,-0.8920654,5,B,83635
+,,17.10503016,22.08424707,5,K,83692
+,,17.10560976,-37.22753062,5,A,83693
+,,17.13391136,35.93521504,5,A,83838
+,,17.13745897,-17.60896664,5,K,83854
+22Zet Dra,,17.1464514,65.71463676,3,B,83895
+,,17.14654045,-30.40356872,5,F,83896
+,,17.15924486,40.77701519,5,K,83947
+,,17.16331051,-10.5230375,5,F,83962
+35Eta Oph,,17.17296177,-15.72514757,2,A,84012
+,,17.17843068,-44.5575511,5,G,84033
+,,17.19407635,-48.87338828,5,M,84105
+Eta Sco,,17.20254886,-43.23849039,3,F,84143
+,,17.20450429,-39.50677484,5,A,84150
+37 Oph,,17.20772381,10.58522897,5,M,84177
+,,17.20904427,62.87422062,5,F,84183
+,,17.21626581,-32.4383273,5,B,84226
+,,17.22169792,-67.19637197,5,K,84248
+64Alp1Her,Rasalgethi,17.24412845,14.39025314,2,M,84345
+65Del Her,,17.25053449,24.83958739,3,A,84379
+67Pi Her,,17.25079285,36.80915527,3,K,84380
+,,17.25534646,-33.54841317,5,O,84401
+,,17.25563764,-14.58412556,5,K,84402
+36 Oph,,17.25591313,-26.60004896,4,K,84405
+,,17.26002159,-38.59295116,5,G,84425
+,,17.26152677,23.74270442,5,K,84431
+,,17.27547734,1.21058377,5,B,84500
+41 Oph,,17.27686266,-0.44514192,4,K,84514
+,,17.28436509,-32.66270528,5,F,84551
+68 Her,,17.28876958,33.10011419,4,B,84573
+69 Her,,17.29452385,37.29134328,4,A,84606
+39Omi Oph,,17.30019909,-24.28688289,5,K,84626
+,,17.3064667,38.81121445,5,G,84656
+,,17.31027377,10.86471277,5,K,84671
+,,17.31328853,-44.12970725,5,B,84690
+,,17.31347089,28.82298375,5,K,84691
+,,17.31565561,-34.98957161,5,K,84709
+,,17.31748729,-46.6365001,5,M,84720
+,,17.32014191,-59.69459145,5,K,84731
+,,17.32695753,80.13639898,5,K,84769
+,,17.33606293,25.53764398,5,A,84821
+,,17.33857379,18.05721601,5,M,84833
+74 Her,,17.33920748,46.24068047,5,M,84835
+72 Her,,17.3442982,32.47027246,5,G,84862
+53Nu Ser,,17.34712098,-12.846882,4,A,84880
+70 Her,,17.348394,24.49943984,5,A,84887
+40Xi Oph,,17.35005841,-21.11243499,4,F,84893
+,,17.36211468,39.97480822,5,F,84949
+,,17.36259731,53.42042212,5,K,84950
+Zet Ap ,,17.36653743,-67.7706496,4,K,84969
+42The Oph,,17.36682891,-24.99948797,3,B,84970
+Iot Ap ,,17.36829971,-70.12317887,5,B,84979
+,,17.38187068,-37.22069314,5,K,85048
+,,17.3820078,-58.0102893,5,G,85049
+,,17.38530904,-56.52555632,5,G,85068
+Iot Ara,,17.38780026,-47.4681538,5,B,85079
+43 Oph,,17.3893308,-28.14276032,5,K,85084
+75Rho Her,,17.39471468,37.14592396,4,B,85112
+,,17.39933714,8.85258733,5,K,85139
+,,17.40029895,-62.86413165,5,B,85147
+73 Her,,17.40183743,22.96037466,5,F,85157
+,,17.40363683,-44.1625017,5,B,85162
+,,17.40522114,-60.6737692,5,B,85169
+,,17.4087582,16.30107639,5,A,85185
+,,17.41167781,-21.44141348,5,K,85207
+Bet Ara,,17.42166588,-55.52982397,2,K,85258
+Gam Ara,,17.42323884,-56.37768824,3,B,85267
+,,17.42815655,60.04834069,5,A,85290
+Kap Ara,,17.43334144,-50.63353205,5,K,85312
+44 Oph,,17.43950482,-24.17502346,4,A,85340
+49Sig Oph,,17.441911,4.14034239,4,K,85355
+,,17.44387084,-5.08649188,4,F,85365
+77 Her,,17.44562285,48.26007218,5,A,85379
+,,17.44615702,34.69569698,5,A,85382
+,,17.44697978,20.08093784,5,B,85385
+,,17.44777318,-45.84296289,5,B,85389
+,,17.4534613,-50.6303656,5,B,85409
+45 Oph,,17.45590667,-29.86669942,4,F,85423
+,,17.46043253,-29.7244896,5,B,85442
+,,17.46600437,-52.29702909,5,K,85470
+,,17.47747544,-55.16966503,5,G,85520
+,,17.48047018,0.33057703,5,A,85537
+,,17.48224705,-36.7782678,5,K,85543
+,,17.50663099,-1.06250365,5,G,85667
+23Bet Dra,,17.5072158,52.30135901,2,G,85670
+76Lam Her,,17.512305,26.1106045,4,K,85693
+34Up Sco,,17.512733,-37.29574016,2,B,85696
+24 UMi,,17.51304716,86.96802383,5,A,85699
+,,17.51538085,31.15810073,5,G,85715
+Del Ara,,17.51832693,-60.68360667,3,B,85727
+,,17.52259588,2.72446012,5,G,85749
+,,17.52313449,-56.92095404,5,B,85751
+51 Oph,,17.52359746,-23.96258036,4,A,85755
+,,17.52429809,-80.85902834,5,M,85760
+78 Her,,17.53043733,28.40743646,5,A,85790
+Alp Ara,,17.53070044,-49.87598159,2,B,85792
+27 Dra,,17.53274721,68.13470186,5,K,85805
+24Nu 1Dra,,17.53622721,55.18411077,4,A,85819
+23Del UMi,,17.53691588,86.58632924,4,A,85822
+25Nu 2Dra,,17.53774416,55.17280674,4,A,85829
+,,17.55203065,41.24359953,5,K,85888
+,,17.55205196,-41.17305756,5,B,85889
+,,17.556345,19.25689917,5,F,85912
+,,17.55829711,-5.74457168,5,A,85922
+35Lam Sco,Shaula,17.56014624,-37.10374835,1,B,85927
+,,17.5609422,16.31770553,5,K,85930
+53 Oph,,17.57685855,9.58672378,5,A,85998
+,,17.57846966,-32.58165772,5,O,86011
+,,17.57954144,-11.24200693,5,B,86019
+55Alp Oph,Rasalhague,17.58222354,12.56057584,2,A,86032
+26 Dra,,17.58312521,61.8758315,5,G,86036
+1Sig Ara,,17.59433647,-46.50559076,4,A,86092
+,,17.60912409,-38.63486521,4,G,86170
+82 Her,,17.61045164,48.58547866,5,K,86182
+28Ome Dra,,17.61585831,68.75718933,4,F,86201
+,,17.61912143,72.45575693,5,G,86219
+The Sco,,17.62197938,-42.99782155,1,F,86228
+,,17.62425328,-50.05948478,5,K,86248
+79 Her,,17.62530516,24.3099689,5,A,86254
+55Xi Ser,,17.62645145,-15.39840835,3,F,86263
+,,17.62672342,-15.57103656,5,F,86266
+57Mu Oph,,17.63075549,-8.11872126,4,B,86284
+Pi Ara,,17.63487953,-54.50007025,5,A,86305
+,,17.63597582,-10.92624683,5,K,86313
+85Iot Her,,17.65774789,46.00632216,3,B,86414
+Lam Ara,,17.67325897,-49.41515481,4,F,86486
+,,17.68784213,-46.92181116,5,A,86552
+56Omi Ser,,17.69025458,-12.87517268,4,A,86565
+,,17.69231241,6.31316423,5,G,86575
+31P i1Dra,,17.69897418,72.14949916,4,F,86614
+31P i1Dra,,17.69945511,72.15757591,5,G,86620
+,,17.69962173,15.95217942,5,F,86623
+83 Her,,17.70788815,24.56431006,5,K,86667
+Kap Sco,,17.70813327,-39.02992092,2,B,86670
+,,17.71419225,-36.94550742,5,K,86698
+84 Her,,17.72267744,24.32764591,5,G,86731
+58 Oph,,17.72384859,-21.68308566,4,F,86736
+60Bet Oph,,17.72454914,4.56691684,2,K,86742
+,,17.73310084,53.80175482,5,A,86782
+Mu Ara,,17.73575474,-51.83358836,5,G,86796
+,,17.7450016,-42.72930009,5,A,86847
+,,17.74884553,-57.54551015,5,G,86871
+Eta Pav,,17.76222289,-64.7237345,3,K,86929
+86Mu Her,,17.77436636,27.72249917,3,G,86974
+,,17.78556649,17.69704078,5,A,87044
+3 Sgr,,17.79267418,-27.83076255,4,F,87072
+Iot1Sco,,17.79307809,-40.12698197,2,F,87073
+,,17.79355351,-14.72578118,5,B,87074
+62Gam Oph,,17.79821501,2.70745875,3,A,87108
+,,17.8068757,20.56542749,5,G,87158
+87 Her,,17.81365252,25.62296216,5,K,87194
+30 Dra,,17.8178705,50.78054478,5,A,87212
+,,17.81957591,-31.70318435,4,B,87220
+35 Dra,,17.82414913,76.96227797,5,F,87234
+,,17.83095867,-37.04337105,3,K,87261
+Iot2Sco,,17.83641944,-40.09042823,4,A,87294
+,,17.83968665,29.32202669,5,K,87308
+,,17.84121953,-53.61238082,5,B,87314
+,,17.85904807,-40.77232768,5,M,87390
+,,17.85985326,-60.16401809,5,K,87393
+,,17.87046086,-34.79918358,5,B,87460
+,,17.87215547,-34.41683044,5,G,87472
+,,17.87651756,1.30504981,5,K,87491
+,,17.88729442,6.10125423,5,F,87558
+90 Her,,17.88833939,40.00783707,5,K,87563
+,,17.88985295,-34.89510976,5,K,87569
+32Xi Dra,,17.8921193,56.87245216,3,K,87585
+34P i2Dra,,17.91976051,72.00513388,5,F,87728
+89 Her,,17.9236628,26.04997848,5,F,87747
+,,17.93078106,22.46422113,5,K,87777
+91The Her,,17.93754959,37.25052158,3,K,87808
+,,17.93844528,0.67035571,5,B,87812
+,,17.93862257,-15.81236072,5,A,87813
+33Gam Dra,Etamin,17.94343829,51.48895101,2,K,87833
+,,17.94494973,-28.0653494,5,A,87836
+,,17.94650712,-44.34219871,4,K,87846
+,,17.94659672,-4.08180189,5,G,87847
+,,17.95119524,0.06668731,5,A,87875
+92Xi Her,,17.96273073,29.24792527,3,K,87933
+,,17.96327959,-41.71625842,4,M,87936
+94Nu Her,,17.97504159,30.18926892,4,F,87998
+,,17.97751395,-28.75907603,5,B,88012
+,,17.98213313,-36.85840855,5,G,88038
+64Nu Oph,,17.9837771,-9.77334973,3,K,88048
+,,17.98479993,-30.25300479,5,K,88060
+,,17.99354576,-4.82091169,5,K,88101
+4 Sgr,,17.99654353,-23.81601126,4,B,88116
+,,17.99894532,45.50146059,5,M,88122
+93 Her,,18.00095018,16.75094481,4,K,88128
+41 Dra,,18.00251852,80.00379394,5,K,88136
+66 Oph,,18.00438821,4.36864674,4,B,88149
+57Zet Ser,,18.00803345,-3.69016112,4,F,88175
+67 Oph,,18.01075431,2.93158759,3,B,88192
+95 Her,,18.02511192,21.59568814,4,G,88267
+68 Oph,,18.02921931,1.30510936,4,A,88290
+,,18.03177249,-22.78029065,5,B,88298
+96 Her,,18.03973602,20.83364838,5,B,88331
+7 Sgr,,18.04752718,-24.28242475,5,F,88380
+69Tau Oph,,18.05136409,-8.18025785,4,F,88404
+9 Sgr,,18.0645679,-24.36072589,5,O,88469
+,,18.08066382,-35.90136032,5,K,88550
+Gam1Sgr,,18.08367292,-29.5800762,4,G,88567
+70 Oph,,18.09089245,2.50243928,4,K,88601
+10Gam2Sgr,,18.09681239,-30.42365007,2,K,88635
+,,18.09711054,32.23072212,5,K,88636
+98 Her,,18.10053019,22.21889206,4,M,88657
+,,18.10205582,-8.32391503,5,B,88670
+,,18.10419822,-4.75117796,5,K,88684
+,,18.10656756,-36.01980798,5,G,88694
+The Ara,,18.11052188,-50.09145462,3,B,88714
+,,18.11385681,-43.42496169,4,A,88726
+99 Her,,18.11711321,30.56186809,5,F,88745
+71 Oph,,18.12176509,8.73379361,4,G,88765
+72 Oph,,18.12250574,9.56365345,3,A,88771
+,,18.12464955,43.46203247,5,G,88788
+103Omi Her,,18.12570854,28.76247025,3,B,88794
+,,18.13011216,-17.15430069,5,K,88816
+100 Her,,18.1304192,26.09726716,5,A,88817
+100 Her,,18.13043402,26.10122114,5,A,88818
+,,18.13397424,36.40171633,5,K,88836
+,,18.13471194,-28.45701627,4,K,88839
+Pi Pav,,18.14299745,-63.66804844,4,A,88866
+102 Her,,18.14597017,20.81457203,4,B,88886
+101 Her,,18.1480162,20.04528382,5,A,88899
+73 Oph,,18.15940668,3.99328654,5,F,88964
+,,18.16500153,3.12029682,5,F,89000
+,,18.16638508,36.46625671,5,G,89008
+,,18.16827928,-30.72859747,5,K,89020
+Iot Pav,,18.17396096,-62.00276787,5,G,89042
+,,18.17542561,54.2859522,5,K,89047
+,,18.17785799,3.32426855,5,K,89065
+,,18.18487117,-41.35902019,5,F,89099
+Ep Tel,,18.18716006,-45.95432704,4,G,89112
+,,18.18771162,-75.89079431,5,K,89115
+11 Sgr,,18.19536888,-23.70116777,4,K,89153
+,,18.19586433,33.44702748,5,A,89156
+104 Her,,18.19837968,31.4052884,4,M,89172
+,,18.2094905,-73.67177867,5,F,89234
+,,18.22019435,-41.33609648,5,B,89290
+13Mu Sgr,,18.2293913,-21.05883031,3,B,89341
+36 Dra,,18.23148847,64.39719935,4,F,89348
+14 Sgr,,18.23775282,-21.71310708,5,K,89369
+15 Sgr,,18.25358485,-20.7282667,5,B,89439
+16 Sgr,,18.25360254,-20.38796936,5,B,89440
+37 Dra,,18.25473581,68.75596485,5,K,89448
+,,18.26077204,42.15934312,5,B,89482
+,,18.2612953,-63.05530804,5,K,89487
+,,18.26483152,-44.20649632,5,G,89507
+,,18.28141412,-3.00673658,5,G,89587
+,,18.28542707,-56.02331993,5,B,89605
+,,18.28656366,-17.37385188,5,K,89609
+Eta Sgr,,18.29381366,-36.76128103,3,M,89642
+,,18.30088554,-27.04263452,4,K,89678
+,,18.31932312,7.25976189,5,K,89772
+105 Her,,18.31963182,24.44604619,5,K,89773
+1Kap Lyr,,18.33103366,36.06444696,4,K,89826
+,,18.33576901,-15.83160305,5,K,89851
+106 Her,,18.33830655,21.9614409,4,M,89861
+43Phi Dra,,18.34595588,71.33772734,4,A,89908
+74 Oph,,18.34779503,3.37714467,4,G,89918
+108 Her,,18.34915817,29.85879387,5,A,89925
+19Del Sgr,,18.34989489,-29.82803914,2,K,89931
+107 Her,,18.35028265,28.86983516,5,A,89935
+44Chi Dra,,18.35064971,72.73369763,3,F,89937
+58Eta Ser,,18.35525571,-2.897122,3,K,89962
+,,18.35638568,-18.85998365,5,F,89968
+,,18.3590791,49.12146945,5,M,89981
+,,18.36908144,23.28498721,5,K,90023
+,,18.37183447,-38.65682498,5,K,90037
+,,18.37647589,12.02964433,5,A,90052
+,,18.38027658,17.82657724,5,K,90067
+,,18.38141054,-36.66949254,5,B,90074
+,,18.38671319,-12.01470763,5,B,90096
+Xi Pav,,18.38711682,-61.49390506,4,M,90098
+,,18.3913392,-36.23800004,5,K,90124
+Phi Oct,,18.39345508,-75.04432557,5,A,90133
+Zet Sct,,18.3943205,-8.93451038,4,K,90135
+109 Her,,18.39493521,21.77034249,3,K,90139
+39 Dra,,18.39851359,58.8005852,4,A,90156
+20Ep Sgr,Kaus Australis,18.40287397,-34.3843146,1,B,90185
+2Mu Lyr,,18.40383382,39.50724983,5,A,90191
+,,18.40506689,-44.1102013,5,B,90200
+18 Sgr,,18.41708688,-30.75640093,5,K,90260
+21 Sgr,,18.42250987,-20.54160918,4,A,90289
+,,18.42744481,8.0320244,5,G,90313
+,,18.43299211,29.82898959,5,A,90342
+42 Dra,,18.43305219,65.56354628,4,K,90344
+,,18.44833584,-48.11710875,5,K,90414
+Alp Tel,,18.44956396,-45.96832919,3,B,90422
+59 Ser,,18.45347498,0.19612982,5,G,90441
+,,18.46374565,-29.81690216,5,F,90485
+22Lam Sgr,,18.46618597,-25.42124732,2,K,90496
+,,18.46632604,6.19416039,5,B,90497
+,,18.47419831,-38.9955695,5,A,90541
+Zet Tel,,18.48048221,-49.07003097,4,G,90568
+Gam Sct,,18.48662553,-14.56580499,4,A,90595
+,,18.48889469,-80.23255408,5,K,90606
+,,18.49325288,23.86620645,5,B,90637
+60 Ser,,18.49471179,-1.98522563,5,K,90642
+,,18.49582324,77.54706964,5,K,90647
+,,18.49886596,-47.22051319,5,K,90662
+,,18.49907693,-57.52308279,5,K,90664
+,,18.50328975,-18.72857432,5,K,90687
+,,18.51790794,16.92860639,5,A,90762
+,,18.51801255,-32.9890014,5,A,90763
+Nu Pav,,18.52289626,-62.27819116,4,B,90797
+,,18.52380356,-10.79579343,5,B,90804
+,,18.52397242,-18.40264541,5,B,90806
+Del1Tel,,18.52928779,-45.9147436,4,B,90830
+,,18.5322844,-43.50736445,5,K,90842
+61 Ser,,18.53249682,-1.00296614,5,A,90844
+Del2Tel,,18.53387342,-45.7573539,5,B,90853
+,,18.53925187,-39.70390941,5,A,90887
+45 Dra,,18.54292285,57.04561627,4,F,90905
+,,18.54536728,-14.8656543,5,K,90913
+,,18.5461519,23.61677633,5,K,90915
+,,18.54720801,30.55418062,5,B,90923
+,,18.54870263,-73.96538378,5,K,90930
+Kap1CrA,,18.55642591,-38.72593259,5,B,90968
+The CrA,,18.5583778,-42.31245871,4,G,90982
+,,18.56083446,-14.85359142,5,A,90991
+24 Sgr,,18.56485771,-24.03226534,5,K,91004
+,,18.56574962,52.35350951,5,K,91013
+,,18.56604577,-33.01653262,5,B,91014
+,,18.58398986,-10.97719406,5,G,91105
+Alp Sct,,18.58678829,-8.24330819,3,K,91117
+,,18.58683042,18.20339202,5,A,91118
+,,18.59177634,23.6055287,5,G,91139
+,,18.60773225,9.12281663,5,F,91217
+,,18.61037495,33.46903738,5,B,91235
+,,18.61085908,6.67215598,5,F,91237
+3Alp Lyr,Vega,18.61560722,38.78299311,0,A,91262
+,,18.62597533,62.52646287,5,A,91315
+,,18.62665402,-0.30942411,5,A,91322
+,,18.63178546,-21.39756504,5,A,91347
+,,18.6418654,-23.5048456,5,B,91405
+,,18.6481798,-21.05150199,5,G,91438
+,,18.65396416,-47.90980354,5,A,91461
+,,18.65977355,-43.18577561,5,M,91494
+,,18.66677785,-7.79070788,5,K,91532
+Del Sct,,18.7045617,-9.05255357,4,F,91726
+46 Dra,,18.71054339,55.53940044,5,B,91755
+Zet Pav,,18.71725939,-71.42772867,4,K,91792
+Ep Sct,,18.7253445,-8.27524299,4,G,91845
+,,18.72703299,-64.55131121,5,K,91854
+Lam CrA,,18.72970586,-38.32331062,5,A,91875
+,,18.73100396,31.92691949,5,F,91883
+,,18.73871097,-35.64192109,4,B,91918
+4Ep 1Lyr,,18.73898258,39.66997686,4,F,91919
+5Ep 2Lyr,,18.73965995,39.61259557,4,A,91926
+6Zet1Lyr,,18.7462044,37.60505025,4,A,91971
+7Zet2Lyr,,18.74671939,37.59456466,5,F,91973
+,,18.74711198,-25.01086335,5,B,91974
+4 Aql,,18.7472036,2.06007487,5,B,91975
+,,18.74920829,-39.68617292,5,K,91989
+,,18.75746005,-64.87089771,4,A,92024
+,,18.75787663,5.50012301,5,A,92027
+27Phi Sgr,,18.76093138,-26.9907794,3,B,92041
+110 Her,,18.76103644,20.54712356,4,F,92043
+,,18.76298795,74.08535352,5,K,92056
+,,18.7679078,26.66207055,4,K,92088
+28 Sgr,,18.77238567,-22.39218449,5,K,92111
+50 Dra,,18.77285107,75.43379735,5,A,92112
+5 Aql,,18.7746063,-0.96163956,5,A,92117
+,,18.77863282,52.98797002,5,B,92133
+,,18.77870114,-10.12503854,5,F,92136
+111 Her,,18.78367287,18.18122968,4,A,92161
+Bet Sct,,18.7862437,-4.74782871,4,G,92175
+,,18.79138224,-5.70507074,5,K,92202
+Mu CrA,,18.79572209,-40.40612167,5,G,92226
+The Pav,,18.81054386,-65.07748945,5,A,92294
+Eta1CrA,,18.81401959,-43.67999681,5,A,92308
+,,18.81482676,19.32877145,5,A,92312
+,,18.82424488,-45.81023948,5,G,92367
+Eta2CrA,,18.82638836,-43.4340401,5,B,92382
+29 Sgr,,18.8278076,-20.32474038,5,K,92390
+,,18.82804308,-5.91283415,5,K,92391
+8Nu 1Lyr,,18.82942019,32.81283298,5,B,92398
+9Nu 2Lyr,,18.83136802,32.55108873,5,A,92405
+10Bet Lyr,,18.83466497,33.36267788,3,A,92420
+,,18.84958473,-9.77410171,5,F,92488
+47Omi Dra,,18.85333516,59.38828895,4,K,92512
+,,18.85972262,52.97452091,5,G,92549
+Lam Pav,,18.87028792,-62.18756062,4,B,92609
+112 Her,,18.87123129,21.42516648,5,B,92614
+,,18.87422387,-46.59511945,5,M,92630
+Kap Tel,,18.87766837,-52.10713766,5,G,92646
+,,18.88709481,50.70828894,4,G,92689
+11Del1Lyr,,18.89543292,36.97172755,5,B,92728
+33 Sgr,,18.9000251,-21.35979587,5,G,92747
+32Nu 1Sgr,,18.90282646,-22.7448202,4,K,92761
+,,18.90368115,27.90970126,5,K,92768
+52Up Dra,,18.90660174,71.29708956,4,K,92782
+12Del2Lyr,,18.90841352,36.89860518,4,M,92791
+,,18.91197646,-15.60302217,5,B,92814
+113 Her,,18.91246698,22.64507357,4,G,92818
+,,18.91310259,48.85972353,5,F,92822
+Chi Oct,,18.91323566,-87.60551487,5,K,92824
+,,18.91449394,41.60272814,5,G,92831
+,,18.91458911,33.96858048,5,G,92833
+35Nu 2Sgr,,18.91863112,-22.67125323,5,K,92845
+34Sig Sgr,Nunki,18.92108797,-26.29659428,2,B,92855
+13 Lyr,,18.92224587,43.9458926,4,M,92862
+,,18.92428954,6.61550576,5,G,92872
+,,18.92528386,-16.37618751,5,F,92882
+,,18.93352022,-23.17371793,5,B,92931
+,,18.93504176,18.10579902,5,K,92937
+63The1Ser,,18.93698898,4.20352956,4,A,92946
+63The2Ser,,18.93739246,4.20205672,4,A,92951
+,,18.93804794,-42.71060161,5,G,92953
+,,18.94048352,65.25815397,5,G,92969
+,,18.94458074,-37.34318339,5,B,92989
+48 Dra,,18.94585539,57.81499531,5,K,92997
+Kap Pav,,18.94917796,-67.23353511,4,F,93015
+,,18.9504082,32.90162351,5,G,93017
+Eta Sct,,18.95100947,-5.84621426,4,K,93026
+64 Ser,,18.95460927,2.5353768,5,B,93051
+36Xi 1Sgr,,18.95568824,-20.65633439,5,B,93057
+37Xi 2Sgr,,18.96216103,-21.10662433,3,G,93085
+,,18.96719495,38.26618277,5,B,93104
+,,18.97076314,17.36093633,5,F,93124
+Lam Tel,,18.97437645,-52.93860748,4,A,93148
+Ome Pav,,18.97683186,-60.20062859,5,K,93163
+Ep CrA,,18.97874276,-37.10708855,4,F,93174
+10 Aql,,18.97970098,13.90677273,5,F,93179
+14Gam Lyr,,18.98239571,32.68955312,3,B,93194
+11 Aql,,18.98492467,13.62254853,5,F,93203
+,,18.98994514,-12.84046242,5,B,93225
+13Ep Aql,,18.99371922,15.06847757,4,K,93244
+,,18.99595238,26.23043204,5,K,93256
+15Lam Lyr,,19.00022817,32.14549051,4,K,93279
+,,19.00098512,-66.65351408,5,K,93287
+,,19.00379747,50.53345884,5,B,93299
+49 Dra,,19.0120742,55.65831944,5,G,93340
+,,19.0214881,26.29143333,5,B,93393
+16 Lyr,,19.0239888,46.93502175,5,A,93408
+12 Aql,,19.02801149,-5.73901832,4,K,93429
+,,19.04102524,-24.84639516,5,K,93498
+38Zet Sgr,,19.04353428,-29.88011429,2,A,93506
+14 Aql,,19.04846997,-3.69900363,5,A,93526
+,,19.05105651,-19.24565829,5,K,93537
+Zet CrA,,19.05189794,-42.09499443,4,A,93542
+,,19.05491289,-38.25318227,5,F,93552
+,,19.05824525,-68.7555329,5,F,93574
+,,19.05895527,1.81893472,5,A,93580
+,,19.06597824,-51.01824471,5,K,93624
+,,19.07362641,-31.04703255,5,A,93667
+39Omi Sgr,,19.07803717,-21.74135451,3,K,93683
+51 Dra,,19.08199155,53.39660317,5,A,93713
+15 Aql,,19.0826832,-4.03135505,5,K,93717
+,,19.0827287,31.74425746,5,M,93718
+17Zet Aql,,19.09017012,13.86370983,2,A,93747
+,,19.09477206,-15.66039343,5,B,93763
+16Lam Aql,,19.10415275,-4.88233456,3,B,93805
+Rho Tel,,19.10553461,-52.34063012,5,F,93815
+Gam CrA,,19.10695543,-37.06275714,4,F,93825
+,,19.1104678,28.6283896,5,F,93843
+,,19.11065579,24.25075812,5,A,93845
+,,19.11544314,-48.29911462,5,A,93862
+40Tau Sgr,,19.11567841,-27.66981416,3,K,93864
+18 Aql,,19.1162787,11.07130501,5,B,93867
+18Iot Lyr,,19.12170263,36.10016754,5,B,93903
+17 Lyr,,19.12374874,32.50166027,5,F,93917
+,,19.13797202,-19.29028615,5,B,93996
+Del CrA,,19.13914805,-40.4966376,4,K,94005
+,,19.1405235,52.42586424,5,K,94013
+19 Aql,,19.14997707,6.07339716,5,F,94068
+59 Dra,,19.15270791,76.56079335,5,A,94083
+Alp CrA,,19.15785508,-37.90423953,4,A,94114
+41Pi Sgr,,19.1627316,-21.02352534,2,F,94141
+,,19.16461731,-68.42434424,5,G,94150
+,,19.16601499,-41.89222924,5,B,94157
+Bet CrA,,19.16715345,-39.34070677,4,K,94160
+53 Dra,,19.19458917,56.85909594,5,G,94302
+19 Lyr,,19.19611418,31.2834636,5,B,94311
+,,19.20144876,49.85423807,5,G,94336
+57Del Dra,,19.20920972,67.66131695,3,G,94376
+20 Aql,,19.21130657,-7.93950077,5,B,94385
+,,19.2204638,-25.90676384,5,K,94434
+,,19.22097662,-12.28250973,5,K,94437
+21 Aql,,19.22852764,2.2937137,5,B,94477
+20Eta Lyr,,19.22930243,39.14596968,4,B,94481
+54 Dra,,19.23199019,57.70525514,5,K,94490
+,,19.24431159,-45.19343079,5,G,94556
+1 Sge,,19.25481643,21.23209944,5,A,94620
+,,19.25558047,15.08367864,5,G,94624
+,,19.25689887,30.52644519,5,M,94630
+42P i Sgr,,19.25899921,-25.25660677,4,K,94643
+60Tau Dra,,19.25924825,73.35521457,4,K,94648
+1 Vul,,19.27028877,21.39044277,4,B,94703
+,,19.27270665,-45.46606262,5,K,94712
+21The Lyr,,19.27280428,38.13372778,4,K,94713
+,,19.27410628,14.54461509,5,B,94720
+22 Aql,,19.27528416,4.83482079,5,A,94727
+1Kap Cyg,,19.28503052,53.36816064,3,K,94779
+,,19.28672777,-66.66103756,5,A,94789
+43 Sgr,,19.29391266,-18.95288215,4,K,94820
+2 Vul,,19.29545424,23.02554904,5,B,94827
+25Ome1Aql,,19.296944,11.59539126,5,F,94834
+23 Aql,,19.30902467,1.08508548,5,K,94885
+28 Aql,,19.32759598,12.37463918,5,F,94982
+,,19.32777472,-35.42142487,5,B,94986
+,,19.3377789,57.64511743,5,M,95038
+26 Aql,,19.34245505,-5.41587489,4,G,95066
+27 Aql,,19.34324532,-0.89216854,5,B,95073
+,,19.34393218,-22.40260314,5,A,95077
+58Pi Dra,,19.34446443,65.7144303,4,A,95081
+44Rho1Sgr,,19.36121535,-17.84725155,3,F,95168
+46Up Sgr,,19.36211722,-15.95500233,4,F,95176
+45Rho2Sgr,,19.36412019,-18.30816237,5,K,95188
+,,19.37264162,-0.25227829,5,G,95222
+Bet1Sgr,,19.37730181,-44.45891013,3,B,95241
+3 Vul,,19.38080138,26.2624297,5,B,95260
+Eta Tel,,19.38088349,-54.42372882,5,A,95261
+Bet2Sgr,,19.38696127,-44.79964788,4,F,95294
+Alp Sgr,,19.3980976,-40.61564629,3,B,95347
+,,19.39902462,43.3882371,5,G,95352
+2 Cyg,,19.40210326,29.6213112,4,B,95372
+31 Aql,,19.4160473,11.94285122,5,G,95447
+,,19.41779193,-29.30920884,5,K,95456
+47Chi1Sgr,,19.42123628,-24.50844892,5,A,95477
+,,19.42265613,-13.89726417,5,K,95485
+4 Vul,,19.42459542,19.79853912,5,K,95498
+49Chi3Sgr,,19.42490874,-23.96242415,5,K,95503
+30Del Aql,,19.42493129,3.11457923,3,F,95501
+4 Cyg,,19.43586774,36.31786478,5,B,95556
+,,19.43639764,-15.05325005,5,B,95557
+5 Vul,,19.43701223,20.09782036,5,A,95560
+50 Sgr,,19.43864824,-21.77668185,5,K,95564
+,,19.44003514,13.02365808,5,F,95572
+,,19.44130185,19.89161003,5,M,95582
+32Nu Aql,,19.44196935,0.33857566,4,F,95585
+,,19.44901951,-29.74310537,5,B,95619
+7Iot1Cyg,,19.45721404,52.32050263,5,A,95656
+,,19.46336742,-54.32529723,5,K,95690
+,,19.47244353,2.9300672,5,B,95732
+6Alp Vul,,19.4784475,24.66516482,4,M,95771
+8 Vul,,19.48252154,24.76868131,5,K,95785
+35 Aql,,19.48360792,1.95052861,5,A,95793
+,,19.48947892,14.59607671,5,K,95822
+,,19.48993637,-43.44491571,5,A,95823
+10Iot2Cyg,,19.49509425,51.72946747,3,A,95853
+,,19.49782566,-26.9855106,5,K,95865
+36 Aql,,19.51106221,-2.78886135,5,M,95937
+6Bet1Cyg,,19.51202368,27.9596948,3,K,95947
+6Bet2Cyg,,19.51261019,27.9652789,5,B,95951
+,,19.51970638,-68.43388713,5,K,95999
+,,19.5220443,50.30659451,5,K,96014
+,,19.52267061,26.61710997,5,K,96016
+8 Cyg,,19.52953362,34.45297707,4,B,96052
+61Sig Dra,,19.53905179,69.66540172,4,K,96100
+,,19.54827503,-53.18560103,5,A,96141
+,,19.55600951,-45.27168903,5,A,96178
+38Mu Aql,,19.56811881,7.37931918,4,K,96229
+,,19.56902283,-40.03463308,5,A,96234
+,,19.57215572,51.23707706,5,F,96258
+9 Vul,,19.57635776,19.77339742,5,B,96275
+,,19.57812701,42.41258465,5,A,96288
+9 Cyg,,19.58081072,29.46291111,5,A,96302
+37 Aql,,19.58534812,-10.56043644,5,G,96327
+Iot Tel,,19.58694271,-48.09911061,4,G,96341
+51 Sgr,,19.60045817,-24.71901737,5,A,96406
+13The Cyg,,19.60737289,50.22046347,4,F,96441
+,,19.61057074,44.69518822,5,K,96459
+52 Sgr,,19.61177473,-24.88356664,4,B,96465
+41Iot Aql,,19.61202126,-1.28655047,4,B,96468
+,,19.61456861,11.27319815,5,G,96481
+39Kap Aql,,19.61484682,-7.02747069,4,B,96483
+,,19.61759294,-18.23101861,5,K,96496
+4Ep Sge,,19.62149533,16.46276921,5,G,96516
+,,19.62624352,-14.30144432,5,F,96536
+42 Aql,,19.62979344,-4.64750966,5,F,96556
+,,19.64476324,54.973395,5,F,96620
+44Sig Aql,,19.65323339,5.39778241,5,B,96665
+12Phi Cyg,,19.65627897,30.1532335,4,G,96683
+14 Cyg,,19.65735179,42.81821158,5,B,96693
+5Alp Sge,,19.66827292,18.01393839,4,G,96757
+,,19.66865192,-23.42905463,5,K,96760
+45 Aql,,19.67869802,-0.6212928,5,A,96807
+54 Sgr,,19.67870589,-16.29314555,5,K,96808
+,,19.68058707,45.5246494,5,F,96825
+6Bet Sge,,19.68414825,17.47612356,4,G,96837
+,,19.68486896,13.81570826,5,B,96840
+16 Cyg,,19.69696917,50.52544635,5,G,96895
+55 Sgr,,19.70863683,-16.12397392,5,F,96950
+47Chi Aql,,19.70944646,11.8266084,5,F,96957
+,,19.71239015,32.42674436,5,A,96977
+,,19.72595783,-15.46965541,5,F,97063
+10 Vul,,19.72858823,25.77187257,5,G,97077
+,,19.72918941,41.77308397,5,M,97081
+15 Cyg,,19.737931,37.35426967,4,G,97118
+,,19.73844489,69.33711857,5,A,97122
+18Del Cyg,,19.74956725,45.13069195,2,B,97165
+49Up Aql,,19.76108771,7.61315784,5,A,97229
+,,19.76700442,-31.90853854,5,B,97260
+50Gam Aql,Tarazed,19.77099171,10.61326869,2,K,97278
+56 Sgr,,19.77272756,-19.76089482,4,K,97290
+17 Cyg,,19.7737733,33.72868813,5,F,97295
+7Del Sge,,19.78979589,18.53425912,3,M,97365
+,,19.79104896,38.40761671,5,B,97376
+Nu Tel,,19.80030601,-56.36227755,5,A,97421
+63Ep Dra,,19.8028371,70.26783533,3,G,97433
+52Pi Aql,,19.81168001,11.81592014,5,F,97473
+8Zet Sge,,19.81629133,19.14197806,5,A,97496
+,,19.82369246,-72.50341408,5,A,97534
+,,19.83723673,-47.55736033,5,M,97598
+19 Cyg,,19.84277401,38.72216211,5,M,97630
+,,19.84370254,40.599778,5,B,97634
+20 Cyg,,19.84381492,52.98816657,5,K,97635
+,,19.84577133,-59.19363715,5,A,97646
+53Alp Aql,Altair,19.84630057,8.86738491,0,A,97649
+51 Aql,,19.84633416,-10.76358902,5,F,97650
+54Omi Aql,,19.85041673,10.4160539,5,F,97675
+12 Vul,,19.85113712,22.61008676,4,B,97679
+,,19.86405282,-39.87433805,5,A,97749
+,,19.86640879,47.02734867,5,O,97757
+,,19.86710947,24.99217156,5,A,97765
+,,19.86865875,47.93181856,5,B,97774
+57 Sgr,,19.8700014,-19.04486185,5,K,97783
+55Eta Aql,,19.8745455,1.00567827,3,F,97804
+,,19.87713947,-54.97103652,5,G,97816
+23 Cyg,,19.88815858,57.52346329,5,B,97870
+,,19.8885342,-3.11449682,5,A,97871
+13 Vul,,19.89102245,24.07952568,4,B,97886
+56 Aql,,19.90229793,-8.57416489,5,K,97928
+59Xi Aql,,19.90411715,8.46165027,4,K,97938
+,,19.90862814,24.31939041,5,A,97961
+57 Aql,,19.91045767,-8.22722614,5,B,97966
+58 Aql,,19.91243674,0.27365959,5,A,97980
+,,19.91340074,36.99565531,5,F,97985
+Iot Sgr,,19.92102196,-41.8684135,4,K,98032
+60Bet Aql,,19.92187948,6.40793334,3,G,98036
+24P i Cyg,,19.92717285,52.43902327,4,A,98055
+58Ome Sgr,,19.93061806,-26.29968718,4,G,98066
+22 Cyg,,19.93104478,38.48670392,4,B,98068
+,,19.9320523,58.84601982,4,K,98073
+10 Sge,,19.93368426,16.6348159,5,G,98085
+61Phi Aql,,19.93728685,11.42370978,5,A,98103
+21Eta Cyg,,19.93844337,35.08349079,3,K,98110
+59 Sgr,,19.94911802,-27.1698625,4,K,98162
+,,19.95174539,-58.90131541,5,B,98174
+,,19.9538507,40.36782505,5,B,98194
+11 Sge,,19.96262183,16.78911537,5,B,98234
+61 Sgr,,19.96583898,-15.49126255,5,A,98258
+,,19.97721077,30.98367174,5,B,98325
+,,19.97810497,-69.16371251,5,A,98332
+12Gam Sge,,19.97927434,19.49209287,3,K,98337
+60 Sgr,,19.98254898,-26.19582739,4,G,98353
+14 Vul,,19.98627299,23.10127381,5,F,98375
+,,19.98900416,45.77258164,5,A,98383
+The1Sgr,,19.99560397,-35.27624433,4,B,98412
+,,19.99652483,-9.95728408,5,F,98416
+The2Sgr,,19.99757777,-34.69763103,5,A,98421
+25 Cyg,,19.99866531,37.04288602,5,B,98425
+13 Sge,,20.0009187,17.51654077,5,M,98438
+,,20.00442182,-37.70171669,5,G,98461
+,,20.00559967,-33.7027487,5,F,98470
+Mu 1Pav,,20.00641847,-66.94888773,5,K,98478
+Ep Pav,,20.00983148,-72.91018443,3,A,98495
+,,20.01342323,-45.1129325,5,A,98512
+,,20.01638085,8.5577688,5,K,98526
+15 Vul,,20.01833614,27.75356392,4,A,98543
+26 Cyg,,20.02265235,50.10467998,5,K,98571
+64 Dra,,20.02459214,64.82100457,5,M,98583
+,,20.02908519,24.80042535,5,B,98609
+,,20.02908951,-59.37582804,4,M,98608
+Mu 2Pav,,20.03122335,-66.94379223,5,K,98624
+63 Sgr,,20.03293811,-13.63724241,5,A,98633
+16 Vul,,20.03371501,24.93787365,5,F,98636
+62 Sgr,,20.04429424,-27.70987972,4,M,98688
+67Rho Dra,,20.04695756,67.87344872,4,K,98702
+,,20.05455354,18.50104063,5,K,98738
+,,20.05833686,16.03127337,5,B,98754
+,,20.05928093,-37.94049103,4,K,98761
+,,20.0602627,29.89807932,5,G,98767
+15 Sge,,20.06846253,17.07116105,5,G,98819
+63Tau Aql,,20.06897411,7.27793427,5,K,98823
+,,20.07210082,-32.05626941,4,K,98842
+62 Aql,,20.07309807,-0.70902114,5,K,98844
+,,20.07671575,32.21862467,5,B,98863
+16Eta Sge,,20.08596517,19.99087704,5,K,98920
+66 Dra,,20.09242365,61.99524822,5,K,98962
+,,20.10378856,53.16506746,5,F,99026
+27 Cyg,,20.10609148,35.97353894,5,K,99031
+17 Vul,,20.11483274,23.61442409,5,B,99080
+Xi Tel,,20.12310238,-52.88080972,4,M,99120
+64 Aql,,20.13382082,-0.67802026,5,K,99171
+Del Pav,,20.14496114,-66.17932101,3,G,99240
+1Kap Cep,,20.14814344,77.71136178,4,B,99255
+28 Cyg,,20.15711576,36.83959003,4,B,99303
+18 Vul,,20.17597912,26.90413736,5,A,99404
+,,20.18655784,-36.09738423,5,K,99461
+65The Aql,,20.18840688,-0.82147569,3,B,99473
+68 Dra,,20.1929845,62.07834754,5,F,99500
+19 Vul,,20.19665933,26.80901561,5,K,99518
+20 Vul,,20.20019405,26.47883104,5,B,99531
+2Xi 2Cap,,20.20715424,-12.61702214,5,F,99572
+66 Aql,,20.22051872,-1.00926621,5,K,99631
+30 Cyg,,20.22167833,46.81567038,4,A,99639
+33 Cyg,,20.22327809,56.56752223,4,A,99655
+,,20.22432478,60.6404332,5,K,99663
+31 Cyg,,20.22719518,46.74132417,3,K,99675
+21 Vul,,20.23736696,28.69486353,5,A,99738
+67Rho Aql,,20.23794044,15.19746767,4,A,99742
+,,20.23861323,-52.44564171,5,K,99747
+29 Cyg,,20.24221735,36.8061354,4,A,99770
+,,20.25441415,25.59196924,4,B,99824
+,,20.25460498,-27.03253576,5,K,99825
+,,20.25660872,33.7293702,5,K,99841
+32 Cyg,,20.25786618,47.7142053,3,K,99848
+22 Vul,,20.25839923,23.50892242,5,G,99853
+23 Vul,,20.2628215,27.8142285,4,K,99874
+,,20.26683531,45.57965867,5,F,99889
+24 Vul,,20.27974349,24.67114227,5,G,99951
+,,20.28202333,40.3650796,5,K,99968
+,,20.29184236,66.85296587,5,G,100017
+5Alp1Cap,,20.29412669,-12.50821403,4,G,100027
+34 Cyg,,20.29644567,38.0329471,4,B,100044
+4 Cap,,20.30038201,-21.80990013,5,G,100062
+6Alp2Cap,,20.30089401,-12.54485877,3,G,100064
+,,20.30194167,40.73209817,5,O,100069
+,,20.30687723,55.3971705,5,A,100097
+36 Cyg,,20.30795165,36.9997539,5,A,100108
+35 Cyg,,20.31085273,34.98278431,5,F,100122
+7Sig Cap,,20.32322201,-19.1185068,5,K,100195
+71 Dra,,20.32686046,62.25741351,5,B,100221
+,,20.33338644,13.54810109,5,A,100256
+,,20.33499547,68.8802532,5,M,100261
+,,20.33927682,17.79300261,5,K,100276
+8Nu Cap,,20.34439076,-12.75904403,4,B,100310
+9Bet Cap,,20.35017956,-14.78140119,3,A,100345
+,,20.3531991,63.98008727,5,K,100357
+25 Vul,,20.36761931,24.44611603,5,B,100435
+,,20.36815185,45.79489737,5,K,100437
+37Gam Cyg,,20.37047223,40.2566815,2,F,100453
+Kap1Sgr,,20.37429983,-42.04934895,5,A,100469
+,,20.37924859,41.02613288,5,M,100501
+,,20.38630816,5.34307747,5,G,100541
+,,20.39565702,37.47644822,5,B,100574
+39 Cyg,,20.39766555,32.19018607,4,K,100587
+Kap2Sgr,,20.39810748,-42.42290463,5,A,100591
+,,20.42411677,-28.66327932,5,G,100738
+Alp Pav,,20.42745823,-56.73488071,1,B,100751
+,,20.4279233,21.40966274,5,G,100754
+43 Cyg,,20.45061272,49.38322449,5,F,100859
+10Pi Cap,,20.4553343,-18.21169433,5,B,100881
+40 Cyg,,20.4595208,38.44052275,5,A,100907
+75 Dra,,20.47068179,81.42266925,5,G,100965
+11Rho Cap,,20.48100657,-17.81366828,4,F,101027
+42 Cyg,,20.48899682,36.45473284,5,A,101067
+41 Cyg,,20.48992526,30.36855661,4,F,101076
+,,20.49086278,56.06817898,5,B,101084
+74 Dra,,20.49092048,81.09073843,5,K,101082
+2The Cep,,20.49300758,62.99413722,4,A,101093
+69 Aql,,20.49415518,-2.8854763,4,K,101101
+12Omi Cap,,20.49830328,-18.58298474,5,A,101123
+45Ome1Cyg,,20.50098104,48.95155039,4,B,101138
+46Ome2Cyg,,20.52189123,49.2203733,5,M,101243
+73 Dra,,20.52511079,74.95465942,5,A,101260
+,,20.53986486,-9.85364143,5,G,101345
+2Ep Del,,20.55354577,11.30333217,4,B,101421
+,,20.55489244,-80.96482633,5,G,101427
+47 Cyg,,20.56505228,35.25086482,4,K,101474
+,,20.56523212,46.69386159,5,B,101475
+Nu Mic,,20.5652953,-44.51596141,5,K,101477
+3Eta Del,,20.56583246,13.02720146,5,A,101483
+4Zet Del,,20.58847449,14.67418482,4,A,101589
+Phi1Pav,,20.59299116,-60.58129819,4,F,101612
+70 Aql,,20.61211862,-2.54991814,4,K,101692
+27 Vul,,20.61796183,26.46197499,5,B,101716
+6Bet Del,,20.62579715,14.59520289,3,F,101769
+Alp Ind,,20.62610824,-47.29166239,3,K,101772
+Rho Pav,,20.62645548,-61.52974415,4,F,101773
+5Iot Del,,20.63030446,11.37769664,5,A,101800
+,,20.63850137,-81.28897011,5,K,101843
+71 Aql,,20.63896486,-1.10507951,4,G,101847
+29 Vul,,20.64202565,21.20117964,4,A,101867
+28 Vul,,20.64219673,24.11597742,5,B,101868
+,,20.64305234,23.68050731,5,K,101870
+8The Del,,20.64555131,13.31512567,5,K,101882
+,,20.64987099,30.33442469,5,K,101899
+,,20.65138016,15.83823558,5,B,101909
+7Kap Del,,20.65210902,10.08615196,5,G,101916
+14Tau Cap,,20.65453229,-14.95471233,5,B,101923
+1 Aqr,,20.65689762,0.4864919,5,K,101936
+9Alp Del,,20.66062626,15.9120527,3,B,101958
+Phi2Pav,,20.66729623,-60.54750937,5,F,101983
+15Up Cap,,20.66748847,-18.1386063,5,M,101984
+,,20.66755992,43.4590163,5,K,101986
+,,20.67217015,-33.43193038,5,K,102014
+,,20.67571097,-16.12435941,5,K,102026
+49 Cyg,,20.68403891,32.30731586,5,G,102066
+,,20.689884,-31.59814237,5,M,102092
+50Alp Cyg,Deneb,20.69053151,45.28033423,1,A,102098
+,,20.69902716,41.71687197,5,B,102155
+Up Pav,,20.69918418,-66.76062542,5,B,102157
+Mu 1Oct,,20.70070031,-76.18056892,5,F,102162
+51 Cyg,,20.70350743,50.34002067,5,B,102177
+76 Dra,,20.70974994,82.53110584,5,A,102208
+4 Cep,,20.71971766,66.65736293,5,A,102253
+11Del Del,,20.72431825,15.07468224,4,A,102281
+Eta Ind,,20.73394074,-51.92084051,4,A,102333
+,,20.73945579,56.48840856,5,M,102358
+30 Vul,,20.74792311,25.27104823,4,K,102388
+Bet Pav,,20.74932102,-66.20323826,3,A,102395
+3Eta Cep,,20.75479684,61.83679404,3,K,102422
+,,20.75588795,57.58029799,4,F,102431
+52 Cyg,,20.7610442,30.7196568,4,K,102453
+16P i Cap,,20.76826836,-25.27051682,4,F,102485
+17 Cap,,20.76943714,-21.51399111,5,A,102487
+53Ep Cyg,,20.77012006,33.96945334,2,K,102488
+,,20.772231,-39.19918925,5,B,102497
+12Gam1Del,,20.77746325,16.12462394,5,A,102531
+12Gam2Del,,20.77764388,16.12477326,4,K,102532
+,,20.78631233,34.37410329,4,K,102571
+54Lam Cyg,,20.79014637,36.49073658,4,B,102589
+,,20.79265458,80.55235152,5,K,102599
+2Ep Aqr,,20.79459238,-9.49568988,3,A,102618
+3 Aqr,,20.79562164,-5.02760303,4,M,102624
+13 Del,,20.7967578,6.00824104,5,A,102633
+,,20.79702614,47.83191224,5,K,102635
+Iot Mic,,20.80805543,-43.98827127,5,F,102693
+55 Cyg,,20.81563705,46.11414081,4,B,102724
+,,20.82155707,-25.78119469,5,B,102772
+Sig Pav,,20.82174308,-68.77640032,5,K,102773
+Zet Ind,,20.82470255,-46.22689249,4,K,102790
+Alp Mic,,20.83279986,-33.7796732,4,G,102831
+56 Cyg,,20.83467543,44.0589822,5,A,102843
+,,20.84491712,-12.54472977,5,K,102891
+,,20.85021199,-37.91328991,5,K,102916
+4 Aqr,,20.85713671,-5.6266358,5,F,102945
+,,20.85784315,28.25051868,5,F,102949
+Iot Ind,,20.8583472,-51.60816692,5,K,102950
+,,20.86066754,-62.42921513,5,A,102962
+18Ome Cap,,20.86369338,-26.91912642,4,K,102978
+31 Vul,,20.86881265,27.09712771,4,G,103004
+5 Aqr,,20.86908142,-5.50704421,5,B,103005
+6Mu Aqr,,20.87755716,-8.98323782,4,A,103045
+57 Cyg,,20.88742924,44.38726652,4,B,103089
+,,20.88848851,45.18168341,5,K,103094
+,,20.89448671,-39.80962825,5,K,103127
+,,20.89830736,33.43780855,5,K,103145
+32 Vul,,20.90934366,28.05763154,5,K,103200
+,,20.91229875,75.92546706,5,G,103219
+19 Cap,,20.91329232,-17.92285285,5,K,103226
+Bet Ind,,20.91349433,-58.4540947,3,K,103227
+17 Del,,20.92685526,13.72156383,5,K,103294
+16 Del,,20.92737588,12.56850687,5,A,103298
+,,20.93050165,47.41766542,5,B,103312
+,,20.94039999,50.72864966,5,F,103359
+,,20.94052435,49.19583069,5,G,103360
+,,20.9429939,44.92472729,5,O,103371
+,,20.94646394,-26.29621951,5,F,103389
+7 Aqr,,20.94834162,-9.69751669,5,K,103401
+58Nu Cyg,,20.95289212,41.16719384,3,A,103413
+,,20.96128156,-16.03154355,5,A,103460
+33 Vul,,20.97120911,22.32591754,5,K,103511
+,,20.97205045,44.47154114,5,G,103519
+18 Del,,20.9738786,10.8393695,5,G,103527
+,,20.9750071,50.46178308,5,B,103530
+,,20.97829804,-14.48308081,5,A,103545
+1Ep Equ,,20.98459526,4.29384672,5,F,103569
+,,20.98477135,4.29497561,5,G,103571
+,,20.99037016,59.43855678,5,K,103598
+59 Cyg,,20.99709729,47.52094507,4,B,103632
+,,21.0010983,7.51617986,5,A,103652
+,,21.00599004,-51.26563421,5,F,103673
+,,21.00769385,19.32972583,5,M,103675
+60 Cyg,,21.01970068,46.15576488,5,B,103732
+Gam Mic,,21.02151713,-32.25776681,4,G,103738
+,,21.03583234,56.66961137,5,B,103810
+,,21.04084786,-38.53055847,5,K,103836
+Zet Mic,,21.0494374,-38.63118269,5,F,103882
+,,21.06321801,53.28582252,5,K,103956
+12 Aqr,,21.06797567,-5.82304908,5,G,103981
+22Eta Cap,,21.0734235,-19.85493122,4,A,104019
+3 Equ,,21.07628991,5.50286035,5,K,104031
+Alp Oct,,21.07861906,-77.02286938,5,F,104043
+62Xi Cyg,,21.08218216,43.92785122,3,K,104060
+Mu Ind,,21.087287,-54.72695035,5,K,104085
+4 Equ,,21.09077468,5.95848857,5,F,104101
+,,21.09144741,78.12632222,5,B,104105
+23The Cap,,21.09910538,-17.23271095,4,A,104139
+Del Mic,,21.10031208,-30.12495361,5,K,104148
+,,21.10649798,71.43207905,5,F,104171
+,,21.10685587,-32.34163849,5,K,104174
+Eta Mic,,21.10708261,-41.38593603,5,K,104177
+,,21.10840047,31.18466842,5,F,104185
+63 Cyg,,21.11002448,47.64840597,4,K,104194
+61 Cyg,,21.11412083,38.74149446,5,K,104214
+24 Cap,,21.11880151,-25.00574796,4,K,104234
+,,21.14241805,-63.92827112,5,K,104364
+25Chi Cap,,21.14267025,-21.19352539,5,A,104365
+,,21.14413133,30.20568797,5,B,104371
+Sig Oct,,21.14611503,-88.9565112,5,F,104382
+,,21.15597694,-73.17226994,5,G,104440
+13Nu Aqr,,21.15988689,-11.37165474,4,G,104459
+,,21.17098684,53.56310952,5,B,104516
+5Gam Equ,,21.17235307,10.13194861,4,F,104521
+,,21.19673346,59.98661923,5,B,104642
+,,21.2037967,-40.2688284,5,F,104680
+64Zet Cyg,,21.21560598,30.22708128,3,G,104732
+,,21.21747985,-39.42464394,5,F,104738
+,,21.22146311,-27.61905854,5,K,104750
+,,21.22192701,-36.42353599,5,K,104752
+Omi Pav,,21.222344,-70.12621725,5,M,104755
+7Del Equ,,21.24133058,10.00771855,4,F,104858
+65Tau Cyg,,21.24648517,38.04432043,3,F,104887
+28Phi Cap,,21.26052514,-20.65169052,5,K,104963
+,,21.26177546,77.01226067,5,K,104968
+29 Cap,,21.26245211,-15.17151251,5,M,104974
+,,21.26273229,-53.26304998,5,A,104978
+8Alp Equ,,21.26372131,5.2480739,3,G,104987
+67Sig Cyg,,21.29026459,39.39469016,4,B,105102
+66Up Cyg,,21.29862997,34.8968812,4,B,105138
+Ep Mic,,21.29895737,-32.17248551,4,A,105140
+30 Cap,,21.29924349,-17.98513635,5,B,105143
+15 Aqr,,21.30307388,-4.51951158,5,B,105164
+68 Cyg,,21.30755046,43.9459669,5,O,105186
+5Alp Cep,Alderamin,21.30960598,62.58545529,2,A,105199
+,,21.31444811,11.20333527,5,K,105224
+,,21.32102554,58.62350994,5,B,105259
+,,21.32282787,38.23748156,5,F,105269
+6 Cep,,21.32283696,64.87184231,5,B,105268
+,,21.3246493,49.5102892,5,B,105282
+The Ind,,21.33107883,-53.44926434,4,A,105319
+The1Mic,,21.34599543,-40.80950852,4,A,105382
+,,21.35117748,23.85625829,5,K,105411
+16 Aqr,,21.35120161,-4.56015214,5,G,105412
+9 Equ,,21.35133348,7.3545461,5,M,105413
+,,21.36677355,49.38869874,5,K,105497
+1 Peg,,21.36809274,19.80435581,4,K,105502
+32Iot Cap,,21.3707715,-16.83455521,4,G,105515
+10Bet Equ,,21.38155049,6.81111338,5,A,105570
+17 Aqr,,21.38229762,-9.31927297,5,M,105574
+,,21.3834643,-22.66904892,5,M,105576
+,,21.39965003,24.27409155,5,F,105652
+33 Cap,,21.40266615,-20.85156019,5,K,105665
+18 Aqr,,21.40317736,-12.8781302,5,F,105668
+The2Mic,,21.40688855,-41.00669489,5,A,105696
+,,21.40943711,26.17454472,5,A,105703
+,,21.41372248,80.52485397,5,G,105727
+19 Aqr,,21.42028258,-9.74814011,5,F,105761
+21 Aqr,,21.42137914,-3.55657786,5,K,105767
+,,21.4220523,46.71422433,5,F,105769
+69 Cyg,,21.42972782,36.66740768,5,B,105811
+,,21.43965281,-37.82940289,5,K,105854
+Gam Pav,,21.44069225,-65.36814438,4,F,105858
+34Zet Cap,,21.44445214,-22.41137838,3,G,105881
+,,21.44765832,48.83510521,5,A,105898
+,,21.45046159,-42.54796563,5,A,105913
+35 Cap,,21.45412074,-21.19612774,5,K,105928
+70 Cyg,,21.45593451,37.11679196,5,B,105942
+35 Vul,,21.46111944,27.60854356,5,A,105966
+7 Cep,,21.46282148,66.80914613,5,B,105972
+,,21.468933,32.22513677,5,F,106003
+8Bet Cep,,21.47765973,70.56069481,3,B,106032
+36 Cap,,21.47869889,-21.80716659,4,K,106039
+,,21.47910758,-69.5052732,5,M,106044
+,,21.48326586,22.179404,5,M,106062
+71 Cyg,,21.49080919,46.54033179,5,K,106093
+2 Peg,,21.49913323,23.63882922,4,M,106140
+,,21.51647046,60.45944015,5,B,106227
+22Bet Aqr,,21.52597796,-5.57115593,2,G,106278
+Xi Gru,,21.53496142,-41.1793364,5,K,106327
+6 P A,,21.53738196,-33.94461293,5,A,106340
+,,21.54904936,49.97760064,5,A,106393
+,,21.55653693,-44.8486946,5,K,106429
+73Rho Cyg,,21.56635357,45.59206564,3,G,106481
+72 Cyg,,21.57957705,38.53382684,4,K,106551
+37 Cap,,21.58085251,-20.08438179,5,F,106559
+,,21.58822953,-3.98329291,5,G,106592
+,,21.60067837,45.37458683,5,M,106642
+8 P A,,21.60302888,-26.17145712,5,A,106654
+74 Cyg,,21.61582695,40.41349052,5,A,106711
+39Ep Cap,,21.61800632,-19.46601352,4,B,106723
+23Xi Aqr,,21.62917834,-7.85414212,4,A,106786
+5 Peg,,21.62926898,19.31857481,5,F,106787
+9 Cep,,21.63200744,62.08194667,4,B,106801
+4 Peg,,21.64218715,5.77167281,5,A,106856
+,,21.64933895,57.48904968,5,O,106886
+,,21.65030906,20.26545357,5,F,106897
+25 Aqr,,21.6592458,2.24376298,5,K,106944
+40Gam Cap,,21.66815062,-16.66225343,3,A,106985
+75 Cyg,,21.66973916,43.27380044,5,M,106999
+Nu Oct,,21.69124253,-77.38946215,3,K,107089
+42 Cap,,21.69248133,-14.0468604,5,G,107095
+11 Cep,,21.69863224,71.31118695,4,K,107119
+41 Cap,,21.70017747,-23.26262557,5,K,107128
+,,21.70030002,35.51019572,5,C,107129
+80Pi 1Cyg,,21.70157213,51.1896271,4,B,107136
+26 Aqr,,21.7028098,1.28527344,5,K,107144
+7 Peg,,21.70429027,5.68015144,5,M,107151
+77 Cyg,,21.7063724,41.07702304,5,A,107162
+43Kap Cap,,21.71094923,-18.86630105,4,G,107188
+,,21.71781267,72.32018258,5,K,107230
+44 Cap,,21.71788896,-14.39975885,5,A,107232
+,,21.71846745,41.15499969,5,M,107235
+79 Cyg,,21.72378525,38.28360055,5,A,107253
+Mu Cep,,21.72512637,58.78005308,4,M,107259
+45 Cap,,21.73360521,-14.7493955,5,A,107302
+78Mu 1Cyg,,21.73566791,28.74322228,4,F,107310
+8Ep Peg,Enif,21.73642787,9.87500791,2,K,107315
+9 Peg,,21.74185847,17.35004352,4,G,107348
+,,21.74199734,14.77221491,5,G,107350
+10Kap Peg,,21.7440845,25.64500284,4,F,107354
+,,21.74813427,62.46057429,5,O,107374
+9Iot P A,,21.74910772,-33.02555306,4,B,107380
+46 Cap,,21.75006858,-9.08242443,5,G,107382
+10Nu Cep,,21.75748035,61.12081043,4,A,107418
+12 Peg,,21.76787738,22.94888549,5,K,107472
+48Lam Cap,,21.77557783,-11.36593201,5,A,107517
+81Pi 2Cyg,,21.77989052,49.3095748,4,B,107533
+49Del Cap,,21.78396813,-16.12656595,2,A,107556
+11 Peg,,21.78721066,2.68613092,5,A,107575
+12 Cep,,21.79036317,60.69269363,5,M,107586
+10The P A,,21.79560369,-30.89830582,5,A,107608
+,,21.80433581,-47.3028979,5,G,107649
+14 Peg,,21.83074498,30.17427852,5,A,107763
+,,21.83336955,-64.7124436,5,K,107773
+13 Peg,,21.83573443,17.28595705,5,F,107788
+Omi Ind,,21.84645156,-69.62940458,5,M,107835
+Lam Oct,,21.84840237,-82.71882392,5,G,107843
+,,21.85950987,19.82664938,5,B,107887
+,,21.86695069,55.79674452,5,B,107930
+15 Peg,,21.8749878,28.79369216,5,F,107975
+16 Peg,,21.8843785,25.92513878,5,B,108022
+51Mu Cap,,21.88821772,-13.55180134,5,F,108036
+,,21.89371306,19.66838008,5,A,108060
+Gam Gru,,21.8987928,-37.3648229,3,B,108085
+,,21.90287279,-4.27595735,5,K,108102
+13 Cep,,21.91476614,56.6112326,5,B,108165
+,,21.91981642,-61.88638824,5,F,108195
+,,21.92527528,65.32081194,5,B,108226
+,,21.93966341,-37.25363145,5,A,108294
+,,21.9442067,63.62556651,5,M,108317
+17 Peg,,21.94899688,12.07652564,5,A,108339
+Del Ind,,21.96528638,-54.9925666,4,F,108431
+,,21.98152998,62.69795151,5,M,108505
+16 Cep,,21.98752881,73.18028413,5,F,108535
+,,21.98830005,-38.3950933,5,K,108543
+12Eta P A,,22.01394862,-28.45373726,5,B,108661
+28 Aqr,,22.01805861,0.60474348,5,K,108691
+20 Peg,,22.01814306,13.11996136,5,F,108693
+19 Peg,,22.01923315,8.25717124,5,K,108699
+,,22.03071612,52.88224628,5,B,108758
+14 Cep,,22.03460442,58.00037041,5,O,108772
+,,22.04907718,44.64994158,5,A,108845
+,,22.05103949,-76.11826634,5,F,108849
+30 Aqr,,22.05456423,-6.52242698,5,K,108868
+Ep Ind,,22.05484433,-56.77980602,4,K,108870
+31Omi Aqr,,22.05523045,-2.15533588,4,B,108874
+21 Peg,,22.05528392,11.38655605,5,B,108875
+17Xi Cep,,22.06310052,64.62775425,4,A,108917
+18 Cep,,22.06470278,63.11977885,5,M,108924
+,,22.07687745,-26.8223356,5,B,108975
+32 Aqr,,22.07984273,-0.90623994,5,A,108991
+20 Cep,,22.08346658,62.78552941,5,K,109005
+19 Cep,,22.08577535,62.27982101,5,O,109017
+,,22.08647651,26.67361826,5,K,109023
+23 Peg,,22.09295962,28.96400385,5,B,109056
+22Nu Peg,,22.09463666,5.05828453,4,K,109068
+34Alp Aqr,,22.09639591,-0.31982656,2,G,109074
+Kap2Ind,,22.0974865,-59.63594171,5,K,109081
+,,22.10054442,45.01438566,5,K,109102
+Lam Gru,,22.10191767,-39.54304903,4,M,109111
+33Iot Aqr,,22.10727926,-13.86954013,4,B,109139
+24Iot Peg,,22.11679848,25.3450461,3,F,109176
+,,22.12458816,19.47543631,5,F,109209
+25 Peg,,22.13064796,21.70309155,5,B,109240
+Alp Gru,Alnair,22.13718789,-46.96061593,1,B,109268
+14Mu P A,,22.13970922,-32.98839827,4,A,109285
+Up PsA,,22.14053557,-34.04372111,4,K,109289
+35 Aqr,,22.14971962,-18.51957349,5,B,109332
+27Pi 1Peg,,22.15379878,33.1724976,5,G,109352
+24 Cep,,22.16343527,72.34119936,4,G,109400
+,,22.16547537,-34.01503553,5,A,109404
+29Pi 2Peg,,22.16645906,33.17826747,4,F,109410
+15Tau P A,,22.1690232,-32.54844042,4,F,109422
+26The Peg,,22.16994993,6.197789,3,A,109427
+,,22.17602889,-4.26686395,5,K,109466
+,,22.17707231,11.6246717,5,M,109471
+38 Aqr,,22.17707348,-11.56495901,5,B,109472
+,,22.17747284,70.1325139,5,F,109474
+21Zet Cep,,22.18090608,58.20124992,3,K,109492
+,,22.18604888,50.82328938,5,A,109521
+22Lam Cep,,22.19182897,59.41451451,5,O,109556
+,,22.19680975,56.83904211,5,F,109572
+,,22.19759245,16.04059653,5,K,109577
+,,22.20055952,60.75907189,5,K,109592
+,,22.20224653,24.950637,5,K,109602
+,,22.20623483,63.2910719,5,M,109620
+,,22.21328085,34.60471273,5,K,109654
+,,22.21949292,86.10785672,5,B,109693
+,,22.22740282,28.60802681,5,K,109730
+,,22.22899649,-25.18092537,5,F,109737
+,,22.23032751,45.44060328,5,A,109745
+,,22.23130596,39.71488928,4,K,109754
+41 Aqr,,22.23833825,-21.07470081,5,K,109786
+16Lam P A,,22.23853786,-27.76691218,5,B,109789
+,,22.2456474,42.95396372,5,A,109831
+23Ep Cep,,22.25046638,57.04346522,4,F,109857
+Mu 1Gru,,22.26024577,-41.34675029,4,G,109908
+1 Lac,,22.26615838,37.74873483,4,K,109937
+,,22.27403128,57.22022542,5,G,109972
+Mu 2Gru,,22.27404682,-41.62720198,5,G,109973
+42 Aqr,,22.28001209,-12.83144751,5,K,110000
+43The Aqr,,22.28054621,-7.78323706,4,G,110003
+,,22.28127782,-9.04003734,5,K,110009
+44 Aqr,,22.28513949,-5.38721152,5,G,110023
+P i Oct,,22.29741549,-77.51158803,5,F,110078
+25 Cep,,22.30349856,62.80436392,5,K,110103
+,,22.30421737,-53.62553594,5,G,110109
+Alp Tuc,,22.30838283,-60.25949486,2,K,110130
+45 Aqr,,22.31686013,-13.30497087,5,K,110179
+Ep Oct,,22.3337445,-80.43964301,5,M,110256
+46Rho Aqr,,22.33664099,-7.82110592,5,B,110273
+30 Peg,,22.34099026,5.78949288,5,B,110298
+2 Lac,,22.35042452,46.53656484,4,B,110351
+32 Peg,,22.35536877,28.33051592,4,B,110371
+31 Peg,,22.35863091,12.20517262,4,B,110386
+47 Aqr,,22.35988207,-21.59802435,5,K,110391
+48Gam Aqr,,22.36091665,-1.38735315,3,A,110395
+Pi 2Gru,,22.38549754,-45.92834717,5,F,110506
+49 Aqr,,22.39188495,-24.76265507,5,K,110529
+,,22.39226526,-7.19444293,5,G,110532
+3Bet Lac,,22.39267678,52.22949951,4,G,110538
+51 Aqr,,22.40190795,-4.83700102,5,A,110578
+50 Aqr,,22.40750832,-13.52940359,5,K,110602
+4 Lac,,22.40860992,49.47640074,4,B,110609
+Nu Ind,,22.40955299,-72.25377388,5,A,110618
+,,22.41560907,-57.79661017,5,F,110649
+,,22.41955326,-70.4314706,5,F,110668
+52Pi Aqr,,22.42128123,1.37739245,4,B,110672
+,,22.43355081,70.77088542,5,K,110725
+53 Aqr,,22.44281876,-16.74214759,5,G,110778
+34 Peg,,22.44367165,4.39363758,5,F,110785
+28Rho1Cep,,22.44512396,78.78594317,5,A,110787
+26 Cep,,22.45147536,65.13227452,5,B,110817
+Del Tuc,,22.4555203,-64.96637927,4,B,110838
+35 Peg,,22.46429917,4.6964107,4,K,110882
+,,22.47706698,-67.48888731,5,A,110935
+Nu Gru,,22.47755052,-39.13140099,5,G,110936
+55Zet1Aqr,,22.48050015,-0.02006304,3,F,110960
+36 Peg,,22.48554236,9.12908395,5,K,110986
+,,22.48616958,26.76320924,5,K,110992
+27Del Cep,,22.48617998,58.4151899,4,G,110991
+Del1Gru,,22.48782057,-43.49555433,3,G,110997
+5 Lac,,22.49217298,47.70689488,4,M,111022
+Del2Gru,,22.49595707,-43.74922804,4,M,111043
+,,22.49609469,-27.10723481,5,F,111045
+29Rho2Cep,,22.49804671,78.82433733,5,A,111056
+37 Peg,,22.49943013,4.43205725,5,F,111062
+38 Peg,,22.50049797,32.57267245,5,B,111068
+6 Lac,,22.50812822,43.12338985,4,B,111104
+57Sig Aqr,,22.51078194,-10.67788619,4,A,111123
+7Alp Lac,,22.52149326,50.28244976,3,A,111169
+17Bet P A,,22.52508043,-32.34602798,4,A,111188
+Up Oct,,22.52717441,-85.96740206,5,K,111196
+,,22.53785415,76.22646833,5,A,111242
+,,22.54065958,39.77975511,5,A,111259
+Nu Tuc,,22.5500035,-61.982073,4,M,111310
+,,22.56126853,56.62463722,5,G,111362
+60 Aqr,,22.56746913,-1.57417924,5,G,111394
+59Up Aqr,,22.57819409,-20.70785949,5,F,111449
+62Eta Aqr,,22.58925803,-0.11736123,4,B,111497
+,,22.59343311,-23.99107868,5,K,111515
+31 Cep,,22.59604907,73.64312707,5,F,111532
+,,22.59785679,39.63434136,5,B,111546
+,,22.60985261,-31.66369314,5,K,111600
+Sig2Gru,,22.61633886,-40.59086511,5,A,111643
+,,22.62023971,75.3717918,5,M,111660
+9 Lac,,22.62290716,51.54537399,4,A,111674
+63Kap Aqr,,22.62928361,-4.22776291,5,K,111710
+,,22.64385201,56.79571012,5,M,111795
+30 Cep,,22.64418183,63.5845212,5,A,111797
+,,22.64762875,-33.08138295,5,A,111809
+40 Peg,,22.64794946,19.52249181,5,G,111810
+10 Lac,,22.65435525,39.05028301,4,O,111841
+,,22.67177801,53.84597214,5,B,111925
+,,22.67288323,-30.65836159,5,K,111934
+11 Lac,,22.67521732,44.27628068,4,K,111944
+18Ep PsA,,22.67759043,-27.0436148,4,B,111954
+,,22.680238,-57.422306,5,K,111967
+,,22.68125508,14.54886051,5,G,111974
+42Zet Peg,,22.69102078,10.83139111,3,B,112029
+12 Lac,,22.69129208,40.22546314,5,B,112031
+,,22.69331721,41.54897766,5,G,112041
+43Omi Peg,,22.69594714,29.3076892,4,A,112051
+,,22.6992774,14.51644444,5,K,112067
+,,22.71024367,-47.21000778,5,G,112117
+Bet Gru,,22.71109302,-46.88456594,2,M,112122
+44Eta Peg,,22.71670238,30.22130866,2,G,112158
+Rho Gru,,22.7249913,-41.41411843,4,K,112203
+66 Aqr,,22.72645904,-18.83030716,4,K,112211
+,,22.73478116,39.46541736,5,K,112241
+13 Lac,,22.73485708,41.81922714,5,K,112242
+Eta Gru,,22.76051446,-53.50016316,4,K,112374
+,,22.76133542,-46.54729992,5,K,112381
+Bet Oct,,22.76770092,-81.38161731,4,A,112405
+,,22.76947368,44.54597654,5,F,112417
+47Lam Peg,,22.77551177,23.56567939,3,G,112440
+46Xi Peg,,22.77817819,12.17408381,4,F,112447
+,,22.79137428,83.15371558,4,K,112519
+68 Aqr,,22.79255208,-19.61287445,5,G,112529
+69Tau1Aqr,,22.7952086,-14.05640541,5,B,112542
+,,22.80307415,37.41684226,5,G,112590
+Ep Gru,,22.80922142,-51.31670354,3,A,112623
+71Tau2Aqr,,22.8265305,-13.59253756,4,K,112716
+32Iot Cep,,22.82803115,66.20071089,3,K,112724
+,,22.82950794,55.90268437,5,K,112731
+48Mu Peg,,22.8333612,24.60168486,3,M,112748
+14 Lac,,22.83938011,41.95340325,5,B,112778
+Xi Oct,,22.83965167,-80.12381446,5,B,112781
+,,22.85059602,-39.15681779,5,K,112832
+,,22.85081593,85.373461,5,K,112833
+21 P A,,22.85581788,-29.53627381,5,G,112862
+,,22.8562523,61.69663851,5,G,112864
+15 Lac,,22.86720757,43.31236494,4,M,112917
+49Sig Peg,,22.87326847,9.83555733,5,F,112935
+22Gam P A,,22.87543275,-32.87545019,4,A,112948
+73Lam Aqr,,22.87690679,-7.57967878,3,M,112961
+,,22.8839663,16.84126106,5,K,112997
+74 Aqr,,22.89130309,-11.61651887,5,B,113031
+,,22.89448854,44.74920148,5,A,113048
+,,22.90191966,40.37683633,5,K,113084
+,,22.90677342,84.34611856,4,K,113116
+76Del Aqr,,22.91084423,-15.82075994,3,A,113136
+77 Aqr,,22.912668,-16.27174207,5,K,113148
+,,22.91738442,37.07680479,5,F,113174
+,,22.91970674,-4.98787812,5,K,113184
+50Rho Peg,,22.9204512,8.81609536,4,A,113186
+,,22.92902588,36.35139364,5,B,113222
+23Del P A,,22.93247,-32.53970196,4,G,113246
+16 Lac,,22.93989749,41.60388627,5,B,113281
+,,22.94055518,49.73355094,4,K,113288
+Tau3Gru,,22.94661726,-47.96922586,5,A,113307
+,,22.95124828,48.68408117,5,B,113327
+51 Peg,,22.95773629,20.7686841,5,G,113357
+24Alp P A,Fomalhaut,22.96078488,-29.62183701,1,A,113368
+52 Peg,,22.98661045,11.72894102,5,A,113503
+2 P c,,22.99094515,0.96309154,5,K,113521
+,,22.99326742,-29.46232352,5,F,113532
+,,23.00141774,56.94538131,5,G,113561
+,,23.00160169,-25.16398677,5,K,113562
+,,23.01191597,3.01200821,5,K,113622
+Zet Gru,,23.01468731,-52.75410562,4,G,113638
+,,23.01874905,-50.95002911,5,K,113657
+,,23.02204097,-28.85390821,5,K,113669
+,,23.02547276,-4.71147966,5,K,113686
+1Omi And,,23.03201291,42.32597866,3,B,113726
+2 And,,23.04342692,42.7578062,5,A,113788
+,,23.04563533,-20.87039619,5,K,113801
+Pi P A,,23.05826751,-34.74961718,5,A,113860
+,,23.05912452,67.20918487,5,K,113864
+53Bet Peg,Scheat,23.06287038,28.08245462,2,M,113881
+4Bet P c,,23.06461292,3.82006998,4,B,113889
+,,23.06656379,-41.47903194,5,K,113902
+3 And,,23.06967548,50.05168397,4,K,113919
+Kap Gru,,23.07765857,-53.96464712,5,K,113957
+54Alp Peg,Markab,23.07933801,15.20536786,2,B,113963
+,,23.08115234,-68.82037973,5,F,113969
+83 Aqr,,23.08603191,-7.69381853,5,F,113996
+1 Ca ,,23.11022495,59.41976474,4,B,114104
+86 Aqr,,23.11133535,-23.7431168,4,G,114119
+The Gru,,23.1146579,-43.52032436,4,F,114131
+Up Gru,,23.11488884,-38.89230672,5,A,114132
+55 Peg,,23.11673773,9.40952259,4,M,114144
+56 Peg,,23.11853866,25.46833959,4,K,114155
+,,23.12077961,-50.68662467,5,F,114167
+,,23.12462431,21.13437231,5,A,114189
+4 And,,23.12757711,46.38730373,5,K,114200
+5 And,,23.12923555,49.29545491,5,F,114210
+33Pi Cep,,23.13162169,75.3875815,4,G,114222
+,,23.13919343,-28.82356853,5,G,114254
+5 P c,,23.14467811,2.12761798,5,G,114273
+88 Aqr,,23.15743391,-21.17248555,3,K,114341
+57 Peg,,23.15873745,8.67717165,5,M,114347
+2 Ca ,,23.16226069,59.33268922,5,A,114365
+,,23.16239388,-28.08857609,5,K,114366
+89 Aqr,,23.16524358,-22.45759248,4,A,114375
+,,23.16601132,-42.86116912,5,F,114382
+58 Peg,,23.1670753,9.82210111,5,B,114389
+,,23.16936637,-40.59143612,5,M,114407
+Iot Gru,,23.17261887,-45.24664747,3,K,114421
+6 And,,23.17426765,43.54473662,5,F,114430
+,,23.17850606,17.59443802,5,K,114449
+59 Peg,,23.19560967,8.72012785,5,A,114520
+7 And,,23.20914525,49.40597489,4,F,114570
+,,23.22076208,57.16763844,5,K,114622
+,,23.22403012,11.06501583,5,G,114641
+90Phi Aqr,,23.23870347,-6.0485268,4,M,114724
+,,23.24361572,74.23125488,5,A,114745
+,,23.24959301,-41.10512524,5,K,114775
+,,23.25951803,-3.49637244,5,A,114822
+,,23.26047436,70.88808538,5,F,114831
+91P i1Aqr,,23.26479915,-9.08769554,4,K,114855
+,,23.27771893,-44.48914171,5,K,114921
+,,23.27838732,53.21404995,5,F,114924
+92Chi Aqr,,23.28081957,-7.72646619,4,M,114939
+,,23.28263009,-62.00113447,5,F,114948
+6Gam P c,,23.28597045,3.28224524,3,G,114971
+Gam Tuc,,23.29050334,-58.23592762,3,F,114996
+8 And,,23.29572675,49.01528336,4,M,115022
+93P i2Aqr,,23.29838989,-9.1824899,4,B,115033
+Phi Gru,,23.30271836,-40.82406346,5,F,115054
+9 And,,23.30648102,41.77370255,5,A,115065
+34Omi Cep,,23.3103908,68.11141807,4,K,115088
+Gam Scl,,23.31372966,-32.53183574,4,K,115102
+95P i3Aqr,,23.31601414,-9.610731,4,A,115115
+94 Aqr,,23.31847474,-13.45844256,5,G,115126
+96 Aqr,,23.3232943,-5.12430243,5,F,115142
+,,23.32336264,-18.07539972,5,K,115144
+11 And,,23.32494109,48.62519601,5,K,115152
+10 And,,23.33121699,42.07803394,5,M,115191
+7 P c,,23.33903807,5.38145156,5,K,115227
+62Tau Peg,,23.34395088,23.7403592,4,A,115250
+63 Peg,,23.34708456,30.4150884,5,M,115271
+12 And,,23.34810241,38.18247497,5,F,115280
+,,23.3543086,-26.98674162,5,G,115312
+64 Peg,,23.36525723,31.81248117,5,B,115355
+,,23.37570131,60.13348919,5,K,115395
+97 Aqr,,23.37752798,-15.03938012,5,A,115404
+98 Aqr,,23.38286152,-20.10034505,3,K,115438
+66 Peg,,23.38459921,12.3139519,5,K,115444
+,,23.40367742,-51.89108428,5,M,115537
+4 Ca ,,23.41395751,62.28283877,4,M,115590
+67 Peg,,23.41411691,32.38487495,5,B,115591
+,,23.42204854,-56.84893507,5,K,115620
+68Up Peg,,23.4229615,23.40401243,4,F,115623
+99 Aqr,,23.43411593,-20.64186122,4,K,115669
+Omi Gru,,23.44348452,-52.721919,5,F,115713
+8Kap P c,,23.44886258,1.25583758,4,A,115738
+,,23.44997751,87.30745696,5,A,115746
+13 And,,23.45203633,42.91196859,5,B,115755
+,,23.45414832,-58.47627854,5,G,115769
+,,23.4545606,70.35979323,5,A,115770
+69 Peg,,23.4612136,25.1673687,5,A,115806
+10The P c,,23.46615772,6.37909727,4,K,115830
+Tau Oct,,23.46765741,-87.48224182,5,K,115836
+,,23.4835917,-63.11062274,5,A,115908
+70 Peg,,23.48590563,12.76049243,4,G,115919
+,,23.50053318,58.54890978,4,B,115990
+14 And,,23.52144376,39.2364018,5,K,116076
+Bet Scl,,23.5494967,-37.81835895,4,B,116231
+101 Aqr,,23.55461808,-20.91452506,4,A,116247
+,,23.55542932,-77.38533173,5,G,116250
+71 Peg,,23.55780214,22.49881721,5,M,116264
+72 Peg,,23.56587592,31.32532196,4,K,116310
+14 P c,,23.56915404,-1.24753498,5,A,116323
+15 And,,23.57709743,40.23655244,5,A,116354
+73 Peg,,23.57727961,33.4972759,5,K,116355
+,,23.58036961,-15.24579181,5,K,116368
+,,23.58306402,71.64204906,5,K,116380
+Iot Phe,,23.58459182,-42.61510105,4,A,116389
+16 P c,,23.60648525,2.10207138,5,F,116495
+,,23.62556421,44.42903532,5,B,116582
+16Lam And,,23.62602991,46.45917621,3,G,116584
+,,23.62764972,-13.06030596,5,K,116591
+,,23.63081536,-45.49232134,4,A,116602
+75 Peg,,23.63243689,18.40062425,5,A,116611
+17Iot And,,23.63560531,43.2680761,4,B,116631
+,,23.63991366,-76.86950742,5,K,116653
+18 And,,23.65231871,50.47173744,5,B,116709
+,,23.65282216,75.29284842,5,A,116714
+35Gam Cep,,23.65582834,77.63196681,3,K,116727
+,,23.65587978,74.00261499,5,G,116728
+102Ome1Aqr,,23.66306578,-14.22204281,4,A,116758
+,,23.66527433,9.67732079,5,A,116768
+17Iot P c,,23.66578342,5.62735374,4,F,116771
+19Kap And,,23.67345605,44.33397776,4,B,116805
+Mu Scl,,23.67728113,-32.07299489,5,K,116820
+,,23.68579752,-11.68066248,5,K,116853
+103 Aqr,,23.6929205,-18.02690134,5,K,116889
+104 Aqr,,23.69605484,-17.81653327,4,G,116901
+,,23.69908502,7.25064591,5,A,116918
+18Lam P c,,23.70080049,1.7804172,4,A,116928
+,,23.70772591,-15.44797581,5,K,116957
+105Ome2Aqr,,23.71202357,-14.54474243,4,B,116971
+77 Peg,,23.7228768,10.33150851,5,M,117020
+78 Peg,,23.73317723,29.36155278,4,K,117073
+,,23.73667391,-64.40453515,5,K,117088
+106 Aqr,,23.73668394,-18.27692862,5,B,117089
+,,23.74463391,-78.79144467,5,K,117125
+107 Aqr,,23.76690061,-18.67836913,5,F,117218
+20P i And,,23.76723303,46.42029095,4,G,117221
+19 P c,,23.77320469,3.48687164,4,C,117245
+,,23.77686811,66.78225128,5,B,117265
+,,23.78386515,57.45137702,5,K,117299
+5Tau Ca ,,23.78427407,58.65185164,4,K,117301
+,,23.78776147,-11.91089898,5,K,117314
+Sig Phe,,23.78777432,-50.22640416,5,B,117315
+,,23.79854102,67.80681263,5,A,117371
+20 P c,,23.79902407,-2.76161103,5,G,117375
+6 Ca ,,23.81393746,62.21451996,5,A,117447
+Del Scl,,23.81541108,-28.1300148,4,A,117452
+21 P c,,23.8242988,1.07619547,5,A,117491
+79 Peg,,23.82759792,28.84232813,5,A,117500
+,,23.82804446,36.42539712,5,G,117503
+,,23.83740228,-9.9743269,5,K,117541
+,,23.84257308,-14.40143843,5,K,117567
+80 Peg,,23.85590402,9.31350996,5,M,117628
+108 Aqr,,23.85592272,-18.90915459,5,A,117629
+22 P c,,23.86606395,2.93041943,5,K,117683
+Gam1Oct,,23.86852606,-82.01876765,5,G,117689
+81Phi Peg,,23.87480337,19.12037002,5,M,117718
+,,23.8750134,-14.251207,5,K,117722
+82 Peg,,23.87697716,10.94732837,5,A,117730
+,,23.8806923,-8.99669856,5,K,117756
+24 P c,,23.88208892,-3.15537813,5,G,117761
+7Rho Ca ,,23.90639925,57.49939052,4,F,117863
+,,23.91295756,0.10934429,5,M,117887
+,,23.9523594,55.70573518,5,G,118077
+,,23.95549448,-62.95661191,5,A,118092
+Gam2Oct,,23.9591636,-82.16974335,5,K,118114
+Eta Tuc,,23.95971437,-64.29808259,5,A,118121
+84P i Peg,,23.96265266,25.14147936,4,M,118131
+27 P c,,23.97789182,-3.55580738,4,G,118209
+Pi Phe,,23.98214541,-52.74595629,5,K,118234
+8Sig Ca ,,23.98348048,55.75494069,4,B,118243
+28Ome P c,,23.98850066,6.86359373,4,F,118268
+,,23.9910838,-29.48515314,5,K,118277
+,,23.99148162,33.72413297,5,F,118281
+Ep Tuc,,23.99858613,-65.57707774,4,B,118322
+,,1.6627536667127,-56.1949725147739,5,K,
+,,2.65933151749622,-11.8678770998089,5,F,
+,,5.12373688605433,18.6467555582586,5,G,
+,,5.27785134115813,46.006708593181,0,G,
+66Alp Gem,,7.57697782948592,31.8918827889317,2,A,
+,,8.744920107427,-54.7070032085306,5,,
+,,9.5119377078919,-40.4665764206189,4,F,
+,,9.73664253556046,-27.7693931920329,5,F,
+53Xi UMa,,11.3035119198113,31.5368521599899,4,G,55203
+53Xi UMa,,11.3035119198113,31.5368521599899,4,G,
+29Gam Vir,,12.6946896478077,-1.44933013444673,3,F,
+42Alp Com,,13.1667836929554,17.526962699562,5,F,
+79Zet UMa,,13.398898541116,54.9208921914242,3,A,
+,,15.0636048878972,47.6533332577253,5,d,
+2Eta CrB,,15.3865051497143,30.2887873723128,5,G,
+Xi Sco,,16.0728309493662,-11.3741501261325,4,F,78727
+Xi Sco,,16.0728309493662,-11.3741501261325,5,F,
+,,16.6885903902606,31.5957722949146,5,K,
+21Mu Dra,,17.0887840325494,54.4679889670376,5,F,
+,,17.172748885964,-15.728212356111,3,A,
+36 Oph,,17.2561897481974,-26.5875605536023,5,K,
+69Tau Oph,,18.051182117854,-8.18124153788091,5,d,
+Gam CrA,,19.1067621235043,-37.0610654595946,5,F,
+,,21.241368709269,10.0102469021677,5,F,
+,,23.1652874122051,-22.4572994416514,5,A,`;
 
 /**
  * 별자리선 좌표 데이터
@@ -5960,111 +5972,3472 @@ export const CONSTELLATION_LINES = [
 /**
  * 별자리 이름 및 표시 위치 데이터
  *
- * 88개 별자리의 한글 이름과 라벨 표시 위치입니다.
+ * 88개 별자리의 IAU 약자와 라벨 표시 위치입니다.
  * 3개의 값이 하나의 별자리를 나타냅니다.
  *
- * 데이터 형식: [RA, Dec, 이름, RA, Dec, 이름, ...]
+ * 데이터 형식: [RA, Dec, 약자, RA, Dec, 약자, ...]
  * - RA: 라벨 표시 위치의 적경 (라디안)
  * - Dec: 라벨 표시 위치의 적위 (라디안)
- * - 이름: 별자리의 한글 이름
+ * - 약자: IAU 별자리 약자 (화면에 표시할 이름은 i18n.js의 Labels로 언어별로 바꿈)
  *
  * @constant {Array<number|string>}
  * @example
  * // 별자리 이름 표시
+ * const labels = Labels.of('en');
  * for (let i = 0; i < CONSTELLATION_NAMES.length; i += 3) {
  *     const ra = CONSTELLATION_NAMES[i];
  *     const dec = CONSTELLATION_NAMES[i + 1];
- *     const name = CONSTELLATION_NAMES[i + 2];
+ *     const name = labels.constellation(CONSTELLATION_NAMES[i + 2]);
  *     drawText(name, ra, dec);
  * }
  */
 export const CONSTELLATION_NAMES = [
-0.185877565,0.68853239,"안드로메다",
-2.649409805,-0.585732497,"공기펌프",
-4.073598474,-1.348964979,"극락조",
-5.141739976,0.061610123,"독수리",
-5.937610115,-0.211533905,"물병",
-4.565781323,-0.93375115,"제단",
-0.709476341,0.389906555,"양",
-1.541998394,0.740543202,"마차부",
-3.830125044,0.521155315,"목동",
-1.259255055,-0.681202007,"조각도",
-1.348266847,1.084547597,"기린",
-5.518731095,-0.32515484,"염소",
-2.471386221,-1.068316035,"용골",
-0.282743339,1.068490568,"카시오페이아",
-3.534291735,-0.80128066,"켄타우르스",
-5.749114556,1.140398133,"케페우스",
-0.510508806,-0.106988683,"고래",
-2.633701841,-1.371305193,"카멜레온",
-3.961024737,-1.065174442,"컴퍼스",
-1.801179788,-0.407883446,"큰개",
-1.987057353,0.140324472,"작은개",
-2.277654674,0.346098791,"게",
-1.502728486,-0.62587507,"비둘기",
-3.309144262,0.437379511,"머리털",
-4.96895238,-0.704763952,"남쪽왕관",
-4.136430327,0.525169572,"북쪽왕관",
-2.99760299,-0.283092405,"컵",
-3.241076421,-1.066919772,"남십자",
-3.235840433,-0.35203291,"까마귀",
-3.358886145,0.72850043,"사냥개",
-5.403539364,0.707731012,"백조",
-5.406157358,0.243647964,"돌고래",
-1.348266847,-1.069712299,"황새치",
-4.497713482,1.134987613,"용",
-5.552765015,0.127409035,"조랑말",
-0.971275729,-0.374024059,"에리다누스",
-0.714712329,-0.515221195,"화학로",
-1.882337598,0.420275284,"쌍둥이",
-5.903576195,-0.78103484,"두루미",
-4.529129409,0.509985207,"헤르쿨레스",
-0.808960108,-0.923453707,"시계",
-2.479240202,-0.280823477,"바다뱀",
-0.573340659,-1.25175014,"물뱀",
-5.568472978,-0.967436004,"인도인",
-5.893104219,0.799360797,"도마뱀",
-2.782927492,0.240157305,"사자",
-1.468694566,-0.320791517,"토끼",
-4.034328566,-0.288502925,"천칭",
-2.712241658,0.585034365,"작은사자",
-3.961024737,-0.749793447,"이리",
-2.133665011,0.83828164,"삵괭이",
-4.942772442,0.649960613,"거문고",
-1.418952682,-1.297303233,"테이블산",
-5.505641125,-0.635299848,"현미경",
-1.845685684,-0.032637657,"외뿔소",
-3.30129028,-1.205498914,"파리",
-4.249004064,-0.861319986,"수준기",
-5.610360881,-1.446703417,"팔분의",
-4.510803452,-0.141197136,"뱀주인",
-1.434660645,0.073478362,"오리온",
-5.123414019,-1.146506786,"공작",
-5.945464097,0.345924258,"페가수스",
-0.887499925,0.783478301,"페르세우스",
-0.22252948,-0.819257551,"봉황새",
-1.570796327,-0.943350461,"이이즐",
-5.887868232,-0.547858852,"남쪽물고기",
-0.159697627,0.149051118,"물고기",
-2.036799237,-0.571420797,"고물",
-2.330014551,-0.533023554,"나침판",
-1.049815545,-1.088212789,"그물",
-0.109955743,-0.54890605,"조각가",
-4.356341813,-0.518711854,"전갈",
-4.890412564,-0.1425934,"방패",
-4.311835917,0.085521133,"뱀",
-2.686061719,-0.069464104,"육분의",
-5.194099854,0.327772834,"화살",
-5.026548246,-0.477173017,"궁수",
-1.144063325,0.310668607,"황소",
-4.997750313,-0.875806219,"망원경",
-4.204498168,-1.167101671,"남쪽삼각형",
-0.59428461,0.573340659,"삼각형",
-0.005235988,-1.119105116,"큰무리새",
-2.843141351,0.908618409,"큰곰",
-3.793473129,1.370781595,"작은곰",
-2.408554368,-0.87650435,"돛",
-3.487167845,-0.032986723,"처녀",
-2.042035225,-1.20462625,"날치",
-5.304055597,0.434586984,"여우",
-];
\ No newline at end of file
+0.185877565,0.68853239,"And",
+2.649409805,-0.585732497,"Ant",
+4.073598474,-1.348964979,"Aps",
+5.141739976,0.061610123,"Aql",
+5.937610115,-0.211533905,"Aqr",
+4.565781323,-0.93375115,"Ara",
+0.709476341,0.389906555,"Ari",
+1.541998394,0.740543202,"Aur",
+3.830125044,0.521155315,"Boo",
+1.259255055,-0.681202007,"Cae",
+1.348266847,1.084547597,"Cam",
+5.518731095,-0.32515484,"Cap",
+2.471386221,-1.068316035,"Car",
+0.282743339,1.068490568,"Cas",
+3.534291735,-0.80128066,"Cen",
+5.749114556,1.140398133,"Cep",
+0.510508806,-0.106988683,"Cet",
+2.633701841,-1.371305193,"Cha",
+3.961024737,-1.065174442,"Cir",
+1.801179788,-0.407883446,"CMa",
+1.987057353,0.140324472,"CMi",
+2.277654674,0.346098791,"Cnc",
+1.502728486,-0.62587507,"Col",
+3.309144262,0.437379511,"Com",
+4.96895238,-0.704763952,"CrA",
+4.136430327,0.525169572,"CrB",
+2.99760299,-0.283092405,"Crt",
+3.241076421,-1.066919772,"Cru",
+3.235840433,-0.35203291,"Crv",
+3.358886145,0.72850043,"CVn",
+5.403539364,0.707731012,"Cyg",
+5.406157358,0.243647964,"Del",
+1.348266847,-1.069712299,"Dor",
+4.497713482,1.134987613,"Dra",
+5.552765015,0.127409035,"Equ",
+0.971275729,-0.374024059,"Eri",
+0.714712329,-0.515221195,"For",
+1.882337598,0.420275284,"Gem",
+5.903576195,-0.78103484,"Gru",
+4.529129409,0.509985207,"Her",
+0.808960108,-0.923453707,"Hor",
+2.479240202,-0.280823477,"Hya",
+0.573340659,-1.25175014,"Hyi",
+5.568472978,-0.967436004,"Ind",
+5.893104219,0.799360797,"Lac",
+2.782927492,0.240157305,"Leo",
+1.468694566,-0.320791517,"Lep",
+4.034328566,-0.288502925,"Lib",
+2.712241658,0.585034365,"LMi",
+3.961024737,-0.749793447,"Lup",
+2.133665011,0.83828164,"Lyn",
+4.942772442,0.649960613,"Lyr",
+1.418952682,-1.297303233,"Men",
+5.505641125,-0.635299848,"Mic",
+1.845685684,-0.032637657,"Mon",
+3.30129028,-1.205498914,"Mus",
+4.249004064,-0.861319986,"Nor",
+5.610360881,-1.446703417,"Oct",
+4.510803452,-0.141197136,"Oph",
+1.434660645,0.073478362,"Ori",
+5.123414019,-1.146506786,"Pav",
+5.945464097,0.345924258,"Peg",
+0.887499925,0.783478301,"Per",
+0.22252948,-0.819257551,"Phe",
+1.570796327,-0.943350461,"Pic",
+5.887868232,-0.547858852,"PsA",
+0.159697627,0.149051118,"Psc",
+2.036799237,-0.571420797,"Pup",
+2.330014551,-0.533023554,"Pyx",
+1.049815545,-1.088212789,"Ret",
+0.109955743,-0.54890605,"Scl",
+4.356341813,-0.518711854,"Sco",
+4.890412564,-0.1425934,"Sct",
+4.311835917,0.085521133,"Ser",
+2.686061719,-0.069464104,"Sex",
+5.194099854,0.327772834,"Sge",
+5.026548246,-0.477173017,"Sgr",
+1.144063325,0.310668607,"Tau",
+4.997750313,-0.875806219,"Tel",
+4.204498168,-1.167101671,"TrA",
+0.59428461,0.573340659,"Tri",
+0.005235988,-1.119105116,"Tuc",
+2.843141351,0.908618409,"UMa",
+3.793473129,1.370781595,"UMi",
+2.408554368,-0.87650435,"Vel",
+3.487167845,-0.032986723,"Vir",
+2.042035225,-1.20462625,"Vol",
+5.304055597,0.434586984,"Vul",
+];
+
+/**
+ * 밝은 별의 고유 이름 (CSV 형식)
+ *
+ * STARS_DATA의 고유 이름(영어)에 대응하는 한글 표기입니다.
+ *
+ * CSV 컬럼 형식:
+ * 1. 고유 이름 (STARS_DATA의 2번째 컬럼과 같음, 예: "Sirius")
+ * 2. 한글 이름 (예: "시리우스")
+ *
+ * 언어별 이름은 i18n.js의 Labels.star()를 사용하세요.
+ *
+ * @constant {string}
+ */
+export const STAR_NAMES = `Alpheratz,알페라츠
+Caph,카프
+Algenib,알게니브
+Ankaa,안카
+Shedir,쉐다르
+Diphda,디프다
+Mirach,미라크
+Achernar,아케르나르
+Hamal,하말
+Polaris,폴라리스
+Menkar,멘카르
+Algol,알골
+Mirphak,미르팍
+Alcyone,알키오네
+Aldebaran,알데바란
+Rigel,리겔
+Capella,카펠라
+Bellatrix,벨라트릭스
+Alnath,엘나스
+Nihal,니할
+Arneb,아르네브
+Alnilam,알닐람
+Alnitak,알니탁
+Saiph,사이프
+Betelgeuse,베텔게우스
+Canopus,카노푸스
+Alhena,알레나
+Sirius,시리우스
+Adhara,아다라
+Castor,카스토르
+Procyon,프로키온
+Pollux,폴룩스
+Alphard,알파드
+Regulus,레굴루스
+Algieba,알기에바
+Merak,메라크
+Dubhe,두베
+Denebola,데네볼라
+Phad,페크다
+Acrux,아크룩스
+Alioth,알리오스
+Vindemiatrix,빈데미아트릭스
+Mizar,미자르
+Spica,스피카
+Alkaid,알카이드
+Hadar,하다르
+Arcturus,아크투루스
+Rigel Kentaurus B,리길 켄타우루스 B
+Rigel Kentaurus A,리길 켄타우루스 A
+Izar,이자르
+Kochab,코카브
+Alphekka,알페카
+Unukalhai,우누칼하이
+Antares,안타레스
+Rasalgethi,라스알게티
+Shaula,샤울라
+Rasalhague,라스알하게
+Etamin,엘타닌
+Kaus Australis,카우스 아우스트랄리스
+Vega,베가
+Nunki,눈키
+Tarazed,타라제드
+Altair,알타이르
+Deneb,데네브
+Alderamin,알데라민
+Enif,에니프
+Alnair,알나이르
+Fomalhaut,포말하우트
+Scheat,셰아트
+Markab,마르카브`;
+
+/**
+ * 딥스카이 천체 데이터 (CSV 형식)
+ *
+ * 메시에 목록 110개(M1~M110)와 칼드웰 목록 109개(C1~C109)의 성단, 성운, 은하입니다.
+ *
+ * CSV 컬럼 형식:
+ * 1. 목록 번호 (예: "M31", "C14")
+ * 2. NGC/IC 등 다른 목록의 명칭 (예: "NGC 224") - 없으면 빈 값
+ * 3. 종류 (open: 산개성단, globular: 구상성단, galaxy: 은하, nebula: 발광/반사/암흑 성운과 초신성 잔해, planetary: 행성상 성운)
+ * 4. 적경 RA (시간 단위, J2000.0)
+ * 5. 적위 Dec (도 단위, J2000.0)
+ * 6. 겉보기 등급 - 없으면 빈 값
+ * 7. 긴 지름 (각분)
+ * 8. 짧은 지름 (각분)
+ * 9. 한글 이름 - 없으면 빈 값
+ * 10. 영문 이름 - 없으면 빈 값
+ *
+ * 좌표, 등급, 크기 출처: d3-celestial (Copyright (c) 2015, Olaf Frohn, BSD-3-Clause)의
+ * messier.json, dsos.14.json. 해당 파일에 없거나 값이 잘못된 C9, C36, C38, C41, C49, C99는 따로 입력했습니다.
+ *
+ * 파싱된 목록과 검색 API는 catalog.js의 DeepSkyCatalog를 사용하세요.
+ *
+ * @constant {string}
+ */
+export const DEEP_SKY_DATA = `M1,NGC 1952,nebula,5.5750,22.0167,8.4,6,4,게 성운,Crab Nebula
+M2,NGC 7089,globular,21.5583,-0.8167,6.5,13,13,,
+M3,NGC 5272,globular,13.7033,28.3833,6.4,16,16,,
+M4,NGC 6121,globular,16.3933,-26.5333,5.9,26,26,,
+M5,NGC 5904,globular,15.3100,2.0833,5.8,17,17,,
+M6,NGC 6405,open,17.6683,-32.2167,4.2,15,15,나비 성단,Butterfly Cluster
+M7,NGC 6475,open,17.8983,-34.8167,3.3,80,80,프톨레마이오스 성단,Ptolemy Cluster
+M8,NGC 6523,nebula,18.0633,-24.3833,5.8,90,40,석호 성운,Lagoon Nebula
+M9,NGC 6333,globular,17.3200,-18.5167,7.9,9,9,,
+M10,NGC 6254,globular,16.9517,-4.1000,6.6,15,15,,
+M11,NGC 6705,open,18.8517,-6.2667,5.8,14,14,야생오리 성단,Wild Duck Cluster
+M12,NGC 6218,globular,16.7867,-1.9500,6.6,14,14,,
+M13,NGC 6205,globular,16.6950,36.4667,5.9,17,17,헤르쿨레스자리 대구상성단,Great Hercules Cluster
+M14,NGC 6402,globular,17.6267,-3.2500,7.6,12,12,,
+M15,NGC 7078,globular,21.5000,12.1667,6.4,12,12,,
+M16,NGC 6611,nebula,18.3133,-13.7833,6,7,7,독수리 성운,Eagle Nebula
+M17,NGC 6618,nebula,18.3467,-16.1833,7,46,37,오메가 성운,Omega Nebula
+M18,NGC 6613,open,18.3317,-17.1333,6.9,9,9,,
+M19,NGC 6273,globular,17.0433,-26.2667,7.2,14,14,,
+M20,NGC 6514,nebula,18.0433,-23.0333,8.5,29,27,삼렬 성운,Trifid Nebula
+M21,NGC 6531,open,18.0767,-22.5000,5.9,13,13,,
+M22,NGC 6656,globular,18.6067,-23.9000,5.1,24,24,,
+M23,NGC 6494,open,17.9467,-19.0167,5.5,27,27,,
+M24,,open,18.2817,-18.4833,4.5,90,90,궁수자리 별구름,Sagittarius Star Cloud
+M25,IC 4725,open,18.5267,-19.2500,4.6,32,32,,
+M26,NGC 6694,open,18.7533,-9.4000,8,15,15,,
+M27,NGC 6853,planetary,19.9933,22.7167,8.1,8,4,아령 성운,Dumbbell Nebula
+M28,NGC 6626,globular,18.4083,-24.8667,6.9,11,11,,
+M29,NGC 6913,open,20.3983,38.5333,6.6,7,7,,
+M30,NGC 7099,globular,21.6733,-23.1833,7.5,11,11,,
+M31,NGC 224,galaxy,0.7117,41.2667,3.4,190,60,안드로메다은하,Andromeda Galaxy
+M32,NGC 221,galaxy,0.7117,40.8667,8.2,9,7,,
+M33,NGC 598,galaxy,1.5650,30.6500,5.7,71,42,삼각형자리 은하,Triangulum Galaxy
+M34,NGC 1039,open,2.7000,42.7833,5.2,35,35,,
+M35,NGC 2168,open,6.1483,24.3333,5.1,28,28,,
+M36,NGC 1960,open,5.6017,34.1333,6,12,12,,
+M37,NGC 2099,open,5.8733,32.5500,5.6,24,24,,
+M38,NGC 1912,open,5.4783,35.8333,6.4,21,21,,
+M39,NGC 7092,open,21.5367,48.4333,4.6,32,32,,
+M40,WN 4,open,12.3733,58.0833,8,,,,
+M41,NGC 2287,open,6.7833,-20.7333,4.5,38,38,,
+M42,NGC 1976,nebula,5.5900,-5.4500,4,66,60,오리온 대성운,Orion Nebula
+M43,NGC 1982,nebula,5.5933,-5.2667,9,20,15,,
+M44,NGC 2632,open,8.6683,19.9833,3.1,95,95,프레세페 성단,Beehive Cluster
+M45,,open,3.7833,24.1167,1.2,110,110,플레이아데스 성단,Pleiades
+M46,NGC 2437,open,7.6967,-14.8167,6.1,27,27,,
+M47,NGC 2422,open,7.6100,-14.5000,4.4,30,30,,
+M48,NGC 2548,open,8.2300,-5.8000,5.8,54,54,,
+M49,NGC 4472,galaxy,12.4967,8.0000,8.4,10,8,,
+M50,NGC 2323,open,7.0533,-8.3333,5.9,16,16,,
+M51,NGC 5194/5,galaxy,13.4983,47.2000,8.1,11,8,소용돌이 은하,Whirlpool Galaxy
+M52,NGC 7654,open,23.4033,61.5833,6.9,13,13,,
+M53,NGC 5024,globular,13.2150,18.1667,7.7,13,13,,
+M54,NGC 6715,globular,18.9183,-30.4833,7.7,9,9,,
+M55,NGC 6809,globular,19.6667,-30.9667,7,19,19,,
+M56,NGC 6779,globular,19.2767,30.1833,8.2,7,7,,
+M57,NGC 6720,planetary,18.8933,33.0333,9,1,1,고리 성운,Ring Nebula
+M58,NGC 4579,galaxy,12.6283,11.8167,9.8,6,5,,
+M59,NGC 4621,galaxy,12.7000,11.6500,9.8,5,4,,
+M60,NGC 4649,galaxy,12.7283,11.5500,8.8,7,6,,
+M61,NGC 4303,galaxy,12.3650,4.4667,9.7,7,6,,
+M62,NGC 6266,globular,17.0200,-30.1167,6.6,14,14,,
+M63,NGC 5055,galaxy,13.2633,42.0333,8.6,13,7,,
+M64,NGC 4826,galaxy,12.9450,21.6833,8.5,10,5,검은 눈 은하,Black Eye Galaxy
+M65,NGC 3623,galaxy,11.3150,13.0833,9.3,10,3,,
+M66,NGC 3627,galaxy,11.3367,12.9833,9,9,4,,
+M67,NGC 2682,open,8.8400,11.8167,6.9,30,30,,
+M68,NGC 4590,globular,12.6583,-26.7500,8.2,12,12,,
+M69,NGC 6637,globular,18.5233,-32.3500,7.7,7,7,,
+M70,NGC 6681,globular,18.7200,-32.3000,8.1,8,8,,
+M71,NGC 6838,globular,19.8967,18.7833,8.3,7,7,,
+M72,NGC 6981,globular,20.8917,-12.5333,9.4,6,6,,
+M73,NGC 6994,open,20.9817,-12.6333,10,,,,
+M74,NGC 628,galaxy,1.6117,15.7833,9.2,11,10,,
+M75,NGC 6864,globular,20.1017,-21.9167,8.6,6,6,,
+M76,NGC 650/1,planetary,1.7067,51.5667,11.5,2,1,,
+M77,NGC 1068,galaxy,2.7117,-0.0167,8.8,7,6,,
+M78,NGC 2068,nebula,5.7783,0.0500,8,8,6,,
+M79,NGC 1904,globular,5.4083,-24.5500,8,9,9,,
+M80,NGC 6093,globular,16.2833,-22.9833,7.2,9,9,,
+M81,NGC 3031,galaxy,9.9266,69.0667,6.8,27,14,보데 은하,Bode's Galaxy
+M82,NGC 3034,galaxy,9.9300,69.6833,8.4,11,4,시가 은하,Cigar Galaxy
+M83,NGC 5236,galaxy,13.6167,-29.8667,7.6,13,12,,
+M84,NGC 4374,galaxy,12.4183,12.8833,9.3,7,6,,
+M85,NGC 4382,galaxy,12.4233,18.1833,9.2,7,5,,
+M86,NGC 4406,galaxy,12.4367,12.9500,9.2,9,6,,
+M87,NGC 4486,galaxy,12.5133,12.4000,8.6,8,7,,
+M88,NGC 4501,galaxy,12.5333,14.4167,9.5,7,4,,
+M89,NGC 4552,galaxy,12.5950,12.5500,9.8,5,5,,
+M90,NGC 4569,galaxy,12.6133,13.1667,9.5,10,5,,
+M91,NGC 4548,galaxy,12.5900,14.5000,10.2,5,4,,
+M92,NGC 6341,globular,17.2850,43.1333,6.5,11,11,,
+M93,NGC 2447,open,7.7433,-23.8667,6.2,22,22,,
+M94,NGC 4736,galaxy,12.8483,41.1167,8.1,11,9,,
+M95,NGC 3351,galaxy,10.7333,11.7000,9.7,3,3,,
+M96,NGC 3368,galaxy,10.7800,11.8167,9.2,8,5,,
+M97,NGC 3587,planetary,11.2467,55.0167,11.2,3,3,올빼미 성운,Owl Nebula
+M98,NGC 4192,galaxy,12.2300,14.9000,10.1,10,3,,
+M99,NGC 4254,galaxy,12.3133,14.4167,9.8,5,5,,
+M100,NGC 4321,galaxy,12.3817,15.8167,9.4,7,6,,
+M101,NGC 5457,galaxy,14.0533,54.3500,7.7,29,27,바람개비 은하,Pinwheel Galaxy
+M102,NGC 5866,galaxy,15.1082,55.7600,9.9,5,2,,
+M103,NGC 581,open,1.5533,60.7000,7.4,6,6,,
+M104,NGC 4594,galaxy,12.6667,-11.6167,8.3,9,4,솜브레로 은하,Sombrero Galaxy
+M105,NGC 3379,galaxy,10.7967,12.5833,9.3,5,5,,
+M106,NGC 4258,galaxy,12.3167,47.3000,8.3,19,7,,
+M107,NGC 6171,globular,16.5417,-13.0500,8.1,10,10,,
+M108,NGC 3556,galaxy,11.1917,55.6667,10,9,2,,
+M109,NGC 3992,galaxy,11.9600,53.3833,9.8,8,5,,
+M110,NGC 205,galaxy,0.6733,41.6833,8,22,11,,
+C1,NGC 188,open,0.8072,85.2550,8.1,15,15,,
+C2,NGC 40,planetary,0.2169,72.5220,10.7,0.6,0.6,,
+C3,NGC 4236,galaxy,12.2784,69.4626,10.5,21.9,7.2,,
+C4,NGC 7023,nebula,21.0269,68.1633,6.8,10,8,붓꽃 성운,Iris Nebula
+C5,IC 342,galaxy,3.7801,68.0961,9.1,21.4,20.9,,
+C6,NGC 6543,planetary,17.9760,66.6332,8.1,0.3,0.5,고양이 눈 성운,Cat's Eye Nebula
+C7,NGC 2403,galaxy,7.6143,65.6025,8.9,21.9,12.3,,
+C8,NGC 559,open,1.4920,63.3020,9.5,7,7,,
+C9,Sh2-155,nebula,22.9467,62.6170,7.7,50,30,동굴 성운,Cave Nebula
+C10,NGC 663,open,1.7691,61.2350,7.1,15,15,,
+C11,NGC 7635,nebula,23.3467,61.2017,10,15,8,거품 성운,Bubble Nebula
+C12,NGC 6946,galaxy,20.5812,60.1537,9.6,11.5,9.8,,
+C13,NGC 457,open,1.3264,58.2870,6.4,20,20,,
+C14,NGC 869,open,2.3167,57.1280,3.8,30,30,이중 성단,Double Cluster
+C15,NGC 6826,planetary,19.7467,50.5251,8.8,0.5,0.4,,
+C16,NGC 7243,open,22.2522,49.8980,6.4,30,30,,
+C17,NGC 147,galaxy,0.5534,48.5087,9.5,13.2,7.8,,
+C18,NGC 185,galaxy,0.6494,48.3374,9.2,11.7,10,,
+C19,IC 5146,nebula,21.8900,47.2670,7.2,12,12,,
+C20,NGC 7000,nebula,20.9797,44.3300,4,120,100,북아메리카 성운,North America Nebula
+C21,NGC 4449,galaxy,12.4698,44.0936,9.4,6.2,4.4,,
+C22,NGC 7662,planetary,23.4316,42.5350,8.3,0.6,0.3,푸른 눈뭉치 성운,Blue Snowball Nebula
+C23,NGC 891,galaxy,2.3758,42.3483,10.1,13.5,2.5,,
+C24,NGC 1275,galaxy,3.3300,41.5117,12.5,2.9,2.4,,
+C25,NGC 2419,globular,7.6357,38.8819,9.1,4.6,4.6,,
+C26,NGC 4244,galaxy,12.2916,37.8071,10,16.6,1.9,,
+C27,NGC 6888,nebula,20.2019,38.3550,7.4,20,10,초승달 성운,Crescent Nebula
+C28,NGC 752,open,1.9614,37.7850,5.7,75,75,,
+C29,NGC 5005,galaxy,13.1823,37.0589,13.7,3.9,1.6,,
+C30,NGC 7331,galaxy,22.6178,34.4159,9.5,10.5,3.7,,
+C31,IC 405,nebula,5.2900,34.3800,6,50,30,,
+C32,NGC 4631,galaxy,12.7022,32.5415,9.2,9.3,2.8,,
+C33,NGC 6992,nebula,20.9386,31.7430,7,230,160,동쪽 베일 성운,Eastern Veil Nebula
+C34,NGC 6960,nebula,20.7606,30.7083,7,210,160,서쪽 베일 성운,Western Veil Nebula
+C35,NGC 4889,galaxy,13.0022,27.9770,11.3,2.7,1.8,,
+C36,NGC 4559,galaxy,12.5993,27.9600,9.8,10.7,4.4,,
+C37,NGC 6885,open,20.2003,26.4780,8.1,20,20,,
+C38,NGC 4565,galaxy,12.6058,25.9880,9.6,16,2.3,바늘 은하,Needle Galaxy
+C39,NGC 2392,planetary,7.4863,20.9118,9.7,0.8,0.7,에스키모 성운,Eskimo Nebula
+C40,NGC 3626,galaxy,11.3344,18.3568,11.2,2.2,1.2,,
+C41,Mel 25,open,4.4500,16.0000,0.5,330,330,히아데스 성단,Hyades
+C42,NGC 7006,globular,21.0249,16.1879,10.5,1.5,1.5,,
+C43,NGC 7814,galaxy,0.0542,16.1452,11.6,5.5,2.3,,
+C44,NGC 7479,galaxy,23.0824,12.3229,10.8,4.1,3.1,,
+C45,NGC 5248,galaxy,13.6256,8.8851,11,6.2,4.5,,
+C46,NGC 2261,nebula,6.6528,8.7360,9,2,1,허블의 변광 성운,Hubble's Variable Nebula
+C47,NGC 6934,globular,20.5698,7.4045,8.8,8.4,8.4,,
+C48,NGC 2775,galaxy,9.1723,7.0379,10.5,4.3,3.3,,
+C49,NGC 2237,nebula,6.5333,5.0500,9,80,60,장미 성운,Rosette Nebula
+C50,NGC 2244,open,6.5319,4.9420,4.8,24,24,,
+C51,IC 1613,galaxy,1.0799,2.1178,9.2,16.2,14.5,,
+C52,NGC 4697,galaxy,12.8100,-5.8008,11,4.4,2.8,,
+C53,NGC 3115,galaxy,10.0872,-7.7186,9.9,7.2,2.5,,
+C54,NGC 2506,open,8.0003,-10.7700,7.6,12,12,,
+C55,NGC 7009,planetary,21.0697,-11.3634,8,0.7,0.6,토성상 성운,Saturn Nebula
+C56,NGC 246,planetary,0.7843,-11.8719,11.8,3.7,3.7,,
+C57,NGC 6822,galaxy,19.7489,-14.7976,8.1,15.5,13.5,,
+C58,NGC 2360,open,7.2953,-15.6420,7.2,14,14,,
+C59,NGC 3242,planetary,10.4128,-18.6424,8.6,0.4,0.6,목성의 유령,Ghost of Jupiter
+C60,NGC 4038,galaxy,12.0314,-18.8676,10.9,5.2,3.1,더듬이 은하,Antennae Galaxies
+C61,NGC 4039,galaxy,12.0316,-18.8856,11.1,3.1,1.6,더듬이 은하,Antennae Galaxies
+C62,NGC 247,galaxy,0.7857,-20.7604,9.1,21.4,6.9,,
+C63,NGC 7293,planetary,22.4940,-20.8371,7.6,25,13.4,나선 성운,Helix Nebula
+C64,NGC 2362,open,7.3114,-24.9550,4.1,8,8,,
+C65,NGC 253,galaxy,0.7925,-25.2888,8,27.5,6.8,조각가자리 은하,Sculptor Galaxy
+C66,NGC 5694,globular,14.6601,-26.5383,10.9,4,4,,
+C67,NGC 1097,galaxy,2.7720,-30.2749,9.5,6,3.3,,
+C68,NGC 6729,nebula,19.0296,-36.9611,,25,20,,
+C69,NGC 6302,planetary,17.2289,-37.1044,7.1,1.5,0.7,,
+C70,NGC 300,galaxy,0.9149,-37.6844,8.1,21.9,15.5,,
+C71,NGC 2477,open,7.8695,-38.5300,5.8,27,27,,
+C72,NGC 55,galaxy,0.2482,-39.1966,7.9,32.4,5.6,,
+C73,NGC 1851,globular,5.2352,-40.0466,7.2,12,12,,
+C74,NGC 3132,planetary,10.1172,-40.4364,10,1,0.7,,
+C75,NGC 6124,open,16.4222,-40.6530,5.8,29,29,,
+C76,NGC 6231,open,16.9024,-41.8267,2.6,15,15,,
+C77,NGC 5128,galaxy,13.4243,-43.0191,6.8,25.7,20,센타우루스자리 A,Centaurus A
+C78,NGC 6541,globular,18.1340,-43.7149,7.3,15,15,,
+C79,NGC 3201,globular,10.2936,-46.4125,8.2,18.2,18.2,,
+C80,NGC 5139,globular,13.4465,-47.4795,5.3,55,55,오메가 센타우리,Omega Centauri
+C81,NGC 6352,globular,17.4248,-48.4222,8.9,7.1,7.1,,
+C82,NGC 6193,open,16.6889,-48.7630,5.2,15,15,,
+C83,NGC 4945,galaxy,13.0909,-49.4679,9.3,20,3.8,,
+C84,NGC 5286,globular,13.7741,-51.3743,8.3,11,11,,
+C85,IC 2391,open,8.6755,-53.0330,2.5,60,60,,
+C86,NGC 6397,globular,17.6784,-53.6743,5.2,32,32,,
+C87,NGC 1261,globular,3.2045,-55.2162,8.6,12.9,12.9,,
+C88,NGC 5823,open,15.0920,-55.5950,7.9,12,12,,
+C89,NGC 6087,open,16.3139,-57.9350,5.4,15,15,,
+C90,NGC 2867,planetary,9.3570,-58.3113,10,0.2,0.3,,
+C91,NGC 3532,open,11.0942,-58.7530,3,50,50,,
+C92,NGC 3372,nebula,10.7386,-59.8892,1,120,120,용골자리 성운,Carina Nebula
+C93,NGC 6752,globular,19.1811,-59.9846,6.3,20.4,20.4,,
+C94,NGC 4755,open,12.8941,-60.3620,4.2,10,10,보석상자 성단,Jewel Box
+C95,NGC 6025,open,16.0547,-60.4320,5.1,15,15,,
+C96,NGC 2516,open,7.9678,-60.7530,3.8,22,22,,
+C97,NGC 3766,open,11.6050,-61.6150,5.3,15,15,,
+C98,NGC 4609,open,12.7050,-62.9950,6.9,6,6,,
+C99,,nebula,12.8333,-62.5000,,420,300,석탄자루 성운,Coalsack Nebula
+C100,IC 2944,nebula,11.6390,-63.3728,4.5,40,20,,
+C101,NGC 6744,galaxy,19.1628,-63.8575,8.2,20,12.9,,
+C102,IC 2602,open,10.7161,-64.4000,1.9,100,100,남쪽 플레이아데스,Southern Pleiades
+C103,NGC 2070,nebula,5.6450,-69.1000,7.2,30,20,타란툴라 성운,Tarantula Nebula
+C104,NGC 362,globular,1.0540,-70.8488,6.6,12.9,12.9,,
+C105,NGC 4833,globular,12.9928,-70.8765,7.8,13.5,13.5,,
+C106,NGC 104,globular,0.4015,-72.0814,4.1,30.9,12.4,큰부리새자리 47,47 Tucanae
+C107,NGC 6101,globular,16.4300,-72.2022,10.1,10.7,10.7,,
+C108,NGC 4372,globular,12.4293,-72.6591,9.8,5,5,,
+C109,NGC 3195,planetary,10.1558,-80.8585,11.6,0.7,0.6,,`;
+
+
+/**
+ * 은하수 윤곽선 데이터
+ *
+ * 밝기 단계별 은하수 등광도선입니다. 바깥쪽(가장 어두운) 단계부터 안쪽(가장 밝은) 단계 순서로
+ * 5단계가 있고, 각 단계는 닫힌 윤곽선(고리) 여러 개로 이루어집니다.
+ * 같은 단계 안에서 다른 고리 안쪽에 있는 고리는 구멍(암흑대 등)이므로 even-odd 규칙으로 채웁니다.
+ *
+ * 데이터 형식: [단계][고리][RA1, Dec1, RA2, Dec2, ...]
+ * - RA, Dec: J2000.0 적경/적위 (라디안)
+ * - 고리의 마지막 점은 첫 점과 이어집니다 (첫 점을 반복하지 않음)
+ *
+ * 출처: d3-celestial (Copyright (c) 2015, Olaf Frohn, BSD-3-Clause)의 milkyway.json.
+ * 약 0.25° 오차로 점을 줄이고 아주 작은 고리는 뺐습니다.
+ *
+ * @constant {number[][][]}
+ * @example
+ * // 밝기 단계별로 채우기
+ * for (const rings of MILKY_WAY) {
+ *     for (const ring of rings) {
+ *         for (let i = 0; i < ring.length; i += 2) {
+ *             addPoint(ring[i], ring[i + 1]);
+ *         }
+ *     }
+ * }
+ */
+export const MILKY_WAY = [
+    [
+        [
+            1.7061,0.6049,1.7753,0.5713,1.7973,0.5462,1.8284,0.4843,1.8825,0.4428,1.897,0.4211,1.8509,0.3048,1.841,0.189,
+            1.9124,0.1028,1.9273,0.0736,1.9327,0.0025,1.9457,-0.022,1.9578,-0.0744,1.9976,-0.1396,2.0251,-0.2299,2.1014,-0.299,
+            2.1859,-0.346,2.2394,-0.3992,2.2944,-0.4713,2.3344,-0.6127,2.4096,-0.649,2.4416,-0.6751,2.4723,-0.7178,2.4989,-0.7269,
+            2.5636,-0.7728,2.6728,-0.8089,2.7703,-0.826,2.8682,-0.8328,2.9441,-0.8543,3.0184,-0.8493,3.1282,-0.8645,3.1577,-0.893,
+            3.1793,-0.8953,3.2621,-0.9367,3.3554,-0.9285,3.4123,-0.9556,3.4984,-0.937,3.5442,-0.9117,3.5855,-0.9069,3.6928,-0.937,
+            3.7307,-0.9332,3.7466,-0.9187,3.7472,-0.8945,3.7645,-0.8698,3.8218,-0.8353,3.9211,-0.8094,3.9393,-0.7902,3.9828,-0.7717,
+            4.0528,-0.7846,4.0774,-0.7589,4.1297,-0.7381,4.2025,-0.745,4.2337,-0.7595,4.2329,-0.7817,4.2132,-0.8182,4.2037,-0.824,
+            4.1642,-0.8196,4.1555,-0.8971,4.0781,-0.9509,4.0255,-0.9718,3.9671,-0.9718,3.9067,-0.9867,3.8767,-1.0204,3.9399,-1.0267,
+            3.9881,-1.0077,4.0253,-1.0033,4.0906,-0.9695,4.1239,-0.9372,4.1857,-0.911,4.1991,-0.8572,4.2433,-0.7819,4.2476,-0.75,
+            4.2941,-0.7254,4.3145,-0.6684,4.306,-0.6219,4.253,-0.6039,4.2163,-0.5631,4.2078,-0.5409,4.1905,-0.4464,4.2171,-0.3921,
+            4.2724,-0.3355,4.3024,-0.3318,4.3236,-0.3377,4.3469,-0.3047,4.4133,-0.2902,4.4623,-0.2661,4.538,-0.2053,4.6175,-0.1849,
+            4.6316,-0.1613,4.67,-0.1513,4.698,-0.1234,4.7364,-0.1048,4.7515,-0.0697,4.7907,-0.063,4.8429,-0.0315,4.911,0.0314,
+            4.9578,0.0308,4.9591,0.0635,4.9922,0.1192,5.0448,0.2023,5.0703,0.2265,5.0885,0.2805,5.0816,0.312,5.1345,0.3762,
+            5.0757,0.3528,5.05,0.3559,5.0479,0.3076,5.0626,0.2603,5.0311,0.2253,5.0284,0.1832,5.0193,0.1662,4.9648,0.1235,
+            4.9238,0.1132,4.9178,0.0711,4.9041,0.0448,4.8164,0.0196,4.7955,-0.0204,4.7525,-0.0309,4.7229,-0.0269,4.6828,-0.0093,
+            4.6585,0.0267,4.6533,0.0505,4.6757,0.0939,4.7191,0.1175,4.7486,0.1448,4.7734,0.1707,4.7994,0.2152,4.8311,0.223,
+            4.862,0.2409,4.8789,0.2386,4.8825,0.2695,4.8666,0.3264,4.9124,0.4254,4.944,0.4535,4.9769,0.4986,4.9759,0.5293,
+            4.9635,0.5644,4.9975,0.6171,5.0238,0.6297,5.0115,0.6663,5.0234,0.6864,5.0631,0.7096,5.0874,0.7387,5.0985,0.7786,
+            5.1283,0.8197,5.1607,0.839,5.2214,0.8955,5.266,0.921,5.2877,0.9615,5.2827,0.9833,5.3361,1.0155,5.4539,1.0145,
+            5.4872,0.9951,5.5,0.9265,5.4854,0.9111,5.4909,0.8965,5.5492,0.8696,5.5679,0.9142,5.5696,0.945,5.5296,1.0025,
+            5.5394,1.026,5.5968,1.1,5.6215,1.1108,5.7035,1.1196,5.7117,1.1587,5.7421,1.1684,5.9407,1.1513,5.964,1.1327,
+            5.9537,1.1147,5.842,1.0521,5.8424,1.0356,5.8939,1.0293,5.9634,1.0485,5.9827,1.0687,6.0271,1.0899,6.087,1.1012,
+            6.1309,1.0972,6.2315,1.1102,0.0161,1.1412,0.0868,1.1455,0.1646,1.1305,0.1938,1.1187,0.1987,1.089,0.2369,1.1012,
+            0.222,1.1292,0.269,1.1479,0.4144,1.1481,0.6354,1.1291,0.723,1.128,0.8633,1.0932,0.8883,1.073,0.9298,1.0591,
+            0.9423,1.0351,0.9183,1.0118,0.8828,1.0057,0.7618,1.0172,0.7396,1.0016,0.7439,0.9907,0.7272,0.9719,0.6828,0.9415,
+            0.6924,0.916,0.7962,0.8471,0.8296,0.834,0.8474,0.8369,0.8524,0.8617,0.8684,0.8778,0.8873,0.8804,0.9498,0.8561,
+            0.9792,0.819,1.0244,0.7888,1.0349,0.7894,1.0426,0.8009,1.0351,0.8376,1.0415,0.8478,1.117,0.8956,1.1446,0.8957,
+            1.162,0.8844,1.1617,0.8721,1.1274,0.8352,1.1275,0.8229,1.1508,0.8068,1.1789,0.7965,1.29,0.7833,1.3575,0.8018,
+            1.4124,0.7925,1.5025,0.7351,1.5213,0.7112,1.5573,0.6911,1.5927,0.655,1.632,0.648,1.6551,0.6266,1.6952,0.6158,
+            1.707,0.6034
+        ],
+        [
+            1.4152,0.4617,1.3787,0.5028,1.3648,0.5498,1.3323,0.5989,1.2931,0.6403,1.2898,0.6604,1.1845,0.7075,1.1326,0.7108,
+            1.0391,0.7034,0.9889,0.7443,0.9221,0.7424,0.8652,0.7543,0.7878,0.7882,0.6957,0.8171,0.6692,0.8442,0.4567,0.8712,
+            0.3409,0.9154,0.2985,0.9388,0.2758,0.9467,0.2345,0.9476,0.2107,0.9582,0.1897,0.958,0.1758,0.9386,0.115,0.8961,
+            0.0682,0.8823,0.0056,0.8367,6.2264,0.8094,6.1958,0.8037,6.1209,0.8203,6.0492,0.8237,5.9152,0.8012,5.8631,0.808,
+            5.8185,0.7833,5.7362,0.668,5.6627,0.6315,5.5925,0.5759,5.5819,0.5466,5.5436,0.5215,5.4699,0.434,5.3979,0.3165,
+            5.3686,0.3008,5.3521,0.2461,5.334,0.2191,5.307,0.2037,5.2852,0.1691,5.254,0.1518,5.2353,0.1271,5.205,0.1168,
+            5.143,0.0411,5.1058,-0.0442,5.0745,-0.059,5.0831,-0.2143,5.0726,-0.2769,5.0836,-0.3297,5.0631,-0.3907,5.0693,-0.4401,
+            5.051,-0.471,5.0316,-0.4856,5.0164,-0.5179,5.0257,-0.564,5.0206,-0.6047,5.0015,-0.6464,4.9478,-0.6888,4.9031,-0.7274,
+            4.8817,-0.757,4.7946,-0.8035,4.7162,-0.8723,4.6412,-0.9089,4.4973,-0.9353,4.4855,-0.9452,4.5008,-1.0058,4.4852,-1.0543,
+            4.4178,-1.1327,4.3139,-1.1888,4.2562,-1.2063,4.1942,-1.213,3.9917,-1.2104,3.8828,-1.2278,3.7529,-1.2316,3.6269,-1.2443,
+            3.4856,-1.3052,3.3096,-1.307,3.1961,-1.2866,3.1164,-1.2932,3.0329,-1.2872,2.8077,-1.2876,2.6685,-1.2538,2.3707,-1.0709,
+            2.3464,-1.0357,2.259,-0.9716,2.2236,-0.9139,2.1673,-0.8628,2.1606,-0.8657,2.1257,-0.876,2.0471,-0.8621,2.015,-0.8153,
+            2.0258,-0.7208,1.9828,-0.668,1.9908,-0.6468,2.005,-0.6385,1.9505,-0.5859,1.9058,-0.5626,1.8726,-0.4669,1.797,-0.435,
+            1.785,-0.4041,1.8015,-0.285,1.7999,-0.2625,1.7846,-0.2253,1.7392,-0.1603,1.6371,-0.0915,1.616,-0.0656,1.6272,-0.0151,
+            1.6502,0.0086,1.6506,0.0343,1.6013,0.0965,1.4118,0.2632,1.3953,0.2877,1.4097,0.3274,1.4324,0.3455,1.462,0.3899,
+            1.4184,0.4574
+        ],
+        [
+            3.3482,-1.0646,3.3121,-1.066,3.2841,-1.0863,3.2762,-1.114,3.273,-1.1332,3.2887,-1.1389,3.3054,-1.1392,3.3393,-1.1204,
+            3.4218,-1.1074,3.4392,-1.0946,3.4365,-1.0772,3.4127,-1.0622
+        ],
+        [
+            5.2342,0.4868,5.2207,0.4675,5.1733,0.4443,5.139,0.3799,5.1497,0.3902,5.18,0.4306,5.2038,0.4461,5.2454,0.4536,
+            5.2479,0.4894,5.2554,0.4997,5.3238,0.5929,5.3319,0.6266,5.3239,0.6205,5.315,0.5916,5.2789,0.5531,5.2364,0.4897
+        ],
+        [
+            4.4652,-0.6833,4.4678,-0.6979,4.4526,-0.7243,4.4702,-0.7475,4.4589,-0.7698,4.4377,-0.7779,4.444,-0.7836,4.4725,-0.7772,
+            4.488,-0.7681,4.4889,-0.7555,4.5155,-0.7224,4.5023,-0.6915,4.4724,-0.6788
+        ],
+        [
+            4.5291,-0.5953,4.5131,-0.6139,4.4928,-0.619,4.4954,-0.6249,4.5136,-0.6313,4.5407,-0.6275,4.548,-0.6189,4.5671,-0.602,
+            4.5579,-0.5759,4.5494,-0.5647,4.5315,-0.5925
+        ],
+        [
+            4.5695,-0.4255,4.5622,-0.4545,4.5665,-0.4675,4.58,-0.4588,4.6003,-0.4498,4.5984,-0.4363,4.5801,-0.4235
+        ],
+        [
+            4.8195,-0.169,4.8247,-0.1856,4.8341,-0.1905,4.8597,-0.18,4.8591,-0.1699,4.8442,-0.1641
+        ],
+        [
+            4.3589,-0.6211,4.3525,-0.635,4.3621,-0.6394,4.3774,-0.6385,4.3885,-0.6279,4.3987,-0.6235,4.3896,-0.6106,4.3603,-0.6198
+        ],
+        [
+            4.6079,-0.5204,4.6068,-0.5446,4.6206,-0.5521,4.6177,-0.5299,4.6201,-0.5167,4.609,-0.5189
+        ]
+    ],
+    [
+        [
+            4.4364,-0.346,4.4376,-0.3385,4.4618,-0.3277,4.467,-0.3146,4.4872,-0.3052,4.4933,-0.2844,4.5221,-0.2743,4.5488,-0.2442,
+            4.5755,-0.2423,4.5821,-0.2221,4.5976,-0.2173,4.6103,-0.1967,4.6265,-0.2042,4.6466,-0.2018,4.664,-0.2177,4.685,-0.2135,
+            4.7266,-0.2766,4.7175,-0.3097,4.6936,-0.3248,4.6992,-0.3642,4.6654,-0.4207,4.6841,-0.4228,4.6994,-0.4127,4.6927,-0.399,
+            4.7012,-0.3854,4.7157,-0.3831,4.7288,-0.39,4.7351,-0.3833,4.7301,-0.3666,4.7477,-0.3479,4.7325,-0.3378,4.7312,-0.3292,
+            4.7508,-0.2996,4.7386,-0.2811,4.7288,-0.2658,4.7325,-0.2558,4.774,-0.2481,4.784,-0.2375,4.781,-0.2538,4.7967,-0.266,
+            4.8075,-0.2874,4.8055,-0.2428,4.8149,-0.2259,4.8096,-0.2133,4.8466,-0.2009,4.8755,-0.245,4.9044,-0.2632,4.9294,-0.2618,
+            4.9556,-0.2896,4.9592,-0.3467,4.9345,-0.387,4.9503,-0.4053,4.9346,-0.4193,4.9224,-0.4103,4.9295,-0.3925,4.9135,-0.3911,
+            4.9045,-0.4043,4.9179,-0.4311,4.9066,-0.4528,4.9172,-0.4611,4.9156,-0.4849,4.9306,-0.5022,4.9246,-0.5223,4.9101,-0.5203,
+            4.9021,-0.5396,4.8943,-0.5459,4.9042,-0.561,4.8685,-0.5847,4.861,-0.6063,4.8385,-0.6127,4.8365,-0.6365,4.8124,-0.6405,
+            4.7767,-0.6896,4.7616,-0.6972,4.7554,-0.7141,4.7295,-0.7175,4.7068,-0.7455,4.6423,-0.7544,4.6321,-0.7702,4.6108,-0.7751,
+            4.5919,-0.826,4.5456,-0.8262,4.5558,-0.8474,4.5809,-0.854,4.586,-0.8683,4.5812,-0.8765,4.5259,-0.8949,4.4905,-0.8663,
+            4.5161,-0.8123,4.5014,-0.7966,4.5267,-0.7835,4.536,-0.731,4.5542,-0.7234,4.5405,-0.6953,4.5279,-0.6757,4.5314,-0.6627,
+            4.554,-0.6707,4.5792,-0.6567,4.5909,-0.6585,4.5954,-0.6691,4.5794,-0.6818,4.5752,-0.6964,4.5797,-0.707,4.6229,-0.6643,
+            4.6212,-0.6367,4.5998,-0.6217,4.5978,-0.6081,4.6096,-0.5896,4.6529,-0.5608,4.6357,-0.5047,4.656,-0.4788,4.6786,-0.4725,
+            4.6832,-0.4587,4.6575,-0.4531,4.641,-0.4338,4.628,-0.4429,4.6392,-0.4532,4.6293,-0.4642,4.6112,-0.4375,4.5741,-0.4158,
+            4.5771,-0.3989,4.5538,-0.3682,4.532,-0.3734,4.5119,-0.3669,4.4577,-0.369,4.4369,-0.3484
+        ],
+        [
+            5.7536,1.0076,5.8024,1.0134,5.8368,0.9984,5.8566,1.0175,5.9697,1.0227,5.997,1.0296,6.0132,1.0449,6.0429,1.0457,
+            6.0612,1.0231,6.028,1.0063,6.0243,0.9806,6.0626,0.9933,6.102,0.9755,6.0936,0.9533,6.1041,0.9518,6.1103,0.9624,
+            6.1295,0.968,6.159,0.9497,6.1494,0.9442,6.125,0.9487,6.0305,0.925,6.0162,0.9231,5.9837,0.8963,5.9578,0.89,
+            5.9403,0.8704,5.9143,0.8791,5.9143,0.8651,5.8935,0.8471,5.8671,0.8426,5.8715,0.828,5.8586,0.8225,5.8487,0.8266,
+            5.8541,0.8434,5.8361,0.8523,5.8274,0.8296,5.8041,0.8252,5.8072,0.816,5.7943,0.8077,5.7279,0.797,5.7336,0.7891,
+            5.686,0.7703,5.6447,0.7699,5.6162,0.7387,5.5946,0.7427,5.5778,0.7551,5.5594,0.7439,5.531,0.7422,5.5169,0.7541,
+            5.524,0.7778,5.4892,0.7604,5.4503,0.7842,5.4288,0.7877,5.4126,0.779,5.3788,0.7821,5.3519,0.7767,5.3307,0.7917,
+            5.3059,0.7973,5.2908,0.7877,5.2756,0.7905,5.2771,0.8146,5.3441,0.817,5.3341,0.8346,5.3525,0.8579,5.3775,0.8566,
+            5.4111,0.8397,5.4525,0.8488,5.4968,0.8349,5.5134,0.8627,5.5609,0.8525,5.5872,0.8574,5.5931,0.866,5.5702,0.8735,
+            5.5661,0.8982,5.5919,0.9043,5.599,0.8721,5.6086,0.8732,5.6261,0.9074,5.6235,0.9322,5.6607,0.9496,5.643,0.9663,
+            5.677,0.9762,5.7169,0.9542,5.7455,0.9845,5.751,1.0065
+        ],
+        [
+            5.0871,0.2236,5.1281,0.2593,5.1111,0.2945,5.133,0.3067,5.1268,0.3281,5.1526,0.3322,5.1766,0.3776,5.2164,0.388,
+            5.227,0.384,5.2272,0.3777,5.2404,0.3742,5.2553,0.3408,5.2276,0.3285,5.2292,0.2707,5.2236,0.2517,5.2182,0.2428,
+            5.2055,0.2461,5.1927,0.2353,5.2054,0.208,5.1936,0.1987,5.1729,0.1984,5.1412,0.1862,5.1337,0.1764,5.1553,0.1823,
+            5.1689,0.1668,5.1778,0.1717,5.1894,0.1672,5.1939,0.1468,5.1804,0.1445,5.1621,0.1587,5.1508,0.153,5.1423,0.1379,
+            5.1368,0.0955,5.1216,0.086,5.1134,0.0708,5.1144,0.0506,5.0653,0.0178,5.0674,0.003,5.0868,-0.0051,5.0825,-0.0321,
+            5.0739,-0.0374,5.0436,-0.0314,5.0294,-0.0436,4.984,-0.0515,4.9713,-0.0685,4.9728,-0.0771,4.9923,-0.089,4.9937,-0.117,
+            5.0047,-0.1458,4.9882,-0.1743,4.9715,-0.1797,4.966,-0.1944,4.9453,-0.1958,4.935,-0.2043,4.943,-0.2432,4.9302,-0.2525,
+            4.9149,-0.2314,4.919,-0.212,4.9031,-0.2041,4.8863,-0.2054,4.8684,-0.1864,4.8727,-0.167,4.8642,-0.1489,4.8713,-0.1092,
+            4.8529,-0.0839,4.8815,-0.0594,4.893,-0.0713,4.9056,-0.07,4.9203,-0.0795,4.9402,-0.0525,4.9553,-0.0387,4.9211,-0.0249,
+            4.9181,-0.0155,4.9324,0.0046,4.9912,0.0154,4.9906,0.0294,4.9739,0.0578,4.9875,0.0763,5.0228,0.0756,5.018,0.1116,
+            5.0283,0.1161,5.0376,0.1112,5.0479,0.0782,5.0578,0.0709,5.0627,0.0762,5.0713,0.1071,5.0553,0.1255,5.0519,0.1451,
+            5.0659,0.1634,5.0847,0.1574,5.0959,0.1632,5.0816,0.1848
+        ],
+        [
+            5.1881,0.7478,5.2163,0.7859,5.2573,0.7864,5.2634,0.7672,5.2414,0.7649,5.235,0.7576,5.2858,0.7317,5.2986,0.7022,
+            5.3358,0.6822,5.3014,0.631,5.2858,0.5996,5.2922,0.5856,5.2525,0.5636,5.2363,0.5125,5.2115,0.5074,5.1872,0.4755,
+            5.1518,0.4738,5.1409,0.4532,5.1085,0.4477,5.102,0.437,5.0998,0.4261,5.1269,0.4203,5.122,0.4088,5.1015,0.4073,
+            5.0988,0.4246,5.0662,0.421,5.0426,0.4441,5.0455,0.4565,5.0855,0.457,5.0309,0.4962,5.0292,0.5047,5.0462,0.5108,
+            5.0516,0.5239,5.0562,0.5316,5.0708,0.5328,5.0737,0.5452,5.105,0.5801,5.0918,0.6115,5.1073,0.6243,5.1326,0.6763,
+            5.131,0.6887,5.1425,0.6976,5.1565,0.6917,5.1772,0.6986,5.1703,0.7175,5.187,0.7463
+        ],
+        [
+            2.9957,-0.9879,3.0269,-0.9915,3.0478,-1.0219,3.1024,-1.0309,3.1199,-1.0222,3.1428,-1.0246,3.1521,-1.0468,3.19,-1.0622,
+            3.2132,-1.0427,3.2548,-1.0432,3.3586,-1.0088,3.3837,-1.0557,3.3697,-1.0611,3.3376,-1.0576,3.3271,-1.054,3.2617,-1.0855,
+            3.2536,-1.1465,3.1764,-1.1584,3.1322,-1.1499,3.1726,-1.1246,3.1139,-1.1269,3.0215,-1.1091,3.0026,-1.0955,3.0142,-1.0844,
+            2.9546,-1.0748,2.9288,-1.0776,2.8889,-1.0906,2.8315,-1.0976,2.8192,-1.1124,2.7979,-1.1154,2.7738,-1.1096,2.6619,-1.1135,
+            2.6437,-1.0949,2.5879,-1.0775,2.5883,-1.0577,2.5436,-1.0463,2.5835,-1.0157,2.6093,-1.0152,2.6295,-1.0274,2.6436,-1.0262,
+            2.6882,-1.0042,2.7154,-0.9909,2.7557,-0.9879,2.7613,-0.9756,2.7621,-0.9678,2.6859,-0.9491,2.6956,-0.934,2.7077,-0.9324,
+            2.7484,-0.9329,2.7773,-0.9487,2.7805,-0.9597,2.8706,-0.9871,2.8906,-0.9749
+        ],
+        [
+            1.9396,-0.3441,1.9335,-0.3372,1.913,-0.3418,1.9233,-0.3781,1.936,-0.3817,1.9535,-0.3568,1.9641,-0.3533,1.9957,-0.3666,
+            2.0167,-0.3553,2.0345,-0.4043,2.0411,-0.4007,2.0458,-0.3738,2.107,-0.4126,2.1293,-0.4056,2.1331,-0.4429,2.142,-0.4584,
+            2.1604,-0.4641,2.1706,-0.4558,2.1825,-0.459,2.1751,-0.4741,2.179,-0.4823,2.1633,-0.4897,2.1673,-0.5042,2.1862,-0.5097,
+            2.202,-0.502,2.216,-0.519,2.2401,-0.5209,2.2367,-0.5316,2.2179,-0.5242,2.2019,-0.547,2.2244,-0.5438,2.23,-0.5619,
+            2.2419,-0.5696,2.2364,-0.5839,2.2172,-0.5827,2.2117,-0.5883,2.2219,-0.6058,2.247,-0.5926,2.2662,-0.6133,2.2636,-0.6304,
+            2.2534,-0.6368,2.2329,-0.6296,2.2295,-0.6229,2.219,-0.6379,2.1853,-0.6573,2.1644,-0.6518,2.1474,-0.663,2.1351,-0.6611,
+            2.1208,-0.6373,2.1401,-0.6229,2.1431,-0.6107,2.1173,-0.5975,2.1122,-0.5878,2.1182,-0.5763,2.1308,-0.5797,2.1253,-0.5599,
+            2.1062,-0.5703,2.091,-0.5598,2.0761,-0.5594,2.0548,-0.5195,2.0356,-0.5051,2.0489,-0.4941,2.0466,-0.4872,2.0275,-0.5033,
+            2.0238,-0.5152,2.0313,-0.5296,2.0283,-0.5493,2.0052,-0.5607,1.994,-0.5581,1.9878,-0.5451,1.9452,-0.5589,1.939,-0.5676,
+            1.9195,-0.5625,1.9203,-0.5485,1.9413,-0.5489,1.9615,-0.5258,1.952,-0.4887,1.9596,-0.4791,1.9842,-0.4789,1.9788,-0.4597,
+            1.9644,-0.4509,1.9857,-0.4422,1.9919,-0.4309,1.9783,-0.4019,1.9803,-0.3908,1.9405,-0.3456
+        ],
+        [
+            4.378,-0.4527,4.3983,-0.4411,4.4046,-0.4196,4.4289,-0.4281,4.4293,-0.4133,4.4531,-0.3955,4.4755,-0.3998,4.5336,-0.3869,
+            4.5461,-0.3947,4.5467,-0.4158,4.5557,-0.4193,4.5653,-0.4376,4.5509,-0.4603,4.4973,-0.465,4.4883,-0.4763,4.5154,-0.4786,
+            4.5475,-0.4709,4.578,-0.4806,4.5842,-0.5008,4.5976,-0.5084,4.594,-0.523,4.5829,-0.5376,4.5616,-0.5401,4.5352,-0.533,
+            4.5208,-0.5415,4.5242,-0.5648,4.5083,-0.5895,4.4589,-0.618,4.4145,-0.6049,4.4038,-0.5909,4.3918,-0.5783,4.3907,-0.5685,
+            4.404,-0.5576,4.3952,-0.5336,4.3841,-0.537,4.3793,-0.5582,4.3562,-0.5597,4.3555,-0.5524,4.3755,-0.5376,4.3614,-0.5115,
+            4.3715,-0.501
+        ],
+        [
+            4.2656,-0.813,4.2942,-0.808,4.3017,-0.8203,4.2947,-0.8302,4.3348,-0.8554,4.3275,-0.8605,4.2875,-0.8475,4.2668,-0.8735,
+            4.2744,-0.8834,4.3272,-0.8889,4.3813,-0.882,4.4051,-0.872,4.4113,-0.8506,4.4257,-0.8471,4.4473,-0.8715,4.4713,-0.8831,
+            4.4598,-0.8928,4.4363,-0.8947,4.4546,-0.9143,4.4227,-0.939,4.4382,-0.9701,4.4049,-0.9907,4.3627,-0.9779,4.3406,-0.9996,
+            4.3108,-0.9965,4.2726,-1.03,4.2777,-1.0423,4.2531,-1.0619,4.2171,-1.0713,4.1858,-1.0544,4.1156,-1.0448,4.0486,-1.0584,
+            4.0218,-1.0734,3.9243,-1.0629,3.9218,-1.0497,3.9402,-1.0446,3.9906,-1.0562,3.9812,-1.0386,4.0082,-1.0279,4.0737,-1.013,
+            4.1119,-0.9824,4.1868,-0.9544,4.1849,-0.9345,4.2119,-0.9108,4.2158,-0.8874,4.2518,-0.861,4.2707,-0.8587,4.2837,-0.8303,
+            4.2638,-0.8142
+        ],
+        [
+            3.7855,-1.0206,3.8333,-1.0214,3.8925,-1.075,3.8197,-1.1234,3.8287,-1.1408,3.7648,-1.1498,3.7335,-1.1396,3.5937,-1.1539,
+            3.5605,-1.1389,3.4858,-1.1576,3.3987,-1.1568,3.3689,-1.1763,3.3554,-1.1729,3.274,-1.1752,3.2548,-1.1606,3.3262,-1.1395,
+            3.3432,-1.1257,3.4227,-1.1144,3.4688,-1.0899,3.5457,-1.0922,3.5723,-1.1095,3.621,-1.103,3.6468,-1.1199,3.7026,-1.1164,
+            3.7249,-1.0856,3.7595,-1.0742,3.7613,-1.0366
+        ],
+        [
+            4.8222,0.1775,4.8451,0.1837,4.8594,0.1767,4.8735,0.2045,4.8863,0.206,4.9085,0.2339,4.9278,0.2284,4.9478,0.2321,
+            4.9648,0.253,4.9818,0.2582,4.9797,0.2808,4.9724,0.2824,4.9675,0.2926,4.9807,0.3018,4.9709,0.3221,4.99,0.3344,
+            4.9979,0.3109,4.9888,0.3017,5.0025,0.2891,5.0162,0.2092,5.002,0.2127,4.9919,0.2277,4.9767,0.2372,4.959,0.2265,
+            4.9572,0.2118,4.9779,0.2053,4.9729,0.1882,4.957,0.1923,4.9456,0.1667,4.8973,0.1578,4.8831,0.13,4.8869,0.1183,
+            4.8866,0.0754,4.8608,0.0866,4.857,0.0983,4.8626,0.113,4.8461,0.1272,4.8178,0.1181,4.8201,0.1459,4.8374,0.1566
+        ],
+        [
+            5.417,0.634,5.452,0.6629,5.4751,0.6521,5.4858,0.654,5.4881,0.68,5.5153,0.6775,5.5189,0.6703,5.5015,0.6523,
+            5.508,0.6477,5.5296,0.6485,5.5439,0.6735,5.5677,0.6677,5.5694,0.6591,5.5589,0.6504,5.5389,0.6463,5.5261,0.6299,
+            5.482,0.6291,5.4592,0.6152,5.4593,0.6016,5.4692,0.5925,5.4455,0.5684,5.4262,0.5704,5.4127,0.5815,5.4174,0.6006,
+            5.4064,0.623,5.4156,0.6326
+        ],
+        [
+            5.3216,0.9405,5.3422,0.949,5.3628,0.9299,5.3885,0.9272,5.4187,0.911,5.4246,0.9015,5.3926,0.8928,5.4013,0.8799,
+            5.3495,0.8762,5.3016,0.8969,5.2917,0.8681,5.2832,0.8757,5.269,0.8875,5.3209,0.9305
+        ],
+        [
+            3.6464,-0.9755,3.7121,-0.9719,3.6747,-1.0056,3.6473,-1.0115,3.6501,-1.0238,3.7019,-1.0286,3.7079,-1.0497,3.6951,-1.0645,
+            3.6684,-1.0701,3.6024,-1.0334,3.5777,-1.0236,3.5777,-1.0147
+        ],
+        [
+            4.3183,-0.7879,4.3728,-0.755,4.3863,-0.7542,4.396,-0.7648,4.4153,-0.7672,4.4171,-0.7795,4.3689,-0.7849,4.3621,-0.7877,
+            4.3695,-0.7923,4.3841,-0.7965,4.3909,-0.8233,4.378,-0.8389,4.3511,-0.8487,4.3395,-0.8441,4.3403,-0.8281,4.3088,-0.8152,
+            4.3149,-0.7904
+        ],
+        [
+            2.3071,-0.7965,2.3321,-0.8277,2.3049,-0.8385,2.2115,-0.8405,2.2033,-0.8358,2.2064,-0.8237,2.2433,-0.8138,2.2478,-0.8005,
+            2.2726,-0.7803
+        ],
+        [
+            1.3507,0.7314,1.3614,0.7027,1.3339,0.7046,1.3198,0.6986,1.2942,0.701,1.2921,0.7198,1.2727,0.735,1.2737,0.7424,
+            1.2424,0.7643,1.2654,0.769,1.2833,0.7615,1.3001,0.7601,1.3259,0.7328
+        ],
+        [
+            2.4649,-0.9202,2.4829,-0.947,2.4711,-0.967,2.4385,-0.9783,2.415,-0.9548,2.3777,-0.9418,2.3743,-0.9319,2.3875,-0.9199,
+            2.4003,-0.9078,2.4587,-0.919
+        ],
+        [
+            4.0421,-0.8619,4.0902,-0.861,4.1022,-0.877,4.099,-0.9004,4.0687,-0.9163,4.0401,-0.9219,4.0196,-0.8968,4.0114,-0.8793
+        ],
+        [
+            0.0284,1.1209,0.0775,1.1046,0.077,1.0922,0.0518,1.0872,0.0204,1.0795,6.283,1.0564,6.2619,1.0633,6.2467,1.0724,
+            6.2022,1.078,6.201,1.0868,6.221,1.0928,6.2575,1.1146
+        ],
+        [
+            4.348,-0.6968,4.3591,-0.6766,4.3915,-0.6821,4.4244,-0.7007,4.425,-0.7168,4.4091,-0.7342,4.3766,-0.7251,4.3623,-0.7135,
+            4.3444,-0.713
+        ],
+        [
+            1.9351,-0.4534,1.9364,-0.4705,1.9243,-0.4762,1.9102,-0.4711,1.891,-0.4722,1.9064,-0.4533,1.8965,-0.4286,1.898,-0.42,
+            1.9075,-0.4214,1.9197,-0.4273
+        ],
+        [
+            3.5123,-1.0205,3.5436,-1.0233,3.5299,-1.0457,3.5605,-1.0714,3.5414,-1.0801,3.5183,-1.0783,3.5122,-1.0575,3.4968,-1.0533,
+            3.48,-1.042
+        ],
+        [
+            4.756,0.0856,4.7725,0.1062,4.781,0.1076,4.7943,0.0951,4.7842,0.0829,4.7723,0.0599,4.763,0.057,4.7521,0.0626,
+            4.7553,0.0841
+        ],
+        [
+            4.1228,-0.7511,4.1334,-0.747,4.1513,-0.7521,4.1569,-0.7623,4.1263,-0.7848,4.1135,-0.7985,4.1057,-0.7829,4.1016,-0.7764,
+            4.1206,-0.7546
+        ],
+        [
+            2.1191,-0.7479,2.1305,-0.7673,2.1209,-0.7759,2.0873,-0.7603,2.0766,-0.7609,2.066,-0.7514,2.0718,-0.7449,2.0795,-0.7476,
+            2.0951,-0.7528,2.108,-0.7449
+        ],
+        [
+            4.773,-0.2098,4.7925,-0.1964,4.8022,-0.1936,4.8091,-0.2031,4.7943,-0.2191,4.7837,-0.2234,4.7744,-0.2145
+        ],
+        [
+            5.5649,0.8352,5.5723,0.8426,5.5907,0.8352,5.5885,0.8068,5.5795,0.7982,5.5706,0.8093,5.5631,0.834
+        ],
+        [
+            0.6163,1.0019,0.6327,0.991,0.6252,0.9851,0.5903,0.9829,0.5744,0.9895,0.5794,0.9978
+        ],
+        [
+            1.9914,-0.2466,1.9819,-0.2658,1.9723,-0.267,1.967,-0.2579,1.9732,-0.2365,1.9905,-0.2451
+        ],
+        [
+            1.9863,-0.2414,1.9916,-0.2505,1.9874,-0.2608,1.9788,-0.2675,1.969,-0.2648,1.9696,-0.2445,1.9748,-0.2357,1.9855,-0.2398
+        ],
+        [
+            5.6466,1.0057,5.6837,1.0068,5.6784,0.986,5.6733,0.9813,5.6472,0.9872,5.6367,0.9961,5.6443,1.0045
+        ],
+        [
+            4.8653,-0.0451,4.8789,-0.0305,4.8844,-0.0275,4.8936,-0.0362,4.8832,-0.0524,4.8722,-0.0546,4.866,-0.0475
+        ],
+        [
+            1.9571,-0.2333,1.9639,-0.2416,1.9556,-0.256,1.9468,-0.2587,1.9406,-0.2441,1.9277,-0.2429,1.9363,-0.2364
+        ],
+        [
+            5.3766,0.956,5.4067,0.9646,5.4174,0.9468,5.3847,0.9418,5.3721,0.9494
+        ],
+        [
+            4.4053,-0.6527,4.4075,-0.6451,4.4221,-0.6501,4.4293,-0.6569,4.4245,-0.6672,4.3981,-0.6705,4.3929,-0.6672,4.4042,-0.6565
+        ],
+        [
+            1.4214,0.5977,1.4198,0.5778,1.4123,0.5715,1.403,0.5767,1.4039,0.5942
+        ],
+        [
+            4.6871,-0.1888,4.7018,-0.181,4.709,-0.1969,4.6966,-0.2041,4.6877,-0.1911
+        ],
+        [
+            5.0339,0.2752,5.0414,0.2812,5.0469,0.2764,5.0553,0.2582,5.0407,0.2539,5.0347,0.2728
+        ],
+        [
+            3.9799,-0.9267,4.0121,-0.9248,4.0234,-0.9287,4.0191,-0.9408,3.9906,-0.9371,3.9744,-0.9347
+        ],
+        [
+            5.6691,0.8293,5.7026,0.8323,5.714,0.8229,5.7064,0.8209,5.677,0.8178,5.6645,0.8196
+        ],
+        [
+            4.91,0.2719,4.914,0.2757,4.9229,0.2695,4.9318,0.2555,4.9286,0.2493,4.9189,0.2502,4.91,0.268
+        ],
+        [
+            2.5442,-0.9324,2.5525,-0.9456,2.5299,-0.9504,2.52,-0.9385,2.5398,-0.9302
+        ],
+        [
+            5.1415,0.0968,5.1529,0.1064,5.1591,0.1069,5.1619,0.0975,5.1506,0.0879,5.1412,0.0891,5.1407,0.0953
+        ],
+        [
+            1.8426,-0.4089,1.8434,-0.4221,1.8289,-0.4229,1.8282,-0.4097
+        ],
+        [
+            4.5043,-0.4229,4.5187,-0.4131,4.5251,-0.4171,4.5212,-0.4252,4.5104,-0.4331
+        ],
+        [
+            2.0991,-0.5803,2.0962,-0.5963,2.0813,-0.5896,2.0864,-0.5767
+        ],
+        [
+            1.8909,-0.3999,1.8937,-0.4123,1.8809,-0.4125,1.8749,-0.4017,1.8884,-0.3992
+        ],
+        [
+            4.3435,-0.6588,4.3593,-0.6605,4.3572,-0.673,4.3428,-0.6699
+        ],
+        [
+            4.7333,0.0376,4.7411,0.0451,4.7503,0.0364,4.7417,0.0312
+        ],
+        [
+            1.6069,0.4221,1.6022,0.4118,1.5911,0.4121,1.5922,0.4246,1.605,0.4251
+        ],
+        [
+            4.9583,-0.2448,4.9654,-0.2347,4.9735,-0.2424,4.9647,-0.2517
+        ],
+        [
+            2.0047,-0.4827,2.0037,-0.4952,1.993,-0.4926,1.9905,-0.4818
+        ],
+        [
+            2.0057,-0.4842,2.002,-0.4961,1.9919,-0.4911,1.9922,-0.4809
+        ],
+        [
+            4.832,-0.1084,4.8423,-0.104,4.846,-0.1119,4.8373,-0.1171
+        ],
+        [
+            4.6108,-0.4806,4.6216,-0.4784,4.6231,-0.4895,4.6115,-0.4893
+        ],
+        [
+            1.3358,0.7231,1.3339,0.7133,1.3228,0.7157,1.318,0.7262,1.3325,0.7235
+        ],
+        [
+            4.7762,-0.3427,4.785,-0.3492,4.7879,-0.3626,4.7815,-0.3553
+        ],
+        [
+            1.3825,0.5861,1.3776,0.5767,1.3677,0.5794,1.3726,0.5887
+        ],
+        [
+            4.982,-0.3587,4.973,-0.3642,4.9686,-0.3566,4.9767,-0.3526
+        ],
+        [
+            4.9695,-0.298,4.9759,-0.2934,4.9809,-0.2995,4.9754,-0.3065,4.9687,-0.2996
+        ],
+        [
+            5.0476,0.033,5.0548,0.0352,5.0577,0.0258,5.0483,0.0229
+        ],
+        [
+            4.7368,-0.4161,4.7429,-0.4133,4.7468,-0.4212,4.739,-0.4233
+        ]
+    ],
+    [
+        [
+            4.6536,-0.4958,4.7092,-0.4602,4.72,-0.4396,4.7524,-0.43,4.7562,-0.42,4.7457,-0.3907,4.7526,-0.3684,4.7671,-0.3619,
+            4.7859,-0.3734,4.8015,-0.3575,4.8,-0.3192,4.758,-0.3412,4.7434,-0.3336,4.7501,-0.3151,4.8162,-0.2978,4.8151,-0.2478,
+            4.8327,-0.2154,4.8432,-0.2109,4.8558,-0.2213,4.869,-0.2535,4.8898,-0.2639,4.9019,-0.3106,4.9372,-0.3175,4.9332,-0.3292,
+            4.9185,-0.3377,4.8946,-0.3284,4.8946,-0.3168,4.8839,-0.3136,4.8756,-0.3291,4.8855,-0.3454,4.8814,-0.3648,4.8891,-0.3935,
+            4.8819,-0.4268,4.8605,-0.4345,4.8459,-0.4491,4.8626,-0.4662,4.8645,-0.4824,4.8873,-0.4807,4.888,-0.5038,4.8749,-0.5116,
+            4.8615,-0.5079,4.88,-0.5308,4.8612,-0.5364,4.849,-0.558,4.8289,-0.5612,4.81,-0.6089,4.7736,-0.6403,4.7567,-0.674,
+            4.7325,-0.6836,4.7248,-0.7019,4.6935,-0.7164,4.6614,-0.7166,4.6344,-0.7267,4.5885,-0.7258,4.6133,-0.6862,4.6366,-0.6668,
+            4.6324,-0.6321,4.6126,-0.6118,4.6248,-0.5892,4.6475,-0.5784,4.6614,-0.559,4.6485,-0.53,4.6515,-0.4988
+        ],
+        [
+            4.4963,-0.3173,4.5303,-0.2815,4.5855,-0.2564,4.6047,-0.2295,4.6462,-0.2196,4.6559,-0.2311,4.6421,-0.2434,4.6471,-0.2523,
+            4.6656,-0.2427,4.6807,-0.2452,4.7115,-0.2704,4.7061,-0.3076,4.6964,-0.3062,4.6898,-0.2926,4.679,-0.2966,4.6829,-0.3109,
+            4.6755,-0.3229,4.686,-0.3509,4.6851,-0.3626,4.6737,-0.3704,4.6709,-0.3953,4.6526,-0.4198,4.6174,-0.4287,4.6051,-0.4236,
+            4.605,-0.4009,4.58,-0.3883,4.588,-0.3477,4.5841,-0.3372,4.5633,-0.3225,4.513,-0.3157,4.5075,-0.3204,4.509,-0.34,
+            4.5366,-0.3514,4.514,-0.3578,4.508,-0.3414,4.4942,-0.3387,4.4953,-0.3187
+        ],
+        [
+            5.1215,0.5726,5.1345,0.6103,5.1305,0.6259,5.1505,0.6228,5.1724,0.6327,5.1763,0.645,5.1613,0.6558,5.1736,0.6762,
+            5.2285,0.7097,5.2431,0.711,5.2561,0.7232,5.2807,0.7196,5.2766,0.6862,5.2915,0.6722,5.281,0.663,5.3,0.6572,
+            5.2846,0.617,5.2575,0.6087,5.2502,0.6187,5.2417,0.6273,5.2209,0.6234,5.1991,0.6179,5.1915,0.6074,5.1844,0.5907,
+            5.1891,0.5701,5.2033,0.5629,5.2068,0.5509,5.1819,0.5291,5.1817,0.515,5.1957,0.5016,5.1794,0.4878,5.1412,0.4853,
+            5.1317,0.474,5.1327,0.4614,5.1221,0.4588,5.0928,0.4911,5.0906,0.5316
+        ],
+        [
+            5.7804,0.9729,5.8164,0.9742,5.889,1.0096,5.9521,1.0063,5.9725,0.9923,5.9585,0.9805,5.8773,0.9793,5.8783,0.9716,
+            5.9093,0.9656,5.9159,0.9518,5.8982,0.9418,5.8853,0.8968,5.8549,0.8912,5.8348,0.8726,5.8008,0.8769,5.7701,0.8627,
+            5.761,0.83,5.7332,0.8288,5.7067,0.8481,5.6877,0.8605,5.6698,0.8528,5.6531,0.8337,5.6474,0.8092,5.6128,0.7917,
+            5.601,0.8104,5.6077,0.851,5.6318,0.8752,5.6398,0.9034,5.6483,0.9315,5.6951,0.9257,5.6973,0.9132,5.6723,0.891,
+            5.7016,0.877,5.7126,0.8849,5.7215,0.934,5.7459,0.9583,5.7778,0.9718
+        ],
+        [
+            2.9731,-1.0077,2.9981,-1.0287,3.1255,-1.0424,3.1238,-1.0636,3.1718,-1.0838,3.1532,-1.1125,3.1268,-1.1174,3.0775,-1.1034,
+            3.0345,-1.1018,3.0383,-1.0768,2.9452,-1.0619,2.893,-1.0819,2.8113,-1.089,2.753,-1.084,2.689,-1.0923,2.6209,-1.0655,
+            2.6105,-1.0376,2.6905,-1.0405,2.7041,-1.0201,2.715,-1.0011,2.7373,-0.9982,2.7789,-1.0011,2.8117,-1.0203,2.8354,-1.011,
+            2.8639,-1.0201,2.8771,-1.0175,2.8916,-0.9999,2.9127,-0.9953
+        ],
+        [
+            4.4169,-0.4565,4.4451,-0.4434,4.4472,-0.4234,4.4599,-0.4107,4.4735,-0.4113,4.4786,-0.4167,4.4627,-0.4425,4.4798,-0.4451,
+            4.4878,-0.4589,4.4757,-0.4767,4.4873,-0.4864,4.5152,-0.4848,4.5328,-0.5083,4.5479,-0.4984,4.5491,-0.4844,4.543,-0.4892,
+            4.5655,-0.4941,4.5784,-0.5246,4.5582,-0.5255,4.5288,-0.5165,4.4996,-0.537,4.5112,-0.5591,4.4936,-0.5915,4.4595,-0.603,
+            4.4621,-0.5915,4.4533,-0.5925,4.4317,-0.5984,4.4107,-0.5755,4.4112,-0.5359,4.3961,-0.4966,4.4128,-0.4754
+        ],
+        [
+            4.2335,-0.8842,4.3662,-0.9037,4.3999,-0.8896,4.4132,-0.9099,4.3841,-0.9177,4.3677,-0.9506,4.3126,-0.9521,4.27,-0.9746,
+            4.2565,-0.9943,4.2073,-0.9884,4.1906,-0.9966,4.2194,-1.006,4.2539,-1.0053,4.2561,-1.0189,4.2015,-1.0241,4.1687,-1.0365,
+            4.1345,-1.0261,4.1103,-1.0271,4.106,-1.0156,4.1265,-0.9871,4.1991,-0.9598,4.1993,-0.9363,4.2258,-0.9148,4.2315,-0.8854
+        ],
+        [
+            4.8778,-0.0968,4.8999,-0.0808,4.9194,-0.0928,4.9478,-0.0721,4.9547,-0.0854,4.9844,-0.1005,4.9826,-0.127,4.9913,-0.1449,
+            4.9763,-0.1549,4.9549,-0.1811,4.9239,-0.1988,4.8961,-0.1946,4.8889,-0.193,4.8877,-0.1649,4.8755,-0.1351
+        ],
+        [
+            5.0916,0.2172,5.1384,0.2557,5.1284,0.2812,5.1428,0.3054,5.1419,0.3179,5.1569,0.3218,5.1727,0.3474,5.1944,0.3475,
+            5.1972,0.3621,5.2059,0.3654,5.2126,0.3555,5.2124,0.325,5.2112,0.3095,5.1961,0.2958,5.1975,0.2809,5.1834,0.2647,
+            5.1888,0.2495,5.1709,0.2195,5.1049,0.1722,5.0927,0.1828,5.0908,0.2156
+        ],
+        [
+            5.4246,0.8259,5.4379,0.8342,5.4635,0.8358,5.4771,0.8303,5.4863,0.811,5.5099,0.8317,5.5335,0.8385,5.5579,0.8179,
+            5.5554,0.771,5.5252,0.7889,5.5147,0.7886,5.4952,0.7706,5.476,0.7734,5.4643,0.7851,5.4576,0.7959,5.3977,0.7938,
+            5.4234,0.822
+        ],
+        [
+            4.9307,-0.0102,4.9449,-0.0018,4.9636,-0.0037,4.9965,0.0067,5.0015,0.0277,4.9994,0.0426,4.9839,0.0506,4.9858,0.0654,
+            4.9975,0.0691,5.0239,0.0592,5.0319,0.0217,4.9969,-0.0151,4.9882,-0.0321,4.9772,-0.0343,4.9352,-0.0204,4.9299,-0.0118
+        ],
+        [
+            5.0598,0.1449,5.0711,0.1547,5.0899,0.1486,5.1044,0.1566,5.1141,0.1632,5.1329,0.157,5.1244,0.1418,5.1179,0.1156,
+            5.0942,0.1126,5.0618,0.13,5.0581,0.1418
+        ],
+        [
+            3.5044,-1.0951,3.5408,-1.0996,3.5519,-1.1183,3.5176,-1.1365,3.4824,-1.1455,3.3891,-1.1447,3.3596,-1.1484,3.3554,-1.138,
+            3.4277,-1.1212,3.4791,-1.1175,3.4753,-1.1019
+        ],
+        [
+            2.065,-0.4303,2.0721,-0.4407,2.0676,-0.4575,2.0456,-0.4653,2.0207,-0.4724,2.0148,-0.4634,2.018,-0.4475,2.0176,-0.4296,
+            2.004,-0.4186,2.0165,-0.414,2.0207,-0.4239
+        ],
+        [
+            2.1903,-0.5753,2.1949,-0.5897,2.1705,-0.5975,2.1507,-0.5981,2.1482,-0.5764,2.1407,-0.5575,2.1567,-0.5589,2.1808,-0.5639
+        ],
+        [
+            4.5488,-0.7543,4.5719,-0.751,4.5794,-0.7649,4.5845,-0.7981,4.5609,-0.7978,4.5423,-0.789,4.5474,-0.7558
+        ],
+        [
+            5.0711,0.0698,5.0762,0.0829,5.0958,0.0861,5.1002,0.0759,5.0912,0.0591,5.0673,0.0403,5.0628,0.0505
+        ],
+        [
+            5.2034,0.5832,5.2331,0.5966,5.2483,0.5969,5.2539,0.5815,5.2265,0.5713,5.2047,0.5682,5.2012,0.5802
+        ],
+        [
+            4.7488,-0.2706,4.754,-0.2614,4.7695,-0.2597,4.7829,-0.2687,4.7826,-0.2765,4.7665,-0.2939,4.7511,-0.2738
+        ],
+        [
+            4.9141,0.1904,4.9309,0.2073,4.9405,0.2143,4.9476,0.2048,4.9475,0.1971,4.9276,0.1895,4.9165,0.1795,4.9125,0.1873
+        ],
+        [
+            4.3427,-0.8107,4.3707,-0.8046,4.3803,-0.8103,4.38,-0.8239,4.3682,-0.8332,4.357,-0.8312,4.3428,-0.8131
+        ],
+        [
+            3.2079,-1.1163,3.2451,-1.1287,3.2427,-1.1391,3.22,-1.1451,3.1985,-1.1457,3.1891,-1.1363,3.2034,-1.1178
+        ],
+        [
+            4.5252,-0.4445,4.5402,-0.4307,4.5531,-0.4323,4.5526,-0.4424,4.5374,-0.4563,4.523,-0.4536,4.5241,-0.4459
+        ],
+        [
+            2.7914,-0.9849,2.8281,-0.9837,2.8338,-1.0008,2.7991,-1.003,2.7899,-0.9865
+        ],
+        [
+            5.2065,0.5305,5.2258,0.5408,5.2337,0.5221,5.2133,0.5167,5.2054,0.5189,5.2038,0.53
+        ],
+        [
+            4.8428,-0.2718,4.8631,-0.2682,4.8703,-0.2699,4.8719,-0.2824,4.8677,-0.2901,4.8596,-0.2861,4.8443,-0.2765
+        ],
+        [
+            4.6484,-0.3522,4.6531,-0.3448,4.6643,-0.351,4.6698,-0.3663,4.6634,-0.3729,4.656,-0.381,4.6534,-0.3714
+        ],
+        [
+            4.3823,-0.7013,4.3899,-0.6971,4.3975,-0.7065,4.4129,-0.7116,4.412,-0.7179,4.3891,-0.7194
+        ],
+        [
+            2.116,-0.5317,2.1249,-0.5371,2.1204,-0.5438,2.1027,-0.5494,2.0948,-0.5454,2.0974,-0.5358
+        ],
+        [
+            2.2972,-0.8045,2.2969,-0.8182,2.2802,-0.8207,2.2806,-0.8071,2.2955,-0.8032
+        ],
+        [
+            4.0629,-0.8781,4.0778,-0.8735,4.0824,-0.8864,4.0767,-0.8933,4.0651,-0.8921,4.0606,-0.8791
+        ],
+        [
+            4.6137,-0.3486,4.604,-0.3532,4.5992,-0.3441,4.6097,-0.3381,4.6157,-0.3456
+        ],
+        [
+            5.0385,-0.0034,5.0479,-0.0004,5.0484,-0.0144,5.0383,-0.015
+        ],
+        [
+            2.0774,-0.4849,2.0803,-0.4956,2.0687,-0.4958,2.0659,-0.485
+        ],
+        [
+            5.6613,0.8037,5.679,0.8028,5.6744,0.7932,5.6604,0.7939
+        ],
+        [
+            4.8737,0.1658,4.8776,0.1735,4.8847,0.168,4.8823,0.1595,4.8745,0.1634
+        ]
+    ],
+    [
+        [
+            4.6565,-0.5219,4.6618,-0.4941,4.6845,-0.4877,4.732,-0.4417,4.7581,-0.4388,4.7621,-0.3812,4.7723,-0.3785,4.7856,-0.3851,
+            4.7983,-0.3777,4.8129,-0.3671,4.8446,-0.3707,4.8663,-0.3965,4.8426,-0.4165,4.8238,-0.4194,4.8425,-0.4359,4.8286,-0.4529,
+            4.8249,-0.5017,4.8033,-0.5309,4.8032,-0.5502,4.7875,-0.5609,4.792,-0.5725,4.7739,-0.6055,4.7407,-0.6381,4.729,-0.6665,
+            4.7045,-0.6796,4.6739,-0.6861,4.6542,-0.6811,4.6605,-0.6558,4.6275,-0.6153,4.6326,-0.5953,4.6597,-0.5886,4.6696,-0.5611
+        ],
+        [
+            4.8848,-0.0985,4.8975,-0.0893,4.9146,-0.1021,4.9428,-0.097,4.9615,-0.1104,4.9684,-0.1354,4.9582,-0.1477,4.9328,-0.1662,
+            4.9052,-0.1503,4.8834,-0.1391,4.884,-0.1001
+        ],
+        [
+            2.8175,-1.0297,2.842,-1.0398,2.9063,-1.0127,2.9271,-1.0228,2.9035,-1.0386,2.9247,-1.0543,2.9199,-1.0646,2.8711,-1.0793,
+            2.7917,-1.0802,2.7359,-1.0568,2.7212,-1.0421,2.7666,-1.0375,2.795,-1.0256
+        ],
+        [
+            4.2425,-0.9028,4.308,-0.8992,4.3227,-0.9125,4.3338,-0.9258,4.2913,-0.9499,4.2507,-0.961,4.2187,-0.9567,4.2107,-0.949
+        ],
+        [
+            4.5704,-0.3023,4.6098,-0.275,4.6157,-0.2623,4.6247,-0.2615,4.6224,-0.2885,4.6327,-0.3127,4.6149,-0.3268,4.5931,-0.3303,
+            4.5716,-0.3071
+        ],
+        [
+            5.1281,0.5397,5.1488,0.5497,5.1656,0.5293,5.1707,0.5024,5.1497,0.495,5.1401,0.4978,5.121,0.4893,5.1111,0.5021,
+            5.1283,0.5256
+        ],
+        [
+            4.4443,-0.4905,4.4692,-0.4875,4.4934,-0.4967,4.5068,-0.4923,4.5165,-0.4984,4.5173,-0.5095,4.5048,-0.5188,4.4936,-0.5204,
+            4.479,-0.5111,4.455,-0.5215,4.4355,-0.515
+        ],
+        [
+            4.4227,-0.546,4.4286,-0.5367,4.44,-0.5356,4.4594,-0.5483,4.4664,-0.5463,4.4813,-0.5407,4.4912,-0.5469,4.49,-0.572,
+            4.4835,-0.5852,4.4667,-0.5748,4.448,-0.5781,4.4398,-0.5728,4.4446,-0.5562,4.4231,-0.5484
+        ],
+        [
+            5.0994,0.213,5.1095,0.2235,5.123,0.2221,5.131,0.2038,5.1266,0.1962,5.1118,0.1844,5.1023,0.1855
+        ],
+        [
+            4.8255,-0.2512,4.8387,-0.2343,4.8484,-0.2313,4.8522,-0.2431,4.8479,-0.2586,4.8406,-0.2608,4.8261,-0.2574
+        ],
+        [
+            4.6256,-0.4067,4.6388,-0.3937,4.6472,-0.3944,4.6488,-0.4054,4.6324,-0.4167,4.6239,-0.4159
+        ],
+        [
+            5.5095,0.8131,5.5251,0.8223,5.5348,0.8089,5.5157,0.7998,5.5048,0.8043,5.5078,0.8119
+        ],
+        [
+            5.6472,0.8747,5.6536,0.8807,5.6626,0.8741,5.6551,0.8559,5.6398,0.854,5.6366,0.8615
+        ],
+        [
+            5.7931,0.9566,5.8199,0.9587,5.8301,0.9563,5.8208,0.9486,5.8012,0.9407,5.7924,0.9542
+        ],
+        [
+            4.7554,-0.324,4.7704,-0.3198,4.7717,-0.3285,4.7583,-0.3334
+        ],
+        [
+            5.1462,0.2794,5.1592,0.2803,5.1652,0.2729,5.1529,0.2697
+        ],
+        [
+            5.2166,0.6378,5.2044,0.6418,5.2044,0.6519,5.2167,0.648
+        ],
+        [
+            4.6592,-0.2773,4.6675,-0.274,4.6753,-0.2784,4.6669,-0.2817,4.6582,-0.2788
+        ],
+        [
+            4.6512,-0.3071,4.6427,-0.3104,4.6374,-0.3053,4.6459,-0.3021,4.6537,-0.3065
+        ],
+        [
+            4.8327,-0.2903,4.8409,-0.2866,4.8457,-0.2929,4.8407,-0.2983,4.8342,-0.295
+        ]
+    ],
+    [
+        [
+            4.6689,-0.5039,4.7136,-0.4744,4.735,-0.4512,4.7637,-0.4476,4.773,-0.4284,4.7706,-0.4034,4.8037,-0.398,4.7991,-0.4135,
+            4.8055,-0.4323,4.7966,-0.4477,4.8172,-0.4613,4.7805,-0.5421,4.7567,-0.547,4.7472,-0.5584,4.714,-0.5587,4.7253,-0.5343,
+            4.669,-0.5243
+        ],
+        [
+            4.6419,-0.6062,4.6684,-0.597,4.6787,-0.5858,4.6953,-0.5898,4.7151,-0.5892,4.7248,-0.5817,4.734,-0.586,4.7342,-0.6038,
+            4.7199,-0.6251,4.7013,-0.6306,4.6882,-0.6245,4.6569,-0.6298,4.6408,-0.6077
+        ],
+        [
+            4.887,-0.1095,4.8965,-0.0987,4.9129,-0.1091,4.933,-0.1389,4.9227,-0.1474,4.9071,-0.1355,4.889,-0.1321,4.8869,-0.1134
+        ],
+        [
+            4.2561,-0.9141,4.2704,-0.9056,4.2905,-0.9129,4.264,-0.9339,4.247,-0.9436,4.2344,-0.9434,4.2348,-0.936
+        ],
+        [
+            4.8099,-0.3873,4.8192,-0.3859,4.8174,-0.3929,4.8063,-0.3973,4.8082,-0.3903
+        ]
+    ]
+];
+
+/**
+ * IAU 88개 별자리 목록 (CSV 형식)
+ *
+ * CSV 컬럼 형식:
+ * 1. IAU 약자 (예: "Ori", "UMa")
+ * 2. 라틴어 이름 (예: "Orion", "Ursa Major")
+ * 3. 영어 이름 (예: "Orion", "Great Bear")
+ * 4. 한글 이름 (예: "오리온자리", "큰곰자리")
+ *
+ * 약자로 찾는 목록과 별자리 판별은 constellation.js의 AstroConstellation을 사용하세요.
+ *
+ * @constant {string}
+ */
+export const CONSTELLATIONS = `And,Andromeda,Andromeda,안드로메다자리
+Ant,Antlia,Air Pump,공기펌프자리
+Aps,Apus,Bird of Paradise,극락조자리
+Aql,Aquila,Eagle,독수리자리
+Aqr,Aquarius,Water Bearer,물병자리
+Ara,Ara,Altar,제단자리
+Ari,Aries,Ram,양자리
+Aur,Auriga,Charioteer,마차부자리
+Boo,Bootes,Herdsman,목동자리
+Cae,Caelum,Chisel,조각도자리
+Cam,Camelopardalis,Giraffe,기린자리
+Cap,Capricornus,Sea Goat,염소자리
+Car,Carina,Keel,용골자리
+Cas,Cassiopeia,Cassiopeia,카시오페이아자리
+Cen,Centaurus,Centaur,켄타우르스자리
+Cep,Cepheus,Cepheus,케페우스자리
+Cet,Cetus,Whale,고래자리
+Cha,Chamaeleon,Chameleon,카멜레온자리
+Cir,Circinus,Compasses,컴퍼스자리
+CMa,Canis Major,Great Dog,큰개자리
+CMi,Canis Minor,Little Dog,작은개자리
+Cnc,Cancer,Crab,게자리
+Col,Columba,Dove,비둘기자리
+Com,Coma Berenices,Berenice's Hair,머리털자리
+CrA,Corona Australis,Southern Crown,남쪽왕관자리
+CrB,Corona Borealis,Northern Crown,북쪽왕관자리
+Crt,Crater,Cup,컵자리
+Cru,Crux,Southern Cross,남십자자리
+Crv,Corvus,Crow,까마귀자리
+CVn,Canes Venatici,Hunting Dogs,사냥개자리
+Cyg,Cygnus,Swan,백조자리
+Del,Delphinus,Dolphin,돌고래자리
+Dor,Dorado,Swordfish,황새치자리
+Dra,Draco,Dragon,용자리
+Equ,Equuleus,Little Horse,조랑말자리
+Eri,Eridanus,Eridanus,에리다누스자리
+For,Fornax,Furnace,화학로자리
+Gem,Gemini,Twins,쌍둥이자리
+Gru,Grus,Crane,두루미자리
+Her,Hercules,Hercules,헤르쿨레스자리
+Hor,Horologium,Clock,시계자리
+Hya,Hydra,Water Snake,바다뱀자리
+Hyi,Hydrus,Little Water Snake,물뱀자리
+Ind,Indus,Indian,인도인자리
+Lac,Lacerta,Lizard,도마뱀자리
+Leo,Leo,Lion,사자자리
+Lep,Lepus,Hare,토끼자리
+Lib,Libra,Scales,천칭자리
+LMi,Leo Minor,Little Lion,작은사자자리
+Lup,Lupus,Wolf,이리자리
+Lyn,Lynx,Lynx,삵괭이자리
+Lyr,Lyra,Lyre,거문고자리
+Men,Mensa,Table Mountain,테이블산자리
+Mic,Microscopium,Microscope,현미경자리
+Mon,Monoceros,Unicorn,외뿔소자리
+Mus,Musca,Fly,파리자리
+Nor,Norma,Carpenter's Square,수준기자리
+Oct,Octans,Octant,팔분의자리
+Oph,Ophiuchus,Serpent Bearer,뱀주인자리
+Ori,Orion,Orion,오리온자리
+Pav,Pavo,Peacock,공작자리
+Peg,Pegasus,Pegasus,페가수스자리
+Per,Perseus,Perseus,페르세우스자리
+Phe,Phoenix,Phoenix,봉황새자리
+Pic,Pictor,Painter's Easel,화가자리
+PsA,Piscis Austrinus,Southern Fish,남쪽물고기자리
+Psc,Pisces,Fishes,물고기자리
+Pup,Puppis,Stern,고물자리
+Pyx,Pyxis,Compass,나침반자리
+Ret,Reticulum,Reticle,그물자리
+Scl,Sculptor,Sculptor,조각가자리
+Sco,Scorpius,Scorpion,전갈자리
+Sct,Scutum,Shield,방패자리
+Ser,Serpens,Serpent,뱀자리
+Sex,Sextans,Sextant,육분의자리
+Sge,Sagitta,Arrow,화살자리
+Sgr,Sagittarius,Archer,궁수자리
+Tau,Taurus,Bull,황소자리
+Tel,Telescopium,Telescope,망원경자리
+TrA,Triangulum Australe,Southern Triangle,남쪽삼각형자리
+Tri,Triangulum,Triangle,삼각형자리
+Tuc,Tucana,Toucan,큰부리새자리
+UMa,Ursa Major,Great Bear,큰곰자리
+UMi,Ursa Minor,Little Bear,작은곰자리
+Vel,Vela,Sails,돛자리
+Vir,Virgo,Maiden,처녀자리
+Vol,Volans,Flying Fish,날치자리
+Vul,Vulpecula,Fox,여우자리`;
+
+/**
+ * IAU 별자리 경계 판별표 (CSV 형식, B1875.0 분점)
+ *
+ * 1930년 IAU가 B1875.0 분점의 적경선/적위선으로 정한 별자리 경계를 판별용으로 정리한 표입니다.
+ * 위에서부터 차례로 보아 "적위 하한 ≤ 적위"이고 "적경 하한 ≤ 적경 < 적경 상한"인 첫 행의 별자리가 답입니다.
+ *
+ * CSV 컬럼 형식:
+ * 1. 적경 하한 (시간 단위, B1875.0)
+ * 2. 적경 상한 (시간 단위, B1875.0)
+ * 3. 적위 하한 (도 단위, B1875.0)
+ * 4. IAU 별자리 약자
+ *
+ * 출처: N. G. Roman, "Identification of a Constellation from a Position", PASP 99, 695 (1987), CDS VI/42.
+ * astronomy-engine (Copyright (c) 2019-2023, Don Cross, MIT)에 수록된 같은 표를 시간/도 단위로 바꿨습니다.
+ *
+ * @constant {string}
+ */
+export const CONSTELLATION_BOUNDS = `0.0000,24.0000,88.0000,UMi
+8.0000,14.5000,86.5000,UMi
+21.0000,23.0000,86.1667,UMi
+18.0000,21.0000,86.0000,UMi
+0.0000,8.0000,85.0000,Cep
+9.1667,10.6667,82.0000,Cam
+0.0000,5.0000,80.0000,Cep
+10.6667,14.5000,80.0000,Cam
+17.5000,18.0000,80.0000,UMi
+20.1667,21.0000,80.0000,Dra
+0.0000,3.5083,77.0000,Cep
+11.5000,13.5833,77.0000,Cam
+16.5333,17.5000,75.0000,UMi
+20.1667,20.6667,75.0000,Cep
+7.9667,9.1667,73.5000,Cam
+9.1667,11.3333,73.5000,Dra
+13.0000,16.5333,70.0000,UMi
+3.1000,3.4167,68.0000,Cas
+20.4167,20.6667,67.0000,Dra
+11.3333,12.0000,66.5000,Dra
+0.0000,0.3333,66.0000,Cep
+14.0000,15.6667,66.0000,UMi
+23.5833,24.0000,66.0000,Cep
+12.0000,13.5000,64.0000,Dra
+13.5000,14.4167,63.0000,Dra
+23.1667,23.5833,63.0000,Cep
+6.1000,7.0000,62.0000,Cam
+20.0000,20.4167,61.5000,Dra
+20.5367,20.6000,60.9167,Cep
+7.0000,7.9667,60.0000,Cam
+7.9667,8.4167,60.0000,UMa
+19.7667,20.0000,59.5000,Dra
+20.0000,20.5367,59.5000,Cep
+22.8667,23.1667,59.0833,Cep
+0.0000,2.4333,58.5000,Cas
+19.4167,19.7667,58.0000,Dra
+1.7000,1.9083,57.5000,Cas
+2.4333,3.1000,57.0000,Cas
+3.1000,3.1667,57.0000,Cam
+22.3167,22.8667,56.2500,Cep
+5.0000,6.1000,56.0000,Cam
+14.0333,14.4167,55.5000,UMa
+14.4167,19.4167,55.5000,Dra
+3.1667,3.3333,55.0000,Cam
+22.1333,22.3167,55.0000,Cep
+20.6000,21.9667,54.8333,Cep
+0.0000,1.7000,54.0000,Cas
+6.1000,6.5000,54.0000,Lyn
+12.0833,13.5000,53.0000,UMa
+15.2500,15.7500,53.0000,Dra
+21.9667,22.1333,52.7500,Cep
+3.3333,5.0000,52.5000,Cam
+22.8667,23.3333,52.5000,Cas
+15.7500,17.0000,51.5000,Dra
+2.0417,2.5167,50.5000,Per
+17.0000,18.2333,50.5000,Dra
+0.0000,1.3667,50.0000,Cas
+1.3667,1.6667,50.0000,Per
+6.5000,6.8000,50.0000,Lyn
+23.3333,24.0000,50.0000,Cas
+13.5000,14.0333,48.5000,UMa
+0.0000,1.1167,48.0000,Cas
+23.5833,24.0000,48.0000,Cas
+18.1750,18.2333,47.5000,Her
+18.2333,19.0833,47.5000,Dra
+19.0833,19.1667,47.5000,Cyg
+1.6667,2.0417,47.0000,Per
+8.4167,9.1667,47.0000,UMa
+0.1667,0.8667,46.0000,Cas
+12.0000,12.0833,45.0000,UMa
+6.8000,7.3667,44.5000,Lyn
+21.9083,21.9667,44.0000,Cyg
+21.8750,21.9083,43.7500,Cyg
+19.1667,19.4000,43.5000,Cyg
+9.1667,10.1667,42.0000,UMa
+10.1667,10.7833,40.0000,UMa
+15.4333,15.7500,40.0000,Boo
+15.7500,16.3333,40.0000,Her
+9.2500,9.5833,39.7500,Lyn
+0.0000,2.5167,36.7500,And
+2.5167,2.5667,36.7500,Per
+19.3583,19.4000,36.5000,Lyr
+4.5000,4.6917,36.0000,Per
+21.7333,21.8750,36.0000,Cyg
+21.8750,22.0000,36.0000,Lac
+6.5333,7.3667,35.5000,Aur
+7.3667,7.7500,35.5000,Lyn
+0.0000,2.0000,35.0000,And
+22.0000,22.8167,35.0000,Lac
+22.8167,22.8667,34.5000,Lac
+22.8667,23.5000,34.5000,And
+2.5667,2.7167,34.0000,Per
+10.7833,11.0000,34.0000,UMa
+12.0000,12.3333,34.0000,CVn
+7.7500,9.2500,33.5000,Lyn
+9.2500,9.8833,33.5000,LMi
+0.7167,1.4083,33.0000,And
+15.1833,15.4333,33.0000,Boo
+23.5000,23.7500,32.0833,And
+12.3333,13.2500,32.0000,CVn
+23.7500,24.0000,31.3333,And
+13.9583,14.0333,30.7500,CVn
+2.4167,2.7167,30.6667,Tri
+2.7167,4.5000,30.6667,Per
+4.5000,4.7500,30.0000,Aur
+18.1750,19.3583,30.0000,Lyr
+11.0000,12.0000,29.0000,UMa
+19.6667,20.9167,29.0000,Cyg
+4.7500,5.8833,28.5000,Aur
+9.8833,10.5000,28.5000,LMi
+13.2500,13.9583,28.5000,CVn
+0.0000,0.0667,28.0000,And
+1.4083,1.6667,28.0000,Tri
+5.8833,6.5333,28.0000,Aur
+7.8833,8.0000,28.0000,Gem
+20.9167,21.7333,28.0000,Cyg
+19.2583,19.6667,27.5000,Cyg
+1.9167,2.4167,27.2500,Tri
+16.1667,16.3333,27.0000,CrB
+15.0833,15.1833,26.0000,Boo
+15.1833,16.1667,26.0000,CrB
+18.3667,18.8667,26.0000,Lyr
+10.7500,11.0000,25.5000,LMi
+18.8667,19.2583,25.5000,Lyr
+1.6667,1.9167,25.0000,Tri
+0.7167,0.8500,23.7500,Psc
+10.5000,10.7500,23.5000,LMi
+21.2500,21.4167,23.5000,Vul
+5.7000,5.8833,22.8333,Tau
+0.0667,0.1417,22.0000,And
+15.9167,16.0333,22.0000,Ser
+5.8833,6.2167,21.5000,Gem
+19.8333,20.2500,21.2500,Vul
+18.8667,19.2500,21.0833,Vul
+0.1417,0.8500,21.0000,And
+20.2500,20.5667,20.5000,Vul
+7.8083,7.8833,20.0000,Gem
+20.5667,21.2500,19.5000,Vul
+19.2500,19.8333,19.1667,Vul
+3.2833,3.3667,19.0000,Ari
+18.8667,19.0000,18.5000,Sge
+5.7000,5.7667,18.0000,Ori
+6.2167,6.3083,17.5000,Gem
+19.0000,19.8333,16.1667,Sge
+4.9667,5.3333,16.0000,Tau
+15.9167,16.0833,16.0000,Her
+19.8333,20.2500,15.7500,Sge
+4.6167,4.9667,15.5000,Tau
+5.3333,5.6000,15.5000,Tau
+12.8333,13.5000,15.0000,Com
+17.2500,18.2500,14.3333,Her
+11.8667,12.8333,14.0000,Com
+7.5000,7.8083,13.5000,Gem
+16.7500,17.2500,12.8333,Her
+0.0000,0.1417,12.5000,Peg
+5.6000,5.7667,12.5000,Tau
+7.0000,7.5000,12.5000,Gem
+21.1167,21.3333,12.5000,Peg
+6.3083,6.9333,12.0000,Gem
+18.2500,18.8667,12.0000,Her
+20.8750,21.0500,11.8333,Del
+21.0500,21.1167,11.8333,Peg
+11.5167,11.8667,11.0000,Leo
+6.2417,6.3083,10.0000,Ori
+6.9333,7.0000,10.0000,Gem
+7.8083,7.9250,10.0000,Cnc
+23.8333,24.0000,10.0000,Peg
+1.6667,3.2833,9.9167,Ari
+20.1417,20.3000,8.5000,Del
+13.5000,15.0833,8.0000,Boo
+22.7500,23.8333,7.5000,Peg
+7.9250,9.2500,7.0000,Cnc
+9.2500,10.7500,7.0000,Leo
+18.2500,18.6622,6.2500,Oph
+18.6622,18.8667,6.2500,Aql
+20.8333,20.8750,6.0000,Del
+7.0000,7.0167,5.5000,CMi
+18.2500,18.4250,4.5000,Ser
+16.0833,16.7500,4.0000,Her
+18.2500,18.4250,3.0000,Oph
+21.4667,21.6667,2.7500,Peg
+0.0000,2.0000,2.0000,Psc
+18.5833,18.8667,2.0000,Ser
+20.3000,20.8333,2.0000,Del
+20.8333,21.3333,2.0000,Equ
+21.3333,21.4667,2.0000,Peg
+22.0000,22.7500,2.0000,Peg
+21.6667,22.0000,1.7500,Peg
+7.0167,7.2000,1.5000,CMi
+3.5833,4.6167,0.0000,Tau
+4.6167,4.6667,0.0000,Ori
+7.2000,8.0833,0.0000,CMi
+14.6667,15.0833,0.0000,Vir
+17.8333,18.2500,0.0000,Oph
+2.6500,3.2833,-1.7500,Cet
+3.2833,3.5833,-1.7500,Tau
+15.0833,16.2667,-3.2500,Ser
+4.6667,5.0833,-4.0000,Ori
+5.8333,6.2417,-4.0000,Ori
+17.8333,17.9667,-4.0000,Ser
+18.2500,18.5833,-4.0000,Ser
+18.5833,18.8667,-4.0000,Aql
+22.7500,23.8333,-4.0000,Psc
+10.7500,11.5167,-6.0000,Leo
+11.5167,11.8333,-6.0000,Vir
+0.0000,0.3333,-7.0000,Psc
+23.8333,24.0000,-7.0000,Psc
+14.2500,14.6667,-8.0000,Vir
+15.9167,16.2667,-8.0000,Oph
+20.0000,20.5333,-9.0000,Aql
+21.3333,21.8667,-9.0000,Aqr
+17.1667,17.9667,-10.0000,Oph
+5.8333,8.0833,-11.0000,Mon
+4.9167,5.0833,-11.0000,Eri
+5.0833,5.8333,-11.0000,Ori
+8.0833,8.3667,-11.0000,Hya
+9.5833,10.7500,-11.0000,Sex
+11.8333,12.8333,-11.0000,Vir
+17.5833,17.6667,-11.6667,Oph
+18.8667,20.0000,-12.0333,Aql
+4.8333,4.9167,-14.5000,Eri
+20.5333,21.3333,-15.0000,Aqr
+17.1667,18.2500,-16.0000,Ser
+18.2500,18.8667,-16.0000,Sct
+8.3667,8.5833,-17.0000,Hya
+16.2667,16.3750,-18.2500,Oph
+8.5833,9.0833,-19.0000,Hya
+10.7500,10.8333,-19.0000,Crt
+16.2667,16.3750,-19.2500,Sco
+15.6667,15.9167,-20.0000,Lib
+12.5833,12.8333,-22.0000,Crv
+12.8333,14.2500,-22.0000,Vir
+9.0833,9.7500,-24.0000,Hya
+1.6667,2.6500,-24.3833,Cet
+2.6500,3.7500,-24.3833,Eri
+10.8333,11.8333,-24.5000,Crt
+11.8333,12.5833,-24.5000,Crv
+14.2500,14.9167,-24.5000,Lib
+16.2667,16.7500,-24.5833,Oph
+0.0000,1.6667,-25.5000,Cet
+21.3333,21.8667,-25.5000,Cap
+21.8667,23.8333,-25.5000,Aqr
+23.8333,24.0000,-25.5000,Cet
+9.7500,10.2500,-26.5000,Hya
+4.7000,4.8333,-27.2500,Eri
+4.8333,6.1167,-27.2500,Lep
+20.0000,21.3333,-28.0000,Cap
+10.2500,10.5833,-29.1667,Hya
+12.5833,14.9167,-29.5000,Hya
+14.9167,15.6667,-29.5000,Lib
+15.6667,16.0000,-29.5000,Sco
+4.5833,4.7000,-30.0000,Eri
+16.7500,17.6000,-30.0000,Oph
+17.6000,17.8333,-30.0000,Sgr
+10.5833,10.8333,-31.1667,Hya
+6.1167,7.3667,-33.0000,CMa
+12.2500,12.5833,-33.0000,Hya
+10.8333,12.2500,-35.0000,Hya
+3.5000,3.7500,-36.0000,For
+8.3667,9.3667,-36.7500,Pyx
+4.2667,4.5833,-37.0000,Eri
+17.8333,19.1667,-37.0000,Sgr
+21.3333,23.0000,-37.0000,PsA
+23.0000,23.3333,-37.0000,Scl
+3.0000,3.5000,-39.5833,For
+9.3667,11.0000,-39.7500,Ant
+0.0000,1.6667,-40.0000,Scl
+1.6667,3.0000,-40.0000,For
+3.8667,4.2667,-40.0000,Eri
+23.3333,24.0000,-40.0000,Scl
+14.1667,14.9167,-42.0000,Cen
+15.6667,16.0000,-42.0000,Lup
+16.0000,16.4208,-42.0000,Sco
+4.8333,5.0000,-43.0000,Cae
+5.0000,6.5833,-43.0000,Col
+8.0000,8.3667,-43.0000,Pup
+3.4167,3.8667,-44.0000,Eri
+16.4208,17.8333,-45.5000,Sco
+17.8333,19.1667,-45.5000,CrA
+19.1667,20.3333,-45.5000,Sgr
+20.3333,21.3333,-45.5000,Mic
+3.0000,3.4167,-46.0000,Eri
+4.5000,4.8333,-46.5000,Cae
+15.3333,15.6667,-48.0000,Lup
+0.0000,2.3333,-48.1667,Phe
+2.6667,3.0000,-49.0000,Eri
+4.0833,4.2667,-49.0000,Hor
+4.2667,4.5000,-49.0000,Cae
+21.3333,22.0000,-50.0000,Gru
+6.0000,8.0000,-50.7500,Pup
+8.0000,8.1667,-50.7500,Vel
+2.4167,2.6667,-51.0000,Eri
+3.8333,4.0833,-51.0000,Hor
+0.0000,1.8333,-51.5000,Phe
+6.0000,6.1667,-52.5000,Car
+8.1667,8.4500,-53.0000,Vel
+3.5000,3.8333,-53.1667,Hor
+3.8333,4.0000,-53.1667,Dor
+0.0000,1.5833,-53.5000,Phe
+2.1667,2.4167,-54.0000,Eri
+4.5000,5.0000,-54.0000,Pic
+15.0500,15.3333,-54.0000,Lup
+8.4500,8.8333,-54.5000,Vel
+6.1667,6.5000,-55.0000,Car
+11.8333,12.8333,-55.0000,Cen
+14.1667,15.0500,-55.0000,Lup
+15.0500,15.3333,-55.0000,Nor
+4.0000,4.3333,-56.5000,Dor
+8.8333,11.0000,-56.5000,Vel
+11.0000,11.2500,-56.5000,Cen
+17.5000,18.0000,-57.0000,Ara
+18.0000,20.3333,-57.0000,Tel
+22.0000,23.3333,-57.0000,Gru
+3.2000,3.5000,-57.5000,Hor
+5.0000,5.5000,-57.5000,Pic
+6.5000,6.8333,-58.0000,Car
+0.0000,1.3333,-58.5000,Phe
+1.3333,2.1667,-58.5000,Eri
+23.3333,24.0000,-58.5000,Phe
+4.3333,4.5833,-59.0000,Dor
+15.3333,16.4208,-60.0000,Nor
+20.3333,21.3333,-60.0000,Ind
+5.5000,6.0000,-61.0000,Pic
+15.1667,15.3333,-61.0000,Cir
+16.4208,16.5833,-61.0000,Ara
+14.9167,15.1667,-63.5833,Cir
+16.5833,16.7500,-63.5833,Ara
+6.0000,6.8333,-64.0000,Pic
+6.8333,9.0333,-64.0000,Car
+11.2500,11.8333,-64.0000,Cen
+11.8333,12.8333,-64.0000,Cru
+12.8333,14.5333,-64.0000,Cen
+13.5000,13.6667,-65.0000,Cir
+16.7500,16.8333,-65.0000,Ara
+2.1667,3.2000,-67.5000,Hor
+3.2000,4.5833,-67.5000,Ret
+14.7500,14.9167,-67.5000,Cir
+16.8333,17.5000,-67.5000,Ara
+17.5000,18.0000,-67.5000,Pav
+22.0000,23.3333,-67.5000,Tuc
+4.5833,6.5833,-70.0000,Dor
+13.6667,14.7500,-70.0000,Cir
+14.7500,17.0000,-70.0000,TrA
+0.0000,1.3333,-75.0000,Tuc
+3.5000,4.5833,-75.0000,Hyi
+6.5833,9.0333,-75.0000,Vol
+9.0333,11.2500,-75.0000,Car
+11.2500,13.6667,-75.0000,Mus
+18.0000,21.3333,-75.0000,Pav
+21.3333,23.3333,-75.0000,Ind
+23.3333,24.0000,-75.0000,Tuc
+0.7500,1.3333,-76.0000,Tuc
+0.0000,3.5000,-82.5000,Hyi
+7.6667,13.6667,-82.5000,Cha
+13.6667,18.0000,-82.5000,Aps
+3.5000,7.6667,-85.0000,Men
+0.0000,24.0000,-90.0000,Oct`;
+
+/**
+ * IAU 별자리 경계선 (B1875.0 분점)
+ *
+ * CONSTELLATION_BOUNDS에서 서로 다른 별자리가 맞닿는 변을 모아 이은 꺾은선입니다.
+ * 모든 선분은 B1875.0의 적경선(적경 일정) 또는 적위선(적위 일정)을 따라갑니다.
+ * 적위선을 따라가는 선분은 0h를 지나더라도 짧은 쪽(12시간 미만)으로 이어집니다.
+ *
+ * 데이터 형식: [꺾은선][RA1, Dec1, RA2, Dec2, ...]
+ * - RA: 적경 (시간 단위, B1875.0)
+ * - Dec: 적위 (도 단위, B1875.0)
+ *
+ * J2000.0 좌표로 세차 보정한 선은 AstroConstellation.boundaryLines()를 사용하세요.
+ *
+ * @constant {number[][]}
+ */
+export const CONSTELLATION_BOUNDARY_LINES = [
+    [11,-56.5,11.25,-56.5,11.25,-64],
+    [11,-56.5,11,-39.75],
+    [11,-56.5,8.8333,-56.5,8.8333,-54.5,8.45,-54.5,8.45,-53,8.1667,-53,8.1667,-50.75,8,-50.75],
+    [15.9167,-8,15.9167,-20,15.6667,-20,15.6667,-29.5],
+    [15.9167,-8,15.9167,-3.25],
+    [15.9167,-8,16.2667,-8,16.2667,-18.25,16.375,-18.25,16.375,-19.25,16.2667,-19.25,16.2667,-24.5833,16.75,-24.5833,16.75,-30,17.6,-30],
+    [20.25,20.5,20.5667,20.5,20.5667,19.5,21.05,19.5],
+    [20.25,20.5,20.25,21.25,19.8333,21.25,19.8333,19.1667,19.25,19.1667,19.25,21.0833,18.8667,21.0833],
+    [20.25,20.5,20.25,15.75,20.1417,15.75],
+    [18,-45.5,18,-57],
+    [18,-45.5,17.8333,-45.5],
+    [18,-45.5,19.1667,-45.5],
+    [8.3667,-36.75,8.3667,-43,8,-43,8,-50.75],
+    [8.3667,-36.75,9.3667,-36.75],
+    [8.3667,-36.75,8.3667,-17],
+    [9.25,7,8.0833,7],
+    [9.25,7,9.25,33.5],
+    [9.25,7,9.5833,7],
+    [13.5,28.5,13.5,15],
+    [13.5,28.5,13.25,28.5,13.25,32,12.3333,32,12.3333,34,12,34],
+    [13.5,28.5,13.9583,28.5,13.9583,30.75,14.0333,30.75,14.0333,48.5],
+    [14.4167,55.5,14.4167,63,13.5,63,13.5,64,12,64,12,66.5,11.3333,66.5,11.3333,73.5,9.1667,73.5],
+    [14.4167,55.5,15.25,55.5,15.25,53,15.75,53,15.75,51.5],
+    [14.4167,55.5,14.0333,55.5,14.0333,48.5],
+    [11,-39.75,9.3667,-39.75,9.3667,-36.75],
+    [11,-39.75,11,-35],
+    [3.5,-82.5,0,-82.5,0,-75],
+    [3.5,-82.5,3.5,-85,7.6667,-85,7.6667,-82.5],
+    [3.5,-82.5,3.5,-75,4.5833,-75,4.5833,-70],
+    [23,-25.5,21.8667,-25.5],
+    [23,-25.5,23,-37],
+    [23,-25.5,23.8333,-25.5],
+    [20.3333,-45.5,19.1667,-45.5],
+    [20.3333,-45.5,21.3333,-45.5],
+    [20.3333,-45.5,20.3333,-57],
+    [20.3333,-45.5,20.3333,-28],
+    [8,33.5,8,28,7.8833,28,7.8833,20,7.8083,20,7.8083,13.5],
+    [8,33.5,7.75,33.5,7.75,35.5,7.3667,35.5],
+    [8,33.5,9.25,33.5],
+    [19.1667,-45.5,19.1667,-37,17.8333,-37],
+    [11.8333,-24.5,12.5833,-24.5,12.5833,-22,12.8333,-22],
+    [11.8333,-24.5,11.8333,-11],
+    [11.8333,-24.5,10.8333,-24.5,10.8333,-19,10.75,-19,10.75,-11],
+    [21.8667,-25.5,21.8667,-9,21.3333,-9,21.3333,-15,20.5333,-15,20.5333,-9],
+    [21.8667,-25.5,21.3333,-25.5,21.3333,-28],
+    [21.3333,-37,21.3333,-28],
+    [21.3333,-37,23,-37],
+    [21.3333,-37,21.3333,-45.5],
+    [21.3333,-45.5,21.3333,-50,22,-50,22,-57],
+    [4.8333,-27.25,4.8333,-14.5,4.9167,-14.5,4.9167,-11,5.0833,-11],
+    [4.8333,-27.25,5,-27.25],
+    [4.8333,-27.25,4.7,-27.25,4.7,-30,4.5833,-30,4.5833,-37,4.2667,-37,4.2667,-40],
+    [21.3333,-75,18,-75],
+    [21.3333,-75,21.3333,-60,20.3333,-60,20.3333,-57],
+    [21.3333,-75,23.3333,-75],
+    [7.9667,60,8.4167,60,8.4167,47,9.1667,47,9.1667,42,9.5833,42],
+    [7.9667,60,7.9667,73.5,9.1667,73.5],
+    [7.9667,60,7,60,7,62,6.1,62,6.1,56],
+    [6.5833,-33,6.1167,-33,6.1167,-27.25],
+    [6.5833,-33,6.5833,-43,6,-43],
+    [6.5833,-33,7.3667,-33,7.3667,-11],
+    [17.8333,-37,17.8333,-45.5],
+    [17.8333,-37,17.8333,-30,17.6,-30],
+    [20.5333,2,20.8333,2],
+    [20.5333,2,20.5333,-9],
+    [20.5333,2,20.3,2,20.3,8.5,20.1417,8.5,20.1417,15.75],
+    [3.3667,30.6667,2.7167,30.6667],
+    [3.3667,30.6667,3.3667,19,3.2833,19,3.2833,9.9167],
+    [3.3667,30.6667,4.5,30.6667],
+    [16.4208,-60,15.3333,-60],
+    [16.4208,-60,16.4208,-45.5],
+    [16.4208,-60,16.4208,-61,16.5833,-61,16.5833,-63.5833,16.75,-63.5833,16.75,-65,16.8333,-65,16.8333,-67.5,17,-67.5],
+    [6.5833,-64,6.8333,-64],
+    [6.5833,-64,6,-64,6,-61,5.5,-61,5.5,-57.5,5,-57.5,5,-54,4.5,-54,4.5,-49],
+    [6.5833,-64,6.5833,-70],
+    [9.25,33.5,9.8833,33.5,9.8833,28.5,10.5,28.5,10.5,23.5,10.75,23.5,10.75,25.5,11,25.5,11,29],
+    [9.25,33.5,9.25,39.75,9.5833,39.75,9.5833,42],
+    [1.6667,-40,1.6667,-25.5],
+    [1.6667,-40,2.3333,-40],
+    [1.6667,-40,23.3333,-40],
+    [15.0833,8,13.5,8,13.5,15],
+    [15.0833,8,15.0833,26,15.1833,26],
+    [15.0833,8,15.0833,0],
+    [20.3333,-57,18,-57],
+    [15.0833,0,15.0833,-3.25,15.9167,-3.25],
+    [15.0833,0,14.6667,0,14.6667,-8,14.25,-8,14.25,-22],
+    [3.8333,-53.1667,3.8333,-51,4.0833,-51,4.0833,-49,4.2667,-49],
+    [3.8333,-53.1667,3.5,-53.1667,3.5,-57.5,3.2,-57.5,3.2,-67.5],
+    [3.8333,-53.1667,4,-53.1667,4,-56.5,4.3333,-56.5,4.3333,-59,4.5833,-59,4.5833,-67.5],
+    [22.75,2,22,2,22,1.75,21.6667,1.75,21.6667,2.75,21.4667,2.75,21.4667,2,21.3333,2],
+    [22.75,2,22.75,7.5,23.8333,7.5,23.8333,10,0,10,0,12.5,0.1417,12.5,0.1417,21],
+    [22.75,2,22.75,-4,23.8333,-4,23.8333,-7],
+    [22.8667,56.25,22.8667,52.5],
+    [22.8667,56.25,22.3167,56.25,22.3167,55,22.1333,55,22.1333,52.75,21.9667,52.75],
+    [22.8667,56.25,22.8667,59.0833,23.1667,59.0833,23.1667,63,23.5833,63,23.5833,66,0.3333,66,0.3333,77,3.4167,77],
+    [22.8667,52.5,23.3333,52.5,23.3333,50,23.5833,50,23.5833,48,0.1667,48,0.1667,46,0.8667,46,0.8667,48,1.1167,48,1.1167,50,1.3667,50],
+    [22.8667,52.5,22.8667,34.5],
+    [3.2833,9.9167,2,9.9167],
+    [3.2833,9.9167,3.2833,-1.75],
+    [5.8833,28,6.5333,28,6.5333,35.5,7.3667,35.5],
+    [5.8833,28,5.8833,28.5,4.75,28.5,4.75,30,4.5,30,4.5,30.6667],
+    [5.8833,28,5.8833,22.8333],
+    [8.0833,7,8.0833,0],
+    [8.0833,7,7.925,7,7.925,10,7.8083,10,7.8083,13.5],
+    [8.0833,-11,7.3667,-11],
+    [8.0833,-11,8.0833,0],
+    [8.0833,-11,8.3667,-11,8.3667,-17],
+    [13.6667,-70,14.75,-70],
+    [13.6667,-70,13.6667,-75],
+    [13.6667,-70,13.6667,-65,13.5,-65,13.5,-64],
+    [23.8333,-7,0.3333,-7,0.3333,2,2,2,2,9.9167],
+    [23.8333,-7,23.8333,-25.5],
+    [5,-43,5,-27.25],
+    [5,-43,6,-43],
+    [5,-43,4.8333,-43,4.8333,-46.5,4.5,-46.5,4.5,-49],
+    [9.5833,42,10.1667,42,10.1667,40,10.7833,40,10.7833,34,11,34,11,29],
+    [10.75,-6,10.75,7,9.5833,7],
+    [10.75,-6,11.5167,-6],
+    [10.75,-6,10.75,-11],
+    [1.6667,-25.5,23.8333,-25.5],
+    [1.6667,-25.5,1.6667,-24.3833,2.65,-24.3833],
+    [13.6667,-75,13.6667,-82.5],
+    [13.6667,-75,11.25,-75],
+    [9.5833,7,9.5833,-11,10.75,-11],
+    [21.875,36,21.875,43.75,21.9083,43.75,21.9083,44,21.9667,44,21.9667,52.75],
+    [21.875,36,21.7333,36,21.7333,28,21.4167,28],
+    [21.875,36,22,36,22,35,22.8167,35,22.8167,34.5,22.8667,34.5],
+    [11.8667,14,12.8333,14,12.8333,15,13.5,15],
+    [11.8667,14,11.8667,29],
+    [11.8667,14,11.8667,11,11.5167,11,11.5167,-6],
+    [16.2667,4,16.0833,4,16.0833,16,15.9167,16,15.9167,22,16.0333,22,16.0333,26],
+    [16.2667,4,16.75,4,16.75,12.8333,17.25,12.8333,17.25,14.3333,18.25,14.3333,18.25,12,18.6622,12],
+    [16.2667,4,16.2667,-3.25,15.9167,-3.25],
+    [20,59.5,20.5367,59.5,20.5367,60.9167,20.6,60.9167,20.6,54.8333,21.9667,54.8333,21.9667,52.75],
+    [20,59.5,19.7667,59.5,19.7667,58,19.4167,58,19.4167,55.5,19.0833,55.5,19.0833,47.5],
+    [20,59.5,20,61.5,20.4167,61.5,20.4167,67,20.6667,67,20.6667,75,20.1667,75,20.1667,80,21,80,21,86],
+    [6.1,56,6.1,54,6.5,54,6.5,50,6.8,50,6.8,44.5,7.3667,44.5,7.3667,35.5],
+    [6.1,56,5,56,5,52.5,4.6917,52.5],
+    [11.5167,-6,11.8333,-6,11.8333,-11],
+    [9.1667,73.5,9.1667,82,10.6667,82,10.6667,80,11.5,80,11.5,77,13,77],
+    [21.05,11.8333,21.1167,11.8333,21.1167,12.5,21.3333,12.5,21.3333,2],
+    [21.05,11.8333,20.875,11.8333,20.875,6,20.8333,6,20.8333,2],
+    [21.05,11.8333,21.05,19.5],
+    [4.5,30.6667,4.5,36,4.6917,36,4.6917,52.5],
+    [23,-37,23.3333,-37,23.3333,-40],
+    [6,-43,6,-50.75],
+    [21.4167,28,21.4167,23.5,21.25,23.5,21.25,19.5,21.05,19.5],
+    [21.4167,28,20.9167,28,20.9167,29,19.6667,29,19.6667,27.5,19.2583,27.5],
+    [12,34,12,45,12.0833,45,12.0833,53,13.5,53,13.5,48.5,14.0333,48.5],
+    [12,34,12,29,11.8667,29],
+    [2.1667,-58.5,2.1667,-54,2.4167,-54,2.4167,-51,2.6667,-51,2.6667,-49,3,-49,3,-46,3.4167,-46,3.4167,-44,3.8667,-44,3.8667,-40,4.2667,-40],
+    [2.1667,-58.5,2.1667,-67.5,3.2,-67.5],
+    [2.1667,-58.5,1.3333,-58.5],
+    [3.4167,77,3.4167,68,3.1,68,3.1,57],
+    [3.4167,77,3.5083,77,3.5083,80,5,80,5,85,8,85,8,86.5],
+    [21.3333,2,20.8333,2],
+    [17.8333,-45.5,16.4208,-45.5],
+    [22.8667,34.5,23.5,34.5,23.5,32.0833,23.75,32.0833,23.75,31.3333,0,31.3333,0,28,0.0667,28,0.0667,22,0.1417,22,0.1417,21],
+    [15.75,40,15.4333,40,15.4333,33,15.1833,33,15.1833,26],
+    [15.75,40,15.75,51.5],
+    [15.75,40,16.3333,40,16.3333,27,16.1667,27,16.1667,26,16.0333,26],
+    [3.2833,-1.75,3.5833,-1.75,3.5833,0,4.6167,0],
+    [3.2833,-1.75,2.65,-1.75,2.65,-24.3833],
+    [0,-75,23.3333,-75],
+    [0,-75,0.75,-75,0.75,-76,1.3333,-76,1.3333,-58.5],
+    [20.1417,15.75,19.8333,15.75,19.8333,16.1667,19,16.1667,19,18.5,18.8667,18.5],
+    [16.0333,26,15.1833,26],
+    [2.7167,30.6667,2.4167,30.6667,2.4167,27.25,1.9167,27.25,1.9167,25,1.6667,25],
+    [2.7167,30.6667,2.7167,34,2.5667,34,2.5667,36.75,2.5167,36.75],
+    [19.2583,27.5,19.2583,30,19.3583,30,19.3583,36.5,19.4,36.5,19.4,43.5,19.1667,43.5,19.1667,47.5,19.0833,47.5],
+    [19.2583,27.5,19.2583,25.5,18.8667,25.5],
+    [14.9167,-29.5,15.6667,-29.5],
+    [14.9167,-29.5,12.5833,-29.5,12.5833,-33,12.25,-33,12.25,-35,11,-35],
+    [14.9167,-29.5,14.9167,-24.5,14.25,-24.5,14.25,-22],
+    [14.9167,-29.5,14.9167,-42,14.1667,-42,14.1667,-55,14.5333,-55],
+    [16.4208,-45.5,16.4208,-42,16,-42],
+    [5,-27.25,6.1167,-27.25],
+    [16,-42,15.6667,-42,15.6667,-48,15.3333,-48,15.3333,-54,15.05,-54,15.05,-55],
+    [16,-42,16,-29.5,15.6667,-29.5],
+    [6.3083,12,6.3083,10,6.2417,10,6.2417,-4,5.8333,-4,5.8333,-11],
+    [6.3083,12,6.3083,17.5,6.2167,17.5,6.2167,21.5,5.8833,21.5,5.8833,22.8333],
+    [6.3083,12,6.9333,12,6.9333,10,7,10],
+    [4.6167,0,4.6167,15.5,4.9667,15.5,4.9667,16,5.3333,16,5.3333,15.5,5.6,15.5,5.6,12.5,5.7667,12.5,5.7667,18,5.7,18,5.7,22.8333,5.8833,22.8333],
+    [4.6167,0,4.6667,0,4.6667,-4,5.0833,-4,5.0833,-11],
+    [18.8667,-12.0333,20,-12.0333],
+    [18.8667,-12.0333,18.8667,-4,18.5833,-4],
+    [18.8667,-12.0333,18.8667,-16,18.25,-16],
+    [12.8333,-22,14.25,-22],
+    [12.8333,-22,12.8333,-11,11.8333,-11],
+    [6.8333,-64,9.0333,-64,9.0333,-75],
+    [6.8333,-64,6.8333,-58,6.5,-58,6.5,-55,6.1667,-55,6.1667,-52.5,6,-52.5,6,-50.75],
+    [4.5833,-70,6.5833,-70],
+    [4.5833,-70,4.5833,-67.5],
+    [7.6667,-82.5,13.6667,-82.5],
+    [7.6667,-82.5,7.6667,-75],
+    [3.2,-67.5,4.5833,-67.5],
+    [18.25,-16,17.6,-16],
+    [18.25,-16,18.25,-4,18.5833,-4],
+    [3.1,57,2.4333,57,2.4333,58.5,1.9083,58.5,1.9083,57.5,1.7,57.5,1.7,54,1.3667,54,1.3667,50],
+    [3.1,57,3.1667,57,3.1667,55,3.3333,55,3.3333,52.5,4.6917,52.5],
+    [2.5167,36.75,2,36.75,2,35,1.4083,35,1.4083,33],
+    [2.5167,36.75,2.5167,50.5,2.0417,50.5,2.0417,47,1.6667,47,1.6667,50,1.3667,50],
+    [6.5833,-70,6.5833,-75,7.6667,-75],
+    [17.6,-16,17.6,-30],
+    [17.6,-16,17.1667,-16,17.1667,-10,17.5833,-10,17.5833,-11.6667,17.6667,-11.6667,17.6667,-10,17.9667,-10,17.9667,-4,17.8333,-4,17.8333,0,18.25,0,18.25,3,18.425,3,18.425,4.5,18.25,4.5,18.25,6.25,18.6622,6.25],
+    [12.8333,-64,12.8333,-55,11.8333,-55,11.8333,-64],
+    [12.8333,-64,11.8333,-64],
+    [12.8333,-64,13.5,-64],
+    [6,-50.75,8,-50.75],
+    [13,77,13,70,14,70,14,66,15.6667,66,15.6667,70,16.5333,70,16.5333,75,17.5,75,17.5,80,18,80,18,86,21,86],
+    [13,77,13.5833,77,13.5833,80,14.5,80,14.5,86.5,8.5833,86.5,8,86.5],
+    [6.1167,-11,5.8333,-11],
+    [6.1167,-11,7.3667,-11],
+    [6.1167,-11,6.1167,-27.25],
+    [11,29,11.8667,29],
+    [18,-57,17.5,-57,17.5,-67.5],
+    [7.6667,-75,9.0333,-75],
+    [2.3333,-40,3,-40,3,-39.5833,3.5,-39.5833,3.5,-36,3.75,-36,3.75,-24.3833,2.65,-24.3833],
+    [2.3333,-40,2.3333,-48.1667,1.8333,-48.1667,1.8333,-51.5,1.5833,-51.5,1.5833,-53.5,1.3333,-53.5,1.3333,-58.5],
+    [15.05,-55,14.5333,-55],
+    [15.05,-55,15.3333,-55,15.3333,-60],
+    [9.0333,-75,11.25,-75],
+    [23.3333,-57,23.3333,-58.5,1.3333,-58.5],
+    [23.3333,-57,22,-57],
+    [23.3333,-57,23.3333,-40],
+    [15.75,51.5,17,51.5,17,50.5,18.2333,50.5,18.2333,47.5],
+    [14.5333,-55,14.5333,-64,13.5,-64],
+    [11,-35,10.8333,-35,10.8333,-31.1667,10.5833,-31.1667,10.5833,-29.1667,10.25,-29.1667,10.25,-26.5,9.75,-26.5,9.75,-24,9.3667,-24],
+    [17.5,-67.5,17,-67.5],
+    [17.5,-67.5,18,-67.5,18,-75],
+    [7,10,7,5.5,7.0167,5.5,7.0167,1.5,7.2,1.5,7.2,0,8.0833,0],
+    [7,10,7,12.5,7.5,12.5,7.5,13.5,7.8083,13.5],
+    [4.5,-49,4.2667,-49],
+    [0.1417,21,0.85,21,0.85,23.75,0.7167,23.75,0.7167,33,1.4083,33],
+    [19.0833,47.5,18.2333,47.5],
+    [17,-67.5,17,-70,14.75,-70],
+    [18.6622,12,18.8667,12,18.8667,18.5],
+    [18.6622,12,18.6622,6.25],
+    [23.3333,-75,23.3333,-67.5,22,-67.5,22,-57],
+    [4.2667,-49,4.2667,-40],
+    [5.8333,-11,5.0833,-11],
+    [15.3333,-60,15.3333,-61,15.1667,-61,15.1667,-63.5833,14.9167,-63.5833,14.9167,-67.5,14.75,-67.5,14.75,-70],
+    [8,86.5,8,88,2.0417,88,23,88,23,86.1667,21,86.1667,21,86],
+    [20.5333,-9,20,-9,20,-12.0333],
+    [13.6667,-82.5,18,-82.5,18,-75],
+    [1.6667,25,1.6667,28,1.4083,28,1.4083,33],
+    [1.6667,25,1.6667,9.9167,2,9.9167],
+    [20,-12.0333,20,-28,20.3333,-28],
+    [11.25,-75,11.25,-64],
+    [18.8667,21.0833,18.8667,18.5],
+    [18.8667,21.0833,18.8667,25.5],
+    [9.3667,-36.75,9.3667,-24],
+    [20.3333,-28,21.3333,-28],
+    [9.3667,-24,9.0833,-24,9.0833,-19,8.5833,-19,8.5833,-17,8.3667,-17],
+    [18.2333,47.5,18.175,47.5,18.175,30,18.3667,30,18.3667,26,18.8667,26,18.8667,25.5],
+    [11.25,-64,11.8333,-64],
+    [18.5833,-4,18.5833,2,18.8667,2,18.8667,6.25,18.6622,6.25]
+];
+
+/**
+ * 동아시아 전통 별자리 목록 (CSV 형식)
+ *
+ * 삼원(三垣) 이십팔수(二十八宿) 체계의 별자리로, Stellarium의 중국 전통 별자리(청대 자료)를 따릅니다.
+ * 명말에 서양 성도를 보고 남극 근처에 덧붙인 별자리 23개(十字架, 南船, 海山 등)는 싣지 않았습니다.
+ * 천상열차분야지도와는 별자리 수와 별 구성이 다릅니다.
+ * 같은 이름의 별자리가 여러 곳에 있으면(예: 杵) 한 번만 싣습니다.
+ *
+ * CSV 컬럼 형식:
+ * 1. 한자 이름 (예: "畢宿", "北斗") - KOREAN_CONSTELLATION_NAMES의 키
+ * 2. 한글 이름 (한자음, 예: "필수", "북두")
+ * 3. 영어 이름 (예: "Net", "Northern Dipper")
+ *
+ * 출처: d3-celestial (Copyright (c) 2015, Olaf Frohn, BSD-3-Clause)의 constellations.cn.json
+ * (Stellarium의 중국 전통 별자리 자료). 간체자를 정자로 바꾸고 한자음을 붙였습니다.
+ * 이십팔수의 宿는 '수', 參은 '삼', 車는 '거'로 읽습니다 (예: 參宿 삼수, 五車 오거).
+ *
+ * 별자리 문화로 쓰려면 skyculture.js의 SkyCulture.get('korean')을 사용하세요.
+ *
+ * @constant {string}
+ */
+export const KOREAN_CONSTELLATIONS = `畢宿,필수,Net
+壁宿,벽수,Wall
+參宿,삼수,Three Stars
+氐宿,저수,Root
+斗宿,두수,Dipper
+房宿,방수,Room
+鬼宿,귀수,Ghosts
+箕宿,기수,Winnowing Basket
+角宿,각수,Horn
+井宿,정수,Well
+亢宿,항수,Neck
+奎宿,규수,Legs
+柳宿,유수,Willow
+婁宿,누수,Bond
+昴宿,묘수,Hairy Head
+牛宿,우수,Ox
+女宿,여수,Girl
+室宿,실수,Encampment
+太微右垣,태미우원,Supreme Palace Right Wall
+太微左垣,태미좌원,Supreme Palace Left Wall
+天市右垣,천시우원,Heavenly Market Right Wall
+天市左垣,천시좌원,Heavenly Market Left Wall
+危宿,위수,Rooftop
+尾宿,미수,Tail
+胃宿,위수,Stomach
+心宿,심수,Heart
+星宿,성수,Star
+虛宿,허수,Emptiness
+翼宿,익수,Wings
+張宿,장수,Extended Net
+軫宿,진수,Chariot
+紫微右垣,자미우원,Purple Forbidden Right Wall
+紫微左垣,자미좌원,Purple Forbidden Left Wall
+觜宿,자수,Turtle Beak
+八谷,팔곡,Eight Kinds of Crops
+八魁,팔괴,Net for Catching Birds
+敗瓜,패과,Rotten Gourd
+敗臼,패구,Decayed Mortar
+北斗,북두,Northern Dipper
+北河,북하,North River
+北極,북극,Northern Pole
+北落師門,북락사문,North Gate of the Military Camp
+鱉,별,River Turtle
+帛度,백도,Textile Ruler
+參旗,삼기,Banner of Three Stars
+廁,측,Toilet
+策,책,Whip
+常陳,상진,Royal Guards
+車府,거부,Big Yard for Chariots
+車騎,거기,Chariots and Cavalry
+車肆,거사,Commodity Market
+芻藁,추고,Hay
+杵,저,Pestle
+長沙,장사,Changsha
+傳舍,전사,Guest House
+從官,종관,Retinue
+大角,대각,Great Horn
+大理,대리,Chief Judge
+大陵,대릉,Mausoleum
+帝席,제석,Mattress of the Emperor
+帝座,제좌,Emperor's Seat
+東咸,동함,Eastern Door
+斗,두,Dipper for Liquids
+頓頑,돈완,Trials
+伐,벌,Send Armed Forces To Suppress
+罰,벌,Punishment
+墳墓,분묘,Tomb
+鈇鉞,부월,Axe
+鈇鑕,부질,Sickle
+扶筐,부광,Basket for Mulberry Leaves
+附路,부로,Auxiliary Road
+傅說,부열,Fu Yue
+蓋屋,개옥,Roofing
+杠,강,Canopy Support
+閣道,각도,Flying Corridor
+梗河,경하,Celestial Lance
+勾陳,구진,Curved Array
+鉤鈐,구검,Lock
+狗,구,Dog
+狗國,구국,Territory of Dog
+貫索,관색,Coiled Thong
+爟,관,Beacon Fire
+龜,귀,Tortoise
+河鼓,하고,Drum at the River
+衡,형,Railings
+候,후,Astrologer
+弧矢,호시,Bow and Arrow
+斛,곡,Dipper for Solids
+虎賁,호분,Emperor's Bodyguard
+瓠瓜,호과,Good Gourd
+華蓋,화개,Canopy of the Emperor
+宦者,환자,Eunuch Official
+積尸,적시,Cumulative Corpses
+積水,적수,Stored Water
+積薪,적신,Pile of Firewood
+積卒,적졸,Group of Soldiers
+建,건,Establishment
+漸臺,점대,Clepsydra Terrace
+鍵閉,건폐,Door Bolt
+進賢,진현,Recommending Virtuous Men
+九坎,구감,Nine Water Wells
+九卿,구경,Nine Senior Officers
+九斿,구유,Imperial Military Flag
+九州殊口,구주수구,Interpreters of Nine Dialects
+酒旗,주기,Banner of Wine Shop
+臼,구,Mortar
+卷舌,권설,Rolled Tongue
+軍井,군정,Military Well
+軍南門,군남문,Southern Military Gate
+軍市,군시,Market for Soldiers
+糠,강,Chaff
+亢池,항지,Boats and Lake
+哭,곡,Crying
+庫樓,고루,Arsenal
+郎將,낭장,Captain of the Bodyguards
+郎位,낭위,Officers of the Imperial Guard
+老人,노인,Old Man
+雷電,뇌전,Thunder and Lightning
+壘壁陣,누벽진,Line of Ramparts
+離宮,이궁,Resting Palace
+離瑜,이유,Jade Ornament on Ladies' Wear
+離珠,이주,Pearls on Ladies' Wear
+礪石,여석,Whetstone
+列肆,열사,Jewel Market
+靈臺,영대,Astronomical Observatory
+六甲,육갑,Six Jia
+羅堰,나언,Network of Dykes
+明堂,명당,The Hall of Glory
+南河,남하,South River
+南門,남문,Southern Gate
+內廚,내주,Inner Kitchen
+內階,내계,Inner Steps
+內平,내평,High Judge
+內屏,내병,Inner Screen
+輦道,연도,Imperial Passageway
+農丈人,농장인,Peasant
+女牀,여상,Woman's Bed
+女史,여사,Female Protocol
+霹靂,벽력,Thunderbolt
+平,평,Judging
+平道,평도,Flat Road
+屏,병,Screen
+七公,칠공,Seven Excellencies
+騎官,기관,Imperial Guards
+騎陣將軍,기진장군,Chariots and Cavalry General
+泣,읍,Weeping
+青丘,청구,Green Hill
+闕丘,궐구,Palace Gate
+人,인,Humans
+日,일,Solar Star
+三公,삼공,Three Excellencies
+三師,삼사,Three Top Instructors
+三台,삼태,Three Steps
+尚書,상서,Royal Secretary
+少微,소미,Junior Officers
+神宮,신궁,Changing Room
+十二國,십이국,Twelve States
+屎,시,Excrement
+市樓,시루,Municipal Office
+勢,세,Eunuch
+水府,수부,Official for Irrigation
+水位,수위,Water Level
+司非,사비,Deified Judge of Right and Wrong
+司怪,사괴,Deity in Charge of Monsters
+司祿,사록,Deified Judge of Rank
+司命,사명,Deified Judge of Life
+司危,사위,Deified Judge of Disaster and Good Fortune
+四瀆,사독,Four Channels
+四輔,사보,Four Advisors
+孫,손,Grandson
+太陽守,태양수,Guard of the Sun
+太乙,태을,First Great One
+太子,태자,Crown Prince
+太尊,태존,Royals
+螣蛇,등사,Flying Serpent
+天阿,천아,Celestial Concave
+天棓,천부,Celestial Flail
+天弁,천변,Market Officer
+天倉,천창,Square Celestial Granary
+天讒,천참,Celestial Slander
+天廚,천주,Celestial Kitchen
+天船,천선,Celestial Boat
+天牀,천상,Celestial Bed
+天大將軍,천대장군,Great General of Heaven
+天桴,천부,Celestial Drumstick
+天輻,천복,Celestial Spokes
+天綱,천강,Materials for Making Tents
+天高,천고,Celestial High Terrace
+天鉤,천구,Celestial Hook
+天狗,천구,Celestial Dog
+天關,천관,Celestial Pass
+天皇大帝,천황대제,Great Emperor of Heaven
+天潢,천황,Celestial Pier
+天溷,천혼,Celestial Pigsty
+天雞,천계,Celestial Cock
+天記,천기,Judge for Estimating the Age of Animals
+天紀,천기,Celestial Discipline
+天江,천강,Celestial River
+天街,천가,Celestial Street
+天節,천절,Celestial Tally
+天津,천진,Celestial Ford
+天廄,천구,Celestial Stable
+天狼,천랑,Celestial Wolf
+天牢,천뢰,Celestial Prison
+天壘城,천루성,Celestial Ramparts
+天理,천리,Judge for Nobility
+天廩,천름,Celestial Foodstuff
+天門,천문,Celestial Gate
+天錢,천전,Celestial Money
+天槍,천창,Celestial Spear
+天囷,천균,Circular Celestial Granary
+天乳,천유,Celestial Milk
+天社,천사,Celestial Earth God's Temple
+天田,천전,Celestial Farmland
+天相,천상,Celestial Premier
+天乙,천을,Celestial Great One
+天陰,천음,Celestial Yin Force
+天庾,천유,Ricks of Grain
+天淵,천연,Celestial Spring
+天園,천원,Celestial Orchard
+天苑,천원,Celestial Meadows
+天籥,천약,Celestial Keyhole
+天柱,천주,Celestial Pillar
+天樽,천준,Celestial Wine Cup
+屠肆,도사,Butcher's Shops
+土公,토공,Official for Earthworks and Buildings
+土公吏,토공리,Official for Materials Supply
+土司空,토사공,Master of Constructions
+外廚,외주,Outer Kitchen
+外屏,외병,Outer Fence
+王良,왕량,Wang Liang
+文昌,문창,Administrative Center
+五車,오거,Five Chariots
+五帝內座,오제내좌,Interior Seats of the Five Emperors
+五帝座,오제좌,Seats of the Five Emperors
+五諸侯,오제후,Five Feudal Kings
+西咸,서함,Western Door
+奚仲,해중,Xi Zhong
+咸池,함지,Pool of Harmony
+相,상,Prime Minister
+幸臣,행신,Officer of Honour
+虛梁,허량,Temple
+軒轅,헌원,Xuanyuan
+玄戈,현과,Sombre Lance
+鉞,월,Battle Axe
+陽門,양문,Gate of Yang
+野雞,야계,Wild Cockerel
+謁者,알자,Usher to the Court
+陰德,음덕,Hidden Virtue
+右更,우경,Official in Charge of Pasturing
+右旗,우기,Right Flag
+右攝提,우섭제,Right Conductor
+魚,어,Fish
+羽林軍,우림군,Palace Guard
+玉井,옥정,Jade Well
+御女,어녀,Maids-in-waiting
+月,월,Lunar Star
+附耳,부이,Whisper
+雲雨,운우,Cloud and Rain
+造父,조보,Zaofu
+長垣,장원,Long Wall
+丈人,장인,Grandfather
+招搖,초요,Twinkling Indicator
+輔,보,Assistant
+折威,절위,Executions
+陣車,진거,Battle Chariots
+右轄,우할,Right linchpin
+織女,직녀,Weaving Girl
+左轄,좌할,Left linchpin
+周鼎,주정,Tripod of the Zhou
+諸王,제왕,Feudal Kings
+柱,주,Pillars
+柱史,주사,Official of Royal Archives
+子,자,Son
+宗,종,Patriarchal Clan
+宗人,종인,Official of Religious Ceremonies
+宗正,종정,Official for the Royal Clan
+左更,좌경,Official in Charge of the Forest
+左旗,좌기,Left Flag
+左攝提,좌섭제,Left Conductor
+座旗,좌기,Seat Flags`;
+
+/**
+ * 동아시아 전통 별자리선 좌표 데이터
+ *
+ * CONSTELLATION_LINES와 같은 형식입니다: [RA1, Dec1, RA2, Dec2, ...] (J2000.0, 라디안)
+ *
+ * 출처: d3-celestial의 constellations.lines.cn.json
+ *
+ * @constant {number[]}
+ */
+export const KOREAN_CONSTELLATION_LINES = [
+1.172061897,0.334761132,1.158416912,0.312900883,
+1.158416912,0.312900883,1.147269495,0.306174384,
+1.147269495,0.306174384,1.133561679,0.272753074,
+1.203931609,0.288141642,1.171878637,0.278592946,
+1.171878637,0.278592946,1.162151917,0.272590759,
+1.162151917,0.272590759,1.133561679,0.272753074,
+1.133561679,0.272753074,1.050166356,0.21799686,
+1.203931609,0.288141642,1.21856794,0.27782151,
+0.057752945,0.265003812,0.036597809,0.507723261,
+1.549728457,0.129278283,1.486840754,-0.033904766,
+1.486840754,-0.033904766,1.467008577,-0.020977112,
+1.467008577,-0.020977112,1.44865295,-0.00522028,
+1.44865295,-0.00522028,1.372430931,-0.143144924,
+1.44865295,-0.00522028,1.418652485,0.110823172,
+1.486840754,-0.033904766,1.517373544,-0.168766357,
+3.887190329,-0.279982228,3.980317607,-0.34543033,
+3.980317607,-0.34543033,4.08200398,-0.25812547,
+4.08200398,-0.25812547,4.001196981,-0.163762498,
+4.772444015,-0.367545397,4.834434619,-0.443692366,
+4.834434619,-0.443692366,4.911602607,-0.471078328,
+4.911602607,-0.471078328,4.953530651,-0.458963997,
+4.953530651,-0.458963997,5.004469831,-0.482939585,
+5.004469831,-0.482939585,4.985585368,-0.521506126,
+4.212514465,-0.345671185,4.190245809,-0.394823147,
+4.190245809,-0.394823147,4.18378111,-0.455777026,
+4.18378111,-0.455777026,4.175197581,-0.509882233,
+2.232256915,0.315806856,2.237112421,0.356766243,
+2.237112421,0.356766243,2.283264162,0.37469601,
+2.283264162,0.37469601,2.289369324,0.316852308,
+4.737731161,-0.531000717,4.803992586,-0.520598555,
+4.803992586,-0.520598555,4.817859227,-0.600124482,
+4.817859227,-0.600124482,4.78930215,-0.641612704,
+3.513316368,-0.194801434,3.554769683,-0.010398672,
+1.911540447,0.28868444,1.850523737,0.359019463,
+1.850523737,0.359019463,1.795729125,0.379802844,
+1.795729125,0.379802844,1.762485839,0.43862044,
+1.795729125,0.379802844,1.697172127,0.352767694,
+1.697172127,0.352767694,1.670979971,0.392936446,
+1.697172127,0.352767694,1.735344223,0.28622178,
+1.735344223,0.28622178,1.850523737,0.359019463,
+1.735344223,0.28622178,1.768409486,0.225070679,
+1.670979971,0.392936446,1.635712103,0.392817764,
+3.721459099,-0.179309891,3.735067431,-0.104728482,
+3.735067431,-0.104728482,3.788247613,-0.038885936,
+3.721459099,-0.179309891,3.748574534,-0.23336972,
+0.249611754,0.408714223,0.206554481,0.42354254,
+0.206554481,0.42354254,0.217668738,0.483635972,
+0.217668738,0.483635972,0.168230541,0.51158742,
+0.168230541,0.51158742,0.171600772,0.53862606,
+0.171600772,0.53862606,0.160922848,0.588512806,
+0.160922848,0.588512806,0.217354578,0.716962058,
+0.217354578,0.716962058,0.247634296,0.671939545,
+0.247634296,0.671939545,0.304263249,0.621696752,
+0.304263249,0.621696752,0.288794395,0.561673133,
+0.288794395,0.561673133,0.312679226,0.525162591,
+0.312679226,0.525162591,0.35396499,0.501576211,
+0.35396499,0.501576211,0.346737581,0.475848313,
+0.346737581,0.475848313,0.32179159,0.429066507,
+0.32179159,0.429066507,0.311775146,0.367124772,
+0.311775146,0.367124772,0.286593535,0.374778041,
+0.286593535,0.374778041,0.249611754,0.408714223,
+2.26350529,0.058318432,2.282997127,0.059318505,
+2.282997127,0.059318505,2.305723059,0.101888831,
+2.305723059,0.101888831,2.298490414,0.112029194,
+2.258700398,0.09955009,2.298490414,0.112029194,
+2.305723059,0.101888831,2.336095279,0.103770296,
+2.336095279,0.103770296,2.382255747,0.088877401,
+2.382255747,0.088877401,2.418871009,0.040392155,
+0.55489951,0.40949613,0.500211364,0.363168111,
+0.500211364,0.363168111,0.49536982,0.336742081,
+0.981204907,0.420856479,0.982657021,0.427034944,
+0.982657021,0.427034944,0.985709602,0.428556871,
+0.985709602,0.428556871,0.9853553,0.425296596,
+0.981204907,0.420856479,0.987535216,0.417978431,
+0.987535216,0.417978431,0.99258969,0.420713362,
+0.99258969,0.420713362,0.9999096,0.419811026,
+5.327666411,-0.257984098,5.314764937,-0.218949809,
+5.314764937,-0.218949809,5.290229098,-0.220216918,
+5.327666411,-0.257984098,5.355193744,-0.317854127,
+5.355193744,-0.317854127,5.366444136,-0.324338026,
+5.366444136,-0.324338026,5.361915007,-0.310907717,
+5.355193744,-0.317854127,5.361915007,-0.310907717,
+5.44401355,-0.165732975,5.465734172,-0.156788163,
+5.465734172,-0.156788163,5.460389974,-0.098202696,
+5.460389974,-0.098202696,5.444280585,-0.087749919,
+6.042158828,0.265382549,6.037854846,0.490137323,
+3.100992805,0.030799825,2.972018209,0.105231137,
+2.972018209,0.105231137,2.984183154,0.183774444,
+2.984183154,0.183774444,2.941926987,0.269297322,
+2.941926987,0.269297322,2.941352774,0.35820614,
+3.228448964,-0.011637855,3.323372186,-0.025296802,
+3.323372186,-0.025296802,3.384209128,0.059297561,
+3.384209128,0.059297561,3.412890123,0.191274123,
+3.412890123,0.191274123,3.446972913,0.305945746,
+4.32064983,0.375064275,4.284435993,0.334284657,
+4.284435993,0.334284657,4.224026657,0.297526278,
+4.224026657,0.297526278,4.17331437,0.273346486,
+4.17331437,0.273346486,4.12852224,0.269161187,
+4.12852224,0.269161187,4.078844934,0.183938505,
+4.078844934,0.183938505,4.120146405,0.112147876,
+4.120146405,0.112147876,4.148717445,0.078150608,
+4.148717445,0.078150608,4.251384693,-0.064477699,
+4.251384693,-0.064477699,4.268733266,-0.081899575,
+4.268733266,-0.081899575,4.350926056,-0.184430687,
+4.516179066,0.433525824,4.584711164,0.45571594,
+4.584711164,0.45571594,4.653304349,0.483817486,
+4.653304349,0.483817486,4.745298909,0.502000326,
+4.745298909,0.502000326,4.940477334,0.373938538,
+4.940477334,0.373938538,4.997793946,0.241963721,
+4.997793946,0.241963721,4.957693261,0.07336666,
+4.957693261,0.07336666,4.805371396,-0.050593604,
+4.805371396,-0.050593604,4.708140849,-0.1705815,
+4.708140849,-0.1705815,4.614592946,-0.26875627,
+4.614592946,-0.26875627,4.49587216,-0.27445128,
+5.784823993,-0.005583308,5.804090682,0.108173762,
+5.804090682,0.108173762,5.69058494,0.172351264,
+4.407670201,-0.598529251,4.415117521,-0.664052402,
+4.415117521,-0.664052402,4.424390455,-0.739356378,
+4.424390455,-0.739356378,4.503617931,-0.754666406,
+4.503617931,-0.754666406,4.613423576,-0.750453181,
+4.613423576,-0.750453181,4.658217451,-0.700348269,
+4.658217451,-0.700348269,4.635978466,-0.681202007,
+4.635978466,-0.681202007,4.597235647,-0.647583475,
+4.597235647,-0.647583475,4.584822865,-0.650934507,
+4.415117521,-0.664052402,4.417147339,-0.663530548,
+0.713193892,0.483580121,0.732642096,0.510458192,
+0.732642096,0.510458192,0.741695119,0.475785481,
+4.281243786,-0.446678625,4.317105066,-0.461325428,
+4.317105066,-0.461325428,4.345356711,-0.492462102,
+2.476566358,-0.151121079,2.483378378,-0.048328167,
+2.483378378,-0.048328167,2.495742291,-0.020676916,
+2.495742291,-0.020676916,2.530099097,-0.019945623,
+2.476566358,-0.151121079,2.445571056,-0.166778427,
+2.445571056,-0.166778427,2.442471351,-0.209001433,
+2.442471351,-0.209001433,2.494291922,-0.184167143,
+2.476566358,-0.151121079,2.494291922,-0.184167143,
+5.635488386,-0.097235783,5.566832369,0.091591388,
+2.8788089,-0.319374309,2.988361472,-0.308644025,
+2.8788089,-0.319374309,2.981741438,-0.327772834,
+2.8788089,-0.319374309,2.834522916,-0.282631638,
+2.988361472,-0.308644025,3.075107826,-0.320280135,
+3.075107826,-0.320280135,2.981741438,-0.327772834,
+3.075107826,-0.320280135,3.124209174,-0.299337929,
+2.988361472,-0.308644025,2.964183426,-0.257933484,
+2.964183426,-0.257933484,3.048509009,-0.230416623,
+3.048509009,-0.230416623,2.998295886,-0.2156651,
+2.998295886,-0.2156651,2.987174648,-0.189530539,
+2.987174648,-0.189530539,2.904081268,-0.193537815,
+2.904081268,-0.193537815,2.890792331,-0.174443913,
+2.987174648,-0.189530539,3.039848685,-0.171080664,
+3.039848685,-0.171080664,3.090941453,-0.179997551,
+2.981741438,-0.327772834,2.930660887,-0.398385364,
+2.930660887,-0.398385364,3.01851378,-0.362618332,
+3.01851378,-0.362618332,2.903056759,-0.476363185,
+2.903056759,-0.476363185,3.049994284,-0.43146459,
+2.580811384,-0.259122053,2.664192743,-0.215619721,
+2.664192743,-0.215619721,2.731834724,-0.293848869,
+2.731834724,-0.293848869,2.635651374,-0.315929029,
+2.580811384,-0.259122053,2.635651374,-0.315929029,
+2.580811384,-0.259122053,2.532062592,-0.250145824,
+2.731834724,-0.293848869,2.786341356,-0.294552237,
+3.291635119,-0.408351194,3.271900681,-0.288248107,
+3.271900681,-0.288248107,3.210559339,-0.306163912,
+3.210559339,-0.306163912,3.185770428,-0.394789986,
+3.210559339,-0.306163912,3.231306068,-0.387740601,
+3.271900681,-0.288248107,3.281526172,-0.282673526,
+3.185770428,-0.394789986,3.178303909,-0.431600725,
+3.684342927,1.123571414,3.287687184,1.218033869,
+3.287687184,1.218033869,3.01681732,1.210055969,
+3.01681732,1.210055969,2.506645362,1.218768653,
+2.506645362,1.218768653,1.805124232,1.202327651,
+1.805124232,1.202327651,1.283035166,1.15789855,
+1.283035166,1.15789855,0.872612266,1.145848797,
+4.035766717,1.029152592,4.197033395,1.022157312,
+4.197033395,1.022157312,4.293473308,1.073625327,
+4.293473308,1.073625327,4.488927495,1.146937882,
+4.488927495,1.146937882,4.949743287,1.244370887,
+4.949743287,1.244370887,5.373462105,1.30820456,
+5.373462105,1.30820456,6.0558457,1.31576009,
+6.0558457,1.31576009,0.208425474,1.306337057,
+1.462315387,0.173384499,1.460931341,0.165624765,
+1.462315387,0.173384499,1.470031488,0.162153305,
+1.568733348,0.947446748,1.548309505,0.972268821,
+1.548309505,0.972268821,1.51191939,0.979401982,
+1.51191939,0.979401982,1.367992558,1.094166107,
+1.51191939,0.979401982,1.297158371,0.938151125,
+1.33813172,0.900549751,1.335791234,1.029262548,
+1.335791234,1.029262548,1.548820886,1.045249764,
+0.049150217,-0.269967529,0.016318829,-0.302570279,
+0.016318829,-0.302570279,6.276001532,-0.276591053,
+0.049150217,-0.269967529,0.019643681,-0.183425378,
+0.049150217,-0.269967529,0.099759529,-0.21309423,
+0.049150217,-0.269967529,0.063880796,-0.330441442,
+5.380905934,0.197279801,5.384126067,0.227369278,
+5.384126067,0.227369278,5.404993223,0.232392335,
+5.404993223,0.232392335,5.401003401,0.198578326,
+5.401003401,0.198578326,5.406722845,0.176037399,
+5.733095924,-0.65214053,5.78626738,-0.690162527,
+5.78626738,-0.690162527,5.988772697,-0.573785718,
+5.988772697,-0.573785718,5.944451806,-0.512446122,
+2.896059734,1.077758266,2.887827016,0.98405852,
+2.887827016,0.98405852,3.114674441,0.937151051,
+3.114674441,0.937151051,3.208901276,0.995406651,
+3.208901276,0.995406651,3.377339512,0.976682759,
+3.377339512,0.976682759,3.507787165,0.958629073,
+3.507787165,0.958629073,3.610827914,0.86067945,
+2.030324066,0.489149467,1.983556223,0.556555828,
+1.983556223,0.556555828,1.959620778,0.554745921,
+4.017435524,1.253739815,3.886436346,1.294257633,
+3.886436346,1.294257633,3.785294516,1.321144431,
+3.785294516,1.321144431,3.703801603,1.353459202,
+3.703801603,1.353459202,3.356388579,1.455829744,
+4.830083513,-0.802301677,4.925500663,-0.762359817,
+4.925500663,-0.762359817,4.987779247,-0.734698094,
+4.987779247,-0.734698094,5.010620371,-0.706800751,
+5.010620371,-0.706800751,5.017949009,-0.68662649,
+5.017949009,-0.68662649,5.01551951,-0.661558326,
+5.01551951,-0.661558326,5.002193921,-0.646878362,
+5.002193921,-0.646878362,4.968615532,-0.647646307,
+4.968615532,-0.647646307,4.959679446,-0.651761793,
+4.959679446,-0.651761793,4.858061141,-0.675896206,
+4.858061141,-0.675896206,4.858574268,-0.73849244,
+4.858574268,-0.73849244,4.830083513,-0.802301677,
+4.718963636,0.376917815,4.750602964,0.363283302,
+1.276415133,0.24871989,1.293163312,0.235872522,
+1.293163312,0.235872522,1.286227374,0.19942132,
+1.286227374,0.19942132,1.286724792,0.177164882,
+1.286724792,0.177164882,1.268034061,0.155337794,
+1.268034061,0.155337794,1.264665576,0.121497605,
+1.264665576,0.121497605,1.270625875,0.09782745,
+1.270625875,0.09782745,1.283914812,0.042598251,
+1.283914812,0.042598251,1.302663139,0.029914943,
+1.45181025,-0.311057815,1.432239873,-0.362319881,
+1.432239873,-0.362319881,1.503004248,-0.391798492,
+1.503004248,-0.391798492,1.532929663,-0.36440904,
+3.386059177,0.668782244,3.337898561,0.685546132,
+3.337898561,0.685546132,3.310763927,0.713398096,
+3.310763927,0.713398096,3.288821648,0.721824545,
+3.288821648,0.721824545,3.254379321,0.68100304,
+3.254379321,0.68100304,3.211955602,0.709654365,
+3.211955602,0.709654365,3.150813228,0.751287448,
+5.986627687,0.755943987,5.93636395,0.772767216,
+5.93636395,0.772767216,5.851328018,0.812216893,
+5.851328018,0.812216893,5.646056354,0.795727022,
+5.646056354,0.795727022,5.497027926,0.829397914,
+5.497027926,0.829397914,5.519303563,0.766686488,
+5.519303563,0.766686488,5.659010188,0.705348637,
+3.980593369,-0.909302578,3.830505525,-0.862642945,
+3.830505525,-0.862642945,3.807512558,-0.880644271,
+4.31010455,-0.146113729,4.40623205,-0.188198853,
+0.636827011,-0.214509692,0.675051467,-0.137172407,
+0.675051467,-0.137172407,0.597705456,-0.11208679,
+0.632564917,-0.048520153,0.619703586,-0.18810286,
+0.619703586,-0.18810286,0.696229292,-0.207208979,
+4.606185695,-0.811677586,4.589524782,-0.870502163,
+4.589524782,-0.870502163,4.560981668,-0.969179588,
+5.829267057,0.658839103,5.803165658,0.57906883,
+5.803165658,0.57906883,5.783925148,0.505517165,
+6.230444948,1.183451915,0.150164638,1.165014257,
+0.150164638,1.165014257,0.26419747,1.136472888,
+0.26419747,1.136472888,0.312806635,1.134793881,
+0.312806635,1.134793881,0.586800638,1.161069813,
+0.586800638,1.161069813,0.767721469,1.073745754,
+0.767721469,1.073745754,0.912234731,1.04615559,
+0.912234731,1.04615559,0.91591563,1.027627174,
+0.91591563,1.027627174,0.91631182,0.967816486,
+4.149340528,-0.586905358,4.113233156,-0.605810765,
+0.621150463,0.974691338,0.760342217,0.920879347,
+0.760342217,0.920879347,0.824959542,0.865915438,
+0.824959542,0.865915438,0.82683228,0.782911069,
+0.82683228,0.782911069,0.821041277,0.714810067,
+0.821041277,0.714810067,0.807984469,0.677891117,
+0.807984469,0.677891117,0.744314858,0.668785735,
+0.744314858,0.668785735,0.707942197,0.701515894,
+3.710564754,0.43793278,3.670317461,0.477986341,
+3.670317461,0.477986341,3.650223486,0.479827663,
+4.324662342,-0.289946313,4.306704649,-0.322123203,
+4.306704649,-0.322123203,4.293960255,-0.349716858,
+4.293960255,-0.349716858,4.329013448,-0.374659359,
+4.299688425,0.24492729,4.246855564,0.236088943,
+4.246855564,0.236088943,4.254332554,0.200538331,
+4.254332554,0.200538331,4.331055483,0.200503424,
+4.331055483,0.200503424,4.349625786,0.124044041,
+3.990791328,-0.550112072,4.022137441,-0.632880821,
+1.463397491,-0.084446011,1.463378293,-0.094528778,
+1.463378293,-0.094528778,1.46360344,-0.103147213,
+1.463397491,-0.084446011,1.467008577,-0.020977112,
+4.256950548,-0.146073586,4.221981131,-0.222449194,
+4.221981131,-0.222449194,4.190214393,-0.288562267,
+5.885389864,-0.000349066,5.854080403,-0.024212953,
+5.885389864,-0.000349066,5.913857929,-0.002050762,
+5.885389864,-0.000349066,5.869879123,0.024040165,
+5.885389864,-0.000349066,5.784823993,-0.005583308,
+6.202790206,-0.31463225,6.214250038,-0.318992082,
+6.214250038,-0.318992082,6.245466997,-0.330027799,
+0.390964224,-0.3775025,0.431372087,-0.37132578,
+0.431372087,-0.37132578,0.523621465,-0.367877009,
+0.523621465,-0.367877009,0.50906891,-0.39316683,
+4.898407917,0.96934714,4.854525104,0.995633544,
+4.854525104,0.995633544,4.816716036,1.026265817,
+4.816716036,1.026265817,4.935798106,1.036523117,
+4.935798106,1.036523117,4.960011059,1.009060362,
+4.960011059,1.009060362,4.977349159,0.971420591,
+4.977349159,0.971420591,4.995654173,0.931948225,
+5.774046584,-0.037618827,5.780488595,-0.015817919,
+1.005128135,1.244983498,0.837487515,1.298415008,
+0.837487515,1.298415008,0.547710499,1.328459105,
+0.547710499,1.328459105,0.549970701,1.301731133,
+0.549970701,1.301731133,0.538587663,1.263990134,
+0.538587663,1.263990134,0.563469077,1.248817986,
+0.563469077,1.248817986,0.532140417,1.237560613,
+0.532140417,1.237560613,0.449122086,1.232595151,
+0.449122086,1.232595151,0.398062478,1.226348618,
+0.65042138,1.176395549,0.499144967,1.11125288,
+0.499144967,1.11125288,0.374442938,1.051304311,
+0.374442938,1.051304311,0.310244492,0.962547337,
+0.310244492,0.962547337,0.213076776,0.889562904,
+0.213076776,0.889562904,0.1951505,0.842721757,
+3.861483374,0.472533932,3.816513221,0.519149931,
+3.816513221,0.519149931,3.804076004,0.530080928,
+5.997021123,1.472118902,0.299969739,1.505470398,
+0.299969739,1.505470398,0.662430991,1.557952449,
+0.662430991,1.557952449,4.591161901,1.511219513,
+4.591161901,1.511219513,4.38937566,1.431820994,
+4.38937566,1.431820994,4.119233598,1.357770165,
+4.218492218,-0.360745594,4.221103231,-0.364229271,
+4.218492218,-0.360745594,4.212514465,-0.345671185,
+5.134353743,-0.43430075,5.084470488,-0.427755765,
+5.217832841,-0.459012867,5.231420229,-0.45720296,
+5.231420229,-0.45720296,5.247585469,-0.483627245,
+5.247585469,-0.483627245,5.222667403,-0.474204212,
+5.222667403,-0.474204212,5.217832841,-0.459012867,
+4.11892642,0.567507769,4.070673302,0.547319545,
+4.070673302,0.547319545,4.048416864,0.507990296,
+4.048416864,0.507990296,4.07834577,0.466259474,
+4.07834577,0.466259474,4.113491465,0.458944799,
+4.113491465,0.458944799,4.143385464,0.454979411,
+4.143385464,0.454979411,4.178264124,0.469107851,
+4.178264124,0.469107851,4.195085607,0.52099998,
+4.195085607,0.52099998,4.193347259,0.581255727,
+2.140005792,0.445186368,2.183998561,0.419268229,
+2.183998561,0.419268229,2.209855614,0.48683516,
+2.209855614,0.48683516,2.15176233,0.51760357,
+4.44877445,-0.927824012,4.561393565,-0.98397649,
+4.561393565,-0.98397649,4.586281961,-1.059132113,
+4.586281961,-1.059132113,4.40602261,-1.030466825,
+4.40602261,-1.030466825,4.444568207,-0.977211594,
+5.215537733,0.111819755,5.195771879,0.154781034,
+5.195771879,0.154781034,5.176033951,0.18523703,
+3.61939748,-0.727587623,3.619884427,-0.741305911,
+3.619884427,-0.741305911,3.657648116,-0.734797578,
+3.657648116,-0.734797578,3.691572081,-0.718719605,
+1.869210977,-0.46064824,1.937730858,-0.511435576,
+1.937730858,-0.511435576,2.03005703,-0.662677082,
+2.03005703,-0.662677082,2.084221578,-0.529438647,
+2.084221578,-0.529438647,2.042410471,-0.452689539,
+2.042410471,-0.452689539,2.002028788,-0.467814562,
+2.002028788,-0.467814562,1.937730858,-0.511435576,
+1.937730858,-0.511435576,1.826600509,-0.505658536,
+1.826600509,-0.505658536,1.788267842,-0.56738036,
+1.788267842,-0.56738036,1.90739529,-0.647473519,
+1.90739529,-0.647473519,2.03005703,-0.662677082,
+4.42444456,0.1774197,4.440416068,0.163624617,
+4.440416068,0.163624617,4.408366587,0.126496228,
+4.408366587,0.126496228,4.388768285,0.149794628,
+5.439573432,0.281422125,5.408941158,0.277718536,
+5.408941158,0.277718536,5.399827049,0.25473255,
+5.399827049,0.25473255,5.425612543,0.263101403,
+5.425612543,0.263101403,5.439573432,0.281422125,
+5.399827049,0.25473255,5.39005146,0.256113105,
+0.398062478,1.226348618,0.429853651,1.274788486,
+0.398062478,1.226348618,0.332478241,1.252165528,
+0.398062478,1.226348618,0.308291468,1.200413025,
+0.398062478,1.226348618,0.374956065,1.189092819,
+0.398062478,1.226348618,0.446551216,1.187574383,
+0.398062478,1.226348618,0.506147228,1.198782887,
+4.46425203,0.245950053,4.466538411,0.237457281,
+4.466538411,0.237457281,4.474055544,0.222368909,
+4.474055544,0.222368909,4.504972307,0.184746592,
+4.217554976,-0.642321307,4.18932253,-0.670148837,
+4.964283625,-0.368381409,4.994622683,-0.379460759,
+4.994622683,-0.379460759,5.016791855,-0.366931041,
+5.016791855,-0.366931041,5.051134699,-0.330790508,
+5.051134699,-0.330790508,5.068753798,-0.311492402,
+5.068753798,-0.311492402,5.068991162,-0.278467282,
+4.950211035,0.644002059,4.930904203,0.582288962,
+4.930904203,0.582288962,4.969578954,0.570541151,
+4.969578954,0.570541151,5.006049354,0.630067351,
+3.324347825,0.178644921,3.340636983,0.133924349,
+3.340636983,0.133924349,3.303588879,0.153534869,
+1.209635345,0.017423622,1.245739226,-0.056805231,
+1.245739226,-0.056805231,1.27799291,-0.095167568,
+1.27799291,-0.095167568,1.308302298,-0.179128377,
+1.308302298,-0.179128377,1.30868627,-0.21881891,
+1.30868627,-0.21881891,1.266208447,-0.283043535,
+1.266208447,-0.283043535,1.254912676,-0.295562782,
+1.254912676,-0.295562782,1.223659065,-0.343332444,
+1.223659065,-0.343332444,1.320994332,-0.397849548,
+1.110006715,-0.179006204,1.098970998,-0.119338633,
+1.098970998,-0.119338633,1.150524534,-0.065371307,
+1.150524534,-0.065371307,1.205669957,-0.058512163,
+1.205669957,-0.058512163,1.239571232,-0.148415818,
+1.239571232,-0.148415818,1.237347683,-0.15348949,
+2.547009592,0.244724832,2.495583466,0.197218715,
+2.495583466,0.197218715,2.480360704,0.15807098,
+5.852623053,0.494460504,5.790178663,0.442355444,
+5.790178663,0.442355444,5.692590323,0.447589687,
+5.692590323,0.447589687,5.690396444,0.501653006,
+0.982594189,0.743135016,1.03783386,0.698309724,
+1.03783386,0.698309724,1.042682384,0.624670793,
+1.042682384,0.624670793,1.021593571,0.556473797,
+1.021593571,0.556473797,0.978775409,0.5635354,
+0.978775409,0.5635354,0.970305326,0.59280108,
+1.362658832,-0.20715662,1.36672894,-0.225868294,
+1.36672894,-0.225868294,1.394411607,-0.229978545,
+1.394411607,-0.229978545,1.396191843,-0.214947769,
+1.669842017,-0.313389575,1.736124386,-0.318304422,
+1.736124386,-0.318304422,1.804445299,-0.352980624,
+1.804445299,-0.352980624,1.810978066,-0.356132689,
+1.810978066,-0.356132689,1.80699348,-0.422093917,
+1.80699348,-0.422093917,1.709794348,-0.408728186,
+1.709794348,-0.408728186,1.669842017,-0.313389575,
+3.751384514,0.284609096,3.71197847,0.266874805,
+3.71197847,0.266874805,3.726654944,0.226184199,
+3.726654944,0.226184199,3.749277902,0.226967852,
+5.730334813,-0.23652353,5.805945967,-0.201845583,
+3.645729263,-0.825338278,3.820120816,-0.735792415,
+3.820120816,-0.735792415,3.6943489,-0.634776249,
+3.6943489,-0.634776249,3.619137426,-0.60127989,
+3.619137426,-0.60127989,3.53884879,-0.687787134,
+3.53884879,-0.687787134,3.430786729,-0.845844151,
+3.430786729,-0.845844151,3.322745613,-0.854511456,
+3.322745613,-0.854511456,3.306102153,-0.847205508,
+3.306102153,-0.847205508,3.247867497,-0.826813081,
+3.247867497,-0.826813081,3.263938489,-0.876689355,
+3.259131852,0.493376654,3.25678962,0.475919871,
+3.25678962,0.475919871,3.259351764,0.468196789,
+3.259351764,0.468196789,3.267743307,0.452265424,
+3.267743307,0.452265424,3.247659803,0.4555065,
+3.247659803,0.4555065,3.239790113,0.451101289,
+3.239790113,0.451101289,3.276895813,0.428778528,
+3.276895813,0.428778528,3.27009601,0.420779684,
+3.27009601,0.420779684,3.212899826,0.417926071,
+3.212899826,0.417926071,3.293659701,0.394955792,
+3.293659701,0.394955792,3.312294581,0.367611719,
+3.312294581,0.367611719,3.271274108,0.364705746,
+3.271274108,0.364705746,3.194627974,0.35852728,
+3.194627974,0.35852728,3.160253714,0.374533695,
+6.148597733,0.222714485,6.122073964,0.214918099,
+6.122073964,0.214918099,6.05194838,0.164226756,
+6.05194838,0.164226756,5.9882299,0.171665349,
+5.9882299,0.171665349,5.963324051,0.212457185,
+5.963324051,0.212457185,5.940498635,0.189043593,
+0.007958701,-0.052839843,6.277394305,-0.062063908,
+6.277394305,-0.062063908,0.008553859,-0.104965847,
+0.008553859,-0.104965847,0.023280947,-0.099616412,
+0.023280947,-0.099616412,0.007958701,-0.052839843,
+6.277394305,-0.062063908,6.083880924,-0.105574966,
+6.083880924,-0.105574966,5.98916016,-0.132288976,
+5.98916016,-0.132288976,5.893308423,-0.186366258,
+5.893308423,-0.186366258,5.787674115,-0.242071931,
+5.787674115,-0.242071931,5.703041354,-0.281474484,
+5.703041354,-0.281474484,5.672716259,-0.290811996,
+5.672716259,-0.290811996,5.659580911,-0.339745792,
+5.659580911,-0.339745792,5.683919527,-0.329279053,
+5.683919527,-0.329279053,5.703041354,-0.281474484,
+5.962617193,0.411299056,5.977766651,0.429378921,
+5.941784943,0.511514116,5.947219898,0.527459444,
+6.111432691,0.4143464,6.132125315,0.408478603,
+6.037854846,0.490137323,5.977766651,0.429378921,
+6.037854846,0.490137323,5.947219898,0.527459444,
+6.037854846,0.490137323,6.111432691,0.4143464,
+5.576056434,-0.561516054,5.624595786,-0.545216424,
+5.407967264,0.008489281,5.403268838,-0.019287634,
+5.403268838,-0.019287634,5.396240397,-0.044505896,
+5.396240397,-0.044505896,5.365360287,-0.050361476,
+1.077773974,0.506168172,1.094457577,0.462180639,
+1.094457577,0.462180639,1.145731859,0.44731567,
+1.145731859,0.44731567,1.136006885,0.477361513,
+4.285099218,0.017959438,4.323676231,0.034625587,
+2.901684931,0.128037354,2.883051796,0.106489519,
+2.883051796,0.106489519,2.882240217,0.063137286,
+1.772538935,1.388667729,1.83288893,1.34350908,
+1.83288893,1.34350908,2.115270986,1.387180708,
+2.115270986,1.387180708,1.968183363,1.438352017,
+1.968183363,1.438352017,1.310503158,1.417104378,
+1.310503158,1.417104378,1.407428273,1.382843565,
+5.407344182,-0.261010499,5.410735357,-0.316580037,
+5.410735357,-0.316580037,5.437426677,-0.375490135,
+3.001692297,0.049851839,3.041012819,-0.014376277,
+3.041012819,-0.014376277,3.012066534,-0.052420964,
+1.944507972,0.161898487,1.951063428,0.144675578,
+1.951063428,0.144675578,2.00408304,0.091193453,
+3.577434529,-0.933164719,3.838015677,-1.061753597,
+3.349166407,1.165710643,3.383652368,1.142117283,
+2.226448459,1.059732506,2.418775016,1.072038822,
+2.418775016,1.072038822,2.341463911,1.127549019,
+2.493763087,1.100637788,2.327291838,1.081446147,
+2.327291838,1.081446147,2.42526415,0.990324252,
+2.683904492,0.549221954,2.650409878,0.615136059,
+2.650409878,0.615136059,2.542562493,0.612495376,
+2.542562493,0.612495376,2.602819985,0.565219642,
+3.07738199,0.144131035,3.079891774,0.113959528,
+3.079891774,0.113959528,3.145402707,0.115441313,
+3.145402707,0.115441313,3.164320331,0.152419604,
+4.953834338,0.767004138,5.034218968,0.683226589,
+5.034218968,0.683226589,5.045608987,0.665558621,
+5.045608987,0.665558621,5.088297995,0.633866932,
+5.088297995,0.633866932,5.176763498,0.588657669,
+4.516245388,0.642441735,4.527693003,0.650859458,
+4.527693003,0.650859458,4.553923556,0.648318259,
+6.03830165,0.066671577,6.096284979,0.057286942,
+6.096284979,0.057286942,6.143421086,0.111334553,
+6.143421086,0.111334553,6.195704169,0.09819746,
+6.195704169,0.09819746,6.280181596,0.119787183,
+3.485953096,-0.404418968,3.692992779,-0.465695732,
+3.446807107,-0.096673787,3.584962134,-0.151896005,
+1.365421688,-0.282839332,1.332825919,-0.390447607,
+4.357858504,0.853959932,4.274925694,0.808321318,
+4.274925694,0.808321318,4.227054803,0.784261954,
+4.227054803,0.784261954,4.156831481,0.740918447,
+4.156831481,0.740918447,4.061944911,0.712670293,
+4.061944911,0.712670293,4.033850346,0.652355205,
+4.033850346,0.652355205,3.994634543,0.58145295,
+4.080321482,-0.718496203,4.020243759,-0.709432708,
+4.020243759,-0.709432708,3.923332607,-0.734856919,
+3.923332607,-0.734856919,3.920585459,-0.75283032,
+3.920585459,-0.75283032,3.965578301,-0.79028334,
+3.965578301,-0.79028334,4.025956222,-0.779980661,
+4.025956222,-0.779980661,4.007858903,-0.835581615,
+4.007858903,-0.835581615,3.949322305,-0.821198357,
+3.949322305,-0.821198357,3.890506454,-0.760534203,
+3.890506454,-0.760534203,3.848142077,-0.827080117,
+5.847720423,-0.136503946,5.833038713,-0.135844212,
+3.110651457,-0.591807988,3.122694228,-0.497019156,
+3.122694228,-0.497019156,3.020611666,-0.510700792,
+3.020611666,-0.510700792,3.023355323,-0.542573995,
+3.023355323,-0.542573995,3.023791656,-0.556020012,
+3.023791656,-0.556020012,3.030291262,-0.573014283,
+3.030291262,-0.573014283,3.055256451,-0.606409413,
+1.882309673,-0.005269149,1.779628462,0.042100832,
+5.62846169,0.412574891,5.594158989,0.345653732,
+5.594158989,0.345653732,5.692005638,0.302814625,
+5.692005638,0.302814625,5.698817658,0.400533865,
+3.324642786,0.118797581,3.350407336,0.062355378,
+3.553727722,0.855490586,3.482987782,0.867116224,
+2.367298275,1.180359192,2.392809753,1.167157521,
+2.352736993,0.838487589,2.372014155,0.823036189,
+2.372014155,0.823036189,2.692590996,0.748997577,
+2.692590996,0.748997577,2.715423393,0.724302913,
+2.715423393,0.724302913,2.960422241,0.577604499,
+2.960422241,0.577604499,2.959149896,0.550316276,
+4.590060598,1.189180086,4.310891694,1.200229765,
+4.590060598,1.189180086,4.367332151,1.127290711,
+4.590060598,1.189180086,4.283963009,1.206186574,
+4.590060598,1.189180086,4.433258473,1.136816718,
+2.91069083,0.445706476,2.86065224,0.431963754,
+2.86065224,0.431963754,2.807431915,0.404713928,
+2.807431915,0.404713928,2.820492214,0.329718876,
+5.517008455,-0.346535123,5.501551819,-0.305971926,
+5.523736699,-0.300770845,5.576129738,-0.313899211,
+5.594857121,-0.293817453,5.65013868,-0.353476297,
+5.538179299,-0.352437827,5.53945688,-0.358782098,
+4.615720429,-0.141699791,4.631294002,-0.224716377,
+4.725836742,-0.142773169,4.541467141,-0.224220704,
+4.568556397,-0.218384323,4.641631587,-0.12356233,
+2.764231525,0.610668016,2.756993645,0.56513063,
+2.756993645,0.56513063,2.818116821,0.535507157,
+2.818116821,0.535507157,2.850609615,0.597162658,
+1.60383541,0.257758951,1.622894405,0.247990343,
+1.622894405,0.247990343,1.638073533,0.281751992,
+1.638073533,0.281751992,1.623395314,0.28152859,
+1.962607036,0.209554702,2.034486676,0.18794229,
+2.034486676,0.18794229,2.116538095,0.228955782,
+2.116538095,0.228955782,2.147680004,0.308012216,
+5.542910886,0.176829778,5.560969808,0.174655098,
+1.562045246,0.452981009,1.588774963,0.40602118,
+1.588774963,0.40602118,1.587898808,0.351483131,
+1.587898808,0.351483131,1.546288413,0.35388645,
+5.703879113,0.046881289,5.670375772,0.039158207,
+5.670250108,-0.000891863,5.681781499,0.022432717,
+5.597679318,0.118876121,5.589767741,0.12836024,
+1.848453776,0.191144969,1.777314156,0.140277348,
+1.777314156,0.140277348,1.714365366,0.127984994,
+1.714365366,0.127984994,1.674503791,0.080161227,
+3.161089727,1.493776692,2.753595489,1.440919396,
+2.753595489,1.440919396,2.747546178,1.470474801,
+1.643019797,-0.613317426,1.603639933,-0.650185761,
+5.896121894,0.877595181,5.866559507,0.863526082,
+5.866559507,0.863526082,5.701962741,0.860614873,
+5.701962741,0.860614873,5.681458613,0.893427063,
+5.681458613,0.893427063,5.572113735,0.942437654,
+5.572113735,0.942437654,5.667783958,1.003372334,
+5.667783958,1.003372334,5.737272497,0.988051834,
+5.737272497,0.988051834,5.825195203,0.995598637,
+5.825195203,0.995598637,5.86238817,0.911568015,
+5.86238817,0.911568015,6.278860381,0.973106579,
+6.278860381,0.973106579,6.258680884,1.003553848,
+6.258680884,1.003553848,6.226713434,1.023670513,
+6.226713434,1.023670513,6.152426985,1.021871078,
+6.152426985,1.021871078,5.922659625,0.899631708,
+5.922659625,0.899631708,6.039638573,0.873573943,
+6.039638573,0.873573943,6.076145625,0.862300861,
+6.076145625,0.862300861,6.098808725,0.855478369,
+6.098808725,0.855478369,6.185289789,0.810848555,
+6.185289789,0.810848555,6.222247136,0.810187075,
+6.222247136,0.810187075,6.197700826,0.773772525,
+6.197700826,0.773772525,6.187789101,0.755170806,
+4.684153044,0.992614124,4.591381813,0.962950508,
+4.591381813,0.962950508,4.583377733,0.912831633,
+4.583377733,0.912831633,4.697579862,0.898650833,
+4.697579862,0.898650833,4.622787267,0.802961412,
+4.86600937,-0.143886689,4.896842357,-0.157995931,
+4.896842357,-0.157995931,4.902284294,-0.144429486,
+4.902284294,-0.144429486,4.918226131,-0.082866488,
+4.918226131,-0.082866488,4.961365434,-0.102037184,
+4.961365434,-0.102037184,4.981520496,-0.100166191,
+4.981520496,-0.100166191,5.001453902,-0.085217446,
+5.001453902,-0.085217446,4.995835687,-0.070361203,
+4.995835687,-0.070361203,4.986878657,-0.064559729,
+0.084770642,-0.154006108,0.299280333,-0.17771466,
+0.299280333,-0.17771466,0.366622117,-0.142825529,
+0.366622117,-0.142825529,0.486337741,-0.180379778,
+0.486337741,-0.180379778,0.454082311,-0.27816185,
+0.454082311,-0.27816185,0.522595211,-0.36345609,
+5.028970763,1.180915952,5.115385505,1.215817301,
+5.115385505,1.215817301,5.184380115,1.226406213,
+5.184380115,1.226406213,5.248283601,1.184617795,
+5.248283601,1.184617795,5.242426276,1.131339874,
+5.242426276,1.131339874,5.064369531,1.146934391,
+0.744805296,0.975560512,0.806326406,0.933862851,
+0.806326406,0.933862851,0.891526399,0.870242109,
+0.891526399,0.870242109,0.944614079,0.841119545,
+0.944614079,0.841119545,0.972694681,0.834050962,
+0.972694681,0.834050962,1.084990911,0.832740219,
+1.084990911,0.832740219,1.112200594,0.844901674,
+1.112200594,0.844901674,1.131064112,0.873514601,
+1.131064112,0.873514601,1.120143587,0.935702428,
+3.717842777,1.211825733,3.990864632,1.175421655,
+3.990864632,1.175421655,4.130613145,1.09256913,
+4.242994895,1.171887364,3.916447283,1.150739209,
+3.916447283,1.150739209,3.865258521,1.25604714,
+0.540612245,0.738792636,0.452305566,0.884684709,
+0.452305566,0.884684709,0.427574251,0.848722199,
+0.427574251,0.848722199,0.393142395,0.820432157,
+0.393142395,0.820432157,0.433496153,0.774685332,
+0.433496153,0.774685332,0.422357462,0.722662303,
+0.422357462,0.722662303,0.438864786,0.708202251,
+0.438864786,0.708202251,0.506826161,0.650166562,
+0.506826161,0.650166562,0.565240586,0.610643581,
+0.565240586,0.610643581,0.599147098,0.590745083,
+0.599147098,0.590745083,0.598010888,0.597324974,
+0.598010888,0.597324974,0.540612245,0.738792636,
+5.285314251,-0.01433788,5.255125291,-0.01237962,
+5.255125291,-0.01237962,5.213066347,0.004775221,
+5.213066347,0.004775221,5.20314415,0.017552776,
+4.088538493,-0.49105013,4.095659436,-0.519720654,
+1.322504042,0.376816586,1.271360659,0.328818286,
+1.271360659,0.328818286,1.347570461,0.346620644,
+1.347570461,0.346620644,1.393107846,0.385656678,
+1.393107846,0.385656678,1.322504042,0.376816586,
+5.424411757,1.163391101,5.29784397,1.130367726,
+5.29784397,1.130367726,5.365061835,1.099454454,
+5.365061835,1.099454454,5.433600915,1.079290665,
+5.433600915,1.079290665,5.578855942,1.092324784,
+5.578855942,1.092324784,5.776127017,1.127971389,
+5.776127017,1.127971389,5.877781974,1.136773084,
+5.877781974,1.136773084,5.97635817,1.155414946,
+5.97635817,1.155414946,6.10265194,1.188768188,
+2.258648038,-0.750301337,2.288123159,-0.744370709,
+2.288123159,-0.744370709,2.324780309,-0.675863045,
+2.324780309,-0.675863045,2.269374832,-0.616247834,
+2.269374832,-0.616247834,2.28460283,-0.579211947,
+2.28460283,-0.579211947,2.314882547,-0.483627245,
+2.314882547,-0.483627245,2.336672983,-0.483140298,
+1.396329724,0.592680653,1.429634097,0.601717968,
+1.396329724,0.592680653,1.416563326,0.652496577,
+1.396329724,0.592680653,1.367591133,0.671681236,
+1.396329724,0.592680653,1.37622004,0.570506245,
+0.236898775,-0.152553994,0.244454306,-0.19663752,
+0.244454306,-0.19663752,0.198435209,-0.22481237,
+0.198435209,-0.22481237,0.192815249,-0.185172452,
+5.159711632,-0.281416889,5.1764825,-0.344896259,
+4.285207429,0.539167113,4.368934364,0.551571168,
+4.368934364,0.551571168,4.451853211,0.539767506,
+4.451853211,0.539767506,4.45759709,0.585877359,
+4.45759709,0.585877359,4.465876932,0.618090901,
+4.465876932,0.618090901,4.526188529,0.577705728,
+4.526188529,0.577705728,4.610341324,0.537303101,
+4.610341324,0.537303101,4.696040481,0.650143873,
+4.512712842,-0.470966627,4.517564857,-0.46430645,
+4.517564857,-0.46430645,4.546624589,-0.436323586,
+4.546624589,-0.436323586,4.565652169,-0.421938583,
+1.158099263,0.387463094,1.122513744,0.359164325,
+1.163289872,0.256804255,1.194890803,0.259083655,
+1.163289872,0.256804255,1.134296462,0.244960451,
+1.134296462,0.244960451,1.173018337,0.227723579,
+1.173018337,0.227723579,1.21369149,0.218354652,
+1.21369149,0.218354652,1.221978313,0.212888281,
+1.221978313,0.212888281,1.202769219,0.177339415,
+1.202769219,0.177339415,1.151322149,0.165125601,
+5.554232837,0.527558928,5.575969168,0.609065804,
+5.575969168,0.609065804,5.562327674,0.66401575,
+5.562327674,0.66401575,5.485454647,0.718501438,
+5.485454647,0.718501438,5.41676896,0.790290321,
+5.41676896,0.790290321,5.294023444,0.817088107,
+5.294023444,0.817088107,5.170427953,0.787681054,
+5.170427953,0.787681054,5.332977448,0.702611961,
+5.332977448,0.702611961,5.437622154,0.592893583,
+5.437622154,0.592893583,5.554232837,0.527558928,
+0.074576174,0.67512128,0.09215862,0.662677082,
+0.09215862,0.662677082,0.079969241,0.642022856,
+2.85352257,0.753807704,3.006629833,0.686560168,
+2.877464997,0.705641853,3.012956652,0.753514489,
+2.883460203,0.684380252,2.979392225,0.758916283,
+5.662511319,-0.13708165,5.694155883,-0.158517784,
+5.694155883,-0.158517784,5.699683341,-0.161894996,
+5.699683341,-0.161894996,5.700833513,-0.198374123,
+5.700833513,-0.198374123,5.701561315,-0.204165125,
+5.701561315,-0.204165125,5.603342912,-0.224765246,
+5.603342912,-0.224765246,5.566497266,-0.264792627,
+5.566497266,-0.264792627,5.502756096,-0.236143048,
+5.502756096,-0.236143048,5.497410153,-0.227793393,
+5.497410153,-0.227793393,5.539648866,-0.198473607,
+5.539648866,-0.198473607,5.568893603,-0.160826855,
+5.568893603,-0.160826855,5.597871304,-0.162652469,
+5.597871304,-0.162652469,5.607817936,-0.170145167,
+2.950986991,1.046206204,2.993030228,0.974775114,
+2.993030228,0.974775114,3.124024169,0.987831922,
+3.124024169,0.987831922,3.128010501,1.074236192,
+3.128010501,1.074236192,2.950986991,1.046206204,
+0.920106166,0.225788009,0.918078093,0.197857505,
+0.918078093,0.197857505,0.903946162,0.16986766,
+0.903946162,0.16986766,0.893666173,0.157584033,
+3.456010228,-0.282718904,3.523177479,-0.278791913,
+5.778772936,-0.522141426,5.706074737,-0.539277068,
+5.706074737,-0.539277068,5.693904556,-0.576408948,
+5.693904556,-0.576408948,5.796166887,-0.57575794,
+5.796166887,-0.57575794,5.803858553,-0.568076746,
+5.803858553,-0.568076746,5.778772936,-0.522141426,
+3.723937466,0.903869368,3.735727166,0.896526768,
+3.735727166,0.896526768,3.775133209,0.904965434,
+0.795344795,0.07137873,0.877521877,0.064151322,
+0.877521877,0.064151322,0.784155489,0.155463458,
+0.784155489,0.155463458,0.719696989,0.176524346,
+0.719696989,0.176524346,0.580321976,0.154404043,
+0.580321976,0.154404043,0.646466464,0.1476566,
+0.646466464,0.1476566,0.680130375,0.097619756,
+0.680130375,0.097619756,0.712534158,0.056475364,
+0.712534158,0.056475364,0.69587499,0.005733407,
+0.69587499,0.005733407,0.66391103,-0.018062412,
+0.66391103,-0.018062412,0.62049422,-0.015444419,
+0.62049422,-0.015444419,0.574201107,-0.03185924,
+0.574201107,-0.03185924,0.57941615,-0.041776201,
+2.135988044,-0.826179527,2.271659468,-0.814173407,
+2.271659468,-0.814173407,2.289451354,-0.95484869,
+2.289451354,-0.95484869,2.452683273,-0.960117839,
+2.452683273,-0.960117839,2.492426165,-0.995438067,
+3.672375204,0.02695661,3.552320986,0.063861597,
+5.555770472,-0.482047722,5.462102142,-0.469826927,
+5.555770472,-0.482047722,5.528887166,-0.436435287,
+5.528887166,-0.436435287,5.437117754,-0.44106041,
+5.462102142,-0.469826927,5.437117754,-0.44106041,
+2.662175143,-0.146750774,2.694919265,-0.140828872,
+0.884681218,0.362017939,0.850418659,0.367294069,
+0.850418659,0.367294069,0.836141866,0.344295866,
+0.850418659,0.367294069,0.909503291,0.398004883,
+0.543193587,-0.51132562,0.67127632,-0.49274659,
+0.67127632,-0.49274659,0.737796053,-0.565589652,
+5.075499495,-0.781904014,5.072967023,-0.775955932,
+5.072967023,-0.775955932,5.07841245,-0.708881184,
+0.505962224,-0.900745228,0.595635495,-0.899057495,
+0.595635495,-0.899057495,0.641343923,-0.832588376,
+0.641343923,-0.832588376,0.697259036,-0.748601387,
+0.697259036,-0.748601387,0.777811217,-0.703449719,
+0.777811217,-0.703449719,0.972298492,-0.65124343,
+0.972298492,-0.65124343,0.997446941,-0.656596355,
+0.997446941,-0.656596355,1.001181945,-0.631814425,
+1.001181945,-0.631814425,1.125276601,-0.589891617,
+1.125276601,-0.589891617,1.152077877,-0.593705161,
+1.152077877,-0.593705161,1.202317179,-0.533412762,
+1.202317179,-0.533412762,1.193409019,-0.519523432,
+1.038600059,-0.235767802,0.986732365,-0.211212765,
+0.986732365,-0.211212765,0.974104907,-0.170403476,
+0.974104907,-0.170403476,0.929085885,-0.165078477,
+0.929085885,-0.165078477,0.854485277,-0.153932804,
+0.854485277,-0.153932804,0.769810628,-0.155301142,
+0.769810628,-0.155301142,0.716119064,-0.241879945,
+0.716119064,-0.241879945,0.720398611,-0.324153021,
+0.720398611,-0.324153021,0.746297552,-0.366588956,
+0.746297552,-0.366588956,0.795833487,-0.412325309,
+0.795833487,-0.412325309,0.870556268,-0.379746993,
+0.870556268,-0.379746993,0.932826125,-0.377565332,
+0.932826125,-0.377565332,0.989811125,-0.405783815,
+0.989811125,-0.405783815,0.993357634,-0.416692123,
+0.993357634,-0.416692123,1.01975923,-0.429563926,
+1.01975923,-0.429563926,1.046869429,-0.419161764,
+4.690139523,-0.434361836,4.658981905,-0.392311619,
+4.658981905,-0.392311619,4.640088716,-0.378443232,
+4.640088716,-0.378443232,4.619657892,-0.382448763,
+4.619657892,-0.382448763,4.604651551,-0.38473689,
+4.604651551,-0.38473689,4.587667752,-0.418226267,
+4.587667752,-0.418226267,4.589079723,-0.458492759,
+4.589079723,-0.458492759,4.658110986,-0.485739093,
+5.421809471,1.440441176,5.521731316,1.363562913,
+5.521731316,1.363562913,5.234287805,1.334852247,
+5.234287805,1.334852247,5.014177352,1.336232802,
+5.014177352,1.336232802,4.712647289,1.396277364,
+1.935025598,0.437213704,1.920397993,0.383663512,
+1.920397993,0.383663512,1.843125286,0.42263846,
+4.815791012,0.379954688,4.7387068,0.387792961,
+0.010887364,0.148099914,0.112130423,0.134235018,
+5.853476519,0.213020926,5.886704097,0.159331107,
+2.209820707,-0.069595004,2.284953641,-0.126251882,
+2.284953641,-0.126251882,2.309777459,-0.060091686,
+2.309777459,-0.060091686,2.300560375,-0.033108896,
+0.532531371,0.04823741,0.495481521,0.05563237,
+0.495481521,0.05563237,0.442578846,0.095776688,
+0.442578846,0.095776688,0.393507169,0.107229539,
+0.393507169,0.107229539,0.321714796,0.132215672,
+0.321714796,0.132215672,0.274643266,0.137708223,
+0.274643266,0.137708223,0.212417042,0.132384969,
+0.04004658,1.032358762,0.143989663,1.098367114,
+0.143989663,1.098367114,0.21426011,1.009065598,
+0.21426011,1.009065598,0.176746003,0.986762035,
+0.176746003,0.986762035,0.138634993,0.951593651,
+2.578676846,1.030419701,2.583549805,0.943600043,
+2.583549805,0.943600043,2.499561071,0.901939034,
+2.499561071,0.901939034,2.394900657,0.900670179,
+2.394900657,0.900670179,2.426831456,0.942860023,
+1.295879044,0.578857645,1.381817311,0.802816549,
+1.381817311,0.802816549,1.568740329,0.78448012,
+1.568740329,0.78448012,1.569579832,0.649482393,
+1.569579832,0.649482393,1.423717431,0.499295066,
+0.812148825,1.386114312,0.545954698,1.348813135,
+0.812148825,1.386114312,0.732144677,1.421544496,
+0.812148825,1.386114312,0.874101032,1.356726458,
+0.812148825,1.386114312,1.09102975,1.408458017,
+3.093856153,0.254331124,3.094671222,0.283492085,
+3.093856153,0.254331124,3.076973583,0.248941547,
+3.093856153,0.254331124,3.122723899,0.273088177,
+3.093856153,0.254331124,3.101984152,0.214308979,
+1.801130919,0.592736503,1.881201389,0.527878323,
+1.881201389,0.527878323,1.944850056,0.485168371,
+1.944850056,0.485168371,1.989336753,0.46941852,
+1.989336753,0.46941852,2.066019539,0.467151337,
+3.431116597,0.369196478,3.398697106,0.303851351,
+3.398697106,0.303851351,3.345124224,0.289335447,
+3.345124224,0.289335447,3.211419786,0.260038351,
+4.207816039,-0.198506768,4.180890845,-0.249222545,
+4.180890845,-0.249222545,4.161849302,-0.291981367,
+4.161849302,-0.291981367,4.11929643,-0.273541963,
+5.048813411,0.931456042,5.103805245,0.902855331,
+5.103805245,0.902855331,5.133198335,0.876523549,
+5.133198335,0.876523549,5.156645088,0.88182935,
+1.404147054,0.729627912,1.443176107,0.695093083,
+1.443176107,0.695093083,1.39251618,0.699861322,
+5.834236009,-0.094024377,5.864807196,-0.084421576,
+5.864807196,-0.084421576,5.924329905,-0.073794266,
+5.924329905,-0.073794266,6.009545606,-0.083952082,
+2.358985272,0.729249176,2.384685245,0.671117495,
+2.384685245,0.671117495,2.438416951,0.642326543,
+2.438416951,0.642326543,2.448065131,0.600264108,
+2.448065131,0.600264108,2.541972572,0.575869641,
+2.541972572,0.575869641,2.546236411,0.523153717,
+2.546236411,0.523153717,2.463769604,0.456967341,
+2.463769604,0.456967341,2.494600845,0.400867223,
+2.494600845,0.400867223,2.556258092,0.414939812,
+2.556258092,0.414939812,2.586419126,0.453907779,
+2.586419126,0.453907779,2.690819486,0.408708987,
+2.690819486,0.408708987,2.705139913,0.346299504,
+2.705139913,0.346299504,2.649987509,0.292564307,
+2.649987509,0.292564307,2.654523619,0.208867042,
+2.654523619,0.208867042,2.535746982,0.172653206,
+2.654523619,0.208867042,2.761159746,0.162430812,
+2.654523619,0.208867042,2.652483329,0.174489292,
+3.848276468,-0.659621011,3.8556819,-0.613896875,
+2.767324249,1.288655127,2.771108123,1.321439391,
+0.376355819,0.33461976,0.399172508,0.267834736,
+0.399172508,0.267834736,0.42367344,0.211909151,
+0.42367344,0.211909151,0.459868078,0.159832017,
+0.459868078,0.159832017,0.433091237,0.249330756,
+5.122930563,0.1287861,5.145204455,0.094209382,
+5.145204455,0.094209382,5.085446127,0.054363516,
+5.085446127,0.054363516,5.089894971,0.005909685,
+5.089894971,0.005909685,5.13441483,-0.022455406,
+5.13441483,-0.022455406,5.130594304,-0.04286005,
+5.130594304,-0.04286005,5.139073113,-0.081115922,
+5.139073113,-0.081115922,5.135154849,-0.122653013,
+5.135154849,-0.122653013,5.210409956,-0.149648021,
+3.641999494,0.32110044,3.609613164,0.304680382,
+3.609613164,0.304680382,3.619277053,0.27572537,
+5.770222568,-0.296091617,5.798783136,-0.323227996,
+5.798783136,-0.323227996,5.821983798,-0.367821159,
+5.853802895,-0.376959703,5.862185712,-0.432190647,
+5.862185712,-0.432190647,5.822036158,-0.484623828,
+5.867686989,-0.468793692,5.936980051,-0.471999862,
+5.936980051,-0.471999862,5.983637938,-0.515505684,
+5.958294012,-0.440466998,5.910967664,-0.361426272,
+5.910967664,-0.361426272,5.967071273,-0.342318408,
+5.94977157,-0.328652479,5.915851096,-0.304741469,
+5.915851096,-0.304741469,5.875525263,-0.292204769,
+5.891748099,-0.254568489,5.866275018,-0.236132576,
+5.866275018,-0.236132576,5.842543776,-0.232216057,
+5.897855006,-0.190338627,5.930922014,-0.175018127,
+5.930922014,-0.175018127,5.947298438,-0.176325378,
+5.971223411,-0.184228229,5.992930071,-0.202746173,
+5.992930071,-0.202746173,5.975970707,-0.237235624,
+5.967772895,-0.245330461,5.998043886,-0.27612505,
+5.998043886,-0.27612505,5.99851338,-0.283999976,
+6.06260536,-0.369528091,6.064647396,-0.391959062,
+6.064647396,-0.391959062,6.050536409,-0.41439527,
+6.166585096,-0.365026886,6.159706753,-0.372968135,
+6.159706753,-0.372968135,6.135034779,-0.360270864,
+6.121613197,-0.350821652,6.120227406,-0.262485302,
+6.120227406,-0.262485302,6.104751571,-0.234828815,
+6.104119762,-0.167738358,6.099505111,-0.160264859,
+6.099505111,-0.160264859,6.090726105,-0.158610286,
+6.052780902,-0.134296105,6.047023061,-0.138521547,
+6.047023061,-0.138521547,6.043914629,-0.134282142,
+6.094902678,-0.134852865,6.194978112,-0.248224217,
+6.194978112,-0.248224217,6.207797555,-0.253856394,
+1.348905638,-0.152787868,1.315276634,-0.125209921,
+1.315276634,-0.125209921,1.34324728,-0.088774427,
+1.34324728,-0.088774427,1.385819351,-0.119457315,
+5.042041534,1.280294999,4.914718019,1.316571668,
+4.914718019,1.316571668,4.593212663,1.295512525,
+5.042041534,1.280294999,4.804264858,1.269426834,
+6.138900683,0.021914354,6.150126641,-0.018079866,
+6.150126641,-0.018079866,6.237187155,0.018781488,
+6.237187155,0.018781488,6.204849694,0.031066861,
+5.886869903,1.019537573,5.806949531,1.015804314,
+5.806949531,1.015804314,5.809806635,1.036978648,
+5.809806635,1.036978648,5.687624861,1.025904534,
+5.687624861,1.025904534,5.696094944,1.066759201,
+2.758477175,0.246742432,2.820544574,0.247742506,
+2.820544574,0.247742506,2.832918958,0.18404846,
+2.832918958,0.18404846,2.769839268,0.12136496,
+1.481997465,-0.594705235,1.445186726,-0.619077012,
+3.720898848,-0.475797698,3.836961498,-0.436831477,
+3.836961498,-0.436831477,3.853800435,-0.436293916,
+3.853800435,-0.436293916,3.902275209,-0.430087525,
+3.902275209,-0.430087525,3.944751287,-0.441254141,
+3.884615968,-0.48800104,3.936185211,-0.48974986,
+3.936185211,-0.48974986,4.004792359,-0.52619408,
+4.905855237,0.69237386,4.873564901,0.676903261,
+4.873564901,0.676903261,4.907747174,0.656332811,
+3.45519865,0.48656638,3.404589337,0.53729961,
+3.404589337,0.53729961,3.434715465,0.48214197,
+1.54168249,0.481925549,1.482381438,0.451989662,
+1.482381438,0.451989662,1.436734096,0.438953798,
+1.436734096,0.438953798,1.344385235,0.423507634,
+1.344385235,0.423507634,1.299444752,0.417981921,
+1.299444752,0.417981921,1.231527009,0.400673491,
+1.31758745,0.764860874,1.319809254,0.716907953,
+1.319809254,0.716907953,1.337423117,0.71967779,
+1.337423117,0.71967779,1.31758745,0.764860874,
+1.531704442,0.651105549,1.533664447,0.683270222,
+1.533664447,0.683270222,1.523558991,0.6838392,
+1.523558991,0.6838392,1.531704442,0.651105549,
+1.451799778,0.561856393,1.477573055,0.532192777,
+3.765710177,-0.689611003,3.754889135,-0.661223223,
+3.672717289,-0.79592948,3.659428352,-0.781970337,
+3.749855606,-0.803865492,3.779236479,-0.789262322,
+3.635559229,-0.557241742,3.629529117,-0.575855679,
+3.629529117,-0.575855679,3.602741803,-0.576721362,
+1.540753974,-0.589945722,1.531351886,-0.624274603,
+4.911627041,0.358600584,4.91755767,0.317327038,
+4.713537407,0.076246454,4.715204196,0.051166072,
+4.715204196,0.051166072,4.720038758,0.022778292,
+4.720038758,0.022778292,4.736190035,0.043634977,
+4.640273721,0.079714423,4.659561355,0.047251299,
+0.692967272,0.383298738,0.708453578,0.349266563,
+0.708453578,0.349266563,0.717983076,0.26724307,
+0.717983076,0.26724307,0.748280246,0.263232303,
+0.748280246,0.263232303,0.73867919,0.304809537,
+5.149141918,0.314401866,5.153297547,0.30501374,
+5.153297547,0.30501374,5.180955779,0.32348456,
+5.180955779,0.32348456,5.187893463,0.334090925,
+5.187893463,0.334090925,5.230565018,0.340201323,
+5.230565018,0.340201323,5.236228611,0.305720598,
+5.236228611,0.305720598,5.22620344,0.293026819,
+5.22620344,0.293026819,5.251261132,0.279798968,
+5.251261132,0.279798968,5.298282048,0.265248158,
+3.862593404,0.29608289,3.842892127,0.286553393,
+3.842892127,0.286553393,3.844738685,0.239604036,
+1.778750562,0.851537415,1.822204024,0.787040518,
+1.822204024,0.787040518,1.758780505,0.777097377,
+1.758780505,0.777097377,1.774732814,0.760569109,
+1.774732814,0.760569109,1.742407571,0.741571201,
+1.742407571,0.741571201,1.792303043,0.729219505,
+1.792303043,0.729219505,1.740178785,0.69643175,
+1.740178785,0.69643175,1.739477163,0.6875009,
+1.739477163,0.6875009,1.802155427,0.678395518
+];
+
+/**
+ * 동아시아 전통 별자리 이름 표시 위치
+ *
+ * CONSTELLATION_NAMES와 같은 형식입니다: [RA, Dec, 한자 이름, ...] (J2000.0, 라디안)
+ * 화면에 표시할 이름은 KOREAN_CONSTELLATIONS에서 찾습니다.
+ *
+ * 출처: d3-celestial의 constellations.cn.json
+ *
+ * @constant {Array<number|string>}
+ */
+export const KOREAN_CONSTELLATION_NAMES = [
+1.134368021,0.276378123,"畢宿",
+0.04717625,0.386363537,"壁宿",
+1.461079694,-0.01974491,"參宿",
+3.984597154,-0.254596414,"氐宿",
+4.88845605,-0.444526634,"斗宿",
+4.193856896,-0.427776709,"房宿",
+2.260813992,0.345252306,"鬼宿",
+4.777795194,-0.581105629,"箕宿",
+3.534043899,-0.102600925,"角宿",
+1.773626275,0.331846432,"井宿",
+3.754854229,-0.136126955,"亢宿",
+0.257444791,0.542043415,"奎宿",
+2.338784831,0.076211547,"柳宿",
+0.525134665,0.373118233,"婁宿",
+0.990558126,0.423266778,"昴宿",
+5.328336617,-0.27164479,"牛宿",
+5.454872988,-0.126740574,"女宿",
+6.040006837,0.377760809,"室宿",
+3.021173662,0.194502983,"太微右垣",
+3.337711811,0.140324472,"太微左垣",
+4.214886368,0.095317666,"天市右垣",
+4.746833053,0.113774523,"天市左垣",
+5.747337811,0.08338485,"危宿",
+4.532942953,-0.676597828,"尾宿",
+0.727444506,0.493121836,"胃宿",
+4.313300248,-0.469570363,"心宿",
+2.486284351,-0.114472655,"星宿",
+5.60116125,-0.002822197,"虛宿",
+2.979366045,-0.323721924,"翼宿",
+2.659202847,-0.265773503,"張宿",
+3.234969514,-0.357136253,"軫宿",
+2.278476724,1.171170033,"紫微右垣",
+5.263689622,1.168958701,"紫微左垣",
+1.465481414,0.167768029,"觜宿",
+1.432946732,0.997357929,"八谷",
+0.046287877,-0.25693341,"八魁",
+5.39381439,0.20421574,"敗瓜",
+5.860934311,-0.601304325,"敗臼",
+3.249328338,0.969219731,"北斗",
+1.994972422,0.52285352,"北河",
+3.686912052,1.354783907,"北極",
+6.011135601,-0.517004922,"北落師門",
+4.924017134,-0.724590892,"鱉",
+4.7347833,0.370100559,"帛度",
+1.28366523,0.139317417,"參旗",
+1.482585641,-0.351427281,"廁",
+0.247438819,1.059706326,"策",
+3.268436202,0.710034846,"常陳",
+5.741827806,0.767374148,"車府",
+3.894052963,-0.885972762,"車騎",
+4.358167427,-0.167155418,"車肆",
+0.646967374,-0.13151405,"芻藁",
+4.583583682,-0.890428587,"杵",
+5.80659523,0.582179007,"杵",
+3.231306068,-0.387740601,"長沙",
+0.43178573,1.075634201,"傳舍",
+4.131286842,-0.596358061,"從官",
+3.057748782,0.372674919,"從官",
+3.733526305,0.334796038,"大角",
+3.194821705,1.354658243,"大理",
+0.723992244,0.821739409,"大陵",
+3.680394992,0.458880222,"帝席",
+4.514501804,0.251158115,"帝座",
+4.311486851,-0.332301963,"東咸",
+4.298241548,0.184486538,"斗",
+4.006464384,-0.591495574,"頓頑",
+1.465193435,-0.062062163,"伐",
+4.223583343,-0.217317926,"罰",
+5.849341834,-0.000087266,"墳墓",
+6.224128601,-0.322329152,"鈇鉞",
+0.457293717,-0.38052192,"鈇鑕",
+4.906185105,0.984236544,"扶筐",
+0.161319037,0.940678362,"附路",
+4.668136157,-0.646527551,"傅說",
+5.777268462,-0.0267175,"蓋屋",
+0.701596179,1.277404734,"杠",
+0.422786813,1.009559526,"閣道",
+3.832779689,0.50130743,"梗河",
+5.532424948,1.457861307,"勾陳",
+4.216807975,-0.354949355,"鉤鈐",
+5.109412988,-0.431028257,"狗",
+5.232708282,-0.470415103,"狗國",
+4.121752108,0.518118442,"貫索",
+2.174931575,0.468435899,"爟",
+4.496151413,-0.993478062,"龜",
+5.195785842,0.148529265,"河鼓",
+3.655485653,-0.730011885,"衡",
+4.603019668,0.219213354,"候",
+1.936245583,-0.557683311,"弧矢",
+4.414592177,0.151958837,"斛",
+2.946133231,0.403092517,"虎賁",
+5.414812446,0.268077337,"瓠瓜",
+0.407220221,1.231181434,"華蓋",
+4.484611296,0.215349195,"宦者",
+2.276933853,0.346870226,"積尸",
+0.779992879,0.692244705,"積尸",
+1.075925671,0.878795968,"積水",
+2.026534956,0.425825431,"積薪",
+4.203438753,-0.656235072,"積卒",
+5.016636521,-0.328963148,"建",
+4.968475906,0.607271605,"漸臺",
+4.241130884,-0.33965329,"鍵閉",
+3.401903276,-0.066530206,"進賢",
+1.928779064,0.641593505,"積水",
+5.551143604,-0.702833618,"九坎",
+3.322113803,0.156285508,"九卿",
+1.265314838,-0.190212963,"九斿",
+1.169271115,-0.118759184,"九州殊口",
+2.513686021,0.201397033,"酒旗",
+5.771510621,0.472005098,"臼",
+1.006494728,0.649803534,"卷舌",
+1.37942621,-0.218567582,"軍井",
+0.303259684,0.824524955,"軍南門",
+1.740410914,-0.367742619,"軍市",
+4.569945679,-0.521277488,"糠",
+3.731681492,0.25539752,"亢池",
+5.76814039,-0.219185429,"哭",
+3.533995029,-0.738984623,"庫樓",
+3.367171223,0.480675893,"郎將",
+3.23627502,0.42595284,"郎位",
+1.675306642,-0.919713467,"老人",
+6.044548184,0.193469748,"雷電",
+5.983023582,-0.196291945,"壘壁陣",
+6.036956002,0.467969896,"離宮",
+5.600325237,-0.553365366,"離瑜",
+5.386663776,-0.020935224,"離珠",
+1.11175379,0.476741921,"礪石",
+4.304386852,0.026293385,"列肆",
+2.891963447,0.095588192,"靈臺",
+1.712887072,1.390931421,"六甲",
+5.422385429,-0.318250317,"羅堰",
+3.021353431,-0.001284562,"明堂",
+1.974295506,0.126546843,"南河",
+3.707725103,-0.997459158,"南門",
+3.36641026,1.153913963,"內廚",
+2.360105773,1.058936636,"內階",
+2.613234365,0.582179007,"內平",
+3.120851161,0.133189566,"內屏",
+5.065298046,0.677831776,"輦道",
+4.905783679,-0.622070252,"農丈人",
+4.535084472,0.646649724,"女牀",
+4.691383943,1.256726073,"女史",
+6.159242496,0.088537062,"霹靂",
+3.58947381,-0.435058223,"平",
+3.515885493,-0.124284896,"平道",
+1.349123804,-0.336642597,"屏",
+4.176246523,0.717707314,"七公",
+3.964232653,-0.772507162,"騎官",
+3.979064461,-0.85063508,"騎陣將軍",
+5.840379568,-0.136174079,"泣",
+3.07165382,-0.551714285,"青丘",
+1.830969068,0.018416714,"闕丘",
+5.646487451,0.357694758,"人",
+4.11001826,-0.343459853,"日",
+3.337525061,0.090577352,"三公",
+3.518356879,0.861304278,"三公",
+2.380054886,1.173758357,"三師",
+2.656579617,0.694401932,"三台",
+4.437012676,1.166738642,"尚書",
+2.859062245,0.387712676,"少微",
+4.424544044,-0.729659328,"神宮",
+5.575845249,-0.326299776,"十二國",
+1.509702822,-0.563853049,"屎",
+4.633651942,-0.174138481,"市樓",
+2.80380163,0.573087587,"勢",
+1.620955344,0.264871167,"水府",
+2.055144393,0.247978125,"水位",
+5.55194122,0.175742438,"司非",
+1.567532561,0.40223207,"司怪",
+5.687127442,0.043020621,"司祿",
+5.676014931,0.010770427,"司命",
+5.593724402,0.12361818,"司危",
+1.761478784,0.135653971,"四瀆",
+2.954318825,1.467348917,"四輔",
+1.623330737,-0.631751593,"孫",
+3.080726041,0.833907845,"太陽守",
+3.58446297,1.131364309,"太乙",
+3.089169944,0.352886376,"太子",
+2.921958675,0.776645337,"太尊",
+5.925487058,0.889419787,"螣蛇",
+0.882256956,0.481843519,"天阿",
+4.64047967,0.897788641,"天棓",
+4.933731636,-0.111276957,"天弁",
+0.303683799,-0.253140809,"天倉",
+1.001578135,0.577553884,"天讒",
+5.138628054,1.178873917,"天廚",
+0.937934704,0.904150366,"天船",
+3.980418836,1.174308135,"天牀",
+0.496144746,0.737715768,"天大將軍",
+5.244229201,0.001607448,"天桴",
+4.092098964,-0.50538452,"天輻",
+6.003707479,-0.567923157,"天綱",
+1.332234253,0.357237482,"天高",
+5.700247082,1.134029427,"天鉤",
+2.297661383,-0.616720818,"天狗",
+1.473253366,0.369006237,"天關",
+5.817081168,1.502868112,"天皇大帝",
+1.398612615,0.621094613,"天潢",
+0.21863565,-0.188682309,"天溷",
+5.168096193,-0.313155701,"天雞",
+2.391083622,-0.758041873,"天記",
+4.490623955,0.59372436,"天紀",
+4.539182505,-0.446451732,"天江",
+1.140307376,0.37331371,"天街",
+1.178137388,0.212104628,"天節",
+5.37319856,0.672323517,"天津",
+0.083367397,0.658572068,"天廄",
+1.76779513,-0.291750983,"天狼",
+2.933240483,0.721648267,"天牢",
+5.599485734,-0.200936266,"天壘城",
+3.039499619,1.024506526,"天理",
+0.906887042,0.191686021,"天廩",
+3.489593853,-0.280755409,"天門",
+5.748882427,-0.549274314,"天錢",
+3.749536211,0.900746974,"天槍",
+0.725861492,0.067374945,"天囷",
+4.143498911,-0.059868284,"天乳",
+2.314207104,-0.904804864,"天社",
+3.612348095,0.045409976,"天田",
+5.49644324,-0.459241505,"天田",
+2.678548076,-0.14378895,"天相",
+3.627808222,1.129634688,"天乙",
+0.872823451,0.371149501,"天陰",
+0.640493948,-0.529168121,"天庾",
+5.075689736,-0.745391726,"天淵",
+0.800238698,-0.71013433,"天園",
+0.881494247,-0.291747492,"天苑",
+4.638903638,-0.432091163,"天籥",
+5.117190175,1.387646711,"天柱",
+1.889076315,0.410438608,"天樽",
+4.777248906,0.383874697,"屠肆",
+0.061508893,0.141167466,"土公",
+5.870090308,0.186176017,"土公吏",
+0.19019551,-0.313925391,"土司空",
+2.25979821,-0.079679516,"外廚",
+0.372474206,0.092973689,"外屏",
+0.127154217,1.024981255,"王良",
+2.489225231,0.965545813,"文昌",
+1.432730311,0.65105668,"五車",
+0.818493097,1.385178816,"五帝內座",
+3.099849614,0.248901405,"五帝座",
+1.933575229,0.529944793,"五諸侯",
+3.321269064,0.314618287,"五諸侯",
+4.163556234,-0.245243195,"西咸",
+5.102728377,0.903989795,"奚仲",
+1.417846143,0.71236137,"咸池",
+3.246420619,0.899931905,"相",
+3.141934738,0.338932469,"幸臣",
+5.92189168,-0.083910194,"虛梁",
+2.560073381,0.445840867,"軒轅",
+3.73667837,0.804392582,"玄戈",
+1.635712103,0.392817764,"鉞",
+3.851980056,-0.636758943,"陽門",
+1.730860472,-0.336078855,"野雞",
+3.230384534,0.057815777,"謁者",
+2.769216186,1.305047259,"陰德",
+0.418112821,0.247225889,"右更",
+5.147927169,-0.010430088,"右旗",
+3.625806329,0.298412905,"右攝提",
+4.68582856,-0.606549039,"魚",
+5.937487942,-0.32489304,"羽林軍",
+1.350547992,-0.120780275,"玉井",
+4.817627098,1.292999251,"御女",
+1.067684226,0.38540186,"月",
+1.21856794,0.27782151,"附耳",
+6.188043919,0.00649437,"雲雨",
+5.78724651,1.04128263,"造父",
+2.795698066,0.184554606,"長垣",
+1.463592968,-0.606891123,"丈人",
+3.805158109,0.668605966,"招搖",
+3.513459485,0.959721649,"輔",
+3.832825068,-0.452942611,"折威",
+3.944704164,-0.507096688,"陣車",
+3.178303909,-0.431600725,"右轄",
+4.890655165,0.674353335,"織女",
+3.281526172,-0.282673526,"左轄",
+3.429894866,0.509721663,"周鼎",
+1.38660475,0.44129952,"諸王",
+1.425626821,0.648527698,"柱",
+3.63625038,-0.68055449,"柱",
+4.802959351,1.245079491,"柱史",
+1.536053803,-0.607111035,"子",
+4.914592356,0.337963811,"宗",
+4.724862849,0.049513246,"宗人",
+4.64991841,0.063482861,"宗正",
+0.720623759,0.323266393,"左更",
+5.223712855,0.302725613,"左旗",
+3.852742765,0.267843463,"左攝提",
+1.780841466,0.764967339,"座旗"
+];
+
+/**
+ * 이십팔수와 거성(距星)의 적경 (CSV 형식)
+ *
+ * 각 수(宿)는 거성의 적경에서 시작해 다음 수의 거성까지 동쪽으로 이어집니다.
+ * 각수(角宿)부터 진수(軫宿)까지 전통 순서입니다.
+ *
+ * CSV 컬럼 형식:
+ * 1. 한자 이름 (KOREAN_CONSTELLATIONS의 키)
+ * 2. 거성의 적경 (시간 단위, J2000.0)
+ *
+ * 출처: d3-celestial의 constellations.bounds.cn.json
+ *
+ * @constant {string}
+ */
+export const LUNAR_MANSIONS = `角宿,13.4199
+亢宿,14.2149
+氐宿,14.8479
+房宿,15.9809
+心宿,16.3531
+尾宿,16.8645
+箕宿,18.0968
+斗宿,18.7610
+牛宿,20.3502
+女宿,20.7946
+虛宿,21.5260
+危宿,22.0964
+室宿,23.0794
+壁宿,0.2206
+奎宿,0.9534
+婁宿,1.9107
+胃宿,2.7242
+昴宿,3.7479
+畢宿,4.4770
+觜宿,5.5856
+參宿,5.6793
+井宿,6.3827
+鬼宿,8.5266
+柳宿,8.6276
+星宿,9.4598
+張宿,9.8580
+翼宿,10.9961
+軫宿,12.2634`;
@@ -26,6 +26,9 @@
  * // 날짜 변경
  * planisphere.setDateTime(new Date(2024, 6, 21, 21, 0));
  *
+ * // 기원전 날짜 (천문학적 연도 표기, 1582년 이전은 율리우스력)
+ * planisphere.setCalendarDate(-584, 5, 28, 18, 0);
+ *
  * // 테마 변경
  * planisphere.setTheme('dark');
  *
@@ -39,9 +42,13 @@ import {
     AstroVector,
     AstroMatrix,
     AstroPoint,
-    EquiDistanceProjection
+    AstroRefraction,
+    PROJECTIONS
 } from './astronomy.js';
 
+// 출몰 계산 모듈 import
+import { AstroRiseSet } from './riseset.js';
+
 import { Env, TimezoneService } from './util.js';
 
 // 상수 import
@@ -49,6 +56,13 @@ import {
     DEFAULT_LOCATION,
     DEFAULT_LATITUDE,
     DEFAULT_LONGITUDE,
+    DUAL_DISC_LATITUDE,
+    DUAL_DISC_LIMIT_DE,
+    DEFAULT_LAYERS,
+    DEFAULT_STAR_LABELS,
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    DEFAULT_SKY_CULTURE,
     VERSION,
     SPECTRAL_COLORS,
     STORAGE_KEYS
@@ -58,10 +72,15 @@ import {
 import {
     THEMES,
     SkyPanelRenderer,
+    SolarSystemRenderer,
     TimeRingRenderer,
     InfoPanelRenderer
 } from './renderers.js';
 
+// 표시 언어와 별자리 문화 import
+import { Labels } from './i18n.js';
+import { SkyCulture } from './skyculture.js';
+
 // SVG.js 라이브러리 직접 import (사용자가 HTML에 별도로 넣지 않아도 되도록 함)
 import { SVG } from 'https://cdn.jsdelivr.net/npm/@svgdotjs/svg.js@3.2/dist/svg.esm.js';
 
@@ -102,6 +121,10 @@ class InputHandler {
     #currentRotation = 0;
     /** @type {number} 마지막 확정 회전각 (도) */
     #lastRotation = 0;
+    /** @type {number} 양면 별자리판 원판 중심의 가로 위치 (요소 너비 대비, 0이면 원판 하나) */
+    #discOffset = 0;
+    /** @type {number} 드래그 회전 방향 (남쪽 하늘 원판은 거울상으로 돌아가므로 -1) */
+    #dragDirection = 1;
 
     /** @type {boolean} 패닝 중 여부 */
     #panning = false;
@@ -167,6 +190,18 @@ class InputHandler {
         this.#dragging = false;
     }
 
+    /**
+     * 양면 별자리판의 원판 위치 설정
+     *
+     * 드래그를 시작한 쪽 원판의 중심을 회전 중심으로 삼고,
+     * 오른쪽(남쪽 하늘) 원판에서는 회전 방향을 뒤집습니다.
+     *
+     * @param {number} ratio - 요소 중심에서 원판 중심까지의 가로 거리 (요소 너비 대비, 0이면 원판 하나)
+     */
+    setDiscOffset(ratio) {
+        this.#discOffset = ratio;
+    }
+
     /**
      * 현재 줌 배율
      * @readonly
@@ -235,9 +270,7 @@ class InputHandler {
     // Mouse Events
     #onMouseDown(e) {
         this.#dragging = true;
-        const rect = this.#parentDom.getBoundingClientRect();
-        this.#screenCenterX = rect.left + rect.width * 0.5 + this.#panX;
-        this.#screenCenterY = rect.top + rect.height * 0.5 + this.#panY;
+        this.#updateScreenCenter(e.pageX);
         this.#dragDownX = e.pageX - this.#screenCenterX;
         this.#dragDownY = e.pageY - this.#screenCenterY;
     }
@@ -252,7 +285,7 @@ class InputHandler {
         if (deltaR > 180) deltaR -= 360;
         else if (deltaR < -180) deltaR += 360;
 
-        this.#currentRotation = this.#lastRotation + deltaR;
+        this.#currentRotation = this.#lastRotation + this.#dragDirection * deltaR;
         this.#applyTransform();
     }
 
@@ -274,9 +307,7 @@ class InputHandler {
     // Touch Events
     #onTouchStart(e) {
         e.preventDefault();
-        const rect = this.#parentDom.getBoundingClientRect();
-        this.#screenCenterX = rect.left + rect.width * 0.5 + this.#panX;
-        this.#screenCenterY = rect.top + rect.height * 0.5 + this.#panY;
+        this.#updateScreenCenter(e.touches[0].pageX);
 
         if (e.touches.length === 2) {
             this.#panning = true;
@@ -309,7 +340,7 @@ class InputHandler {
             if (deltaR > 180) deltaR -= 360;
             else if (deltaR < -180) deltaR += 360;
 
-            this.#currentRotation = this.#lastRotation + deltaR;
+            this.#currentRotation = this.#lastRotation + this.#dragDirection * deltaR;
         }
         this.#applyTransform();
     }
@@ -330,15 +361,31 @@ class InputHandler {
         }
     }
 
+    /**
+     * 드래그 회전 중심 갱신 (양면 별자리판은 드래그를 시작한 쪽 원판의 중심)
+     * @private
+     * @param {number} pageX - 드래그 시작 x 좌표
+     */
+    #updateScreenCenter(pageX) {
+        const rect = this.#parentDom.getBoundingClientRect();
+        this.#screenCenterX = rect.left + rect.width * 0.5 + this.#panX;
+        this.#screenCenterY = rect.top + rect.height * 0.5 + this.#panY;
+        this.#dragDirection = 1;
+        if (this.#discOffset) {
+            const isSouthDisc = pageX > this.#screenCenterX;
+            const offset = rect.width * this.#discOffset * this.#scale;
+            this.#screenCenterX += isSouthDisc ? offset : -offset;
+            this.#dragDirection = isSouthDisc ? -1 : 1;
+        }
+    }
+
     // Pointer Events
     #onPointerDown(e) {
         e.preventDefault();
         this.#parentDom.setPointerCapture?.(e.pointerId);
         this.#pointers.set(e.pointerId, { x: e.pageX, y: e.pageY });
 
-        const rect = this.#parentDom.getBoundingClientRect();
-        this.#screenCenterX = rect.left + rect.width * 0.5 + this.#panX;
-        this.#screenCenterY = rect.top + rect.height * 0.5 + this.#panY;
+        if (this.#pointers.size === 1) this.#updateScreenCenter(e.pageX);
 
         const isMouse = e.pointerType === 'mouse';
         // Right click (button 2) triggers panning
@@ -399,7 +446,7 @@ class InputHandler {
             if (deltaR > 180) deltaR -= 360;
             else if (deltaR < -180) deltaR += 360;
 
-            this.#currentRotation = this.#lastRotation + deltaR;
+            this.#currentRotation = this.#lastRotation + this.#dragDirection * deltaR;
         }
         this.#applyTransform();
     }
@@ -445,15 +492,31 @@ class InputHandler {
     }
 }
 
+/**
+ * 화면 위치의 천구 좌표 (getSkyPosition 결과)
+ * @typedef {Object} SkyPosition
+ * @property {number} ra - 별자리판 좌표계(equinox 설정의 분점)의 적경 (라디안, 0 ~ 2π)
+ * @property {number} dec - 별자리판 좌표계의 적위 (라디안)
+ * @property {number} ra2000 - J2000.0 분점의 적경 (라디안, 0 ~ 2π)
+ * @property {number} dec2000 - J2000.0 분점의 적위 (라디안)
+ * @property {number} azimuth - 방위각 (라디안, 북=0, 동=π/2)
+ * @property {number} altitude - 고도 (라디안)
+ * @property {boolean} inside - 별자리판 원 안쪽이면 true
+ */
+
 /**
  * 별자리판 메인 컨트롤러 클래스
  *
  * 인터랙티브 별자리판을 생성하고 관리합니다.
  * SVG.js를 사용하여 3개의 레이어로 구성됩니다:
- * - skyPanel: 별, 별자리, 좌표선, 날짜환 (고정)
+ * - skyPanel: 별, 별자리, 좌표선, 날짜환 (고정), 태양계 천체 (날짜마다 갱신)
  * - topPanel: 지평선, 시간환, 방위 (회전)
  * - infoPanel: 범례, 타이틀 (고정)
  *
+ * 적도 ±10° 이내(DUAL_DISC_LATITUDE)에서는 실제 적도용 별자리판처럼
+ * 북쪽 하늘 원판(왼쪽)과 남쪽 하늘 원판(오른쪽)을 나란히 그리는 양면 별자리판이 됩니다.
+ * 각 원판은 바라보는 방향의 지평선 창을 가지며, 남쪽 하늘 원판은 북쪽 하늘 원판의 거울상으로 회전합니다.
+ *
  * @class
  * @example
  * const planisphere = new Planisphere({
@@ -492,10 +555,18 @@ class Planisphere {
     #inputHandler;
     /** @type {import('@svgdotjs/svg.js').G} */
     #skyGroup;
+    /** @type {import('@svgdotjs/svg.js').G} 하늘 패널 내 태양계 천체 그룹 */
+    #bodyGroup;
     /** @type {import('@svgdotjs/svg.js').G} */
     #topGroup;
     /** @type {import('@svgdotjs/svg.js').G} */
     #infoGroup;
+    /** @type {import('@svgdotjs/svg.js').G} 양면 별자리판의 남쪽 하늘 원판 하늘 패널 그룹 */
+    #southSkyGroup;
+    /** @type {import('@svgdotjs/svg.js').G} 남쪽 하늘 원판의 태양계 천체 그룹 */
+    #southBodyGroup;
+    /** @type {import('@svgdotjs/svg.js').G} 남쪽 하늘 원판의 시간환 패널 그룹 */
+    #southTopGroup;
     /** @type {number} */
     #topPanelRotation = 0;
     /** @type {number} */
@@ -527,6 +598,34 @@ class Planisphere {
     #equVector = new AstroVector();
     /** @type {AstroMatrix} */
     #horToEquMatrix = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+    /** @type {'date'|'J2000'} 별자리판 좌표계의 분점 */
+    #equinox;
+    /** @type {boolean} 겉보기 위치(장동, 겉보기 항성시) 사용 여부 */
+    #apparent;
+    /** @type {number} 관측지 해발 고도 (m) */
+    #elevation;
+    /** @type {{pressure: (number|undefined), temperature: number}} 대기차 계산용 기압(hPa)/기온(℃) */
+    #atmosphere;
+    /** @type {AstroMatrix} J2000.0 → 날짜의 분점 세차 행렬 (겉보기 모드에서는 장동 포함) */
+    #precessionMatrix = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+    /** @type {AstroMatrix} 날짜의 분점 → J2000.0 세차 행렬 (겉보기 모드에서는 장동 포함) */
+    #inversePrecessionMatrix = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+    /** @type {number} 세차 행렬을 계산한 연도 (표시 역법 기준) */
+    #precessionYear;
+    /** @type {import('./astronomy.js').CalendarType} 날짜 입출력과 날짜환에 쓰는 역법 */
+    #calendar;
+    /** @type {string} 방위 투영 방식 (PROJECTIONS의 키) */
+    #projection;
+    /** @type {Object.<string, boolean>} 하늘 패널 레이어별 표시 여부 */
+    #layers;
+    /** @type {{maxMag: number, bayer: boolean}} 하늘 패널 별 이름의 표시 조건 */
+    #starLabels;
+    /** @type {Labels} 화면 표시 언어의 글자 */
+    #labels;
+    /** @type {SkyCulture} 별자리선/별자리 이름/경계선의 별자리 문화 */
+    #skyCulture;
+    /** @type {Set<function(Planisphere): void>} 상태 변경 리스너 */
+    #changeListeners = new Set();
 
     /** @type {Date} */
     #currentDate;
@@ -542,8 +641,10 @@ class Planisphere {
     #gst;
     /** @type {number} */
     #lst;
-    /** @type {EquiDistanceProjection} */
+    /** @type {import('./astronomy.js').AzimuthalProjection} 원판 하나일 때의 투영 (양면 별자리판은 북쪽 하늘 원판) */
     #proj;
+    /** @type {import('./astronomy.js').AzimuthalProjection|null} 양면 별자리판의 남쪽 하늘 원판 투영 (원판 하나이면 null) */
+    #southProj = null;
     /** @type {number} */
     #limitDE;
 
@@ -581,11 +682,25 @@ class Planisphere {
      * @param {string} options.wrapperDomId - 래퍼 DOM 셀렉터 (예: '#planisphere')
      * @param {Date} [options.currentDate=new Date()] - 초기 날짜/시간
      * @param {number} [options.lon=126.98] - 경도 (동경 양수, -180 ~ 180)
-     * @param {number} [options.lat=37.57] - 위도 (북위 양수, ±20° ~ ±90°)
+     * @param {number} [options.lat=37.57] - 위도 (북위 양수, -90° ~ 90°, ±10° 이내는 양면 별자리판)
      * @param {number} [options.dgmt] - UTC 오프셋 (미지정 시 lon 기반 자동 계산)
      * @param {string} [options.tzName] - 타임존 이름
      * @param {Object} [options.styles={}] - 커스텀 스타일 오버라이드
-     * @throws {Error} wrapperDomId가 없거나, 위도가 범위를 벗어난 경우
+     * @param {'date'|'J2000'} [options.equinox='date'] - 좌표 분점
+     *   ('date': 별 목록을 표시 날짜로 세차 보정, 'J2000': J2000.0 분점 유지)
+     * @param {boolean} [options.apparent=false] - 겉보기 위치 사용 여부
+     *   (true: 장동을 반영한 진 적도와 겉보기 항성시(GAST) 기준으로 그림)
+     * @param {number} [options.elevation=0] - 관측지 해발 고도 (m, 지평선 강하 계산)
+     * @param {number} [options.pressure] - 기압 (hPa, 미지정 시 해발 고도의 표준 대기압)
+     * @param {number} [options.temperature=10] - 기온 (℃)
+     * @param {'auto'|'julian'|'gregorian'} [options.calendar='auto'] - 날짜 입출력과 날짜환에 쓰는 역법
+     *   ('auto': 1582년 10월 15일 이전은 율리우스력, 'julian'/'gregorian': 해당 역법으로 역산)
+     * @param {'equidistant'|'stereographic'|'equal-area'|'orthographic'} [options.projection='equidistant'] - 방위 투영 방식
+     * @param {Object.<string, boolean>} [options.layers={}] - 레이어별 표시 여부 (생략한 레이어는 DEFAULT_LAYERS, 예: { deepSky: false })
+     * @param {'ko'|'en'|'la'|'abbr'} [options.language='ko'] - 화면 표시 언어 (LANGUAGES 참고, 'la'/'abbr'은 별자리 이름만 라틴어/IAU 약자이고 나머지는 영어)
+     * @param {string} [options.skyCulture='western'] - 별자리 문화 ('western': IAU 88개 별자리, 'korean': 동아시아 전통 별자리, SkyCulture.ids 참고)
+     * @param {{maxMag: number, bayer: boolean}} [options.starLabels={}] - 별 이름의 표시 조건 (생략한 항목은 DEFAULT_STAR_LABELS, 예: { maxMag: 2, bayer: true })
+     * @throws {Error} wrapperDomId가 없거나, 위도가 범위를 벗어난 경우, equinox, calendar, projection, layers, language, skyCulture 또는 starLabels가 잘못된 경우
      */
     constructor({
         wrapperDomId,
@@ -594,11 +709,28 @@ class Planisphere {
         lat = DEFAULT_LATITUDE,
         dgmt,
         tzName,
-        styles = {}
+        styles = {},
+        equinox = 'date',
+        apparent = false,
+        elevation = 0,
+        pressure,
+        temperature = 10,
+        calendar = 'auto',
+        projection = 'equidistant',
+        layers = {},
+        language = DEFAULT_LANGUAGE,
+        skyCulture = DEFAULT_SKY_CULTURE,
+        starLabels = {}
     }) {
         if (!wrapperDomId) throw new Error("wrapperDomId는 필수입니다.");
+        if (equinox !== 'date' && equinox !== 'J2000') throw new Error("equinox는 'date' 또는 'J2000'이어야 합니다.");
+        if (!AstroTime.CALENDARS.includes(calendar)) throw new Error("calendar는 'auto', 'julian', 'gregorian' 중 하나여야 합니다.");
+        if (!Object.hasOwn(PROJECTIONS, projection)) throw new Error(`projection은 ${Object.keys(PROJECTIONS).join(', ')} 중 하나여야 합니다.`);
         if (lat < -90 || lat > 90) throw new Error("위도(lat)는 -90° ~ +90° 범위여야 합니다.");
-        if (Math.abs(lat) < 10) throw new Error("적도 ±10° 이내에서는 별자리판 생성이 불안정합니다.");
+        for (const layer of Object.keys(layers)) Planisphere.#validateLayer(layer);
+        if (!LANGUAGES.includes(language)) throw new Error(`language는 ${LANGUAGES.join(', ')} 중 하나여야 합니다.`);
+        const culture = SkyCulture.get(skyCulture);
+        Planisphere.#validateStarLabels(starLabels);
 
         // 경도 정규화
         lon = ((lon + 180) % 360 + 360) % 360 - 180;
@@ -611,6 +743,16 @@ class Planisphere {
         this.#initialDgmt = dgmt ?? 0;
         this.#initialTzName = tzName || "";
         this.#initialStyles = styles;
+        this.#equinox = equinox;
+        this.#apparent = apparent;
+        this.#elevation = elevation;
+        this.#atmosphere = { pressure, temperature };
+        this.#calendar = calendar;
+        this.#projection = projection;
+        this.#layers = { ...DEFAULT_LAYERS, ...layers };
+        this.#labels = Labels.of(language);
+        this.#skyCulture = culture;
+        this.#starLabels = { ...DEFAULT_STAR_LABELS, ...starLabels };
     }
 
     /**
@@ -652,14 +794,14 @@ class Planisphere {
         // 3. 좌표 관련 초기화
         this.#version = VERSION;
         this.#radius = this.#width * 0.5 - this.#deltaX * 2;
-        this.#astroTime = new AstroTime(this.#dgmt, this.#initialLon, this.#initialLat);
+        this.#astroTime = new AstroTime(this.#dgmt, this.#initialLon, this.#initialLat, this.#elevation);
         this.#deltaCulminationTime = this.#astroTime.dgmt * AstroMath.H2R - this.#astroTime.glon;
-        this.#lct = AstroTime.jd(this.#currentDate.getFullYear(), this.#currentDate.getMonth() + 1, this.#currentDate.getDate(), this.#currentDate.getHours(), this.#currentDate.getMinutes(), this.#currentDate.getSeconds());
+        this.#lct = AstroTime.jd(this.#currentDate.getFullYear(), this.#currentDate.getMonth() + 1, this.#currentDate.getDate(), this.#currentDate.getHours(), this.#currentDate.getMinutes(), this.#currentDate.getSeconds(), 'gregorian');
         this.#ut = this.#astroTime.LCT2UT(this.#lct);
         this.#gst = AstroTime.UT2GST(this.#ut);
-        this.#lst = this.#astroTime.LCT2LST(this.#lct);
-        this.#proj = new EquiDistanceProjection(this.#radius, this.#initialLat * AstroMath.D2R);
-        this.#limitDE = this.#proj.limitDE;
+        this.#lst = this.#siderealTime(this.#lct);
+        this.#createProjection(this.#initialLat * AstroMath.D2R);
+        this.#updatePrecession();
 
         // 4. DOM 설정
         const wrapper = document.querySelector(this.#wrapperDomId);
@@ -712,6 +854,10 @@ class Planisphere {
         this.#infoPanel.node.style.touchAction = 'none';
         this.#infoGroup = this.#infoPanel.group();
 
+        // 양면 별자리판의 남쪽 하늘 원판 (원판 하나일 때는 비어 있음)
+        this.#southSkyGroup = this.#skyPanel.group();
+        this.#southTopGroup = this.#topPanel.group();
+
         // 6. InputHandler 설정
         this.#inputHandler = new InputHandler(this.#parentDom, {
             onTransform: (rotation, scale, panX, panY) => {
@@ -719,6 +865,8 @@ class Planisphere {
             }
         });
 
+        this.#updateLayout();
+
         // 7. 창 크기 변경 이벤트
         window.addEventListener('resize', this.#resize.bind(this));
 
@@ -736,6 +884,32 @@ class Planisphere {
     get dgmt() { return this.#astroTime.dgmt; }
     /** @type {string} */
     get tzName() { return this.#tzName; }
+    /** @type {'date'|'J2000'} */
+    get equinox() { return this.#equinox; }
+    /** @type {boolean} */
+    get apparent() { return this.#apparent; }
+    /** @type {number} */
+    get elevation() { return this.#elevation; }
+    /** @type {number} */
+    get pressure() { return this.#atmosphere.pressure ?? AstroRefraction.standardPressure(this.#elevation); }
+    /** @type {number} */
+    get temperature() { return this.#atmosphere.temperature; }
+    /** @type {'auto'|'julian'|'gregorian'} */
+    get calendar() { return this.#calendar; }
+    /** @type {'equidistant'|'stereographic'|'equal-area'|'orthographic'} */
+    get projection() { return this.#projection; }
+    /** @type {boolean} 양면 별자리판(북쪽 하늘/남쪽 하늘 원판) 여부 */
+    get dualDisc() { return this.#southProj !== null; }
+    /** @type {ThemeConfig} 현재 테마 스타일 */
+    get styles() { return this.#styles; }
+    /** @type {Object.<string, boolean>} 하늘 패널 레이어별 표시 여부 (복사본) */
+    get layers() { return { ...this.#layers }; }
+    /** @type {'ko'|'en'|'la'|'abbr'} 화면 표시 언어 */
+    get language() { return this.#labels.language; }
+    /** @type {string} 별자리 문화 식별자 */
+    get skyCulture() { return this.#skyCulture.id; }
+    /** @type {{maxMag: number, bayer: boolean}} 하늘 패널 별 이름의 표시 조건 (복사본) */
+    get starLabels() { return { ...this.#starLabels }; }
     /**
      * 런타임 스타일 변경
      *
@@ -754,9 +928,7 @@ class Planisphere {
             'linear-gradient(to bottom, ' + this.#styles.gradientBackgroundColor[0] + ', ' + this.#styles.gradientBackgroundColor[1] + ')';
 
         // 패널 다시 그리기
-        this.#skyGroup.clear();
-        this.#topGroup.clear();
-        this.#infoGroup.clear();
+        this.#clearPanels();
         this.#render();
         if (isInit) {
             this.#rotateCurrentDate(true);
@@ -764,9 +936,14 @@ class Planisphere {
         } else {
             this.#applyTransform();
         }
+        this.#notifyChange();
     }
     /**
      * Public API: 날짜/시간 변경
+     *
+     * Date 객체의 날짜는 역산 그레고리력으로 해석됩니다.
+     * 1582년 이전이나 기원전 날짜를 율리우스력으로 지정하려면 setCalendarDate()를 사용합니다.
+     *
      * @param {Date} dateObj - 설정할 날짜 객체
      */
     setDateTime(dateObj) {
@@ -774,6 +951,7 @@ class Planisphere {
             throw new TypeError('dateObj must be a Date object');
         }
 
+        const prevDate = this.#currentDate;
         this.#currentDate = dateObj;
         const Y = dateObj.getFullYear();
         const M = dateObj.getMonth() + 1;
@@ -782,30 +960,212 @@ class Planisphere {
         const m = dateObj.getMinutes();
         const s = dateObj.getSeconds();
 
-        this.#lct = AstroTime.jd(Y, M, D, h, m, s);
-        this.#lst = this.#astroTime.LCT2LST(this.#lct);
+        this.#lct = AstroTime.jd(Y, M, D, h, m, s, 'gregorian');
+        this.#lst = this.#siderealTime(this.#lct);
+
+        // 연도가 바뀌면 세차 보정과 날짜 눈금이 달라지므로 전체를 다시 그린다.
+        if (AstroTime.jd2Calendar(this.#lct, this.#calendar).year !== this.#precessionYear) {
+            this.#updatePrecession();
+            this.#clearPanels();
+            this.#render();
+        } else {
+            // 날짜에 따라 움직이는 태양계 천체 갱신
+            this.#renderBodies();
+
+            // 날짜가 바뀌면 시간환의 박명 구간 갱신
+            if (M !== prevDate.getMonth() + 1 || D !== prevDate.getDate()) {
+                this.#topGroup.clear();
+                this.#southTopGroup.clear();
+                this.#renderTopPanel();
+            }
+        }
 
         // 회전값 갱신 및 InputHandler 동기화 (false: 수동 변경 시 jump 방지)
         this.#rotateCurrentDate(false);
+        this.#notifyChange();
+    }
+
+    /**
+     * Public API: 역법 날짜로 날짜/시간 변경
+     *
+     * 날짜는 현재 역법(calendar)으로 해석하며, 기원전은 천문학적 연도 표기
+     * (기원전 1년 = 0, 기원전 585년 = -584)를 사용합니다.
+     *
+     * @param {number} year - 연도 (천문학적 연도 표기)
+     * @param {number} month - 월 (1-12)
+     * @param {number} day - 일 (1-31)
+     * @param {number} [hour=0] - 시 (0-23)
+     * @param {number} [minute=0] - 분 (0-59)
+     * @param {number} [second=0] - 초 (0-59)
+     * @example
+     * // 고려 시대의 날짜: 1092년 6월 1일 밤 9시 (율리우스력)
+     * planisphere.setCalendarDate(1092, 6, 1, 21, 0);
+     */
+    setCalendarDate(year, month, day, hour = 0, minute = 0, second = 0) {
+        const jd = AstroTime.jd(year, month, day, hour, minute, second, this.#calendar);
+        const g = AstroTime.jd2Calendar(jd, 'gregorian');
+
+        // Date 생성자는 0~99년을 1900년대로 해석하므로 setFullYear 사용
+        const date = new Date(2000, 0, 1);
+        date.setFullYear(g.year, g.month - 1, g.day);
+        date.setHours(g.hour, g.minute, g.second, 0);
+        this.setDateTime(date);
+    }
+
+    /**
+     * Public API: 현재 날짜/시간을 현재 역법(calendar)의 날짜로 반환
+     * @returns {import('./astronomy.js').CalendarDate} 날짜와 시각 (연도는 천문학적 연도 표기)
+     */
+    getCalendarDate() {
+        return AstroTime.jd2Calendar(this.#lct, this.#calendar);
+    }
+
+    /**
+     * Public API: 역법 변경
+     *
+     * 표시 중인 순간은 그대로 두고, 날짜 입출력(setCalendarDate/getCalendarDate)과
+     * 날짜환의 월/일 눈금을 새 역법으로 바꿉니다.
+     *
+     * @param {'auto'|'julian'|'gregorian'} calendar - 역법
+     * @throws {Error} 지원하지 않는 역법인 경우
+     */
+    setCalendar(calendar) {
+        if (!AstroTime.CALENDARS.includes(calendar)) {
+            throw new Error("calendar는 'auto', 'julian', 'gregorian' 중 하나여야 합니다.");
+        }
+        if (calendar === this.#calendar) return;
+        this.#calendar = calendar;
+        this.#updatePrecession();
+        this.render();
+    }
+
+    /**
+     * Public API: 방위 투영 방식 변경
+     *
+     * - 'equidistant': 등거리 (기본값, 극으로부터의 각거리에 비례)
+     * - 'stereographic': 평사 (가장자리 별자리 모양 보존)
+     * - 'equal-area': 람베르트 등적 (면적 보존)
+     * - 'orthographic': 정사 (극에서 90°까지만 표시)
+     *
+     * @param {'equidistant'|'stereographic'|'equal-area'|'orthographic'} projection - 투영 방식
+     * @throws {Error} 지원하지 않는 투영 방식인 경우
+     */
+    setProjection(projection) {
+        if (!Object.hasOwn(PROJECTIONS, projection)) {
+            throw new Error(`projection은 ${Object.keys(PROJECTIONS).join(', ')} 중 하나여야 합니다.`);
+        }
+        if (projection === this.#projection) return;
+        this.#projection = projection;
+        this.#createProjection(this.#astroTime.glat);
+        this.render();
+    }
+
+    /**
+     * Public API: 하늘 패널 레이어 표시 여부 변경
+     * @param {string} layer - 레이어 이름 (DEFAULT_LAYERS의 키, 예: 'deepSky')
+     * @param {boolean} visible - 표시 여부
+     * @throws {Error} 알 수 없는 레이어인 경우
+     */
+    setLayerVisible(layer, visible) {
+        Planisphere.#validateLayer(layer);
+        visible = !!visible;
+        if (visible === this.#layers[layer]) return;
+        this.#layers[layer] = visible;
+        this.render();
+    }
+
+    /**
+     * Public API: 화면 표시 언어 변경
+     *
+     * - 'ko': 한글 (기본값)
+     * - 'en': 영어
+     * - 'la': 라틴어 별자리 이름 (나머지 글자는 영어)
+     * - 'abbr': IAU 별자리 약자 (나머지 글자는 영어)
+     *
+     * @param {'ko'|'en'|'la'|'abbr'} language - 표시 언어
+     * @throws {Error} 지원하지 않는 언어인 경우
+     */
+    setLanguage(language) {
+        if (!LANGUAGES.includes(language)) {
+            throw new Error(`language는 ${LANGUAGES.join(', ')} 중 하나여야 합니다.`);
+        }
+        if (language === this.#labels.language) return;
+        this.#labels = Labels.of(language);
+        this.render();
+    }
+
+    /**
+     * Public API: 별자리 문화 변경
+     *
+     * 하늘 패널과 보조 하늘 보기의 별자리선, 별자리 이름, 경계선(경계선 레이어)을 바꿉니다.
+     * - 'western': IAU 88개 별자리 (기본값)
+     * - 'korean': 동아시아 전통 별자리 (삼원 이십팔수, 경계선은 이십팔수 경계)
+     * - SkyCulture.register()로 등록한 문화
+     *
+     * @param {string} skyCulture - 별자리 문화 식별자
+     * @throws {Error} 등록되지 않은 문화인 경우
+     */
+    setSkyCulture(skyCulture) {
+        const culture = SkyCulture.get(skyCulture);
+        if (culture === this.#skyCulture) return;
+        this.#skyCulture = culture;
+        this.render();
+    }
+
+    /**
+     * Public API: 하늘 패널 별 이름의 표시 조건 변경
+     *
+     * 별 이름은 starNames 레이어가 켜져 있을 때 그립니다 (setLayerVisible('starNames', visible)).
+     *
+     * @param {Object} starLabels - 바꿀 항목 (생략한 항목은 그대로)
+     * @param {number} [starLabels.maxMag] - 이름을 쓰는 가장 어두운 등급
+     * @param {boolean} [starLabels.bayer] - 고유 이름이 없는 별에 바이어 문자(α, β, ...) 표시
+     * @throws {Error} 알 수 없는 항목이거나 값의 형식이 잘못된 경우
+     * @example
+     * planisphere.setStarLabels({ maxMag: 2, bayer: true }); // 2등성까지, 이름 없는 별은 α, β, ...
+     */
+    setStarLabels(starLabels) {
+        Planisphere.#validateStarLabels(starLabels);
+        const next = { ...this.#starLabels, ...starLabels };
+        if (next.maxMag === this.#starLabels.maxMag && next.bayer === this.#starLabels.bayer) return;
+        this.#starLabels = next;
+        this.render();
+    }
+
+    static #validateStarLabels(starLabels) {
+        for (const key of Object.keys(starLabels)) {
+            if (!Object.hasOwn(DEFAULT_STAR_LABELS, key)) {
+                throw new Error(`starLabels의 항목은 ${Object.keys(DEFAULT_STAR_LABELS).join(', ')} 중 하나여야 합니다.`);
+            }
+        }
+        if ('maxMag' in starLabels && !Number.isFinite(starLabels.maxMag)) throw new Error("starLabels.maxMag는 숫자여야 합니다.");
+        if ('bayer' in starLabels && typeof starLabels.bayer !== 'boolean') throw new Error("starLabels.bayer는 true 또는 false여야 합니다.");
+    }
+
+    static #validateLayer(layer) {
+        if (!Object.hasOwn(DEFAULT_LAYERS, layer)) {
+            throw new Error(`layer는 ${Object.keys(DEFAULT_LAYERS).join(', ')} 중 하나여야 합니다.`);
+        }
     }
 
     /**
      * Public API: 관측 위치 변경
+     *
+     * 적도 ±10° 이내로 옮기면 양면 별자리판으로, 벗어나면 원판 하나로 바뀝니다.
+     *
      * @param {number} lon - 경도 (-180 ~ 180)
      * @param {number} lat - 위도 (-90 ~ 90)
      * @param {number} [dgmt] - (Optional) 새로운 UTC 오프셋. 생략 시 기존 값 유지.
      * @param {string} [tzName] - (Optional) 새로운 타임존 이름. 생략 시 기존 값 유지.
+     * @param {number} [elevation] - (Optional) 새로운 해발 고도 (m). 생략 시 기존 값 유지.
      */
-    async setLocation(lon, lat, dgmt, tzName) {
+    async setLocation(lon, lat, dgmt, tzName, elevation) {
         // 경도 정규화
         lon = ((lon + 180) % 360 + 360) % 360 - 180;
 
         if (lat < -90 || lat > 90) {
             throw new RangeError('위도(lat)는 -90° ~ +90° 범위여야 합니다.');
         }
-        if (Math.abs(lat) < 10) {
-            throw new RangeError('적도 ±10° 이내에서는 별자리판 생성이 불안정합니다.');
-        }
 
         // 시간대 설정 (명시적 값이 없으면 신규 좌표 기반으로 재계산)
         const finalTzName = (tzName != null) ? tzName : (await TimezoneService.getTimezoneName(lat, lon) || this.#tzName);
@@ -813,22 +1173,208 @@ class Planisphere {
 
         this.#tzName = finalTzName;
         this.#dgmt = finalDgmt;
-        this.#astroTime = new AstroTime(this.#dgmt, lon, lat);
+        if (elevation != null) this.#elevation = elevation;
+        this.#astroTime = new AstroTime(this.#dgmt, lon, lat, this.#elevation);
         this.#deltaCulminationTime = this.#astroTime.dgmt * AstroMath.H2R - this.#astroTime.glon;
 
-        // 투영 재생성
-        this.#proj = new EquiDistanceProjection(this.#radius, lat * AstroMath.D2R);
-        this.#limitDE = this.#proj.limitDE;
+        // 투영 재생성 (양면 별자리판 여부가 바뀌면 화면 배치도 바꾼다)
+        const wasDualDisc = this.dualDisc;
+        this.#createProjection(lat * AstroMath.D2R);
+        if (this.dualDisc !== wasDualDisc) {
+            this.#updateLayout();
+            this.#resize();
+        }
 
         // LST 갱신 (위치 필수 업데이트 항목)
-        this.#lst = this.#astroTime.LCT2LST(this.#lct);
+        this.#lst = this.#siderealTime(this.#lct);
 
         // 전체 다시 그리기
-        this.#skyGroup.clear();
-        this.#topGroup.clear();
-        this.#infoGroup.clear();
+        this.#clearPanels();
         this.#render();
         this.#rotateCurrentDate(true);
+        this.#notifyChange();
+    }
+
+    /**
+     * Public API: 좌표 분점 변경
+     *
+     * 'date'이면 J2000.0 별 목록을 표시 날짜의 분점으로 세차 보정하고,
+     * 'J2000'이면 별 목록은 그대로 두고 태양계 천체와 지평선을 J2000.0 분점으로 옮겨 그립니다.
+     *
+     * @param {'date'|'J2000'} equinox - 좌표 분점
+     * @throws {Error} equinox가 'date' 또는 'J2000'이 아닌 경우
+     */
+    setEquinox(equinox) {
+        if (equinox !== 'date' && equinox !== 'J2000') {
+            throw new Error("equinox는 'date' 또는 'J2000'이어야 합니다.");
+        }
+        if (equinox === this.#equinox) return;
+        this.#equinox = equinox;
+        this.render();
+    }
+
+    /**
+     * Public API: 겉보기 위치 사용 여부 변경
+     *
+     * true이면 장동을 반영한 진 적도 좌표와 겉보기 항성시(GAST)로 그리고,
+     * false이면 평균 적도 좌표와 평균 항성시(GMST)로 그립니다.
+     * 연주광행차(최대 약 20″)는 화면 해상도보다 작아 별자리판에는 적용하지 않습니다.
+     *
+     * @param {boolean} apparent - 겉보기 위치 사용 여부
+     */
+    setApparent(apparent) {
+        apparent = !!apparent;
+        if (apparent === this.#apparent) return;
+        this.#apparent = apparent;
+        this.#lst = this.#siderealTime(this.#lct);
+        this.#updatePrecession();
+        this.render();
+    }
+
+    /**
+     * Public API: 관측 조건(해발 고도, 기압, 기온) 변경
+     *
+     * 지평선 커버와 출몰/박명 계산에 지평선 강하와 대기차로 반영됩니다.
+     * 생략한 항목은 기존 값을 유지합니다.
+     *
+     * @param {Object} conditions - 관측 조건
+     * @param {number} [conditions.elevation] - 해발 고도 (m)
+     * @param {number|null} [conditions.pressure] - 기압 (hPa, null이면 해발 고도의 표준 대기압)
+     * @param {number} [conditions.temperature] - 기온 (℃)
+     */
+    setObserver({ elevation, pressure, temperature } = {}) {
+        if (elevation != null) {
+            this.#elevation = elevation;
+            this.#astroTime = new AstroTime(this.#dgmt, this.lon, this.lat, elevation);
+        }
+        if (pressure !== undefined) this.#atmosphere.pressure = pressure ?? undefined;
+        if (temperature != null) this.#atmosphere.temperature = temperature;
+
+        this.#topGroup.clear();
+        this.#southTopGroup.clear();
+        this.#renderTopPanel();
+        this.#notifyChange();
+    }
+
+    /**
+     * Public API: 현재 날짜(지방 표준시)의 출몰 시각 계산
+     *
+     * @param {import('./riseset.js').RiseSetTarget} target - 대상 천체
+     *   ('sun', 'moon', 행성 이름, J2000.0 {ra, dec} 또는 위치 함수)
+     * @param {import('./riseset.js').RiseSetOptions} [options={}] - 기준 고도 옵션
+     * @returns {import('./riseset.js').RiseSetResult} 출몰 결과
+     * @example
+     * // 오늘 밤 안타레스가 뜨는 시각
+     * const { rise } = planisphere.getRiseTransitSet({ ra: 16.490 * AstroMath.H2R, dec: -26.432 * AstroMath.D2R });
+     */
+    getRiseTransitSet(target, options = {}) {
+        const riseSet = new AstroRiseSet(this.#astroTime, this.#atmosphere);
+        const { year, month, day } = AstroTime.jd2Calendar(this.#lct);
+        return riseSet.compute(target, year, month, day, options);
+    }
+
+    /**
+     * Public API: 현재 날짜(지방 표준시)의 일출/일몰과 박명 시각 계산
+     * @returns {import('./riseset.js').TwilightResult} 일출/일몰 및 시민/항해/천문 박명 시각
+     */
+    getTwilight() {
+        const riseSet = new AstroRiseSet(this.#astroTime, this.#atmosphere);
+        const { year, month, day } = AstroTime.jd2Calendar(this.#lct);
+        return riseSet.twilight(year, month, day);
+    }
+
+    /**
+     * Public API: 화면 위치(포인터 이벤트)의 천구 좌표 계산
+     *
+     * 화면 좌표를 SVG 좌표로 바꾼 뒤 InputHandler의 회전/확대/이동을 되돌려 역투영합니다.
+     * 적경/적위는 하늘 패널에서, 방위각/고도는 지평선이 그려진 시간환 패널에서 구하므로
+     * 드래그로 하늘만 돌린 상태에서도 화면에 보이는 지평선 기준의 값이 됩니다.
+     * 양면 별자리판에서는 포인터가 있는 쪽 원판(왼쪽: 북쪽 하늘, 오른쪽: 남쪽 하늘)을 기준으로 합니다.
+     *
+     * @param {{clientX: number, clientY: number}} event - 포인터/마우스 이벤트 또는 Touch 객체
+     * @returns {SkyPosition|null} 천구 좌표 (별자리판이 화면에 없으면 null)
+     * @example
+     * wrapper.addEventListener('pointermove', (e) => {
+     *     const pos = planisphere.getSkyPosition(e);
+     *     if (pos?.inside) console.log(pos.ra * AstroMath.R2H, pos.altitude * AstroMath.R2D);
+     * });
+     */
+    getSkyPosition(event) {
+        const point = this.#clientToView(event.clientX, event.clientY);
+        if (!point) return null;
+
+        // 양면 별자리판: 포인터가 있는 쪽 원판
+        const isSouthDisc = this.dualDisc && point.x > this.#inputHandler.panX;
+        const proj = isSouthDisc ? this.#southProj : this.#proj;
+        const offsetX = this.#discOffsetX() * (isSouthDisc ? 1 : -1);
+        const mirror = (rotation) => isSouthDisc ? 180 - rotation : rotation;
+
+        // 하늘 패널: 별자리판 좌표계의 적경/적위
+        const sky = this.#viewToGroup(point, mirror(this.#skyRotation), offsetX);
+        const { ra, dec } = proj.unproject(sky.x, sky.y);
+
+        const chart = new AstroVector();
+        const target = new AstroVector();
+        chart.setSphe(ra, dec);
+        if (this.#equinox === 'date') {
+            target.multiply(this.#inversePrecessionMatrix, chart);
+        } else {
+            target.setSphe(ra, dec);
+        }
+        const ra2000 = target.lon();
+        const dec2000 = target.lat();
+
+        // 시간환 패널: 렌더링 시점의 지평 → 적도 행렬을 거꾸로 적용
+        const top = this.#viewToGroup(point, mirror(this.#topPanelRotation), offsetX);
+        const topEqu = proj.unproject(top.x, top.y);
+        const equToHor = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+        equToHor.transpose(this.#horToEquMatrix);
+        chart.setSphe(topEqu.ra, topEqu.dec);
+        target.multiply(equToHor, chart);
+
+        return {
+            ra,
+            dec,
+            ra2000,
+            dec2000,
+            azimuth: target.lon(),
+            altitude: target.lat(),
+            inside: Math.hypot(sky.x, sky.y) <= proj.screenRadius
+        };
+    }
+
+    /**
+     * 브라우저 화면 좌표를 SVG 뷰박스 좌표로 변환
+     * @private
+     * @param {number} clientX - 화면 x 좌표 (px)
+     * @param {number} clientY - 화면 y 좌표 (px)
+     * @returns {DOMPoint|null} 뷰박스 좌표 (SVG가 렌더링되지 않았으면 null)
+     */
+    #clientToView(clientX, clientY) {
+        const ctm = this.#skyPanel?.node.getScreenCTM();
+        if (!ctm) return null;
+        return new DOMPoint(clientX, clientY).matrixTransform(ctm.inverse());
+    }
+
+    /**
+     * 뷰박스 좌표에서 #applyTransform의 이동/회전/확대를 되돌려 그룹 내부 좌표로 변환
+     * @private
+     * @param {{x: number, y: number}} point - 뷰박스 좌표
+     * @param {number} rotation - 그룹의 회전각 (도)
+     * @param {number} [offsetX=0] - 원판 중심의 가로 위치 (확대 전, 양면 별자리판)
+     * @returns {{x: number, y: number}} 그룹 내부 좌표 (투영 좌표와 같은 기준)
+     */
+    #viewToGroup(point, rotation, offsetX = 0) {
+        const scale = this.#inputHandler.scale;
+        const dx = point.x - this.#inputHandler.panX - offsetX * scale;
+        const dy = point.y - this.#inputHandler.panY;
+        const theta = -rotation * AstroMath.D2R;
+        const cos = Math.cos(theta);
+        const sin = Math.sin(theta);
+        return {
+            x: (dx * cos - dy * sin) / scale,
+            y: (dx * sin + dy * cos) / scale
+        };
     }
 
     /**
@@ -858,11 +1404,40 @@ class Planisphere {
      * 별자리판을 다시 그립니다.
      */
     render() {
-        this.#skyGroup.clear();
-        this.#topGroup.clear();
-        this.#infoGroup.clear();
+        this.#clearPanels();
         this.#render();
         this.#rotateCurrentDate(false);
+        this.#notifyChange();
+    }
+
+    /**
+     * Public API: 상태 변경 리스너 등록
+     *
+     * 날짜/시간, 위치, 관측 조건, 테마 등이 바뀌어 다시 그릴 때마다 호출됩니다.
+     * 전천 보기(SkyView)처럼 별자리판과 같은 하늘을 함께 보여주는 화면을 동기화하는 데 씁니다.
+     *
+     * @param {function(Planisphere): void} listener - 변경된 별자리판을 받는 함수
+     * @returns {function(): void} 등록 해제 함수
+     */
+    addChangeListener(listener) {
+        this.#changeListeners.add(listener);
+        return () => this.removeChangeListener(listener);
+    }
+
+    /**
+     * Public API: 상태 변경 리스너 해제
+     * @param {function(Planisphere): void} listener - addChangeListener()로 등록한 함수
+     */
+    removeChangeListener(listener) {
+        this.#changeListeners.delete(listener);
+    }
+
+    /**
+     * 등록된 변경 리스너 호출
+     * @private
+     */
+    #notifyChange() {
+        for (const listener of this.#changeListeners) listener(this);
     }
 
     #rotateCurrentDate(isResetInput = true) {
@@ -891,15 +1466,29 @@ class Planisphere {
         // 현재 회전상태를 저장 (동기화)
         this.#skyRotation = rotation;
 
+        // 양면 별자리판: 북쪽 하늘 원판은 왼쪽, 남쪽 하늘 원판은 오른쪽에서 거울상으로 회전
+        const offsetX = this.#discOffsetX() * scale;
         this.#skyGroup.transform({
             rotate: rotation,
-            translate: [panX, panY],
+            translate: [panX - offsetX, panY],
             scale: scale,
             ox: 0, oy: 0
         });
         this.#topGroup.transform({
             rotate: this.#topPanelRotation,
-            translate: [panX, panY],
+            translate: [panX - offsetX, panY],
+            scale: scale,
+            ox: 0, oy: 0
+        });
+        this.#southSkyGroup.transform({
+            rotate: 180 - rotation,
+            translate: [panX + offsetX, panY],
+            scale: scale,
+            ox: 0, oy: 0
+        });
+        this.#southTopGroup.transform({
+            rotate: 180 - this.#topPanelRotation,
+            translate: [panX + offsetX, panY],
             scale: scale,
             ox: 0, oy: 0
         });
@@ -914,40 +1503,162 @@ class Planisphere {
         const wrapper = this.#parentDom.parentElement;
         const w = wrapper.offsetWidth;
         const h = wrapper.offsetHeight;
-        const size = Math.min(w, h);
+        // 양면 별자리판은 가로가 세로의 두 배
+        const aspect = this.dualDisc ? 2 : 1;
+        const size = Math.min(w / aspect, h);
 
         // 브라우저 확대/축소 비율 반영
         //const scale = window.devicePixelRatio || 1;
         const scale = 1;
 
-        this.#parentDom.style.width = (size * scale) + 'px';
+        this.#parentDom.style.width = (size * aspect * scale) + 'px';
         this.#parentDom.style.height = (size * scale) + 'px';
     }
 
+    /**
+     * 현재 투영 방식과 위도로 투영 객체 생성
+     *
+     * 적도 ±DUAL_DISC_LATITUDE 이내에서는 북극 중심과 남극 중심 원판의 투영을 함께 만든다.
+     * @private
+     * @param {number} lat - 관측지 위도 (라디안)
+     */
+    #createProjection(lat) {
+        const Projection = PROJECTIONS[this.#projection];
+        if (Math.abs(lat) < DUAL_DISC_LATITUDE * AstroMath.D2R) {
+            const limitDE = DUAL_DISC_LIMIT_DE * AstroMath.D2R;
+            this.#proj = new Projection(this.#radius, AstroMath.HPI, -limitDE);
+            this.#southProj = new Projection(this.#radius, -AstroMath.HPI, limitDE);
+        } else {
+            this.#proj = new Projection(this.#radius, lat);
+            this.#southProj = null;
+        }
+        this.#limitDE = this.#proj.limitDE;
+    }
+
+    /**
+     * 양면 별자리판 원판 중심의 가로 위치 (확대 전 뷰박스 좌표, 원판 하나이면 0)
+     * @private
+     * @returns {number}
+     */
+    #discOffsetX() {
+        return this.dualDisc ? this.#centerX : 0;
+    }
+
+    /**
+     * 원판 수에 맞게 뷰박스와 드래그 회전 중심 설정 (양면 별자리판은 가로 두 배)
+     * @private
+     */
+    #updateLayout() {
+        const width = this.dualDisc ? this.#width * 2 : this.#width;
+        for (const panel of [this.#skyPanel, this.#topPanel, this.#infoPanel]) {
+            panel.viewbox(-width * 0.5, -this.#centerY, width, this.#height);
+        }
+        this.#inputHandler.setDiscOffset(this.dualDisc ? 0.25 : 0);
+    }
+
+    /**
+     * 모든 패널 그룹 비우기
+     * @private
+     */
+    #clearPanels() {
+        this.#skyGroup.clear();
+        this.#topGroup.clear();
+        this.#infoGroup.clear();
+        this.#southSkyGroup.clear();
+        this.#southTopGroup.clear();
+    }
+
+    /**
+     * 현재 날짜 기준으로 세차 행렬 갱신
+     * 세차는 1년에 약 50″이므로 연도가 바뀔 때만 다시 계산한다.
+     * @private
+     */
+    #updatePrecession() {
+        this.#precessionYear = AstroTime.jd2Calendar(this.#lct, this.#calendar).year;
+        const tt = AstroTime.UT2TT(this.#astroTime.LCT2UT(this.#lct));
+        if (this.#apparent) {
+            this.#precessionMatrix.meanToTrue(tt);
+        } else {
+            this.#precessionMatrix.precession(tt);
+        }
+        this.#inversePrecessionMatrix.transpose(this.#precessionMatrix);
+    }
+
+    /**
+     * 지방 표준시에 대한 지방 항성시 계산 (겉보기 모드에서는 겉보기 항성시)
+     * @private
+     * @param {number} lct - 지방 표준시 (율리우스일 형식)
+     * @returns {number} 지방 항성시 (율리우스일 형식)
+     */
+    #siderealTime(lct) {
+        return this.#apparent ? this.#astroTime.LCT2LAST(lct) : this.#astroTime.LCT2LST(lct);
+    }
+
     #render() {
         this.#renderSkyPanel();
+        this.#renderBodies();
         this.#renderTopPanel();
         this.#renderInfoPanel();
     }
 
     #renderSkyPanel() {
+        this.#bodyGroup = this.#renderSkyDisc(this.#skyGroup, this.#proj);
+        if (this.#southProj) this.#southBodyGroup = this.#renderSkyDisc(this.#southSkyGroup, this.#southProj);
+    }
+    #renderSkyDisc(group, proj) {
         const renderer = new SkyPanelRenderer(
-            this.#skyGroup,
-            this.#proj,
+            group,
+            proj,
             this.#styles,
             this.#astroTime,
             this.#radius,
-            this.#limitDE,
+            proj.limitDE,
             this.#intervalRA,
             this.#intervalDE,
-            this.#currentDate
+            this.#currentDate,
+            {
+                precessionMatrix: this.#equinox === 'date' ? this.#precessionMatrix : null,
+                calendar: this.#calendar,
+                layers: this.#layers,
+                labels: this.#labels,
+                skyCulture: this.#skyCulture,
+                starLabels: this.#starLabels
+            }
+        );
+        renderer.render();
+
+        // 태양계 천체는 날짜 변경 시 이 그룹만 다시 그린다.
+        return group.group();
+    }
+    #renderBodies() {
+        this.#renderBodyDisc(this.#bodyGroup, this.#proj);
+        if (this.#southProj) this.#renderBodyDisc(this.#southBodyGroup, this.#southProj);
+    }
+    #renderBodyDisc(group, proj) {
+        group.clear();
+        const renderer = new SolarSystemRenderer(
+            group,
+            proj,
+            this.#styles,
+            this.#astroTime,
+            this.#currentDate,
+            this.#equinox === 'J2000' ? this.#inversePrecessionMatrix : null,
+            this.#labels
         );
         renderer.render();
     }
     #renderTopPanel() {
+        if (this.#southProj) {
+            this.#renderTopDisc(this.#topGroup, this.#proj, 'north');
+            this.#renderTopDisc(this.#southTopGroup, this.#southProj, 'south');
+        } else {
+            this.#renderTopDisc(this.#topGroup, this.#proj, null);
+        }
+    }
+    #renderTopDisc(group, proj, facing) {
         const renderer = new TimeRingRenderer(
-            this.#topGroup,
-            this.#proj,
+            group,
+            proj,
             this.#styles,
             this.#astroTime,
             this.#radius,
@@ -955,7 +1666,14 @@ class Planisphere {
             this.#horToEquMatrix,
             this.#horVector,
             this.#equVector,
-            this.#deltaCulminationTime
+            this.#deltaCulminationTime,
+            {
+                frameMatrix: this.#equinox === 'J2000' ? this.#inversePrecessionMatrix : null,
+                apparent: this.#apparent,
+                atmosphere: this.#atmosphere,
+                facing,
+                labels: this.#labels
+            }
         );
         renderer.render();
     }
@@ -964,7 +1682,9 @@ class Planisphere {
             this.#infoGroup,
             this.#styles,
             this.#version,
-            this.#astroTime.glat
+            this.#astroTime.glat,
+            this.dualDisc,
+            this.#labels
         );
         renderer.render();
     }
@@ -10,14 +10,22 @@
  * 주요 컴포넌트:
  * - THEMES: 색상 테마 정의 (default, dark, light)
  * - SkyPanelRenderer: 하늘 패널 (별, 별자리, 좌표선)
- * - TimeRingRenderer: 시간환 (지평선, 시간 눈금, 방위)
+ * - TimeRingRenderer: 시간환 (지평선, 박명, 시간 눈금, 방위)
+ * - SolarSystemRenderer: 태양계 천체 (태양, 달, 행성)
  * - InfoPanelRenderer: 정보 패널 (범례, 타이틀)
  *
  * @requires SVG.js
  */
 
-import { AstroMath, AstroTime } from './astronomy.js';
-import { STARS_DATA, CONSTELLATION_LINES, CONSTELLATION_NAMES } from './models.js';
+import { AstroMath, AstroTime, AstroVector, AstroMatrix, AstroPoint, AstroRefraction } from './astronomy.js';
+import { AstroSun, AstroMoon, AstroPlanet } from './ephemeris.js';
+import { AstroRiseSet } from './riseset.js';
+import { MILKY_WAY } from './models.js';
+import { StarCatalog, DeepSkyCatalog } from './catalog.js';
+import { SkyCulture } from './skyculture.js';
+import { DEFAULT_LAYERS, DEFAULT_STAR_LABELS, DEFAULT_SKY_CULTURE } from './constants.js';
+import { Labels } from './i18n.js';
+import { LabelLayout } from './labellayout.js';
 import { Env } from './util.js';
 
 /**
@@ -34,6 +42,53 @@ const getFontFamily = () => {
 
 const FONT_FAMILY = getFontFamily();
 
+/**
+ * 글자 배치(LabelLayout)의 레이어별 우선순위 (클수록 먼저 자리를 잡음)
+ *
+ * 같은 레이어 안에서는 밝은 천체가 먼저 자리를 잡도록 등급을 빼서 씁니다.
+ * @private
+ * @constant {Object.<string, number>}
+ */
+const LABEL_PRIORITY = Object.freeze({
+    body: 300,
+    constellation: 200,
+    seasonalPoint: 150,
+    star: 100,
+    eclipticTick: 50,
+    deepSky: 0
+});
+
+/**
+ * 글자 배치의 자리를 정해 놓인 글자 그리기
+ * @private
+ * @param {SVG.Container} canvas - SVG.js 캔버스 객체
+ * @param {LabelLayout} layout - data가 {text, font}인 글자를 모은 배치 (font는 SVG.js 글꼴 속성)
+ */
+const renderLabels = (canvas, layout) => {
+    for (const { x, y, angle, data: { text, font } } of layout.solve()) {
+        const label = canvas.text(text).attr('text-anchor', 'middle').center(x, y);
+        if (angle) label.transform({ rotate: AstroMath.R2D * angle });
+        label.font(font);
+    }
+};
+
+/**
+ * 겉보기 등급에 따른 별의 크기와 불투명도 (하늘 패널과 전천 보기 공통)
+ * @private
+ * @param {number} mag - 겉보기 등급
+ * @returns {{radius: number, alpha: number}} 반경(픽셀)과 불투명도
+ */
+const starStyle = (mag) => {
+    if (mag < -1) return { radius: 7, alpha: 1 };
+    if (mag < 0) return { radius: 6, alpha: 1 };
+    if (mag < 1) return { radius: 5, alpha: 1 };
+    if (mag < 2) return { radius: 4, alpha: 1 };
+    if (mag < 3) return { radius: 3, alpha: 0.8 };
+    if (mag < 4) return { radius: 2, alpha: 0.8 };
+    if (mag < 5) return { radius: 1, alpha: 0.5 };
+    return { radius: 0.5, alpha: 0.5 };
+};
+
 /**
  * 별자리판 색상 테마 정의
  *
@@ -85,6 +140,28 @@ const FONT_FAMILY = getFontFamily();
  * @property {string} nwesColor - 방위 텍스트 색상
  * @property {number} nwesTextSize - 방위 텍스트 크기
  * @property {Object.<string, string>} starColors - 분광형별 별 색상
+ * @property {string} sunColor - 태양 기호 색상
+ * @property {string} moonColor - 달의 밝은 면 색상
+ * @property {string} moonDarkColor - 달의 어두운 면 색상
+ * @property {Object.<string, string>} planetColors - 행성별 기호 색상
+ * @property {string} bodyNameTextColor - 태양계 천체 이름 색상
+ * @property {number} bodyNameTextSize - 태양계 천체 이름 크기
+ * @property {{civil: string, nautical: string, astronomical: string, night: string}} twilightColors
+ *   - 시간환 박명 구간 색상 (시민/항해/천문 박명, 밤)
+ * @property {string} twilightLineColor - 태양 고도 -6°/-12°/-18° 등고도선 색상
+ * @property {string} deepSkyColor - 딥스카이 천체 기호 색상
+ * @property {number} deepSkyTextSize - 딥스카이 천체 번호(M31, C14) 크기
+ * @property {string} milkyWayColor - 은하수 색상
+ * @property {number} milkyWayOpacity - 은하수 밝기 단계 하나의 투명도 (단계가 겹칠수록 진해짐)
+ * @property {string} boundaryColor - 별자리 경계선(점선) 색상
+ * @property {number} boundaryOpacity - 별자리 경계선 투명도
+ * @property {string} starNameTextColor - 별 이름(고유 이름, 바이어 문자) 색상
+ * @property {number} starNameTextSize - 별 이름 크기
+ * @property {string} eclipticColor - 황도, 황경 눈금, 분점/지점 이름 색상
+ * @property {number} eclipticOpacity - 황도 투명도
+ * @property {number} eclipticTextSize - 황경 눈금값과 분점/지점 이름 크기
+ * @property {string} galacticEquatorColor - 은하 적도(점선) 색상
+ * @property {number} galacticEquatorOpacity - 은하 적도 투명도
  */
 export const THEMES = {
     default: {
@@ -126,7 +203,41 @@ export const THEMES = {
             K: '#ffd2a1',
             M: '#ffcc6f',
             default: '#fff'
-        }
+        },
+        sunColor: '#ffcc33',
+        moonColor: '#f4f1e0',
+        moonDarkColor: '#3a3a44',
+        planetColors: {
+            mercury: '#c9b9a6',
+            venus: '#fff3c4',
+            mars: '#ff7a4d',
+            jupiter: '#ffd9a0',
+            saturn: '#f0d27a',
+            uranus: '#9fe3e6',
+            neptune: '#7f9cff'
+        },
+        bodyNameTextColor: '#ffdd66',
+        bodyNameTextSize: 11,
+        twilightColors: {
+            civil: '#e08a1e',
+            nautical: '#a86a3c',
+            astronomical: '#5e4f66',
+            night: '#2a2b4a'
+        },
+        twilightLineColor: '#7a4a00',
+        deepSkyColor: '#66ccff',
+        deepSkyTextSize: 8,
+        milkyWayColor: '#8fa8ff',
+        milkyWayOpacity: 0.08,
+        boundaryColor: '#8899cc',
+        boundaryOpacity: 0.5,
+        starNameTextColor: '#ddeeff',
+        starNameTextSize: 9,
+        eclipticColor: '#ffcc66',
+        eclipticOpacity: 0.8,
+        eclipticTextSize: 8,
+        galacticEquatorColor: '#99aaff',
+        galacticEquatorOpacity: 0.6
     },
 
     dark: {
@@ -168,7 +279,41 @@ export const THEMES = {
             K: '#ffd2a1',
             M: '#ffcc6f',
             default: '#fff'
-        }
+        },
+        sunColor: '#ddaa33',
+        moonColor: '#ccc9b8',
+        moonDarkColor: '#2a2a2a',
+        planetColors: {
+            mercury: '#a89a8a',
+            venus: '#ddd3a8',
+            mars: '#dd6644',
+            jupiter: '#ddbb88',
+            saturn: '#ccb366',
+            uranus: '#88c4c6',
+            neptune: '#6f88dd'
+        },
+        bodyNameTextColor: '#ddbb66',
+        bodyNameTextSize: 11,
+        twilightColors: {
+            civil: '#4a4036',
+            nautical: '#3a3640',
+            astronomical: '#2a2a3e',
+            night: '#15152a'
+        },
+        twilightLineColor: '#777',
+        deepSkyColor: '#4a9acc',
+        deepSkyTextSize: 8,
+        milkyWayColor: '#6677aa',
+        milkyWayOpacity: 0.07,
+        boundaryColor: '#555577',
+        boundaryOpacity: 0.5,
+        starNameTextColor: '#aab4cc',
+        starNameTextSize: 9,
+        eclipticColor: '#aa8855',
+        eclipticOpacity: 0.6,
+        eclipticTextSize: 8,
+        galacticEquatorColor: '#556699',
+        galacticEquatorOpacity: 0.5
     },
 
     light: {
@@ -210,7 +355,41 @@ export const THEMES = {
             K: '#ff6600',
             M: '#cc0000',
             default: '#222'
-        }
+        },
+        sunColor: '#ff9900',
+        moonColor: '#fffbe6',
+        moonDarkColor: '#555566',
+        planetColors: {
+            mercury: '#7a6a5a',
+            venus: '#b08800',
+            mars: '#cc3300',
+            jupiter: '#aa6622',
+            saturn: '#998800',
+            uranus: '#338899',
+            neptune: '#2244cc'
+        },
+        bodyNameTextColor: '#aa5500',
+        bodyNameTextSize: 11,
+        twilightColors: {
+            civil: '#ffd9a6',
+            nautical: '#d9c2cc',
+            astronomical: '#aab0d0',
+            night: '#7780aa'
+        },
+        twilightLineColor: '#999',
+        deepSkyColor: '#0066aa',
+        deepSkyTextSize: 8,
+        milkyWayColor: '#5566aa',
+        milkyWayOpacity: 0.07,
+        boundaryColor: '#8888aa',
+        boundaryOpacity: 0.6,
+        starNameTextColor: '#333355',
+        starNameTextSize: 9,
+        eclipticColor: '#cc7700',
+        eclipticOpacity: 0.8,
+        eclipticTextSize: 8,
+        galacticEquatorColor: '#6677cc',
+        galacticEquatorOpacity: 0.6
     }
 };
 
@@ -221,14 +400,20 @@ export const THEMES = {
  * - 날짜환: 1년 365/366일의 날짜 눈금
  * - 적경선/적위선: 천구 좌표계 그리드
  * - 별: 밝기와 분광형에 따른 색상/크기
- * - 별자리선: 88개 별자리 연결선
- * - 별자리명: 한글 별자리 이름
+ * - 별자리선: 별자리 문화(SkyCulture)의 연결선 (기본은 IAU 88개 별자리)
+ * - 별자리명: 표시 언어의 별자리 이름
+ * - 별 이름: 밝은 별의 고유 이름
+ * - 황도: 황경 10°마다 눈금, 30°마다 눈금값, 분점/지점 표시
+ * - 은하 적도: 은위 0°의 점선
+ *
+ * 별자리명, 별 이름, 분점/지점 이름, 황경 눈금값, 딥스카이 번호는 LabelLayout으로 서로 겹치지 않는 자리에 씁니다.
  *
  * @class
  * @example
  * const renderer = new SkyPanelRenderer(
  *     canvas, proj, styles, astroTime,
- *     300, -30 * D2R, 2, 10, new Date()
+ *     300, -30 * D2R, 2, 10, new Date(),
+ *     { labels: Labels.of('en') }
  * );
  * renderer.render();
  */
@@ -242,11 +427,22 @@ export class SkyPanelRenderer {
     #intervalRA;
     #intervalDE;
     #currentDate;
+    #precessionMatrix;
+    #calendar;
+    #layers;
+    #labels;
+    #skyCulture;
+    #starLabels;
+    /** @type {LabelLayout|null} 이번 렌더링의 글자 배치 */
+    #layout = null;
+    #j2000Vector = new AstroVector(0, 0, 0);
+    #dateVector = new AstroVector(0, 0, 0);
+    #circleVector = new AstroVector(0, 0, 0);
 
     /**
      * SkyPanelRenderer 인스턴스 생성
      * @param {SVG.Container} canvas - SVG.js 캔버스 객체
-     * @param {EquiDistanceProjection} proj - 등거리 투영 객체
+     * @param {AzimuthalProjection} proj - 방위 투영 객체 (등거리/평사/등적/정사)
      * @param {ThemeConfig} styles - 테마 스타일 설정
      * @param {AstroTime} astroTime - 천문 시간 변환 객체
      * @param {number} radius - 하늘 패널 반경 (픽셀)
@@ -254,8 +450,22 @@ export class SkyPanelRenderer {
      * @param {number} intervalRA - 적경선 간격 (시간)
      * @param {number} intervalDE - 적위선 간격 (도)
      * @param {Date} currentDate - 현재 날짜/시간
+     * @param {Object} [options={}] - 선택 옵션
+     * @param {AstroMatrix|null} [options.precessionMatrix=null] - J2000.0 → 날짜의 세차 행렬 (null이면 J2000.0 좌표 그대로 표시)
+     * @param {'auto'|'julian'|'gregorian'} [options.calendar='auto'] - 날짜환의 월/일 눈금에 쓰는 역법
+     * @param {Object.<string, boolean>} [options.layers=DEFAULT_LAYERS] - 레이어별 표시 여부 (constants.js의 DEFAULT_LAYERS 참고)
+     * @param {Labels} [options.labels=Labels.of()] - 화면 표시 언어의 글자 (월, 별자리 이름)
+     * @param {SkyCulture} [options.skyCulture=SkyCulture.get(DEFAULT_SKY_CULTURE)] - 별자리선, 별자리 이름, 경계선을 가져올 별자리 문화
+     * @param {{maxMag: number, bayer: boolean}} [options.starLabels=DEFAULT_STAR_LABELS] - 별 이름의 표시 조건 (constants.js의 DEFAULT_STAR_LABELS 참고)
      */
-    constructor(canvas, proj, styles, astroTime, radius, limitDE, intervalRA, intervalDE, currentDate) {
+    constructor(canvas, proj, styles, astroTime, radius, limitDE, intervalRA, intervalDE, currentDate, {
+        precessionMatrix = null,
+        calendar = 'auto',
+        layers = DEFAULT_LAYERS,
+        labels = Labels.of(),
+        skyCulture = SkyCulture.get(DEFAULT_SKY_CULTURE),
+        starLabels = DEFAULT_STAR_LABELS
+    } = {}) {
         this.#canvas = canvas;
         this.#proj = proj;
         this.#styles = styles;
@@ -265,6 +475,12 @@ export class SkyPanelRenderer {
         this.#intervalRA = intervalRA;
         this.#intervalDE = intervalDE;
         this.#currentDate = currentDate;
+        this.#precessionMatrix = precessionMatrix;
+        this.#calendar = calendar;
+        this.#layers = layers;
+        this.#labels = labels;
+        this.#skyCulture = skyCulture;
+        this.#starLabels = starLabels;
     }
 
     /**
@@ -272,34 +488,67 @@ export class SkyPanelRenderer {
      *
      * 다음 순서로 레이어를 그립니다:
      * 1. 날짜환 (가장 바깥)
-     * 2. 적경선/적위선 (좌표 그리드)
-     * 3. 별자리선
-     * 4. 별
-     * 5. 별자리명 (가장 위)
+     * 2. 은하수 (layers.milkyWay)
+     * 3. 적경선/적위선 (좌표 그리드, 천구 적도는 강조색)
+     * 4. 별자리 경계선 (layers.boundaries)
+     * 5. 은하 적도 (layers.galacticEquator)
+     * 6. 황도 (layers.ecliptic)
+     * 7. 별자리선
+     * 8. 딥스카이 천체 (layers.deepSky)
+     * 9. 별
+     * 10. 글자: 별자리명, 분점/지점 이름, 별 이름(layers.starNames), 황경 눈금값, 딥스카이 번호 (가장 위)
+     *
+     * 글자는 우선순위(별자리명 > 분점/지점 이름 > 별 이름 > 황경 눈금값 > 딥스카이 번호) 순서로 자리를 잡고,
+     * 기본 위치가 다른 글자나 기호와 겹치면 대체 위치를 쓰며, 자리가 없으면 생략합니다.
      */
     render() {
         const diameter = this.#radius * 2;
         const cx = 0;
         const cy = 0;
-        const year = this.#currentDate.getFullYear();
-        const daysInYear = this.#astroTime.daysInYear(year);
+        // Date의 날짜는 그레고리력이므로 표시 역법의 연도로 바꿔 날짜환을 그린다.
+        const { year } = AstroTime.jd2Calendar(AstroTime.jd(
+            this.#currentDate.getFullYear(),
+            this.#currentDate.getMonth() + 1,
+            this.#currentDate.getDate(),
+            0, 0, 0, 'gregorian'
+        ), this.#calendar);
+        const daysInYear = this.#astroTime.daysInYear(year, this.#calendar);
         const dailyStep = AstroMath.TPI / daysInYear;
 
         // 날짜 눈금 부분
         this.#renderDateRing(cx, cy, diameter, year, dailyStep);
 
+        // 각 레이어가 글자를 추가하고, 마지막에 한꺼번에 자리를 정해 그린다.
+        this.#layout = new LabelLayout({ circle: { cx, cy, radius: this.#proj.screenRadius } });
+
+        // 은하수
+        if (this.#layers.milkyWay) this.#renderMilkyWay(cx, cy);
+
         // 적경선과 적위선
         this.#renderRALines(cx, cy);
         this.#renderDECLines(cx, cy);
 
+        // 별자리 경계선
+        if (this.#layers.boundaries) this.#renderConstellationBoundaries(cx, cy);
+
+        // 은하 적도와 황도
+        if (this.#layers.galacticEquator) this.#renderGalacticEquator(cx, cy);
+        if (this.#layers.ecliptic) this.#renderEcliptic(cx, cy);
+
         // 별자리선
         this.#renderConstellationLines(cx, cy);
 
+        // 딥스카이 천체
+        if (this.#layers.deepSky) this.#renderDeepSky(cx, cy);
+
         // 별
         this.#renderStars(cx, cy);
 
-        // 별자리명
-        this.#renderConstellationNames(cx, cy);
+        // 글자
+        this.#addConstellationNames(cx, cy);
+        if (this.#layers.starNames) this.#addStarNames(cx, cy);
+        renderLabels(this.#canvas, this.#layout);
+        this.#layout = null;
     }
 
     #renderDateRing(cx, cy, diameter, year, dailyStep) {
@@ -323,9 +572,9 @@ export class SkyPanelRenderer {
 
         // 월 표시
         for (let month = 1; month <= 12; month++) {
-            const midDay = AstroTime.monthMidDay(year, month) + 1;
-            const hour = this.#astroTime.hourForDateRing(year, month, midDay);
-            const lct = AstroTime.jd(year, month, midDay, hour, 0, 0);
+            const midDay = AstroTime.monthMidDay(year, month, this.#calendar) + 1;
+            const hour = this.#astroTime.hourForDateRing(year, month, midDay, 'LASN', 0, this.#calendar);
+            const lct = AstroTime.jd(year, month, midDay, hour, 0, 0, this.#calendar);
             const lst = this.#astroTime.LCT2LST(lct);
             const ra = AstroTime.jd2Time(lst) * AstroMath.H2R;
             let { x, y } = this.#proj.project(ra + dailyStep / 2, this.#limitDE);
@@ -333,7 +582,7 @@ export class SkyPanelRenderer {
             let r = this.#radius + 30;
             x = r * Math.cos(t);
             y = r * Math.sin(t);
-            canvas.text(`${month}월`).attr('text-anchor', 'middle').center(cx + x, cy + y)
+            canvas.text(this.#labels.month(month)).attr('text-anchor', 'middle').center(cx + x, cy + y)
                 .transform({ rotate: AstroMath.R2D * (Math.atan2(y, x) - AstroMath.HPI) })
                 .font({
                     fill: this.#styles.dateColor,
@@ -346,8 +595,8 @@ export class SkyPanelRenderer {
         // 월 경계선
         let path = '';
         for (let month = 1; month <= 12; month++) {
-            const hour = this.#astroTime.hourForDateRing(year, month, 1);
-            const lct = AstroTime.jd(year, month, 1, hour, 0, 0);
+            const hour = this.#astroTime.hourForDateRing(year, month, 1, 'LASN', 0, this.#calendar);
+            const lct = AstroTime.jd(year, month, 1, hour, 0, 0, this.#calendar);
             const lst = this.#astroTime.LCT2LST(lct);
             const ra = AstroTime.jd2Time(lst) * AstroMath.H2R;
             const { x, y } = this.#proj.project(ra + dailyStep / 2, this.#limitDE);
@@ -370,12 +619,12 @@ export class SkyPanelRenderer {
 
         // 일 경계선
         path = '';
-        const daysPerMonth = AstroTime.monthDayCounts(year);
+        const daysPerMonth = AstroTime.monthDayCounts(year, this.#calendar);
         for (let month = 1; month <= 12; month++) {
             const days = daysPerMonth[month - 1];
             for (let dayOfMonth = 1; dayOfMonth <= days; dayOfMonth++) {
-                const hour = this.#astroTime.hourForDateRing(year, month, dayOfMonth);
-                const lct = AstroTime.jd(year, month, dayOfMonth, hour, 0, 0);
+                const hour = this.#astroTime.hourForDateRing(year, month, dayOfMonth, 'LASN', 0, this.#calendar);
+                const lct = AstroTime.jd(year, month, dayOfMonth, hour, 0, 0, this.#calendar);
                 const lst = this.#astroTime.LCT2LST(lct);
                 const ra = AstroTime.jd2Time(lst) * AstroMath.H2R;
                 const { x, y } = this.#proj.project(ra + dailyStep / 2, this.#limitDE);
@@ -432,9 +681,12 @@ export class SkyPanelRenderer {
             opacity: 0.4
         });
 
-        // 적경값
+        // 적경값 (적위 -3°에 표시하되, 적위 한계가 그보다 극에 가까운 투영에서는 원 안쪽으로)
+        const labelDE = this.#proj.isSouthern
+            ? Math.min(-3 * AstroMath.D2R, this.#limitDE - 3 * AstroMath.D2R)
+            : Math.max(-3 * AstroMath.D2R, this.#limitDE + 3 * AstroMath.D2R);
         for (let ra = 0; ra < 24; ra = ra + this.#intervalRA) {
-            const { x, y } = this.#proj.project(ra * AstroMath.H2R, -3 * AstroMath.D2R);
+            const { x, y } = this.#proj.project(ra * AstroMath.H2R, labelDE);
             this.#canvas.text(`${ra}h`).attr('text-anchor', 'middle').center(cx + x, cy + y)
                 .font({
                     fill: this.#styles.raTextColor,
@@ -448,28 +700,249 @@ export class SkyPanelRenderer {
     #renderDECLines(cx, cy) {
         // 적위선
         for (let dec = -90.0; dec < 90.0; dec += this.#intervalDE) {
+            if (Math.abs(dec) < 0.00001) continue;
             const { x, y } = this.#proj.project(0, dec * AstroMath.D2R);
             if (Math.hypot(x, y) < this.#proj.screenRadius) {
-                let color = this.#styles.decLineColor1;
-                let opacity = 0.4;
-                if (Math.abs(dec) < 0.00001) {
-                    color = this.#styles.decLineColor2;
-                    opacity = 0.7;
-                }
                 this.#canvas.circle(x * 2).center(cx, cy).fill('none').stroke({
-                    color,
+                    color: this.#styles.decLineColor1,
                     width: this.#styles.decLineStroke,
-                    opacity
+                    opacity: 0.4
                 });
             }
         }
+
+        // 천구 적도 (적위선 간격이 90°를 나누지 않아도 항상 강조색으로)
+        const { x, y } = this.#proj.project(0, 0);
+        if (Math.hypot(x, y) < this.#proj.screenRadius) {
+            this.#canvas.circle(x * 2).center(cx, cy).fill('none').stroke({
+                color: this.#styles.decLineColor2,
+                width: this.#styles.decLineStroke,
+                opacity: 0.7
+            });
+        }
+    }
+
+    /**
+     * J2000.0 카탈로그 좌표를 화면 좌표로 투영 (세차 행렬이 있으면 날짜의 분점으로 변환)
+     * @private
+     * @param {number} ra - J2000.0 적경 (라디안)
+     * @param {number} dec - J2000.0 적위 (라디안)
+     * @returns {AstroPoint} 화면 좌표 (투영 객체의 내부 객체 재사용)
+     */
+    #projectCatalog(ra, dec) {
+        if (!this.#precessionMatrix) return this.#proj.project(ra, dec);
+        this.#j2000Vector.setSphe(ra, dec);
+        this.#dateVector.multiply(this.#precessionMatrix, this.#j2000Vector);
+        return this.#proj.project(this.#dateVector.lon(), this.#dateVector.lat());
+    }
+
+    /**
+     * 은하수 밝기 단계를 어두운 단계부터 반투명하게 겹쳐 채움
+     *
+     * 원판 밖의 점은 같은 적경 방향의 가장자리 바로 바깥으로 당긴 뒤(정사 투영처럼 극에서 멀어지면
+     * 다시 안쪽으로 접히는 투영 대비) 원판 모양의 클립 경로로 잘라냅니다.
+     * @private
+     */
+    #renderMilkyWay(cx, cy) {
+        const screenRadius = this.#proj.screenRadius;
+        const limitDE = this.#proj.limitDE;
+        const isSouthern = this.#proj.isSouthern;
+        // 클립 경로를 루트 defs가 아닌 이 그룹 안에 두어, 다시 그릴 때 캔버스와 함께 지워지도록 한다.
+        const group = this.#canvas.group();
+        const clip = group.element('clipPath');
+        clip.add(group.circle(screenRadius * 2).center(cx, cy));
+        group.attr('clip-path', `url(#${clip.id()})`);
+
+        for (const rings of MILKY_WAY) {
+            let path = '';
+            for (const ring of rings) {
+                for (let i = 0; i < ring.length; i += 2) {
+                    let ra = ring[i];
+                    let dec = ring[i + 1];
+                    if (this.#precessionMatrix) {
+                        this.#j2000Vector.setSphe(ra, dec);
+                        this.#dateVector.multiply(this.#precessionMatrix, this.#j2000Vector);
+                        ra = this.#dateVector.lon();
+                        dec = this.#dateVector.lat();
+                    }
+                    const outside = isSouthern ? dec > limitDE : dec < limitDE;
+                    const { x, y } = this.#proj.project(ra, outside ? limitDE : dec);
+                    const scale = outside ? 1.05 : 1;
+                    path += `${i === 0 ? 'M' : 'L'}${cx + x * scale} ${cy + y * scale} `;
+                }
+                path += 'Z ';
+            }
+            group.path(path).attr('fill-rule', 'evenodd').stroke('none')
+                .fill({ color: this.#styles.milkyWayColor, opacity: this.#styles.milkyWayOpacity });
+        }
+    }
+
+    /**
+     * 별자리 문화의 경계선(IAU 별자리 경계, 이십팔수 경계 등)을 점선으로 그림
+     *
+     * 점선 무늬가 끊기지 않도록 원판 안에서 이어지는 점들은 한 경로로 잇고,
+     * 원판 밖으로 나가는 곳에서만 경로를 끊습니다.
+     * @private
+     */
+    #renderConstellationBoundaries(cx, cy) {
+        let path = '';
+        for (const line of this.#skyCulture.boundaryLines()) {
+            let inside = false;
+            for (let i = 0; i < line.length; i += 2) {
+                const { x, y } = this.#projectCatalog(line[i], line[i + 1]);
+                if (Math.hypot(x, y) >= this.#proj.screenRadius) {
+                    inside = false;
+                    continue;
+                }
+                path += `${inside ? 'L' : 'M'}${cx + x} ${cy + y} `;
+                inside = true;
+            }
+        }
+        this.#canvas.path(path).fill('none').stroke({
+            color: this.#styles.boundaryColor,
+            width: 0.8,
+            dasharray: '3,3',
+            linejoin: 'round',
+            opacity: this.#styles.boundaryOpacity
+        });
+    }
+
+    /**
+     * 적도 좌표계로 돌린 큰 원(황도, 은하 적도) 위의 한 점을 화면 좌표로 투영
+     * @private
+     * @param {AstroMatrix} matrix - 큰 원의 좌표계 → 적도 좌표계 변환 행렬
+     * @param {number} lon - 큰 원 위의 경도 (라디안, 위도는 0)
+     * @param {boolean} catalog - true면 matrix가 J2000.0 적도로 변환 (#projectCatalog로 세차 반영)
+     * @returns {AstroPoint} 화면 좌표 (투영 객체의 내부 객체 재사용)
+     */
+    #projectGreatCircle(matrix, lon, catalog) {
+        this.#circleVector.setSphe(lon, 0);
+        this.#j2000Vector.multiply(matrix, this.#circleVector);
+        const ra = this.#j2000Vector.lon();
+        const dec = this.#j2000Vector.lat();
+        return catalog ? this.#projectCatalog(ra, dec) : this.#proj.project(ra, dec);
+    }
+
+    /**
+     * 큰 원(황도, 은하 적도)을 1°마다 이은 경로 (원판 밖으로 나가는 곳에서 끊음)
+     * @private
+     * @returns {string} SVG 경로
+     */
+    #greatCirclePath(cx, cy, matrix, catalog) {
+        let path = '';
+        let inside = false;
+        for (let deg = 0; deg <= 360; deg++) {
+            const { x, y } = this.#projectGreatCircle(matrix, deg * AstroMath.D2R, catalog);
+            if (Math.hypot(x, y) >= this.#proj.screenRadius) {
+                inside = false;
+                continue;
+            }
+            path += `${inside ? 'L' : 'M'}${cx + x} ${cy + y} `;
+            inside = true;
+        }
+        return path;
+    }
+
+    /**
+     * 은하 적도(은위 0°)를 점선으로 그림
+     * @private
+     */
+    #renderGalacticEquator(cx, cy) {
+        const matrix = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+        matrix.gal2equJ2000();
+        this.#canvas.path(this.#greatCirclePath(cx, cy, matrix, true)).fill('none').stroke({
+            color: this.#styles.galacticEquatorColor,
+            width: 1,
+            dasharray: '8,4',
+            linejoin: 'round',
+            opacity: this.#styles.galacticEquatorOpacity
+        });
+    }
+
+    /**
+     * 황도와 황경 눈금, 분점/지점을 그림
+     *
+     * 세차 행렬이 있으면 날짜의 황도(날짜의 황도 경사각, 날짜의 춘분점 기준 황경)를,
+     * 없으면 J2000.0 황도를 그립니다. 황경 10°마다 황도에 수직인 눈금(30°마다 길게)을 긋고,
+     * 30°마다 눈금값을, 0°/90°/180°/270°에는 눈금값 대신 분점/지점 표시와 이름을 글자 배치에 추가합니다.
+     * @private
+     */
+    #renderEcliptic(cx, cy) {
+        const epoch = this.#precessionMatrix
+            ? AstroTime.UT2TT(this.#astroTime.LCT2UT(AstroTime.jd(
+                this.#currentDate.getFullYear(),
+                this.#currentDate.getMonth() + 1,
+                this.#currentDate.getDate(),
+                this.#currentDate.getHours(),
+                this.#currentDate.getMinutes(),
+                this.#currentDate.getSeconds(),
+                'gregorian'
+            )))
+            : AstroMath.J2000;
+        const matrix = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+        matrix.ecl2equ(epoch);
+        const color = this.#styles.eclipticColor;
+        const size = this.#styles.eclipticTextSize;
+        const font = { fill: color, size, family: FONT_FAMILY };
+
+        let path = this.#greatCirclePath(cx, cy, matrix, false);
+        for (let deg = 0; deg < 360; deg += 10) {
+            const { x, y } = this.#projectGreatCircle(matrix, deg * AstroMath.D2R, false);
+            if (Math.hypot(x, y) >= this.#proj.screenRadius) continue;
+            const px = cx + x;
+            const py = cy + y;
+            // 황경이 커지는 방향의 화면 접선에 수직인 단위 벡터
+            const { x: x2, y: y2 } = this.#projectGreatCircle(matrix, (deg + 0.5) * AstroMath.D2R, false);
+            const length = Math.hypot(x2 - x, y2 - y) || 1;
+            const nx = -(y2 - y) / length;
+            const ny = (x2 - x) / length;
+            const tick = deg % 30 === 0 ? 5 : 2.5;
+            path += `M${px - nx * tick} ${py - ny * tick} L${px + nx * tick} ${py + ny * tick} `;
+
+            if (deg % 90 === 0) {
+                this.#canvas.circle(5).center(px, py).fill(color);
+                const text = this.#labels.seasonalPoint(deg / 90);
+                const width = LabelLayout.textWidth(text, size);
+                this.#layout.add({
+                    x: px,
+                    y: py,
+                    width,
+                    height: size,
+                    priority: LABEL_PRIORITY.seasonalPoint,
+                    markRadius: 2.5,
+                    offsets: LabelLayout.around(tick + 2, width, size),
+                    data: { text, font }
+                });
+            } else if (deg % 30 === 0) {
+                const text = `${deg}°`;
+                const width = LabelLayout.textWidth(text, size);
+                const gap = tick + 2 + Math.hypot(width, size) / 2;
+                this.#layout.add({
+                    x: px,
+                    y: py,
+                    width,
+                    height: size,
+                    priority: LABEL_PRIORITY.eclipticTick,
+                    offsets: [[nx * gap, ny * gap], [-nx * gap, -ny * gap]],
+                    data: { text, font }
+                });
+            }
+        }
+        this.#canvas.path(path).fill('none').stroke({
+            color,
+            width: 1,
+            linecap: 'round',
+            linejoin: 'round',
+            opacity: this.#styles.eclipticOpacity
+        });
     }
 
     #renderConstellationLines(cx, cy) {
+        const lines = this.#skyCulture.lines;
         let path = '';
-        for (let i = 0; i < CONSTELLATION_LINES.length; i += 4) {
-            const { x: x1, y: y1 } = this.#proj.project(CONSTELLATION_LINES[i], CONSTELLATION_LINES[i + 1]);
-            const { x: x2, y: y2 } = this.#proj.project(CONSTELLATION_LINES[i + 2], CONSTELLATION_LINES[i + 3]);
+        for (let i = 0; i < lines.length; i += 4) {
+            const { x: x1, y: y1 } = this.#projectCatalog(lines[i], lines[i + 1]);
+            const { x: x2, y: y2 } = this.#projectCatalog(lines[i + 2], lines[i + 3]);
             if (Math.hypot(x1, y1) < this.#proj.screenRadius && Math.hypot(x2, y2) < this.#proj.screenRadius) {
                 path += `M${cx + x1} ${cy + y1} L${cx + x2} ${cy + y2} `;
             }
@@ -484,44 +957,150 @@ export class SkyPanelRenderer {
     }
 
     #renderStars(cx, cy) {
-        let stars = STARS_DATA.split("\n");
-        for (let i = 0; i < stars.length; i++) {
-            let star = stars[i].split(',');
-            let ra = star[2];
-            let dec = star[3];
-            const { x, y } = this.#proj.project(ra * AstroMath.H2R, dec * AstroMath.D2R);
+        const { size, ra, dec, mag, spectral } = StarCatalog.default;
+        for (let i = 0; i < size; i++) {
+            const { x, y } = this.#projectCatalog(ra[i], dec[i]);
             if (Math.hypot(x, y) < this.#proj.screenRadius) {
-                let mag = star[4];
-                let type = star[5];
-                let radius = 0.5;
-                let alpha = 0.5;
-                let color = this.#styles.starColors[type] || this.#styles.starColors['default'];
-                if (mag < -1) { radius = 7; alpha = 1 }
-                else if (mag < 0) { radius = 6; alpha = 1 }
-                else if (mag < 1) { radius = 5; alpha = 1 }
-                else if (mag < 2) { radius = 4; alpha = 1 }
-                else if (mag < 3) { radius = 3; alpha = 0.8 }
-                else if (mag < 4) { radius = 2; alpha = 0.8 }
-                else if (mag < 5) { radius = 1; alpha = 0.5 }
+                let color = this.#styles.starColors[spectral[i]] || this.#styles.starColors['default'];
+                const { radius, alpha } = starStyle(mag[i]);
                 this.#canvas.circle(radius * 2).center(cx + x, cy + y).fill({ color, alpha });
             }
         }
     }
 
-    #renderConstellationNames(cx, cy) {
-        for (let i = 0; i < CONSTELLATION_NAMES.length; i += 3) {
-            const name = CONSTELLATION_NAMES[i + 2];
-            const { x, y } = this.#proj.project(CONSTELLATION_NAMES[i], CONSTELLATION_NAMES[i + 1]);
-            if (Math.hypot(x, y) < this.#proj.screenRadius - 30) {
-                this.#canvas.text(name).attr('text-anchor', 'middle').center(cx + x, cy + y)
-                    .transform({ rotate: AstroMath.R2D * (Math.atan2(y, x) - AstroMath.HPI) })
-                    .font({
-                        fill: this.#styles.conNameTextColor,
-                        size: this.#styles.conNameTextSize,
-                        family: FONT_FAMILY,
-                        opacity: 0.8
-                    });
+    #renderDeepSky(cx, cy) {
+        const catalog = DeepSkyCatalog.default;
+        const { ra, dec, types } = catalog;
+        for (let i = 0; i < catalog.size; i++) {
+            const { x, y } = this.#projectCatalog(ra[i], dec[i]);
+            if (Math.hypot(x, y) >= this.#proj.screenRadius - 10) continue;
+
+            // 기호 크기: 천체의 실제 크기를 화면에 투영 (너무 작거나 크지 않게 제한)
+            const { majorAxis, minorAxis, id } = catalog.object(i);
+            const { x: ex, y: ey } = this.#projectCatalog(ra[i], dec[i] + majorAxis * 0.5);
+            const size = Math.min(Math.max(Math.hypot(ex - x, ey - y), 3), 15);
+            this.#renderDeepSkySymbol(cx + x, cy + y, size, minorAxis / majorAxis, types[i]);
+
+            // 번호는 기호 오른쪽에 (막히면 왼쪽, 위, 아래)
+            const textSize = this.#styles.deepSkyTextSize;
+            const width = LabelLayout.textWidth(id, textSize);
+            // 기호는 다른 딥스카이 번호만 피하고, 별자리명과 별 이름은 기호를 덮을 수 있다.
+            this.#layout.avoid(LabelLayout.box(cx + x, cy + y, size * 2, size * 2), LABEL_PRIORITY.deepSky);
+            this.#layout.add({
+                x: cx + x,
+                y: cy + y,
+                width,
+                height: textSize,
+                priority: LABEL_PRIORITY.deepSky,
+                offsets: LabelLayout.around(size + 2, width, textSize),
+                data: { text: id, font: { fill: this.#styles.deepSkyColor, size: textSize, family: FONT_FAMILY } }
+            });
+        }
+    }
+
+    /**
+     * 딥스카이 천체의 표준 기호
+     * - 산개성단: 점선 원
+     * - 구상성단: 십자가 그어진 원
+     * - 은하: 타원 (긴/짧은 지름 비율)
+     * - 성운: 사각형
+     * - 행성상 성운: 바깥으로 짧은 선 4개가 붙은 원
+     * @private
+     */
+    #renderDeepSkySymbol(x, y, size, axisRatio, type) {
+        const stroke = { color: this.#styles.deepSkyColor, width: 1, opacity: 0.9 };
+        switch (type) {
+            case 'open':
+                this.#canvas.circle(size * 2).center(x, y).fill('none').stroke({ ...stroke, dasharray: '2,2' });
+                break;
+            case 'globular':
+                this.#canvas.circle(size * 2).center(x, y).fill('none').stroke(stroke);
+                this.#canvas.path(`M${x - size} ${y} L${x + size} ${y} M${x} ${y - size} L${x} ${y + size}`).fill('none').stroke(stroke);
+                break;
+            case 'galaxy':
+                this.#canvas.ellipse(size * 2, Math.max(size * 2 * axisRatio, 3)).center(x, y).fill('none').stroke(stroke);
+                break;
+            case 'planetary': {
+                const r = Math.min(size, 5);
+                this.#canvas.circle(r * 2).center(x, y).fill('none').stroke(stroke);
+                this.#canvas.path(`M${x - r * 2} ${y} L${x - r} ${y} M${x + r} ${y} L${x + r * 2} ${y} ` +
+                    `M${x} ${y - r * 2} L${x} ${y - r} M${x} ${y + r} L${x} ${y + r * 2}`).fill('none').stroke(stroke);
+                break;
             }
+            default:
+                this.#canvas.rect(size * 2, size * 2).center(x, y).fill('none').stroke(stroke);
+        }
+    }
+
+    /**
+     * 별자리명을 글자 배치에 추가
+     *
+     * 이름은 원판 중심을 향해 돌려 쓰고, 기본 위치가 막히면 반지름 방향(안쪽, 바깥쪽)과
+     * 글자 방향(왼쪽, 오른쪽)으로 옮겨 봅니다. 가장자리에 걸친 이름은 생략하지 않고 안쪽으로 밀어 넣습니다.
+     * @private
+     */
+    #addConstellationNames(cx, cy) {
+        const names = this.#skyCulture.names;
+        const size = this.#styles.conNameTextSize;
+        for (let i = 0; i < names.length; i += 3) {
+            const name = this.#skyCulture.label(names[i + 2], this.#labels);
+            const { x, y } = this.#projectCatalog(names[i], names[i + 1]);
+            const r = Math.hypot(x, y);
+            if (r >= this.#proj.screenRadius) continue;
+
+            const angle = Math.atan2(y, x) - AstroMath.HPI;
+            const width = LabelLayout.textWidth(name, size);
+            // 글자 방향(ux, uy)과 바깥쪽 반지름 방향(-uy, ux)
+            const ux = Math.cos(angle);
+            const uy = Math.sin(angle);
+            const radial = size + 2;
+            const along = width / 2 + 2;
+            this.#layout.add({
+                x: cx + x,
+                y: cy + y,
+                width,
+                height: size,
+                angle,
+                priority: LABEL_PRIORITY.constellation,
+                offsets: [
+                    [0, 0],
+                    [uy * radial, -ux * radial],
+                    [-uy * radial, ux * radial],
+                    [-ux * along, -uy * along],
+                    [ux * along, uy * along]
+                ],
+                rimShift: 40,
+                data: { text: name, font: { fill: this.#styles.conNameTextColor, size, family: FONT_FAMILY, opacity: 0.8 } }
+            });
+        }
+    }
+
+    /**
+     * 밝은 별의 이름을 글자 배치에 추가 (고유 이름, starLabels.bayer이면 고유 이름이 없는 별은 바이어 문자)
+     *
+     * 별의 오른쪽, 왼쪽, 위, 아래 순서로 자리를 찾고, 이름을 쓸 별은 다른 글자가 가리지 않습니다.
+     * @private
+     */
+    #addStarNames(cx, cy) {
+        const { maxMag, bayer } = this.#starLabels;
+        const size = this.#styles.starNameTextSize;
+        for (const star of StarCatalog.default.filter({ maxMag })) {
+            const text = star.name ? this.#labels.star(star.name) : (bayer && star.bayer ? this.#labels.bayer(star.bayer) : '');
+            if (!text) continue;
+            const { x, y } = this.#projectCatalog(star.ra, star.dec);
+            if (Math.hypot(x, y) >= this.#proj.screenRadius) continue;
+            const { radius } = starStyle(star.mag);
+            const width = LabelLayout.textWidth(text, size);
+            this.#layout.add({
+                x: cx + x,
+                y: cy + y,
+                width,
+                height: size,
+                priority: LABEL_PRIORITY.star - star.mag,
+                markRadius: radius,
+                offsets: LabelLayout.around(radius + 2, width, size),
+                data: { text, font: { fill: this.#styles.starNameTextColor, size, family: FONT_FAMILY } }
+            });
         }
     }
 }
@@ -530,15 +1109,21 @@ export class SkyPanelRenderer {
  * 시간환 렌더러 (회전 가능한 윗부분)
  *
  * 별자리판에서 관측 시각과 위치에 따라 회전하는 부분을 렌더링합니다:
- * - 지평선 커버: 지평선 아래 영역을 가림
+ * - 지평선 커버: 보이는 지평선(대기차, 관측 고도에 따른 지평선 강하 반영) 아래 영역을 가림
+ * - 박명: 태양 고도 -6°/-12°/-18° 등고도선과 시간환 안쪽의 박명 구간
  * - 시간 눈금: 24시간 눈금과 분 단위 표시
  * - 방위 표시: 동서남북 8방위
  *
+ * 적도 부근의 양면 별자리판에서는 원판마다 바라보는 방향(facing)의 하늘만 창으로 엽니다.
+ * 북쪽 하늘 원판은 서→북→동 지평선과 동→천정→서 수직권(묘유선) 사이를,
+ * 남쪽 하늘 원판은 동→남→서 지평선과 묘유선 사이를 보여줍니다.
+ *
  * @class
  * @example
  * const renderer = new TimeRingRenderer(
  *     canvas, proj, styles, astroTime, radius, currentDate,
- *     horToEquMatrix, horVector, equVector, deltaCulminationTime
+ *     horToEquMatrix, horVector, equVector, deltaCulminationTime,
+ *     { apparent: true, facing: 'north' }
  * );
  * renderer.render();
  */
@@ -553,11 +1138,16 @@ export class TimeRingRenderer {
     #horVector;
     #equVector;
     #deltaCulminationTime;
+    #frameMatrix;
+    #apparent;
+    #atmosphere;
+    #facing;
+    #labels;
 
     /**
      * TimeRingRenderer 인스턴스 생성
      * @param {SVG.Container} canvas - SVG.js 캔버스 객체
-     * @param {EquiDistanceProjection} proj - 등거리 투영 객체
+     * @param {AzimuthalProjection} proj - 방위 투영 객체 (등거리/평사/등적/정사)
      * @param {ThemeConfig} styles - 테마 스타일 설정
      * @param {AstroTime} astroTime - 천문 시간 변환 객체
      * @param {number} radius - 시간환 반경 (픽셀)
@@ -566,8 +1156,20 @@ export class TimeRingRenderer {
      * @param {AstroVector} horVector - 지평 좌표 벡터 (재사용)
      * @param {AstroVector} equVector - 적도 좌표 벡터 (재사용)
      * @param {number} deltaCulminationTime - 남중시 보정값
+     * @param {Object} [options={}] - 선택 옵션
+     * @param {AstroMatrix|null} [options.frameMatrix=null] - 날짜의 분점 → 별자리판 좌표계 변환 행렬 (null이면 날짜의 분점)
+     * @param {boolean} [options.apparent=false] - 지평선 계산에 겉보기 항성시 사용 여부
+     * @param {{pressure?: number, temperature?: number}} [options.atmosphere={}] - 대기차 계산용 기압(hPa)/기온(℃)
+     * @param {'north'|'south'|null} [options.facing=null] - 양면 별자리판에서 원판이 보여주는 방향 (null이면 지평선 전체)
+     * @param {Labels} [options.labels=Labels.of()] - 화면 표시 언어의 글자 (시각, 방위)
      */
-    constructor(canvas, proj, styles, astroTime, radius, currentDate, horToEquMatrix, horVector, equVector, deltaCulminationTime) {
+    constructor(canvas, proj, styles, astroTime, radius, currentDate, horToEquMatrix, horVector, equVector, deltaCulminationTime, {
+        frameMatrix = null,
+        apparent = false,
+        atmosphere = {},
+        facing = null,
+        labels = Labels.of()
+    } = {}) {
         this.#canvas = canvas;
         this.#proj = proj;
         this.#styles = styles;
@@ -578,6 +1180,11 @@ export class TimeRingRenderer {
         this.#horVector = horVector;
         this.#equVector = equVector;
         this.#deltaCulminationTime = deltaCulminationTime;
+        this.#frameMatrix = frameMatrix;
+        this.#apparent = apparent;
+        this.#atmosphere = atmosphere;
+        this.#facing = facing;
+        this.#labels = labels;
     }
 
     render() {
@@ -592,14 +1199,26 @@ export class TimeRingRenderer {
             this.#currentDate.getDate(),
             this.#currentDate.getHours(),
             this.#currentDate.getMinutes(),
-            this.#currentDate.getSeconds()
+            this.#currentDate.getSeconds(),
+            'gregorian'
         );
-        const lst = this.#astroTime.LCT2LST(lct);
-        this.#horToEquMatrix.hor2equ(lst, this.#astroTime.glat);
+        const lst = this.#apparent ? this.#astroTime.LCT2LAST(lct) : this.#astroTime.LCT2LST(lct);
+        if (this.#frameMatrix) {
+            // 지평선은 날짜의 분점 기준이므로 별자리판 좌표계로 옮긴다
+            const horToDate = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+            horToDate.hor2equ(lst, this.#astroTime.glat);
+            this.#horToEquMatrix.multiply(this.#frameMatrix, horToDate);
+        } else {
+            this.#horToEquMatrix.hor2equ(lst, this.#astroTime.glat);
+        }
 
         // 커버 (지평선 아래 가리기)
         this.#renderHorizonCover(cx, cy, diameter);
 
+        // 박명 (태양 고도 등고도선과 시간환 구간)
+        this.#renderTwilightLines(cx, cy);
+        this.#renderTwilightRing(cx, cy);
+
         // 동서남북
         this.#renderCardinalDirections(cx, cy);
 
@@ -612,27 +1231,177 @@ export class TimeRingRenderer {
         path += `a ${this.#radius},${this.#radius} 0 1,1, ${diameter},0 `;
         path += `a ${this.#radius},${this.#radius} 0 1,1, -${diameter},0 `;
 
-        for (let azimuth = 0; azimuth <= 360 * AstroMath.D2R; azimuth += 0.01) {
-            this.#horVector.setSphe(azimuth, 0);
-            this.#equVector.multiply(this.#horToEquMatrix, this.#horVector);
-            const ra = this.#equVector.lon();
-            const dec = this.#equVector.lat();
-            let { x, y } = this.#proj.project(ra, dec);
-            if (azimuth == 0) path += 'M';
-            else path += 'L';
-            path += `${cx + x} ${cy + y} `;
-        }
-        this.#canvas.path(path).fill(this.#styles.topPanelBgColor).stroke({
+        // 보이는 지평선: 지평선 강하와 대기차만큼 실제 고도 0°보다 아래
+        const { pressure, temperature } = this.#atmosphere;
+        const horizonAlt = AstroRefraction.horizonAltitude(this.#astroTime.elevation, pressure, temperature);
+
+        const [start, end] = this.#azimuthRange();
+        for (let azimuth = start; azimuth <= end; azimuth += 0.01) {
+            path += `${azimuth == start ? 'M' : 'L'}${this.#horizontalPoint(cx, cy, azimuth, horizonAlt)} `;
+        }
+
+        // 양면 별자리판: 창의 나머지 경계는 묘유선 (끝 방위 → 천정 → 시작 방위)
+        if (this.#facing) {
+            for (let altitude = horizonAlt; altitude < AstroMath.HPI; altitude += 0.01) {
+                path += `L${this.#horizontalPoint(cx, cy, end, altitude)} `;
+            }
+            for (let altitude = AstroMath.HPI; altitude >= horizonAlt; altitude -= 0.01) {
+                path += `L${this.#horizontalPoint(cx, cy, start, altitude)} `;
+            }
+            path += 'Z';
+        }
+
+        this.#canvas.path(path).fill(this.#styles.topPanelBgColor).attr('fill-rule', 'evenodd').stroke({
             width: this.#styles.topPanelStroke.width,
             color: this.#styles.topPanelStroke.color
         });
     }
 
+    /**
+     * 지평선 창이 보여주는 방위각 범위 (북=0, 동=π/2)
+     * @private
+     * @returns {number[]} [시작 방위각, 끝 방위각] (라디안, 북쪽 하늘은 서→북→동, 남쪽 하늘은 동→남→서)
+     */
+    #azimuthRange() {
+        if (this.#facing === 'north') return [1.5 * AstroMath.PI, 2.5 * AstroMath.PI];
+        if (this.#facing === 'south') return [AstroMath.HPI, 1.5 * AstroMath.PI];
+        return [0, AstroMath.TPI];
+    }
+
+    /**
+     * 지평 좌표를 화면 좌표 문자열로 변환
+     * @private
+     * @param {number} azimuth - 방위각 (라디안)
+     * @param {number} altitude - 고도 (라디안)
+     * @returns {string} SVG 경로용 "x y"
+     */
+    #horizontalPoint(cx, cy, azimuth, altitude) {
+        this.#horVector.setSphe(azimuth, altitude);
+        this.#equVector.multiply(this.#horToEquMatrix, this.#horVector);
+        const { x, y } = this.#proj.project(this.#equVector.lon(), this.#equVector.lat());
+        return `${cx + x} ${cy + y}`;
+    }
+
+    /**
+     * 태양 고도 -6°, -12°, -18° 등고도선 (시민/항해/천문 박명의 경계)
+     * @private
+     */
+    #renderTwilightLines(cx, cy) {
+        let path = '';
+        const [start, end] = this.#azimuthRange();
+        for (const altitude of Object.values(AstroRiseSet.TWILIGHT)) {
+            for (let azimuth = start; azimuth <= end; azimuth += 0.01) {
+                path += `${azimuth == start ? 'M' : 'L'}${this.#horizontalPoint(cx, cy, azimuth, altitude)} `;
+            }
+        }
+        this.#canvas.path(path).fill('none').stroke({
+            width: 1,
+            color: this.#styles.twilightLineColor,
+            dasharray: '4 3'
+        });
+    }
+
+    /**
+     * 현재 날짜 저녁부터 다음 날 새벽까지의 박명 구간을 시간환 안쪽에 표시
+     *
+     * 태양이 지평선, -6°, -12°, -18° 아래에 있는 구간을 차례로 겹쳐 그리므로
+     * 바깥쪽부터 시민 박명 → 항해 박명 → 천문 박명 → 밤 색상이 보입니다.
+     * @private
+     */
+    #renderTwilightRing(cx, cy) {
+        const riseSet = new AstroRiseSet(this.#astroTime, this.#atmosphere);
+        const today = AstroTime.jd2Calendar(AstroTime.jd(
+            this.#currentDate.getFullYear(),
+            this.#currentDate.getMonth() + 1,
+            this.#currentDate.getDate(),
+            0, 0, 0, 'gregorian'
+        ));
+        const next = AstroTime.jd2Calendar(AstroTime.jd(today.year, today.month, today.day, 0, 0, 0) + 1);
+        const evening = riseSet.twilight(today.year, today.month, today.day);
+        const morning = riseSet.twilight(next.year, next.month, next.day);
+
+        // 시간환 눈금과 같은 기준 (자오선)
+        const meridian = this.#meridianRA();
+
+        const r1 = this.#radius - 34;
+        const r2 = this.#radius - 27;
+        const bands = [
+            ['horizon', 'civil'],
+            ['civil', 'nautical'],
+            ['nautical', 'astronomical'],
+            ['astronomical', 'night']
+        ];
+        for (const [level, color] of bands) {
+            const dusk = evening[level].dusk;
+            const dawn = morning[level].dawn;
+            let path;
+            if (dusk && dawn) {
+                const span = AstroMath.normalize(dawn.hours - dusk.hours, 0, 24);
+                const a1 = this.#ringAngle(meridian, dusk.hours);
+                const a2 = this.#ringAngle(meridian, dusk.hours + span);
+                // 남극 중심 원판은 시간이 반대 방향으로 흐르므로 끝에서 시작으로 그린다
+                path = this.#proj.isSouthern
+                    ? this.#ringSegmentPath(cx, cy, r1, r2, a2, a1, span > 12)
+                    : this.#ringSegmentPath(cx, cy, r1, r2, a1, a2, span > 12);
+            } else if (evening[level].alwaysBelow || morning[level].alwaysBelow) {
+                path = this.#ringSegmentPath(cx, cy, r1, r2, 0, -AstroMath.PI, false) +
+                    this.#ringSegmentPath(cx, cy, r1, r2, -AstroMath.PI, -AstroMath.TPI, false);
+            } else {
+                continue;
+            }
+            this.#canvas.path(path).fill(this.#styles.twilightColors[color]).stroke('none');
+        }
+    }
+
+    /**
+     * 자오선(시간각 0)의 적경: 천구의 적도가 자오선을 지나는 점으로 구한다.
+     * 지평선의 남점/북점은 적도 지방에서 천구의 극과 겹쳐 적경이 정해지지 않는다.
+     * @private
+     * @returns {number} 별자리판 좌표계의 적경 (라디안)
+     */
+    #meridianRA() {
+        const lat = this.#astroTime.glat;
+        this.#horVector.setSphe(lat >= 0 ? AstroMath.PI : 0, AstroMath.HPI - Math.abs(lat));
+        this.#equVector.multiply(this.#horToEquMatrix, this.#horVector);
+        return this.#equVector.lon();
+    }
+
+    /**
+     * 시간환에서 지방 표준시 hours의 각도
+     *
+     * 날짜환의 날짜 눈금과 맞물리도록 투영과 같은 방향으로 돈다
+     * (남극 중심 원판은 적경이 시계 방향으로 증가하므로 부호를 뒤집는다).
+     * @private
+     * @param {number} meridian - 자오선의 적경 (라디안)
+     * @param {number} hours - 지방 표준시 (시)
+     * @returns {number} 화면 각도 (라디안)
+     */
+    #ringAngle(meridian, hours) {
+        const angle = meridian + this.#deltaCulminationTime - hours * AstroMath.H2R - AstroMath.PI;
+        return this.#proj.isSouthern ? -angle : angle;
+    }
+
+    /**
+     * 두 반경 사이의 고리 조각 경로 (각도가 줄어드는 방향)
+     * @private
+     */
+    #ringSegmentPath(cx, cy, r1, r2, a1, a2, largeArc) {
+        const large = largeArc ? 1 : 0;
+        const p = (r, a) => `${cx + r * Math.cos(a)} ${cy + r * Math.sin(a)}`;
+        return `M${p(r2, a1)} A${r2} ${r2} 0 ${large} 0 ${p(r2, a2)} ` +
+            `L${p(r1, a2)} A${r1} ${r1} 0 ${large} 1 ${p(r1, a1)} Z `;
+    }
+
     #renderCardinalDirections(cx, cy) {
-        const arrayAzimuthName = ["북", "북동", "동", "남동", "남", "남서", "서", "북서"];
+        const [start, end] = this.#azimuthRange();
         let azimuth = 0;
 
-        for (let i = 0; i < arrayAzimuthName.length; i++) {
+        for (let i = 0; i < 8; i++, azimuth += 45) {
+            // 양면 별자리판: 창이 보여주는 방향의 방위만 표시
+            const a = azimuth * AstroMath.D2R;
+            const inRange = (az) => az >= start - 1e-9 && az <= end + 1e-9;
+            if (!inRange(a) && !inRange(a + AstroMath.TPI)) continue;
+
             this.#horVector.setSphe(azimuth * AstroMath.D2R, -4 * AstroMath.D2R);
             this.#equVector.multiply(this.#horToEquMatrix, this.#horVector);
             const ra1 = this.#equVector.lon();
@@ -645,25 +1414,22 @@ export class TimeRingRenderer {
             const dec2 = this.#equVector.lat();
             const { x: x2, y: y2 } = this.#proj.project(ra2, dec2);
 
-            this.#canvas.text(`${arrayAzimuthName[i]}`).attr('text-anchor', 'middle').center(cx + x1, cy + y1)
+            this.#canvas.text(this.#labels.cardinal(i)).attr('text-anchor', 'middle').center(cx + x1, cy + y1)
                 .font({
                     fill: this.#styles.nwesColor,
                     size: this.#styles.nwesTextSize,
                     family: FONT_FAMILY
                 })
                 .transform({ rotate: AstroMath.R2D * (Math.atan2(y1 - y2, x1 - x2) - AstroMath.HPI) });
-
-            azimuth += 45;
         }
     }
 
     #renderTimeScale(cx, cy) {
-        this.#horVector.setSphe(180 * AstroMath.H2R, 0);
-        this.#equVector.multiply(this.#horToEquMatrix, this.#horVector);
+        const meridian = this.#meridianRA();
         let path = '';
 
         for (let hour = 1; hour <= 24; hour++) {
-            const t = -(-this.#equVector.lon() - this.#deltaCulminationTime + hour * AstroMath.H2R + AstroMath.PI);
+            const t = this.#ringAngle(meridian, hour);
             const cos_lon = Math.cos(t);
             const sin_lon = Math.sin(t);
             const x1 = this.#radius * cos_lon;
@@ -675,7 +1441,7 @@ export class TimeRingRenderer {
             const x3 = (this.#radius - 18) * cos_lon;
             const y3 = (this.#radius - 18) * sin_lon;
 
-            this.#canvas.text(`${hour}시`).attr('text-anchor', 'middle').center(cx + x3, cy + y3)
+            this.#canvas.text(this.#labels.hour(hour)).attr('text-anchor', 'middle').center(cx + x3, cy + y3)
                 .font({
                     fill: this.#styles.timeTextColor,
                     size: this.#styles.timeTextSize,
@@ -684,7 +1450,7 @@ export class TimeRingRenderer {
                 .transform({ rotate: AstroMath.R2D * (Math.atan2(y3, x3) - AstroMath.HPI - AstroMath.PI) });
 
             for (let min = 5; min < 60; min += 5) {
-                const t = -(-this.#equVector.lon() - this.#deltaCulminationTime + (hour + (min / 60)) * AstroMath.H2R + AstroMath.PI);
+                const t = this.#ringAngle(meridian, hour + min / 60);
                 const cos_lon = Math.cos(t);
                 const sin_lon = Math.sin(t);
                 const x1 = this.#radius * cos_lon;
@@ -708,13 +1474,853 @@ export class TimeRingRenderer {
     }
 }
 
+/**
+ * 행성 기호 (이름은 표시 언어에 따라 Labels.planet()으로)
+ * @constant {Object.<string, string>}
+ */
+const PLANET_SYMBOLS = {
+    mercury: '☿',
+    venus: '♀',
+    mars: '♂',
+    jupiter: '♃',
+    saturn: '♄',
+    uranus: '⛢',
+    neptune: '♆'
+};
+
+/**
+ * 태양계 천체 렌더러 (날짜에 따라 움직이는 천체)
+ *
+ * 하늘 패널 위에 현재 날짜/시간의 태양계 천체를 그립니다.
+ * 별과 달리 위치가 날짜에 따라 변하므로 하늘 패널과 별도 그룹에 그리고,
+ * 날짜가 바뀔 때마다 이 그룹만 다시 그립니다.
+ * - 태양: 황도 위의 현재 위치
+ * - 달: 관측지 기준 위치와 위상 모양
+ * - 행성: 수성~해왕성 (밝기에 따른 크기, 행성 기호와 이름)
+ *
+ * 천체가 가까이 모이면(합) 이름이 서로와 다른 천체의 기호를 피하도록 LabelLayout으로 자리를 정합니다.
+ *
+ * @class
+ * @example
+ * const renderer = new SolarSystemRenderer(canvas, proj, styles, astroTime, new Date());
+ * renderer.render();
+ */
+export class SolarSystemRenderer {
+    #canvas;
+    #proj;
+    #styles;
+    #astroTime;
+    #currentDate;
+    #frameMatrix;
+    #labels;
+    /** @type {LabelLayout|null} 이번 렌더링의 천체 이름 배치 */
+    #layout = null;
+    #dateVector = new AstroVector(0, 0, 0);
+    #chartVector = new AstroVector(0, 0, 0);
+
+    /**
+     * SolarSystemRenderer 인스턴스 생성
+     * @param {SVG.Container} canvas - SVG.js 캔버스 객체
+     * @param {AzimuthalProjection} proj - 방위 투영 객체 (등거리/평사/등적/정사)
+     * @param {ThemeConfig} styles - 테마 스타일 설정
+     * @param {AstroTime} astroTime - 천문 시간 변환 객체
+     * @param {Date} currentDate - 현재 날짜/시간
+     * @param {AstroMatrix|null} [frameMatrix=null] - 날짜의 분점 → 별자리판 좌표계 변환 행렬 (null이면 날짜의 분점)
+     * @param {Labels} [labels=Labels.of()] - 화면 표시 언어의 글자 (천체 이름)
+     */
+    constructor(canvas, proj, styles, astroTime, currentDate, frameMatrix = null, labels = Labels.of()) {
+        this.#canvas = canvas;
+        this.#proj = proj;
+        this.#styles = styles;
+        this.#astroTime = astroTime;
+        this.#currentDate = currentDate;
+        this.#frameMatrix = frameMatrix;
+        this.#labels = labels;
+    }
+
+    render() {
+        const cx = 0;
+        const cy = 0;
+
+        const lct = AstroTime.jd(
+            this.#currentDate.getFullYear(),
+            this.#currentDate.getMonth() + 1,
+            this.#currentDate.getDate(),
+            this.#currentDate.getHours(),
+            this.#currentDate.getMinutes(),
+            this.#currentDate.getSeconds(),
+            'gregorian'
+        );
+        const ut = this.#astroTime.LCT2UT(lct);
+        const tt = AstroTime.UT2TT(ut);
+        this.#layout = new LabelLayout({ circle: { cx, cy, radius: this.#proj.screenRadius } });
+
+        // 행성 (해와 달보다 아래에 그림)
+        this.#renderPlanets(cx, cy, AstroTime.TT2TDB(tt));
+
+        // 태양
+        this.#renderSun(cx, cy, tt);
+
+        // 달
+        this.#renderMoon(cx, cy, ut, tt);
+
+        // 이름 (모든 천체의 기호를 피해 자리를 정함)
+        renderLabels(this.#canvas, this.#layout);
+        this.#layout = null;
+    }
+
+    /**
+     * 날짜의 분점 기준 적경/적위를 별자리판 좌표계로 변환
+     * @private
+     * @param {number} ra - 적경 (라디안)
+     * @param {number} dec - 적위 (라디안)
+     * @returns {{ra: number, dec: number}} 별자리판 좌표계의 적경/적위 (라디안)
+     */
+    #toChart(ra, dec) {
+        if (!this.#frameMatrix) return { ra, dec };
+        this.#dateVector.setSphe(ra, dec);
+        this.#chartVector.multiply(this.#frameMatrix, this.#dateVector);
+        return { ra: this.#chartVector.lon(), dec: this.#chartVector.lat() };
+    }
+
+    #renderPlanets(cx, cy, jd) {
+        for (const planet of AstroPlanet.positions(jd)) {
+            const { ra, dec } = this.#toChart(planet.ra, planet.dec);
+            const { x, y } = this.#proj.project(ra, dec);
+            if (Math.hypot(x, y) >= this.#proj.screenRadius) continue;
+
+            // 별과 같은 등급-크기 규칙을 따르되 최소 크기를 보장
+            const mag = planet.magnitude;
+            let radius = 2;
+            if (mag < -1) radius = 6;
+            else if (mag < 0) radius = 5;
+            else if (mag < 1) radius = 4;
+            else if (mag < 2) radius = 3;
+
+            this.#canvas.circle(radius * 2).center(cx + x, cy + y)
+                .fill(this.#styles.planetColors[planet.name])
+                .stroke({ color: this.#styles.bgColor, width: 1 });
+            this.#renderName(`${PLANET_SYMBOLS[planet.name]}${this.#labels.planet(planet.name)}`, cx, cy, x, y, radius);
+        }
+    }
+
+    #renderSun(cx, cy, jd) {
+        const sun = AstroSun.position(jd);
+        const { ra, dec } = this.#toChart(sun.ra, sun.dec);
+        const { x, y } = this.#proj.project(ra, dec);
+        if (Math.hypot(x, y) >= this.#proj.screenRadius) return;
+
+        const radius = 8;
+        this.#canvas.circle(radius * 2).center(cx + x, cy + y)
+            .fill(this.#styles.sunColor)
+            .stroke({ color: this.#styles.bgColor, width: 1 });
+        this.#canvas.circle(3).center(cx + x, cy + y).fill(this.#styles.bgColor);
+        this.#renderName(this.#labels.sun, cx, cy, x, y, radius);
+    }
+
+    #renderMoon(cx, cy, ut, tt) {
+        const lst = this.#astroTime.UT2LST(ut);
+        const geo = AstroMoon.position(tt);
+        const topo = AstroMoon.topocentric(geo, lst, this.#astroTime.glat);
+        const { ra, dec } = this.#toChart(topo.ra, topo.dec);
+        const phase = AstroMoon.phase(tt);
+
+        const { x, y } = this.#proj.project(ra, dec);
+        if (Math.hypot(x, y) >= this.#proj.screenRadius) return;
+        const px = cx + x;
+        const py = cy + y;
+
+        // 화면상의 북쪽/동쪽 방향 (투영 방식과 무관하게 미소 변위로 계산)
+        const delta = 0.01;
+        const north = this.#proj.project(ra, dec + delta);
+        const nx = north.x - x;
+        const ny = north.y - y;
+        const east = this.#proj.project(ra + delta / Math.cos(dec), dec);
+        const ex = east.x - x;
+        const ey = east.y - y;
+        const nLen = Math.hypot(nx, ny);
+        const eLen = Math.hypot(ex, ey);
+
+        // 밝은 가장자리 방향: 북쪽에서 동쪽으로 χ만큼 회전
+        const chi = phase.brightLimbAngle;
+        const lx = Math.cos(chi) * nx / nLen + Math.sin(chi) * ex / eLen;
+        const ly = Math.cos(chi) * ny / nLen + Math.sin(chi) * ey / eLen;
+        const theta = Math.atan2(ly, lx);
+
+        const radius = 8;
+        this.#canvas.circle(radius * 2).center(px, py)
+            .fill(this.#styles.moonDarkColor)
+            .stroke({ color: this.#styles.moonColor, width: 0.5, opacity: 0.6 });
+
+        // 밝은 부분: 밝은 쪽 반원 + 명암 경계(타원 호)
+        const k = phase.illumination;
+        if (k > 0.01) {
+            const cos_t = Math.cos(theta);
+            const sin_t = Math.sin(theta);
+            // 밝은 가장자리 방향에 수직인 양 끝점
+            const x1 = px + radius * sin_t;
+            const y1 = py - radius * cos_t;
+            const x2 = px - radius * sin_t;
+            const y2 = py + radius * cos_t;
+            const rx = radius * Math.abs(1 - 2 * k);
+            const sweep = k > 0.5 ? 1 : 0;
+            const path = `M${x1} ${y1} A${radius} ${radius} 0 0 1 ${x2} ${y2} ` +
+                `A${rx} ${radius} ${theta * AstroMath.R2D} 0 ${sweep} ${x1} ${y1} Z`;
+            this.#canvas.path(path).fill(this.#styles.moonColor);
+        }
+
+        this.#renderName(this.#labels.moon, cx, cy, x, y, radius);
+    }
+
+    /**
+     * 천체 이름을 글자 배치에 추가
+     *
+     * 기호 바깥쪽(극 반대 방향)이 기본 위치이고, 막히면 안쪽, 글자 방향의 양옆 순서로 옮겨 봅니다.
+     * @private
+     */
+    #renderName(name, cx, cy, x, y, radius) {
+        const t = Math.atan2(y, x);
+        const size = this.#styles.bodyNameTextSize;
+        const width = LabelLayout.textWidth(name, size);
+        // 바깥쪽 반지름 방향(nx, ny)과 글자 방향(ny, -nx)
+        const nx = Math.cos(t);
+        const ny = Math.sin(t);
+        const radial = radius + size * 0.5 + 2;
+        const along = radius + width * 0.5 + 2;
+        this.#layout.add({
+            x: cx + x,
+            y: cy + y,
+            width,
+            height: size,
+            angle: t - AstroMath.HPI,
+            priority: LABEL_PRIORITY.body,
+            markRadius: radius,
+            offsets: [
+                [nx * radial, ny * radial],
+                [-nx * radial, -ny * radial],
+                [ny * along, -nx * along],
+                [-ny * along, nx * along]
+            ],
+            rimShift: size,
+            data: { text: name, font: { fill: this.#styles.bodyNameTextColor, size, family: FONT_FAMILY } }
+        });
+    }
+}
+
+/**
+ * 관측지에서 본 하늘의 지평 좌표 계산 (전천 보기와 파노라마 공통)
+ *
+ * 별 목록(J2000.0)을 날짜의 분점으로 세차 보정한 뒤 AstroMatrix.equ2hor로 방위각/고도로 바꾸고,
+ * 태양계 천체의 위치도 같은 시각의 지평 좌표로 계산합니다.
+ * 방위각은 북=0, 동=π/2이며 고도 범위 [0, maxAltitude] 밖의 천체는 제외합니다.
+ *
+ * @class
+ * @example
+ * const sky = new HorizontalSky(astroTime, new Date(), precessionMatrix);
+ * for (const { azimuth, altitude, mag } of sky.stars()) { ... }
+ */
+export class HorizontalSky {
+    #astroTime;
+    #lct;
+    /** @type {AstroMatrix} 날짜의 분점 적도 좌표 → 지평 좌표 */
+    #equToHor = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+    /** @type {AstroMatrix} J2000.0 적도 좌표 → 지평 좌표 (세차 행렬이 없으면 #equToHor) */
+    #catalogToHor;
+    #maxAltitude;
+    #labels;
+    #skyCulture;
+    #equVector = new AstroVector(0, 0, 0);
+    #horVector = new AstroVector(0, 0, 0);
+
+    /**
+     * @param {AstroTime} astroTime - 천문 시간 변환 객체 (관측지)
+     * @param {Date} currentDate - 현재 날짜/시간
+     * @param {AstroMatrix|null} [precessionMatrix=null] - J2000.0 → 날짜의 세차 행렬 (null이면 J2000.0 좌표 그대로)
+     * @param {boolean} [apparent=false] - 겉보기 항성시(GAST) 사용 여부
+     * @param {number} [maxAltitude=AstroMath.HPI] - 포함할 최대 고도 (라디안)
+     * @param {Labels} [labels=Labels.of()] - 별자리/천체 이름의 표시 언어
+     * @param {SkyCulture} [skyCulture=SkyCulture.get(DEFAULT_SKY_CULTURE)] - 별자리선과 별자리 이름을 가져올 별자리 문화
+     */
+    constructor(astroTime, currentDate, precessionMatrix = null, apparent = false, maxAltitude = AstroMath.HPI, labels = Labels.of(), skyCulture = SkyCulture.get(DEFAULT_SKY_CULTURE)) {
+        this.#astroTime = astroTime;
+        this.#maxAltitude = maxAltitude;
+        this.#labels = labels;
+        this.#skyCulture = skyCulture;
+        this.#lct = AstroTime.jd(
+            currentDate.getFullYear(),
+            currentDate.getMonth() + 1,
+            currentDate.getDate(),
+            currentDate.getHours(),
+            currentDate.getMinutes(),
+            currentDate.getSeconds(),
+            'gregorian'
+        );
+        const lst = apparent ? astroTime.LCT2LAST(this.#lct) : astroTime.LCT2LST(this.#lct);
+        this.#equToHor.equ2hor(lst, astroTime.glat);
+        if (precessionMatrix) {
+            this.#catalogToHor = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+            this.#catalogToHor.multiply(this.#equToHor, precessionMatrix);
+        } else {
+            this.#catalogToHor = this.#equToHor;
+        }
+    }
+
+    /**
+     * 적도 좌표를 지평 좌표로 변환
+     * @param {AstroMatrix} matrix - 적도 → 지평 변환 행렬
+     * @param {number} ra - 적경 (라디안)
+     * @param {number} dec - 적위 (라디안)
+     * @returns {{azimuth: number, altitude: number}|null} 방위각/고도 (라디안, 고도 범위 밖이면 null)
+     */
+    #toHorizontal(matrix, ra, dec) {
+        this.#equVector.setSphe(ra, dec);
+        this.#horVector.multiply(matrix, this.#equVector);
+        const altitude = this.#horVector.lat();
+        if (altitude < 0 || altitude > this.#maxAltitude) return null;
+        return { azimuth: this.#horVector.lon(), altitude };
+    }
+
+    /**
+     * 고도 범위 안의 별
+     * @returns {Array<{azimuth: number, altitude: number, mag: number, type: string}>}
+     */
+    stars() {
+        const result = [];
+        const { size, ra, dec, mag, spectral } = StarCatalog.default;
+        for (let i = 0; i < size; i++) {
+            const pos = this.#toHorizontal(this.#catalogToHor, ra[i], dec[i]);
+            if (pos) result.push({ ...pos, mag: mag[i], type: spectral[i] });
+        }
+        return result;
+    }
+
+    /**
+     * 양 끝이 모두 고도 범위 안에 있는 별자리선
+     * @returns {Array<Array<{azimuth: number, altitude: number}>>} [시작점, 끝점] 목록
+     */
+    constellationLines() {
+        const result = [];
+        const lines = this.#skyCulture.lines;
+        for (let i = 0; i < lines.length; i += 4) {
+            const p1 = this.#toHorizontal(this.#catalogToHor, lines[i], lines[i + 1]);
+            if (!p1) continue;
+            const p2 = this.#toHorizontal(this.#catalogToHor, lines[i + 2], lines[i + 3]);
+            if (p2) result.push([p1, p2]);
+        }
+        return result;
+    }
+
+    /**
+     * 고도 범위 안의 별자리명
+     * @returns {Array<{azimuth: number, altitude: number, name: string}>}
+     */
+    constellationNames() {
+        const result = [];
+        const names = this.#skyCulture.names;
+        for (let i = 0; i < names.length; i += 3) {
+            const pos = this.#toHorizontal(this.#catalogToHor, names[i], names[i + 1]);
+            if (pos) result.push({ ...pos, name: this.#skyCulture.label(names[i + 2], this.#labels) });
+        }
+        return result;
+    }
+
+    /**
+     * 고도 범위 안의 태양계 천체 (행성, 태양, 관측지 기준 달 순서)
+     * @param {ThemeConfig} styles - 천체 색상을 가져올 테마 스타일
+     * @returns {Array<{azimuth: number, altitude: number, radius: number, color: string, label: string}>}
+     */
+    bodies(styles) {
+        const result = [];
+        const ut = this.#astroTime.LCT2UT(this.#lct);
+        const tt = AstroTime.UT2TT(ut);
+        const add = (ra, dec, radius, color, label) => {
+            const pos = this.#toHorizontal(this.#equToHor, ra, dec);
+            if (pos) result.push({ ...pos, radius, color, label });
+        };
+
+        // 행성 (해와 달보다 아래에 그림)
+        for (const planet of AstroPlanet.positions(AstroTime.TT2TDB(tt))) {
+            const label = `${PLANET_SYMBOLS[planet.name]}${this.#labels.planet(planet.name)}`;
+            add(planet.ra, planet.dec, 3, styles.planetColors[planet.name], label);
+        }
+
+        const sun = AstroSun.position(tt);
+        add(sun.ra, sun.dec, 8, styles.sunColor, this.#labels.sun);
+
+        const moon = AstroMoon.topocentric(AstroMoon.position(tt), this.#astroTime.UT2LST(ut), this.#astroTime.glat);
+        add(moon.ra, moon.dec, 8, styles.moonColor, this.#labels.moon);
+        return result;
+    }
+}
+
+/**
+ * 전천 렌더러 (천정 중심의 지평 좌표 화면)
+ *
+ * 관측지에서 올려다본 하늘 전체(고도 0° 이상의 반구)를 천정을 중심으로 그립니다.
+ * 별자리판의 적도 좌표 투영과 달리 지평선이 원의 테두리가 되므로,
+ * 화면의 위쪽이 북쪽, 왼쪽이 동쪽인 실제 하늘 모습과 바로 대응됩니다.
+ * - 고도: 천정에서 지평선까지 각거리에 비례 (등거리 방위 투영)
+ * - 좌표선: 고도 30°/60° 등고도선과 45° 간격 방위선
+ * - 별, 별자리선, 별자리명: J2000.0 목록을 날짜의 분점으로 세차 보정해 AstroMatrix.equ2hor로 변환
+ * - 태양계 천체: 태양, 달, 행성
+ * - 방위: 지평선 바깥쪽에 동서남북 8방위
+ *
+ * 별자리명과 천체 이름은 LabelLayout으로 서로 겹치지 않게, 지평선 원 안에 자리를 정합니다.
+ *
+ * @class
+ * @example
+ * const renderer = new AllSkyRenderer(canvas, styles, astroTime, 440, new Date(), precessionMatrix);
+ * renderer.render();
+ */
+export class AllSkyRenderer {
+    #canvas;
+    #styles;
+    #astroTime;
+    #radius;
+    #currentDate;
+    #precessionMatrix;
+    #apparent;
+    #labels;
+    #skyCulture;
+    /** @type {LabelLayout|null} 이번 렌더링의 글자 배치 */
+    #layout = null;
+    #screenCoord = new AstroPoint(0, 0);
+
+    /**
+     * AllSkyRenderer 인스턴스 생성
+     * @param {SVG.Container} canvas - SVG.js 캔버스 객체
+     * @param {ThemeConfig} styles - 테마 스타일 설정
+     * @param {AstroTime} astroTime - 천문 시간 변환 객체 (관측지)
+     * @param {number} radius - 지평선 원의 반경 (픽셀)
+     * @param {Date} currentDate - 현재 날짜/시간
+     * @param {AstroMatrix|null} [precessionMatrix=null] - J2000.0 → 날짜의 세차 행렬 (null이면 J2000.0 좌표 그대로)
+     * @param {boolean} [apparent=false] - 겉보기 항성시(GAST) 사용 여부
+     * @param {Labels} [labels=Labels.of()] - 화면 표시 언어의 글자 (별자리/천체 이름, 방위)
+     * @param {SkyCulture} [skyCulture=SkyCulture.get(DEFAULT_SKY_CULTURE)] - 별자리선과 별자리 이름을 가져올 별자리 문화
+     */
+    constructor(canvas, styles, astroTime, radius, currentDate, precessionMatrix = null, apparent = false, labels = Labels.of(), skyCulture = SkyCulture.get(DEFAULT_SKY_CULTURE)) {
+        this.#canvas = canvas;
+        this.#styles = styles;
+        this.#astroTime = astroTime;
+        this.#radius = radius;
+        this.#currentDate = currentDate;
+        this.#precessionMatrix = precessionMatrix;
+        this.#apparent = apparent;
+        this.#labels = labels;
+        this.#skyCulture = skyCulture;
+    }
+
+    render() {
+        const sky = new HorizontalSky(this.#astroTime, this.#currentDate, this.#precessionMatrix, this.#apparent, AstroMath.HPI, this.#labels, this.#skyCulture);
+        this.#layout = new LabelLayout({ circle: { cx: 0, cy: 0, radius: this.#radius } });
+
+        // 지평선 바깥 방위 고리와 하늘
+        this.#renderBackground();
+
+        // 고도/방위 좌표선
+        this.#renderGrid();
+
+        // 별자리선, 별, 별자리명
+        this.#renderConstellationLines(sky);
+        this.#renderStars(sky);
+        this.#addConstellationNames(sky);
+
+        // 태양계 천체
+        this.#renderBodies(sky);
+
+        // 별자리명과 천체 이름
+        renderLabels(this.#canvas, this.#layout);
+        this.#layout = null;
+
+        // 동서남북
+        this.#renderCardinalDirections();
+    }
+
+    /**
+     * 방위각/고도를 화면 좌표로 투영 (천정 중심, 위쪽이 북, 왼쪽이 동)
+     * @param {number} azimuth - 방위각 (라디안, 북=0, 동=π/2)
+     * @param {number} altitude - 고도 (라디안)
+     * @returns {AstroPoint} 화면 좌표 (내부 객체 재사용)
+     */
+    project(azimuth, altitude) {
+        const r = this.#radius * (AstroMath.HPI - altitude) / AstroMath.HPI;
+        this.#screenCoord.x = -r * Math.sin(azimuth);
+        this.#screenCoord.y = -r * Math.cos(azimuth);
+        return this.#screenCoord;
+    }
+
+    #renderBackground() {
+        const diameter = this.#radius * 2;
+        this.#canvas.circle(diameter + 60).center(0, 0).fill(this.#styles.topPanelBgColor).stroke({
+            width: this.#styles.topPanelStroke.width,
+            color: this.#styles.topPanelStroke.color
+        });
+        this.#canvas.circle(diameter).center(0, 0).fill(this.#styles.bgColor).stroke({
+            width: this.#styles.dateCircleInnerStroke.width,
+            color: this.#styles.dateCircleInnerStroke.color
+        });
+    }
+
+    #renderGrid() {
+        for (const altitude of [30, 60]) {
+            const r = this.#radius * (90 - altitude) / 90;
+            this.#canvas.circle(r * 2).center(0, 0).fill('none').stroke({
+                color: this.#styles.decLineColor1,
+                width: this.#styles.decLineStroke,
+                opacity: 0.4
+            });
+        }
+        let path = '';
+        for (let azimuth = 0; azimuth < 360; azimuth += 45) {
+            const { x, y } = this.project(azimuth * AstroMath.D2R, 0);
+            path += `M0 0 L${x} ${y} `;
+        }
+        this.#canvas.path(path).fill('none').stroke({
+            color: this.#styles.raLineColor,
+            width: this.#styles.raLineStroke,
+            opacity: 0.4
+        });
+    }
+
+    #renderConstellationLines(sky) {
+        let path = '';
+        for (const [p1, p2] of sky.constellationLines()) {
+            // 투영 결과는 내부 객체를 재사용하므로 첫 점의 값을 먼저 보관
+            const { x: x1, y: y1 } = this.project(p1.azimuth, p1.altitude);
+            const { x: x2, y: y2 } = this.project(p2.azimuth, p2.altitude);
+            path += `M${x1} ${y1} L${x2} ${y2} `;
+        }
+        this.#canvas.path(path).fill('none').stroke({
+            color: this.#styles.conlineColor,
+            width: 1,
+            linecap: 'round',
+            linejoin: 'round',
+            opacity: this.#styles.conlineOpacity
+        });
+    }
+
+    #renderStars(sky) {
+        for (const star of sky.stars()) {
+            const { x, y } = this.project(star.azimuth, star.altitude);
+            const color = this.#styles.starColors[star.type] || this.#styles.starColors['default'];
+            const { radius, alpha } = starStyle(star.mag);
+            this.#canvas.circle(radius * 2).center(x, y).fill({ color, alpha });
+        }
+    }
+
+    #addConstellationNames(sky) {
+        for (const { azimuth, altitude, name } of sky.constellationNames()) {
+            const { x, y } = this.project(azimuth, altitude);
+            addHorizontalName(this.#layout, this.#styles, x, y, name);
+        }
+    }
+
+    #renderBodies(sky) {
+        for (const body of sky.bodies(this.#styles)) {
+            const { x, y } = this.project(body.azimuth, body.altitude);
+            renderHorizontalBody(this.#canvas, this.#layout, this.#styles, x, y, body);
+        }
+    }
+
+    #renderCardinalDirections() {
+        const r = this.#radius + 15;
+        for (let i = 0; i < 8; i++) {
+            const azimuth = i * 45 * AstroMath.D2R;
+            const x = -r * Math.sin(azimuth);
+            const y = -r * Math.cos(azimuth);
+            this.#canvas.text(this.#labels.cardinal(i)).attr('text-anchor', 'middle').center(x, y)
+                .font({
+                    fill: this.#styles.nwesColor,
+                    size: this.#styles.nwesTextSize,
+                    family: FONT_FAMILY
+                })
+                .transform({ rotate: AstroMath.R2D * (Math.atan2(y, x) + AstroMath.HPI) });
+        }
+    }
+}
+
+/**
+ * 지평 좌표 화면(전천 보기, 파노라마)의 별자리명을 글자 배치에 추가
+ *
+ * 기본 위치가 막히면 위, 아래로 옮겨 보고, 화면 가장자리에 걸친 이름은 안쪽으로 밀어 넣습니다.
+ * @private
+ * @param {LabelLayout} layout - 글자 배치
+ * @param {ThemeConfig} styles - 테마 스타일 설정
+ * @param {number} x - 화면 x 좌표
+ * @param {number} y - 화면 y 좌표
+ * @param {string} name - 별자리 이름
+ */
+const addHorizontalName = (layout, styles, x, y, name) => {
+    const size = styles.conNameTextSize;
+    layout.add({
+        x,
+        y,
+        width: LabelLayout.textWidth(name, size),
+        height: size,
+        priority: LABEL_PRIORITY.constellation,
+        offsets: [[0, 0], [0, -size - 2], [0, size + 2]],
+        rimShift: 30,
+        data: { text: name, font: { fill: styles.conNameTextColor, size, family: FONT_FAMILY, opacity: 0.8 } }
+    });
+};
+
+/**
+ * 지평 좌표 화면(전천 보기, 파노라마)에 태양계 천체를 그리고 이름을 글자 배치에 추가
+ *
+ * 이름은 기호 아래가 기본 위치이고, 막히면 위, 오른쪽, 왼쪽으로 옮겨 봅니다.
+ * @private
+ * @param {SVG.Container} canvas - SVG.js 캔버스 객체
+ * @param {LabelLayout} layout - 글자 배치
+ * @param {ThemeConfig} styles - 테마 스타일 설정
+ * @param {number} x - 화면 x 좌표
+ * @param {number} y - 화면 y 좌표
+ * @param {{radius: number, color: string, label: string}} body - HorizontalSky.bodies()의 항목
+ */
+const renderHorizontalBody = (canvas, layout, styles, x, y, { radius, color, label }) => {
+    canvas.circle(radius * 2).center(x, y)
+        .fill(color)
+        .stroke({ color: styles.bgColor, width: 1 });
+    const size = styles.bodyNameTextSize;
+    const width = LabelLayout.textWidth(label, size);
+    const [right, left, above, below] = LabelLayout.around(radius + 2, width, size);
+    layout.add({
+        x,
+        y,
+        width,
+        height: size,
+        priority: LABEL_PRIORITY.body,
+        markRadius: radius,
+        offsets: [below, above, right, left],
+        rimShift: size,
+        data: { text: label, font: { fill: styles.bodyNameTextColor, size, family: FONT_FAMILY } }
+    });
+};
+
+/**
+ * 지평선 파노라마 렌더러 (방위각-고도 직교 화면)
+ *
+ * 지평선을 따라 하늘을 펼쳐 x축은 방위각 0°~360°(왼쪽 끝과 오른쪽 끝이 북쪽),
+ * y축은 고도 0°~60°로 그립니다. 가로와 세로의 각도 축척이 같아서
+ * "남동쪽 낮은 하늘"처럼 방향과 높이로 천체를 찾기 쉽습니다.
+ * - 좌표선: 15° 간격 등고도선과 45° 간격 방위선
+ * - 별, 별자리선, 별자리명, 태양계 천체: 전천 보기(AllSkyRenderer)와 같은 지평 좌표 계산
+ * - 방위: 지평선 아래에 시간환(TimeRingRenderer)과 같은 8방위
+ *
+ * 화면 좌표의 원점은 파노라마의 중심(남쪽, 고도 30°)입니다.
+ * 별자리명과 천체 이름은 LabelLayout으로 서로 겹치지 않게, 파노라마 사각형 안에 자리를 정합니다.
+ *
+ * @class
+ * @example
+ * const renderer = new HorizonPanoramaRenderer(canvas, styles, astroTime, 1800, new Date(), precessionMatrix);
+ * renderer.render();
+ */
+export class HorizonPanoramaRenderer {
+    /**
+     * 파노라마의 최대 고도 (도)
+     * @static
+     * @type {number}
+     */
+    static MAX_ALTITUDE = 60;
+
+    #canvas;
+    #styles;
+    #astroTime;
+    #width;
+    #height;
+    #currentDate;
+    #precessionMatrix;
+    #apparent;
+    #labels;
+    #skyCulture;
+    /** @type {LabelLayout|null} 이번 렌더링의 글자 배치 */
+    #layout = null;
+    #screenCoord = new AstroPoint(0, 0);
+
+    /**
+     * HorizonPanoramaRenderer 인스턴스 생성
+     * @param {SVG.Container} canvas - SVG.js 캔버스 객체
+     * @param {ThemeConfig} styles - 테마 스타일 설정
+     * @param {AstroTime} astroTime - 천문 시간 변환 객체 (관측지)
+     * @param {number} width - 방위각 360°의 너비 (픽셀, 높이는 같은 축척으로 고도 60°)
+     * @param {Date} currentDate - 현재 날짜/시간
+     * @param {AstroMatrix|null} [precessionMatrix=null] - J2000.0 → 날짜의 세차 행렬 (null이면 J2000.0 좌표 그대로)
+     * @param {boolean} [apparent=false] - 겉보기 항성시(GAST) 사용 여부
+     * @param {Labels} [labels=Labels.of()] - 화면 표시 언어의 글자 (별자리/천체 이름, 방위)
+     * @param {SkyCulture} [skyCulture=SkyCulture.get(DEFAULT_SKY_CULTURE)] - 별자리선과 별자리 이름을 가져올 별자리 문화
+     */
+    constructor(canvas, styles, astroTime, width, currentDate, precessionMatrix = null, apparent = false, labels = Labels.of(), skyCulture = SkyCulture.get(DEFAULT_SKY_CULTURE)) {
+        this.#canvas = canvas;
+        this.#styles = styles;
+        this.#astroTime = astroTime;
+        this.#width = width;
+        this.#height = width * HorizonPanoramaRenderer.MAX_ALTITUDE / 360;
+        this.#currentDate = currentDate;
+        this.#precessionMatrix = precessionMatrix;
+        this.#apparent = apparent;
+        this.#labels = labels;
+        this.#skyCulture = skyCulture;
+    }
+
+    /** @type {number} 파노라마 높이 (픽셀, 고도 0°~60°) */
+    get height() { return this.#height; }
+
+    render() {
+        const maxAltitude = HorizonPanoramaRenderer.MAX_ALTITUDE * AstroMath.D2R;
+        const sky = new HorizontalSky(this.#astroTime, this.#currentDate, this.#precessionMatrix, this.#apparent, maxAltitude, this.#labels, this.#skyCulture);
+        const halfWidth = this.#width * 0.5;
+        const halfHeight = this.#height * 0.5;
+        this.#layout = new LabelLayout({ rect: { x1: -halfWidth, y1: -halfHeight, x2: halfWidth, y2: halfHeight } });
+
+        // 하늘과 지면
+        this.#renderBackground();
+
+        // 고도/방위 좌표선
+        this.#renderGrid();
+
+        // 별자리선, 별, 별자리명
+        this.#renderConstellationLines(sky);
+        this.#renderStars(sky);
+        this.#addConstellationNames(sky);
+
+        // 태양계 천체
+        this.#renderBodies(sky);
+
+        // 별자리명과 천체 이름
+        renderLabels(this.#canvas, this.#layout);
+        this.#layout = null;
+
+        // 동서남북
+        this.#renderCardinalDirections();
+    }
+
+    /**
+     * 방위각/고도를 화면 좌표로 투영 (왼쪽 끝 북 → 동 → 남(중앙) → 서 → 오른쪽 끝 북)
+     * @param {number} azimuth - 방위각 (라디안, 북=0, 동=π/2)
+     * @param {number} altitude - 고도 (라디안)
+     * @returns {AstroPoint} 화면 좌표 (내부 객체 재사용)
+     */
+    project(azimuth, altitude) {
+        const maxAltitude = HorizonPanoramaRenderer.MAX_ALTITUDE * AstroMath.D2R;
+        this.#screenCoord.x = (AstroMath.normalize(azimuth, 0, AstroMath.TPI) / AstroMath.TPI - 0.5) * this.#width;
+        this.#screenCoord.y = (0.5 - altitude / maxAltitude) * this.#height;
+        return this.#screenCoord;
+    }
+
+    #renderBackground() {
+        const w = this.#width;
+        const h = this.#height;
+        this.#canvas.rect(w + 40, h + 60).move(-w * 0.5 - 20, -h * 0.5 - 20).fill(this.#styles.topPanelBgColor).stroke({
+            width: this.#styles.topPanelStroke.width,
+            color: this.#styles.topPanelStroke.color
+        });
+        this.#canvas.rect(w, h).move(-w * 0.5, -h * 0.5).fill(this.#styles.bgColor).stroke({
+            width: this.#styles.dateCircleInnerStroke.width,
+            color: this.#styles.dateCircleInnerStroke.color
+        });
+    }
+
+    #renderGrid() {
+        const left = -this.#width * 0.5;
+        const right = this.#width * 0.5;
+        let path = '';
+        for (let altitude = 15; altitude < HorizonPanoramaRenderer.MAX_ALTITUDE; altitude += 15) {
+            const { y } = this.project(0, altitude * AstroMath.D2R);
+            path += `M${left} ${y} L${right} ${y} `;
+            this.#canvas.text(`${altitude}°`).attr('text-anchor', 'end').center(left - 10, y)
+                .font({
+                    fill: this.#styles.nwesColor,
+                    size: this.#styles.nwesTextSize * 0.8,
+                    family: FONT_FAMILY
+                });
+        }
+        this.#canvas.path(path).fill('none').stroke({
+            color: this.#styles.decLineColor1,
+            width: this.#styles.decLineStroke,
+            opacity: 0.4
+        });
+
+        path = '';
+        const top = -this.#height * 0.5;
+        const bottom = this.#height * 0.5;
+        for (let azimuth = 45; azimuth < 360; azimuth += 45) {
+            const { x } = this.project(azimuth * AstroMath.D2R, 0);
+            path += `M${x} ${top} L${x} ${bottom} `;
+        }
+        this.#canvas.path(path).fill('none').stroke({
+            color: this.#styles.raLineColor,
+            width: this.#styles.raLineStroke,
+            opacity: 0.4
+        });
+    }
+
+    #renderConstellationLines(sky) {
+        let path = '';
+        for (const [p1, p2] of sky.constellationLines()) {
+            const { x: x1, y: y1 } = this.project(p1.azimuth, p1.altitude);
+            const { x: x2, y: y2 } = this.project(p2.azimuth, p2.altitude);
+            // 북쪽(방위각 0°/360°)에서 끊긴 선은 양쪽 끝으로 나눠 그림
+            if (Math.abs(x2 - x1) > this.#width * 0.5) {
+                const shift = x1 < x2 ? this.#width : -this.#width;
+                path += `M${x1} ${y1} L${x2 - shift} ${y2} M${x1 + shift} ${y1} L${x2} ${y2} `;
+            } else {
+                path += `M${x1} ${y1} L${x2} ${y2} `;
+            }
+        }
+        this.#canvas.path(path).fill('none').stroke({
+            color: this.#styles.conlineColor,
+            width: 1,
+            linecap: 'round',
+            linejoin: 'round',
+            opacity: this.#styles.conlineOpacity
+        });
+    }
+
+    #renderStars(sky) {
+        for (const star of sky.stars()) {
+            const { x, y } = this.project(star.azimuth, star.altitude);
+            const color = this.#styles.starColors[star.type] || this.#styles.starColors['default'];
+            const { radius, alpha } = starStyle(star.mag);
+            this.#canvas.circle(radius * 2).center(x, y).fill({ color, alpha });
+        }
+    }
+
+    #addConstellationNames(sky) {
+        for (const { azimuth, altitude, name } of sky.constellationNames()) {
+            const { x, y } = this.project(azimuth, altitude);
+            addHorizontalName(this.#layout, this.#styles, x, y, name);
+        }
+    }
+
+    #renderBodies(sky) {
+        for (const body of sky.bodies(this.#styles)) {
+            const { x, y } = this.project(body.azimuth, body.altitude);
+            renderHorizontalBody(this.#canvas, this.#layout, this.#styles, x, y, body);
+        }
+    }
+
+    #renderCardinalDirections() {
+        const y = this.#height * 0.5 + 20;
+        // 오른쪽 끝(방위각 360°)에도 북을 한 번 더 표시
+        for (let i = 0; i <= 8; i++) {
+            const x = (i / 8 - 0.5) * this.#width;
+            this.#canvas.text(this.#labels.cardinal(i)).attr('text-anchor', 'middle').center(x, y)
+                .font({
+                    fill: this.#styles.nwesColor,
+                    size: this.#styles.nwesTextSize,
+                    family: FONT_FAMILY
+                });
+        }
+    }
+}
+
 /**
  * 정보 패널 렌더러 (범례 및 타이틀)
  *
  * 별자리판의 보조 정보를 렌더링합니다:
  * - 별 등급 범례: 1~6등성의 크기 비교
- * - 타이틀: "아빠별 별자리판"
+ * - 타이틀: "아빠별 별자리판" (표시 언어가 한글이 아니면 "Planisphere JS")
  * - 버전 정보
+ * - 양면 별자리판: 원판별 제목 (북쪽 하늘/남쪽 하늘)
  *
  * @class
  * @example
@@ -726,6 +2332,8 @@ export class InfoPanelRenderer {
     #styles;
     #version;
     #lat;
+    #dualDisc;
+    #labels;
 
     /**
      * InfoPanelRenderer 인스턴스 생성
@@ -733,46 +2341,61 @@ export class InfoPanelRenderer {
      * @param {ThemeConfig} styles - 테마 스타일 설정
      * @param {string} version - 버전 문자열 (예: 'v1.0.3 (2024-01-15)')
      * @param {number} lat - 관측지 위도 (라디안)
+     * @param {boolean} [dualDisc=false] - 양면 별자리판 여부 (화면 좌표 범위가 가로로 두 배)
+     * @param {Labels} [labels=Labels.of()] - 화면 표시 언어의 글자 (타이틀, 원판 제목, 범례)
      */
-    constructor(canvas, styles, version, lat = 37.5 * AstroMath.D2R) {
+    constructor(canvas, styles, version, lat = 37.5 * AstroMath.D2R, dualDisc = false, labels = Labels.of()) {
         this.#canvas = canvas;
         this.#styles = styles;
         this.#version = version;
         this.#lat = lat;
+        this.#dualDisc = dualDisc;
+        this.#labels = labels;
     }
 
     render() {
         const absLatDeg = Math.abs(this.#lat) * AstroMath.R2D;
         const isVeryHighLat = absLatDeg >= 75;
 
-        // 화면 좌표 범위: [-500, -500] ~ [500, 500]
+        // 화면 좌표 범위: [-500, -500] ~ [500, 500] (양면 별자리판은 가로 [-1000, 1000])
         const padding = 30;
         const margin = 10;
-        const canvasMin = -500 + padding;
-        const canvasMax = 500 - padding;
+        const halfWidth = this.#dualDisc ? 1000 : 500;
+        const canvasMin = -halfWidth + padding;
+        const canvasMax = halfWidth - padding;
+        const canvasMaxY = 500 - padding;
 
-        if (isVeryHighLat) {
-            // --- 고위도 (75도 이상): 모서리 배치 (좌우 반전) ---
+        if (isVeryHighLat || this.#dualDisc) {
+            // --- 고위도 (75도 이상), 양면 별자리판: 모서리 배치 (좌우 반전) ---
 
             // 1. 별 등성 범례 (우측 하단)
             const legendLineHeight = 18;
-            const legendStartY = canvasMax - (6 * legendLineHeight);
+            const legendStartY = canvasMaxY - (6 * legendLineHeight);
             this.#renderLegendAt(canvasMax - 50, legendStartY, 11, legendLineHeight);
 
             // 2. 버전 정보 (좌측 하단 - 위쪽)
-            const versionY = canvasMax - 35;
+            const versionY = canvasMaxY - 35;
             this.#canvas.text(this.#version)
                 .font({ fill: this.#styles.legendColor, size: 12, family: FONT_FAMILY, anchor: 'start' })
                 .x(canvasMin)
                 .y(versionY);
 
             // 3. 타이틀 (좌측 하단 - 아래쪽)
-            const titleY = canvasMax - 22;
-            this.#canvas.text(`아빠별 별자리판`)
+            const titleY = canvasMaxY - 22;
+            this.#canvas.text(this.#labels.title)
                 .font({ fill: this.#styles.legendColor, size: 22, family: FONT_FAMILY, weight: 'bold', anchor: 'start' })
                 .x(canvasMin)
                 .y(titleY);
 
+            // 4. 양면 별자리판 원판 제목 (좌측 상단: 북쪽 하늘, 우측 상단: 남쪽 하늘)
+            if (this.#dualDisc) {
+                const captionY = -500 + padding;
+                const font = { fill: this.#styles.legendColor, size: 22, family: FONT_FAMILY, weight: 'bold' };
+                this.#canvas.text(this.#labels.northSky).font(font).x(canvasMin).y(captionY);
+                const south = this.#canvas.text(this.#labels.southSky).font(font).y(captionY);
+                south.x(canvasMax - south.bbox().width);
+            }
+
         } else {
             // --- 일반 위도 (75도 미만): 중앙 정렬 및 좌측 범례 복원 ---
 
@@ -783,7 +2406,7 @@ export class InfoPanelRenderer {
             // 1. 타이틀 (항상 가로 중앙)
             const titleY = -290 - (100 * f);
             const titleSize = 50 - (15 * f);
-            this.#canvas.text(`아빠별 별자리판`)
+            this.#canvas.text(this.#labels.title)
                 .font({ fill: this.#styles.legendColor, size: titleSize, family: FONT_FAMILY, anchor: 'middle' })
                 .cx(0)
                 .y(titleY);
@@ -825,7 +2448,7 @@ export class InfoPanelRenderer {
                 .center(x + 7, centerY)
                 .fill({ color: this.#styles.legendColor });
 
-            this.#canvas.text(`${mag + 2} 등성`)
+            this.#canvas.text(this.#labels.magnitude(mag + 2))
                 .move(x + 20, itemY) // move 기반 베이스
                 .font({ fill: this.#styles.legendColor, size: textSize, family: FONT_FAMILY })
                 .cy(centerY); // 수직 중앙 정렬 강제
@@ -0,0 +1,321 @@
+/**
+ * @fileoverview 별자리판 JS - 출몰(Rise/Transit/Set) 계산 모듈
+ * @author 지용호 <jidolstar@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ *
+ * @description
+ * 관측지에서 천체가 뜨고(Rise), 남중하고(Transit), 지는(Set) 시각과 방위각을 계산합니다.
+ * 고정된 천체(J2000.0 적경/적위)와 태양·달·행성처럼 움직이는 천체를 모두 지원합니다.
+ *
+ * 계산 방법:
+ * - 하루(지방 표준시 0시 ~ 24시)를 10분 간격으로 나눠 고도와 시간각을 구함
+ * - 기준 고도를 지나는 구간(출몰)과 시간각이 0이 되는 구간(남중)을 이분법으로 좁힘
+ * - 기준 고도 = 지정 고도 - 지평선 강하 - 대기차 - 시반경
+ *   (기본값: 관측지 해발 고도의 지평선, Bennett 대기차)
+ *
+ * 참고: Jean Meeus, "Astronomical Algorithms" 2nd ed. 15장
+ */
+
+import { AstroMath, AstroTime, AstroApparent, AstroRefraction } from './astronomy.js';
+import { AstroSun, AstroMoon, AstroPlanet } from './ephemeris.js';
+
+/**
+ * 1 AU 거리에서 태양의 시반경 (959.63″, 라디안)
+ * @private
+ * @constant {number}
+ */
+const SUN_SEMI_DIAMETER = 959.63 * AstroMath.S2R;
+
+/**
+ * 달의 반지름 (km)
+ * @private
+ * @constant {number}
+ */
+const MOON_RADIUS_KM = 1737.4;
+
+/**
+ * 하루를 나누는 표본 개수 (10분 간격)
+ * @private
+ * @constant {number}
+ */
+const SAMPLES_PER_DAY = 144;
+
+/**
+ * 이분법 반복 횟수 (10분 / 2^20 ≈ 0.6ms)
+ * @private
+ * @constant {number}
+ */
+const BISECTION_STEPS = 20;
+
+/**
+ * 출몰 계산 대상 천체
+ *
+ * - `'sun'`, `'moon'`, 행성 이름(AstroPlanet.NAMES): 움직이는 천체
+ * - `{ra, dec}`: J2000.0 적경/적위 (라디안)를 가진 고정 천체 (날짜의 겉보기 위치로 보정)
+ * - `(jd) => {ra, dec, semiDiameter?}`: 세계시 율리우스일에 대한 날짜의 적경/적위(라디안)를 돌려주는 함수
+ *
+ * @typedef {string|{ra: number, dec: number}|function(number): {ra: number, dec: number, semiDiameter?: number}} RiseSetTarget
+ */
+
+/**
+ * @typedef {Object} RiseSetOptions
+ * @property {number} [altitude=0] - 출몰 기준 고도 (라디안, 천체의 윗가장자리가 이 고도를 지날 때)
+ * @property {number} [dip] - 지평선 강하 (라디안, 기본: 관측지 해발 고도로 계산)
+ * @property {number} [refraction] - 기준 고도에서의 대기차 (라디안, 기본: 기압/기온을 반영한 Bennett 대기차)
+ * @property {number} [semiDiameter] - 시반경 (라디안, 태양/달은 거리로 자동 계산, 그 외 0)
+ */
+
+/**
+ * 대기 조건
+ * @typedef {Object} AtmosphereOptions
+ * @property {number} [pressure] - 기압 (hPa, 기본: 관측지 해발 고도의 표준 대기압)
+ * @property {number} [temperature=10] - 기온 (℃)
+ */
+
+/**
+ * @typedef {Object} RiseSetEvent
+ * @property {number} lct - 지방 표준시 (율리우스일 형식)
+ * @property {number} hours - 지방 표준시 (0 ~ 24 시간 단위)
+ * @property {number} azimuth - 방위각 (라디안, 북=0, 동=π/2)
+ * @property {number} altitude - 천체 중심의 기하학적 고도 (라디안)
+ */
+
+/**
+ * @typedef {Object} RiseSetResult
+ * @property {RiseSetEvent|null} rise - 뜨는 시각 (없으면 null)
+ * @property {RiseSetEvent|null} transit - 남중 시각 (없으면 null)
+ * @property {RiseSetEvent|null} set - 지는 시각 (없으면 null)
+ * @property {boolean} circumpolar - 하루 종일 기준 고도 위에 있음 (주극성)
+ * @property {boolean} neverRises - 하루 종일 기준 고도 아래에 있음
+ */
+
+/**
+ * 기준 고도를 지나는 시각 (태양의 박명 계산용)
+ * @typedef {Object} TwilightTimes
+ * @property {RiseSetEvent|null} dawn - 아침에 태양이 기준 고도 위로 올라오는 시각
+ * @property {RiseSetEvent|null} dusk - 저녁에 태양이 기준 고도 아래로 내려가는 시각
+ * @property {boolean} alwaysAbove - 하루 종일 태양이 기준 고도 위에 있음 (백야 등)
+ * @property {boolean} alwaysBelow - 하루 종일 태양이 기준 고도 아래에 있음
+ */
+
+/**
+ * @typedef {Object} TwilightResult
+ * @property {TwilightTimes} horizon - 일출/일몰 (윗가장자리, 지평선 강하와 대기차 반영)
+ * @property {TwilightTimes} civil - 시민 박명 (태양 중심 고도 -6°)
+ * @property {TwilightTimes} nautical - 항해 박명 (태양 중심 고도 -12°)
+ * @property {TwilightTimes} astronomical - 천문 박명 (태양 중심 고도 -18°)
+ */
+
+/**
+ * 출몰 계산 클래스
+ *
+ * @class
+ * @example
+ * // 서울에서 2024년 6월 21일 안타레스(J2000.0: 16h29m24s, -26°25′55″)의 출몰
+ * const astroTime = new AstroTime(9, 126.98, 37.57);
+ * const riseSet = new AstroRiseSet(astroTime);
+ * const antares = { ra: 16.490 * AstroMath.H2R, dec: -26.432 * AstroMath.D2R };
+ * const { rise, transit, set } = riseSet.compute(antares, 2024, 6, 21);
+ * console.log(rise.hours, rise.azimuth * AstroMath.R2D);
+ *
+ * // 태양과 달
+ * riseSet.compute('sun', 2024, 6, 21);
+ * riseSet.compute('moon', 2024, 6, 21);
+ */
+export class AstroRiseSet {
+    /**
+     * 박명 종류별 태양 중심의 기준 고도 (라디안)
+     * @static
+     * @type {{civil: number, nautical: number, astronomical: number}}
+     */
+    static TWILIGHT = Object.freeze({
+        civil: -6 * AstroMath.D2R,
+        nautical: -12 * AstroMath.D2R,
+        astronomical: -18 * AstroMath.D2R
+    });
+
+    #astroTime;
+    #pressure;
+    #temperature;
+
+    /**
+     * AstroRiseSet 인스턴스 생성
+     * @param {AstroTime} astroTime - 관측지(해발 고도 포함)와 시간대 정보를 가진 시간 변환 객체
+     * @param {AtmosphereOptions} [atmosphere={}] - 대기차 계산용 기압/기온
+     */
+    constructor(astroTime, { pressure, temperature = 10 } = {}) {
+        this.#astroTime = astroTime;
+        this.#pressure = pressure ?? AstroRefraction.standardPressure(astroTime.elevation);
+        this.#temperature = temperature;
+    }
+
+    /**
+     * 지방 표준시 기준 하루 동안의 출몰 시각 계산
+     * @param {RiseSetTarget} target - 대상 천체
+     * @param {number} year - 연도 (천문학적 연도 표기, 1582년 10월 15일 이전은 율리우스력)
+     * @param {number} month - 월 (1-12)
+     * @param {number} day - 일 (1-31)
+     * @param {RiseSetOptions} [options={}] - 기준 고도 옵션
+     * @returns {RiseSetResult} 출몰 결과
+     * @throws {Error} 지원하지 않는 천체 이름인 경우
+     */
+    compute(target, year, month, day, options = {}) {
+        const lct0 = AstroTime.jd(year, month, day, 0, 0, 0);
+        const position = this.#resolve(target, lct0);
+        const { altitude = 0, semiDiameter } = options;
+        const dip = options.dip ?? AstroRefraction.horizonDip(this.#astroTime.elevation);
+        const refraction = options.refraction ??
+            AstroRefraction.bennett(altitude - dip, this.#pressure, this.#temperature);
+
+        // 윗가장자리가 보이는 기준 고도에 닿을 때 중심의 기하학적 고도 (시반경 제외)
+        const h0 = altitude - dip - refraction;
+
+        // 표본: [지방 표준시, 기준 고도와의 차, 시간각]
+        const step = 1 / SAMPLES_PER_DAY;
+        const samples = [];
+        for (let i = 0; i <= SAMPLES_PER_DAY; i++) {
+            samples.push(this.#sample(position, lct0 + i * step, h0, semiDiameter));
+        }
+
+        let rise = null;
+        let set = null;
+        let transit = null;
+        for (let i = 0; i < SAMPLES_PER_DAY; i++) {
+            const a = samples[i];
+            const b = samples[i + 1];
+            if (!rise && a.diff < 0 && b.diff >= 0) {
+                rise = this.#refine(position, a.lct, b.lct, h0, semiDiameter, (s) => s.diff >= 0);
+            }
+            if (!set && a.diff >= 0 && b.diff < 0) {
+                set = this.#refine(position, a.lct, b.lct, h0, semiDiameter, (s) => s.diff < 0);
+            }
+            // 시간각이 음(동쪽)에서 양(서쪽)으로 바뀌는 구간. ±π 경계(하방 통과)는 제외
+            if (!transit && a.ha < 0 && b.ha >= 0 && b.ha - a.ha < AstroMath.PI) {
+                transit = this.#refine(position, a.lct, b.lct, h0, semiDiameter, (s) => s.ha >= 0);
+            }
+        }
+
+        const crossed = rise || set;
+        return {
+            rise,
+            transit,
+            set,
+            circumpolar: !crossed && samples.every((s) => s.diff >= 0),
+            neverRises: !crossed && samples.every((s) => s.diff < 0)
+        };
+    }
+
+    /**
+     * 지방 표준시 기준 하루 동안의 일출/일몰과 박명 시각 계산
+     *
+     * 새벽(dawn)과 저녁(dusk)은 같은 날짜의 값입니다.
+     * 박명은 태양 중심의 기하학적 고도로 정의하므로 대기차와 시반경을 적용하지 않습니다.
+     *
+     * @param {number} year - 연도 (천문학적 연도 표기, 1582년 10월 15일 이전은 율리우스력)
+     * @param {number} month - 월 (1-12)
+     * @param {number} day - 일 (1-31)
+     * @returns {TwilightResult} 일출/일몰 및 박명 시각
+     * @example
+     * const { astronomical } = riseSet.twilight(2024, 6, 21);
+     * console.log(astronomical.dusk?.hours); // 천문 박명이 끝나 완전히 어두워지는 시각
+     */
+    twilight(year, month, day) {
+        const toTimes = (result) => ({
+            dawn: result.rise,
+            dusk: result.set,
+            alwaysAbove: result.circumpolar,
+            alwaysBelow: result.neverRises
+        });
+        const result = { horizon: toTimes(this.compute('sun', year, month, day)) };
+        for (const [name, altitude] of Object.entries(AstroRiseSet.TWILIGHT)) {
+            result[name] = toTimes(this.compute('sun', year, month, day, { altitude, dip: 0, refraction: 0, semiDiameter: 0 }));
+        }
+        return result;
+    }
+
+    /**
+     * 대상 천체를 세계시 → 날짜의 적경/적위 함수로 변환
+     * @private
+     * @param {RiseSetTarget} target - 대상 천체
+     * @param {number} lct0 - 계산일 0시의 지방 표준시 (율리우스일 형식)
+     * @returns {function(number): {ra: number, dec: number, semiDiameter?: number}}
+     */
+    #resolve(target, lct0) {
+        if (typeof target === 'function') return target;
+
+        if (typeof target === 'string') {
+            const name = target.toLowerCase();
+            if (name === 'sun') {
+                return (ut) => {
+                    const sun = AstroSun.position(AstroTime.UT2TT(ut));
+                    return { ra: sun.ra, dec: sun.dec, semiDiameter: SUN_SEMI_DIAMETER / sun.dist };
+                };
+            }
+            if (name === 'moon') {
+                return (ut) => {
+                    const moon = AstroMoon.position(AstroTime.UT2TT(ut));
+                    const { ra, dec } = AstroMoon.topocentric(moon, this.#astroTime.UT2LAST(ut), this.#astroTime.glat);
+                    return { ra, dec, semiDiameter: Math.asin(MOON_RADIUS_KM / moon.dist) };
+                };
+            }
+            if (AstroPlanet.NAMES.includes(name)) {
+                return (ut) => AstroPlanet.position(name, AstroTime.UT2TDB(ut));
+            }
+            throw new Error(`Unknown body: ${target}`);
+        }
+
+        // 고정 천체: 하루 동안의 세차/장동 변화는 무시할 수 있으므로 정오 기준 한 번만 계산
+        const place = AstroApparent.place(target.ra, target.dec, AstroTime.UT2TT(this.#astroTime.LCT2UT(lct0 + 0.5)));
+        return () => place;
+    }
+
+    /**
+     * 특정 시각의 고도/방위각/시간각 계산
+     * @private
+     * @returns {{lct: number, diff: number, ha: number, azimuth: number, altitude: number}}
+     */
+    #sample(position, lct, h0, semiDiameter) {
+        const ut = this.#astroTime.LCT2UT(lct);
+        const pos = position(ut);
+        const lst = AstroTime.jd2Time(this.#astroTime.UT2LAST(ut)) * AstroMath.H2R;
+        const lat = this.#astroTime.glat;
+
+        const ha = AstroMath.normalize(lst - pos.ra, -AstroMath.PI, AstroMath.PI);
+        const sinLat = Math.sin(lat);
+        const cosLat = Math.cos(lat);
+        const sinDec = Math.sin(pos.dec);
+        const cosDec = Math.cos(pos.dec);
+        const alt = Math.asin(sinLat * sinDec + cosLat * cosDec * Math.cos(ha));
+        const azimuth = AstroMath.normalize(
+            Math.atan2(-cosDec * Math.sin(ha), sinDec * cosLat - cosDec * sinLat * Math.cos(ha)),
+            0, AstroMath.TPI);
+
+        const sd = semiDiameter ?? pos.semiDiameter ?? 0;
+        return { lct, diff: alt - (h0 - sd), ha, azimuth, altitude: alt };
+    }
+
+    /**
+     * 이분법으로 사건 시각을 좁힘
+     * @private
+     * @param {function} position - 천체 위치 함수
+     * @param {number} lo - 사건 이전 시각 (지방 표준시)
+     * @param {number} hi - 사건 이후 시각 (지방 표준시)
+     * @param {number} h0 - 시반경을 제외한 기준 고도 (기하학적 고도)
+     * @param {number|undefined} semiDiameter - 시반경
+     * @param {function(Object): boolean} isAfter - 표본이 사건 이후인지 판단
+     * @returns {RiseSetEvent} 사건
+     */
+    #refine(position, lo, hi, h0, semiDiameter, isAfter) {
+        for (let i = 0; i < BISECTION_STEPS; i++) {
+            const mid = (lo + hi) * 0.5;
+            if (isAfter(this.#sample(position, mid, h0, semiDiameter))) {
+                hi = mid;
+            } else {
+                lo = mid;
+            }
+        }
+        const { lct, azimuth, altitude: alt } = this.#sample(position, (lo + hi) * 0.5, h0, semiDiameter);
+        return { lct, hours: AstroTime.jd2Time(lct), azimuth, altitude: alt };
+    }
+}
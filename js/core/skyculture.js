@@ -0,0 +1,236 @@
+/**
+ * @fileoverview 별자리판 JS - 별자리 문화(Sky Culture)
+ * @author 지용호 <jidolstar@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ *
+ * @description
+ * 하늘 패널과 보조 하늘 보기가 그리는 별자리선, 별자리 이름, 경계선을 문화별로 묶는 모듈입니다.
+ *
+ * 기본으로 두 문화를 등록합니다:
+ * - 'western': IAU 88개 별자리 (CONSTELLATION_LINES, CONSTELLATION_NAMES, IAU 경계)
+ * - 'korean': 동아시아 전통 별자리 (삼원 이십팔수 별자리와 이십팔수 경계, 이름은 한자음)
+ *
+ * 새 문화는 SkyCulture 인스턴스를 만들어 SkyCulture.register()로 등록합니다.
+ *
+ * @example
+ * import { SkyCulture } from './skyculture.js';
+ *
+ * const korean = SkyCulture.get('korean');
+ * korean.label('北斗', Labels.of('ko')); // '북두'
+ * korean.label('北斗', Labels.of('en')); // 'Northern Dipper'
+ */
+
+import { AstroMath } from './astronomy.js';
+import { AstroConstellation } from './constellation.js';
+import {
+    CONSTELLATION_LINES,
+    CONSTELLATION_NAMES,
+    KOREAN_CONSTELLATIONS,
+    KOREAN_CONSTELLATION_LINES,
+    KOREAN_CONSTELLATION_NAMES,
+    LUNAR_MANSIONS
+} from './models.js';
+
+/**
+ * 이십팔수 경계선의 적위 범위 (라디안)
+ * @private
+ * @constant {number}
+ */
+const LUNAR_MANSION_LIMIT_DE = 50 * AstroMath.D2R;
+
+/**
+ * 이십팔수 경계선을 나누어 그리는 간격 (라디안)
+ * @private
+ * @constant {number}
+ */
+const LUNAR_MANSION_STEP = 2 * AstroMath.D2R;
+
+/**
+ * @typedef {Object} SkyCultureOptions
+ * @property {string} id - 문화 식별자 (예: 'korean')
+ * @property {string} [name=id] - 문화 이름 (예: '동아시아 전통 별자리')
+ * @property {ArrayLike<number>} lines - 별자리선 [RA1, Dec1, RA2, Dec2, ...] (J2000.0, 라디안, CONSTELLATION_LINES와 같은 형식)
+ * @property {Array<number|string>} names - 별자리 이름 위치 [RA, Dec, 키, ...] (J2000.0, 라디안, CONSTELLATION_NAMES와 같은 형식)
+ * @property {function(string, Labels): string} [label] - 키와 표시 언어로 화면에 쓸 이름 (기본은 키 그대로)
+ * @property {function(): Float64Array[]} [boundaries] - 경계선 [RA1, Dec1, RA2, Dec2, ...] 꺾은선 목록을 만드는 함수 (J2000.0, 라디안, 처음 쓸 때 한 번만 호출)
+ */
+
+/**
+ * 별자리 문화
+ *
+ * 별자리선, 이름 위치, 경계선과 이름 번역 방법을 묶은 불변 객체입니다.
+ * 렌더러는 문화와 상관없이 같은 형식의 데이터를 그립니다.
+ *
+ * @class
+ * @example
+ * const culture = SkyCulture.register(new SkyCulture({
+ *     id: 'my-asterisms',
+ *     lines: [ra1, dec1, ra2, dec2],
+ *     names: [ra, dec, '여름철 대삼각형']
+ * }));
+ * planisphere.setSkyCulture('my-asterisms');
+ */
+export class SkyCulture {
+    /** @type {Map<string, SkyCulture>} 등록된 문화 */
+    static #cultures = new Map();
+
+    #id;
+    #name;
+    #lines;
+    #names;
+    #label;
+    #boundaries;
+    /** @type {Float64Array[]|null} */
+    #boundaryLines = null;
+
+    /**
+     * @param {SkyCultureOptions} options - 문화 데이터
+     * @throws {Error} id가 없거나 lines/names의 길이가 형식에 맞지 않는 경우
+     */
+    constructor({ id, name = id, lines, names, label = (key) => String(key), boundaries = null }) {
+        if (!id || typeof id !== 'string') throw new Error("id는 필수입니다.");
+        if (!lines || lines.length % 4 !== 0) throw new Error("lines는 [RA1, Dec1, RA2, Dec2, ...] 형식이어야 합니다.");
+        if (!names || names.length % 3 !== 0) throw new Error("names는 [RA, Dec, 키, ...] 형식이어야 합니다.");
+        this.#id = id;
+        this.#name = name;
+        this.#lines = lines;
+        this.#names = names;
+        this.#label = label;
+        this.#boundaries = boundaries;
+    }
+
+    /**
+     * 문화 등록 (같은 id가 있으면 바꿈)
+     * @param {SkyCulture} culture - 등록할 문화
+     * @returns {SkyCulture} 등록한 문화
+     */
+    static register(culture) {
+        SkyCulture.#cultures.set(culture.id, culture);
+        return culture;
+    }
+
+    /**
+     * 등록된 문화 찾기
+     * @param {string} id - 문화 식별자
+     * @returns {SkyCulture}
+     * @throws {Error} 등록되지 않은 문화
+     */
+    static get(id) {
+        const culture = SkyCulture.#cultures.get(id);
+        if (!culture) {
+            throw new Error(`skyCulture는 ${SkyCulture.ids.join(', ')} 중 하나여야 합니다.`);
+        }
+        return culture;
+    }
+
+    /**
+     * 등록된 문화 식별자 목록 (등록 순서)
+     * @returns {string[]}
+     */
+    static get ids() {
+        return [...SkyCulture.#cultures.keys()];
+    }
+
+    /** @returns {string} 문화 식별자 */
+    get id() { return this.#id; }
+
+    /** @returns {string} 문화 이름 */
+    get name() { return this.#name; }
+
+    /** @returns {ArrayLike<number>} 별자리선 [RA1, Dec1, RA2, Dec2, ...] (J2000.0, 라디안) */
+    get lines() { return this.#lines; }
+
+    /** @returns {Array<number|string>} 별자리 이름 위치 [RA, Dec, 키, ...] (J2000.0, 라디안) */
+    get names() { return this.#names; }
+
+    /**
+     * 화면에 쓸 별자리 이름
+     * @param {string} key - names의 키 (예: 'UMa', '北斗')
+     * @param {Labels} labels - 표시 언어
+     * @returns {string}
+     */
+    label(key, labels) {
+        return this.#label(key, labels);
+    }
+
+    /**
+     * 경계선 (J2000.0)
+     *
+     * 처음 호출할 때 한 번만 만듭니다. 경계가 없는 문화는 빈 배열입니다.
+     *
+     * @returns {Float64Array[]} 꺾은선 목록, 각각 [RA1, Dec1, RA2, Dec2, ...] (라디안)
+     */
+    boundaryLines() {
+        if (!this.#boundaries) return [];
+        this.#boundaryLines ??= this.#boundaries();
+        return this.#boundaryLines;
+    }
+}
+
+/**
+ * 동아시아 전통 별자리의 한자 이름 → [한글, 영어] 표
+ * @private
+ * @type {Map<string, string[]>|null}
+ */
+let koreanNames = null;
+
+/**
+ * 동아시아 전통 별자리 이름
+ *
+ * IAU 약자와 라틴어 이름이 없으므로 'abbr'은 한자, 'la'는 영어 이름으로 표시합니다.
+ * @private
+ * @param {string} key - 한자 이름
+ * @param {Labels} labels - 표시 언어
+ * @returns {string}
+ */
+function koreanLabel(key, labels) {
+    koreanNames ??= new Map(KOREAN_CONSTELLATIONS.trim().split('\n').map(line => {
+        const [hanja, ko, en] = line.split(',');
+        return [hanja, [ko, en]];
+    }));
+    const [ko, en] = koreanNames.get(key) ?? [key, key];
+    switch (labels.language) {
+        case 'ko': return ko;
+        case 'abbr': return key;
+        default: return en;
+    }
+}
+
+/**
+ * 이십팔수 경계선: 각 거성의 적경을 따라 적위 ±50°까지 그은 시간권
+ * @private
+ * @returns {Float64Array[]}
+ */
+function lunarMansionLines() {
+    return LUNAR_MANSIONS.trim().split('\n').map(line => {
+        const ra = parseFloat(line.split(',')[1]) * AstroMath.H2R;
+        const steps = Math.round(2 * LUNAR_MANSION_LIMIT_DE / LUNAR_MANSION_STEP);
+        const points = new Float64Array((steps + 1) * 2);
+        for (let k = 0; k <= steps; k++) {
+            points[k * 2] = ra;
+            points[k * 2 + 1] = -LUNAR_MANSION_LIMIT_DE + k * LUNAR_MANSION_STEP;
+        }
+        return points;
+    });
+}
+
+SkyCulture.register(new SkyCulture({
+    id: 'western',
+    name: 'IAU',
+    lines: CONSTELLATION_LINES,
+    names: CONSTELLATION_NAMES,
+    label: (abbr, labels) => labels.constellation(abbr),
+    boundaries: () => AstroConstellation.boundaryLines()
+}));
+
+SkyCulture.register(new SkyCulture({
+    id: 'korean',
+    name: '동아시아 전통 별자리',
+    lines: KOREAN_CONSTELLATION_LINES,
+    names: KOREAN_CONSTELLATION_NAMES,
+    label: koreanLabel,
+    boundaries: lunarMansionLines
+}));
+
+export default SkyCulture;
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview 별자리판 JS - 보조 하늘 보기
+ * @author 지용호 <jidolstar@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ *
+ * @description
+ * 별자리판과 같은 날짜, 시간, 위치의 하늘을 다른 방식으로 보여주는 화면입니다.
+ * 별자리판의 변경 리스너에 등록되어 날짜/시간, 위치, 관측 조건, 테마가 바뀌면 함께 다시 그립니다.
+ *
+ * 보기 방식:
+ * - allsky: 천정 중심의 전천 보기 (AllSkyRenderer)
+ * - panorama: 지평선을 따라 펼친 방위각 0°~360°, 고도 0°~60° 파노라마 (HorizonPanoramaRenderer)
+ *
+ * @example
+ * const planisphere = new Planisphere({ wrapperDomId: '#planisphere' });
+ * await planisphere.initialize();
+ *
+ * // 별자리판 옆에 전천 보기
+ * const view = new SkyView({ wrapperDomId: '#allsky', planisphere });
+ *
+ * // 별자리판 아래에 지평선 파노라마
+ * const panorama = new SkyView({ wrapperDomId: '#panorama', planisphere, mode: 'panorama' });
+ *
+ * @requires SVG.js
+ */
+
+import { AstroTime, AstroMatrix } from './astronomy.js';
+import { AllSkyRenderer, HorizonPanoramaRenderer } from './renderers.js';
+import { Labels } from './i18n.js';
+import { SkyCulture } from './skyculture.js';
+
+// SVG.js 라이브러리 직접 import
+import { SVG } from 'https://cdn.jsdelivr.net/npm/@svgdotjs/svg.js@3.2/dist/svg.esm.js';
+
+/**
+ * 보기 방식별 화면 크기 (뷰박스)
+ * @private
+ * @constant {Object.<string, {width: number, height: number}>}
+ */
+const VIEW_SIZES = {
+    allsky: { width: 1000, height: 1000 },
+    panorama: { width: 2000, height: 420 }
+};
+
+/**
+ * 별자리판과 동기화되는 보조 하늘 보기
+ *
+ * @class
+ * @example
+ * const view = new SkyView({ wrapperDomId: '#allsky', planisphere });
+ * view.destroy(); // 동기화 해제 및 화면 제거
+ */
+export class SkyView {
+    /**
+     * 지원하는 보기 방식
+     * @static
+     * @type {string[]}
+     */
+    static MODES = Object.keys(VIEW_SIZES);
+
+    /** @type {import('./planisphere.js').default} */
+    #planisphere;
+    /** @type {string} */
+    #mode;
+    /** @type {HTMLElement} */
+    #wrapper;
+    /** @type {SVG.Doc} */
+    #panel;
+    /** @type {import('@svgdotjs/svg.js').G} */
+    #group;
+    /** @type {function(): void} 별자리판 변경 리스너 해제 함수 */
+    #unsubscribe;
+
+    /**
+     * SkyView 인스턴스 생성
+     *
+     * 별자리판의 initialize()가 끝난 뒤에 생성해야 하며, 생성 즉시 그립니다.
+     *
+     * @param {Object} options - 생성 옵션
+     * @param {string} options.wrapperDomId - 래퍼 DOM 셀렉터 (예: '#allsky', 높이 지정 필요)
+     * @param {import('./planisphere.js').default} options.planisphere - 동기화할 별자리판
+     * @param {'allsky'|'panorama'} [options.mode='allsky'] - 보기 방식
+     * @throws {Error} wrapperDomId 또는 planisphere가 없거나 mode가 잘못된 경우
+     */
+    constructor({ wrapperDomId, planisphere, mode = 'allsky' }) {
+        if (!wrapperDomId) throw new Error("wrapperDomId는 필수입니다.");
+        if (!planisphere) throw new Error("planisphere는 필수입니다.");
+        if (!SkyView.MODES.includes(mode)) throw new Error(`mode는 ${SkyView.MODES.join(', ')} 중 하나여야 합니다.`);
+
+        this.#planisphere = planisphere;
+        this.#mode = mode;
+        this.#wrapper = document.querySelector(wrapperDomId);
+        this.#wrapper.innerHTML = '';
+
+        this.#panel = SVG().addTo(this.#wrapper)
+            .size('100%', '100%')
+            .attr('preserveAspectRatio', 'xMidYMid meet');
+        this.#group = this.#panel.group();
+
+        this.#unsubscribe = planisphere.addChangeListener(() => this.render());
+        this.render();
+    }
+
+    /** @type {'allsky'|'panorama'} */
+    get mode() { return this.#mode; }
+
+    /**
+     * Public API: 보기 방식 변경
+     * @param {'allsky'|'panorama'} mode - 보기 방식
+     * @throws {Error} 지원하지 않는 보기 방식인 경우
+     */
+    setMode(mode) {
+        if (!SkyView.MODES.includes(mode)) throw new Error(`mode는 ${SkyView.MODES.join(', ')} 중 하나여야 합니다.`);
+        if (mode === this.#mode) return;
+        this.#mode = mode;
+        this.render();
+    }
+
+    /**
+     * Public API: 별자리판의 현재 상태로 다시 그리기
+     */
+    render() {
+        const ps = this.#planisphere;
+        const styles = ps.styles;
+        const date = ps.currentDate;
+        const astroTime = new AstroTime(ps.dgmt, ps.lon, ps.lat, ps.elevation);
+
+        // 별 목록(J2000.0)은 관측 날짜의 분점으로 세차 보정 (겉보기 모드는 장동 포함)
+        const lct = AstroTime.jd(date.getFullYear(), date.getMonth() + 1, date.getDate(),
+            date.getHours(), date.getMinutes(), date.getSeconds(), 'gregorian');
+        const tt = AstroTime.UT2TT(astroTime.LCT2UT(lct));
+        const precessionMatrix = new AstroMatrix(0, 0, 0, 0, 0, 0, 0, 0, 0);
+        if (ps.apparent) {
+            precessionMatrix.meanToTrue(tt);
+        } else {
+            precessionMatrix.precession(tt);
+        }
+
+        const { width, height } = VIEW_SIZES[this.#mode];
+        this.#panel.viewbox(-width * 0.5, -height * 0.5, width, height);
+        this.#wrapper.style.background = styles.bgColor;
+        this.#group.clear();
+
+        const labels = Labels.of(ps.language);
+        const skyCulture = SkyCulture.get(ps.skyCulture);
+        const renderer = this.#mode === 'panorama'
+            ? new HorizonPanoramaRenderer(this.#group, styles, astroTime, width - 200, date, precessionMatrix, ps.apparent, labels, skyCulture)
+            : new AllSkyRenderer(this.#group, styles, astroTime, width * 0.5 - 60, date, precessionMatrix, ps.apparent, labels, skyCulture);
+        renderer.render();
+    }
+
+    /**
+     * Public API: 별자리판과의 동기화를 끊고 화면 제거
+     */
+    destroy() {
+        this.#unsubscribe();
+        this.#panel.remove();
+    }
+}
+
+export default SkyView;
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview 별자리판 JS - Stellarium 별자리 문화 가져오기
+ * @author 지용호 <jidolstar@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ *
+ * @description
+ * Stellarium의 별자리 문화 파일을 읽어 SkyCulture의 별자리선/이름 데이터로 바꾸는 모듈입니다.
+ *
+ * 읽을 수 있는 파일:
+ * - constellationship.fab: 한 줄에 한 별자리, "약자 선분수 HIP1 HIP2 HIP3 HIP4 ..." (HIP 번호 두 개가 선분 하나)
+ * - constellation_names.*.fab: 한 줄에 한 별자리, '약자 "원어 이름" _("영어 이름")'
+ *
+ * HIP 번호는 StarCatalog.findByHip()으로 별 목록에서 찾고, 목록에 없는 별(대개 6등급보다 어두운 별)이
+ * 끝점인 선분은 빼고 missingHips에 모읍니다. 별자리 이름은 Stellarium처럼 별자리선 별들의 가운데에 둡니다.
+ *
+ * @example
+ * import { StellariumImporter } from './stellarium.js';
+ * import { SkyCulture } from './skyculture.js';
+ *
+ * const [constellationship, constellationNames] = await Promise.all([
+ *     fetch('constellationship.fab').then(res => res.text()),
+ *     fetch('constellation_names.eng.fab').then(res => res.text())
+ * ]);
+ * SkyCulture.register(StellariumImporter.skyCulture({ id: 'my-class', constellationship, constellationNames }));
+ * planisphere.setSkyCulture('my-class');
+ */
+
+import { AstroVector } from './astronomy.js';
+import { StarCatalog } from './catalog.js';
+import { SkyCulture } from './skyculture.js';
+
+/**
+ * constellation_names.fab의 한 줄: 약자, "원어 이름", _("영어 이름") (번역 문맥 인자는 무시)
+ * @private
+ * @constant {RegExp}
+ */
+const NAME_LINE = /^(\S+)\s+"([^"]*)"(?:\s+_\("([^"]*)"(?:\s*,\s*"[^"]*")?\))?/;
+
+/**
+ * 주석(#)과 앞뒤 공백을 뺀 줄 목록
+ * @private
+ * @param {string} text - 파일 내용
+ * @returns {Array<{text: string, number: number}>} 빈 줄을 뺀 줄과 1부터 센 줄 번호
+ */
+const contentLines = (text) => text.split(/\r?\n/)
+    .map((line, i) => ({ text: line.replace(/#.*$/, '').trim(), number: i + 1 }))
+    .filter(line => line.text);
+
+/**
+ * @typedef {Object} StellariumData
+ * @property {number[]} lines - 별자리선 [RA1, Dec1, RA2, Dec2, ...] (J2000.0, 라디안, CONSTELLATION_LINES와 같은 형식)
+ * @property {Array<number|string>} names - 별자리 이름 위치 [RA, Dec, 약자, ...] (J2000.0, 라디안, CONSTELLATION_NAMES와 같은 형식)
+ * @property {Map<string, {native: string, english: string}>} constellations - 약자 → 원어/영어 이름
+ * @property {number[]} missingHips - 별 목록에 없어 뺀 HIP 번호 (작은 순서)
+ */
+
+/**
+ * Stellarium 별자리 문화 파일 가져오기
+ *
+ * 모든 메서드는 정적 메서드입니다.
+ *
+ * @class
+ */
+export class StellariumImporter {
+    /**
+     * constellationship.fab과 constellation_names.fab 파싱
+     *
+     * @param {Object} files - 파일 내용
+     * @param {string} files.constellationship - constellationship.fab 내용
+     * @param {string} [files.constellationNames=''] - constellation_names.*.fab 내용 (없으면 이름은 약자)
+     * @param {StarCatalog} [files.catalog=StarCatalog.default] - HIP 번호를 찾을 별 목록
+     * @returns {StellariumData}
+     * @throws {Error} 줄의 형식이 잘못된 경우 (줄 번호 포함)
+     */
+    static parse({ constellationship, constellationNames = '', catalog = StarCatalog.default }) {
+        const constellations = new Map();
+        for (const { text, number } of contentLines(constellationNames)) {
+            const match = text.match(NAME_LINE);
+            if (!match) throw new Error(`constellation_names ${number}번째 줄의 형식이 잘못되었습니다: ${text}`);
+            const [, abbr, native, english] = match;
+            constellations.set(abbr, { native, english: english ?? native });
+        }
+
+        const lines = [];
+        const names = [];
+        const missing = new Set();
+        const vector = new AstroVector(0, 0, 0);
+        for (const { text, number } of contentLines(constellationship)) {
+            const [abbr, count, ...hips] = text.split(/\s+/);
+            const pairs = Number(count);
+            if (!Number.isInteger(pairs) || hips.length !== pairs * 2 || !hips.every(hip => /^\d+$/.test(hip))) {
+                throw new Error(`constellationship ${number}번째 줄의 형식이 잘못되었습니다: ${text}`);
+            }
+            if (!constellations.has(abbr)) constellations.set(abbr, { native: abbr, english: abbr });
+
+            // 이름 위치: 선분 끝점이 된 별들의 단위 벡터 평균 방향
+            const used = new Set();
+            let x = 0, y = 0, z = 0;
+            for (let i = 0; i < hips.length; i += 2) {
+                const star1 = catalog.findByHip(hips[i]);
+                const star2 = catalog.findByHip(hips[i + 1]);
+                if (!star1) missing.add(Number(hips[i]));
+                if (!star2) missing.add(Number(hips[i + 1]));
+                if (!star1 || !star2) continue;
+                lines.push(star1.ra, star1.dec, star2.ra, star2.dec);
+                for (const star of [star1, star2]) {
+                    if (used.has(star.index)) continue;
+                    used.add(star.index);
+                    vector.setSphe(star.ra, star.dec);
+                    x += vector.x;
+                    y += vector.y;
+                    z += vector.z;
+                }
+            }
+            if (used.size) {
+                const center = new AstroVector(x, y, z);
+                names.push(center.lon(), center.lat(), abbr);
+            }
+        }
+
+        return { lines, names, constellations, missingHips: [...missing].sort((a, b) => a - b) };
+    }
+
+    /**
+     * Stellarium 파일로 별자리 문화 만들기
+     *
+     * 이름은 'en'/'ko'에서 영어 이름, 'la'에서 원어 이름, 'abbr'에서 약자로 표시합니다.
+     * 경계선은 없습니다. 만든 문화는 SkyCulture.register()로 등록해야 쓸 수 있습니다.
+     *
+     * @param {Object} options - 문화 정보와 파일 내용
+     * @param {string} options.id - 문화 식별자
+     * @param {string} [options.name=options.id] - 문화 이름
+     * @param {string} options.constellationship - constellationship.fab 내용
+     * @param {string} [options.constellationNames=''] - constellation_names.*.fab 내용
+     * @param {StarCatalog} [options.catalog=StarCatalog.default] - HIP 번호를 찾을 별 목록
+     * @returns {SkyCulture}
+     * @throws {Error} 파일 형식이 잘못되었거나 id가 없는 경우
+     */
+    static skyCulture({ id, name = id, constellationship, constellationNames = '', catalog = StarCatalog.default }) {
+        const { lines, names, constellations } = StellariumImporter.parse({ constellationship, constellationNames, catalog });
+        return new SkyCulture({
+            id,
+            name,
+            lines,
+            names,
+            label: (abbr, labels) => {
+                const { native, english } = constellations.get(abbr);
+                switch (labels.language) {
+                    case 'abbr': return abbr;
+                    case 'la': return native;
+                    default: return english;
+                }
+            }
+        });
+    }
+}
+
+export default StellariumImporter;
@@ -13,10 +13,10 @@
  */
 export const Env = {
     /**
-     * @returns {string} User Agent 문자열
+     * @returns {string} User Agent 문자열 (navigator가 없는 Node.js 등에서는 빈 문자열)
      */
     get ua() {
-        return navigator.userAgent;
+        return typeof navigator === 'undefined' ? '' : navigator.userAgent;
     },
 
     /**